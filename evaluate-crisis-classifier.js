@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+/**
+ * Evaluate the crisis classifier against the labelled corpus
+ * Usage: node evaluate-crisis-classifier.js [path/to/corpus.json]
+ */
+
+const path = require('path');
+const CrisisDetectionService = require('./services/crisisDetectionService');
+
+const corpusPath = path.resolve(process.argv[2] || path.join(__dirname, 'tests', 'fixtures', 'crisisCorpus.json'));
+const corpus = require(corpusPath);
+
+const crisisDetection = new CrisisDetectionService();
+const report = crisisDetection.evaluateClassifier(corpus);
+
+console.log(crisisDetection.classifier.formatReport(report));
+
+process.exit(report.errors.length > 0 ? 1 : 0);
@@ -8,6 +8,8 @@ class AnalyticsMiddleware {
   // Middleware to track API usage
   trackApiUsage = (req, res, next) => {
     const startTime = Date.now();
+    // Routers strip their mount path from req.path, so take it before routing
+    const path = req.path;
     
     // Store original end function
     const originalEnd = res.end;
@@ -17,8 +19,8 @@ class AnalyticsMiddleware {
       const responseTime = Date.now() - startTime;
       
       // Only track certain endpoints
-      if (this.shouldTrackEndpoint(req.path)) {
-        this.recordApiInteraction(req, res, responseTime);
+      if (this.shouldTrackEndpoint(path)) {
+        this.recordApiInteraction(req, res, responseTime, path);
       }
       
       // Call original end function
@@ -38,14 +40,14 @@ class AnalyticsMiddleware {
     return trackableEndpoints.some(endpoint => path.startsWith(endpoint));
   }
 
-  recordApiInteraction(req, res, responseTime) {
+  recordApiInteraction(req, res, responseTime, path = req.path) {
     try {
       // Extract user information
       const userId = this.extractUserId(req);
       const sessionId = this.extractSessionId(req);
       
       // Determine interaction type
-      const interactionType = this.determineInteractionType(req.path);
+      const interactionType = this.determineInteractionType(path);
       
       // Extract additional data from request/response
       const interactionData = {
@@ -59,7 +61,7 @@ class AnalyticsMiddleware {
         language: this.extractLanguage(req),
         success: res.statusCode >= 200 && res.statusCode < 300,
         statusCode: res.statusCode,
-        endpoint: req.path,
+        endpoint: path,
         method: req.method,
         userAgent: req.get('User-Agent'),
         ipAddress: this.anonymizeIP(req.ip || req.connection.remoteAddress)
@@ -141,8 +143,8 @@ class AnalyticsMiddleware {
   }
 
   extractSentiment(req, res) {
-    // Try to extract sentiment from response
-    if (res.locals && res.locals.sentiment) {
+    // Try to extract sentiment from response (0 is a neutral score, not a missing one)
+    if (res.locals && typeof res.locals.sentiment === 'number') {
       return res.locals.sentiment;
     }
     
@@ -156,7 +158,7 @@ class AnalyticsMiddleware {
 
   extractTopics(req, res) {
     // Try to extract topics from response
-    if (res.locals && res.locals.topics) {
+    if (res.locals && Array.isArray(res.locals.topics)) {
       return res.locals.topics;
     }
     
@@ -1,11 +1,14 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const SessionStore = require('../services/sessionStore');
 
 class AuthMiddleware {
-  constructor() {
+  constructor(options = {}) {
     this.JWT_SECRET = process.env.JWT_SECRET || 'mindcare-default-secret-change-in-production';
-    this.JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+    // Access tokens are short-lived; clients renew them with a refresh token
+    this.JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
     this.ADMIN_SESSION_TIMEOUT = parseInt(process.env.ADMIN_SESSION_TIMEOUT) || 3600000; // 1 hour
+    this.sessionStore = options.sessionStore || new SessionStore();
   }
 
   // Generate JWT token
@@ -15,7 +18,8 @@ class AuthMiddleware {
         id: user.id, 
         username: user.username, 
         role: user.role,
-        sessionId: user.sessionId 
+        sessionId: user.sessionId,
+        mustChangePassword: Boolean(user.mustChangePassword)
       },
       this.JWT_SECRET,
       { expiresIn: this.JWT_EXPIRES_IN }
@@ -31,6 +35,33 @@ class AuthMiddleware {
     }
   }
 
+  // The token's session if it is still live. Revoked, expired and unknown
+  // sessions all return null, which is what makes logout take effect.
+  getActiveSession(sessionId, now = new Date()) {
+    const session = sessionId ? this.sessionStore.get(sessionId) : null;
+    if (!session || session.revokedAt || new Date(session.expiresAt) <= now) {
+      return null;
+    }
+    return session;
+  }
+
+  // The signed-in user a request's Bearer token belongs to, or null when it
+  // has no usable token. For routes that must not turn anyone away over a
+  // stale token, such as the chat.
+  identify(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return null;
+    }
+
+    try {
+      const user = this.verifyToken(authHeader.substring(7));
+      return this.getActiveSession(user.sessionId) && !user.mustChangePassword ? user : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   // Hash password
   async hashPassword(password) {
     const saltRounds = 12;
@@ -42,8 +73,33 @@ class AuthMiddleware {
     return await bcrypt.compare(password, hashedPassword);
   }
 
-  // Middleware to authenticate requests
+  // Middleware to authenticate requests. Tokens issued to accounts that
+  // must change their password are only accepted by authenticateAllowingPasswordChange.
   authenticate = (req, res, next) => {
+    this.authenticateAllowingPasswordChange(req, res, () => {
+      if (req.user.mustChangePassword) {
+        return res.status(403).json({
+          error: 'Password change required',
+          code: 'PASSWORD_CHANGE_REQUIRED',
+          message: 'Change your password before using this account'
+        });
+      }
+      next();
+    });
+  };
+
+  // Middleware for routes open to anonymous students: requests carrying a
+  // Bearer token are authenticated, the rest carry on without req.user
+  optionalAuthenticate = (req, res, next) => {
+    if (req.headers.authorization && !req.user) {
+      return this.authenticate(req, res, next);
+    }
+    next();
+  };
+
+  // Middleware to authenticate requests, including tokens that are only
+  // good for changing the password (profile, change-password, logout)
+  authenticateAllowingPasswordChange = (req, res, next) => {
     try {
       const authHeader = req.headers.authorization;
       
@@ -56,6 +112,10 @@ class AuthMiddleware {
 
       const token = authHeader.substring(7); // Remove 'Bearer ' prefix
       const decoded = this.verifyToken(token);
+
+      if (!this.getActiveSession(decoded.sessionId)) {
+        throw new Error('Session has ended, please log in again');
+      }
       
       req.user = decoded;
       next();
@@ -102,8 +162,8 @@ class AuthMiddleware {
       errors.push('Username must be at least 3 characters long');
     }
 
-    if (!userData.password || userData.password.length < 8) {
-      errors.push('Password must be at least 8 characters long');
+    if (!userData.password || userData.password.length < 12) {
+      errors.push('Password must be at least 12 characters long');
     }
 
     if (isRegistration) {
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Import the JSON booking file into MongoDB
+ * Usage: MONGODB_URI=mongodb://... node migrate-bookings.js [path/to/bookings.json]
+ *
+ * Safe to re-run: bookings already in MongoDB are skipped. Bookings that
+ * double-book a slot are imported without a slot hold and listed for review.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const MongoBookingStore = require('./services/mongoBookingStore');
+
+async function migrate() {
+  const sourcePath = path.resolve(process.argv[2] || process.env.BOOKINGS_FILE || path.join(__dirname, 'data', 'bookings.json'));
+  const bookings = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+
+  const store = new MongoBookingStore();
+  await store.initialize();
+
+  try {
+    console.log(`Importing ${bookings.length} bookings from ${sourcePath}`);
+    const report = await store.importBookings(bookings);
+
+    console.log(`Imported: ${report.imported}`);
+    console.log(`Already present: ${report.skipped.length}`);
+
+    if (report.conflicts.length > 0) {
+      console.log(`Double-booked slots (imported without a slot hold, reschedule these): ${report.conflicts.length}`);
+      report.conflicts.forEach(id => console.log(`  - ${id}`));
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+migrate().catch(error => {
+  console.error('Booking migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,116 @@
+/**
+ * MongoDB Schemas for Counseling Bookings
+ * Handles storage of appointment requests with a unique slot hold per counselor
+ */
+
+const mongoose = require('mongoose');
+
+const BookingSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  studentId: {
+    type: String,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  preferredDate: {
+    type: String,
+    required: true,
+    index: true
+  },
+  preferredTime: {
+    type: String,
+    required: true
+  },
+  sessionType: {
+    type: String,
+    enum: ['individual', 'group', 'crisis'],
+    required: true
+  },
+  concerns: {
+    type: String,
+    default: null
+  },
+  contactMethod: {
+    type: String,
+    required: true
+  },
+  contactInfo: {
+    type: String,
+    required: true
+  },
+  language: {
+    type: String,
+    enum: ['en', 'mr'],
+    default: 'en'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    default: 'pending',
+    index: true
+  },
+  assignedCounselor: {
+    type: String,
+    default: null
+  },
+  durationMinutes: Number,
+  // SHA-256 of the student's booking token; the token itself is never stored
+  accessTokenHash: String,
+  auditTrail: [mongoose.Schema.Types.Mixed],
+  // "date|time|counselor" while a one-to-one booking holds its slot, null otherwise
+  slotKey: {
+    type: String,
+    default: null
+  },
+  requestedAt: Date,
+  ipAddress: String,
+  userAgent: String,
+  createdAt: Date,
+  updatedAt: Date
+}, {
+  strict: false, // Keep status-change fields such as notes, reason and cancelledAt
+  versionKey: false
+});
+
+// Revision counter per counselor and date, bumped on every write that claims
+// time that day so overlapping bookings can be rejected with compare-and-swap
+const BookingDaySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  revision: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Only active bookings take part in the uniqueness check
+BookingSchema.index(
+  { slotKey: 1 },
+  { unique: true, partialFilterExpression: { slotKey: { $type: 'string' } } }
+);
+BookingSchema.index({ createdAt: -1 });
+BookingSchema.index({ preferredDate: 1, assignedCounselor: 1 });
+
+const Booking = mongoose.model('Booking', BookingSchema);
+const BookingDay = mongoose.model('BookingDay', BookingDaySchema);
+
+module.exports = {
+  Booking,
+  BookingDay,
+
+  // Schema exports for reference
+  BookingSchema,
+  BookingDaySchema
+};
@@ -16,9 +16,9 @@ const ScreeningResponseSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Null for questions skipped after a gate question (PC-PTSD-5)
   responseValue: {
     type: Number,
-    required: true,
     min: 0
   },
   adjustedValue: {
@@ -39,11 +39,10 @@ const ScoreInterpretationSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Levels come from the instrument's ranges (data/instruments)
   level: {
     type: String,
-    required: true,
-    enum: ['minimal', 'mild', 'moderate', 'moderately_severe', 'severe', 'normal', 'distressed'],
-    index: true
+    required: true
   },
   description: {
     type: String,
@@ -69,15 +68,19 @@ const ScoreInterpretationSchema = new mongoose.Schema({
   }],
   clinicalNotes: {
     type: String
+  },
+  // Set when the interpretation is that of one subscale (DASS-21)
+  subscale: {
+    type: String
   }
 });
 
 // Schema for crisis alerts
 const CrisisAlertSchema = new mongoose.Schema({
+  // The id of the instrument's crisis rule, e.g. suicidalIdeation
   type: {
     type: String,
     required: true,
-    enum: ['suicidalIdeation', 'severeDepression', 'severeAnxiety', 'severeDistress'],
     index: true
   },
   severity: {
@@ -120,11 +123,10 @@ const ValidityAssessmentSchema = new mongoose.Schema({
 
 // Main screening assessment schema
 const ScreeningAssessmentSchema = new mongoose.Schema({
-  // Tool information
+  // Tool information; tools are whatever the instrument registry loads
   toolName: {
     type: String,
     required: true,
-    enum: ['PHQ-9', 'GAD-7', 'GHQ-12'],
     index: true
   },
   fullName: {
@@ -145,6 +147,14 @@ const ScreeningAssessmentSchema = new mongoose.Schema({
       return new mongoose.Types.ObjectId().toString();
     }
   },
+  // Whether the student agreed to keep this assessment in their history;
+  // without consent item responses and the session are not stored
+  consentToStore: {
+    type: Boolean,
+    required: true,
+    default: false,
+    index: true
+  },
   
   // Assessment data
   responses: [ScreeningResponseSchema],
@@ -166,7 +176,16 @@ const ScreeningAssessmentSchema = new mongoose.Schema({
       enum: ['standard', 'binary'],
       default: 'standard'
     },
-    interpretation: ScoreInterpretationSchema
+    interpretation: ScoreInterpretationSchema,
+    // Per-subscale scores of tools scored that way (DASS-21)
+    subscales: {
+      type: Map,
+      of: new mongoose.Schema({
+        score: Number,
+        maxScore: Number,
+        interpretation: ScoreInterpretationSchema
+      }, { _id: false })
+    }
   },
   
   // Crisis detection
@@ -249,7 +268,6 @@ const ScreeningStatisticsSchema = new mongoose.Schema({
   toolName: {
     type: String,
     required: true,
-    enum: ['PHQ-9', 'GAD-7', 'GHQ-12'],
     index: true
   },
   
@@ -259,37 +277,43 @@ const ScreeningStatisticsSchema = new mongoose.Schema({
     default: 0
   },
   
-  // Score distribution
+  // Score distribution by interpretation level
   scoreDistribution: {
-    minimal: { type: Number, default: 0 },
-    mild: { type: Number, default: 0 },
-    moderate: { type: Number, default: 0 },
-    moderately_severe: { type: Number, default: 0 },
-    severe: { type: Number, default: 0 },
-    normal: { type: Number, default: 0 },
-    distressed: { type: Number, default: 0 }
+    type: Map,
+    of: Number,
+    default: {}
   },
   
-  // Crisis statistics
+  // Crisis statistics, by crisis rule
   crisisDetections: {
     total: { type: Number, default: 0 },
-    suicidalIdeation: { type: Number, default: 0 },
-    severeDepression: { type: Number, default: 0 },
-    severeAnxiety: { type: Number, default: 0 },
-    severeDistress: { type: Number, default: 0 }
+    byType: { type: Map, of: Number, default: {} }
   },
   
-  // Average scores
+  // Average scores; scoreTotal keeps the sum the average is taken over
   averageScore: {
     type: Number,
     default: 0
   },
+  scoreTotal: {
+    type: Number,
+    default: 0
+  },
   
   // Validity statistics
   validityStats: {
     valid: { type: Number, default: 0 },
     questionable: { type: Number, default: 0 },
     invalid: { type: Number, default: 0 }
+  },
+
+  // Keyed ids of the students behind each cell, so published cells are
+  // judged by students rather than assessments
+  students: {
+    total: { type: [String], default: [] },
+    levels: { type: Map, of: [String], default: {} },
+    crises: { type: [String], default: [] },
+    crisisTypes: { type: Map, of: [String], default: {} }
   }
 }, {
   timestamps: true,
@@ -318,6 +342,12 @@ const UserScreeningHistorySchema = new mongoose.Schema({
     toolName: String,
     date: Date,
     score: Number,
+    maxScore: Number,
+    // Scores are only compared within one scoring method (GHQ-12 has two)
+    scoringMethod: {
+      type: String,
+      default: 'standard'
+    },
     level: String,
     hadCrisis: Boolean
   }],
@@ -342,9 +372,9 @@ const UserScreeningHistorySchema = new mongoose.Schema({
     toolsUsed: [String],
     lastAssessment: Date,
     averageScores: {
-      'PHQ-9': Number,
-      'GAD-7': Number,
-      'GHQ-12': Number
+      type: Map,
+      of: Number,
+      default: {}
     }
   }
 }, {
@@ -362,6 +392,8 @@ ScreeningAssessmentSchema.index({ sessionId: 1, createdAt: -1 }, { sparse: true
 ScreeningStatisticsSchema.index({ date: 1, toolName: 1 }, { unique: true });
 
 UserScreeningHistorySchema.index({ userId: 1, 'assessments.date': -1 });
+// Counselors open a trend from the assessment named in a monitoring alert
+UserScreeningHistorySchema.index({ 'assessments.assessmentId': 1 });
 
 // Pre-save middleware for data privacy
 ScreeningAssessmentSchema.pre('save', function(next) {
@@ -401,7 +433,7 @@ ScreeningAssessmentSchema.statics.getStatistics = function(toolName, startDate,
   const pipeline = [
     {
       $match: {
-        toolName: toolName || { $in: ['PHQ-9', 'GAD-7', 'GHQ-12'] },
+        ...(toolName && { toolName }),
         createdAt: {
           $gte: startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
           $lte: endDate || new Date()
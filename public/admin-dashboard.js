@@ -21,6 +21,7 @@ class AdminDashboard {
         this.authToken = null;
         this.currentSection = 'overview';
         this.autoRefreshInterval = null;
+        this.tokenRefreshInterval = null;
         this.charts = {};
         this.currentLanguage = 'en';
         this.socket = null;
@@ -61,7 +62,7 @@ class AdminDashboard {
         });
     }
 
-    async validateSession(token) {
+    async validateSession(token, retried = false) {
         try {
             const response = await fetch('/api/auth/validate', {
                 method: 'GET',
@@ -76,19 +77,70 @@ class AdminDashboard {
                 if (data.valid) {
                     this.authToken = token;
                     this.currentUser = data.user;
+                    this.startTokenRefresh();
                     this.showDashboard();
                     return;
                 }
             }
+
+            // Access tokens are short-lived; an expired one can be renewed once
+            if (response.status === 401 && !retried && await this.refreshAuthToken()) {
+                return this.validateSession(this.authToken, true);
+            }
         } catch (error) {
             console.error('Session validation failed:', error);
         }
 
         // If validation fails, show login
         localStorage.removeItem('adminAuthToken');
+        localStorage.removeItem('adminRefreshToken');
         this.showLogin();
     }
 
+    // Exchange the stored refresh token for a new token pair
+    async refreshAuthToken() {
+        const refreshToken = localStorage.getItem('adminRefreshToken');
+        if (!refreshToken) {
+            return false;
+        }
+
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ refreshToken })
+            });
+
+            if (!response.ok) {
+                localStorage.removeItem('adminRefreshToken');
+                return false;
+            }
+
+            const data = await response.json();
+            this.authToken = data.token;
+            localStorage.setItem('adminAuthToken', data.token);
+            localStorage.setItem('adminRefreshToken', data.refreshToken);
+            return true;
+        } catch (error) {
+            console.error('Token refresh failed:', error);
+            return false;
+        }
+    }
+
+    // Renew the access token before it expires (15 minutes by default)
+    startTokenRefresh() {
+        if (this.tokenRefreshInterval) {
+            clearInterval(this.tokenRefreshInterval);
+        }
+        this.tokenRefreshInterval = setInterval(async () => {
+            if (!await this.refreshAuthToken()) {
+                this.adminLogout();
+            }
+        }, 10 * 60 * 1000);
+    }
+
     showLogin() {
         document.getElementById('adminLoginOverlay').style.display = 'flex';
         document.getElementById('adminDashboard').style.display = 'none';
@@ -143,7 +195,14 @@ class AdminDashboard {
                     throw new Error('Access denied. Admin or counselor role required.');
                 }
 
+                // New and reset accounts must choose their own password first
+                if (data.mustChangePassword) {
+                    this.authToken = await this.changeInitialPassword(password);
+                }
+
                 localStorage.setItem('adminAuthToken', this.authToken);
+                localStorage.setItem('adminRefreshToken', data.refreshToken);
+                this.startTokenRefresh();
                 this.showDashboard();
             } else {
                 throw new Error(data.message || 'Login failed');
@@ -155,6 +214,28 @@ class AdminDashboard {
         }
     }
 
+    async changeInitialPassword(currentPassword) {
+        const newPassword = prompt('Choose a new password (at least 12 characters, mixing upper and lower case, digits or symbols):');
+        if (!newPassword) {
+            throw new Error('A new password is required before you can continue');
+        }
+
+        const response = await fetch('/api/auth/change-password', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Password change failed');
+        }
+        return data.token;
+    }
+
     adminLogout() {
         if (this.authToken) {
             fetch('/api/auth/logout', {
@@ -174,6 +255,7 @@ class AdminDashboard {
         }
 
         localStorage.removeItem('adminAuthToken');
+        localStorage.removeItem('adminRefreshToken');
         this.authToken = null;
         this.currentUser = null;
         
@@ -181,6 +263,10 @@ class AdminDashboard {
         if (this.autoRefreshInterval) {
             clearInterval(this.autoRefreshInterval);
         }
+        if (this.tokenRefreshInterval) {
+            clearInterval(this.tokenRefreshInterval);
+            this.tokenRefreshInterval = null;
+        }
 
         this.showLogin();
     }
@@ -1092,9 +1178,9 @@ class AdminDashboard {
                 <td>${user.lastLogin ? new Date(user.lastLogin).toLocaleString() : 'Never'}</td>
                 <td>
                     <button class="action-btn" onclick="adminDashboard.editUser('${user.username}')">Edit</button>
-                    ${user.username !== 'admin' ? 
-                        `<button class="action-btn danger" onclick="adminDashboard.deleteUser('${user.username}')">Delete</button>` 
-                        : ''
+                    ${user.username === this.currentUser.username ? '' : user.isActive ?
+                        `<button class="action-btn danger" onclick="adminDashboard.deleteUser('${user.username}')">Disable</button>` :
+                        `<button class="action-btn" onclick="adminDashboard.enableUser('${user.username}')">Enable</button>`
                     }
                 </td>
             </tr>
@@ -1105,6 +1191,8 @@ class AdminDashboard {
         // Load active users, crisis alerts, and system status
         this.loadActiveUsers();
         this.loadCrisisAlerts();
+        this.loadGuardrailInterventions();
+        this.loadInjectionAttempts();
         this.loadSystemStatus();
     }
 
@@ -1225,6 +1313,126 @@ class AdminDashboard {
         }
     }
 
+    async loadGuardrailInterventions() {
+        const guardrailList = document.getElementById('guardrailList');
+        const guardrailCount = document.getElementById('guardrailCount');
+        if (!guardrailList || !guardrailCount) return;
+
+        const empty = '<div style="color: #9ca3af; text-align: center; padding: 20px;">No interventions in the last 7 days</div>';
+
+        try {
+            const response = await fetch('/api/monitoring/guardrails?limit=20&days=7', {
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                guardrailList.innerHTML = empty;
+                return;
+            }
+
+            const { data } = await response.json();
+            guardrailCount.textContent = data.stats.total;
+            guardrailList.innerHTML = '';
+
+            if (data.interventions.length === 0) {
+                guardrailList.innerHTML = empty;
+                return;
+            }
+
+            // Excerpts are model output, so they are set as text rather than HTML
+            data.interventions.forEach(entry => {
+                const item = document.createElement('div');
+                item.className = `guardrail-item guardrail-${entry.action}`;
+
+                const title = document.createElement('div');
+                title.innerHTML = '<strong></strong>';
+                title.firstChild.textContent = `${entry.rule} (${entry.action})`;
+
+                const details = document.createElement('div');
+                details.textContent = `${entry.source}${entry.crisis ? ', crisis' : ''} | ${new Date(entry.timestamp).toLocaleString()}`;
+
+                item.append(title, details);
+                if (entry.excerpt) {
+                    const excerpt = document.createElement('div');
+                    excerpt.className = 'guardrail-excerpt';
+                    excerpt.textContent = `"${entry.excerpt}"`;
+                    item.appendChild(excerpt);
+                }
+                guardrailList.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Failed to load guardrail interventions:', error);
+            guardrailList.innerHTML = empty;
+        }
+    }
+
+    async loadInjectionAttempts() {
+        const injectionList = document.getElementById('injectionList');
+        const injectionCount = document.getElementById('injectionCount');
+        const injectionTrend = document.getElementById('injectionTrend');
+        if (!injectionList || !injectionCount || !injectionTrend) return;
+
+        const empty = '<div style="color: #9ca3af; text-align: center; padding: 20px;">No attempts in the last 7 days</div>';
+
+        try {
+            const response = await fetch('/api/monitoring/injections?limit=20&days=7', {
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                injectionList.innerHTML = empty;
+                return;
+            }
+
+            const { data } = await response.json();
+            injectionCount.textContent = data.stats.total;
+            injectionTrend.textContent = Object.entries(data.stats.byDay)
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([day, count]) => `${day.substring(5)}: ${count}`)
+                .join(' | ');
+            if (data.stats.blockedSessions > 0) {
+                injectionTrend.textContent += ` (${data.stats.blockedSessions} session(s) locked)`;
+            }
+            injectionList.innerHTML = '';
+
+            if (data.events.length === 0) {
+                injectionList.innerHTML = empty;
+                return;
+            }
+
+            // Excerpts are student input, so they are set as text rather than HTML
+            data.events.forEach(entry => {
+                const item = document.createElement('div');
+                item.className = `guardrail-item${entry.blocked ? ' guardrail-block' : ''}`;
+
+                const title = document.createElement('div');
+                title.innerHTML = '<strong></strong>';
+                title.firstChild.textContent = `${entry.rules.join(', ')} (strike ${entry.strikes})`;
+
+                const details = document.createElement('div');
+                details.textContent = `${entry.source} | session ${entry.session || 'unknown'} | ${new Date(entry.timestamp).toLocaleString()}`;
+
+                item.append(title, details);
+                if (entry.excerpt) {
+                    const excerpt = document.createElement('div');
+                    excerpt.className = 'guardrail-excerpt';
+                    excerpt.textContent = `"${entry.excerpt}"`;
+                    item.appendChild(excerpt);
+                }
+                injectionList.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Failed to load prompt injection attempts:', error);
+            injectionList.innerHTML = empty;
+        }
+    }
+
     loadSystemStatus() {
         const systemStatusGrid = document.getElementById('systemStatusGrid');
         if (!systemStatusGrid) return;
@@ -1313,8 +1521,9 @@ class AdminDashboard {
         }
     }
 
+    // Accounts are disabled rather than deleted; they can be re-enabled later
     async deleteUser(username) {
-        if (!confirm(`Are you sure you want to delete user "${username}"?`)) {
+        if (!confirm(`Disable user "${username}"? They will be signed out and unable to log in.`)) {
             return;
         }
 
@@ -1329,13 +1538,36 @@ class AdminDashboard {
 
             if (response.ok) {
                 this.loadUsersData(); // Refresh users table
-                this.showSuccess('User deleted successfully');
+                this.showSuccess('User disabled successfully');
+            } else {
+                const error = await response.json();
+                throw new Error(error.message || 'Failed to disable user');
+            }
+        } catch (error) {
+            this.showError('Failed to disable user: ' + error.message);
+        }
+    }
+
+    async enableUser(username) {
+        try {
+            const response = await fetch(`/api/auth/users/${username}`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ isActive: true })
+            });
+
+            if (response.ok) {
+                this.loadUsersData(); // Refresh users table
+                this.showSuccess('User enabled successfully');
             } else {
                 const error = await response.json();
-                throw new Error(error.message || 'Failed to delete user');
+                throw new Error(error.message || 'Failed to enable user');
             }
         } catch (error) {
-            this.showError('Failed to delete user: ' + error.message);
+            this.showError('Failed to enable user: ' + error.message);
         }
     }
 
@@ -1591,25 +1823,46 @@ class AdminDashboard {
             content += this.formatCrisisReport(report);
         }
 
+        if (report.privacy) {
+            content += this.formatPrivacyFooter(report.privacy);
+        }
+
         return content;
     }
 
+    // Small cells come back as null from the privacy guard
+    formatCell(value, digits = null) {
+        if (value === null || value === undefined) {
+            return '<span class="suppressed-cell" title="Too few students to show">suppressed</span>';
+        }
+        return digits === null ? value : parseFloat(value).toFixed(digits);
+    }
+
+    formatPrivacyFooter(privacy) {
+        return `
+            <div class="report-section report-privacy">
+                <h5>Privacy Protections</h5>
+                ${privacy.statement.map(line => `<p>${line}</p>`).join('')}
+            </div>
+        `;
+    }
+
     formatUsageReport(report) {
         return `
             <div class="report-section">
                 <h5>Summary Statistics</h5>
                 <div class="stats-grid">
                     <div class="stat-item">
-                        <strong>Total Users:</strong> ${report.summary.today.totalUsers}
+                        <strong>Total Users:</strong> ${this.formatCell(report.summary.today.totalUsers)}
                     </div>
                     <div class="stat-item">
-                        <strong>Total Conversations:</strong> ${report.summary.today.totalConversations}
+                        <strong>Total Conversations:</strong> ${this.formatCell(report.summary.today.totalConversations)}
                     </div>
                     <div class="stat-item">
-                        <strong>Total Messages:</strong> ${report.summary.today.totalMessages}
+                        <strong>Total Messages:</strong> ${this.formatCell(report.summary.today.totalMessages)}
                     </div>
                     <div class="stat-item">
-                        <strong>Crisis Alerts:</strong> ${report.summary.today.crisisAlerts}
+                        <strong>Crisis Alerts:</strong> ${this.formatCell(report.summary.today.crisisAlerts)}
                     </div>
                 </div>
             </div>
@@ -1630,10 +1883,10 @@ class AdminDashboard {
                             ${report.trends.map(day => `
                                 <tr>
                                     <td>${new Date(day.date).toLocaleDateString()}</td>
-                                    <td>${day.totalUsers}</td>
-                                    <td>${day.totalConversations}</td>
-                                    <td>${day.totalMessages}</td>
-                                    <td>${parseFloat(day.avgSentimentScore).toFixed(2)}</td>
+                                    <td>${this.formatCell(day.totalUsers)}</td>
+                                    <td>${this.formatCell(day.totalConversations)}</td>
+                                    <td>${this.formatCell(day.totalMessages)}</td>
+                                    <td>${this.formatCell(day.avgSentimentScore, 2)}</td>
                                 </tr>
                             `).join('')}
                         </tbody>
@@ -1651,7 +1904,7 @@ class AdminDashboard {
                     ${report.sentimentTrends.map(day => `
                         <div class="sentiment-item">
                             <strong>${new Date(day.date).toLocaleDateString()}:</strong> 
-                            Sentiment ${day.sentiment.toFixed(2)} (${day.totalInteractions} interactions)
+                            Sentiment ${this.formatCell(day.sentiment, 2)} (${this.formatCell(day.totalInteractions)} interactions)
                         </div>
                     `).join('')}
                 </div>
@@ -1662,7 +1915,7 @@ class AdminDashboard {
                     ${report.topicTrends.map(topic => `
                         <div class="topic-item">
                             <strong>${topic.topic}:</strong> ${topic.totalCount} mentions 
-                            (Avg sentiment: ${topic.avgSentiment})
+                            (Avg sentiment: ${this.formatCell(topic.avgSentiment)})
                         </div>
                     `).join('')}
                 </div>
@@ -1670,10 +1923,10 @@ class AdminDashboard {
             <div class="report-section">
                 <h5>Crisis Statistics</h5>
                 <div class="crisis-summary">
-                    <p><strong>Total Crisis Events:</strong> ${report.crisisStats.total}</p>
-                    <p><strong>Resolved:</strong> ${report.crisisStats.resolved}</p>
-                    <p><strong>Pending:</strong> ${report.crisisStats.pending}</p>
-                    <p><strong>Escalated:</strong> ${report.crisisStats.escalated}</p>
+                    <p><strong>Total Crisis Events:</strong> ${this.formatCell(report.crisisStats.total)}</p>
+                    <p><strong>Resolved:</strong> ${this.formatCell(report.crisisStats.resolved)}</p>
+                    <p><strong>Pending:</strong> ${this.formatCell(report.crisisStats.pending)}</p>
+                    <p><strong>Escalated:</strong> ${this.formatCell(report.crisisStats.escalated)}</p>
                 </div>
             </div>
         `;
@@ -1685,16 +1938,16 @@ class AdminDashboard {
                 <h5>Crisis Statistics Overview</h5>
                 <div class="crisis-overview">
                     <div class="crisis-stat">
-                        <strong>Total Events:</strong> ${report.crisisStatistics.total}
+                        <strong>Total Events:</strong> ${this.formatCell(report.crisisStatistics.total)}
                     </div>
                     <div class="crisis-stat">
-                        <strong>Resolved:</strong> ${report.crisisStatistics.resolved}
+                        <strong>Resolved:</strong> ${this.formatCell(report.crisisStatistics.resolved)}
                     </div>
                     <div class="crisis-stat">
-                        <strong>Pending:</strong> ${report.crisisStatistics.pending}
+                        <strong>Pending:</strong> ${this.formatCell(report.crisisStatistics.pending)}
                     </div>
                     <div class="crisis-stat">
-                        <strong>Escalated:</strong> ${report.crisisStatistics.escalated}
+                        <strong>Escalated:</strong> ${this.formatCell(report.crisisStatistics.escalated)}
                     </div>
                 </div>
             </div>
@@ -1702,16 +1955,16 @@ class AdminDashboard {
                 <h5>Severity Breakdown</h5>
                 <div class="severity-breakdown">
                     <div class="severity-item critical">
-                        <strong>Critical:</strong> ${report.crisisStatistics.bySeverity.critical}
+                        <strong>Critical:</strong> ${this.formatCell(report.crisisStatistics.bySeverity.critical)}
                     </div>
                     <div class="severity-item high">
-                        <strong>High:</strong> ${report.crisisStatistics.bySeverity.high}
+                        <strong>High:</strong> ${this.formatCell(report.crisisStatistics.bySeverity.high)}
                     </div>
                     <div class="severity-item medium">
-                        <strong>Medium:</strong> ${report.crisisStatistics.bySeverity.medium}
+                        <strong>Medium:</strong> ${this.formatCell(report.crisisStatistics.bySeverity.medium)}
                     </div>
                     <div class="severity-item low">
-                        <strong>Low:</strong> ${report.crisisStatistics.bySeverity.low}
+                        <strong>Low:</strong> ${this.formatCell(report.crisisStatistics.bySeverity.low)}
                     </div>
                 </div>
             </div>
@@ -1720,7 +1973,7 @@ class AdminDashboard {
                 <div class="peak-hours">
                     ${report.peakHours.map(hour => `
                         <div class="peak-hour-item">
-                            <strong>${hour.hour}:00:</strong> ${hour.users} active users, ${hour.conversations} conversations
+                            <strong>${hour.hour}:00:</strong> ${hour.users} active users, ${this.formatCell(hour.conversations)} conversations
                         </div>
                     `).join('')}
                 </div>
@@ -1808,6 +2061,11 @@ class AdminDashboard {
                 if (data.success) {
                     console.log('Socket authenticated successfully');
                     this.subscribeToMonitoring();
+
+                    // Counselors receive crisis hand-offs while the dashboard is open
+                    if (this.currentUser.role === 'counselor') {
+                        this.socket.emit('escalation-duty', { onDuty: true });
+                    }
                 }
             });
 
@@ -1849,6 +2107,26 @@ class AdminDashboard {
                 this.handleSystemAlert(alert);
             });
 
+            this.socket.on('injection-attempt', () => {
+                this.loadInjectionAttempts();
+            });
+
+            this.socket.on('escalation-assigned', (escalationCase) => {
+                this.handleEscalationAssigned(escalationCase);
+            });
+
+            this.socket.on('escalation-history', (data) => {
+                this.openEscalationChat(data.caseId, data.messages);
+            });
+
+            this.socket.on('escalation-message', (message) => {
+                this.appendEscalationMessage(message);
+            });
+
+            this.socket.on('escalation-error', (error) => {
+                this.showError(error.message);
+            });
+
             this.socket.on('error', (error) => {
                 console.error('Socket error:', error);
             });
@@ -1860,11 +2138,8 @@ class AdminDashboard {
 
     authenticateSocket() {
         if (this.socket && this.authToken && this.currentUser) {
-            this.socket.emit('authenticate', {
-                token: this.authToken,
-                userRole: this.currentUser.role,
-                userId: this.currentUser.username
-            });
+            // The server takes the role and username from the token itself
+            this.socket.emit('authenticate', { token: this.authToken });
         }
     }
 
@@ -2042,6 +2317,73 @@ class AdminDashboard {
         }
     }
 
+    // Crisis hand-off functions
+    handleEscalationAssigned(escalationCase) {
+        this.showNotification(`Crisis hand-off assigned to you (${escalationCase.severity}, level ${escalationCase.escalationLevel})`, 'error');
+        this.playUrgentNotificationSound();
+
+        if (confirm('A student chat has escalated to crisis level 3 and was assigned to you. Join the chat now?')) {
+            this.socket.emit('escalation-join', escalationCase.id);
+        } else {
+            this.socket.emit('escalation-acknowledge', escalationCase.id);
+        }
+    }
+
+    openEscalationChat(caseId, messages = []) {
+        let panel = document.getElementById('escalationChatPanel');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'escalationChatPanel';
+            panel.className = 'escalation-chat-panel';
+            panel.innerHTML = `
+                <div class="escalation-chat-header">
+                    <span>Live crisis chat</span>
+                    <button class="btn btn-secondary" id="escalationResolveBtn">Resolve</button>
+                </div>
+                <div class="escalation-chat-messages" id="escalationChatMessages"></div>
+                <form class="escalation-chat-form" id="escalationChatForm">
+                    <input type="text" id="escalationChatInput" placeholder="Message the student..." autocomplete="off">
+                    <button type="submit" class="btn btn-primary">Send</button>
+                </form>
+            `;
+            document.body.appendChild(panel);
+
+            document.getElementById('escalationChatForm').addEventListener('submit', (event) => {
+                event.preventDefault();
+                const input = document.getElementById('escalationChatInput');
+                if (input.value.trim()) {
+                    this.socket.emit('escalation-message', { caseId: panel.dataset.caseId, message: input.value.trim() });
+                    input.value = '';
+                }
+            });
+
+            document.getElementById('escalationResolveBtn').addEventListener('click', () => {
+                const notes = prompt('Resolution notes (optional):') || null;
+                this.socket.emit('escalation-resolve', { caseId: panel.dataset.caseId, notes });
+                panel.remove();
+            });
+        }
+
+        panel.dataset.caseId = caseId;
+        document.getElementById('escalationChatMessages').innerHTML = '';
+        messages.forEach(message => this.appendEscalationMessage({ caseId, ...message }));
+    }
+
+    appendEscalationMessage(message) {
+        const panel = document.getElementById('escalationChatPanel');
+        if (!panel || panel.dataset.caseId !== message.caseId) {
+            return;
+        }
+
+        const item = document.createElement('div');
+        item.className = `escalation-message escalation-message-${message.role}`;
+        item.textContent = message.content;
+
+        const container = document.getElementById('escalationChatMessages');
+        container.appendChild(item);
+        container.scrollTop = container.scrollHeight;
+    }
+
     // Notification functions
     showNotification(message, type = 'info') {
         // Create notification element
@@ -2318,6 +2660,16 @@ class AdminDashboard {
                         <p>${booking.notes}</p>
                     </div>
                 ` : ''}
+                ${booking.auditTrail && booking.auditTrail.length ? `
+                    <div class="detail-item full-width">
+                        <strong>History:</strong>
+                        <ul>
+                            ${booking.auditTrail.map(entry => `
+                                <li>${new Date(entry.at).toLocaleString()}: ${entry.action}${entry.toStatus && entry.toStatus !== entry.fromStatus ? ` (${entry.fromStatus || 'new'} → ${entry.toStatus})` : ''} by ${entry.actor.username || entry.actor.type}</li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
             </div>
         `;
         
@@ -2345,8 +2697,7 @@ class AdminDashboard {
                 },
                 body: JSON.stringify({ 
                     status: newStatus,
-                    notes: `Status updated to ${newStatus} by ${this.currentUser.username}`,
-                    assignedCounselor: this.currentUser.role === 'counselor' ? this.currentUser.username : null
+                    notes: `Status updated to ${newStatus} by ${this.currentUser.username}`
                 })
             });
 
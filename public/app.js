@@ -1427,6 +1427,7 @@ const AudioPlaybackManager = {
 const ChatInterface = {
     messageHistory: [],
     typingIndicatorId: null,
+    sessionId: null, // Server chat session, kept so escalation and context carry across messages
     
     sendMessage() {
         const chatInput = document.getElementById('chatInput');
@@ -1539,6 +1540,20 @@ const ChatInterface = {
     },
 
     async sendToAI(message) {
+        // Stream the reply as it is generated when the browser can read streams
+        if (progressiveLoader && typeof ReadableStream !== 'undefined') {
+            try {
+                if (await this.streamFromAI(message)) {
+                    return;
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return;
+                }
+                console.warn('Streaming chat failed, falling back to full response:', error);
+            }
+        }
+
         try {
             const response = await fetch('/api/conversational-ai/chat', {
                 method: 'POST',
@@ -1547,6 +1562,7 @@ const ChatInterface = {
                 },
                 body: JSON.stringify({ 
                     message,
+                    sessionId: this.sessionId,
                     language: aiLanguage, // Include user's preferred language
                     history: this.getRecentHistory(5) // Send last 5 messages for context
                 })
@@ -1558,9 +1574,18 @@ const ChatInterface = {
 
             const result = await response.json();
             
+            if (result.metadata && result.metadata.sessionId) {
+                this.sessionId = result.metadata.sessionId;
+            }
+            
             // Hide typing indicator
             this.hideTypingIndicator();
             
+            // A counselor has joined; their replies arrive over the hand-off socket
+            if (result.relayedToCounselor) {
+                return;
+            }
+            
             // Check if this is a crisis response
             if (result.isCrisis && result.crisisData && crisisResponseEnabled) {
                 // Handle crisis situation
@@ -1589,6 +1614,112 @@ const ChatInterface = {
         }
     },
 
+    /**
+     * Send a message to the streaming chat endpoint and show the reply as it arrives
+     * @param {string} message - User message
+     * @returns {Promise<boolean>} False if nothing was shown and the full request should be used
+     */
+    async streamFromAI(message) {
+        // Only one reply streams at a time; a new message cancels the last one
+        this.cancelStreaming();
+        const controller = new AbortController();
+        this.streamController = controller;
+
+        const response = await fetch('/api/conversational-ai/chat/stream', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
+            },
+            body: JSON.stringify({
+                message,
+                sessionId: this.sessionId,
+                language: aiLanguage
+            }),
+            signal: controller.signal
+        });
+
+        if (!response.ok || !response.body) {
+            return false;
+        }
+
+        let messageDiv = null;
+        const result = await progressiveLoader.loadStreamedResponse(response, {
+            onText: (text) => {
+                // The bubble is created on the first token so the typing dots show until then
+                if (!messageDiv) {
+                    this.hideTypingIndicator();
+                    messageDiv = this.addStreamingMessage();
+                }
+                messageDiv.querySelector('.message-content').textContent = text;
+                this.scrollToBottom();
+            },
+            onEvent: (event, data) => {
+                if (event === 'error') {
+                    console.error('Chat stream error:', data.message);
+                }
+            }
+        });
+
+        if (this.streamController === controller) {
+            this.streamController = null;
+        }
+
+        if (!result) {
+            // Stream ended without a reply; fall back only if nothing was shown
+            if (messageDiv) {
+                this.hideTypingIndicator();
+                return true;
+            }
+            return false;
+        }
+
+        if (result.metadata && result.metadata.sessionId) {
+            this.sessionId = result.metadata.sessionId;
+        }
+
+        this.hideTypingIndicator();
+        if (messageDiv) {
+            messageDiv.remove();
+        }
+
+        if (result.relayedToCounselor) {
+            return true;
+        }
+
+        if (result.isCrisis && result.crisisData && crisisResponseEnabled) {
+            this.handleCrisisResponse(result);
+        } else {
+            this.addMessage('bot', result.message);
+
+            const workflow = VoiceModeManager.getWorkflowForMode(currentVoiceMode);
+            if (workflow && workflow.output === 'voice') {
+                await this.playTextAsSpeech(result.message);
+            }
+        }
+        return true;
+    },
+
+    addStreamingMessage() {
+        const chatMessages = document.getElementById('chatMessages');
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message bot streaming';
+
+        const messageContent = document.createElement('div');
+        messageContent.className = 'message-content';
+        messageDiv.appendChild(messageContent);
+
+        chatMessages.appendChild(messageDiv);
+        return messageDiv;
+    },
+
+    cancelStreaming() {
+        if (this.streamController) {
+            this.streamController.abort();
+            this.streamController = null;
+        }
+    },
+
     handleCrisisResponse(result) {
         // Add crisis message to chat with special styling
         const messageDiv = this.addMessage('bot', result.message);
@@ -1937,6 +2068,11 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Set up audio control event handlers
     setupAudioControlHandlers();
     
+    // Show messages from a counselor who joined after a crisis hand-off
+    document.addEventListener('counselorMessage', function(event) {
+        ChatInterface.addMessage('counselor', event.detail.content);
+    });
+    
     // Add keyboard shortcuts
     document.addEventListener('keydown', function(event) {
         // Ctrl/Cmd + M to toggle voice mode
@@ -10,6 +10,18 @@ const CrisisResponseManager = {
     isEmergencyMode: false,
     crisisResources: [],
     
+    // Helplines for the student's region, loaded from /api/resources
+    regionalResources: {
+        immediate: [],
+        high: [],
+        moderate: []
+    },
+    
+    // Counselor hand-off state
+    handoff: null,
+    handoffSocket: null,
+    handoffStatusPanel: null,
+    
     /**
      * Initialize crisis response system
      */
@@ -17,9 +29,51 @@ const CrisisResponseManager = {
         this.createCrisisModal();
         this.createEmergencyBanner();
         this.setupEventListeners();
+        this.loadRegionalResources();
         console.log('Crisis Response Manager initialized');
     },
     
+    /**
+     * Load helplines for the student's region and language
+     */
+    async loadRegionalResources() {
+        const language = typeof currentLanguage !== 'undefined' ? currentLanguage : 'en';
+        
+        try {
+            const severities = Object.keys(this.regionalResources);
+            const results = await Promise.all(severities.map(severity =>
+                fetch(`/api/resources?severity=${severity}&language=${encodeURIComponent(language)}`)
+                    .then(response => response.ok ? response.json() : { resources: [] })
+            ));
+            
+            severities.forEach((severity, index) => {
+                this.regionalResources[severity] = results[index].resources || [];
+            });
+            
+            this.renderEmergencyBannerActions();
+        } catch (error) {
+            console.warn('Failed to load regional crisis resources:', error);
+        }
+    },
+    
+    /**
+     * Get the general emergency number for the student's region
+     * @returns {string} Emergency number
+     */
+    getEmergencyNumber() {
+        const emergency = this.regionalResources.immediate.find(r => r.emergencyNumber);
+        return emergency ? emergency.phoneNumber : '112';
+    },
+    
+    /**
+     * Get the primary crisis helpline for the student's region
+     * @returns {string} Helpline number
+     */
+    getHelplineNumber() {
+        const helpline = this.regionalResources.high.find(r => r.phoneNumber && !/^text\b/i.test(r.phoneNumber));
+        return helpline ? helpline.phoneNumber : '14416';
+    },
+    
     /**
      * Handle crisis detection from AI response
      * @param {Object} crisisData - Crisis information from AI service
@@ -52,6 +106,126 @@ const CrisisResponseManager = {
         if (crisisData.workflow) {
             this.executeEscalationWorkflow(crisisData.workflow);
         }
+        
+        // A counselor has been notified for level 3 escalations
+        if (crisisData.handoff) {
+            this.showHandoffStatus(crisisData.handoff);
+        }
+    },
+    
+    /**
+     * Show counselor hand-off status and subscribe to live updates
+     * @param {Object} handoff - Hand-off info { caseId, token, status }
+     */
+    showHandoffStatus(handoff) {
+        if (!this.handoffStatusPanel) {
+            this.createHandoffStatusPanel();
+        }
+        
+        const isNewCase = !this.handoff || this.handoff.caseId !== handoff.caseId;
+        this.handoff = { ...this.handoff, ...handoff };
+        this.updateHandoffStatus(this.handoff);
+        
+        if (isNewCase && handoff.token) {
+            this.subscribeToHandoff(handoff.caseId, handoff.token);
+        }
+    },
+    
+    /**
+     * Create the hand-off status panel above the chat
+     */
+    createHandoffStatusPanel() {
+        const panelHTML = `
+            <div id="counselorHandoffStatus" class="counselor-handoff-status" role="status" aria-live="polite" style="display: none;">
+                <span class="handoff-icon">🤝</span>
+                <span id="handoffStatusText" class="handoff-status-text"></span>
+            </div>
+        `;
+        
+        const chatMessages = document.getElementById('chatMessages');
+        if (chatMessages) {
+            chatMessages.insertAdjacentHTML('beforebegin', panelHTML);
+        } else {
+            document.body.insertAdjacentHTML('afterbegin', panelHTML);
+        }
+        
+        this.handoffStatusPanel = document.getElementById('counselorHandoffStatus');
+    },
+    
+    /**
+     * Update the hand-off status text
+     * @param {Object} status - Student-facing case status
+     */
+    updateHandoffStatus(status) {
+        const statusMessages = {
+            pending: 'A counselor has been notified. We are connecting you with the next available counselor — please stay with us.',
+            assigned: 'A counselor has been notified and will be with you shortly.',
+            acknowledged: 'A counselor is reviewing your conversation and will join you in a moment.',
+            joined: 'A counselor has joined the chat. Your messages now go directly to them.',
+            resolved: 'Your counselor has closed this conversation. You can reach out again at any time.'
+        };
+        
+        const text = document.getElementById('handoffStatusText');
+        if (text) {
+            text.textContent = statusMessages[status.status] || statusMessages.pending;
+        }
+        
+        if (this.handoffStatusPanel) {
+            this.handoffStatusPanel.className = `counselor-handoff-status handoff-${status.status}`;
+            this.handoffStatusPanel.style.display = 'flex';
+        }
+        
+        document.dispatchEvent(new CustomEvent('counselorHandoffStatus', { detail: status }));
+    },
+    
+    /**
+     * Subscribe to live case updates over Socket.IO
+     * @param {string} caseId - Escalation case identifier
+     * @param {string} token - Student access token for the case
+     */
+    subscribeToHandoff(caseId, token) {
+        if (typeof io === 'undefined') {
+            console.warn('Socket.IO client not loaded, counselor hand-off status will not update live');
+            return;
+        }
+        
+        if (!this.handoffSocket) {
+            this.handoffSocket = io({
+                path: '/socket.io/',
+                transports: ['websocket', 'polling']
+            });
+            
+            this.handoffSocket.on('escalation-status', (status) => {
+                if (this.handoff && status.caseId === this.handoff.caseId) {
+                    this.handoff = { ...this.handoff, ...status };
+                    this.updateHandoffStatus(this.handoff);
+                }
+            });
+            
+            this.handoffSocket.on('escalation-message', (message) => {
+                if (message.role === 'counselor') {
+                    document.dispatchEvent(new CustomEvent('counselorMessage', { detail: message }));
+                }
+            });
+            
+            this.handoffSocket.on('escalation-error', (error) => {
+                console.error('Counselor hand-off error:', error.message);
+            });
+            
+            // Re-subscribe after reconnects
+            this.handoffSocket.on('connect', () => {
+                if (this.handoff) {
+                    this.handoffSocket.emit('escalation-subscribe', {
+                        caseId: this.handoff.caseId,
+                        token: this.handoff.token
+                    });
+                }
+            });
+        }
+        
+        if (this.handoffSocket.connected) {
+            this.handoffSocket.emit('escalation-subscribe', { caseId, token });
+        }
     },
     
     /**
@@ -72,13 +246,13 @@ const CrisisResponseManager = {
             resources: this.getEmergencyResources(),
             actions: [
                 {
-                    text: 'Call 911 Now',
-                    action: () => this.initiateEmergencyCall('911'),
+                    text: `Call ${this.getEmergencyNumber()} Now`,
+                    action: () => this.initiateEmergencyCall(this.getEmergencyNumber()),
                     priority: 'critical'
                 },
                 {
-                    text: 'Call Crisis Line (988)',
-                    action: () => this.initiateEmergencyCall('988'),
+                    text: `Call Crisis Line (${this.getHelplineNumber()})`,
+                    action: () => this.initiateEmergencyCall(this.getHelplineNumber()),
                     priority: 'high'
                 },
                 {
@@ -108,8 +282,8 @@ const CrisisResponseManager = {
             resources: this.getCrisisResources(),
             actions: [
                 {
-                    text: 'Call Crisis Line (988)',
-                    action: () => this.initiateEmergencyCall('988'),
+                    text: `Call Crisis Line (${this.getHelplineNumber()})`,
+                    action: () => this.initiateEmergencyCall(this.getHelplineNumber()),
                     priority: 'high'
                 },
                 {
@@ -139,7 +313,7 @@ const CrisisResponseManager = {
             actions: [
                 {
                     text: 'Call Support Line',
-                    action: () => this.initiateCall('1-800-662-4357'),
+                    action: () => this.initiateCall(this.getSupportResources()[0]?.phoneNumber || this.getHelplineNumber()),
                     priority: 'medium'
                 },
                 {
@@ -168,8 +342,8 @@ const CrisisResponseManager = {
             resources: this.getCrisisResources(),
             actions: [
                 {
-                    text: 'Call Crisis Line (988)',
-                    action: () => this.initiateEmergencyCall('988'),
+                    text: `Call Crisis Line (${this.getHelplineNumber()})`,
+                    action: () => this.initiateEmergencyCall(this.getHelplineNumber()),
                     priority: 'high'
                 },
                 {
@@ -228,17 +402,7 @@ const CrisisResponseManager = {
                 <div class="emergency-content">
                     <span class="emergency-icon">🚨</span>
                     <span class="emergency-text">Emergency Support Available 24/7</span>
-                    <div class="emergency-actions">
-                        <button class="emergency-btn" onclick="CrisisResponseManager.initiateEmergencyCall('911')">
-                            Call 911
-                        </button>
-                        <button class="emergency-btn" onclick="CrisisResponseManager.initiateEmergencyCall('988')">
-                            Crisis Line 988
-                        </button>
-                        <button class="emergency-btn-text" onclick="CrisisResponseManager.initiateTextCrisis()">
-                            Text HOME to 741741
-                        </button>
-                    </div>
+                    <div class="emergency-actions"></div>
                 </div>
             </div>
         `;
@@ -252,6 +416,32 @@ const CrisisResponseManager = {
         }
         
         this.emergencyBanner = document.getElementById('emergencyBanner');
+        this.renderEmergencyBannerActions();
+    },
+    
+    /**
+     * Render the banner's call buttons for the student's region
+     */
+    renderEmergencyBannerActions() {
+        const actions = this.emergencyBanner && this.emergencyBanner.querySelector('.emergency-actions');
+        if (!actions) return;
+        
+        const emergencyNumber = this.getEmergencyNumber();
+        const helplineNumber = this.getHelplineNumber();
+        const textLine = this.getTextLine();
+        
+        actions.innerHTML = `
+            <button class="emergency-btn" onclick="CrisisResponseManager.initiateEmergencyCall('${emergencyNumber}')">
+                Call ${emergencyNumber}
+            </button>
+            <button class="emergency-btn" onclick="CrisisResponseManager.initiateEmergencyCall('${helplineNumber}')">
+                Crisis Line ${helplineNumber}
+            </button>
+            ${textLine ? `
+            <button class="emergency-btn-text" onclick="CrisisResponseManager.initiateTextCrisis()">
+                ${textLine.phoneNumber}
+            </button>` : ''}
+        `;
     },
     
     /**
@@ -405,16 +595,34 @@ const CrisisResponseManager = {
      * Initiate text crisis support
      */
     initiateTextCrisis() {
+        const textLine = this.getTextLine();
+        
+        // Regions without a text line get the crisis helpline instead
+        if (!textLine) {
+            this.initiateEmergencyCall(this.getHelplineNumber());
+            return;
+        }
+        
+        // "Text HOME to 741741" -> keyword HOME, number 741741
+        const [, keyword, number] = textLine.phoneNumber.match(/^text\s+(\S+)\s+to\s+(\S+)/i) || [];
+        
         // Try to open SMS app
-        const smsLink = 'sms:741741?body=HOME';
-        window.location.href = smsLink;
+        window.location.href = `sms:${number}?body=${encodeURIComponent(keyword || '')}`;
         
         // Show backup instructions
         setTimeout(() => {
-            alert('If SMS didn\'t open automatically, text HOME to 741741 for crisis support.');
+            alert(`If SMS didn't open automatically, ${textLine.phoneNumber.toLowerCase()} for crisis support.`);
         }, 1000);
     },
     
+    /**
+     * Get the crisis text line for the student's region, if there is one
+     * @returns {Object|null} Text line resource
+     */
+    getTextLine() {
+        return this.regionalResources.high.find(r => r.phoneNumber && /^text\b/i.test(r.phoneNumber)) || null;
+    },
+    
     /**
      * Execute escalation workflow
      * @param {Object} workflow - Escalation workflow
@@ -467,7 +675,7 @@ const CrisisResponseManager = {
     offerEmergencyContact() {
         const offer = confirm('Would you like me to help you contact emergency services right now?');
         if (offer) {
-            this.initiateEmergencyCall('911');
+            this.initiateEmergencyCall(this.getEmergencyNumber());
         }
     },
     
@@ -557,8 +765,8 @@ const CrisisResponseManager = {
             resources: this.getCrisisResources(),
             actions: [
                 {
-                    text: 'Call Crisis Line (988)',
-                    action: () => this.initiateEmergencyCall('988'),
+                    text: `Call Crisis Line (${this.getHelplineNumber()})`,
+                    action: () => this.initiateEmergencyCall(this.getHelplineNumber()),
                     priority: 'high'
                 },
                 {
@@ -712,26 +920,18 @@ const CrisisResponseManager = {
      * @returns {Array} Emergency resources
      */
     getEmergencyResources() {
-        return [
+        return this.regionalResources.immediate.length > 0 ? this.regionalResources.immediate : [
             {
                 name: 'Emergency Services',
-                phoneNumber: '911',
+                phoneNumber: this.getEmergencyNumber(),
                 availability: '24/7',
                 description: 'For immediate life-threatening emergencies'
             },
             {
-                name: 'National Suicide Prevention Lifeline',
-                phoneNumber: '988',
-                website: 'https://suicidepreventionlifeline.org',
+                name: 'Crisis Helpline',
+                phoneNumber: this.getHelplineNumber(),
                 availability: '24/7',
                 description: 'Free and confidential emotional support'
-            },
-            {
-                name: 'Crisis Text Line',
-                phoneNumber: 'Text HOME to 741741',
-                website: 'https://www.crisistextline.org',
-                availability: '24/7',
-                description: 'Free crisis support via text message'
             }
         ];
     },
@@ -741,29 +941,13 @@ const CrisisResponseManager = {
      * @returns {Array} Crisis resources
      */
     getCrisisResources() {
-        return this.crisisResources.length > 0 ? this.crisisResources : [
-            {
-                name: 'National Suicide Prevention Lifeline',
-                phoneNumber: '988',
-                website: 'https://suicidepreventionlifeline.org',
-                availability: '24/7',
-                description: 'Free and confidential emotional support'
-            },
-            {
-                name: 'Crisis Text Line',
-                phoneNumber: 'Text HOME to 741741',
-                website: 'https://www.crisistextline.org',
-                availability: '24/7',
-                description: 'Free crisis support via text message'
-            },
-            {
-                name: 'SAMHSA National Helpline',
-                phoneNumber: '1-800-662-4357',
-                website: 'https://www.samhsa.gov/find-help/national-helpline',
-                availability: '24/7',
-                description: 'Treatment referral and information service'
-            }
-        ];
+        if (this.crisisResources.length > 0) {
+            return this.crisisResources;
+        }
+        
+        return this.regionalResources.high.length > 0
+            ? this.regionalResources.high
+            : this.getEmergencyResources().slice(1);
     },
     
     /**
@@ -771,22 +955,9 @@ const CrisisResponseManager = {
      * @returns {Array} Support resources
      */
     getSupportResources() {
-        return [
-            {
-                name: 'SAMHSA National Helpline',
-                phoneNumber: '1-800-662-4357',
-                website: 'https://www.samhsa.gov/find-help/national-helpline',
-                availability: '24/7',
-                description: 'Treatment referral and information service'
-            },
-            {
-                name: 'National Alliance on Mental Illness (NAMI)',
-                phoneNumber: '1-800-950-6264',
-                website: 'https://www.nami.org',
-                availability: 'Mon-Fri 10am-10pm ET',
-                description: 'Support and education for mental health'
-            }
-        ];
+        return this.regionalResources.moderate.length > 0
+            ? this.regionalResources.moderate
+            : this.getCrisisResources();
     },
     
     /**
@@ -166,6 +166,75 @@ class ProgressiveLoadingManager {
         });
     }
 
+    /**
+     * Read a Server-Sent Events response (e.g. /api/conversational-ai/chat/stream)
+     * and pass on the reply text as the tokens arrive, instead of replaying a
+     * finished reply with loadAIResponse
+     * @param {Response} response - fetch() response with an event-stream body
+     * @param {Object} handlers - onText(textSoFar) on every change, onEvent(event, data) for every event
+     * @returns {Promise<Object|null>} Data of the done event, null if the stream ended early
+     */
+    async loadStreamedResponse(response, handlers = {}) {
+        const startTime = performance.now();
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let done = null;
+
+        const handleEvent = (block) => {
+            let event = 'message';
+            let data = '';
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data += line.slice(5).trim();
+                }
+            });
+            if (!data) {
+                return;
+            }
+
+            const payload = JSON.parse(data);
+            if (event === 'token') {
+                text += payload.text;
+                this.metrics.chunksProcessed++;
+            } else if (event === 'replace') {
+                text = payload.text;
+            } else if (event === 'done') {
+                done = payload;
+            }
+
+            if ((event === 'token' || event === 'replace') && handlers.onText) {
+                handlers.onText(text);
+            }
+            if (handlers.onEvent) {
+                handlers.onEvent(event, payload);
+            }
+        };
+
+        try {
+            while (true) {
+                const { value, done: finished } = await reader.read();
+                if (finished) {
+                    break;
+                }
+
+                buffer += decoder.decode(value, { stream: true });
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    handleEvent(buffer.slice(0, boundary));
+                    buffer = buffer.slice(boundary + 2);
+                }
+            }
+        } finally {
+            this.updateMetrics(performance.now() - startTime);
+        }
+
+        return done;
+    }
+
     /**
      * Preload content for faster access
      * @param {Function|string} preloadTarget - Function to call or content to preload
@@ -4,7 +4,20 @@ const AnalyticsService = require('../services/analyticsService');
 
 const router = express.Router();
 const authMiddleware = new AuthMiddleware();
-const analyticsService = new AnalyticsService();
+
+// The server shares one analytics service (app.locals.analyticsService) between
+// the tracking middleware and these routes, so both see the same persisted data.
+// A router mounted on its own falls back to a service of its own.
+let ownAnalyticsService = null;
+function analyticsFor(req) {
+  if (req.app.locals.analyticsService) {
+    return req.app.locals.analyticsService;
+  }
+  if (!ownAnalyticsService) {
+    ownAnalyticsService = new AnalyticsService();
+  }
+  return ownAnalyticsService;
+}
 
 // Middleware to ensure only admin and counselor access
 const requireAdminOrCounselor = [
@@ -15,7 +28,7 @@ const requireAdminOrCounselor = [
 // Get usage statistics (overview data)
 router.get('/usage', requireAdminOrCounselor, (req, res) => {
   try {
-    const stats = analyticsService.getUsageStatistics();
+    const stats = analyticsFor(req).getUsageStatistics();
     res.status(200).json({
       success: true,
       data: stats
@@ -40,7 +53,7 @@ router.get('/range', requireAdminOrCounselor, (req, res) => {
       });
     }
 
-    const analytics = analyticsService.getAnalyticsByDateRange(startDate, endDate);
+    const analytics = analyticsFor(req).getAnalyticsByDateRange(startDate, endDate);
     
     res.status(200).json({
       success: true,
@@ -59,7 +72,7 @@ router.get('/range', requireAdminOrCounselor, (req, res) => {
 router.get('/daily/:date?', requireAdminOrCounselor, (req, res) => {
   try {
     const { date } = req.params;
-    const analytics = analyticsService.getDailyAnalytics(date);
+    const analytics = analyticsFor(req).getDailyAnalytics(date);
     
     if (!analytics) {
       return res.status(404).json({
@@ -83,7 +96,7 @@ router.get('/daily/:date?', requireAdminOrCounselor, (req, res) => {
 // Get weekly analytics
 router.get('/weekly', requireAdminOrCounselor, (req, res) => {
   try {
-    const analytics = analyticsService.getWeeklyAnalytics();
+    const analytics = analyticsFor(req).getWeeklyAnalytics();
     
     res.status(200).json({
       success: true,
@@ -101,7 +114,7 @@ router.get('/weekly', requireAdminOrCounselor, (req, res) => {
 // Get monthly analytics
 router.get('/monthly', requireAdminOrCounselor, (req, res) => {
   try {
-    const analytics = analyticsService.getMonthlyAnalytics();
+    const analytics = analyticsFor(req).getMonthlyAnalytics();
     
     res.status(200).json({
       success: true,
@@ -120,7 +133,7 @@ router.get('/monthly', requireAdminOrCounselor, (req, res) => {
 router.get('/topics', requireAdminOrCounselor, (req, res) => {
   try {
     const { days = 7 } = req.query;
-    const topics = analyticsService.getTopicTrends(parseInt(days));
+    const topics = analyticsFor(req).getTopicTrends(parseInt(days));
     
     res.status(200).json({
       success: true,
@@ -139,7 +152,7 @@ router.get('/topics', requireAdminOrCounselor, (req, res) => {
 router.get('/sentiment', requireAdminOrCounselor, (req, res) => {
   try {
     const { days = 7 } = req.query;
-    const sentiment = analyticsService.getSentimentTrends(parseInt(days));
+    const sentiment = analyticsFor(req).getSentimentTrends(parseInt(days));
     
     res.status(200).json({
       success: true,
@@ -154,11 +167,30 @@ router.get('/sentiment', requireAdminOrCounselor, (req, res) => {
   }
 });
 
+// Get self-reported mood trends from check-ins
+router.get('/mood', requireAdminOrCounselor, (req, res) => {
+  try {
+    const { days = 7 } = req.query;
+    const mood = analyticsFor(req).getMoodTrends(parseInt(days));
+
+    res.status(200).json({
+      success: true,
+      data: mood,
+      count: mood.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve mood trends',
+      message: error.message
+    });
+  }
+});
+
 // Get crisis statistics
 router.get('/crisis', requireAdminOrCounselor, (req, res) => {
   try {
     const { days = 7 } = req.query;
-    const crisisStats = analyticsService.getCrisisStatistics(parseInt(days));
+    const crisisStats = analyticsFor(req).getCrisisStatistics(parseInt(days));
     
     res.status(200).json({
       success: true,
@@ -184,7 +216,7 @@ router.post('/interaction', authMiddleware.authenticate, (req, res) => {
       });
     }
 
-    const interactionId = analyticsService.recordUserInteraction(userId, interactionData);
+    const interactionId = analyticsFor(req).recordUserInteraction(userId, interactionData);
     
     res.status(201).json({
       success: true,
@@ -202,14 +234,14 @@ router.post('/interaction', authMiddleware.authenticate, (req, res) => {
 // Export analytics data
 router.get('/export', requireAdminOrCounselor, (req, res) => {
   try {
-    const { format = 'json', startDate, endDate } = req.query;
+    const { format = 'json', startDate, endDate, noise, epsilon } = req.query;
     
     let dateRange = null;
     if (startDate && endDate) {
       dateRange = { start: startDate, end: endDate };
     }
 
-    const exportData = analyticsService.exportAnalyticsData(format, dateRange);
+    const exportData = analyticsFor(req).exportAnalyticsData(format, dateRange, { noise, epsilon });
     
     // Set appropriate headers based on format
     if (format.toLowerCase() === 'csv') {
@@ -222,7 +254,7 @@ router.get('/export', requireAdminOrCounselor, (req, res) => {
     
     res.status(200).send(exportData);
   } catch (error) {
-    res.status(500).json({
+    res.status(error.isValidationError ? 400 : 500).json({
       error: 'Failed to export analytics data',
       message: error.message
     });
@@ -232,7 +264,7 @@ router.get('/export', requireAdminOrCounselor, (req, res) => {
 // Get system health metrics (admin only)
 router.get('/health', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
   try {
-    const health = analyticsService.getSystemHealth();
+    const health = analyticsFor(req).getSystemHealth();
     
     res.status(200).json({
       success: true,
@@ -247,14 +279,15 @@ router.get('/health', authMiddleware.authenticate, authMiddleware.adminOnly, (re
 });
 
 // Cleanup old data (admin only)
-router.post('/cleanup', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+router.post('/cleanup', authMiddleware.authenticate, authMiddleware.adminOnly, async (req, res) => {
   try {
     const { retentionDays = 90 } = req.body;
     
-    analyticsService.cleanupOldData(parseInt(retentionDays));
+    const removed = await analyticsFor(req).cleanupOldData(parseInt(retentionDays));
     
     res.status(200).json({
       success: true,
+      removed,
       message: `Old data cleaned up successfully. Retention: ${retentionDays} days`
     });
   } catch (error) {
@@ -268,7 +301,7 @@ router.post('/cleanup', authMiddleware.authenticate, authMiddleware.adminOnly, (
 // Get peak hours analysis
 router.get('/peak-hours', requireAdminOrCounselor, (req, res) => {
   try {
-    const peakHours = analyticsService.getPeakHours();
+    const peakHours = analyticsFor(req).getPeakHours();
     
     res.status(200).json({
       success: true,
@@ -285,7 +318,7 @@ router.get('/peak-hours', requireAdminOrCounselor, (req, res) => {
 // Get active sessions count
 router.get('/active-sessions', requireAdminOrCounselor, (req, res) => {
   try {
-    const activeCount = analyticsService.getActiveSessionsCount();
+    const activeCount = analyticsFor(req).getActiveSessionsCount();
     
     res.status(200).json({
       success: true,
@@ -305,7 +338,7 @@ router.get('/active-sessions', requireAdminOrCounselor, (req, res) => {
 // Generate analytics report
 router.post('/report', requireAdminOrCounselor, (req, res) => {
   try {
-    const { reportType, dateRange, includeDetails = false } = req.body;
+    const { reportType, dateRange, includeDetails = false, noise, epsilon } = req.body;
     
     let reportData = {};
     
@@ -314,10 +347,10 @@ router.post('/report', requireAdminOrCounselor, (req, res) => {
         reportData = {
           type: 'Usage Report',
           period: dateRange,
-          summary: analyticsService.getUsageStatistics(),
+          summary: analyticsFor(req).getUsageStatistics(),
           trends: dateRange ? 
-            analyticsService.getAnalyticsByDateRange(dateRange.start, dateRange.end) :
-            analyticsService.getWeeklyAnalytics()
+            analyticsFor(req).getAnalyticsByDateRange(dateRange.start, dateRange.end) :
+            analyticsFor(req).getWeeklyAnalytics()
         };
         break;
         
@@ -325,11 +358,11 @@ router.post('/report', requireAdminOrCounselor, (req, res) => {
         reportData = {
           type: 'Mental Health Trends Report',
           period: dateRange,
-          sentimentTrends: analyticsService.getSentimentTrends(dateRange ? 
+          sentimentTrends: analyticsFor(req).getSentimentTrends(dateRange ? 
             Math.ceil((new Date(dateRange.end) - new Date(dateRange.start)) / (1000 * 60 * 60 * 24)) : 7),
-          topicTrends: analyticsService.getTopicTrends(dateRange ? 
+          topicTrends: analyticsFor(req).getTopicTrends(dateRange ? 
             Math.ceil((new Date(dateRange.end) - new Date(dateRange.start)) / (1000 * 60 * 60 * 24)) : 7),
-          crisisStats: analyticsService.getCrisisStatistics(dateRange ? 
+          crisisStats: analyticsFor(req).getCrisisStatistics(dateRange ? 
             Math.ceil((new Date(dateRange.end) - new Date(dateRange.start)) / (1000 * 60 * 60 * 24)) : 7)
         };
         break;
@@ -338,9 +371,9 @@ router.post('/report', requireAdminOrCounselor, (req, res) => {
         reportData = {
           type: 'Crisis Interventions Report',
           period: dateRange,
-          crisisStatistics: analyticsService.getCrisisStatistics(dateRange ? 
+          crisisStatistics: analyticsFor(req).getCrisisStatistics(dateRange ? 
             Math.ceil((new Date(dateRange.end) - new Date(dateRange.start)) / (1000 * 60 * 60 * 24)) : 7),
-          peakHours: analyticsService.getPeakHours()
+          peakHours: analyticsFor(req).getPeakHours()
         };
         break;
         
@@ -351,6 +384,8 @@ router.post('/report', requireAdminOrCounselor, (req, res) => {
         });
     }
     
+    // Reports are published aggregates, so they get the same guard as exports
+    reportData = analyticsFor(req).protectReport(reportType, reportData, { noise, epsilon });
     reportData.generatedAt = new Date().toISOString();
     reportData.generatedBy = req.user.username;
     
@@ -359,7 +394,7 @@ router.post('/report', requireAdminOrCounselor, (req, res) => {
       report: reportData
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.isValidationError ? 400 : 500).json({
       error: 'Failed to generate report',
       message: error.message
     });
@@ -21,25 +21,171 @@ router.post('/login', async (req, res) => {
     // Wait for service initialization
     await userManagementService.waitForInitialization();
 
-    const authResult = await userManagementService.authenticateUser(username, password);
+    const authResult = await userManagementService.authenticateUser(username, password, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     res.status(200).json({
       message: 'Login successful',
       ...authResult
     });
   } catch (error) {
-    res.status(401).json({
+    // 503 until the first admin exists, 423 while the account is locked
+    const status = error.code === 'SETUP_REQUIRED' ? 503 : error.code === 'ACCOUNT_LOCKED' ? 423 : 401;
+    res.status(status).json({
       error: 'Authentication failed',
+      code: error.code,
+      message: error.message
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair. Refresh tokens rotate:
+// each one works once, and reusing a spent one ends the session.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Missing refresh token',
+        message: 'A refresh token is required'
+      });
+    }
+
+    await userManagementService.waitForInitialization();
+    const tokens = await userManagementService.refreshSession(refreshToken);
+
+    res.status(200).json({
+      message: 'Token refreshed',
+      ...tokens
+    });
+  } catch (error) {
+    res.status(401).json({
+      error: 'Token refresh failed',
+      message: error.message
+    });
+  }
+});
+
+// First-run setup: create the initial admin with the setup token printed at startup
+router.get('/setup', async (req, res) => {
+  try {
+    await userManagementService.waitForInitialization();
+    res.status(200).json({
+      setupRequired: userManagementService.needsSetup()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Setup status unavailable',
+      message: error.message
+    });
+  }
+});
+
+router.post('/setup', async (req, res) => {
+  try {
+    const { setupToken, username, email, fullName, password } = req.body;
+
+    if (!setupToken) {
+      return res.status(400).json({
+        error: 'Missing setup token',
+        message: 'The setup token printed in the server log is required'
+      });
+    }
+
+    await userManagementService.waitForInitialization();
+    const user = await userManagementService.completeSetup(setupToken, { username, email, fullName, password });
+
+    res.status(201).json({
+      message: 'Admin account created. You can now log in.',
+      user
+    });
+  } catch (error) {
+    const status = error.code === 'SETUP_COMPLETE' ? 409 : error.code === 'INVALID_SETUP_TOKEN' ? 403 : 400;
+    res.status(status).json({
+      error: 'Setup failed',
+      message: error.message
+    });
+  }
+});
+
+// Request a password reset email. Always answers 202 so the endpoint
+// cannot be used to find out which usernames exist.
+router.post('/password-reset/request', async (req, res) => {
+  try {
+    const { username } = req.body;
+    const email = req.app.locals.notifications && req.app.locals.notifications.channels.email;
+
+    // The file and console transports would leave the code readable on the
+    // server, so without real email an admin has to issue it instead
+    if (!email || !email.delivers) {
+      return res.status(503).json({
+        error: 'Password reset unavailable',
+        message: 'Self-service password reset needs email delivery. Ask an administrator for a reset code.'
+      });
+    }
+
+    if (username) {
+      await userManagementService.waitForInitialization();
+      const reset = await userManagementService.createPasswordReset(username);
+
+      if (reset) {
+        // Sent straight to the channel: the token must not sit in the delivery log
+        email.send({
+          to: reset.user.email,
+          subject: 'AarogyaTech password reset',
+          text: `A password reset was requested for ${reset.user.username}.\n\n` +
+            `Reset code: ${reset.token}\n\n` +
+            `The code expires at ${reset.expiresAt}. If you did not ask for this, ignore this email.`,
+          type: 'password-reset'
+        }).catch(error => console.error(`Password reset email for ${reset.user.username} failed:`, error.message));
+      }
+    }
+
+    res.status(202).json({
+      message: 'If the account exists, a reset code has been sent to its email address'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Password reset request failed',
+      message: error.message
+    });
+  }
+});
+
+// Set a new password with a reset code
+router.post('/password-reset', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        error: 'Missing fields',
+        message: 'Reset token and new password are required'
+      });
+    }
+
+    await userManagementService.waitForInitialization();
+    await userManagementService.resetPassword(token, newPassword);
+
+    res.status(200).json({
+      message: 'Password reset successfully. You can now log in.'
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Password reset failed',
       message: error.message
     });
   }
 });
 
-// Logout endpoint
-router.post('/logout', authMiddleware.authenticate, (req, res) => {
+// Logout endpoint: ends the session, so the token stops working immediately
+router.post('/logout', authMiddleware.authenticateAllowingPasswordChange, async (req, res) => {
   try {
     const sessionId = req.user.sessionId;
-    const success = userManagementService.logout(sessionId);
+    const success = await userManagementService.logout(sessionId, req.user.username);
 
     if (success) {
       res.status(200).json({
@@ -59,8 +205,25 @@ router.post('/logout', authMiddleware.authenticate, (req, res) => {
   }
 });
 
+// Log out every session of the current user, this one included
+router.post('/logout-all', authMiddleware.authenticateAllowingPasswordChange, async (req, res) => {
+  try {
+    const ended = await userManagementService.logoutAll(req.user.username, req.user.username);
+
+    res.status(200).json({
+      message: 'All sessions logged out',
+      sessionsEnded: ended
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Logout failed',
+      message: error.message
+    });
+  }
+});
+
 // Get current user profile
-router.get('/profile', authMiddleware.authenticate, async (req, res) => {
+router.get('/profile', authMiddleware.authenticateAllowingPasswordChange, async (req, res) => {
   try {
     await userManagementService.waitForInitialization();
     const user = userManagementService.getUserByUsername(req.user.username);
@@ -83,8 +246,10 @@ router.get('/profile', authMiddleware.authenticate, async (req, res) => {
   }
 });
 
-// Change password
-router.post('/change-password', authMiddleware.authenticate, async (req, res) => {
+// Change password. Also accepted from accounts that must change their
+// password; the response carries a fresh token without that restriction.
+// The user's other sessions are logged out.
+router.post('/change-password', authMiddleware.authenticateAllowingPasswordChange, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -96,10 +261,11 @@ router.post('/change-password', authMiddleware.authenticate, async (req, res) =>
     }
 
     await userManagementService.waitForInitialization();
-    await userManagementService.changePassword(req.user.username, currentPassword, newPassword);
+    await userManagementService.changePassword(req.user.username, currentPassword, newPassword, req.user.sessionId);
 
     res.status(200).json({
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      token: authMiddleware.generateToken({ ...req.user, mustChangePassword: false })
     });
   } catch (error) {
     res.status(400).json({
@@ -217,27 +383,59 @@ router.put('/users/:username', authMiddleware.authenticate, authMiddleware.admin
   }
 });
 
-// Delete user (admin only)
-router.delete('/users/:username', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+// Disable user (admin only). Accounts are kept so their history stays
+// attributable; re-enable with PUT { isActive: true }.
+router.delete('/users/:username', authMiddleware.authenticate, authMiddleware.adminOnly, async (req, res) => {
   try {
     const { username } = req.params;
-    userManagementService.deleteUser(username);
+    const user = await userManagementService.disableUser(username, req.user.username);
 
     res.status(200).json({
-      message: 'User deleted successfully'
+      message: 'User disabled successfully',
+      user
     });
   } catch (error) {
-    res.status(400).json({
-      error: 'User deletion failed',
+    res.status(error.message === 'User not found' ? 404 : 400).json({
+      error: 'User disable failed',
       message: error.message
     });
   }
 });
 
-// Get active sessions (admin only)
-router.get('/sessions', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+// Issue a password reset code for a user (admin only), for staff without
+// working email. The admin hands the code over in person.
+router.post('/users/:username/password-reset', authMiddleware.authenticate, authMiddleware.adminOnly, async (req, res) => {
   try {
-    const sessions = userManagementService.getActiveSessions();
+    const { username } = req.params;
+    const reset = await userManagementService.createPasswordReset(username);
+
+    if (!reset) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: `No active user with username '${username}'`
+      });
+    }
+
+    res.status(201).json({
+      message: 'Password reset code created',
+      token: reset.token,
+      expiresAt: reset.expiresAt
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Password reset failed',
+      message: error.message
+    });
+  }
+});
+
+// Get active sessions
+// Admins see every session (?username= to filter); other users see their own
+router.get('/sessions', authMiddleware.authenticate, (req, res) => {
+  try {
+    const username = req.user.role === 'admin' ? req.query.username : req.user.username;
+    const sessions = userManagementService.getActiveSessions({ username })
+      .map(session => ({ ...session, current: session.sessionId === req.user.sessionId }));
     
     res.status(200).json({
       sessions,
@@ -251,6 +449,49 @@ router.get('/sessions', authMiddleware.authenticate, authMiddleware.adminOnly, (
   }
 });
 
+// End a session (admin, or the session's own user)
+router.delete('/sessions/:sessionId', authMiddleware.authenticate, async (req, res) => {
+  try {
+    const session = userManagementService.getSession(req.params.sessionId);
+
+    // Other users' sessions look the same as missing ones to non-admins
+    if (!session || (req.user.role !== 'admin' && session.username !== req.user.username)) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'Session not found'
+      });
+    }
+
+    const ended = await userManagementService.logout(session.sessionId, req.user.username);
+
+    res.status(200).json({
+      message: ended ? 'Session ended' : 'Session had already ended'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to end session',
+      message: error.message
+    });
+  }
+});
+
+// Log out every session of a user (admin only)
+router.delete('/users/:username/sessions', authMiddleware.authenticate, authMiddleware.adminOnly, async (req, res) => {
+  try {
+    const ended = await userManagementService.logoutAll(req.params.username, req.user.username);
+
+    res.status(200).json({
+      message: 'Sessions ended',
+      sessionsEnded: ended
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to end sessions',
+      message: error.message
+    });
+  }
+});
+
 // Get user statistics (admin only)
 router.get('/stats/users', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
   try {
@@ -268,12 +509,13 @@ router.get('/stats/users', authMiddleware.authenticate, authMiddleware.adminOnly
 });
 
 // Cleanup expired sessions (admin only)
-router.post('/sessions/cleanup', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+router.post('/sessions/cleanup', authMiddleware.authenticate, authMiddleware.adminOnly, async (req, res) => {
   try {
-    userManagementService.cleanupExpiredSessions();
+    const removed = await userManagementService.cleanupExpiredSessions();
     
     res.status(200).json({
-      message: 'Expired sessions cleaned up successfully'
+      message: 'Expired sessions cleaned up successfully',
+      removed
     });
   } catch (error) {
     res.status(500).json({
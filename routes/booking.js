@@ -14,14 +14,142 @@
  */
 
 const express = require('express');
+const AuthMiddleware = require('../middleware/authMiddleware');
 const ErrorHandlingMiddleware = require('../middleware/errorHandlingMiddleware');
 const BookingService = require('../services/bookingService');
+const ResourceDirectoryService = require('../services/resourceDirectoryService');
+const CalendarExportService = require('../services/calendarExportService');
 
 const router = express.Router();
+const authMiddleware = new AuthMiddleware();
 const bookingService = new BookingService();
+const resourceDirectory = new ResourceDirectoryService();
+const calendarExport = new CalendarExportService({ calendar: bookingService.calendar });
 const errorMiddleware = new ErrorHandlingMiddleware();
 const { wrapAsyncRoute } = errorMiddleware.getMiddleware();
 
+const requireStaff = [authMiddleware.authenticate, authMiddleware.adminOrCounselor];
+
+/**
+ * Record who made a change in the booking's audit trail
+ * @param {Object} req - Express request
+ * @returns {Object} Audit actor
+ */
+function auditActor(req) {
+  if (req.user) {
+    return { type: 'staff', username: req.user.username, role: req.user.role };
+  }
+  return { type: 'student' };
+}
+
+/**
+ * Send a booking notice through the app's notification service without
+ * holding up the response; failed sends are retried from the delivery log
+ * @param {Object} req - Express request
+ * @param {string} type - confirmation, rescheduled or cancelled
+ * @param {Object} booking - Booking after the change
+ */
+function notifyStudent(req, type, booking) {
+  const notifications = req.app.locals.notifications;
+  if (!notifications) {
+    return;
+  }
+
+  notifications.notifyBooking(type, booking).catch(error => {
+    console.error(`Error sending ${type} notification for booking ${booking.id}:`, error);
+  });
+}
+
+/**
+ * Check a booking date and time are YYYY-MM-DD and HH:MM before they are
+ * read as campus time, which cannot make sense of anything else. Dates that
+ * do not exist, like 2027-02-30, would roll over into the next month.
+ * @param {string} date - Booking date
+ * @param {string} time - Booking time
+ * @returns {string|null} Error message, or null if both are valid
+ */
+function invalidDateTime(date, time) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+    return 'Dates must be in YYYY-MM-DD format';
+  }
+  const [year, month, day] = String(date).split('-').map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  if (parsed.getUTCFullYear() !== year || parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+    return `${date} is not a valid date`;
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(String(time))) {
+    return 'Times must be in HH:MM format';
+  }
+  return null;
+}
+
+/**
+ * Scope booking listings to what the staff member may see
+ * (admins: everything, counselors: bookings assigned to them)
+ * @returns {Object|null} Filters, or null if the counselor has no profile
+ */
+function staffFilters(req, filters) {
+  if (req.user.role === 'admin') {
+    return filters;
+  }
+
+  const counselorId = bookingService.getCounselorIdForUser(req.user);
+  return counselorId ? { ...filters, assignedCounselor: counselorId } : null;
+}
+
+/**
+ * Reject a counselor account that has no calendar profile to scope by
+ */
+function noCounselorProfile(res) {
+  return res.status(403).json({
+    error: 'Access denied',
+    message: 'No counselor profile is linked to this account'
+  });
+}
+
+/**
+ * Load the booking named in the URL and check the requester may act on it
+ */
+const loadAccessibleBooking = wrapAsyncRoute(async (req, res, next) => {
+  const booking = await bookingService.getBookingById(req.params.id);
+  if (!booking) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Booking not found'
+    });
+  }
+
+  if (req.user) {
+    if (!bookingService.canStaffAccess(booking, req.user)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'This booking is not assigned to you'
+      });
+    }
+  } else if (!bookingService.verifyAccessToken(booking, req.get('X-Booking-Token'))) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'A valid booking token is required'
+    });
+  }
+
+  req.booking = booking;
+  next();
+});
+
+/**
+ * Allow staff with a Bearer token (admins, or the assigned counselor) or the
+ * student holding the booking token in X-Booking-Token. The token is never
+ * read from the query string, which ends up in access logs and browser history.
+ */
+function requireBookingAccess(req, res, next) {
+  if (req.headers.authorization && !req.user) {
+    return authMiddleware.authenticate(req, res, () =>
+      authMiddleware.adminOrCounselor(req, res, () => loadAccessibleBooking(req, res, next)));
+  }
+  loadAccessibleBooking(req, res, next);
+}
+
 /**
  * POST /api/booking/appointments
  * Create a new counseling appointment booking
@@ -36,6 +164,7 @@ router.post('/appointments', wrapAsyncRoute(async (req, res) => {
       concerns,
       contactMethod,
       contactInfo,
+      counselorId,
       userId = null
     } = req.body;
 
@@ -65,8 +194,16 @@ router.post('/appointments', wrapAsyncRoute(async (req, res) => {
       });
     }
 
+    const dateTimeError = invalidDateTime(preferredDate, preferredTime);
+    if (dateTimeError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: dateTimeError
+      });
+    }
+
     // Validate date is not in the past
-    const bookingDate = new Date(preferredDate + 'T' + preferredTime);
+    const bookingDate = calendarExport.campusTime(preferredDate, preferredTime);
     if (bookingDate <= new Date()) {
       return res.status(400).json({
         error: 'Bad Request',
@@ -74,6 +211,8 @@ router.post('/appointments', wrapAsyncRoute(async (req, res) => {
       });
     }
 
+    const region = resourceDirectory.getRegionFromRequest(req);
+
     // Create booking request
     const bookingRequest = {
       studentId: studentId || null,
@@ -84,6 +223,9 @@ router.post('/appointments', wrapAsyncRoute(async (req, res) => {
       concerns: concerns || null,
       contactMethod,
       contactInfo,
+      // Language for notifications (English unless the student booked in Marathi)
+      language: region.language === 'mr' ? 'mr' : 'en',
+      assignedCounselor: counselorId || null,
       status: 'pending',
       requestedAt: new Date(),
       ipAddress: req.ip || req.connection.remoteAddress,
@@ -91,7 +233,26 @@ router.post('/appointments', wrapAsyncRoute(async (req, res) => {
     };
 
     // Save booking
-    const booking = await bookingService.createBooking(bookingRequest);
+    let booking;
+    try {
+      booking = await bookingService.createBooking(bookingRequest, auditActor(req));
+    } catch (error) {
+      if (error.isValidationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error.message
+        });
+      }
+      if (error.isSlotConflict) {
+        const availability = await bookingService.getAvailability(preferredDate, sessionType, counselorId);
+        return res.status(409).json({
+          error: 'Conflict',
+          message: error.message,
+          availableSlots: availability.slots
+        });
+      }
+      throw error;
+    }
 
     // Record analytics for booking submission
     if (req.app.locals.analyticsService) {
@@ -113,6 +274,11 @@ router.post('/appointments', wrapAsyncRoute(async (req, res) => {
       });
     }
 
+    notifyStudent(req, 'confirmation', booking);
+
+    const [helpline] = resourceDirectory.getResourcesForSeverity('high', region);
+    const crisisHelpline = helpline ? resourceDirectory.formatResourceList([helpline]) : 'a crisis helpline';
+
     // Send confirmation response
     res.status(201).json({
       success: true,
@@ -121,15 +287,20 @@ router.post('/appointments', wrapAsyncRoute(async (req, res) => {
         id: booking.id,
         preferredDate: booking.preferredDate,
         preferredTime: booking.preferredTime,
+        durationMinutes: booking.durationMinutes,
         sessionType: booking.sessionType,
+        counselor: bookingService.getCounselorSummary(booking.assignedCounselor),
         status: booking.status,
         requestedAt: booking.requestedAt
       },
+      // Only returned here: lets the student view or cancel this booking
+      accessToken: booking.accessToken,
       nextSteps: [
         'Your request has been received and is being processed',
+        'Keep your booking code: you need it to check or cancel this request',
         'You will be contacted within 24 hours to confirm your appointment',
         `Confirmation will be sent via ${contactMethod}`,
-        'If this is a crisis situation, please also call 988 for immediate support'
+        `If this is a crisis situation, please also call ${crisisHelpline} for immediate support`
       ]
     });
 
@@ -140,56 +311,100 @@ router.post('/appointments', wrapAsyncRoute(async (req, res) => {
 
 /**
  * GET /api/booking/appointments/:id
- * Get booking details by ID
+ * Get booking details by ID (staff, or the student with the booking token)
  */
-router.get('/appointments/:id', wrapAsyncRoute(async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const booking = await bookingService.getBookingById(id);
-    
-    if (!booking) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: 'Booking not found'
-      });
-    }
+router.get('/appointments/:id', requireBookingAccess, (req, res) => {
+  res.status(200).json({
+    success: true,
+    booking: req.user ? bookingService.toStaffView(req.booking) : bookingService.toStudentView(req.booking)
+  });
+});
 
-    res.status(200).json({
-      success: true,
-      booking: booking
-    });
-
-  } catch (error) {
-    throw error;
-  }
-}));
+/**
+ * GET /api/booking/appointments/:id/calendar.ics
+ * Download the booking as an iCalendar invite (staff, or the student with the booking token)
+ */
+router.get('/appointments/:id/calendar.ics', requireBookingAccess, (req, res) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="appointment-${req.booking.id}.ics"`);
+  res.status(200).send(calendarExport.createBookingInvite(req.booking));
+});
 
 /**
  * PUT /api/booking/appointments/:id/status
- * Update booking status (for admin/counselor use)
+ * Update booking status (for admin/counselor use). Sending preferredDate,
+ * preferredTime, sessionType or assignedCounselor reschedules the booking.
  */
-router.put('/appointments/:id/status', wrapAsyncRoute(async (req, res) => {
+router.put('/appointments/:id/status', requireStaff, requireBookingAccess, wrapAsyncRoute(async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, notes, assignedCounselor, scheduledDateTime } = req.body;
+    const { status, notes, scheduledDateTime } = req.body;
+
+    const reschedule = {};
+    ['preferredDate', 'preferredTime', 'sessionType', 'assignedCounselor'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        reschedule[field] = req.body[field];
+      }
+    });
+    const rescheduling = Object.keys(reschedule).length > 0;
+
+    if (reschedule.assignedCounselor !== undefined && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only admins can reassign bookings to another counselor'
+      });
+    }
 
     // Validate status
     const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed'];
-    if (!validStatuses.includes(status)) {
+    if ((status !== undefined || !rescheduling) && !validStatuses.includes(status)) {
       return res.status(400).json({
         error: 'Bad Request',
         message: 'Invalid status. Must be: pending, confirmed, cancelled, or completed'
       });
     }
 
-    const booking = await bookingService.updateBookingStatus(id, {
-      status,
-      notes: notes || null,
-      assignedCounselor: assignedCounselor || null,
-      scheduledDateTime: scheduledDateTime || null,
-      updatedAt: new Date()
-    });
+    if (reschedule.preferredDate || reschedule.preferredTime) {
+      const newDate = reschedule.preferredDate || req.booking.preferredDate;
+      const newTime = reschedule.preferredTime || req.booking.preferredTime;
+      const dateTimeError = invalidDateTime(newDate, newTime);
+      if (dateTimeError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: dateTimeError
+        });
+      }
+      if (calendarExport.campusTime(newDate, newTime) <= new Date()) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Rescheduled date and time must be in the future'
+        });
+      }
+    }
+
+    const updateData = { ...reschedule };
+    if (status !== undefined) updateData.status = status;
+    if (notes !== undefined) updateData.notes = notes || null;
+    if (scheduledDateTime !== undefined) updateData.scheduledDateTime = scheduledDateTime || null;
+
+    let booking;
+    try {
+      booking = await bookingService.updateBookingStatus(id, updateData, auditActor(req));
+    } catch (error) {
+      if (error.isValidationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error.message
+        });
+      }
+      if (error.isSlotConflict) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: error.message
+        });
+      }
+      throw error;
+    }
 
     if (!booking) {
       return res.status(404).json({
@@ -198,10 +413,16 @@ router.put('/appointments/:id/status', wrapAsyncRoute(async (req, res) => {
       });
     }
 
+    if (booking.status === 'cancelled' && req.booking.status !== 'cancelled') {
+      notifyStudent(req, 'cancelled', booking);
+    } else if (rescheduling && booking.rescheduledAt !== req.booking.rescheduledAt) {
+      notifyStudent(req, 'rescheduled', booking);
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Booking status updated successfully',
-      booking: booking
+      message: rescheduling ? 'Booking rescheduled successfully' : 'Booking status updated successfully',
+      booking: bookingService.toStaffView(booking)
     });
 
   } catch (error) {
@@ -213,7 +434,7 @@ router.put('/appointments/:id/status', wrapAsyncRoute(async (req, res) => {
  * GET /api/booking/appointments
  * Get bookings (with filtering options)
  */
-router.get('/appointments', wrapAsyncRoute(async (req, res) => {
+router.get('/appointments', requireStaff, wrapAsyncRoute(async (req, res) => {
   try {
     const {
       status,
@@ -224,12 +445,16 @@ router.get('/appointments', wrapAsyncRoute(async (req, res) => {
       offset = 0
     } = req.query;
 
-    const filters = {
+    const filters = staffFilters(req, {
       status: status || null,
       sessionType: sessionType || null,
       dateFrom: dateFrom || null,
       dateTo: dateTo || null
-    };
+    });
+
+    if (!filters) {
+      return noCounselorProfile(res);
+    }
 
     const bookings = await bookingService.getBookings(filters, {
       limit: parseInt(limit),
@@ -238,7 +463,7 @@ router.get('/appointments', wrapAsyncRoute(async (req, res) => {
 
     res.status(200).json({
       success: true,
-      bookings: bookings.items,
+      bookings: bookings.items.map(booking => bookingService.toStaffView(booking)),
       pagination: {
         total: bookings.total,
         limit: parseInt(limit),
@@ -258,7 +483,7 @@ router.get('/appointments', wrapAsyncRoute(async (req, res) => {
  */
 router.get('/availability', wrapAsyncRoute(async (req, res) => {
   try {
-    const { date, sessionType } = req.query;
+    const { date, sessionType, counselorId } = req.query;
 
     if (!date) {
       return res.status(400).json({
@@ -267,16 +492,20 @@ router.get('/availability', wrapAsyncRoute(async (req, res) => {
       });
     }
 
-    const availability = await bookingService.getAvailability(date, sessionType);
+    const availability = await bookingService.getAvailability(date, sessionType, counselorId);
 
     res.status(200).json({
       success: true,
       date: date,
-      sessionType: sessionType || 'any',
+      sessionType: availability.sessionType,
+      durationMinutes: availability.durationMinutes,
+      counselorId: counselorId || null,
+      closed: availability.closed,
       availableSlots: availability.slots,
       unavailableSlots: availability.unavailableSlots,
       totalSlots: availability.totalSlots,
-      availableCount: availability.availableCount
+      availableCount: availability.availableCount,
+      counselors: availability.counselors
     });
 
   } catch (error) {
@@ -288,15 +517,15 @@ router.get('/availability', wrapAsyncRoute(async (req, res) => {
  * DELETE /api/booking/appointments/:id
  * Cancel a booking
  */
-router.delete('/appointments/:id', wrapAsyncRoute(async (req, res) => {
+router.delete('/appointments/:id', requireBookingAccess, wrapAsyncRoute(async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
+    const { reason } = req.body || {};
 
     const booking = await bookingService.cancelBooking(id, {
-      reason: reason || 'Cancelled by user',
+      reason: reason || (req.user ? `Cancelled by ${req.user.role}` : 'Cancelled by user'),
       cancelledAt: new Date()
-    });
+    }, auditActor(req));
 
     if (!booking) {
       return res.status(404).json({
@@ -305,6 +534,10 @@ router.delete('/appointments/:id', wrapAsyncRoute(async (req, res) => {
       });
     }
 
+    if (req.booking.status !== 'cancelled') {
+      notifyStudent(req, 'cancelled', booking);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Booking cancelled successfully',
@@ -324,15 +557,21 @@ router.delete('/appointments/:id', wrapAsyncRoute(async (req, res) => {
  * GET /api/booking/stats
  * Get booking statistics for analytics
  */
-router.get('/stats', wrapAsyncRoute(async (req, res) => {
+router.get('/stats', requireStaff, wrapAsyncRoute(async (req, res) => {
   try {
     const { dateFrom, dateTo } = req.query;
-    
-    const stats = await bookingService.getBookingStats({
+
+    const filters = staffFilters(req, {
       dateFrom: dateFrom || null,
       dateTo: dateTo || null
     });
 
+    if (!filters) {
+      return noCounselorProfile(res);
+    }
+
+    const stats = await bookingService.getBookingStats(filters);
+
     res.status(200).json({
       success: true,
       stats: stats,
@@ -347,4 +586,119 @@ router.get('/stats', wrapAsyncRoute(async (req, res) => {
   }
 }));
 
+/**
+ * GET /api/booking/notifications
+ * Notification delivery log (admin only; ?bookingId=&status=&type=)
+ */
+router.get('/notifications', authMiddleware.authenticate, authMiddleware.adminOnly, wrapAsyncRoute(async (req, res) => {
+  const notifications = req.app.locals.notifications;
+  if (!notifications) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Notifications are not enabled'
+    });
+  }
+
+  const { bookingId, status, type } = req.query;
+  const deliveries = await notifications.getDeliveryLog({ bookingId, status, type });
+
+  res.status(200).json({
+    success: true,
+    deliveries
+  });
+}));
+
+/**
+ * GET /api/booking/counselors
+ * List counselors students can book (optionally by session type)
+ */
+router.get('/counselors', (req, res) => {
+  const counselors = bookingService.calendar.listCounselors({ sessionType: req.query.sessionType })
+    .map(counselor => bookingService.getCounselorSummary(counselor.id));
+
+  res.status(200).json({
+    success: true,
+    counselors
+  });
+});
+
+/**
+ * GET /api/booking/counselors/:id/calendar-feed
+ * Subscription URL for a counselor's ICS feed (admins, or that counselor)
+ */
+router.get('/counselors/:id/calendar-feed', requireStaff, (req, res) => {
+  const counselor = bookingService.calendar.getCounselor(req.params.id);
+  if (!counselor) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Counselor not found'
+    });
+  }
+
+  if (req.user.role !== 'admin' && bookingService.getCounselorIdForUser(req.user) !== counselor.id) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only subscribe to your own calendar'
+    });
+  }
+
+  const token = calendarExport.getFeedToken(counselor.id);
+  res.status(200).json({
+    success: true,
+    url: `${req.protocol}://${req.get('host')}${req.baseUrl}/counselors/${encodeURIComponent(counselor.id)}/calendar.ics?token=${token}`
+  });
+});
+
+/**
+ * GET /api/booking/counselors/:id/calendar.ics
+ * Counselor's sessions as an ICS feed; authenticated by the feed URL's token
+ * (calendar apps cannot send Bearer headers)
+ */
+router.get('/counselors/:id/calendar.ics', wrapAsyncRoute(async (req, res) => {
+  const counselor = bookingService.calendar.getCounselor(req.params.id);
+  if (!counselor || !calendarExport.verifyFeedToken(counselor.id, req.query.token)) {
+    // Same answer for unknown counselors and bad tokens
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'A valid calendar feed token is required'
+    });
+  }
+
+  // Sessions from the last 90 days onward
+  const dateFrom = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const bookings = await bookingService.getBookings(
+    { assignedCounselor: counselor.id, dateFrom },
+    { limit: 1000, offset: 0 }
+  );
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'private, no-store');
+  res.status(200).send(calendarExport.createCounselorFeed(counselor, bookings.items));
+}));
+
+/**
+ * PUT /api/booking/counselors/:id
+ * Create or update a counselor's profile, working hours and time off (admin only)
+ */
+router.put('/counselors/:id', authMiddleware.authenticate, authMiddleware.adminOnly, wrapAsyncRoute(async (req, res) => {
+  try {
+    const counselor = await bookingService.calendar.saveCounselor(req.params.id, req.body || {});
+
+    console.log(`Counselor profile ${counselor.id} saved by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      counselor
+    });
+  } catch (error) {
+    if (error.isValidationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
 module.exports = router;
\ No newline at end of file
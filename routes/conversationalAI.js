@@ -1,15 +1,102 @@
 const express = require('express');
+const AuthMiddleware = require('../middleware/authMiddleware');
 const ConversationalAIService = require('../services/conversationalAIService');
+const ResourceDirectoryService = require('../services/resourceDirectoryService');
+const ChatStreamingService = require('../services/chatStreamingService');
+const ConversationalScreeningService = require('../services/conversationalScreeningService');
 const ErrorHandlingMiddleware = require('../middleware/errorHandlingMiddleware');
 
 const router = express.Router();
+const authMiddleware = new AuthMiddleware();
 const conversationalAIService = new ConversationalAIService();
+const resourceDirectory = new ResourceDirectoryService();
+// Shares this router's chat sessions with the Socket.IO stream (see server.js)
+const chatStreaming = new ChatStreamingService(conversationalAIService, resourceDirectory);
+const conversationalScreening = new ConversationalScreeningService();
 const errorMiddleware = new ErrorHandlingMiddleware();
 const { wrapAsyncRoute } = errorMiddleware.getMiddleware();
 
+/**
+ * Hand the turn's sentiment, topics and crisis flag to the analytics
+ * middleware, which records them when the response ends. Messages relayed
+ * to a counselor are not analyzed.
+ */
+function publishAnalysis(res, analysis, isCrisis) {
+  if (!analysis) {
+    return;
+  }
+  res.locals.sentiment = analysis.sentiment;
+  res.locals.topics = analysis.topics;
+  res.locals.crisisDetected = Boolean(isCrisis);
+}
+
+/**
+ * Run a message through the conversational screening. Answers to a screening
+ * in progress are handled there and never reach the AI or analytics, so
+ * callers check the session's rate limit and injection lockout first. A
+ * signed-in student's screening is kept under their account, so it shares a
+ * history with /api/screening/assess.
+ */
+function handleScreening(req, message, sessionId, language, region) {
+  const { action, toolName } = req.body.screening || {};
+  const user = authMiddleware.identify(req);
+
+  return conversationalScreening.handleMessage(sessionId, message, {
+    action,
+    toolName,
+    language,
+    region,
+    history: req.app.locals.screeningHistory,
+    identity: user ? { userId: user.id } : { token: req.get('X-Screening-Token') }
+  });
+}
+
+/**
+ * Crisis data for a screening whose answers call for immediate help, with a
+ * counselor hand-off opened as for a crisis message
+ */
+function screeningCrisis(req, turn, message, sessionId, region) {
+  if (!turn.isCrisis) {
+    return null;
+  }
+
+  const result = {
+    isCrisis: true,
+    sessionId,
+    crisisData: conversationalAIService.getScreeningCrisisData(sessionId, turn.screening.toolName, region)
+  };
+  if (req.app.locals.crisisEscalation) {
+    chatStreaming.attachEscalation(req.app.locals.crisisEscalation, result, message);
+  }
+  return result.crisisData;
+}
+
+/**
+ * Response body for a message the conversational screening handled
+ */
+function screeningReply(turn, sessionId, crisisData = null) {
+  return {
+    success: true,
+    message: turn.message,
+    response: turn.message, // For backward compatibility
+    isCrisis: turn.isCrisis,
+    crisisData,
+    screening: turn.screening,
+    metadata: {
+      sessionId,
+      timestamp: new Date().toISOString(),
+      fallback: false,
+      screening: true
+    }
+  };
+}
+
 /**
  * POST /api/conversational-ai/chat
- * Process a chat message and return AI response with enhanced security and privacy
+ * Process a chat message and return AI response with enhanced security and privacy.
+ * Asking about PHQ-9 or GAD-7 gets an offer to answer it in the chat; a
+ * screening can also be driven with screening: { action: 'start' | 'pause' |
+ * 'resume' | 'cancel', toolName }. The screening's progress is returned as screening.
  */
 router.post('/chat', wrapAsyncRoute(async (req, res) => {
   try {
@@ -51,15 +138,48 @@ router.post('/chat', wrapAsyncRoute(async (req, res) => {
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.get('User-Agent'),
       origin: req.get('Origin'),
+      region: resourceDirectory.getRegionFromRequest(req),
       timestamp: new Date().toISOString()
     };
 
     // Use provided session ID or let the service create a new secure one
     const providedSessionId = sessionId || null;
 
+    // Once a counselor has joined, the student is talking to them rather than the AI
+    const crisisEscalation = req.app.locals.crisisEscalation;
+    const relayed = chatStreaming.relayToCounselor(crisisEscalation, providedSessionId, message);
+    if (relayed) {
+      return res.status(200).json(relayed);
+    }
+
+    conversationalAIService.checkSession(providedSessionId, message, requestInfo);
+
+    let screeningTurn;
+    try {
+      screeningTurn = await handleScreening(req, message, providedSessionId, language, requestInfo.region);
+    } catch (error) {
+      if (error.isValidationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    if (screeningTurn.handled) {
+      const crisisData = screeningCrisis(req, screeningTurn, message, providedSessionId, requestInfo.region);
+      return res.status(200).json(screeningReply(screeningTurn, providedSessionId, crisisData));
+    }
+
     // Process the message with enhanced security and privacy
     const result = await conversationalAIService.processMessage(message, providedSessionId, requestInfo, language);
 
+    if (crisisEscalation) {
+      chatStreaming.attachEscalation(crisisEscalation, result, message);
+    }
+
+    publishAnalysis(res, result.analysis, result.isCrisis);
+
     // Handle the new response format (object with message and crisis data)
     const responseMessage = result.message || result; // Backward compatibility
     
@@ -78,26 +198,43 @@ router.post('/chat', wrapAsyncRoute(async (req, res) => {
           sessionId: result.sessionId,
           timestamp: new Date().toISOString(),
           fallback: true,
+          prompt: result.prompt || null,
+          guardrails: result.guardrails || [],
+          injection: result.injection || null,
+          analysis: result.analysis || null,
           privacy: result.privacyInfo,
           language: result.languageInfo || { userLanguage: language }
         }
       });
     }
 
+    // Offer a screening the student asked about, or say how to resume a paused one
+    const offer = screeningTurn.screening ? null : conversationalScreening.offer(result.sessionId, message, {
+      language,
+      region: requestInfo.region
+    });
+    const screeningNote = offer ? offer.message : screeningTurn.notice;
+    const reply = screeningNote ? `${responseMessage}\n\n${screeningNote}` : responseMessage;
+
     // Return the response with enhanced metadata
     res.status(200).json({
       success: true,
-      message: responseMessage,
-      response: responseMessage, // For backward compatibility
+      message: reply,
+      response: reply, // For backward compatibility
       isCrisis: result.isCrisis || false,
       crisisData: result.crisisData || null,
+      screening: offer ? offer.screening : screeningTurn.screening,
       metadata: {
         sessionId: result.sessionId,
         timestamp: new Date().toISOString(),
         fallback: false,
         privacy: result.privacyInfo,
         language: result.languageInfo,
-        enhancement: result.mentalHealthEnhancement ? 'applied' : 'none'
+        enhancement: result.mentalHealthEnhancement ? 'applied' : 'none',
+        prompt: result.prompt || null,
+        guardrails: result.guardrails || [],
+        injection: result.injection || null,
+        analysis: result.analysis || null
       }
     });
 
@@ -107,6 +244,116 @@ router.post('/chat', wrapAsyncRoute(async (req, res) => {
   }
 }));
 
+/**
+ * POST /api/conversational-ai/chat/stream
+ * Same as /chat, but the reply is sent as Server-Sent Events while it is
+ * generated (token, crisis, replace, done, error). Closing the connection
+ * cancels generation. A screening turn is sent as a single done event; a
+ * screening offer or resume note follows the reply as a screening event.
+ */
+router.post('/chat/stream', wrapAsyncRoute(async (req, res) => {
+  if (!conversationalAIService.isServiceAvailable()) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Conversational AI service is not properly configured'
+    });
+  }
+
+  const { message, sessionId, language = 'en' } = req.body;
+
+  const problem = chatStreaming.validateMessage(message);
+  if (problem) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: problem
+    });
+  }
+
+  const requestInfo = {
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent'),
+    origin: req.get('Origin'),
+    region: resourceDirectory.getRegionFromRequest(req),
+    timestamp: new Date().toISOString()
+  };
+
+  // Messages to a counselor who has joined are relayed before any screening, as in /chat
+  const openCase = sessionId && req.app.locals.crisisEscalation
+    ? req.app.locals.crisisEscalation.getCaseForSession(sessionId)
+    : null;
+  const relayed = Boolean(openCase && openCase.status === 'joined');
+  if (!relayed) {
+    // Checked before the stream opens, so a locked session still gets a 429
+    conversationalAIService.checkSession(sessionId, message, requestInfo);
+  }
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  let screeningTurn = { handled: false, screening: null };
+  try {
+    if (!relayed) {
+      screeningTurn = await handleScreening(req, message, sessionId, language, requestInfo.region);
+    }
+  } catch (error) {
+    send('error', { message: error.isValidationError ? error.message : 'Failed to continue the screening' });
+    return res.end();
+  }
+  if (screeningTurn.handled) {
+    const crisisData = screeningCrisis(req, screeningTurn, message, sessionId, requestInfo.region);
+    send('done', screeningReply(screeningTurn, sessionId, crisisData));
+    return res.end();
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    const body = await chatStreaming.stream({
+      message,
+      sessionId,
+      language,
+      requestInfo,
+      crisisEscalation: req.app.locals.crisisEscalation,
+      signal: controller.signal
+    }, send);
+    publishAnalysis(res, body.metadata.analysis, body.isCrisis);
+
+    const offer = screeningTurn.screening || body.relayedToCounselor ? null : conversationalScreening.offer(body.metadata.sessionId, message, {
+      language,
+      region: requestInfo.region
+    });
+    if (offer || screeningTurn.notice) {
+      send('screening', {
+        message: offer ? offer.message : screeningTurn.notice,
+        screening: offer ? offer.screening : screeningTurn.screening
+      });
+    }
+  } catch (error) {
+    // Headers are already sent, so report the failure in the stream
+    console.error('Chat stream failed:', error.message);
+    send('error', { message: 'Failed to generate a response' });
+  }
+
+  res.end();
+}));
+
 /**
  * GET /api/conversational-ai/status
  * Check service status
@@ -120,7 +367,7 @@ router.get('/status', (req, res) => {
   res.status(200).json({
     service: 'conversational-ai',
     status: isAvailable ? 'available' : 'unavailable',
-    provider: 'Groq',
+    provider: groqStatus.provider,
     model: groqStatus.model,
     features: [
       'crisis-detection',
@@ -136,6 +383,21 @@ router.get('/status', (req, res) => {
   });
 });
 
+/**
+ * GET /api/conversational-ai/providers
+ * Health of each configured LLM provider, in failover order
+ */
+router.get('/providers', wrapAsyncRoute(async (req, res) => {
+  const providers = await conversationalAIService.groqService.checkHealth();
+
+  res.status(200).json({
+    success: true,
+    healthy: providers.some(provider => provider.ok),
+    providers,
+    timestamp: new Date().toISOString()
+  });
+}));
+
 /**
  * GET /api/conversational-ai/languages
  * Get supported languages and their configurations
@@ -209,6 +471,7 @@ router.post('/destroy-session', wrapAsyncRoute(async (req, res) => {
     }
 
     const success = conversationalAIService.destroySession(sessionId);
+    conversationalScreening.cancel(sessionId);
 
     if (!success) {
       return res.status(404).json({
@@ -235,7 +498,11 @@ router.post('/destroy-session', wrapAsyncRoute(async (req, res) => {
  */
 router.get('/crisis-resources', wrapAsyncRoute(async (req, res) => {
   try {
-    const resources = conversationalAIService.getCrisisResources();
+    const resources = conversationalAIService.getCrisisResources(
+      req.query.severity || 'all',
+      req.query.type || 'all',
+      resourceDirectory.getRegionFromRequest(req)
+    );
     
     res.status(200).json({
       success: true,
@@ -268,7 +535,9 @@ router.post('/detect-crisis', wrapAsyncRoute(async (req, res) => {
     res.status(200).json({
       success: true,
       isCrisis: isCrisis,
-      resources: isCrisis ? conversationalAIService.getCrisisResources() : undefined,
+      resources: isCrisis
+        ? conversationalAIService.getCrisisResources('all', 'all', resourceDirectory.getRegionFromRequest(req))
+        : undefined,
       timestamp: new Date().toISOString()
     });
 
@@ -359,4 +628,7 @@ router.post('/validate-compliance', wrapAsyncRoute(async (req, res) => {
   }
 }));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.chatStreaming = chatStreaming;
+module.exports.conversationalAIService = conversationalAIService;
+module.exports.conversationalScreening = conversationalScreening;
\ No newline at end of file
@@ -1,8 +1,14 @@
 const express = require('express');
 const AuthMiddleware = require('../middleware/authMiddleware');
+const ResponseGuardrailService = require('../services/responseGuardrailService');
+const PromptInjectionService = require('../services/promptInjectionService');
 
 const router = express.Router();
 const authMiddleware = new AuthMiddleware();
+// Reads the intervention log written by the chat service's guardrails
+const guardrails = new ResponseGuardrailService();
+// Reads the prompt injection log written by the chat service's input classifier
+const injectionDetection = new PromptInjectionService();
 
 // Middleware to ensure only admin and counselor access
 const requireAdminOrCounselor = [
@@ -299,4 +305,179 @@ router.get('/alerts', requireAdminOrCounselor, (req, res) => {
   }
 });
 
+// Middleware to ensure the escalation service is available
+const requireEscalationService = (req, res, next) => {
+  if (!req.app.locals.crisisEscalation) {
+    return res.status(503).json({
+      error: 'Escalation service unavailable',
+      message: 'Crisis escalation service is not initialized'
+    });
+  }
+  next();
+};
+
+// List escalation cases (counselors see their own and queued cases, admins see all)
+router.get('/escalations', requireAdminOrCounselor, requireEscalationService, (req, res) => {
+  try {
+    const cases = req.app.locals.crisisEscalation.listCases(req.user, { status: req.query.status });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cases,
+        count: cases.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve escalation cases',
+      message: error.message
+    });
+  }
+});
+
+// Escalation acknowledgement and response time metrics
+router.get('/escalations/metrics', requireAdminOrCounselor, requireEscalationService, (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: req.app.locals.crisisEscalation.getMetrics()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve escalation metrics',
+      message: error.message
+    });
+  }
+});
+
+// Put the current counselor on or off duty for hand-offs
+router.post('/escalations/duty', requireAdminOrCounselor, requireEscalationService, (req, res) => {
+  try {
+    const crisisEscalation = req.app.locals.crisisEscalation;
+    const onDuty = req.body.onDuty !== false;
+
+    if (onDuty) {
+      crisisEscalation.setOnDuty(req.user.username);
+    } else {
+      crisisEscalation.setOffDuty(req.user.username);
+    }
+
+    res.status(200).json({
+      success: true,
+      onDuty,
+      message: onDuty ? 'You are now on duty for crisis hand-offs' : 'You are now off duty'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update duty status',
+      message: error.message
+    });
+  }
+});
+
+// Acknowledge an escalation case
+router.post('/escalations/:caseId/acknowledge', requireAdminOrCounselor, requireEscalationService, (req, res) => {
+  try {
+    const escalationCase = req.app.locals.crisisEscalation.acknowledgeCase(req.params.caseId, req.user.username);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        caseId: escalationCase.id,
+        status: escalationCase.status,
+        acknowledgedAt: escalationCase.acknowledgedAt
+      }
+    });
+  } catch (error) {
+    res.status(error.isConflict ? 409 : 404).json({
+      error: 'Failed to acknowledge escalation case',
+      message: error.message
+    });
+  }
+});
+
+// Resolve an escalation case
+router.post('/escalations/:caseId/resolve', requireAdminOrCounselor, requireEscalationService, (req, res) => {
+  try {
+    const escalationCase = req.app.locals.crisisEscalation.resolveCase(
+      req.params.caseId,
+      req.user.username,
+      req.body.notes
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        caseId: escalationCase.id,
+        status: escalationCase.status,
+        resolvedAt: escalationCase.resolvedAt
+      }
+    });
+  } catch (error) {
+    res.status(404).json({
+      error: 'Failed to resolve escalation case',
+      message: error.message
+    });
+  }
+});
+
+// AI reply guardrail interventions for review (?rule=&source=&since=&limit=&days=)
+router.get('/guardrails', requireAdminOrCounselor, async (req, res) => {
+  try {
+    const [interventions, stats] = await Promise.all([
+      guardrails.getInterventions({
+        rule: req.query.rule,
+        source: req.query.source,
+        since: req.query.since,
+        limit: req.query.limit
+      }),
+      guardrails.getStats({ days: req.query.days })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        interventions,
+        stats,
+        rules: guardrails.listRules()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve guardrail interventions',
+      message: error.message
+    });
+  }
+});
+
+// Refused prompt injection attempts and abuse trends (?rule=&source=&since=&limit=&days=)
+router.get('/injections', requireAdminOrCounselor, async (req, res) => {
+  try {
+    const [events, stats] = await Promise.all([
+      injectionDetection.getEvents({
+        rule: req.query.rule,
+        source: req.query.source,
+        since: req.query.since,
+        limit: req.query.limit
+      }),
+      injectionDetection.getStats({ days: req.query.days })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        stats,
+        ...injectionDetection.listRules()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve prompt injection attempts',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
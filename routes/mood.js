@@ -0,0 +1,109 @@
+/**
+ * Mood Check-In API Routes
+ * Students rate their mood before and after a chat or voice session and see
+ * their own mood history. Signed-in students are identified by their Bearer
+ * token; anonymous students by the history token (X-Mood-Token) returned
+ * with their first check-in.
+ */
+
+const express = require('express');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const MoodCheckInService = require('../services/moodCheckInService');
+const ErrorHandlingMiddleware = require('../middleware/errorHandlingMiddleware');
+
+const router = express.Router();
+const authMiddleware = new AuthMiddleware();
+const moodCheckIns = new MoodCheckInService();
+const errorMiddleware = new ErrorHandlingMiddleware();
+const { wrapAsyncRoute } = errorMiddleware.getMiddleware();
+
+/**
+ * Owner hash for the student making the request, or null
+ */
+function ownerOf(req) {
+  return moodCheckIns.ownerFor({
+    userId: req.user ? req.user.id : undefined,
+    token: req.get('X-Mood-Token')
+  });
+}
+
+/**
+ * GET /api/mood/emotions
+ * Emotion tags a check-in can include
+ */
+router.get('/emotions', (req, res) => {
+  res.status(200).json({
+    success: true,
+    emotions: moodCheckIns.getEmotionTags()
+  });
+});
+
+/**
+ * POST /api/mood/check-ins
+ * Record { phase: 'pre'|'post', mood: 1-10, emotions, channel: 'chat'|'voice', sessionId }.
+ * A pre-session check-in without a sessionId starts a new one; the post-session
+ * check-in sends it back. Anonymous students without a history token get one.
+ */
+router.post('/check-ins', authMiddleware.optionalAuthenticate, wrapAsyncRoute(async (req, res) => {
+  let owner = ownerOf(req);
+  let historyToken = null;
+  if (!owner) {
+    historyToken = moodCheckIns.issueToken();
+    owner = moodCheckIns.ownerFor({ token: historyToken });
+  }
+
+  let checkIn;
+  try {
+    checkIn = await moodCheckIns.recordCheckIn(owner, req.body || {});
+  } catch (error) {
+    if (error.isValidationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
+  // Self-reported mood is the sentiment signal for the analytics dashboards
+  if (req.app.locals.analyticsService) {
+    req.app.locals.analyticsService.recordUserInteraction(owner, {
+      sessionId: checkIn.sessionId,
+      type: 'mood-check-in',
+      sentiment: moodCheckIns.toSentiment(checkIn.mood),
+      topics: checkIn.emotions,
+      mood: checkIn.mood,
+      checkInPhase: checkIn.phase,
+      language: (req.body && req.body.language) || 'en'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    checkIn,
+    ...(historyToken && { historyToken })
+  });
+}));
+
+/**
+ * GET /api/mood/history?days=30
+ * The student's own check-ins, daily averages and mood change per session
+ */
+router.get('/history', authMiddleware.optionalAuthenticate, wrapAsyncRoute(async (req, res) => {
+  const owner = ownerOf(req);
+  if (!owner) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Sign in or send the X-Mood-Token from your first check-in'
+    });
+  }
+
+  const history = await moodCheckIns.getHistory(owner, { days: req.query.days });
+
+  res.status(200).json({
+    success: true,
+    data: history
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,180 @@
+/**
+ * Prompt Template API Routes
+ * Counseling staff draft and preview new versions of the chat prompts;
+ * admins activate them, roll back and set campus variables
+ */
+
+const express = require('express');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const PromptTemplateService = require('../services/promptTemplateService');
+const ErrorHandlingMiddleware = require('../middleware/errorHandlingMiddleware');
+
+const router = express.Router();
+const authMiddleware = new AuthMiddleware();
+const prompts = new PromptTemplateService();
+const errorMiddleware = new ErrorHandlingMiddleware();
+const { wrapAsyncRoute } = errorMiddleware.getMiddleware();
+
+const requireStaff = [authMiddleware.authenticate, authMiddleware.adminOrCounselor];
+const requireAdmin = [authMiddleware.authenticate, authMiddleware.adminOnly];
+
+/**
+ * Run a route body, answering 400 for validation errors and 404 when the
+ * template is unknown (the body returns null)
+ */
+function handle(body) {
+  return wrapAsyncRoute(async (req, res) => {
+    try {
+      const result = await body(req, res);
+      if (result === null) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Prompt template not found'
+        });
+      }
+    } catch (error) {
+      if (error.isValidationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * GET /api/prompts
+ * List templates with their active version (staff)
+ */
+router.get('/', requireStaff, (req, res) => {
+  res.status(200).json({
+    success: true,
+    templates: prompts.listTemplates()
+  });
+});
+
+/**
+ * GET /api/prompts/variables
+ * Campus variables used in the templates (staff)
+ */
+router.get('/variables', requireStaff, (req, res) => {
+  res.status(200).json({
+    success: true,
+    variables: prompts.getVariables()
+  });
+});
+
+/**
+ * PUT /api/prompts/variables
+ * Replace campus variables { defaults, campuses: { <campus>: {...} } } (admin only)
+ */
+router.put('/variables', requireAdmin, handle(async (req, res) => {
+  const variables = await prompts.updateVariables(req.body || {});
+
+  console.log(`Prompt variables updated by ${req.user.username}`);
+
+  res.status(200).json({
+    success: true,
+    variables
+  });
+}));
+
+/**
+ * GET /api/prompts/:id
+ * A template with every version and its activation history (staff)
+ */
+router.get('/:id', requireStaff, handle(async (req, res) => {
+  const template = prompts.getTemplate(req.params.id);
+  if (!template) {
+    return null;
+  }
+
+  res.status(200).json({
+    success: true,
+    template
+  });
+}));
+
+/**
+ * POST /api/prompts/:id/versions
+ * Save a new version { content, note }; it is not used until activated (staff)
+ */
+router.post('/:id/versions', requireStaff, handle(async (req, res) => {
+  const { content, note } = req.body || {};
+  const version = await prompts.createVersion(req.params.id, { content, note }, req.user.username);
+  if (!version) {
+    return null;
+  }
+
+  console.log(`Prompt ${req.params.id} version ${version.version} saved by ${req.user.username}`);
+
+  res.status(201).json({
+    success: true,
+    version
+  });
+}));
+
+/**
+ * POST /api/prompts/:id/preview
+ * Render unsaved { content } or a saved { version } for a region
+ * { country, state, campus, language } without activating it (staff)
+ */
+router.post('/:id/preview', requireStaff, handle(async (req, res) => {
+  if (!prompts.getTemplate(req.params.id)) {
+    return null;
+  }
+
+  const { content, version, userMessage, severity, country, state, campus, language } = req.body || {};
+  const preview = prompts.preview(req.params.id, {
+    content,
+    version,
+    userMessage,
+    severity,
+    region: { country, state, campus, language }
+  });
+
+  res.status(200).json({
+    success: true,
+    preview
+  });
+}));
+
+/**
+ * POST /api/prompts/:id/activate
+ * Use { version } for new replies (admin only)
+ */
+router.post('/:id/activate', requireAdmin, handle(async (req, res) => {
+  const template = await prompts.activateVersion(req.params.id, (req.body || {}).version, req.user.username);
+  if (!template) {
+    return null;
+  }
+
+  console.log(`Prompt ${req.params.id} version ${template.activeVersion} activated by ${req.user.username}`);
+
+  res.status(200).json({
+    success: true,
+    template
+  });
+}));
+
+/**
+ * POST /api/prompts/:id/rollback
+ * Go back to the version active before the current one (admin only)
+ */
+router.post('/:id/rollback', requireAdmin, handle(async (req, res) => {
+  const template = await prompts.rollback(req.params.id, req.user.username);
+  if (!template) {
+    return null;
+  }
+
+  console.log(`Prompt ${req.params.id} rolled back to version ${template.activeVersion} by ${req.user.username}`);
+
+  res.status(200).json({
+    success: true,
+    template
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,152 @@
+/**
+ * Crisis Resource Directory API Routes
+ * Region-aware helpline lookup for everyone, directory editing for admins
+ */
+
+const express = require('express');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const ResourceDirectoryService = require('../services/resourceDirectoryService');
+const ErrorHandlingMiddleware = require('../middleware/errorHandlingMiddleware');
+
+const router = express.Router();
+const authMiddleware = new AuthMiddleware();
+const resourceDirectory = new ResourceDirectoryService();
+const errorMiddleware = new ErrorHandlingMiddleware();
+const { wrapAsyncRoute } = errorMiddleware.getMiddleware();
+
+const requireAdmin = [authMiddleware.authenticate, authMiddleware.adminOnly];
+
+/**
+ * GET /api/resources
+ * Get resources for the caller's region (country, state, campus, language
+ * from query, body or X-Country / X-State / X-Campus / Accept-Language headers)
+ */
+router.get('/', (req, res) => {
+  const region = resourceDirectory.getRegionFromRequest(req);
+  const resources = req.query.severity
+    ? resourceDirectory.getResourcesForSeverity(req.query.severity, region)
+    : resourceDirectory.getResources({ ...region, type: req.query.type });
+
+  res.status(200).json({
+    success: true,
+    region,
+    resources,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/resources/directory
+ * List raw directory entries with translations (admin only)
+ */
+router.get('/directory', requireAdmin, (req, res) => {
+  const { country, state, campus, type } = req.query;
+  const entries = resourceDirectory.listEntries({ country, state, campus, type });
+
+  res.status(200).json({
+    success: true,
+    entries,
+    total: entries.length
+  });
+});
+
+/**
+ * GET /api/resources/:id
+ * Get a single directory entry
+ */
+router.get('/:id', (req, res) => {
+  const entry = resourceDirectory.getEntry(req.params.id);
+
+  if (!entry) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Resource not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    entry
+  });
+});
+
+/**
+ * POST /api/resources
+ * Add a resource to the directory (admin only)
+ */
+router.post('/', requireAdmin, wrapAsyncRoute(async (req, res) => {
+  try {
+    const entry = await resourceDirectory.createEntry(req.body || {});
+
+    console.log(`Crisis resource ${entry.id} created by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      entry
+    });
+  } catch (error) {
+    if (error.isValidationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+/**
+ * PUT /api/resources/:id
+ * Update a directory entry (admin only)
+ */
+router.put('/:id', requireAdmin, wrapAsyncRoute(async (req, res) => {
+  try {
+    const entry = await resourceDirectory.updateEntry(req.params.id, req.body || {});
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Resource not found'
+      });
+    }
+
+    console.log(`Crisis resource ${entry.id} updated by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      entry
+    });
+  } catch (error) {
+    if (error.isValidationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+/**
+ * DELETE /api/resources/:id
+ * Remove a directory entry (admin only)
+ */
+router.delete('/:id', requireAdmin, wrapAsyncRoute(async (req, res) => {
+  const removed = await resourceDirectory.deleteEntry(req.params.id);
+
+  if (!removed) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Resource not found'
+    });
+  }
+
+  console.log(`Crisis resource ${req.params.id} deleted by ${req.user.username}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Resource deleted'
+  });
+}));
+
+module.exports = router;
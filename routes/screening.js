@@ -1,24 +1,46 @@
 /**
  * Mental Health Screening API Routes
- * Handles screening assessments, scoring, and result interpretation
+ * Handles screening assessments, scoring, and result interpretation.
+ * Students who consent to keep an assessment can see it again in their
+ * history: signed-in students through their Bearer token, anonymous students
+ * through the history token (X-Screening-Token) returned with their first
+ * consenting assessment. Each consenting assessment is compared with the
+ * previous one on the same tool, and the history can be read as a trend.
  */
 
 const express = require('express');
+const AuthMiddleware = require('../middleware/authMiddleware');
 const ScreeningService = require('../services/screeningService');
+const ScreeningHistoryService = require('../services/screeningHistoryService');
 const ErrorHandlingMiddleware = require('../middleware/errorHandlingMiddleware');
 
 const router = express.Router();
+const authMiddleware = new AuthMiddleware();
 const screeningService = new ScreeningService();
+const screeningHistory = new ScreeningHistoryService({ screening: screeningService });
 const errorMiddleware = new ErrorHandlingMiddleware();
 const { wrapAsyncRoute } = errorMiddleware.getMiddleware();
 
+const requireAdmin = [authMiddleware.authenticate, authMiddleware.adminOnly];
+const requireStaff = [authMiddleware.authenticate, authMiddleware.adminOrCounselor];
+
+/**
+ * Anonymous owner id for the student making the request, or null
+ */
+function ownerOf(req) {
+  return screeningHistory.ownerFor({
+    userId: req.user ? req.user.id : undefined,
+    token: req.get('X-Screening-Token')
+  });
+}
+
 /**
  * GET /api/screening/tools
- * Get list of available screening tools
+ * Get list of screening tools offered on the caller's campus
  */
 router.get('/tools', (req, res) => {
   try {
-    const tools = screeningService.getAvailableTools();
+    const tools = screeningService.getAvailableTools(screeningService.resourceDirectory.getRegionFromRequest(req));
     
     res.status(200).json({
       success: true,
@@ -47,7 +69,10 @@ router.get('/tools/:toolName', (req, res) => {
       });
     }
 
-    const toolDetails = screeningService.getToolQuestions(toolName);
+    const toolDetails = screeningService.getToolQuestions(
+      toolName,
+      screeningService.resourceDirectory.getRegionFromRequest(req)
+    );
     
     res.status(200).json({
       success: true,
@@ -67,11 +92,14 @@ router.get('/tools/:toolName', (req, res) => {
 
 /**
  * POST /api/screening/assess
- * Process a screening assessment
+ * Process a screening assessment. Every assessment is saved for statistics;
+ * with consent: true it is also kept, responses included, in the student's
+ * history and compared with their previous assessment on the tool (record.change).
+ * Anonymous students consenting for the first time get a history token.
  */
-router.post('/assess', wrapAsyncRoute(async (req, res) => {
+router.post('/assess', authMiddleware.optionalAuthenticate, wrapAsyncRoute(async (req, res) => {
   try {
-    const { toolName, responses, options = {}, sessionId } = req.body;
+    const { toolName, responses, options = {}, sessionId, consent = false } = req.body;
     
     // Validation
     if (!toolName || typeof toolName !== 'string') {
@@ -97,7 +125,10 @@ router.post('/assess', wrapAsyncRoute(async (req, res) => {
     };
 
     // Process the screening
-    const result = await screeningService.processScreening(toolName, responses, options);
+    const result = await screeningService.processScreening(toolName, responses, {
+      ...options,
+      region: screeningService.resourceDirectory.getRegionFromRequest(req)
+    });
     
     // Log the assessment (without sensitive data)
     console.log(`Screening assessment completed: ${toolName}, Score: ${result.score.totalScore}/${result.score.maxScore}, Level: ${result.score.interpretation.level}, Crisis: ${result.requiresImmediateAttention}`);
@@ -107,6 +138,22 @@ router.post('/assess', wrapAsyncRoute(async (req, res) => {
       console.warn(`Crisis indicators detected in screening: ${toolName}, Session: ${sessionId || 'anonymous'}`);
     }
 
+    let owner = ownerOf(req);
+    let historyToken = null;
+    if (consent === true && !owner) {
+      historyToken = screeningHistory.issueToken();
+      owner = screeningHistory.ownerFor({ token: historyToken });
+    }
+
+    // The student gets their result even if it could not be saved
+    let record = { assessmentId: null, consent: consent === true, change: null, stored: false };
+    try {
+      record = { ...await screeningHistory.record(result, { owner, consent: consent === true, sessionId }), stored: true };
+    } catch (error) {
+      console.error('Failed to save screening assessment:', error.message);
+      historyToken = null;
+    }
+
     // Add request metadata to result
     result.metadata = {
       requestInfo: {
@@ -122,6 +169,8 @@ router.post('/assess', wrapAsyncRoute(async (req, res) => {
     res.status(200).json({
       success: true,
       assessment: result,
+      record,
+      ...(historyToken && { historyToken }),
       timestamp: new Date().toISOString()
     });
 
@@ -152,11 +201,12 @@ router.post('/recommend', (req, res) => {
     };
 
     const recommendations = screeningService.recommendTools(context);
+    const region = screeningService.resourceDirectory.getRegionFromRequest(req);
     
-    // Get detailed information about recommended tools
+    // Get detailed information about recommended tools the campus offers
     const detailedRecommendations = recommendations.map(toolName => {
       try {
-        const tool = screeningService.getTool(toolName);
+        const tool = screeningService.getTool(toolName, region);
         return {
           name: tool.name,
           fullName: tool.fullName,
@@ -191,7 +241,7 @@ router.post('/recommend', (req, res) => {
  */
 router.post('/interpret', (req, res) => {
   try {
-    const { toolName, score, scoringMethod = 'standard' } = req.body;
+    const { toolName, score, scoringMethod = 'standard', subscale = null } = req.body;
     
     // Validation
     if (!toolName || typeof toolName !== 'string') {
@@ -208,7 +258,7 @@ router.post('/interpret', (req, res) => {
       });
     }
 
-    const interpretation = screeningService.interpretScore(toolName, score, scoringMethod);
+    const interpretation = screeningService.interpretScore(toolName, score, scoringMethod, subscale);
     
     res.status(200).json({
       success: true,
@@ -217,11 +267,13 @@ router.post('/interpret', (req, res) => {
         toolName,
         score,
         scoringMethod,
+        ...(subscale && { subscale }),
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
-    if (error.message.includes('not found') || error.message.includes('outside valid range')) {
+    if (error.message.includes('not found') || error.message.includes('outside valid range') ||
+        error.message.includes('interpreted per subscale')) {
       return res.status(400).json({
         error: 'Bad Request',
         message: error.message
@@ -237,7 +289,9 @@ router.post('/interpret', (req, res) => {
  */
 router.get('/crisis-resources', (req, res) => {
   try {
-    const resources = screeningService.getCrisisResources();
+    const resources = screeningService.getCrisisResources(
+      screeningService.resourceDirectory.getRegionFromRequest(req)
+    );
     
     res.status(200).json({
       success: true,
@@ -256,7 +310,7 @@ router.get('/crisis-resources', (req, res) => {
  */
 router.get('/status', (req, res) => {
   try {
-    const availableTools = screeningService.getAvailableTools();
+    const availableTools = screeningService.getAvailableTools(screeningService.resourceDirectory.getRegionFromRequest(req));
     
     res.status(200).json({
       service: 'mental-health-screening',
@@ -266,6 +320,9 @@ router.get('/status', (req, res) => {
         'PHQ-9 Depression Screening',
         'GAD-7 Anxiety Screening', 
         'GHQ-12 General Distress Screening',
+        'PSS-10 Perceived Stress Screening',
+        'DASS-21 Depression, Anxiety and Stress Subscales',
+        'PC-PTSD-5 PTSD Screening',
         'Crisis Detection',
         'Score Interpretation',
         'Treatment Recommendations',
@@ -315,7 +372,7 @@ router.post('/validate', (req, res) => {
       });
     }
 
-    const tool = screeningService.getTool(toolName);
+    const tool = screeningService.getTool(toolName, screeningService.resourceDirectory.getRegionFromRequest(req));
     
     try {
       screeningService.validateResponses(tool, responses);
@@ -329,7 +386,8 @@ router.post('/validate', (req, res) => {
         completeness: {
           totalQuestions: tool.questions.length,
           answeredQuestions: Object.keys(responses).length,
-          isComplete: Object.keys(responses).length === tool.questions.length
+          isComplete: screeningService.isGatedOut(tool, responses) ||
+            Object.keys(responses).length === tool.questions.length
         },
         timestamp: new Date().toISOString()
       });
@@ -353,6 +411,166 @@ router.post('/validate', (req, res) => {
   }
 });
 
+/**
+ * GET /api/screening/history
+ * The student's own consenting assessments, newest first
+ */
+router.get('/history', authMiddleware.optionalAuthenticate, wrapAsyncRoute(async (req, res) => {
+  const owner = ownerOf(req);
+  if (!owner) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Sign in or send the X-Screening-Token from your first consenting assessment'
+    });
+  }
+
+  const history = await screeningHistory.getHistory(owner);
+
+  res.status(200).json({
+    success: true,
+    data: history
+  });
+}));
+
+/**
+ * GET /api/screening/history/trend?toolName=PHQ-9
+ * The student's scores per tool over time, with reliable change and
+ * clinical cutoff crossings between assessments
+ */
+router.get('/history/trend', authMiddleware.optionalAuthenticate, wrapAsyncRoute(async (req, res) => {
+  const owner = ownerOf(req);
+  if (!owner) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Sign in or send the X-Screening-Token from your first consenting assessment'
+    });
+  }
+
+  const trend = await screeningHistory.getTrend(owner, req.query.toolName || null);
+
+  res.status(200).json({
+    success: true,
+    data: trend
+  });
+}));
+
+/**
+ * DELETE /api/screening/history
+ * Withdraw consent: delete the student's history and the assessments in it
+ */
+router.delete('/history', authMiddleware.optionalAuthenticate, wrapAsyncRoute(async (req, res) => {
+  const owner = ownerOf(req);
+  if (!owner) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Sign in or send the X-Screening-Token from your first consenting assessment'
+    });
+  }
+
+  const deleted = await screeningHistory.deleteHistory(owner);
+
+  res.status(200).json({
+    success: true,
+    deleted
+  });
+}));
+
+/**
+ * GET /api/screening/statistics?days=30&toolName=PHQ-9&noise=true&epsilon=0.5
+ * Daily screening rollups with small cells suppressed (admin or counselor)
+ */
+router.get('/statistics', requireStaff, wrapAsyncRoute(async (req, res) => {
+  try {
+    const { days, toolName, noise, epsilon } = req.query;
+    const statistics = await screeningHistory.getStatistics({ days, toolName }, { noise, epsilon });
+
+    res.status(200).json({
+      success: true,
+      ...statistics
+    });
+  } catch (error) {
+    if (error.isValidationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+/**
+ * GET /api/screening/trends/:assessmentId?toolName=PHQ-9
+ * Trend of the consenting student an assessment belongs to, for the
+ * counselor following up a deterioration alert (admin or counselor)
+ */
+router.get('/trends/:assessmentId', requireStaff, wrapAsyncRoute(async (req, res) => {
+  const trend = await screeningHistory.getTrendForAssessment(req.params.assessmentId, req.query.toolName || null);
+
+  if (!trend) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'No consenting student\'s history lists this assessment'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: trend
+  });
+}));
+
+/**
+ * GET /api/screening/instruments
+ * List instrument definitions, whether the given campus offers each one and
+ * any definition files that failed validation (admin only)
+ */
+router.get('/instruments', requireAdmin, (req, res) => {
+  const campus = req.query.campus || null;
+
+  res.status(200).json({
+    success: true,
+    campus,
+    instruments: screeningService.registry.describe(campus),
+    loadErrors: screeningService.registry.loadErrors
+  });
+});
+
+/**
+ * PUT /api/screening/instruments/:name
+ * Switch an instrument on or off for a campus, or for every campus with
+ * campus '*' (admin only)
+ */
+router.put('/instruments/:name', requireAdmin, wrapAsyncRoute(async (req, res) => {
+  try {
+    const { campus, enabled } = req.body || {};
+    const instrument = await screeningService.registry.setEnabled(req.params.name, campus, enabled);
+
+    if (!instrument) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Screening tool '${req.params.name}' not found`
+      });
+    }
+
+    console.log(`Screening tool ${instrument.name} ${enabled ? 'enabled' : 'disabled'} for campus ${campus} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      campus,
+      instrument
+    });
+  } catch (error) {
+    if (error.isValidationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
 /**
  * GET /api/screening/help
  * Get help information about screening tools and their usage
@@ -362,7 +580,7 @@ router.get('/help', (req, res) => {
     res.status(200).json({
       success: true,
       help: {
-        overview: 'Mental health screening tools to assess depression, anxiety, and general psychological distress',
+        overview: 'Mental health screening tools to assess depression, anxiety, stress, trauma symptoms and general psychological distress',
         tools: {
           'PHQ-9': {
             purpose: 'Depression screening and severity assessment',
@@ -400,15 +618,49 @@ router.get('/help', (req, res) => {
               '16-20': 'Moderate psychological distress',
               '21-36': 'Severe psychological distress'
             }
+          },
+          'PSS-10': {
+            purpose: 'Perceived stress over the last month',
+            duration: '2-3 minutes',
+            scoring: 'Higher scores indicate more perceived stress; items 4, 5, 7 and 8 are reverse scored',
+            clinicalCutoff: 14,
+            interpretation: {
+              '0-13': 'Low perceived stress',
+              '14-26': 'Moderate perceived stress',
+              '27-40': 'High perceived stress'
+            }
+          },
+          'DASS-21': {
+            purpose: 'Depression, anxiety and stress, each on its own subscale',
+            duration: '4-5 minutes',
+            scoring: 'Each subscale is the sum of its 7 items doubled (0-42) and interpreted separately',
+            clinicalCutoff: { depression: 14, anxiety: 10, stress: 19 },
+            interpretation: {
+              depression: { '0-9': 'Normal', '10-13': 'Mild', '14-20': 'Moderate', '21-27': 'Severe', '28-42': 'Extremely severe' },
+              anxiety: { '0-7': 'Normal', '8-9': 'Mild', '10-14': 'Moderate', '15-19': 'Severe', '20-42': 'Extremely severe' },
+              stress: { '0-14': 'Normal', '15-18': 'Mild', '19-25': 'Moderate', '26-33': 'Severe', '34-42': 'Extremely severe' }
+            }
+          },
+          'PC-PTSD-5': {
+            purpose: 'Brief screen for probable PTSD',
+            duration: '1-2 minutes',
+            scoring: 'One point per "yes" to the five symptom questions, which are only asked after a traumatic event',
+            clinicalCutoff: 4,
+            interpretation: {
+              '0-3': 'Negative screen',
+              '4-5': 'Positive screen for probable PTSD'
+            }
           }
         },
         usage: {
           assessment: 'POST /api/screening/assess - Complete a screening assessment',
           recommendations: 'POST /api/screening/recommend - Get tool recommendations',
           interpretation: 'POST /api/screening/interpret - Interpret a score',
-          validation: 'POST /api/screening/validate - Validate responses'
+          validation: 'POST /api/screening/validate - Validate responses',
+          history: 'GET /api/screening/history - Your past scores (consenting assessments only)',
+          trend: 'GET /api/screening/history/trend - How your scores have changed over time'
         },
-        privacy: 'All assessments are anonymous unless you provide a session ID. No personal information is stored.',
+        privacy: 'Assessments are saved under an anonymous id for statistics. Only with your consent are your answers kept so you can see your past scores; you can delete them at any time.',
         disclaimer: 'These tools are for screening purposes only and do not provide clinical diagnoses. Always consult with a qualified healthcare provider for proper evaluation and treatment.'
       },
       timestamp: new Date().toISOString()
@@ -418,4 +670,5 @@ router.get('/help', (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.screeningHistory = screeningHistory;
\ No newline at end of file
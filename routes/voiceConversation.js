@@ -6,10 +6,12 @@
 const express = require('express');
 const multer = require('multer');
 const VoiceConversationService = require('../services/voiceConversationService');
+const ResourceDirectoryService = require('../services/resourceDirectoryService');
 const ErrorHandlingMiddleware = require('../middleware/errorHandlingMiddleware');
 
 const router = express.Router();
 const voiceConversationService = new VoiceConversationService();
+const resourceDirectory = new ResourceDirectoryService();
 const errorMiddleware = new ErrorHandlingMiddleware();
 const { wrapAsyncRoute } = errorMiddleware.getMiddleware();
 
@@ -126,7 +128,11 @@ router.post('/process', upload.single('audio'), wrapAsyncRoute(async (req, res)
     // Process voice input
     const options = {
       ipAddress: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('User-Agent')
+      userAgent: req.get('User-Agent'),
+      region: resourceDirectory.getRegionFromRequest(req),
+      // Screenings answered by voice are saved like those answered in chat
+      screeningHistory: req.app.locals.screeningHistory,
+      screeningIdentity: { token: req.get('X-Screening-Token') }
     };
 
     const result = await voiceConversationService.processVoiceInput(
@@ -395,4 +401,5 @@ router.use((error, req, res, next) => {
   next(error);
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.voiceConversationService = voiceConversationService;
\ No newline at end of file
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Fill the analytics store with made-up daily figures, for trying out the
+ * admin dashboard locally. Never run this against a real deployment.
+ * Usage: node seed-analytics-demo.js [days]     (default 30)
+ *        node seed-analytics-demo.js --clear    (remove the demo days again)
+ *
+ * Demo days are marked demo: true. Days that already hold real data, and
+ * today, are left alone.
+ */
+
+require('dotenv').config();
+const AnalyticsStore = require('./services/analyticsStore');
+
+const TOPICS = ['academic', 'exams', 'relationships', 'family', 'sleep', 'finances', 'homesickness'];
+
+function randomBetween(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+function demoTopTopics() {
+  return TOPICS
+    .slice()
+    .sort(() => 0.5 - Math.random())
+    .slice(0, 3)
+    .map(topic => ({
+      topic,
+      count: randomBetween(10, 60),
+      sentiment: (Math.random() * 2 - 1).toFixed(2)
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+function demoHourlyData() {
+  const hourlyData = [];
+
+  for (let hour = 0; hour < 24; hour++) {
+    hourlyData.push({
+      hour,
+      activeUsers: randomBetween(5, 55),
+      conversations: randomBetween(10, 40),
+      messages: randomBetween(20, 120),
+      avgSentiment: (Math.random() * 2 - 1).toFixed(2)
+    });
+  }
+
+  return hourlyData;
+}
+
+function demoDay(dateKey) {
+  const hourlyData = demoHourlyData();
+  const voiceInteractions = randomBetween(75, 225);
+  const textInteractions = randomBetween(75, 225);
+  const moodCheckIns = randomBetween(10, 40);
+
+  return {
+    date: dateKey,
+    demo: true,
+    totalUsers: randomBetween(50, 150),
+    totalConversations: randomBetween(100, 300),
+    totalMessages: voiceInteractions + textInteractions,
+    voiceInteractions,
+    textInteractions,
+    crisisAlerts: randomBetween(0, 4),
+    avgSessionDuration: randomBetween(300, 900),
+    avgSentimentScore: (Math.random() * 2 - 1).toFixed(2),
+    peakHour: hourlyData.reduce((busiest, hour) => (hour.activeUsers > busiest.activeUsers ? hour : busiest)).hour,
+    topTopics: demoTopTopics(),
+    moodCheckIns,
+    avgMood: (Math.random() * 4 + 4).toFixed(1),
+    avgMoodChange: (Math.random() * 2).toFixed(1),
+    hourlyData
+  };
+}
+
+async function seed() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('refusing to write demo analytics with NODE_ENV=production');
+  }
+
+  const store = new AnalyticsStore();
+  const stored = store.load();
+
+  if (process.argv[2] === '--clear') {
+    const removed = await store.removeDays((dateKey, day) => day.demo === true);
+    console.log(`Removed ${removed} demo days from ${store.filePath}`);
+    return;
+  }
+
+  const days = parseInt(process.argv[2]) || 30;
+  let seeded = 0;
+
+  for (let i = days; i >= 1; i--) {
+    const date = new Date();
+    date.setDate(date.getDate() - i);
+    const dateKey = date.toISOString().split('T')[0];
+
+    if (stored.days[dateKey] || stored.interactions[dateKey]) {
+      continue;
+    }
+    await store.saveDay(dateKey, demoDay(dateKey), { finalized: true });
+    seeded++;
+  }
+
+  console.log(`Seeded ${seeded} demo days into ${store.filePath}`);
+  console.log('Remove them with: node seed-analytics-demo.js --clear');
+}
+
+seed().catch(error => {
+  console.error('Seeding demo analytics failed:', error.message);
+  process.exit(1);
+});
@@ -9,6 +9,9 @@ const RealTimeMonitoringService = require('./services/realTimeMonitoringService'
 const PerformanceOptimizationService = require('./services/performanceOptimizationService');
 const CachingService = require('./services/cachingService');
 const ApiBatchingService = require('./services/apiBatchingService');
+const CrisisEscalationService = require('./services/crisisEscalationService');
+const NotificationService = require('./services/notificationService');
+const BookingService = require('./services/bookingService');
 require('dotenv').config();
 
 
@@ -38,6 +41,14 @@ app.locals.performanceServices = {
 // Make analytics service available to routes
 app.locals.analyticsService = analyticsMiddleware.getAnalyticsService();
 
+// Counselor hand-off for chats that escalate to crisis level 3
+const crisisEscalation = new CrisisEscalationService();
+app.locals.crisisEscalation = crisisEscalation;
+
+// Booking confirmations, notices and reminders (NOTIFICATION_TRANSPORT=file|console|live)
+const notifications = new NotificationService();
+app.locals.notifications = notifications;
+
 // Security middleware - Relaxed for development
 app.use(helmet({
   contentSecurityPolicy: {
@@ -115,8 +126,14 @@ const monitoringRoutes = require('./routes/monitoring');
 const screeningRoutes = require('./routes/screening');
 const voiceConversationRoutes = require('./routes/voiceConversation');
 const bookingRoutes = require('./routes/booking');
+const resourceRoutes = require('./routes/resources');
+const promptRoutes = require('./routes/prompts');
+const moodRoutes = require('./routes/mood');
 const { router: performanceRoutes, initializeServices } = require('./routes/performanceRoutes');
 
+// Screenings answered in chat or voice are saved to the same histories as the screening routes
+app.locals.screeningHistory = screeningRoutes.screeningHistory;
+
 // Initialize performance routes with services
 initializeServices({
   performanceOptimizer,
@@ -174,6 +191,15 @@ app.use('/api/booking',
   bookingRoutes
 );
 
+// Crisis resource directory routes
+app.use('/api/resources', resourceRoutes);
+
+// Versioned chat prompt templates
+app.use('/api/prompts', promptRoutes);
+
+// Student mood check-ins and mood history
+app.use('/api/mood', moodRoutes);
+
 // Enhanced health check endpoint with error handling details
 app.get('/health', middleware.healthCheck);
 
@@ -190,6 +216,7 @@ app.get('/api/status', (req, res) => {
     services: {
       server: 'running',
       groq: process.env.GROQ_API_KEY ? 'configured' : 'not_configured',
+      llmProviders: process.env.LLM_PROVIDERS || 'groq,openai-compatible',
       huggingface: 'deprecated',
       screening: 'operational',
       voiceConversation: 'operational',
@@ -233,6 +260,9 @@ process.on('SIGTERM', () => {
   performanceOptimizer.destroy();
   cachingService.destroy();
   batchingService.destroy();
+  crisisEscalation.destroy();
+  notifications.destroy();
+  app.locals.analyticsService.stopRollupJobs();
   
   if (realTimeMonitoring) {
     realTimeMonitoring.destroy();
@@ -248,6 +278,9 @@ process.on('SIGINT', () => {
   performanceOptimizer.destroy();
   cachingService.destroy();
   batchingService.destroy();
+  crisisEscalation.destroy();
+  notifications.destroy();
+  app.locals.analyticsService.stopRollupJobs();
   
   if (realTimeMonitoring) {
     realTimeMonitoring.destroy();
@@ -272,6 +305,24 @@ if (process.env.NODE_ENV !== 'test') {
     // Make monitoring service available to routes
     app.locals.realTimeMonitoring = realTimeMonitoring;
     
+    // Escalation cases open alerts and use the monitoring Socket.IO server
+    crisisEscalation.attachMonitoring(realTimeMonitoring);
+
+    // Streamed chat replies over the same Socket.IO server
+    conversationalAIRoutes.chatStreaming.attachMonitoring(realTimeMonitoring, crisisEscalation);
+
+    // Refused prompt injection attempts show up live for staff
+    conversationalAIRoutes.conversationalAIService.injectionDetection.attachMonitoring(realTimeMonitoring);
+
+    // Sharp deteriorations between a student's screenings alert staff
+    screeningRoutes.screeningHistory.attachMonitoring(realTimeMonitoring);
+    
+    // 24h/1h appointment reminders and notification retries
+    notifications.startReminders(new BookingService());
+
+    // Hourly and daily analytics rollups, and analytics retention
+    app.locals.analyticsService.startRollupJobs();
+    
     console.log('Real-time monitoring service initialized');
   });
 }
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+
+/**
+ * Analytics Privacy Service
+ * Disclosure control for analytics that leave the service (exports and
+ * reports). On a small campus "2 students talked about family at 3am" can
+ * point at a person, so every published figure goes through a guard:
+ * - a cell describing 1 to k-1 students is suppressed, and one more cell of
+ *   its group is suppressed when a published total would give it away;
+ * - an average is only published over at least k students;
+ * - optionally, counts get Laplace noise. Each export has a privacy budget
+ *   (epsilon) that is split evenly over the measures it publishes.
+ */
+class AnalyticsPrivacyService {
+  /**
+   * @param {Object} options
+   * @param {number} options.minCellSize - k, the fewest students a published cell may describe
+   * @param {number} options.epsilon - Privacy budget of one export
+   * @param {Function} options.random - Uniform random number in (0, 1), for tests
+   */
+  constructor(options = {}) {
+    this.config = {
+      minCellSize: options.minCellSize || parseInt(process.env.ANALYTICS_MIN_CELL_SIZE) || 5,
+      epsilon: options.epsilon || parseFloat(process.env.ANALYTICS_EXPORT_EPSILON) || 1
+    };
+
+    this.random = options.random || (() => crypto.randomInt(1, 2 ** 48) / 2 ** 48);
+  }
+
+  /**
+   * Start guarding one export
+   * @param {Object} measures - Sensitivity of each measure the export may publish, by name.
+   *   A measure is a set of disjoint cells (e.g. messages per day), so the
+   *   sensitivity is how far one interaction can move the measure in total.
+   * @param {Object} options
+   * @param {boolean|string} options.noise - Add Laplace noise to counts
+   * @param {number|string} options.epsilon - Spend less than the configured budget
+   * @returns {DisclosureGuard}
+   */
+  createGuard(measures, options = {}) {
+    const noise = options.noise === true || options.noise === 'true';
+    let epsilon = this.config.epsilon;
+
+    if (options.epsilon !== undefined && options.epsilon !== null && options.epsilon !== '') {
+      epsilon = Number(options.epsilon);
+      if (!(epsilon > 0) || epsilon > this.config.epsilon) {
+        throw this._validationError(`epsilon must be above 0 and at most ${this.config.epsilon}, the budget of one export`);
+      }
+    }
+
+    return new DisclosureGuard(this, measures, { noise, epsilon });
+  }
+
+  /**
+   * Draw Laplace noise
+   * @param {number} scale - Sensitivity divided by epsilon
+   * @returns {number}
+   */
+  laplace(scale) {
+    const u = this.random() - 0.5;
+    return -scale * Math.sign(u) * Math.log(1 - 2 * Math.abs(u));
+  }
+
+  /**
+   * @private
+   */
+  _validationError(message) {
+    const error = new Error(message);
+    error.isValidationError = true;
+    return error;
+  }
+}
+
+/**
+ * The protections of one export. Cells with a key are protected once and then
+ * reused, so a figure that appears twice (today in the summary and in the
+ * trend) is the same number and spends the budget once.
+ */
+class DisclosureGuard {
+  constructor(privacy, measures, options) {
+    this.privacy = privacy;
+    this.measures = measures;
+    this.minCellSize = privacy.config.minCellSize;
+    this.noise = options.noise;
+    this.epsilon = options.epsilon;
+    this.epsilonPerMeasure = options.epsilon / Object.keys(measures).length;
+
+    this.cells = new Map();
+    this.suppressedCells = 0;
+  }
+
+  /**
+   * Protect a count
+   * @param {string} measure - Declared measure the cell belongs to
+   * @param {number} value - True count
+   * @param {number} contributors - Students behind the cell; defaults to the count
+   * @param {string} key - Identifies the cell within the measure
+   * @returns {number|null} Published count, or null if suppressed
+   */
+  count(measure, value, contributors = value, key = null) {
+    if (!(measure in this.measures)) {
+      throw new Error(`Measure ${measure} is not part of this export's privacy budget`);
+    }
+
+    const cellKey = key === null ? null : `${measure}:${key}`;
+    if (cellKey && this.cells.has(cellKey)) {
+      return this.cells.get(cellKey);
+    }
+
+    let published = value;
+    if (value === null || value === undefined) {
+      published = null;
+    } else if (this.isSmall(contributors)) {
+      published = null;
+      this.suppressedCells++;
+    } else if (this.noise) {
+      const scale = this.measures[measure] / this.epsilonPerMeasure;
+      published = Math.max(0, Math.round(value + this.privacy.laplace(scale)));
+    }
+
+    if (cellKey) {
+      this.cells.set(cellKey, published);
+    }
+    return published;
+  }
+
+  /**
+   * Protect a group of counts, some of which may also be published as a total
+   * @param {string} measure - Declared measure the cells belong to
+   * @param {Object} counts - True counts by cell name
+   * @param {Object} options
+   * @param {Object} options.contributors - Students behind each cell by name; defaults to the counts
+   * @param {boolean} options.total - The sum of the cells is published as well
+   * @param {string} options.key - Identifies the group within the measure
+   * @returns {Object} Published counts by cell name
+   */
+  group(measure, counts, options = {}) {
+    const contributors = options.contributors || counts;
+    const published = {};
+    Object.entries(counts).forEach(([name, value]) => {
+      published[name] = this.count(measure, value, contributors[name] ?? value, options.key ? `${options.key}:${name}` : null);
+    });
+
+    // With the total known, a single gap can be worked out from the others
+    const suppressed = Object.keys(counts).filter(name => published[name] === null);
+    if (options.total && suppressed.length === 1) {
+      const [next] = Object.keys(counts)
+        .filter(name => published[name] !== null && counts[name] > 0)
+        .sort((a, b) => counts[a] - counts[b]);
+      if (next) {
+        published[next] = null;
+        this.suppressedCells++;
+      }
+    }
+
+    return published;
+  }
+
+  /**
+   * Protect an average; averages are never noised, only withheld
+   * @param {number|string} value - True average
+   * @param {number} contributors - Students behind the average
+   * @returns {number|string|null}
+   */
+  average(value, contributors) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (this.isSmall(contributors)) {
+      this.suppressedCells++;
+      return null;
+    }
+    return value;
+  }
+
+  /**
+   * Whether a cell is too small to publish
+   * @param {number} contributors - Students behind the cell
+   * @returns {boolean}
+   */
+  isSmall(contributors) {
+    return contributors > 0 && contributors < this.minCellSize;
+  }
+
+  /**
+   * What was applied, to publish with the data
+   * @returns {Object}
+   */
+  footer() {
+    const k = this.minCellSize;
+    const measures = Object.keys(this.measures).length;
+    const statement = [
+      `Cells describing 1 to ${k - 1} students are suppressed (null) or left out of ranked lists; ` +
+        `${this.suppressedCells} were suppressed in this export.`,
+      `Averages are only published over at least ${k} students and carry no noise.`,
+      this.noise
+        ? `Counts carry Laplace noise: epsilon ${this.epsilon} for this export, split over ${measures} measures ` +
+          `(${round(this.epsilonPerMeasure)} each), rounded and floored at 0.`
+        : 'No noise was added; published counts are exact.',
+      'Student identifiers are keyed hashes and are not exported.'
+    ];
+
+    return {
+      minCellSize: k,
+      suppressedCells: this.suppressedCells,
+      noise: this.noise
+        ? {
+          applied: true,
+          mechanism: 'laplace',
+          epsilon: this.epsilon,
+          epsilonPerMeasure: round(this.epsilonPerMeasure),
+          sensitivity: { ...this.measures }
+        }
+        : { applied: false },
+      statement
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = AnalyticsPrivacyService;
@@ -1,78 +1,73 @@
+const crypto = require('crypto');
+const AnalyticsStore = require('./analyticsStore');
+const AnalyticsPrivacyService = require('./analyticsPrivacyService');
+
+const HOUR = 60 * 60 * 1000;
+const TOP_TOPICS = 5;
+
+// What exports and reports publish, for the privacy budget. Every count column
+// is a measure over disjoint cells (days, hours, topics), so one interaction
+// moves it by at most one, except topics: a message can raise every one of
+// the day's top topics.
+const DAY_MEASURES = {
+  totalUsers: 1,
+  totalConversations: 1,
+  totalMessages: 1,
+  voiceInteractions: 1,
+  textInteractions: 1,
+  crisisAlerts: 1,
+  moodCheckIns: 1
+};
+const HOUR_MEASURES = { hourlyActiveUsers: 1, hourlyConversations: 1, hourlyMessages: 1 };
+const TOPIC_MEASURES = { topicCount: TOP_TOPICS };
+const CRISIS_MEASURES = { crisisTotal: 1, crisisStatus: 1, crisisSeverity: 1 };
+const REPORT_MEASURES = {
+  usage: { ...DAY_MEASURES, ...HOUR_MEASURES, ...TOPIC_MEASURES, activeSessions: 1 },
+  'mental-health': { totalMessages: 1, topicTotal: TOP_TOPICS, ...CRISIS_MEASURES },
+  crisis: { ...CRISIS_MEASURES, ...HOUR_MEASURES }
+};
+
 class AnalyticsService {
-  constructor() {
-    this.analytics = new Map(); // In-memory storage for demo - replace with database in production
+  // options.store (or options.storePath) sets where analytics are persisted,
+  // options.privacy guards exports and options.idSecret keys user id hashes
+  constructor(options = {}) {
+    this.store = options.store || new AnalyticsStore({ filePath: options.storePath });
+    this.privacy = options.privacy || new AnalyticsPrivacyService();
+    this.idSecret = options.idSecret || process.env.ANALYTICS_ID_SECRET ||
+      process.env.JWT_SECRET || 'mindcare-default-secret-change-in-production';
+
+    this.analytics = new Map(); // Daily aggregates, persisted as rollups
     this.sessions = new Map(); // Active user sessions
-    this.conversations = new Map(); // Conversation data
+    this.conversations = new Map(); // Raw interactions of days not rolled up yet
     this.crisisEvents = new Map(); // Crisis detection events
     this.sentimentData = new Map(); // Sentiment analysis results
+
+    this.config = {
+      retentionDays: parseInt(process.env.ANALYTICS_RETENTION_DAYS) || 90,
+      rollupInterval: HOUR
+    };
+    this.rollupTimer = null;
     
     this.initializeAnalytics();
   }
 
   initializeAnalytics() {
-    // Generate some sample historical data for demonstration
-    this.generateSampleData();
-  }
+    // Only real, persisted data; see seed-analytics-demo.js for demo figures
+    const stored = this.store.load();
 
-  generateSampleData() {
-    const now = new Date();
-    
-    // Generate data for the last 30 days
-    for (let i = 30; i >= 0; i--) {
-      const date = new Date(now);
-      date.setDate(date.getDate() - i);
-      const dateKey = date.toISOString().split('T')[0];
-      
-      // Generate daily analytics
-      const dailyData = {
-        date: dateKey,
-        totalUsers: Math.floor(Math.random() * 100) + 50,
-        totalConversations: Math.floor(Math.random() * 200) + 100,
-        totalMessages: Math.floor(Math.random() * 1000) + 500,
-        voiceInteractions: Math.floor(Math.random() * 150) + 75,
-        textInteractions: Math.floor(Math.random() * 150) + 75,
-        crisisAlerts: Math.floor(Math.random() * 5),
-        avgSessionDuration: Math.floor(Math.random() * 600) + 300, // seconds
-        avgSentimentScore: (Math.random() * 2 - 1).toFixed(2), // -1 to 1
-        peakHour: Math.floor(Math.random() * 24),
-        topTopics: this.generateTopTopics(),
-        userSatisfaction: (Math.random() * 2 + 3).toFixed(1) // 3-5 rating
-      };
-      
-      this.analytics.set(dateKey, dailyData);
-    }
-
-    // Generate hourly data for today
-    this.generateHourlyData();
-  }
-
-  generateTopTopics() {
-    const topics = ['anxiety', 'depression', 'stress', 'relationships', 'academic', 'sleep', 'family', 'social'];
-    const selectedTopics = topics.sort(() => 0.5 - Math.random()).slice(0, 3);
-    
-    return selectedTopics.map(topic => ({
-      topic,
-      count: Math.floor(Math.random() * 50) + 10,
-      sentiment: (Math.random() * 2 - 1).toFixed(2)
-    }));
-  }
+    Object.entries(stored.days).forEach(([dateKey, day]) => this.analytics.set(dateKey, day));
+    Object.entries(stored.crisisEvents).forEach(([dateKey, events]) => {
+      this.crisisEvents.set(dateKey, events.map(event => ({ ...event, timestamp: new Date(event.timestamp) })));
+    });
 
-  generateHourlyData() {
-    const today = new Date().toISOString().split('T')[0];
-    const hourlyData = [];
-    
-    for (let hour = 0; hour < 24; hour++) {
-      hourlyData.push({
-        hour,
-        activeUsers: Math.floor(Math.random() * 50) + 5,
-        conversations: Math.floor(Math.random() * 30) + 10,
-        avgSentiment: (Math.random() * 2 - 1).toFixed(2)
-      });
-    }
-    
-    const todayData = this.analytics.get(today) || {};
-    todayData.hourlyData = hourlyData;
-    this.analytics.set(today, todayData);
+    // Days that were not rolled up yet are rebuilt from their interactions
+    Object.entries(stored.interactions).forEach(([dateKey, interactions]) => {
+      this.conversations.set(dateKey, interactions.map(interaction => ({
+        ...interaction,
+        timestamp: new Date(interaction.timestamp)
+      })));
+      this.analytics.set(dateKey, this.buildDailyAggregate(dateKey));
+    });
   }
 
   // Record user interaction
@@ -88,13 +83,16 @@ class AnalyticsService {
         userId: this.anonymizeUserId(userId),
         sessionId,
         timestamp,
-        type: interactionData.type, // 'voice', 'text', 'voice-to-text'
+        type: interactionData.type, // 'voice', 'text', 'voice-to-text', 'mood-check-in'
         messageLength: interactionData.messageLength || 0,
         responseTime: interactionData.responseTime || 0,
-        sentiment: interactionData.sentiment || null,
+        sentiment: interactionData.sentiment ?? null,
         topics: interactionData.topics || [],
         crisisDetected: interactionData.crisisDetected || false,
-        language: interactionData.language || 'en'
+        language: interactionData.language || 'en',
+        // Self-reported 1-10 mood and 'pre'/'post' phase for mood check-ins
+        mood: interactionData.mood || null,
+        checkInPhase: interactionData.checkInPhase || null
       };
 
       // Store interaction
@@ -102,6 +100,7 @@ class AnalyticsService {
         this.conversations.set(dateKey, []);
       }
       this.conversations.get(dateKey).push(interaction);
+      this.persist(this.store.appendInteraction(dateKey, interaction));
 
       // Update session data
       this.updateSessionData(sessionId, interaction);
@@ -139,7 +138,9 @@ class AnalyticsService {
     const session = this.sessions.get(sessionId);
     session.lastActivity = interaction.timestamp;
     session.interactions.push(interaction.id);
-    session.totalMessages++;
+    if (interaction.type !== 'mood-check-in') {
+      session.totalMessages++;
+    }
     session.crisisDetected = session.crisisDetected || interaction.crisisDetected;
 
     // Update topics
@@ -159,49 +160,51 @@ class AnalyticsService {
   }
 
   updateDailyAnalytics(dateKey, interaction) {
-    let dailyData = this.analytics.get(dateKey);
-    if (!dailyData) {
-      dailyData = {
-        date: dateKey,
-        totalUsers: 0,
-        totalConversations: 0,
-        totalMessages: 0,
-        voiceInteractions: 0,
-        textInteractions: 0,
-        crisisAlerts: 0,
-        avgSessionDuration: 0,
-        avgSentimentScore: 0,
-        peakHour: 0,
-        topTopics: [],
-        userSatisfaction: 0
-      };
-    }
+    const dailyData = this.analytics.get(dateKey) || this.emptyDay(dateKey);
 
-    // Update counters
-    dailyData.totalMessages++;
-    
-    if (interaction.type === 'voice' || interaction.type === 'voice-to-voice') {
-      dailyData.voiceInteractions++;
+    if (interaction.type === 'mood-check-in') {
+      // Check-ins are not messages, so they count towards neither channel
+      this.updateDailyMood(dailyData, dateKey);
     } else {
-      dailyData.textInteractions++;
+      dailyData.totalMessages++;
+
+      if (interaction.type === 'voice' || interaction.type === 'voice-to-voice') {
+        dailyData.voiceInteractions++;
+      } else {
+        dailyData.textInteractions++;
+      }
     }
 
     if (interaction.crisisDetected) {
       dailyData.crisisAlerts++;
     }
 
-    // Update unique users count
-    const uniqueUsers = new Set();
-    const dayConversations = this.conversations.get(dateKey) || [];
-    dayConversations.forEach(conv => uniqueUsers.add(conv.userId));
-    dailyData.totalUsers = uniqueUsers.size;
+    this.updateDailyTotals(dailyData, this.conversations.get(dateKey) || []);
 
-    // Update conversations count (unique sessions)
-    const uniqueSessions = new Set();
-    dayConversations.forEach(conv => uniqueSessions.add(conv.sessionId));
-    dailyData.totalConversations = uniqueSessions.size;
+    this.analytics.set(dateKey, dailyData);
+  }
+
+  emptyDay(dateKey) {
+    return {
+      date: dateKey,
+      totalUsers: 0,
+      totalConversations: 0,
+      totalMessages: 0,
+      voiceInteractions: 0,
+      textInteractions: 0,
+      crisisAlerts: 0,
+      avgSessionDuration: 0,
+      avgSentimentScore: 0,
+      peakHour: 0,
+      topTopics: []
+    };
+  }
+
+  // Users, conversations, sentiment and topics are recounted from the whole day
+  updateDailyTotals(dailyData, dayConversations) {
+    dailyData.totalUsers = new Set(dayConversations.map(conv => conv.userId)).size;
+    dailyData.totalConversations = new Set(dayConversations.map(conv => conv.sessionId)).size;
 
-    // Update sentiment
     const sentiments = dayConversations
       .filter(conv => conv.sentiment !== null)
       .map(conv => parseFloat(conv.sentiment));
@@ -210,7 +213,117 @@ class AnalyticsService {
       dailyData.avgSentimentScore = (sentiments.reduce((a, b) => a + b, 0) / sentiments.length).toFixed(2);
     }
 
-    this.analytics.set(dateKey, dailyData);
+    this.updateDailyTopics(dailyData, dayConversations);
+  }
+
+  // Full aggregate of a day, rebuilt from its raw interactions
+  buildDailyAggregate(dateKey) {
+    const dayConversations = this.conversations.get(dateKey) || [];
+    const messages = dayConversations.filter(conv => conv.type !== 'mood-check-in');
+    const dailyData = this.emptyDay(dateKey);
+
+    dailyData.totalMessages = messages.length;
+    dailyData.voiceInteractions = messages.filter(conv => conv.type === 'voice' || conv.type === 'voice-to-voice').length;
+    dailyData.textInteractions = messages.length - dailyData.voiceInteractions;
+    dailyData.crisisAlerts = dayConversations.filter(conv => conv.crisisDetected).length;
+    this.updateDailyTotals(dailyData, dayConversations);
+
+    if (dayConversations.some(conv => conv.type === 'mood-check-in')) {
+      this.updateDailyMood(dailyData, dateKey);
+    }
+
+    // Seconds from a session's first to its last interaction that day
+    const sessionSpans = new Map();
+    dayConversations.forEach(conv => {
+      const span = sessionSpans.get(conv.sessionId) || { first: conv.timestamp, last: conv.timestamp };
+      span.first = conv.timestamp < span.first ? conv.timestamp : span.first;
+      span.last = conv.timestamp > span.last ? conv.timestamp : span.last;
+      sessionSpans.set(conv.sessionId, span);
+    });
+    if (sessionSpans.size > 0) {
+      const total = Array.from(sessionSpans.values()).reduce((sum, span) => sum + (span.last - span.first), 0);
+      dailyData.avgSessionDuration = Math.round(total / sessionSpans.size / 1000);
+    }
+
+    dailyData.hourlyData = this.buildHourlyData(dayConversations);
+    dailyData.peakHour = this.busiestHour(dailyData.hourlyData);
+
+    return dailyData;
+  }
+
+  // Activity per hour (UTC, like the date keys) of a day's interactions
+  buildHourlyData(dayConversations) {
+    const hourlyData = [];
+
+    for (let hour = 0; hour < 24; hour++) {
+      const inHour = dayConversations.filter(conv => conv.timestamp.getUTCHours() === hour);
+      const sentiments = inHour.filter(conv => conv.sentiment !== null).map(conv => parseFloat(conv.sentiment));
+
+      hourlyData.push({
+        hour,
+        activeUsers: new Set(inHour.map(conv => conv.userId)).size,
+        conversations: new Set(inHour.map(conv => conv.sessionId)).size,
+        messages: inHour.filter(conv => conv.type !== 'mood-check-in').length,
+        avgSentiment: sentiments.length > 0
+          ? (sentiments.reduce((a, b) => a + b, 0) / sentiments.length).toFixed(2)
+          : null
+      });
+    }
+
+    return hourlyData;
+  }
+
+  busiestHour(hourlyData) {
+    return hourlyData.reduce((busiest, hour) => (hour.activeUsers > busiest.activeUsers ? hour : busiest), hourlyData[0]).hour;
+  }
+
+  // Most discussed topics of the day with the average sentiment of the messages
+  // that raised them. Emotion tags from mood check-ins are not topics.
+  updateDailyTopics(dailyData, dayConversations) {
+    const topics = {};
+    dayConversations
+      .filter(conv => conv.type !== 'mood-check-in')
+      .forEach(conv => conv.topics.forEach(topic => {
+        if (!topics[topic]) {
+          topics[topic] = { topic, count: 0, users: new Set(), sentimentSum: 0, sentimentCount: 0 };
+        }
+        topics[topic].count++;
+        topics[topic].users.add(conv.userId);
+        if (conv.sentiment !== null) {
+          topics[topic].sentimentSum += parseFloat(conv.sentiment);
+          topics[topic].sentimentCount++;
+        }
+      }));
+
+    dailyData.topTopics = Object.values(topics)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_TOPICS)
+      .map(topic => ({
+        topic: topic.topic,
+        count: topic.count,
+        users: topic.users.size,
+        sentiment: (topic.sentimentCount > 0 ? topic.sentimentSum / topic.sentimentCount : 0).toFixed(2)
+      }));
+  }
+
+  // Average self-reported mood and the mood change from pre- to post-session check-ins
+  updateDailyMood(dailyData, dateKey) {
+    const checkIns = (this.conversations.get(dateKey) || []).filter(conv => conv.type === 'mood-check-in');
+    dailyData.moodCheckIns = checkIns.length;
+    dailyData.avgMood = (checkIns.reduce((sum, conv) => sum + conv.mood, 0) / checkIns.length).toFixed(1);
+
+    const pre = new Map();
+    const changes = [];
+    checkIns.forEach(conv => {
+      if (conv.checkInPhase === 'pre') {
+        pre.set(conv.sessionId, conv.mood);
+      } else if (conv.checkInPhase === 'post' && pre.has(conv.sessionId)) {
+        changes.push(conv.mood - pre.get(conv.sessionId));
+      }
+    });
+    dailyData.avgMoodChange = changes.length > 0
+      ? (changes.reduce((a, b) => a + b, 0) / changes.length).toFixed(1)
+      : null;
   }
 
   recordCrisisEvent(interaction) {
@@ -231,6 +344,7 @@ class AnalyticsService {
       this.crisisEvents.set(dateKey, []);
     }
     this.crisisEvents.get(dateKey).push(crisisEvent);
+    this.persist(this.store.saveCrisisEvent(dateKey, crisisEvent));
 
     return crisisEvent.id;
   }
@@ -299,6 +413,7 @@ class AnalyticsService {
           topicCounts[topicData.topic] = {
             topic: topicData.topic,
             totalCount: 0,
+            users: 0,
             avgSentiment: 0,
             sentimentSum: 0,
             days: 0
@@ -306,6 +421,8 @@ class AnalyticsService {
         }
         
         topicCounts[topicData.topic].totalCount += topicData.count;
+        // Students are only counted per day; the busiest day is a floor for the period
+        topicCounts[topicData.topic].users = Math.max(topicCounts[topicData.topic].users, topicData.users ?? topicData.count);
         topicCounts[topicData.topic].sentimentSum += parseFloat(topicData.sentiment);
         topicCounts[topicData.topic].days++;
       });
@@ -316,6 +433,7 @@ class AnalyticsService {
       .map(topic => ({
         topic: topic.topic,
         totalCount: topic.totalCount,
+        users: topic.users,
         avgSentiment: (topic.sentimentSum / topic.days).toFixed(2)
       }))
       .sort((a, b) => b.totalCount - a.totalCount);
@@ -334,6 +452,22 @@ class AnalyticsService {
     }));
   }
 
+  getMoodTrends(days = 7) {
+    const analytics = this.getAnalyticsByDateRange(
+      new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+      new Date().toISOString().split('T')[0]
+    );
+
+    return analytics
+      .filter(day => day.moodCheckIns > 0)
+      .map(day => ({
+        date: day.date,
+        avgMood: parseFloat(day.avgMood),
+        avgMoodChange: day.avgMoodChange === null ? null : parseFloat(day.avgMoodChange),
+        checkIns: day.moodCheckIns
+      }));
+  }
+
   getCrisisStatistics(days = 7) {
     const endDate = new Date();
     const startDate = new Date();
@@ -347,16 +481,30 @@ class AnalyticsService {
       }
     }
 
+    const byStatus = {
+      resolved: crisisEvents.filter(e => e.resolved),
+      escalated: crisisEvents.filter(e => e.escalated),
+      pending: crisisEvents.filter(e => !e.resolved && !e.escalated)
+    };
+    const bySeverity = {};
+    ['critical', 'high', 'medium', 'low'].forEach(severity => {
+      bySeverity[severity] = crisisEvents.filter(e => e.severity === severity);
+    });
+
+    // One student can raise several events, so cells are also counted in
+    // students for the disclosure guard
+    const events = group => Object.fromEntries(Object.entries(group).map(([name, list]) => [name, list.length]));
+    const students = group => Object.fromEntries(Object.entries(group)
+      .map(([name, list]) => [name, new Set(list.map(e => e.userId)).size]));
+
     const stats = {
       total: crisisEvents.length,
-      resolved: crisisEvents.filter(e => e.resolved).length,
-      escalated: crisisEvents.filter(e => e.escalated).length,
-      pending: crisisEvents.filter(e => !e.resolved && !e.escalated).length,
-      bySeverity: {
-        critical: crisisEvents.filter(e => e.severity === 'critical').length,
-        high: crisisEvents.filter(e => e.severity === 'high').length,
-        medium: crisisEvents.filter(e => e.severity === 'medium').length,
-        low: crisisEvents.filter(e => e.severity === 'low').length
+      ...events(byStatus),
+      bySeverity: events(bySeverity),
+      students: {
+        total: new Set(crisisEvents.map(e => e.userId)).size,
+        ...students(byStatus),
+        bySeverity: students(bySeverity)
       }
     };
 
@@ -401,6 +549,7 @@ class AnalyticsService {
     
     if (todayData && todayData.hourlyData) {
       return todayData.hourlyData
+        .filter(hour => hour.activeUsers > 0)
         .sort((a, b) => b.activeUsers - a.activeUsers)
         .slice(0, 3)
         .map(hour => ({
@@ -413,8 +562,10 @@ class AnalyticsService {
     return [];
   }
 
-  // Export functions
-  exportAnalyticsData(format = 'json', dateRange = null) {
+  // Export functions. Exports leave the service, so they go through the
+  // privacy guard; privacyOptions.noise adds Laplace noise and
+  // privacyOptions.epsilon spends less than the configured budget.
+  exportAnalyticsData(format = 'json', dateRange = null, privacyOptions = {}) {
     let data;
     
     if (dateRange) {
@@ -424,36 +575,207 @@ class AnalyticsService {
     }
 
     switch (format.toLowerCase()) {
-      case 'csv':
-        return this.convertToCSV(data);
-      case 'json':
-        return JSON.stringify(data, null, 2);
+      case 'csv': {
+        // CSV leaves out the hourly and topic breakdowns, so it spends less budget
+        const guard = this.privacy.createGuard(DAY_MEASURES, privacyOptions);
+        const rows = data.map(day => this.protectDay(guard, day, { breakdowns: false }));
+        return this.convertToCSV(rows, guard.footer());
+      }
+      case 'json': {
+        const guard = this.privacy.createGuard({ ...DAY_MEASURES, ...HOUR_MEASURES, ...TOPIC_MEASURES }, privacyOptions);
+        const rows = data.map(day => this.protectDay(guard, day));
+        return JSON.stringify({ data: rows, privacy: guard.footer() }, null, 2);
+      }
       default:
         throw new Error('Unsupported export format');
     }
   }
 
-  convertToCSV(data) {
-    if (data.length === 0) return '';
+  convertToCSV(data, privacy = null) {
+    if (data.length === 0 && !privacy) return '';
     
-    const headers = Object.keys(data[0]).filter(key => typeof data[0][key] !== 'object');
-    const csvRows = [headers.join(',')];
+    // Suppressed cells are null, and demo days have a column of their own
+    const headers = [];
+    data.forEach(row => Object.keys(row).forEach(key => {
+      if (!headers.includes(key) && (row[key] === null || typeof row[key] !== 'object')) {
+        headers.push(key);
+      }
+    }));
+    const csvRows = data.length > 0 ? [headers.join(',')] : [];
     
     data.forEach(row => {
       const values = headers.map(header => {
         const value = row[header];
+        if (value === null || value === undefined) return '';
         return typeof value === 'string' ? `"${value}"` : value;
       });
       csvRows.push(values.join(','));
     });
+
+    if (privacy) {
+      privacy.statement.forEach(line => csvRows.push(`# ${line}`));
+    }
     
     return csvRows.join('\n');
   }
 
+  // A day's aggregates as they may be published; options.breakdowns: false
+  // leaves out the hourly and topic breakdowns
+  protectDay(guard, day, options = {}) {
+    const users = day.totalUsers;
+    const row = { date: day.date };
+    if (day.demo) {
+      row.demo = true;
+    }
+
+    Object.keys(DAY_MEASURES).forEach(measure => {
+      if (day[measure] !== undefined) {
+        // Crisis alerts single out students even on a busy day
+        const contributors = measure === 'crisisAlerts' ? day.crisisAlerts : users;
+        row[measure] = guard.count(measure, day[measure], contributors, day.date);
+      }
+    });
+    row.avgSessionDuration = guard.average(day.avgSessionDuration, users);
+    row.avgSentimentScore = guard.average(day.avgSentimentScore, users);
+    if (day.moodCheckIns !== undefined) {
+      row.avgMood = guard.average(day.avgMood, users);
+      row.avgMoodChange = guard.average(day.avgMoodChange, users);
+    }
+
+    if (options.breakdowns === false) {
+      return row;
+    }
+    if (day.hourlyData) {
+      row.hourlyData = this.protectHours(guard, day.date, day.hourlyData);
+      const busiest = row.hourlyData.filter(hour => hour.activeUsers > 0);
+      row.peakHour = busiest.length > 0 ? this.busiestHour(busiest) : null;
+    }
+    row.topTopics = this.protectTopics(guard, 'topicCount', day.topTopics, day.date);
+
+    return row;
+  }
+
+  protectHours(guard, dateKey, hourlyData) {
+    return hourlyData.map(hour => {
+      const key = `${dateKey}:${hour.hour}`;
+      return {
+        hour: hour.hour,
+        activeUsers: guard.count('hourlyActiveUsers', hour.activeUsers, hour.activeUsers, key),
+        conversations: guard.count('hourlyConversations', hour.conversations, hour.activeUsers, key),
+        messages: guard.count('hourlyMessages', hour.messages, hour.activeUsers, key),
+        avgSentiment: guard.average(hour.avgSentiment, hour.activeUsers)
+      };
+    });
+  }
+
+  // Suppressed topics are left out: even a blank count would say someone raised it
+  protectTopics(guard, measure, topics, key) {
+    const countField = measure === 'topicTotal' ? 'totalCount' : 'count';
+    const sentimentField = measure === 'topicTotal' ? 'avgSentiment' : 'sentiment';
+
+    return topics
+      .map(topic => {
+        const users = topic.users ?? topic[countField];
+        const count = guard.count(measure, topic[countField], users, `${key}:${topic.topic}`);
+        return count === null
+          ? null
+          : { topic: topic.topic, [countField]: count, [sentimentField]: guard.average(topic[sentimentField], users) };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b[countField] - a[countField]);
+  }
+
+  // The three busiest hours of a day in getPeakHours' shape, ranked by the
+  // protected counts so a suppressed hour is left out rather than placed
+  protectPeakHours(guard, dateKey) {
+    const day = this.analytics.get(dateKey);
+    if (!day || !day.hourlyData) return [];
+
+    return this.protectHours(guard, dateKey, day.hourlyData)
+      .filter(hour => hour.activeUsers > 0)
+      .sort((a, b) => b.activeUsers - a.activeUsers)
+      .slice(0, 3)
+      .map(hour => ({
+        hour: hour.hour,
+        users: hour.activeUsers,
+        conversations: hour.conversations
+      }));
+  }
+
+  protectCrisisStatistics(guard, stats) {
+    const students = stats.students || {};
+    const { resolved, escalated, pending } = guard.group('crisisStatus', {
+      resolved: stats.resolved,
+      escalated: stats.escalated,
+      pending: stats.pending
+    }, { total: true, contributors: students });
+
+    return {
+      total: guard.count('crisisTotal', stats.total, students.total ?? stats.total),
+      resolved,
+      escalated,
+      pending,
+      bySeverity: guard.group('crisisSeverity', stats.bySeverity, { total: true, contributors: students.bySeverity })
+    };
+  }
+
+  // A report built from the retrieval methods, as it may be published
+  protectReport(reportType, report, privacyOptions = {}) {
+    const guard = this.privacy.createGuard(REPORT_MEASURES[reportType], privacyOptions);
+    const today = new Date().toISOString().split('T')[0];
+    const published = { ...report };
+
+    if (report.summary) {
+      const todayData = this.analytics.get(today) || this.emptyDay(today);
+      const row = this.protectDay(guard, todayData);
+      published.summary = {
+        today: {
+          totalUsers: row.totalUsers,
+          totalConversations: row.totalConversations,
+          totalMessages: row.totalMessages,
+          crisisAlerts: row.crisisAlerts,
+          avgSentiment: row.avgSentimentScore === null ? null : parseFloat(row.avgSentimentScore) || 0
+        },
+        activeSessions: guard.count('activeSessions', report.summary.activeSessions),
+        peakHours: this.protectPeakHours(guard, today),
+        topTopics: row.topTopics
+      };
+    }
+    if (report.trends) {
+      published.trends = report.trends.map(day => this.protectDay(guard, day));
+    }
+    if (report.sentimentTrends) {
+      published.sentimentTrends = report.sentimentTrends.map(day => {
+        const users = (this.analytics.get(day.date) || {}).totalUsers || 0;
+        return {
+          date: day.date,
+          sentiment: guard.average(day.sentiment, users),
+          totalInteractions: guard.count('totalMessages', day.totalInteractions, users, day.date)
+        };
+      });
+    }
+    if (report.topicTrends) {
+      published.topicTrends = this.protectTopics(guard, 'topicTotal', report.topicTrends, 'period');
+    }
+    if (report.crisisStats) {
+      published.crisisStats = this.protectCrisisStatistics(guard, report.crisisStats);
+    }
+    if (report.crisisStatistics) {
+      published.crisisStatistics = this.protectCrisisStatistics(guard, report.crisisStatistics);
+    }
+    if (report.peakHours) {
+      published.peakHours = this.protectPeakHours(guard, today);
+    }
+
+    published.privacy = guard.footer();
+    return published;
+  }
+
   // Utility methods
+  // Keyed hash, so ids cannot be recovered by hashing a list of student ids
   anonymizeUserId(userId) {
-    // Simple anonymization - in production, use proper hashing
-    return `user_${Buffer.from(userId).toString('base64').substring(0, 8)}`;
+    const digest = crypto.createHmac('sha256', this.idSecret).update(String(userId)).digest('hex');
+    return `user_${digest.substring(0, 16)}`;
   }
 
   generateId() {
@@ -472,32 +794,74 @@ class AnalyticsService {
     return null;
   }
 
-  // Cleanup old data
-  cleanupOldData(retentionDays = 90) {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
-    const cutoffKey = cutoffDate.toISOString().split('T')[0];
+  // Persisting happens in the background; a failed write must not break the request
+  persist(write) {
+    write.catch(error => console.error('Failed to persist analytics:', error.message));
+  }
 
-    // Clean analytics data
-    for (const dateKey of this.analytics.keys()) {
-      if (dateKey < cutoffKey) {
-        this.analytics.delete(dateKey);
-      }
-    }
+  // Rollup jobs: hourly breakdown of today every hour, and a final rollup of
+  // each finished day that replaces its raw interactions. Retention is
+  // enforced on the same schedule.
+  startRollupJobs() {
+    if (this.rollupTimer) return;
 
-    // Clean conversation data
-    for (const dateKey of this.conversations.keys()) {
-      if (dateKey < cutoffKey) {
-        this.conversations.delete(dateKey);
-      }
+    const run = () => this.runRollups().catch(error => console.error('Analytics rollup failed:', error.message));
+    run();
+    this.rollupTimer = setInterval(run, this.config.rollupInterval);
+    this.rollupTimer.unref();
+  }
+
+  stopRollupJobs() {
+    clearInterval(this.rollupTimer);
+    this.rollupTimer = null;
+  }
+
+  async runRollups() {
+    await this.runHourlyRollup();
+    await this.runDailyRollup();
+    await this.cleanupOldData(this.config.retentionDays);
+  }
+
+  async runHourlyRollup() {
+    const today = new Date().toISOString().split('T')[0];
+    if (!this.conversations.has(today)) return;
+
+    const dailyData = this.analytics.get(today) || this.emptyDay(today);
+    dailyData.hourlyData = this.buildHourlyData(this.conversations.get(today));
+    dailyData.peakHour = this.busiestHour(dailyData.hourlyData);
+    this.analytics.set(today, dailyData);
+
+    await this.store.saveDay(today, dailyData);
+  }
+
+  // Days before today are final; returns the dates rolled up
+  async runDailyRollup() {
+    const today = new Date().toISOString().split('T')[0];
+    const finished = Array.from(this.conversations.keys()).filter(dateKey => dateKey < today).sort();
+
+    for (const dateKey of finished) {
+      const dailyData = this.buildDailyAggregate(dateKey);
+      await this.store.saveDay(dateKey, dailyData, { finalized: true });
+      this.analytics.set(dateKey, dailyData);
+      this.conversations.delete(dateKey);
     }
 
-    // Clean crisis events
-    for (const dateKey of this.crisisEvents.keys()) {
-      if (dateKey < cutoffKey) {
-        this.crisisEvents.delete(dateKey);
+    return finished;
+  }
+
+  // Cleanup old data, in the store as well as in memory
+  async cleanupOldData(retentionDays = this.config.retentionDays) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+    const cutoffKey = cutoffDate.toISOString().split('T')[0];
+
+    [this.analytics, this.conversations, this.crisisEvents].forEach(byDate => {
+      for (const dateKey of byDate.keys()) {
+        if (dateKey < cutoffKey) {
+          byDate.delete(dateKey);
+        }
       }
-    }
+    });
 
     // Clean old sessions
     const sessionCutoff = new Date();
@@ -508,6 +872,8 @@ class AnalyticsService {
         this.sessions.delete(sessionId);
       }
     }
+
+    return this.store.removeBefore(cutoffKey);
   }
 
   // Get system health metrics
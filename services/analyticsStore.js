@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Persistent store for analytics.
+ *
+ * Holds the daily rollups (with their hourly breakdown), the raw anonymized
+ * interactions of days not rolled up yet, and crisis events. Raw interactions
+ * are appended to a JSON Lines journal next to the file, so recording one
+ * does not rewrite everything; the journal is only rewritten when a day is
+ * rolled up or removed, and only aggregates are kept long term. The analytics
+ * service is the only writer and keeps its own copy in memory, so the files
+ * are read once when the service starts.
+ */
+class AnalyticsStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      process.env.ANALYTICS_FILE ||
+      path.join(__dirname, '..', 'data', 'analytics.json');
+    this.journalPath = this.filePath.replace(/(\.json)?$/, '-interactions.jsonl');
+
+    this.data = null;
+
+    // Serializes writes from this instance
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Read everything stored
+   * @returns {Object} { days, interactions, crisisEvents }, each keyed by date (YYYY-MM-DD)
+   */
+  load() {
+    this.data = this._empty();
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.data = { ...this.data, ...stored };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading analytics store:', error.message);
+      }
+    }
+
+    // Files written before the journal kept interactions in the main file;
+    // the next write moves them over
+    this.journalStale = Object.keys(this.data.interactions).length > 0;
+
+    try {
+      fs.readFileSync(this.journalPath, 'utf8').split('\n').filter(Boolean).forEach(line => {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // A line cut short by a crash; the rest of the journal is still good
+          return;
+        }
+        (this.data.interactions[entry.date] = this.data.interactions[entry.date] || []).push(entry.interaction);
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading analytics interactions:', error.message);
+      }
+    }
+
+    return JSON.parse(JSON.stringify(this.data));
+  }
+
+  /**
+   * Keep a raw interaction until its day is rolled up
+   * @param {string} dateKey - Date (YYYY-MM-DD)
+   * @param {Object} interaction - Anonymized interaction
+   * @returns {Promise<void>}
+   */
+  appendInteraction(dateKey, interaction) {
+    const run = this.queue.then(async () => {
+      const data = this._current();
+      data.interactions[dateKey] = (data.interactions[dateKey] || []).concat(interaction);
+
+      await fs.promises.mkdir(path.dirname(this.journalPath), { recursive: true });
+      await fs.promises.appendFile(this.journalPath, JSON.stringify({ date: dateKey, interaction }) + '\n');
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Save a day's rollup. A final rollup replaces the day's raw interactions.
+   * @param {string} dateKey - Date (YYYY-MM-DD)
+   * @param {Object} day - Daily aggregates
+   * @param {Object} options
+   * @param {boolean} options.finalized - The day is over and fully rolled up
+   * @returns {Promise<void>}
+   */
+  saveDay(dateKey, day, options = {}) {
+    return this._write(data => {
+      data.days[dateKey] = day;
+      if (options.finalized && data.interactions[dateKey]) {
+        delete data.interactions[dateKey];
+        return { journal: true };
+      }
+    });
+  }
+
+  /**
+   * Insert or replace a crisis event
+   * @param {string} dateKey - Date (YYYY-MM-DD)
+   * @param {Object} event - Crisis event with an id
+   * @returns {Promise<void>}
+   */
+  saveCrisisEvent(dateKey, event) {
+    return this._write(data => {
+      const events = (data.crisisEvents[dateKey] || []).filter(existing => existing.id !== event.id);
+      data.crisisEvents[dateKey] = events.concat(event);
+    });
+  }
+
+  /**
+   * Delete the stored days that match; skips the write when none do
+   * @param {Function} predicate - Called with (dateKey, day)
+   * @returns {Promise<number>} Number of days removed
+   */
+  async removeDays(predicate) {
+    const data = this._current();
+    if (!Object.keys(data.days).some(dateKey => predicate(dateKey, data.days[dateKey]))) {
+      return 0;
+    }
+
+    let count = 0;
+    await this._write(current => {
+      Object.keys(current.days).filter(dateKey => predicate(dateKey, current.days[dateKey])).forEach(dateKey => {
+        delete current.days[dateKey];
+        count++;
+      });
+    });
+
+    return count;
+  }
+
+  /**
+   * Delete everything dated before the cutoff; skips the write when nothing is
+   * that old
+   * @param {string} cutoffKey - First date (YYYY-MM-DD) to keep
+   * @returns {Promise<Object>} Number of { days, interactionDays, crisisEventDays } removed
+   */
+  async removeBefore(cutoffKey) {
+    const removed = { days: 0, interactionDays: 0, crisisEventDays: 0 };
+    const sections = { days: 'days', interactionDays: 'interactions', crisisEventDays: 'crisisEvents' };
+    const data = this._current();
+
+    const stale = Object.values(sections).some(section =>
+      Object.keys(data[section]).some(dateKey => dateKey < cutoffKey));
+    if (!stale) {
+      return removed;
+    }
+
+    await this._write(current => {
+      Object.entries(sections).forEach(([counter, section]) => {
+        Object.keys(current[section]).filter(dateKey => dateKey < cutoffKey).forEach(dateKey => {
+          delete current[section][dateKey];
+          removed[counter]++;
+        });
+      });
+      return { journal: removed.interactionDays > 0 };
+    });
+
+    return removed;
+  }
+
+  /**
+   * @private
+   */
+  _empty() {
+    return { days: {}, interactions: {}, crisisEvents: {} };
+  }
+
+  /**
+   * @private
+   */
+  _current() {
+    if (!this.data) {
+      this.load();
+    }
+    return this.data;
+  }
+
+  /**
+   * Read-modify-write the file. The journal is rewritten only when mutate
+   * returns { journal: true }, i.e. when interactions were removed.
+   * @private
+   */
+  _write(mutate) {
+    const run = this.queue.then(async () => {
+      const current = this._current();
+      const data = {
+        days: { ...current.days },
+        interactions: { ...current.interactions },
+        crisisEvents: { ...current.crisisEvents }
+      };
+      const { journal = false } = mutate(data) || {};
+
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      // Rollups go first: a crash before the journal is rewritten leaves the
+      // day's interactions behind to be rolled up again, rather than losing
+      // them before their rollup is saved
+      await this._replace(this.filePath, JSON.stringify({ days: data.days, crisisEvents: data.crisisEvents }));
+      if (journal || this.journalStale) {
+        const lines = Object.entries(data.interactions).flatMap(([date, interactions]) =>
+          interactions.map(interaction => JSON.stringify({ date, interaction }) + '\n'));
+        await this._replace(this.journalPath, lines.join(''));
+        this.journalStale = false;
+      }
+
+      this.data = data;
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write a file through a temp file and rename, so readers never see half of it
+   * @private
+   */
+  async _replace(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tempPath, content);
+    await fs.promises.rename(tempPath, filePath);
+  }
+}
+
+module.exports = AnalyticsStore;
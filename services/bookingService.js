@@ -13,77 +13,127 @@
  * Date: 2025
  */
 
-const fs = require('fs').promises;
+const crypto = require('crypto');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const BookingStore = require('./bookingStore');
+const FileBookingStore = require('./fileBookingStore');
+const CounselorCalendarService = require('./counselorCalendarService');
 
 class BookingService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Booking store; defaults to BOOKING_STORAGE (file or mongo)
+   * @param {CounselorCalendarService} options.calendar - Counselor calendars
+   */
+  constructor(options = {}) {
     this.dataDir = path.join(__dirname, '..', 'data');
-    this.bookingsFile = path.join(this.dataDir, 'bookings.json');
-    this.initializeDataDirectory();
-  }
+    this.bookingsFile = options.bookingsFile || process.env.BOOKINGS_FILE || path.join(this.dataDir, 'bookings.json');
+    this.store = options.store || this.createStore(options.storage || process.env.BOOKING_STORAGE);
+    this.calendar = options.calendar || new CounselorCalendarService();
 
-  async initializeDataDirectory() {
-    try {
-      await fs.mkdir(this.dataDir, { recursive: true });
-      
-      // Initialize bookings file if it doesn't exist
-      try {
-        await fs.access(this.bookingsFile);
-      } catch (error) {
-        await fs.writeFile(this.bookingsFile, JSON.stringify([], null, 2));
-      }
-    } catch (error) {
-      console.error('Error initializing data directory:', error);
-    }
+    // Changing any of these moves the booking to another slot
+    this.slotFields = ['preferredDate', 'preferredTime', 'sessionType', 'assignedCounselor'];
+
+    // Conflict check handed to the store, which runs it inside its write lock
+    this.findConflict = (booking, others) => this.calendar.findConflict(booking, others);
+
+    this.ready = this.initializeStore();
+    // Callers see the failure when they await this.ready
+    this.ready.catch(() => {});
   }
 
-  async loadBookings() {
-    try {
-      const data = await fs.readFile(this.bookingsFile, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      console.error('Error loading bookings:', error);
-      return [];
+  /**
+   * Create the configured booking store
+   * @param {string} storage - 'file' (default) or 'mongo'
+   * @returns {BookingStore}
+   */
+  createStore(storage = 'file') {
+    if (storage === 'mongo') {
+      // Required lazily so file-backed deployments never load the mongoose models
+      const MongoBookingStore = require('./mongoBookingStore');
+      return new MongoBookingStore({ uri: process.env.MONGODB_URI });
     }
+    return new FileBookingStore({ filePath: this.bookingsFile });
   }
 
-  async saveBookings(bookings) {
+  async initializeStore() {
     try {
-      await fs.writeFile(this.bookingsFile, JSON.stringify(bookings, null, 2));
+      await this.store.initialize();
     } catch (error) {
-      console.error('Error saving bookings:', error);
+      console.error('Error initializing booking store:', error);
       throw error;
     }
   }
 
-  async createBooking(bookingData) {
+  async loadBookings() {
+    await this.ready;
+    return this.store.list();
+  }
+
+  /**
+   * Create a booking with the requested counselor, or the least busy counselor
+   * who works that slot when none is requested
+   * @param {Object} bookingData - Booking fields; assignedCounselor is optional
+   * @param {Object} actor - Who is booking, recorded in the audit trail
+   * @returns {Promise<Object>} Created booking, with the student's accessToken (returned only here)
+   * @throws {Error} Validation error if nobody works that slot, slot conflict if it is taken
+   */
+  async createBooking(bookingData, actor = { type: 'student' }) {
     try {
-      const bookings = await this.loadBookings();
-      
-      const newBooking = {
-        id: uuidv4(),
-        ...bookingData,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+      await this.ready;
 
-      bookings.push(newBooking);
-      await this.saveBookings(bookings);
-      
-      console.log('Booking created:', newBooking.id);
-      return newBooking;
+      const accessToken = crypto.randomBytes(24).toString('hex');
+
+      const counselorIds = bookingData.assignedCounselor
+        ? [bookingData.assignedCounselor]
+        : await this._rankCounselors(bookingData);
+
+      for (const counselorId of counselorIds) {
+        const newBooking = {
+          id: crypto.randomUUID(),
+          ...bookingData,
+          assignedCounselor: counselorId,
+          durationMinutes: this.calendar.getSessionSettings(bookingData.sessionType, counselorId).durationMinutes,
+          accessTokenHash: this._hashToken(accessToken),
+          auditTrail: [{
+            at: new Date().toISOString(),
+            action: 'created',
+            actor,
+            fromStatus: null,
+            toStatus: bookingData.status || 'pending'
+          }],
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        };
+        this.calendar.checkSchedule(newBooking);
+
+        try {
+          // The store rejects the booking if the slot was taken in the meantime
+          await this.store.insert(newBooking, { findConflict: this.findConflict });
+        } catch (error) {
+          if (!error.isSlotConflict) {
+            throw error;
+          }
+          continue;
+        }
+
+        console.log('Booking created:', newBooking.id);
+        return { ...newBooking, accessToken };
+      }
+
+      throw BookingStore.slotConflictError(bookingData);
     } catch (error) {
-      console.error('Error creating booking:', error);
+      if (!error.isSlotConflict && !error.isValidationError) {
+        console.error('Error creating booking:', error);
+      }
       throw error;
     }
   }
 
   async getBookingById(id) {
     try {
-      const bookings = await this.loadBookings();
-      return bookings.find(booking => booking.id === id);
+      await this.ready;
+      return await this.store.findById(id);
     } catch (error) {
       console.error('Error getting booking by ID:', error);
       throw error;
@@ -102,6 +152,10 @@ class BookingService {
       if (filters.sessionType) {
         bookings = bookings.filter(booking => booking.sessionType === filters.sessionType);
       }
+
+      if (filters.assignedCounselor) {
+        bookings = bookings.filter(booking => booking.assignedCounselor === filters.assignedCounselor);
+      }
       
       if (filters.dateFrom) {
         const fromDate = new Date(filters.dateFrom);
@@ -137,31 +191,79 @@ class BookingService {
     }
   }
 
-  async updateBookingStatus(id, updateData) {
+  /**
+   * Update a booking's status and details. Changing the date, time, session
+   * type or counselor reschedules it: the new slot must be on the counselor's
+   * calendar and free, and the previous slot is kept in rescheduledFrom.
+   * @param {string} id - Booking id
+   * @param {Object} updateData - Fields to change
+   * @param {Object} actor - Who made the change, recorded in the audit trail
+   * @returns {Promise<Object|null>} Updated booking, null if not found
+   */
+  async updateBookingStatus(id, updateData, actor = { type: 'system' }) {
     try {
-      const bookings = await this.loadBookings();
-      const bookingIndex = bookings.findIndex(booking => booking.id === id);
-      
-      if (bookingIndex === -1) {
+      await this.ready;
+
+      const current = await this.store.findById(id);
+      if (!current) {
         return null;
       }
-      
-      bookings[bookingIndex] = {
-        ...bookings[bookingIndex],
+
+      const changes = {
         ...updateData,
         updatedAt: new Date().toISOString()
       };
-      
-      await this.saveBookings(bookings);
-      console.log('Booking status updated:', id);
-      return bookings[bookingIndex];
+
+      const candidate = { ...current, ...changes };
+      const rescheduled = this.slotFields.some(field => field in updateData && updateData[field] !== current[field]);
+
+      if (rescheduled && candidate.status !== 'cancelled') {
+        this.calendar.checkSchedule(candidate);
+        changes.durationMinutes = this.calendar.getSessionSettings(candidate.sessionType, candidate.assignedCounselor).durationMinutes;
+        changes.rescheduledFrom = {
+          preferredDate: current.preferredDate,
+          preferredTime: current.preferredTime,
+          sessionType: current.sessionType,
+          assignedCounselor: current.assignedCounselor || null
+        };
+        changes.rescheduledAt = changes.updatedAt;
+      }
+
+      const audit = {
+        at: changes.updatedAt,
+        action: this._auditAction(current, candidate, rescheduled),
+        actor
+      };
+      if (changes.rescheduledFrom) {
+        audit.from = changes.rescheduledFrom;
+        audit.to = {
+          preferredDate: candidate.preferredDate,
+          preferredTime: candidate.preferredTime,
+          sessionType: candidate.sessionType,
+          assignedCounselor: candidate.assignedCounselor || null
+        };
+      }
+      if (updateData.notes || updateData.reason) {
+        audit.note = updateData.notes || updateData.reason;
+      }
+
+      const booking = await this.store.update(id, changes, { findConflict: this.findConflict, audit });
+
+      if (!booking) {
+        return null;
+      }
+
+      console.log(rescheduled ? 'Booking rescheduled:' : 'Booking status updated:', id);
+      return booking;
     } catch (error) {
-      console.error('Error updating booking status:', error);
+      if (!error.isSlotConflict && !error.isValidationError) {
+        console.error('Error updating booking status:', error);
+      }
       throw error;
     }
   }
 
-  async cancelBooking(id, cancelData) {
+  async cancelBooking(id, cancelData, actor = { type: 'system' }) {
     try {
       const updateData = {
         status: 'cancelled',
@@ -169,43 +271,27 @@ class BookingService {
         updatedAt: new Date().toISOString()
       };
       
-      return await this.updateBookingStatus(id, updateData);
+      return await this.updateBookingStatus(id, updateData, actor);
     } catch (error) {
       console.error('Error cancelling booking:', error);
       throw error;
     }
   }
 
-  async getAvailability(date, sessionType = null) {
+  /**
+   * Get open slots on a date from the counselors' calendars and the bookings
+   * already held in the store
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} sessionType - Session type (individual when omitted)
+   * @param {string} counselorId - Only this counselor's slots (all counselors when omitted)
+   * @returns {Promise<Object>} { slots, unavailableSlots, totalSlots, availableCount, counselors, closed }
+   */
+  async getAvailability(date, sessionType = null, counselorId = null) {
     try {
-      const bookings = await this.loadBookings();
-      
-      // Define available time slots
-      const allSlots = [
-        '09:00', '10:00', '11:00', '12:00',
-        '14:00', '15:00', '16:00', '17:00'
-      ];
-      
-      // Find bookings for the specified date
-      const dayBookings = bookings.filter(booking => 
-        booking.preferredDate === date && 
-        booking.status !== 'cancelled'
-      );
-      
-      // Get unavailable slots
-      const unavailableSlots = dayBookings.map(booking => booking.preferredTime);
-      
-      // Calculate available slots
-      const availableSlots = allSlots.filter(slot => 
-        !unavailableSlots.includes(slot)
-      );
-      
-      return {
-        slots: availableSlots,
-        unavailableSlots: unavailableSlots,
-        totalSlots: allSlots.length,
-        availableCount: availableSlots.length
-      };
+      await this.ready;
+
+      const dayBookings = await this.store.findActiveByDate(date);
+      return this.calendar.getDayAvailability(date, sessionType || 'individual', dayBookings, counselorId);
     } catch (error) {
       console.error('Error getting availability:', error);
       throw error;
@@ -215,6 +301,10 @@ class BookingService {
   async getBookingStats(filters = {}) {
     try {
       let bookings = await this.loadBookings();
+
+      if (filters.assignedCounselor) {
+        bookings = bookings.filter(booking => booking.assignedCounselor === filters.assignedCounselor);
+      }
       
       // Apply date filters
       if (filters.dateFrom) {
@@ -240,6 +330,7 @@ class BookingService {
         recentBookings: bookings
           .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
           .slice(0, 10)
+          .map(booking => this.toStaffView(booking))
       };
       
       // Count by status
@@ -276,13 +367,176 @@ class BookingService {
           booking.concerns?.toLowerCase().includes(searchTerm) ||
           booking.sessionType?.toLowerCase().includes(searchTerm)
         );
-      });
+      }).map(booking => this.toStaffView(booking));
     } catch (error) {
       console.error('Error searching bookings:', error);
       throw error;
     }
   }
 
+  /**
+   * Get the counselor profile id linked to a staff account
+   * @param {Object} user - Authenticated user { username, role }
+   * @returns {string|null} Counselor id
+   */
+  getCounselorIdForUser(user) {
+    if (!user || user.role !== 'counselor') {
+      return null;
+    }
+    const counselor = this.calendar.getCounselorByUsername(user.username);
+    return counselor ? counselor.id : null;
+  }
+
+  /**
+   * Check whether a staff member may see and manage a booking:
+   * admins see every booking, counselors only those assigned to them
+   * @param {Object} booking - Booking
+   * @param {Object} user - Authenticated user
+   * @returns {boolean}
+   */
+  canStaffAccess(booking, user) {
+    if (!user) {
+      return false;
+    }
+    if (user.role === 'admin') {
+      return true;
+    }
+
+    const counselorId = this.getCounselorIdForUser(user);
+    return Boolean(counselorId) && booking.assignedCounselor === counselorId;
+  }
+
+  /**
+   * Check a student's booking token
+   * @param {Object} booking - Booking
+   * @param {string} token - Token given at booking time
+   * @returns {boolean}
+   */
+  verifyAccessToken(booking, token) {
+    if (!token || typeof token !== 'string' || !booking.accessTokenHash) {
+      return false;
+    }
+
+    const expected = Buffer.from(booking.accessTokenHash, 'hex');
+    const actual = Buffer.from(this._hashToken(token), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Booking as shown to staff, without the token hash
+   * @param {Object} booking - Booking
+   * @returns {Object}
+   */
+  toStaffView(booking) {
+    const { accessTokenHash, accessToken, ...view } = booking;
+    return view;
+  }
+
+  /**
+   * Booking as shown to the student holding its token: the appointment
+   * itself, without contact details, staff notes or the audit trail
+   * @param {Object} booking - Booking
+   * @returns {Object}
+   */
+  toStudentView(booking) {
+    return {
+      id: booking.id,
+      preferredDate: booking.preferredDate,
+      preferredTime: booking.preferredTime,
+      durationMinutes: booking.durationMinutes,
+      sessionType: booking.sessionType,
+      counselor: this.getCounselorSummary(booking.assignedCounselor),
+      status: booking.status,
+      requestedAt: booking.requestedAt,
+      rescheduledAt: booking.rescheduledAt,
+      cancelledAt: booking.cancelledAt
+    };
+  }
+
+  /**
+   * Public view of a counselor profile
+   * @param {string} counselorId - Counselor id
+   * @returns {Object|null} { id, name, languages, sessionTypes }
+   */
+  getCounselorSummary(counselorId) {
+    const counselor = counselorId ? this.calendar.getCounselor(counselorId) : null;
+    if (!counselor) {
+      return null;
+    }
+
+    return {
+      id: counselor.id,
+      name: counselor.name,
+      languages: counselor.languages,
+      sessionTypes: counselor.sessionTypes
+    };
+  }
+
+  /**
+   * Name the change an update makes, for the audit trail
+   * @private
+   */
+  _auditAction(current, updated, rescheduled) {
+    if (updated.status === 'cancelled' && current.status !== 'cancelled') return 'cancelled';
+    if (rescheduled) return 'rescheduled';
+    if (updated.status !== current.status) return 'status-changed';
+    return 'updated';
+  }
+
+  /**
+   * Hash a booking token for storage
+   * @private
+   */
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Order the counselors who work a slot by how many bookings they hold that day
+   * @param {Object} bookingData - Requested slot
+   * @returns {Promise<Array>} Counselor ids
+   * @throws {Error} Validation error when no counselor works that slot
+   * @private
+   */
+  async _rankCounselors(bookingData) {
+    const candidates = this.calendar.listCounselors({ sessionType: bookingData.sessionType })
+      .filter(counselor => {
+        try {
+          this.calendar.checkSchedule({ ...bookingData, assignedCounselor: counselor.id });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      });
+
+    if (candidates.length === 0) {
+      const holiday = this.calendar.getHoliday(bookingData.preferredDate);
+      throw this._validationError(holiday
+        ? `Counseling is closed on ${bookingData.preferredDate} (${holiday.name})`
+        : `No counselor offers ${bookingData.sessionType} sessions at ${bookingData.preferredTime} on ${bookingData.preferredDate}`);
+    }
+
+    const dayBookings = await this.store.findActiveByDate(bookingData.preferredDate);
+    const load = counselorId => dayBookings.filter(booking => booking.assignedCounselor === counselorId).length;
+
+    return candidates
+      .map(counselor => ({ id: counselor.id, load: load(counselor.id) }))
+      .sort((a, b) => a.load - b.load)
+      .map(candidate => candidate.id);
+  }
+
+  /**
+   * Create an error the routes report as a bad request
+   * @param {string} message - Error message
+   * @returns {Error} Error flagged as a validation failure
+   * @private
+   */
+  _validationError(message) {
+    const error = new Error(message);
+    error.isValidationError = true;
+    return error;
+  }
+
   // Helper method for data export
   async exportBookings(format = 'json') {
     try {
@@ -314,7 +568,7 @@ class BookingService {
         return csvData.join('\n');
       }
       
-      return bookings;
+      return bookings.map(booking => this.toStaffView(booking));
     } catch (error) {
       console.error('Error exporting bookings:', error);
       throw error;
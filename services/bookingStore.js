@@ -0,0 +1,206 @@
+/**
+ * Booking Store
+ * Storage contract shared by the file and MongoDB booking adapters.
+ * An active (not cancelled) booking holds its counselor's time on that date.
+ * Writes take an optional findConflict(booking, others) check, which adapters
+ * must run atomically with the write against the counselor's other active
+ * bookings that day; without one, two bookings conflict when they share a
+ * (date, time, counselor) slot.
+ */
+
+class BookingStore {
+  /**
+   * Prepare the underlying storage
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    throw new Error(`${this.constructor.name} does not implement initialize()`);
+  }
+
+  /**
+   * Get every stored booking
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  /**
+   * Get a booking by id
+   * @param {string} id - Booking id
+   * @returns {Promise<Object|null>}
+   */
+  async findById(id) {
+    throw new Error(`${this.constructor.name} does not implement findById()`);
+  }
+
+  /**
+   * Get the bookings holding a slot on a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise<Array>}
+   */
+  async findActiveByDate(date) {
+    throw new Error(`${this.constructor.name} does not implement findActiveByDate()`);
+  }
+
+  /**
+   * Store a new booking, claiming its slot
+   * @param {Object} booking - Booking with id
+   * @param {Object} options
+   * @param {Function} options.findConflict - (booking, others) => conflicting booking or null
+   * @returns {Promise<Object>} Stored booking
+   * @throws {Error} Slot conflict error when the slot is already held
+   */
+  async insert(booking, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement insert()`);
+  }
+
+  /**
+   * Apply changes to a booking, re-checking its slot
+   * @param {string} id - Booking id
+   * @param {Object} changes - Fields to change
+   * @param {Object} options
+   * @param {Function} options.findConflict - (booking, others) => conflicting booking or null
+   * @param {Object} options.audit - Audit entry appended to the booking's auditTrail
+   * @returns {Promise<Object|null>} Updated booking, null if not found
+   * @throws {Error} Slot conflict error when the new slot is already held
+   */
+  async update(id, changes, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement update()`);
+  }
+
+  /**
+   * Import existing bookings, keeping their ids and timestamps.
+   * Bookings whose id is already stored are skipped; bookings whose slot is
+   * already held are imported without a slot hold and reported for review.
+   * @param {Array} bookings - Bookings to import
+   * @returns {Promise<Object>} { imported, skipped, conflicts }
+   */
+  async importBookings(bookings) {
+    const report = { imported: 0, skipped: [], conflicts: [] };
+
+    for (const booking of bookings) {
+      if (await this.findById(booking.id)) {
+        report.skipped.push(booking.id);
+        continue;
+      }
+
+      try {
+        await this.insert(booking);
+      } catch (error) {
+        if (!error.isSlotConflict) {
+          throw error;
+        }
+        await this.insert({ ...booking, slotConflict: true });
+        report.conflicts.push(booking.id);
+      }
+      report.imported++;
+    }
+
+    return report;
+  }
+
+  /**
+   * Release any resources held by the store
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Get the slot a booking holds exclusively
+   * @param {Object} booking - Booking
+   * @returns {string|null} "date|time|counselor", null when it holds no exclusive slot
+   */
+  static slotKey(booking) {
+    if (!BookingStore.holdsTime(booking) || booking.sessionType === 'group') {
+      return null;
+    }
+    return [booking.preferredDate, booking.preferredTime, BookingStore.counselorKey(booking)].join('|');
+  }
+
+  /**
+   * Check whether a booking takes up its counselor's time
+   * @param {Object} booking - Booking
+   * @returns {boolean}
+   */
+  static holdsTime(booking) {
+    return Boolean(booking) && booking.status !== 'cancelled' && !booking.slotConflict;
+  }
+
+  /**
+   * Get the counselor a booking's time belongs to
+   * @param {Object} booking - Booking
+   * @returns {string} Counselor id, or 'unassigned'
+   */
+  static counselorKey(booking) {
+    return booking.assignedCounselor || 'unassigned';
+  }
+
+  /**
+   * Build the error thrown when a slot is already held
+   * @param {Object} booking - Booking that could not be placed
+   * @returns {Error} Error flagged as a slot conflict
+   */
+  static slotConflictError(booking) {
+    const counselor = booking.assignedCounselor ? ` with ${booking.assignedCounselor}` : '';
+    const error = new Error(`The ${booking.preferredTime} slot on ${booking.preferredDate}${counselor} is no longer available`);
+    error.isSlotConflict = true;
+    error.code = 'SLOT_UNAVAILABLE';
+    return error;
+  }
+
+  /**
+   * Throw if the booking clashes with another active booking of the same counselor
+   * @param {Array} bookings - Stored bookings (any subset containing the counselor's day)
+   * @param {Object} booking - Booking about to be written
+   * @param {Function} findConflict - Optional conflict check
+   * @private
+   */
+  _assertSlotFree(bookings, booking, findConflict) {
+    if (!BookingStore.holdsTime(booking)) {
+      return;
+    }
+
+    const others = bookings.filter(existing =>
+      existing.id !== booking.id &&
+      BookingStore.holdsTime(existing) &&
+      existing.preferredDate === booking.preferredDate &&
+      BookingStore.counselorKey(existing) === BookingStore.counselorKey(booking)
+    );
+
+    const slotKey = BookingStore.slotKey(booking);
+    const conflict = findConflict
+      ? findConflict(booking, others)
+      : slotKey && others.find(existing => BookingStore.slotKey(existing) === slotKey);
+
+    if (conflict) {
+      throw BookingStore.slotConflictError(booking);
+    }
+  }
+
+  /**
+   * Merge changes into a booking. Moving an imported conflicting booking to
+   * another slot (or counselor) makes it claim that slot normally. The audit
+   * entry is appended here, against the stored record, so concurrent updates
+   * cannot drop each other's entries.
+   * @private
+   */
+  _applyChanges(booking, changes, audit = null) {
+    const updated = { ...booking, ...changes };
+    const slotFields = ['preferredDate', 'preferredTime', 'assignedCounselor'];
+
+    if (updated.slotConflict && slotFields.some(field => field in changes && changes[field] !== booking[field])) {
+      delete updated.slotConflict;
+    }
+
+    if (audit) {
+      updated.auditTrail = [
+        ...(booking.auditTrail || []),
+        { ...audit, fromStatus: booking.status || null, toStatus: updated.status || null }
+      ];
+    }
+    return updated;
+  }
+}
+
+module.exports = BookingStore;
@@ -0,0 +1,256 @@
+/**
+ * Calendar Export Service
+ * Builds iCalendar (RFC 5545) data for bookings: a single-event invite
+ * attached to student notices (METHOD:REQUEST, or METHOD:CANCEL once the
+ * booking is cancelled) and a subscribable feed of each counselor's sessions.
+ * Event UIDs come from the booking id, so calendar apps update the same
+ * event when a booking is rescheduled or cancelled instead of adding a new one.
+ * Booking dates and times are wall-clock times on campus; they are converted
+ * from the campus time zone to UTC, whatever zone the server runs in.
+ */
+
+const crypto = require('crypto');
+const CounselorCalendarService = require('./counselorCalendarService');
+
+const SESSION_LABELS = {
+  individual: 'Individual counseling',
+  group: 'Group counseling',
+  crisis: 'Crisis support'
+};
+
+class CalendarExportService {
+  /**
+   * @param {Object} options
+   * @param {CounselorCalendarService} options.calendar - Used for counselor names
+   * @param {string} options.feedSecret - Signs counselor feed tokens
+   * @param {string} options.timeZone - IANA time zone booking times are given in
+   */
+  constructor(options = {}) {
+    this.calendar = options.calendar || new CounselorCalendarService();
+    this.feedSecret = options.feedSecret || process.env.CALENDAR_FEED_SECRET ||
+      process.env.JWT_SECRET || 'mindcare-default-secret-change-in-production';
+    this.organizerEmail = options.organizerEmail || process.env.NOTIFICATION_FROM || 'counseling@aarogyatech.local';
+    this.uidDomain = options.uidDomain || 'aarogyatech';
+    this.productId = '-//AarogyaTech//Counseling Bookings//EN';
+
+    this.timeZone = options.timeZone || process.env.CAMPUS_TIMEZONE || 'Asia/Kolkata';
+    // Throws a RangeError for an unknown zone, so a typo fails at startup
+    this.zoneFormat = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+
+  /**
+   * Build the invite sent to the student for one booking
+   * @param {Object} booking - Booking
+   * @returns {string} iCalendar text with METHOD:REQUEST, or METHOD:CANCEL if the booking is cancelled
+   */
+  createBookingInvite(booking) {
+    const cancelled = booking.status === 'cancelled';
+    const counselor = booking.assignedCounselor ? this.calendar.getCounselor(booking.assignedCounselor) : null;
+
+    const lines = this._event(booking, {
+      summary: counselor ? `Counseling appointment with ${counselor.name}` : 'Counseling appointment',
+      description: `${this._sessionLabel(booking)} (${booking.durationMinutes || 50} minutes). Booking ID: ${booking.id}`,
+      attendee: booking.contactMethod === 'email' ? booking.contactInfo : null
+    });
+
+    return this._calendar(cancelled ? 'CANCEL' : 'REQUEST', lines);
+  }
+
+  /**
+   * Build a counselor's subscribable feed. Cancelled sessions stay in the
+   * feed as STATUS:CANCELLED so subscribed calendars drop them.
+   * @param {Object} counselor - Counselor profile
+   * @param {Array} bookings - The counselor's bookings
+   * @returns {string} iCalendar text
+   */
+  createCounselorFeed(counselor, bookings) {
+    const lines = bookings
+      .filter(booking => booking.preferredDate && booking.preferredTime)
+      .map(booking => this._event(booking, {
+        // Calendar apps sync to third parties, so the feed carries no student details
+        summary: `${this._sessionLabel(booking)} session`,
+        description: `Booking ID: ${booking.id}`
+      }))
+      .reduce((all, event) => all.concat(event), []);
+
+    return this._calendar('PUBLISH', [
+      `X-WR-CALNAME:${this._escape(`${counselor.name} - Counseling sessions`)}`,
+      'REFRESH-INTERVAL;VALUE=DURATION:PT15M',
+      ...lines
+    ]);
+  }
+
+  /**
+   * Token for a counselor's feed URL (calendar apps cannot send Bearer headers)
+   * @param {string} counselorId - Counselor id
+   * @returns {string} Hex token
+   */
+  getFeedToken(counselorId) {
+    return crypto.createHmac('sha256', this.feedSecret).update(`calendar-feed:${counselorId}`).digest('hex');
+  }
+
+  /**
+   * Check a feed token
+   * @param {string} counselorId - Counselor id
+   * @param {string} token - Token from the feed URL
+   * @returns {boolean}
+   */
+  verifyFeedToken(counselorId, token) {
+    if (!token || typeof token !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.getFeedToken(counselorId), 'hex');
+    const actual = Buffer.from(token, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Stable event UID for a booking
+   * @param {Object} booking - Booking
+   * @returns {string}
+   */
+  getEventUid(booking) {
+    return `booking-${booking.id}@${this.uidDomain}`;
+  }
+
+  /**
+   * VEVENT lines for a booking
+   * @private
+   */
+  _event(booking, details) {
+    const start = this.campusTime(booking.preferredDate, booking.preferredTime);
+    const end = new Date(start.getTime() + (booking.durationMinutes || 50) * 60 * 1000);
+    const modified = new Date(booking.updatedAt || booking.createdAt || start);
+    const cancelled = booking.status === 'cancelled';
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${this.getEventUid(booking)}`,
+      // Each change appends to the audit trail, so its length only ever grows
+      `SEQUENCE:${Math.max((booking.auditTrail || []).length - 1, 0)}`,
+      `DTSTAMP:${this._formatDate(modified)}`,
+      `LAST-MODIFIED:${this._formatDate(modified)}`,
+      `DTSTART:${this._formatDate(start)}`,
+      `DTEND:${this._formatDate(end)}`,
+      `SUMMARY:${this._escape(details.summary)}`,
+      `DESCRIPTION:${this._escape(details.description)}`,
+      `STATUS:${cancelled ? 'CANCELLED' : booking.status === 'confirmed' || booking.status === 'completed' ? 'CONFIRMED' : 'TENTATIVE'}`,
+      `ORGANIZER;CN=AarogyaTech Counseling:mailto:${this.organizerEmail}`
+    ];
+
+    if (details.attendee) {
+      lines.push(`ATTENDEE;ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${details.attendee}`);
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * The instant a campus wall-clock date and time refer to
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} time - HH:MM
+   * @returns {Date}
+   */
+  campusTime(date, time) {
+    const [year, month, day] = String(date).split('-').map(Number);
+    const [hour, minute] = String(time).split(':').map(Number);
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+
+    // The offset is looked up again at the first guess, so times on the day
+    // daylight saving starts or ends get the offset in force at that time
+    const guess = wall - this._zoneOffset(wall);
+    return new Date(wall - this._zoneOffset(guess));
+  }
+
+  /**
+   * Offset of the campus time zone from UTC at an instant, in milliseconds
+   * @private
+   */
+  _zoneOffset(timestamp) {
+    const parts = {};
+    this.zoneFormat.formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(timestamp / 1000) * 1000;
+  }
+
+  /**
+   * Wrap content lines in a VCALENDAR and fold them
+   * @private
+   */
+  _calendar(method, lines) {
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.productId}`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`,
+      ...lines,
+      'END:VCALENDAR'
+    ].map(line => this._fold(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * @private
+   */
+  _sessionLabel(booking) {
+    return SESSION_LABELS[booking.sessionType] || 'Counseling';
+  }
+
+  /**
+   * UTC date-time, e.g. 20300115T043000Z
+   * @private
+   */
+  _formatDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escape a TEXT value
+   * @private
+   */
+  _escape(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line at 75 octets without splitting UTF-8 characters
+   * @private
+   */
+  _fold(line) {
+    const parts = [];
+    let current = '';
+    let limit = 75;
+
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+        limit = 74; // continuation lines start with a space
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = CalendarExportService;
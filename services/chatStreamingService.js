@@ -0,0 +1,243 @@
+const FALLBACK_RESPONSE = "I want to help you, but I'm having trouble generating an appropriate response right now. Can you rephrase your question or tell me more about what you're experiencing?";
+
+/**
+ * Streams chat replies to the browser over Server-Sent Events or Socket.IO.
+ *
+ * Both transports emit the same events:
+ *   token   - { text } a piece of the reply to append
+ *   crisis  - { severity, escalationLevel, resources } crisis detected, reply follows
+ *   replace - { text } discard what was shown and show this instead
+ *   done    - the same body POST /chat returns
+ *   error   - { message }
+ */
+class ChatStreamingService {
+  /**
+   * @param {ConversationalAIService} conversationalAI - Service owning the chat sessions
+   * @param {ResourceDirectoryService} resourceDirectory - Resolves the caller's region
+   */
+  constructor(conversationalAI, resourceDirectory) {
+    this.conversationalAI = conversationalAI;
+    this.resourceDirectory = resourceDirectory;
+    this.crisisEscalation = null;
+  }
+
+  /**
+   * Check a chat message the same way POST /chat does
+   * @param {*} message - Message from the client
+   * @returns {string|null} Problem with the message, null if it is fine
+   */
+  validateMessage(message) {
+    if (!message || typeof message !== 'string') {
+      return 'Message is required and must be a string';
+    }
+    if (message.length > 1000) {
+      return 'Message is too long. Maximum length is 1000 characters.';
+    }
+    if (message.trim().length === 0) {
+      return 'Message cannot be empty';
+    }
+    return null;
+  }
+
+  /**
+   * Stream the reply to one chat message
+   * @param {Object} request - { message, sessionId, language, requestInfo, crisisEscalation, signal }
+   * @param {Function} emit - Called with (event, data) for each event
+   * @returns {Promise<Object>} Final result, as sent with the done event
+   */
+  async stream(request, emit) {
+    const { message, language = 'en', requestInfo, signal } = request;
+    const sessionId = request.sessionId || null;
+    const crisisEscalation = request.crisisEscalation || this.crisisEscalation;
+
+    // Once a counselor has joined, the student is talking to them rather than the AI
+    const relayed = this.relayToCounselor(crisisEscalation, sessionId, message);
+    if (relayed) {
+      emit('done', relayed);
+      return relayed;
+    }
+
+    const result = await this.conversationalAI.streamMessage(message, sessionId, requestInfo, language, {
+      signal,
+      onToken: (text) => emit('token', { text }),
+      onReplace: (text) => emit('replace', { text }),
+      onCrisis: (crisis) => emit('crisis', crisis)
+    });
+
+    if (crisisEscalation) {
+      this.attachEscalation(crisisEscalation, result, message);
+    }
+
+    let fallback = false;
+    if (!result.cancelled && !this.conversationalAI.validateResponseAppropriate(result.message)) {
+      console.warn('Generated inappropriate response, using fallback');
+      result.message = FALLBACK_RESPONSE;
+      fallback = true;
+      emit('replace', { text: FALLBACK_RESPONSE });
+    }
+
+    const body = {
+      success: true,
+      message: result.message,
+      response: result.message, // For backward compatibility
+      isCrisis: result.isCrisis || false,
+      crisisData: result.crisisData || null,
+      cancelled: result.cancelled || false,
+      metadata: {
+        sessionId: result.sessionId,
+        timestamp: new Date().toISOString(),
+        fallback,
+        streamed: result.streamed || false,
+        privacy: result.privacyInfo,
+        language: result.languageInfo,
+        enhancement: result.mentalHealthEnhancement ? 'applied' : 'none',
+        prompt: result.prompt || null,
+        guardrails: result.guardrails || [],
+        injection: result.injection || null,
+        analysis: result.analysis || null
+      }
+    };
+
+    if (!result.cancelled) {
+      emit('done', body);
+    }
+    return body;
+  }
+
+  /**
+   * Pass a student message to the counselor who joined their chat
+   * @param {CrisisEscalationService} crisisEscalation - Shared escalation service
+   * @param {string} sessionId - Chat session id
+   * @param {string} message - Raw student message
+   * @returns {Object|null} Chat response body, null if no counselor has joined
+   */
+  relayToCounselor(crisisEscalation, sessionId, message) {
+    const openCase = sessionId && crisisEscalation
+      ? crisisEscalation.getCaseForSession(sessionId)
+      : null;
+
+    if (!openCase || openCase.status !== 'joined') {
+      return null;
+    }
+
+    const { anonymizedMessage } = this.conversationalAI.privacyService.anonymizeMessage(message);
+    crisisEscalation.recordStudentMessage(sessionId, anonymizedMessage);
+
+    return {
+      success: true,
+      message: null,
+      relayedToCounselor: true,
+      isCrisis: true,
+      crisisData: { handoff: crisisEscalation.getStudentStatus(openCase.id) },
+      metadata: {
+        sessionId,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Open a counselor hand-off when a chat reaches the escalation threshold,
+   * and keep the counselor's view of an open case up to date
+   * @param {CrisisEscalationService} crisisEscalation - Shared escalation service
+   * @param {Object} result - Result of processMessage (mutated to carry hand-off info)
+   * @param {string} message - Raw student message
+   */
+  attachEscalation(crisisEscalation, result, message) {
+    const { anonymizedMessage } = this.conversationalAI.privacyService.anonymizeMessage(message);
+
+    if (result.isCrisis && result.crisisData &&
+        result.crisisData.escalationLevel >= crisisEscalation.config.minEscalationLevel) {
+      result.crisisData.handoff = crisisEscalation.openCase({
+        sessionId: result.sessionId,
+        severity: result.crisisData.severity,
+        keywords: result.crisisData.keywords,
+        confidence: result.crisisData.confidence,
+        escalationLevel: result.crisisData.escalationLevel
+      });
+    }
+
+    // Counselors see the conversation that led up to joining
+    if (crisisEscalation.getCaseForSession(result.sessionId)) {
+      crisisEscalation.recordStudentMessage(result.sessionId, anonymizedMessage);
+    }
+  }
+
+  /**
+   * Register chat streaming events on the monitoring Socket.IO server
+   * @param {RealTimeMonitoringService} monitoring - Monitoring service owning the Socket.IO server
+   * @param {CrisisEscalationService} crisisEscalation - Shared escalation service
+   */
+  attachMonitoring(monitoring, crisisEscalation) {
+    this.crisisEscalation = crisisEscalation || null;
+
+    monitoring.io.on('connection', (socket) => {
+      this.setupSocketHandlers(socket);
+    });
+  }
+
+  /**
+   * Register chat streaming events for a connected socket. Every event
+   * carries the requestId the client chose, so replies can be told apart.
+   * @param {Object} socket - Socket.IO socket
+   */
+  setupSocketHandlers(socket) {
+    const streams = new Map(); // requestId -> AbortController
+
+    socket.on('chat-stream', async (data = {}) => {
+      const requestId = data.requestId || null;
+      const emit = (event, payload) => socket.emit(`chat-${event}`, { requestId, ...payload });
+
+      const problem = this.validateMessage(data.message);
+      if (problem) {
+        emit('error', { message: problem });
+        return;
+      }
+      if (!this.conversationalAI.isServiceAvailable()) {
+        emit('error', { message: 'Conversational AI service is not properly configured' });
+        return;
+      }
+
+      const controller = new AbortController();
+      streams.set(requestId, controller);
+
+      const headers = socket.handshake.headers || {};
+      const requestInfo = {
+        ipAddress: socket.handshake.address,
+        userAgent: headers['user-agent'],
+        origin: headers.origin,
+        region: this.resourceDirectory.getRegionFromRequest({ body: data, query: {}, headers }),
+        timestamp: new Date().toISOString()
+      };
+
+      try {
+        await this.stream({
+          message: data.message,
+          sessionId: data.sessionId,
+          language: data.language,
+          requestInfo,
+          signal: controller.signal
+        }, emit);
+      } catch (error) {
+        console.error('Chat stream failed:', error.message);
+        emit('error', { message: 'Failed to generate a response' });
+      } finally {
+        streams.delete(requestId);
+      }
+    });
+
+    socket.on('chat-cancel', (data = {}) => {
+      const controller = streams.get(data.requestId || null);
+      if (controller) {
+        controller.abort();
+      }
+    });
+
+    socket.on('disconnect', () => {
+      streams.forEach(controller => controller.abort());
+      streams.clear();
+    });
+  }
+}
+
+module.exports = ChatStreamingService;
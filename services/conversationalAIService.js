@@ -1,4 +1,3 @@
-const axios = require('axios');
 const GroqService = require('./groqService');
 const CrisisDetectionService = require('./crisisDetectionService');
 const MentalHealthContextService = require('./mentalHealthContextService');
@@ -10,17 +9,21 @@ const FallbackResponseService = require('./fallbackResponseService');
 const LanguageService = require('./languageService');
 const PerformanceOptimizationService = require('./performanceOptimizationService');
 const CachingService = require('./cachingService');
+const ResponseGuardrailService = require('./responseGuardrailService');
+const PromptInjectionService = require('./promptInjectionService');
+const SentimentTopicService = require('./sentimentTopicService');
 
 class ConversationalAIService {
-  constructor() {
-    // Initialize Groq service for AI generation
-    this.groqService = new GroqService();
+  /**
+   * @param {Object} options - options.providers overrides the LLM_PROVIDERS failover list,
+   *   options.prompts the template store, options.guardrails the response guardrails,
+   *   options.injectionDetection the prompt injection classifier, options.sentimentTagger
+   *   the sentiment and topic tagger
+   */
+  constructor(options = {}) {
+    // Prompting and safety checks over the configured LLM providers
+    this.groqService = new GroqService({ providers: options.providers, prompts: options.prompts });
     
-    // Legacy Hugging Face configuration (deprecated)
-    this.apiKey = process.env.HUGGINGFACE_API_KEY;
-    this.modelUrl = 'https://api-inference.huggingface.co/models/microsoft/DialoGPT-small';
-    this.maxRetries = 3;
-    this.retryDelay = 1000; // 1 second
     this.maxContextLength = 1000; // Maximum characters to keep in context
     
     // Initialize new security and privacy services
@@ -45,6 +48,17 @@ class ConversationalAIService {
     this.performanceOptimizer = new PerformanceOptimizationService();
     this.cachingService = new CachingService();
     
+    // Post-generation safety checks on every reply
+    this.guardrails = options.guardrails || new ResponseGuardrailService({
+      resourceDirectory: this.groqService.resourceDirectory
+    });
+    
+    // Messages that try to subvert the assistant are refused before generation
+    this.injectionDetection = options.injectionDetection || new PromptInjectionService();
+    
+    // Sentiment and topics of each message, for analytics
+    this.sentimentTagger = options.sentimentTagger || new SentimentTopicService();
+    
     // Set up crisis event logging
     this.crisisDetection.on('crisisDetected', (crisisData) => {
       this._logCrisisEvent(crisisData);
@@ -52,11 +66,6 @@ class ConversationalAIService {
     
     // Mental health response templates
     this.mentalHealthResponses = {
-      crisis: [
-        "I'm concerned about what you're sharing. Please reach out to a crisis helpline immediately: National Suicide Prevention Lifeline at 988 or text HOME to 741741.",
-        "Your safety is important. Please contact emergency services (911) or a mental health crisis line right away. You don't have to go through this alone.",
-        "I hear that you're in pain. Please reach out for immediate help: call 988 for the Suicide & Crisis Lifeline or go to your nearest emergency room."
-      ],
       supportive: [
         "I understand you're going through a difficult time. It's brave of you to reach out.",
         "Your feelings are valid, and it's okay to not be okay sometimes.",
@@ -74,7 +83,7 @@ class ConversationalAIService {
 
   /**
    * Check if the service is properly configured
-   * @returns {boolean} True if Groq service is available
+   * @returns {boolean} True if an LLM provider is configured
    */
   isServiceAvailable() {
     return this.groqService.isServiceAvailable();
@@ -84,11 +93,225 @@ class ConversationalAIService {
    * Process a message and generate an appropriate response
    * @param {string} message - User's message
    * @param {string} sessionId - Session identifier
-   * @param {Object} requestInfo - Additional request information for security
+   * @param {Object} requestInfo - Additional request information for security (and the caller's region)
    * @param {string} userLanguage - User's preferred language (default: 'en')
    * @returns {Promise<Object>} Response object with message and crisis info
    */
   async processMessage(message, sessionId, requestInfo = {}, userLanguage = 'en') {
+    const turn = await this._beginTurn(message, sessionId, requestInfo, userLanguage);
+    if (turn.result) {
+      // Cached or crisis reply, already recorded in the session
+      return turn.result;
+    }
+
+    const { processedMessage, detectedLanguage, region, sessionContext } = turn;
+    sessionId = turn.sessionId;
+
+    let response;
+    let enhancementData = null;
+    let languageProcessedResponse = null;
+    
+    try {
+      // Translate user message to English for AI processing if needed
+      const messageForAI = await this._messageForAI(processedMessage, detectedLanguage);
+      
+      // Generate AI response using Groq service
+      let rawResponse;
+      try {
+        // Recent history plus a summary of anything older
+        const { history, summary } = await this._conversationMemory(turn, messageForAI);
+        rawResponse = await this.groqService.generateResponse(messageForAI, history, { region, prompt: turn.prompt, summary });
+        
+        // Validate the Groq response
+        const validation = this.groqService.validateResponse(rawResponse);
+        if (!validation.isValid) {
+          console.warn('Groq response validation failed:', validation.issues);
+          throw new Error('Generated response failed validation: ' + validation.issues.join(', '));
+        }
+        
+      } catch (error) {
+        console.warn('Groq AI generation failed, using enhanced fallback:', error.message);
+        // Use enhanced mental health responses instead of generic fallback
+        rawResponse = this._getEnhancedMentalHealthResponse(messageForAI, sessionContext);
+      }
+      
+      ({ response, enhancementData } = this._enhanceResponse(rawResponse, messageForAI, sessionContext, region));
+      const guarded = this._guard(response, turn, 'chat');
+      response = guarded.response;
+      
+      // Process response for user's language
+      languageProcessedResponse = await this.languageService.processAIResponse(
+        response, 
+        userLanguage, 
+        'en'
+      );
+      
+      response = languageProcessedResponse.response;
+      
+      // Cache the successful response for future use; withheld replies are not cached
+      if (!guarded.blocked) {
+        this._cacheTurn(turn, response, enhancementData);
+      }
+      
+    } catch (error) {
+      console.error('AI generation failed, using enhanced error handling:', error);
+      ({ response, enhancementData, languageProcessedResponse } = await this._errorFallback(error, turn));
+    }
+
+    return this._completeTurn(turn, response, enhancementData, languageProcessedResponse);
+  }
+
+  /**
+   * Process a message and stream the response as it is generated. Takes the
+   * same steps as processMessage (session, privacy, crisis detection, context)
+   * and resolves to the same result once the reply is complete.
+   *
+   * The partial reply is checked for harmful content as it grows; if the
+   * model goes off the rails the stream stops and onReplace delivers a safe
+   * reply instead. Replies that need translation are sent whole, since they
+   * can only be translated once complete.
+   * @param {string} message - User's message
+   * @param {string} sessionId - Session identifier
+   * @param {Object} requestInfo - Request information for security (and the caller's region)
+   * @param {string} userLanguage - User's preferred language
+   * @param {Object} handlers - { onToken(text), onReplace(text), onCrisis(crisisData), signal }
+   * @returns {Promise<Object>} Result as from processMessage, plus streamed/cancelled flags
+   */
+  async streamMessage(message, sessionId, requestInfo = {}, userLanguage = 'en', handlers = {}) {
+    const onToken = handlers.onToken || (() => {});
+    const onReplace = handlers.onReplace || (() => {});
+    const signal = handlers.signal;
+
+    const turn = await this._beginTurn(message, sessionId, requestInfo, userLanguage, {
+      onCrisis: handlers.onCrisis,
+      source: 'stream'
+    });
+    if (turn.result) {
+      onToken(turn.result.message);
+      return { ...turn.result, streamed: false, cancelled: false };
+    }
+
+    const { processedMessage, detectedLanguage, region, sessionContext } = turn;
+    const messageForAI = await this._messageForAI(processedMessage, detectedLanguage);
+    // Only English replies can be shown while they are generated
+    const live = userLanguage === 'en' || !this.languageService.isLanguageSupported(userLanguage);
+
+    let rawResponse = '';
+    let sent = '';
+    let replaced = false;
+    let cancelled = false;
+
+    // Swap what the student has seen so far for a complete reply
+    const replaceWith = (text) => {
+      if (live && sent && text !== sent) {
+        onReplace(text);
+        sent = text;
+      }
+      replaced = true;
+      rawResponse = text;
+    };
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) {
+        abort();
+      }
+      signal.addEventListener('abort', abort);
+    }
+
+    try {
+      const { history, summary } = await this._conversationMemory(turn, messageForAI);
+      for await (const text of this.groqService.streamResponse(messageForAI, history, { region, prompt: turn.prompt, summary, signal: controller.signal })) {
+        rawResponse += text;
+
+        const issues = this._unsafeStreamIssues(rawResponse);
+        if (issues.length > 0) {
+          console.warn('Streamed response failed safety check, replacing:', issues);
+          controller.abort();
+          const guarded = this._guard(rawResponse, turn, 'stream');
+          replaceWith(guarded.blocked ? guarded.response : this._getEnhancedMentalHealthResponse(messageForAI, sessionContext));
+          break;
+        }
+
+        if (live) {
+          onToken(text);
+          sent += text;
+        }
+      }
+
+      if (!replaced && !controller.signal.aborted) {
+        rawResponse = rawResponse.trim();
+        const validation = this.groqService.validateResponse(rawResponse);
+        if (!validation.isValid) {
+          console.warn('Groq response validation failed:', validation.issues);
+          replaceWith(this._getEnhancedMentalHealthResponse(messageForAI, sessionContext));
+        }
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.warn('Groq AI streaming failed, using enhanced fallback:', error.message);
+        replaceWith(this._getEnhancedMentalHealthResponse(messageForAI, sessionContext));
+      }
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    }
+
+    // The client went away: keep what it was shown, but skip enhancement and caching
+    if (signal && signal.aborted) {
+      cancelled = true;
+      return {
+        ...this._completeTurn(turn, live ? sent : '', null, null, { cancelled: true }),
+        streamed: live,
+        cancelled
+      };
+    }
+
+    let { response, enhancementData } = this._enhanceResponse(rawResponse, messageForAI, sessionContext, region);
+    const guarded = this._guard(response, turn, 'stream');
+    response = guarded.response;
+    let languageProcessedResponse = null;
+
+    try {
+      languageProcessedResponse = await this.languageService.processAIResponse(response, userLanguage, 'en');
+      response = languageProcessedResponse.response;
+    } catch (error) {
+      console.warn('Failed to process streamed response for language:', error);
+    }
+
+    if (!live) {
+      onToken(response);
+    } else if (!sent) {
+      onToken(response);
+    } else if (response.startsWith(sent)) {
+      // Enhancement appends coping tips; send just the new part
+      if (response.length > sent.length) {
+        onToken(response.slice(sent.length));
+      }
+    } else {
+      onReplace(response);
+    }
+
+    if (!replaced && !guarded.blocked) {
+      this._cacheTurn(turn, response, enhancementData);
+    }
+
+    return {
+      ...this._completeTurn(turn, response, enhancementData, languageProcessedResponse),
+      streamed: live,
+      cancelled
+    };
+  }
+
+  /**
+   * Steps shared by processMessage and streamMessage before generation:
+   * session, language detection, cache, anonymization and crisis detection.
+   * Returns { result } when the turn is answered already (cached or crisis reply).
+   * @private
+   */
+  async _beginTurn(message, sessionId, requestInfo = {}, userLanguage = 'en', hooks = {}) {
     if (!this.isServiceAvailable()) {
       throw new Error('Conversational AI service not configured');
     }
@@ -111,13 +334,13 @@ class ConversationalAIService {
     }
 
     // Validate session security
-    const securityValidation = this.sessionManager.validateSessionSecurity(sessionId, requestInfo);
-    if (!securityValidation.valid) {
-      throw new Error(`Session security validation failed: ${securityValidation.reason}`);
-    }
+    this._assertSessionAllowed(this.sessionManager.validateSessionSecurity(sessionId, requestInfo), message);
 
     // Detect and process language
     const detectedLanguage = await this.languageService.detectLanguage(message);
+
+    // Every turn carries the message's sentiment and topics, whichever way it is answered
+    const analysis = this.sentimentTagger.analyze(message);
     
     // Check cache first for quick responses
     const cachedResponse = this.cachingService.getCachedResponse(message, requestInfo, userLanguage);
@@ -142,19 +365,22 @@ class ConversationalAIService {
       });
 
       return {
-        message: cachedResponse.response,
-        isCrisis: false,
-        crisisData: null,
-        cached: true,
-        sessionId: sessionId,
-        languageInfo: {
-          userLanguage: userLanguage,
-          detectedLanguage: detectedLanguage,
-          translationApplied: false
-        },
-        privacyInfo: {
-          piiDetected: false,
-          anonymized: false
+        result: {
+          message: cachedResponse.response,
+          isCrisis: false,
+          crisisData: null,
+          cached: true,
+          sessionId: sessionId,
+          analysis,
+          languageInfo: {
+            userLanguage: userLanguage,
+            detectedLanguage: detectedLanguage,
+            translationApplied: false
+          },
+          privacyInfo: {
+            piiDetected: false,
+            anonymized: false
+          }
         }
       };
     }
@@ -168,20 +394,54 @@ class ConversationalAIService {
       console.warn(`PII detected in session ${sessionId.substring(0, 8)}..., anonymized before processing`);
     }
 
+    // Crisis resources are selected for the caller's region and language
+    const region = { ...requestInfo.region, language: userLanguage };
+
+    // Injection attempts never reach the model
+    const injection = this.injectionDetection.classify(processedMessage);
+
     // Analyze message for crisis indicators using dedicated service
-    const crisisAnalysis = this.crisisDetection.analyzeMessage(processedMessage, sessionId);
+    const crisisAnalysis = this.crisisDetection.analyzeMessage(processedMessage, sessionId, region);
     
     // If crisis detected, return crisis response immediately
     if (crisisAnalysis.isCrisis) {
+      // Streaming clients show the resources while the reply is written
+      if (hooks.onCrisis) {
+        hooks.onCrisis({
+          severity: crisisAnalysis.severity,
+          escalationLevel: crisisAnalysis.escalationLevel,
+          resources: crisisAnalysis.resources
+        });
+      }
+
       let crisisResponse;
+      const crisisPrompt = this.groqService.getPrompt('crisis', region, {
+        userMessage: processedMessage,
+        severity: crisisAnalysis.severity
+      });
       
       try {
+        // A crisis still gets a crisis reply, but not one written from an injection attempt
+        if (injection.flagged) {
+          throw new Error(`message flagged as prompt injection (${injection.rules.join(', ')})`);
+        }
         // Generate crisis-specific response using Groq
-        crisisResponse = await this.groqService.generateCrisisResponse(processedMessage, crisisAnalysis.severity);
+        crisisResponse = await this.groqService.generateCrisisResponse(processedMessage, crisisAnalysis.severity, region, { prompt: crisisPrompt });
       } catch (error) {
         console.warn('Groq crisis response generation failed, using fallback:', error.message);
         crisisResponse = crisisAnalysis.response; // Use crisis detection service fallback
       }
+
+      // Whatever was generated, a crisis reply must be safe and carry resources
+      const guarded = this.guardrails.check(crisisResponse, {
+        crisis: true,
+        severity: crisisAnalysis.severity,
+        region,
+        systemPrompt: crisisPrompt.text,
+        sessionId,
+        source: 'crisis'
+      });
+      crisisResponse = guarded.response;
       
       // Process crisis response for user's language
       const languageProcessedCrisis = await this.languageService.processAIResponse(
@@ -190,9 +450,6 @@ class ConversationalAIService {
         'en'
       );
       
-      // Get language-specific crisis resources
-      const languageResources = this.languageService.getMentalHealthResourcesForLanguage(userLanguage);
-      
       // Update session context with crisis interaction
       this.sessionManager.updateSessionContext(sessionId, {
         message: {
@@ -209,7 +466,8 @@ class ConversationalAIService {
           role: 'assistant',
           content: languageProcessedCrisis.response,
           language: userLanguage,
-          crisis: true
+          crisis: true,
+          prompt: this._promptRef(crisisPrompt)
         }
       });
       
@@ -220,139 +478,212 @@ class ConversationalAIService {
       );
       
       return {
-        message: languageProcessedCrisis.response,
-        isCrisis: true,
-        crisisData: {
-          severity: crisisAnalysis.severity,
-          keywords: crisisAnalysis.keywords,
-          escalationLevel: crisisAnalysis.escalationLevel,
-          resources: [...crisisAnalysis.resources, ...languageResources],
-          workflow: workflow
-        },
-        sessionId: sessionId,
-        languageInfo: {
-          userLanguage: userLanguage,
-          detectedLanguage: detectedLanguage,
-          translationApplied: languageProcessedCrisis.translationApplied
-        },
-        privacyInfo: {
-          piiDetected: anonymizationResult.piiDetected,
-          anonymized: true
+        result: {
+          message: languageProcessedCrisis.response,
+          isCrisis: true,
+          crisisData: {
+            severity: crisisAnalysis.severity,
+            keywords: crisisAnalysis.keywords,
+            confidence: crisisAnalysis.confidence,
+            escalationLevel: crisisAnalysis.escalationLevel,
+            resources: crisisAnalysis.resources,
+            workflow: workflow
+          },
+          sessionId: sessionId,
+          prompt: this._promptRef(crisisPrompt),
+          guardrails: guarded.interventions,
+          analysis,
+          languageInfo: {
+            userLanguage: userLanguage,
+            detectedLanguage: detectedLanguage,
+            translationApplied: languageProcessedCrisis.translationApplied
+          },
+          privacyInfo: {
+            piiDetected: anonymizationResult.piiDetected,
+            anonymized: true
+          }
         }
       };
     }
 
-    // Get session context for AI generation
-    const sessionContext = session.context || { messages: [] };
+    if (injection.flagged) {
+      return {
+        result: await this._refuseInjection(injection, {
+          sessionId,
+          userLanguage,
+          detectedLanguage,
+          anonymizationResult,
+          analysis,
+          source: hooks.source
+        })
+      };
+    }
+
+    return {
+      sessionId,
+      requestInfo,
+      userLanguage,
+      detectedLanguage,
+      processedMessage,
+      anonymizationResult,
+      analysis,
+      region,
+      // Active system prompt version, recorded with the reply
+      prompt: this.groqService.getPrompt('system', region),
+      // Get session context for AI generation
+      sessionContext: session.context || { messages: [] }
+    };
+  }
+
+  /**
+   * Refuse a prompt injection attempt: count a strike against the session,
+   * log the attempt for staff and reply with a safe refusal. Neither the
+   * message nor the refusal is kept in the conversation history.
+   * @private
+   */
+  async _refuseInjection(injection, { sessionId, userLanguage, detectedLanguage, anonymizationResult, analysis, source }) {
+    const strike = this.sessionManager.recordStrike(sessionId, injection.rules) || { strikes: 0, blocked: false };
+    this.injectionDetection.record(injection, {
+      sessionId,
+      source: source || 'chat',
+      strikes: strike.strikes,
+      blocked: strike.blocked
+    });
+
+    const refusal = await this.languageService.processAIResponse(injection.response, userLanguage, 'en');
+
+    return {
+      message: refusal.response,
+      isCrisis: false,
+      crisisData: null,
+      sessionId: sessionId,
+      injection: {
+        rules: injection.rules,
+        score: injection.score,
+        strikes: strike.strikes,
+        blocked: strike.blocked
+      },
+      analysis,
+      languageInfo: {
+        userLanguage: userLanguage,
+        detectedLanguage: detectedLanguage,
+        translationApplied: refusal.translationApplied
+      },
+      privacyInfo: {
+        piiDetected: anonymizationResult.piiDetected,
+        anonymized: true
+      }
+    };
+  }
+
+  /**
+   * Translate the (anonymized) user message to English for the model
+   * @private
+   */
+  async _messageForAI(processedMessage, detectedLanguage) {
+    if (detectedLanguage === 'en') {
+      return processedMessage;
+    }
+
+    try {
+      return await this.languageService.translateText(processedMessage, detectedLanguage, 'en');
+    } catch (error) {
+      console.warn('Failed to translate user message to English, using original:', error);
+      return processedMessage;
+    }
+  }
+
+  /**
+   * Enhance a generated reply with mental health context, keeping the raw
+   * reply if the enhancement fails validation
+   * @private
+   */
+  _enhanceResponse(rawResponse, messageForAI, sessionContext, region) {
+    // Enhance response with mental health context using the dedicated service
+    const enhancement = this.mentalHealthContext.enhanceResponse(
+      rawResponse, 
+      messageForAI, 
+      { recentMessages: sessionContext.messages.slice(-3), region }
+    );
+    
+    // Validate the enhanced response
+    const validation = this.mentalHealthContext.validateMentalHealthResponse(enhancement.enhancedResponse);
+    if (!validation.isAppropriate) {
+      console.warn('Enhanced response failed validation:', validation.issues);
+      // Use original response if enhancement caused issues
+      return { response: rawResponse, enhancementData: null };
+    }
+
+    return { response: enhancement.enhancedResponse, enhancementData: enhancement };
+  }
+
+  /**
+   * Cache a successful reply for future use
+   * @private
+   */
+  _cacheTurn(turn, response, enhancementData) {
+    this.cachingService.cacheResponse(
+      turn.processedMessage, 
+      response, 
+      { 
+        enhancementType: enhancementData?.type,
+        sessionContext: turn.sessionContext.messages.length 
+      }, 
+      turn.userLanguage
+    );
+  }
 
+  /**
+   * Reply used when generation fails outright
+   * @private
+   */
+  async _errorFallback(error, turn) {
+    const { processedMessage, sessionId, requestInfo, region, userLanguage } = turn;
     let response;
     let enhancementData = null;
     let languageProcessedResponse = null;
+
+    // Use enhanced error handling
+    const errorResult = await this.errorHandler.handleError(error, 'conversational-ai', {
+      message: processedMessage,
+      sessionId: sessionId,
+      requestInfo: requestInfo,
+      region
+    });
     
+    if (errorResult.fallback) {
+      response = errorResult.fallback.message;
+      enhancementData = {
+        type: 'fallback',
+        source: 'error-handler',
+        errorType: errorResult.error.type
+      };
+    } else {
+      response = this._getFallbackResponse(processedMessage, region);
+    }
+    
+    // Process fallback response for user's language
     try {
-      // Translate user message to English for AI processing if needed
-      let messageForAI = processedMessage;
-      if (detectedLanguage !== 'en') {
-        try {
-          messageForAI = await this.languageService.translateText(processedMessage, detectedLanguage, 'en');
-        } catch (error) {
-          console.warn('Failed to translate user message to English, using original:', error);
-        }
-      }
-      
-      // Generate AI response using Groq service
-      let rawResponse;
-      try {
-        // Prepare conversation history for Groq
-        const conversationHistory = this._prepareConversationHistory(sessionContext);
-        rawResponse = await this.groqService.generateResponse(messageForAI, conversationHistory);
-        
-        // Validate the Groq response
-        const validation = this.groqService.validateResponse(rawResponse);
-        if (!validation.isValid) {
-          console.warn('Groq response validation failed:', validation.issues);
-          throw new Error('Generated response failed validation: ' + validation.issues.join(', '));
-        }
-        
-      } catch (error) {
-        console.warn('Groq AI generation failed, using enhanced fallback:', error.message);
-        // Use enhanced mental health responses instead of generic fallback
-        rawResponse = this._getEnhancedMentalHealthResponse(messageForAI, sessionContext);
-      }
-      
-      // Enhance response with mental health context using the dedicated service
-      const enhancement = this.mentalHealthContext.enhanceResponse(
-        rawResponse, 
-        messageForAI, 
-        { recentMessages: sessionContext.messages.slice(-3) }
-      );
-      
-      response = enhancement.enhancedResponse;
-      enhancementData = enhancement;
-      
-      // Validate the enhanced response
-      const validation = this.mentalHealthContext.validateMentalHealthResponse(response);
-      if (!validation.isAppropriate) {
-        console.warn('Enhanced response failed validation:', validation.issues);
-        // Use original response if enhancement caused issues
-        response = rawResponse;
-        enhancementData = null;
-      }
-      
-      // Process response for user's language
       languageProcessedResponse = await this.languageService.processAIResponse(
         response, 
         userLanguage, 
         'en'
       );
-      
       response = languageProcessedResponse.response;
-      
-      // Cache the successful response for future use
-      this.cachingService.cacheResponse(
-        processedMessage, 
-        response, 
-        { 
-          enhancementType: enhancementData?.type,
-          sessionContext: sessionContext.messages.length 
-        }, 
-        userLanguage
-      );
-      
-    } catch (error) {
-      console.error('AI generation failed, using enhanced error handling:', error);
-      
-      // Use enhanced error handling
-      const errorResult = await this.errorHandler.handleError(error, 'conversational-ai', {
-        message: processedMessage,
-        sessionId: sessionId,
-        requestInfo: requestInfo
-      });
-      
-      if (errorResult.fallback) {
-        response = errorResult.fallback.message;
-        enhancementData = {
-          type: 'fallback',
-          source: 'error-handler',
-          errorType: errorResult.error.type
-        };
-      } else {
-        response = this._getFallbackResponse(processedMessage);
-      }
-      
-      // Process fallback response for user's language
-      try {
-        languageProcessedResponse = await this.languageService.processAIResponse(
-          response, 
-          userLanguage, 
-          'en'
-        );
-        response = languageProcessedResponse.response;
-      } catch (langError) {
-        console.warn('Failed to process fallback response for language:', langError);
-      }
+    } catch (langError) {
+      console.warn('Failed to process fallback response for language:', langError);
     }
 
+    return { response, enhancementData, languageProcessedResponse };
+  }
+
+  /**
+   * Record both sides of the turn in the session and build the result
+   * @private
+   */
+  _completeTurn(turn, response, enhancementData, languageProcessedResponse, flags = {}) {
+    const { sessionId, processedMessage, anonymizationResult, detectedLanguage, userLanguage } = turn;
+
     // Update session context with both messages
     this.sessionManager.updateSessionContext(sessionId, {
       message: {
@@ -367,7 +698,9 @@ class ConversationalAIService {
       message: {
         role: 'assistant',
         content: response,
-        language: userLanguage
+        language: userLanguage,
+        prompt: this._promptRef(turn.prompt),
+        ...flags
       }
     });
 
@@ -377,6 +710,9 @@ class ConversationalAIService {
       crisisData: null,
       mentalHealthEnhancement: enhancementData,
       sessionId: sessionId,
+      prompt: this._promptRef(turn.prompt),
+      guardrails: turn.guardrails || [],
+      analysis: turn.analysis,
       languageInfo: {
         userLanguage: userLanguage,
         detectedLanguage: detectedLanguage,
@@ -391,6 +727,43 @@ class ConversationalAIService {
     };
   }
 
+  /**
+   * Template and version of a rendered prompt, as recorded for audit
+   * @private
+   */
+  _promptRef(prompt) {
+    return prompt ? { template: prompt.template, version: prompt.version } : null;
+  }
+
+  /**
+   * Safety issues in a partial streamed reply. Only the checks that can
+   * fail part-way through apply; length and tone are checked at the end.
+   * @private
+   */
+  _unsafeStreamIssues(partialResponse) {
+    const validation = this.groqService.validateResponse(partialResponse);
+    return [
+      ...validation.issues.filter(issue => /harmful|medical/i.test(issue)),
+      ...this.guardrails.scan(partialResponse)
+    ];
+  }
+
+  /**
+   * Run the response guardrails on a generated reply, keeping the
+   * interventions with the turn so they are reported with the result
+   * @private
+   */
+  _guard(response, turn, source) {
+    const guarded = this.guardrails.check(response, {
+      region: turn.region,
+      systemPrompt: turn.prompt && turn.prompt.text,
+      sessionId: turn.sessionId,
+      source
+    });
+    turn.guardrails = [...(turn.guardrails || []), ...guarded.interventions];
+    return guarded;
+  }
+
   /**
    * Detect crisis keywords in user message (legacy method - now uses CrisisDetectionService)
    * @param {string} message - User's message
@@ -448,14 +821,131 @@ class ConversationalAIService {
     return success;
   }
 
+  /**
+   * Stop background timers
+   */
+  destroy() {
+    this.sessionManager.destroy();
+    this.errorHandler.stopHealthMonitoring();
+    this.performanceOptimizer.destroy();
+    this.cachingService.destroy();
+  }
+
   /**
    * Get crisis resources
    * @param {string} severity - Crisis severity level
    * @param {string} type - Resource type filter
+   * @param {Object} region - Caller's region { country, state, campus, language }
    * @returns {Array} List of crisis resources
    */
-  getCrisisResources(severity = 'all', type = 'all') {
-    return this.crisisDetection.getCrisisResources(severity, type);
+  getCrisisResources(severity = 'all', type = 'all', region = {}) {
+    return this.crisisDetection.getCrisisResources(severity, type, region);
+  }
+
+  /**
+   * Crisis data for a completed screening whose answers call for immediate
+   * help, shaped like the crisisData of processMessage so callers can show
+   * resources and open a counselor hand-off the same way
+   * @param {string} sessionId - Session identifier
+   * @param {string} toolName - Screening tool that was completed
+   * @param {Object} region - Caller's region { country, state, campus, language }
+   * @returns {Object} Crisis data
+   */
+  getScreeningCrisisData(sessionId, toolName, region = {}) {
+    return {
+      severity: 'immediate',
+      keywords: [],
+      confidence: 1,
+      escalationLevel: 3,
+      resources: this.crisisDetection.getCrisisResources('immediate', 'all', region),
+      workflow: this.crisisDetection.createEscalationWorkflow(sessionId, 'immediate'),
+      screening: toolName
+    };
+  }
+
+  /**
+   * Refuse a turn from a session over its rate limit or locked after repeated
+   * injection attempts, for turns answered outside processMessage (such as a
+   * conversational screening). Sessions this service does not hold have
+   * nothing to check.
+   * @param {string} sessionId - Session identifier
+   * @param {string} message - User's message; a crisis message is never refused
+   * @param {Object} requestInfo - Request information for security
+   * @throws {Error} RATE_LIMIT_EXCEEDED with retryAfter when the session is locked
+   */
+  checkSession(sessionId, message, requestInfo = {}) {
+    const securityValidation = this.sessionManager.validateSessionSecurity(sessionId, requestInfo);
+    if (securityValidation.reason !== 'session_not_found') {
+      this._assertSessionAllowed(securityValidation, message);
+    }
+  }
+
+  /**
+   * Throw for a failed session security validation
+   * @private
+   */
+  _assertSessionAllowed(securityValidation, message) {
+    // A rate or strike lock must never keep a student in crisis from the crisis reply
+    const lockedOut = Boolean(securityValidation.retryAfter);
+    if (!securityValidation.valid && !(lockedOut && this.crisisDetection.indicatesCrisis(message))) {
+      const error = new Error(`Session security validation failed: ${securityValidation.reason}`);
+      if (securityValidation.retryAfter) {
+        error.code = 'RATE_LIMIT_EXCEEDED';
+        error.response = { status: 429 };
+        error.retryAfter = securityValidation.retryAfter;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Conversation history for the model, folding the oldest messages into the
+   * session's rolling summary once they no longer fit the token budget or
+   * this turn would push them out of the session's message window.
+   * Folding leaves half the budget and half the window free, so the summary
+   * is only rewritten every few turns rather than on each one.
+   * @param {Object} turn - Turn state from _beginTurn
+   * @param {string} messageForAI - User's message as sent to the model
+   * @returns {Promise<Object>} { history, summary } for the model
+   * @private
+   */
+  async _conversationMemory(turn, messageForAI) {
+    const { sessionId, sessionContext, region } = turn;
+    let summary = this.sessionManager.getConversationSummary(sessionId);
+
+    const pending = (sessionContext.messages || [])
+      .filter(msg => (msg.role === 'user' || msg.role === 'assistant') &&
+                     (msg.seq || 0) > (summary ? summary.throughSeq : 0));
+    let history = this._prepareConversationHistory({ messages: pending });
+
+    const options = { prompt: turn.prompt, summary: summary ? summary.text : null };
+    const budget = this.groqService.historyBudget(messageForAI, options);
+    // This turn adds the user's message and the reply to the session
+    const window = this.sessionManager.config.maxContextSize;
+    if (this.groqService.countTokens(history) <= budget && pending.length + 2 <= window) {
+      return { history, summary: options.summary };
+    }
+
+    // Keep the newest messages that fit in half the budget and half the window, summarize the rest
+    let keep = 0;
+    while (keep < history.length && keep < window / 2 &&
+           this.groqService.countTokens(history.slice(history.length - keep - 1)) <= budget / 2) {
+      keep++;
+    }
+    const folded = history.slice(0, history.length - keep);
+
+    try {
+      const text = await this.groqService.summarizeConversation(folded, options.summary, { region });
+      const throughSeq = pending[folded.length - 1].seq;
+      this.sessionManager.setConversationSummary(sessionId, text, throughSeq);
+      summary = { text, throughSeq };
+      history = history.slice(folded.length);
+    } catch (error) {
+      // Without a fresh summary the oldest history is simply dropped this turn
+      console.warn('Conversation summary failed, trimming history instead:', error.message);
+    }
+
+    return { history, summary: summary ? summary.text : null };
   }
 
   /**
@@ -471,9 +961,8 @@ class ConversationalAIService {
 
     // Convert session messages to Groq format
     const history = [];
-    const recentMessages = sessionContext.messages.slice(-10); // Last 10 messages
 
-    for (const msg of recentMessages) {
+    for (const msg of sessionContext.messages) {
       if (msg.role === 'user') {
         history.push({
           role: 'user',
@@ -490,191 +979,6 @@ class ConversationalAIService {
     return history;
   }
 
-  /**
-   * Generate AI response using secure API service (legacy Hugging Face method)
-   * @param {string} message - User's message
-   * @param {Object} context - Conversation context
-   * @param {string} sessionId - Session identifier
-   * @returns {Promise<string>} AI response
-   * @private
-   */
-  async _generateSecureAIResponse(message, context, sessionId) {
-    // Prepare conversation history for the model
-    let conversationText = '';
-    
-    // Add recent context (last few messages)
-    const recentMessages = context.messages.slice(-6); // Last 3 exchanges
-    for (const msg of recentMessages) {
-      if (msg.role === 'user') {
-        conversationText += `Human: ${msg.content}\n`;
-      } else {
-        conversationText += `Assistant: ${msg.content}\n`;
-      }
-    }
-    
-    conversationText += `Human: ${message}\nAssistant:`;
-
-    // Prepare secure request payload
-    const requestPayload = {
-      inputs: conversationText,
-      parameters: {
-        max_length: 150,
-        temperature: 0.7,
-        do_sample: true,
-        pad_token_id: 50256
-      }
-    };
-
-    // Encrypt payload if encryption is enabled
-    const encryptedPayload = this.secureApiService.encryptRequestPayload(requestPayload, sessionId);
-
-    try {
-      // Make secure API request
-      const response = await this.secureApiService.makeSecureRequest({
-        url: this.modelUrl,
-        method: 'POST',
-        data: encryptedPayload,
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000,
-        retries: this.maxRetries
-      });
-
-      if (response.success && response.data && Array.isArray(response.data) && response.data[0]?.generated_text) {
-        // Extract only the new response part
-        const fullText = response.data[0].generated_text;
-        const assistantResponse = fullText.split('Assistant:').pop().trim();
-        return assistantResponse || this._getFallbackResponse(message);
-      } else {
-        throw new Error('Unexpected response format from Hugging Face API');
-      }
-
-    } catch (error) {
-      console.error('Secure AI generation failed:', error);
-      // Fall back to original method if secure method fails
-      return await this._generateAIResponse(message, context);
-    }
-  }
-
-  /**
-   * Generate AI response using Hugging Face model (legacy method)
-   * @param {string} message - User's message
-   * @param {Object} context - Conversation context
-   * @returns {Promise<string>} AI response
-   * @private
-   */
-  async _generateAIResponse(message, context) {
-    // Prepare conversation history for the model
-    let conversationText = '';
-    
-    // Add recent context (last few messages)
-    const recentMessages = context.messages.slice(-6); // Last 3 exchanges
-    for (const msg of recentMessages) {
-      if (msg.role === 'user') {
-        conversationText += `Human: ${msg.content}\n`;
-      } else {
-        conversationText += `Assistant: ${msg.content}\n`;
-      }
-    }
-    
-    conversationText += `Human: ${message}\nAssistant:`;
-
-    let lastError;
-    
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-      try {
-        const response = await this._makeApiRequest(conversationText);
-        
-        if (response.data && Array.isArray(response.data) && response.data[0]?.generated_text) {
-          // Extract only the new response part
-          const fullText = response.data[0].generated_text;
-          const assistantResponse = fullText.split('Assistant:').pop().trim();
-          return assistantResponse || this._getFallbackResponse(message);
-        } else {
-          throw new Error('Unexpected response format from Hugging Face API');
-        }
-        
-      } catch (error) {
-        lastError = error;
-        
-        // Handle specific error cases
-        if (error.response?.status === 429) {
-          // Rate limit exceeded
-          const retryAfter = error.response.headers['retry-after'] || this.retryDelay * attempt;
-          console.warn(`Rate limit exceeded, retrying after ${retryAfter}ms (attempt ${attempt}/${this.maxRetries})`);
-          
-          if (attempt < this.maxRetries) {
-            await this._sleep(retryAfter);
-            continue;
-          }
-          throw new Error('Rate limit exceeded. Please try again later.');
-        }
-        
-        if (error.response?.status === 503) {
-          // Model loading
-          console.warn(`Model is loading, retrying in ${this.retryDelay * attempt}ms (attempt ${attempt}/${this.maxRetries})`);
-          
-          if (attempt < this.maxRetries) {
-            await this._sleep(this.retryDelay * attempt);
-            continue;
-          }
-          throw new Error('Conversational AI service is temporarily unavailable. Please try again in a few moments.');
-        }
-        
-        if (error.response?.status === 400) {
-          // Bad request - don't retry
-          throw new Error('Invalid request format');
-        }
-        
-        if (error.response?.status === 401) {
-          // Unauthorized - don't retry
-          throw new Error('Invalid Hugging Face API key');
-        }
-        
-        // For other errors, retry with exponential backoff
-        if (attempt < this.maxRetries) {
-          console.warn(`API request failed, retrying in ${this.retryDelay * attempt}ms (attempt ${attempt}/${this.maxRetries}):`, error.message);
-          await this._sleep(this.retryDelay * attempt);
-        }
-      }
-    }
-    
-    // All retries failed
-    throw new Error(`Conversational AI service failed after ${this.maxRetries} attempts: ${lastError.message}`);
-  }
-
-  /**
-   * Make the actual API request to Hugging Face
-   * @param {string} conversationText - Formatted conversation text
-   * @returns {Promise<Object>} API response
-   * @private
-   */
-  async _makeApiRequest(conversationText) {
-    const headers = {
-      'Authorization': `Bearer ${this.apiKey}`,
-      'Content-Type': 'application/json'
-    };
-
-    const payload = {
-      inputs: conversationText,
-      parameters: {
-        max_length: 150,
-        temperature: 0.7,
-        do_sample: true,
-        pad_token_id: 50256
-      }
-    };
-
-    const response = await axios.post(this.modelUrl, payload, {
-      headers,
-      timeout: 30000, // 30 second timeout
-    });
-
-    return response;
-  }
-
   /**
    * Enhance AI response with mental health context (legacy method - now uses MentalHealthContextService)
    * @param {string} response - Original AI response
@@ -755,14 +1059,16 @@ class ConversationalAIService {
   /**
    * Get a fallback response when AI generation fails
    * @param {string} message - User's message
+   * @param {Object} region - Caller's region
    * @returns {string} Fallback response
    * @private
    */
-  _getFallbackResponse(message) {
+  _getFallbackResponse(message, region = {}) {
     // Use the enhanced fallback service
     const fallbackResponse = this.fallbackService.generateFallbackResponse(message, {
       service: 'conversational-ai',
-      context: 'ai-generation-failed'
+      context: 'ai-generation-failed',
+      region
     });
     
     return fallbackResponse.message;
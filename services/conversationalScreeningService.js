@@ -0,0 +1,674 @@
+/**
+ * Conversational Screening Service
+ * Administers a screening inside a chat or voice conversation: the assistant
+ * asks one item at a time, the student answers in their own words ("most
+ * days", "कधीकधी") and the answer is mapped to a response value using the
+ * phrases in the instrument definition. Answers that only resemble an option
+ * are read back for confirmation. A screening can be paused and resumed
+ * within the session; once complete it is scored by ScreeningService and,
+ * when a history service is given, saved with the student's consent.
+ *
+ * Screenings in progress live in memory only, keyed by conversation session.
+ */
+
+const ScreeningIntegrationService = require('./screeningIntegrationService');
+const CrisisDetectionService = require('./crisisDetectionService');
+
+// Replies that steer the screening; matched only as short replies of their own
+const COMMANDS = {
+  en: {
+    yes: ['yes', 'yeah', 'yep', 'sure', 'ok', 'okay', 'correct', 'right', 'thats right', 'go ahead'],
+    no: ['no', 'nope', 'no thanks', 'not right', 'wrong', 'incorrect'],
+    pause: ['pause', 'later', 'not now', 'stop for now', 'take a break'],
+    resume: ['resume', 'continue', 'carry on', 'keep going'],
+    cancel: ['cancel', 'quit', 'stop screening', 'stop the screening', 'end screening']
+  },
+  mr: {
+    yes: ['हो', 'होय', 'हां', 'बरोबर', 'चालेल', 'ठीक आहे'],
+    no: ['नाही', 'नको', 'चूक'],
+    pause: ['थांबा', 'थांब', 'नंतर'],
+    resume: ['पुढे चला', 'सुरू ठेवा', 'पुन्हा सुरू करा'],
+    cancel: ['रद्द करा', 'रद्द']
+  }
+};
+
+const MESSAGES = {
+  en: {
+    offer: tool => `Would you like to answer the ${tool.fullName} (${tool.name}) here, one question at a time? ` +
+      'It takes a few minutes and you can say "pause" at any point. (yes / no)',
+    declined: 'No problem. I\'m here whenever you want to talk.',
+    intro: tool => `Let's begin the ${tool.name}. For each question, tell me in your own words how often it has bothered you` +
+      `${tool.timeframe ? ` ${tool.timeframe}` : ''}.`,
+    question: (number, total, text, options) => `Question ${number} of ${total}: ${text}\n(${options.join(' / ')})`,
+    accepted: 'Got it.',
+    confirm: option => `Just to check: "${option}". Is that right? (yes / no)`,
+    unclear: options => `I'm not sure which answer that is. Which is closest: ${options.join(', ')}? You can also say "pause".`,
+    paused: (number, total) => `Paused at question ${number} of ${total}. Say "resume" whenever you want to carry on.`,
+    cancelled: 'Okay, I\'ve stopped the screening and discarded your answers.',
+    consent: 'Would you like to keep this result so you can compare it next time? Only you can see it. (yes / no)',
+    saved: 'Saved. You can look at your screening history at any time.',
+    notSaved: 'Okay, it has not been added to your history.'
+  },
+  mr: {
+    offer: tool => `तुम्हाला ${tool.name} चे प्रश्न इथेच, एका वेळी एक, सोडवायचे आहेत का? ` +
+      'याला काही मिनिटे लागतात आणि तुम्ही कधीही "थांबा" म्हणू शकता. (हो / नाही)',
+    declined: 'काही हरकत नाही. तुम्हाला बोलायचे असेल तेव्हा मी इथे आहे.',
+    intro: tool => `चला ${tool.name} सुरू करूया. प्रत्येक प्रश्नासाठी, याचा तुम्हाला किती वेळा त्रास झाला ते तुमच्या शब्दांत सांगा.`,
+    question: (number, total, text, options) => `प्रश्न ${number}/${total}: ${text}\n(${options.join(' / ')})`,
+    accepted: 'ठीक आहे.',
+    confirm: option => `खात्री करण्यासाठी: "${option}". हे बरोबर आहे का? (हो / नाही)`,
+    unclear: options => `हे कोणते उत्तर आहे ते मला समजले नाही. यापैकी सर्वात जवळचे कोणते: ${options.join(', ')}? तुम्ही "थांबा" असेही म्हणू शकता.`,
+    paused: (number, total) => `प्रश्न ${number}/${total} वर थांबवले. पुढे जायचे असेल तेव्हा "पुढे चला" म्हणा.`,
+    cancelled: 'ठीक आहे, तपासणी थांबवली आणि तुमची उत्तरे काढून टाकली.',
+    consent: 'पुढच्या वेळी तुलना करण्यासाठी हा निकाल जतन करायचा का? तो फक्त तुम्हाला दिसेल. (हो / नाही)',
+    saved: 'जतन केले. तुमचा तपासणी इतिहास तुम्ही कधीही पाहू शकता.',
+    notSaved: 'ठीक आहे, तो तुमच्या इतिहासात जोडलेला नाही.',
+    result: (tool, score, level) => `धन्यवाद. तुमचा ${tool} गुण ${score.totalScore}/${score.maxScore} आहे: ${level}.`,
+    crisis: (helplines, emergency) => `⚠️ तुमच्या उत्तरांवरून तुम्हाला आत्ताच मदतीची गरज असू शकते. कृपया संपर्क करा: ${helplines}, ` +
+      `किंवा आपत्कालीन सेवा (${emergency}).`,
+    disclaimer: 'ही तपासणी निदान नाही; निकालांबद्दल समुपदेशकाशी बोलणे उपयुक्त ठरेल.'
+  }
+};
+
+class ConversationalScreeningService {
+  /**
+   * @param {Object} options
+   * @param {ScreeningService} options.screening - Scores completed screenings
+   * @param {ScreeningIntegrationService} options.integration - Detects interest and words results
+   * @param {CrisisDetectionService} options.crisisDetection - Spots crisis messages among the answers
+   * @param {number} options.flowTtlMs - How long an untouched screening is kept
+   */
+  constructor(options = {}) {
+    this.integration = options.integration || new ScreeningIntegrationService();
+    this.screening = options.screening || this.integration.screeningService;
+    // Separate from the conversation's detector, which counts the message
+    // toward escalation once it reaches the conversation
+    this.crisisDetection = options.crisisDetection || new CrisisDetectionService();
+    this.flows = new Map(); // sessionId -> screening in progress
+
+    this.config = {
+      flowTtlMs: options.flowTtlMs || 24 * 60 * 60 * 1000,
+      // Unclear answers in a row before the message is handed back to the conversation
+      maxMisses: 2,
+      maxCommandWords: 4
+    };
+  }
+
+  /**
+   * Offer a screening when the student asks about one of the tools that can
+   * be administered in conversation
+   * @param {string} sessionId - Conversation session
+   * @param {string} message - Student's message
+   * @param {Object} options - { language, region }
+   * @returns {Object|null} { message, screening } or null when there is nothing to offer
+   */
+  offer(sessionId, message, options = {}) {
+    if (!sessionId || this.flows.has(sessionId) || !this.integration.detectScreeningInterest(message)) {
+      return null;
+    }
+
+    const language = this._language(options.language);
+    const toolName = this.integration.extractScreeningPreferences(message).preferredTools
+      .find(name => this.isAvailable(name, options.region));
+    if (!toolName) {
+      return null;
+    }
+
+    const flow = this._createFlow(sessionId, toolName, language, options.region, 'offered');
+    return {
+      message: this._messages(language).offer(this._tool(flow)),
+      screening: this._state(flow)
+    };
+  }
+
+  /**
+   * Start a screening straight away, e.g. from a button in the chat
+   * @param {string} sessionId - Conversation session
+   * @param {string} toolName - Tool to administer
+   * @param {Object} options - { language, region, history, identity } as for handleMessage()
+   * @returns {Object} Turn: { handled, message, isCrisis, screening }
+   */
+  start(sessionId, toolName, options = {}) {
+    if (!sessionId) {
+      throw this._validationError('A screening can only be started within a conversation; send its sessionId');
+    }
+    if (!this.isAvailable(toolName, options.region)) {
+      throw this._validationError(`${toolName} cannot be answered in conversation here`);
+    }
+
+    const flow = this._createFlow(sessionId, toolName, this._language(options.language), options.region, 'asking');
+    this._remember(flow, options);
+    return this._turn(flow, `${this._messages(flow.language).intro(this._tool(flow))}\n\n${this._questionText(flow)}`);
+  }
+
+  /**
+   * Handle a message of a conversation that may have a screening in progress
+   * @param {string} sessionId - Conversation session
+   * @param {string} message - Student's message or transcribed speech
+   * @param {Object} options
+   * @param {string} options.action - 'start', 'pause', 'resume' or 'cancel' sent by the client
+   * @param {string} options.toolName - Tool for the start action
+   * @param {string} options.language - Conversation language
+   * @param {Object} options.region - Caller's region, for campus tools and crisis resources
+   * @param {ScreeningHistoryService} options.history - Saves the completed screening
+   * @param {Object} options.identity - { userId } or { token } the history is kept under
+   * @returns {Promise<Object>} Turn: { handled, message, isCrisis, screening, notice }. When
+   *   handled is false the message belongs to the conversation; notice is then a line to
+   *   add to the assistant's reply, if any.
+   */
+  async handleMessage(sessionId, message, options = {}) {
+    await this._expireFlows();
+
+    if (options.action === 'start') {
+      return this.start(sessionId, options.toolName, options);
+    }
+
+    const flow = sessionId ? this.flows.get(sessionId) : null;
+    if (!flow) {
+      return { handled: false, screening: null };
+    }
+
+    flow.updatedAt = Date.now();
+    this._remember(flow, options);
+    const text = this._normalize(message);
+    const command = options.action || this._command(text, flow.language, ['cancel', 'pause', 'resume']);
+    const say = this._messages(flow.language);
+
+    if (command === 'cancel' && flow.status !== 'declined') {
+      this.flows.delete(sessionId);
+      return { handled: true, message: say.cancelled, isCrisis: false, screening: { ...this._state(flow), status: 'cancelled' } };
+    }
+
+    switch (flow.status) {
+      case 'offered':
+        if (this._command(text, flow.language, ['yes']) === 'yes') {
+          flow.status = 'asking';
+          return this._turn(flow, `${say.intro(this._tool(flow))}\n\n${this._questionText(flow)}`);
+        }
+        // Declined or ignored; no second offer in this conversation
+        flow.status = 'declined';
+        if (this._command(text, flow.language, ['no']) === 'no') {
+          return { handled: true, message: say.declined, isCrisis: false, screening: this._state(flow) };
+        }
+        return { handled: false, screening: null };
+
+      case 'paused':
+        if (command === 'resume') {
+          flow.status = 'asking';
+          return this._turn(flow, this._questionText(flow));
+        }
+        return { handled: false, screening: this._state(flow) };
+
+      case 'asking':
+      case 'confirming':
+        return this._answer(flow, message, text, command);
+
+      case 'consent':
+        return this._consent(flow, text, options);
+
+      default:
+        return { handled: false, screening: null };
+    }
+  }
+
+  /**
+   * Drop the screening of a conversation that has ended
+   * @param {string} sessionId - Conversation session
+   * @returns {boolean} Whether there was one
+   */
+  cancel(sessionId) {
+    return this.flows.delete(sessionId);
+  }
+
+  /**
+   * Whether a tool can be administered in conversation on the caller's campus
+   * @param {string} toolName - Tool name
+   * @param {Object} region - Caller's region
+   * @returns {boolean}
+   */
+  isAvailable(toolName, region = null) {
+    try {
+      const tool = this.screening.getTool(toolName, region);
+      // A gate question changes which items are asked, which a conversation does not follow
+      return Boolean(tool.conversational) && !tool.questions.some(question => question.gate);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Map a free-text or spoken answer to a response value. The longest phrase
+   * that appears in the answer decides; phrases of different options that are
+   * equally long make the answer unclear.
+   * @param {string} toolName - Tool being administered
+   * @param {string} answer - Student's answer
+   * @param {string} language - Conversation language
+   * @returns {Object|null} { value, option, exact } or null when unclear
+   */
+  mapAnswer(toolName, answer, language = 'en') {
+    const tool = this.screening.getTool(toolName);
+    const text = this._normalize(answer);
+    const localized = this._options(tool, language);
+    const phrases = tool.conversational.phrases;
+
+    const exactIndex = tool.responseOptions.findIndex((option, index) =>
+      text === this._normalize(option.text) || text === this._normalize(localized[index]));
+    if (exactIndex !== -1) {
+      return { value: tool.responseOptions[exactIndex].value, option: localized[exactIndex], exact: true };
+    }
+
+    let best = null;
+    tool.responseOptions.forEach((option, index) => {
+      const candidates = [
+        option.text,
+        localized[index],
+        ...((phrases[language] || [])[index] || []),
+        ...((phrases.en || [])[index] || [])
+      ];
+      candidates.map(phrase => this._normalize(phrase)).forEach(phrase => {
+        if (!this._contains(text, phrase)) {
+          return;
+        }
+        if (!best || phrase.length > best.length) {
+          best = { index, length: phrase.length, tied: false };
+        } else if (phrase.length === best.length && index !== best.index) {
+          best.tied = true;
+        }
+      });
+    });
+
+    if (!best || best.tied) {
+      return null;
+    }
+    return { value: tool.responseOptions[best.index].value, option: localized[best.index], exact: false };
+  }
+
+  /**
+   * An answer, or a yes/no to a read-back answer
+   * @private
+   */
+  async _answer(flow, message, text, command) {
+    const say = this._messages(flow.language);
+
+    if (command === 'pause') {
+      return this._pause(flow, true);
+    }
+    if (command === 'resume') {
+      return this._turn(flow, this._questionText(flow));
+    }
+
+    // Someone in crisis mid-screening needs the conversation, not the next question
+    if (this._isCrisis(flow, message)) {
+      return this._pause(flow, false);
+    }
+
+    if (flow.status === 'confirming') {
+      const reply = this._command(text, flow.language, ['yes', 'no']);
+      if (reply === 'yes') {
+        return this._accept(flow, flow.pending.value);
+      }
+      if (reply === 'no') {
+        flow.status = 'asking';
+        flow.pending = null;
+        return this._turn(flow, this._questionText(flow));
+      }
+    }
+
+    const mapped = this.mapAnswer(flow.toolName, message, flow.language);
+    if (!mapped) {
+      flow.misses++;
+      if (flow.misses >= this.config.maxMisses) {
+        return this._pause(flow, false);
+      }
+      return this._turn(flow, say.unclear(this._options(this._tool(flow), flow.language)));
+    }
+
+    if (mapped.exact) {
+      return this._accept(flow, mapped.value);
+    }
+
+    flow.status = 'confirming';
+    flow.pending = { value: mapped.value };
+    flow.misses = 0;
+    return this._turn(flow, say.confirm(mapped.option));
+  }
+
+  /**
+   * Record an answer and ask the next question, or score the screening
+   * @private
+   */
+  async _accept(flow, value) {
+    const tool = this._tool(flow);
+    const say = this._messages(flow.language);
+
+    flow.responses[tool.questions[flow.index].id] = value;
+    flow.index++;
+    flow.status = 'asking';
+    flow.pending = null;
+    flow.misses = 0;
+
+    if (flow.index < tool.questions.length) {
+      return this._turn(flow, `${say.accepted} ${this._questionText(flow)}`);
+    }
+
+    flow.result = this.screening.processScreening(flow.toolName, flow.responses, { region: flow.region });
+    const summary = this._resultText(flow);
+    const isCrisis = flow.result.requiresImmediateAttention;
+
+    if (!flow.history) {
+      flow.status = 'completed';
+      this.flows.delete(flow.sessionId);
+      return { ...this._turn(flow, summary), isCrisis };
+    }
+
+    flow.status = 'consent';
+    return { ...this._turn(flow, `${summary}\n\n${say.consent}`), isCrisis };
+  }
+
+  /**
+   * Save the completed screening with or without the student's consent
+   * @private
+   */
+  async _consent(flow, text, options) {
+    const say = this._messages(flow.language);
+    const reply = this._command(text, flow.language, ['yes', 'no']);
+    const consent = reply === 'yes';
+
+    const record = await this._record(flow, consent, options.identity || flow.identity || {});
+    this.flows.delete(flow.sessionId);
+
+    const screening = this._state(flow, { status: 'completed', record: record.record });
+    if (record.historyToken) {
+      screening.historyToken = record.historyToken;
+    }
+
+    if (!reply) {
+      // The student moved on; the message belongs to the conversation
+      return { handled: false, screening };
+    }
+    return {
+      handled: true,
+      message: consent && record.record.stored ? say.saved : say.notSaved,
+      isCrisis: false,
+      screening
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _record(flow, consent, identity) {
+    const history = flow.history;
+    let owner = history.ownerFor(identity);
+    let historyToken = null;
+    if (consent && !owner) {
+      historyToken = history.issueToken();
+      owner = history.ownerFor({ token: historyToken });
+    }
+
+    try {
+      const saved = await history.record(flow.result, { owner, consent, sessionId: flow.sessionId });
+      return { record: { ...saved, stored: true }, historyToken };
+    } catch (error) {
+      console.error('Failed to save conversational screening:', error.message);
+      return { record: { assessmentId: null, consent, change: null, stored: false }, historyToken: null };
+    }
+  }
+
+  /**
+   * Whether an answer shows any level of crisis. Only the verdict is used
+   * here; the session tracking it leaves behind is dropped straight away.
+   * @private
+   */
+  _isCrisis(flow, message) {
+    const analysis = this.crisisDetection.analyzeMessage(message, flow.sessionId, flow.region || {});
+    this.crisisDetection.clearSession(flow.sessionId);
+    return analysis.isCrisis;
+  }
+
+  /**
+   * Pause the screening. A pause the student asked for is acknowledged; one
+   * caused by a message that is not an answer hands that message back to the
+   * conversation with a note on how to resume.
+   * @private
+   */
+  _pause(flow, requested) {
+    const tool = this._tool(flow);
+    const say = this._messages(flow.language);
+    const notice = say.paused(flow.index + 1, tool.questions.length);
+
+    flow.status = 'paused';
+    flow.pending = null;
+    flow.misses = 0;
+
+    if (requested) {
+      return this._turn(flow, notice);
+    }
+    return { handled: false, screening: this._state(flow), notice };
+  }
+
+  /**
+   * @private
+   */
+  _createFlow(sessionId, toolName, language, region, status) {
+    const flow = {
+      sessionId,
+      toolName,
+      language,
+      region: region || null,
+      status,
+      index: 0,
+      responses: {},
+      pending: null,
+      misses: 0,
+      result: null,
+      history: null,
+      identity: null,
+      updatedAt: Date.now()
+    };
+    this.flows.set(sessionId, flow);
+    return flow;
+  }
+
+  /**
+   * Keep the history service and identity of the latest message for saving
+   * the result
+   * @private
+   */
+  _remember(flow, options) {
+    if (options.history) {
+      flow.history = options.history;
+    }
+    if (options.identity) {
+      flow.identity = options.identity;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _turn(flow, message) {
+    return { handled: true, message, isCrisis: false, screening: this._state(flow) };
+  }
+
+  /**
+   * What the client needs to show the screening's progress
+   * @private
+   */
+  _state(flow, overrides = {}) {
+    const tool = this._tool(flow);
+    const asking = ['asking', 'confirming', 'paused'].includes(flow.status);
+    const question = asking ? this._question(flow) : null;
+    const state = {
+      toolName: flow.toolName,
+      status: flow.status,
+      answered: Object.keys(flow.responses).length,
+      total: tool.questions.length,
+      question,
+      ...overrides
+    };
+
+    if (flow.result) {
+      const { score } = flow.result;
+      state.result = {
+        totalScore: score.totalScore,
+        maxScore: score.maxScore,
+        level: score.interpretation.level,
+        description: score.interpretation.description,
+        requiresImmediateAttention: flow.result.requiresImmediateAttention
+      };
+    }
+    return state;
+  }
+
+  /**
+   * @private
+   */
+  _question(flow) {
+    const questions = this.screening.getToolQuestions(flow.toolName, { language: flow.language });
+    const question = questions.questions[flow.index];
+    return {
+      id: question.id,
+      number: flow.index + 1,
+      total: questions.questions.length,
+      text: question.text,
+      options: questions.responseOptions.map(option => option.text)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _questionText(flow) {
+    const question = this._question(flow);
+    return this._messages(flow.language).question(question.number, question.total, question.text, question.options);
+  }
+
+  /**
+   * The result in the conversation's language
+   * @private
+   */
+  _resultText(flow) {
+    const result = flow.result;
+    if (flow.language !== 'mr') {
+      return this.integration.generateResultInterpretationMessage(result, flow.region || {});
+    }
+
+    const tool = this._tool(flow);
+    const say = this._messages('mr');
+    const levels = (tool.translations.mr && tool.translations.mr.levels) || {};
+    const level = levels[result.score.interpretation.level] || result.score.interpretation.description;
+    let message = say.result(tool.name, result.score, level);
+
+    if (result.crisisAlerts.length) {
+      const { emergencyServices, helplines } = this.screening.getCrisisResources(flow.region || {});
+      const listed = this.screening.resourceDirectory.formatResourceList(helplines.slice(0, 2));
+      message += `\n\n${say.crisis(listed, emergencyServices || '112')}`;
+    }
+    return `${message}\n\n${say.disclaimer}`;
+  }
+
+  /**
+   * Response option texts in the conversation's language
+   * @private
+   */
+  _options(tool, language) {
+    return this.screening.getToolQuestions(tool.name, { language }).responseOptions.map(option => option.text);
+  }
+
+  /**
+   * @private
+   */
+  _tool(flow) {
+    return this.screening.getTool(flow.toolName);
+  }
+
+  /**
+   * Which of the given commands a short reply is
+   * @private
+   */
+  _command(text, language, names) {
+    if (!text || text.split(' ').length > this.config.maxCommandWords) {
+      return null;
+    }
+
+    // English commands work in every conversation
+    const vocabularies = language === 'en' ? [COMMANDS.en] : [COMMANDS[language] || {}, COMMANDS.en];
+    for (const vocabulary of vocabularies) {
+      const name = names.find(candidate =>
+        (vocabulary[candidate] || []).some(phrase => this._contains(text, this._normalize(phrase))));
+      if (name) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a phrase appears in the text as whole words. Letters include
+   * Devanagari vowel signs, so "रोज" is not found in "दररोज".
+   * @private
+   */
+  _contains(text, phrase) {
+    if (!phrase) {
+      return false;
+    }
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?![\\p{L}\\p{M}\\p{N}])`, 'u').test(text);
+  }
+
+  /**
+   * @private
+   */
+  _normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[.,!?;:।"“”'’()]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * @private
+   */
+  _language(language) {
+    const code = String(language || 'en').toLowerCase().split(/[-_]/)[0];
+    return MESSAGES[code] ? code : 'en';
+  }
+
+  /**
+   * @private
+   */
+  _messages(language) {
+    return MESSAGES[language] || MESSAGES.en;
+  }
+
+  /**
+   * Forget screenings nobody has touched for a day. A completed screening
+   * still waiting for consent is saved without it.
+   * @private
+   */
+  async _expireFlows() {
+    const cutoff = Date.now() - this.config.flowTtlMs;
+    const expired = Array.from(this.flows.values()).filter(flow => flow.updatedAt < cutoff);
+
+    for (const flow of expired) {
+      this.flows.delete(flow.sessionId);
+      if (flow.status === 'consent') {
+        await this._record(flow, false, flow.identity || {});
+      }
+    }
+  }
+
+  /**
+   * Create an error the routes report as a bad request
+   * @private
+   */
+  _validationError(message) {
+    const error = new Error(message);
+    error.isValidationError = true;
+    return error;
+  }
+}
+
+module.exports = ConversationalScreeningService;
@@ -0,0 +1,442 @@
+const path = require('path');
+const JsonFileStore = require('./jsonFileStore');
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Counselor calendars for appointment booking.
+ *
+ * Holds counselor profiles (weekly working hours, time off, session types
+ * offered), campus holidays, and per-session-type duration, buffer and
+ * group capacity. Availability is computed per counselor from these and the
+ * bookings already held. The backing JSON file is re-read when it changes
+ * on disk, checked at most every `reloadIntervalMs`, so every service
+ * instance sees profile edits.
+ */
+class CounselorCalendarService {
+  constructor(options = {}) {
+    this.storePath = options.storePath ||
+      process.env.COUNSELOR_CALENDAR_FILE ||
+      path.join(__dirname, '..', 'data', 'counselors.json');
+
+    this.validSessionTypes = ['individual', 'group', 'crisis'];
+    this.defaultSessionSettings = {
+      individual: { durationMinutes: 50, bufferMinutes: 10, capacity: 1 },
+      group: { durationMinutes: 90, bufferMinutes: 15, capacity: 8 },
+      crisis: { durationMinutes: 30, bufferMinutes: 10, capacity: 1 }
+    };
+
+    // How often lookups check the store file for edits made by other instances
+    this.reloadIntervalMs = options.reloadIntervalMs !== undefined
+      ? options.reloadIntervalMs
+      : parseInt(process.env.COUNSELOR_CALENDAR_RELOAD_MS) || 5000;
+
+    this.calendar = { settings: {}, holidays: [], counselors: [] };
+    this.storeFile = new JsonFileStore({
+      filePath: this.storePath,
+      label: 'counselor calendar',
+      reloadIntervalMs: this.reloadIntervalMs
+    });
+    this._reloadIfChanged(true);
+  }
+
+  /**
+   * List counselor profiles
+   * @param {Object} filters - { sessionType, includeInactive }
+   * @returns {Array} Counselor profiles
+   */
+  listCounselors(filters = {}) {
+    this._reloadIfChanged();
+
+    return this.calendar.counselors.filter(counselor =>
+      (filters.includeInactive || counselor.active !== false) &&
+      (!filters.sessionType || counselor.sessionTypes.includes(filters.sessionType))
+    );
+  }
+
+  /**
+   * Get a counselor profile
+   * @param {string} id - Counselor id
+   * @returns {Object|null} Profile
+   */
+  getCounselor(id) {
+    this._reloadIfChanged();
+    return this.calendar.counselors.find(counselor => counselor.id === id) || null;
+  }
+
+  /**
+   * Get the counselor profile linked to a staff account
+   * @param {string} username - Staff username
+   * @returns {Object|null} Profile
+   */
+  getCounselorByUsername(username) {
+    this._reloadIfChanged();
+    return this.calendar.counselors.find(counselor => counselor.username && counselor.username === username) || null;
+  }
+
+  /**
+   * Create or replace a counselor profile
+   * @param {string} id - Counselor id
+   * @param {Object} data - Profile fields
+   * @returns {Promise<Object>} Saved profile
+   */
+  async saveCounselor(id, data) {
+    // Always check before an edit, so it builds on other instances' edits
+    this._reloadIfChanged(true);
+
+    const existing = this.calendar.counselors.findIndex(counselor => counselor.id === id);
+    const counselor = this._normalizeCounselor({ ...(existing === -1 ? {} : this.calendar.counselors[existing]), ...data, id });
+
+    if (existing === -1) {
+      this.calendar.counselors.push(counselor);
+    } else {
+      this.calendar.counselors[existing] = counselor;
+    }
+
+    await this._persist();
+    return counselor;
+  }
+
+  /**
+   * Get duration, buffer and capacity for a session type,
+   * applying the counselor's own overrides
+   * @param {string} sessionType - individual, group or crisis
+   * @param {string} counselorId - Optional counselor id
+   * @returns {Object} { durationMinutes, bufferMinutes, capacity }
+   */
+  getSessionSettings(sessionType, counselorId = null) {
+    this._reloadIfChanged();
+
+    const configured = (this.calendar.settings.sessionTypes || {})[sessionType] || {};
+    const counselor = counselorId ? this.getCounselor(counselorId) : null;
+    const override = (counselor && counselor.sessionSettings && counselor.sessionSettings[sessionType]) || {};
+
+    return {
+      ...(this.defaultSessionSettings[sessionType] || this.defaultSessionSettings.individual),
+      ...configured,
+      ...override
+    };
+  }
+
+  /**
+   * Get the holiday falling on a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Object|null} Holiday { date, name }
+   */
+  getHoliday(date) {
+    this._reloadIfChanged();
+
+    // Holidays given as MM-DD recur every year
+    return this.calendar.holidays.find(holiday => holiday.date === date || holiday.date === date.slice(5)) || null;
+  }
+
+  /**
+   * Throw unless the counselor works the booking's whole session
+   * @param {Object} booking - { preferredDate, preferredTime, sessionType, assignedCounselor }
+   */
+  checkSchedule(booking) {
+    const { preferredDate: date, preferredTime: time, sessionType } = booking;
+
+    if (!DATE_PATTERN.test(date || '') || !TIME_PATTERN.test(time || '')) {
+      throw this._validationError('Dates must be YYYY-MM-DD and times HH:MM');
+    }
+
+    const counselor = this.getCounselor(booking.assignedCounselor);
+    if (!counselor || counselor.active === false) {
+      throw this._validationError(`Unknown counselor: ${booking.assignedCounselor}`);
+    }
+    if (!counselor.sessionTypes.includes(sessionType)) {
+      throw this._validationError(`${counselor.name} does not offer ${sessionType} sessions`);
+    }
+
+    const holiday = this.getHoliday(date);
+    if (holiday) {
+      throw this._validationError(`Counseling is closed on ${date} (${holiday.name})`);
+    }
+
+    const { durationMinutes } = this.getSessionSettings(sessionType, counselor.id);
+    const start = this._toMinutes(time);
+    const fits = this._getWorkingWindows(counselor, date)
+      .some(window => start >= window.start && start + durationMinutes <= window.end);
+
+    if (!fits) {
+      throw this._validationError(`${counselor.name} is not available for a ${durationMinutes}-minute session at ${time} on ${date}`);
+    }
+  }
+
+  /**
+   * Find a booking that the given booking would clash with. Sessions clash
+   * when they overlap including buffers; group sessions starting together
+   * share the slot until it is full.
+   * @param {Object} booking - Booking being placed
+   * @param {Array} others - The counselor's other active bookings that day
+   * @returns {Object|null} Conflicting booking
+   */
+  findConflict(booking, others) {
+    const interval = this._interval(booking);
+    const groupPeers = [];
+
+    for (const other of others) {
+      if (other.id === booking.id) {
+        continue;
+      }
+
+      if (this._sharesGroupSlot(booking, other)) {
+        groupPeers.push(other);
+        continue;
+      }
+
+      const otherInterval = this._interval(other);
+      if (interval.start < otherInterval.end + otherInterval.buffer &&
+          otherInterval.start < interval.end + interval.buffer) {
+        return other;
+      }
+    }
+
+    const { capacity } = this.getSessionSettings(booking.sessionType, booking.assignedCounselor);
+    return groupPeers.length >= capacity ? groupPeers[0] : null;
+  }
+
+  /**
+   * Get a counselor's open slots on a date
+   * @param {string} counselorId - Counselor id
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} sessionType - Session type
+   * @param {Array} bookings - Active bookings on that date
+   * @returns {Array} Slots [{ time, seatsLeft }]
+   */
+  getCounselorSlots(counselorId, date, sessionType, bookings = []) {
+    const counselor = this.getCounselor(counselorId);
+    if (!counselor || counselor.active === false || !counselor.sessionTypes.includes(sessionType) || this.getHoliday(date)) {
+      return [];
+    }
+
+    const { capacity } = this.getSessionSettings(sessionType, counselor.id);
+    const own = bookings.filter(booking => booking.assignedCounselor === counselor.id && booking.status !== 'cancelled');
+
+    return this._getStartTimes(counselor, date, sessionType)
+      .map(time => {
+        const candidate = { preferredDate: date, preferredTime: time, sessionType, assignedCounselor: counselor.id };
+        if (this.findConflict(candidate, own)) {
+          return null;
+        }
+
+        const slot = { time };
+        if (capacity > 1) {
+          slot.seatsLeft = capacity - own.filter(other => this._sharesGroupSlot(candidate, other)).length;
+        }
+        return slot;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Get availability on a date across counselors
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} sessionType - Session type
+   * @param {Array} bookings - Active bookings on that date
+   * @param {string} counselorId - Limit to one counselor
+   * @returns {Object} { closed, slots, unavailableSlots, totalSlots, availableCount, counselors }
+   */
+  getDayAvailability(date, sessionType = 'individual', bookings = [], counselorId = null) {
+    const holiday = this.getHoliday(date);
+    const counselors = this.listCounselors({ sessionType })
+      .filter(counselor => !counselorId || counselor.id === counselorId);
+
+    const scheduled = new Set();
+    const open = new Set();
+
+    const byCounselor = counselors.map(counselor => {
+      if (!holiday) {
+        this._getStartTimes(counselor, date, sessionType).forEach(time => scheduled.add(time));
+      }
+
+      const slots = this.getCounselorSlots(counselor.id, date, sessionType, bookings);
+      slots.forEach(slot => open.add(slot.time));
+
+      return { id: counselor.id, name: counselor.name, languages: counselor.languages, slots };
+    });
+
+    const slots = [...open].sort();
+    return {
+      closed: holiday ? holiday.name : null,
+      sessionType,
+      durationMinutes: this.getSessionSettings(sessionType, counselorId).durationMinutes,
+      slots,
+      unavailableSlots: [...scheduled].filter(time => !open.has(time)).sort(),
+      totalSlots: scheduled.size,
+      availableCount: slots.length,
+      counselors: byCounselor
+    };
+  }
+
+  /**
+   * Get the start times a counselor offers for a session type on a date
+   * @private
+   */
+  _getStartTimes(counselor, date, sessionType) {
+    const { durationMinutes } = this.getSessionSettings(sessionType, counselor.id);
+    const step = this.calendar.settings.slotIntervalMinutes || 30;
+    const times = [];
+
+    this._getWorkingWindows(counselor, date).forEach(window => {
+      for (let start = window.start; start + durationMinutes <= window.end; start += step) {
+        times.push(this._toTime(start));
+      }
+    });
+
+    return times;
+  }
+
+  /**
+   * Get a counselor's working windows on a date, in minutes, with time off removed
+   * @private
+   */
+  _getWorkingWindows(counselor, date) {
+    const day = DAY_KEYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    let windows = ((counselor.weeklyHours || {})[day] || [])
+      .map(window => ({ start: this._toMinutes(window.start), end: this._toMinutes(window.end) }));
+
+    (counselor.timeOff || [])
+      .filter(off => date >= off.from && date <= (off.to || off.from))
+      .forEach(off => {
+        // Time off without hours covers the whole day
+        const offStart = off.start ? this._toMinutes(off.start) : 0;
+        const offEnd = off.end ? this._toMinutes(off.end) : 24 * 60;
+
+        windows = windows.flatMap(window => [
+          { start: window.start, end: Math.min(window.end, offStart) },
+          { start: Math.max(window.start, offEnd), end: window.end }
+        ]).filter(window => window.end > window.start);
+      });
+
+    return windows;
+  }
+
+  /**
+   * Get a booking's time span and trailing buffer in minutes
+   * @private
+   */
+  _interval(booking) {
+    const settings = this.getSessionSettings(booking.sessionType, booking.assignedCounselor);
+    const start = this._toMinutes(booking.preferredTime);
+
+    return {
+      start,
+      end: start + (booking.durationMinutes || settings.durationMinutes),
+      buffer: settings.bufferMinutes
+    };
+  }
+
+  /**
+   * Check whether two bookings are seats in the same group session
+   * @private
+   */
+  _sharesGroupSlot(a, b) {
+    return a.sessionType === 'group' && b.sessionType === 'group' && a.preferredTime === b.preferredTime;
+  }
+
+  /**
+   * Validate and normalize a counselor profile before storing it
+   * @private
+   */
+  _normalizeCounselor(data) {
+    if (!data.name || typeof data.name !== 'string') {
+      throw this._validationError('Counselor name is required');
+    }
+
+    const sessionTypes = Array.isArray(data.sessionTypes) ? data.sessionTypes : ['individual'];
+    const unknown = sessionTypes.filter(type => !this.validSessionTypes.includes(type));
+    if (unknown.length > 0) {
+      throw this._validationError(`Session types must be among: ${this.validSessionTypes.join(', ')}`);
+    }
+
+    const weeklyHours = {};
+    Object.entries(data.weeklyHours || {}).forEach(([day, windows]) => {
+      if (!DAY_KEYS.includes(day)) {
+        throw this._validationError(`Working hours days must be among: ${DAY_KEYS.join(', ')}`);
+      }
+      weeklyHours[day] = (windows || []).map(window => {
+        if (!TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '') || window.end <= window.start) {
+          throw this._validationError(`Invalid working hours on ${day}`);
+        }
+        return { start: window.start, end: window.end };
+      });
+    });
+
+    const timeOff = (data.timeOff || []).map(off => {
+      if (!DATE_PATTERN.test(off.from || '') || (off.to && !DATE_PATTERN.test(off.to))) {
+        throw this._validationError('Time off needs a from date (YYYY-MM-DD)');
+      }
+      return { ...off };
+    });
+
+    return {
+      id: String(data.id),
+      username: data.username || null,
+      name: data.name.trim(),
+      languages: Array.isArray(data.languages) ? data.languages : ['en'],
+      sessionTypes,
+      weeklyHours,
+      sessionSettings: data.sessionSettings || undefined,
+      timeOff,
+      active: data.active !== false
+    };
+  }
+
+  /**
+   * Create an error the routes report as a bad request
+   * @param {string} message - Error message
+   * @returns {Error} Error flagged as a validation failure
+   * @private
+   */
+  _validationError(message) {
+    const error = new Error(message);
+    error.isValidationError = true;
+    return error;
+  }
+
+  /**
+   * Convert HH:MM to minutes after midnight
+   * @private
+   */
+  _toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Convert minutes after midnight to HH:MM
+   * @private
+   */
+  _toTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Load the store if the file changed since the last read
+   * @param {boolean} force - Check regardless of the reload interval
+   * @private
+   */
+  _reloadIfChanged(force = false) {
+    const calendar = this.storeFile.readIfChanged(force);
+    if (calendar !== undefined) {
+      this.calendar = {
+        settings: calendar.settings || {},
+        holidays: calendar.holidays || [],
+        counselors: calendar.counselors || []
+      };
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _persist() {
+    await this.storeFile.write(this.calendar);
+  }
+}
+
+module.exports = CounselorCalendarService;
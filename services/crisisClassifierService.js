@@ -0,0 +1,498 @@
+class CrisisClassifierService {
+  constructor(options = {}) {
+    // Base weight of each severity category
+    this.severityWeights = {
+      immediate: 1.0,
+      selfHarm: 0.85,
+      high: 0.7,
+      moderate: 0.5
+    };
+
+    // Priority order used to pick the reported severity
+    this.severityOrder = ['immediate', 'selfHarm', 'high', 'moderate'];
+
+    // Multipliers applied to an evidence span's weight by context modifiers
+    this.modifierWeights = {
+      ambiguous: 0.6,
+      thirdPerson: 0.5,
+      pastTense: 0.5,
+      negated: 0.1
+    };
+
+    // Minimum confidence for a message to be treated as a crisis
+    this.confidenceThreshold = options.confidenceThreshold || 0.25;
+
+    // Number of tokens allowed between a negation cue and its phrase, and
+    // inspected before a phrase for subject cues
+    this.negationWindow = options.negationWindow || 3;
+    this.subjectWindow = options.subjectWindow || 6;
+
+    // Terms that are dangerous in crisis talk but common in everyday speech
+    this.ambiguousTerms = [
+      'pills', 'rope', 'gun', 'bridge', 'cliff', 'poison', 'blade', 'razor',
+      'cutting', 'hanging', 'jump off', 'overdose', 'scratching', 'picking',
+      'not eating', 'throwing up'
+    ];
+
+    // Contexts in which an ambiguous term is harmless
+    this.benignContexts = {
+      rope: [/\bclimbing\b/, /\bjump(ing)? rope/, /\bskipping\b/, /\brope (course|swing|bridge)/, /\btow(ing)?\b/],
+      bridge: [/\bbridge (course|program|programme|class|classes|semester|exam)/, /\bplay(ing)? bridge\b/, /\bbridge club\b/, /\bcross(ed|ing)? the bridge\b/],
+      cutting: [/\bcutting (class|classes|lectures?|school|hair|paper|vegetables|costs?|corners|it close|edge)/, /\bcutting[- ]edge\b/, /\bcutting board\b/],
+      gun: [/\b(glue|nail|water|nerf|toy|heat) gun/, /\bgun(ning)? for\b/],
+      pills: [/\b(vitamin|allergy|birth control|iron|sleeping) pills\b/, /\bprescribed\b/],
+      poison: [/\bfood poison/],
+      blade: [/\bblades? of grass\b/, /\bshoulder blade/, /\bwind turbine\b/],
+      razor: [/\bshav(e|ing)\b/],
+      hanging: [/\bhanging (out|around|up|in there|on)\b/, /\bhanging with\b/],
+      cliff: [/\bcliff (notes|hanger)\b/],
+      'jump off': [/\bjump off (the )?(diving board|stage|bed|couch)\b/],
+      overdose: [/\b(caffeine|coffee|sugar)\b/],
+      scratching: [/\bscratching (my head|the surface|an itch)\b/, /\bmosquito|\bitch/],
+      picking: [/\bpicking (up|out|a|an|the|classes|courses|subjects)\b/],
+      'not eating': [/\bnot eating (meat|out|junk|sugar)\b/, /\bfasting\b/],
+      'throwing up': [/\b(sick|flu|fever|food poison|motion sickness|stomach bug)/]
+    };
+
+    // Cues that negate a phrase they govern
+    this.negationCues = [
+      'not', 'never', 'no', "don't", 'dont', 'do not', "doesn't", "isn't",
+      "wasn't", "won't", "wouldn't", 'without', "i'm not", 'am not', 'no longer',
+      'not really'
+    ];
+
+    // Words that may sit between a negation cue and the phrase it governs
+    // ("don't want to die", "no thoughts of suicide")
+    this.negationBridges = new Set([
+      'to', 'want', 'wanna', 'going', 'gonna', 'planning', 'trying', 'ever',
+      'really', 'thinking', 'about', 'of', 'thoughts', 'plans', 'urge', 'be'
+    ]);
+
+    // Words just before a negation cue that turn it back into an affirmation
+    // ("no reason not to", "why not")
+    this.negationFlips = new Set(['no', 'not', 'never', 'nothing', 'why']);
+
+    // Subject references that point away from the speaker
+    this.thirdPersonCues = [
+      'he', 'she', 'they', "he's", "she's", "they're", 'his', 'her', 'their',
+      'friend', 'friends', 'roommate', 'classmate', 'brother', 'sister',
+      'mother', 'mom', 'father', 'dad', 'cousin', 'someone', 'somebody',
+      'partner', 'boyfriend', 'girlfriend', 'character', 'movie', 'book', 'song'
+    ];
+
+    this.firstPersonCues = ['i', "i'm", 'im', "i've", "i'll", "i'd", 'me', 'my', 'myself'];
+
+    // Cues that a phrase describes something in the past
+    this.pastTenseCues = [
+      /\bused to\b/g, /\bwhen i was\b/g, /\byears? ago\b/g, /\bmonths? ago\b/g,
+      /\bin the past\b/g, /\blast year\b/g, /\bin high school\b/g,
+      /\bas a (kid|child|teen|teenager)\b/g, /\bpreviously\b/g
+    ];
+
+    // Words between a past cue and the span that hand the span to another verb
+    // ("I failed last year and I want to kill myself")
+    this.pastScopeBreakers = new Set(['and', 'or', 'now', 'then', 'until', 'once']);
+
+    // Cues that a past behaviour is happening again now
+    this.recurrenceCues = [/\bagain\b/, /\bstill\b/, /\bright now\b/, /\blately\b/, /\brecently\b/, /\btonight\b/, /\btoday\b/];
+
+    // Words that end a clause for negation and subject scoping
+    this.clauseBreakers = new Set(['but', 'although', 'though', 'however', 'because', 'so']);
+  }
+
+  /**
+   * Classify a message against the crisis lexicon
+   * @param {string} message - User's message
+   * @param {Object} keywordSets - Crisis keywords organized by severity
+   * @returns {Object} Classification with severity, confidence and evidence spans
+   */
+  classify(message, keywordSets) {
+    const empty = { severity: 'none', confidence: 0, keywords: [], evidence: [], suppressed: [] };
+
+    if (!message || typeof message !== 'string' || !message.trim()) {
+      return empty;
+    }
+
+    const text = this._normalize(message);
+    const candidates = this._findCandidates(text, keywordSets);
+
+    const evidence = [];
+    const suppressed = [];
+
+    for (const candidate of candidates) {
+      const clause = this._getClause(text, candidate.start, candidate.end);
+      const modifiers = this._getModifiers(text, candidate, clause);
+
+      if (modifiers.benign) {
+        suppressed.push({ ...candidate, modifiers, weight: 0 });
+        continue;
+      }
+
+      let weight = this.severityWeights[candidate.category];
+      let effectiveSeverity = candidate.category;
+
+      if (modifiers.ambiguous) weight *= this.modifierWeights.ambiguous;
+
+      // A denial on its own stays below the threshold, but it is kept as weak
+      // evidence in case the negation was misread
+      if (modifiers.negated) {
+        weight *= this.modifierWeights.negated;
+        effectiveSeverity = 'moderate';
+      }
+
+      // Another person's crisis or a past behaviour still warrants support,
+      // but not an emergency response aimed at the speaker
+      if (modifiers.thirdPerson) {
+        weight *= this.modifierWeights.thirdPerson;
+        effectiveSeverity = 'moderate';
+      }
+      if (modifiers.pastTense) {
+        weight *= this.modifierWeights.pastTense;
+        effectiveSeverity = 'moderate';
+      }
+
+      evidence.push({
+        ...candidate,
+        text: message.substring(candidate.start, candidate.end),
+        severity: effectiveSeverity,
+        weight: Math.round(weight * 1000) / 1000,
+        modifiers
+      });
+    }
+
+    if (evidence.length === 0) {
+      return { ...empty, suppressed };
+    }
+
+    const severity = this.severityOrder.find(level =>
+      evidence.some(span => span.severity === level)
+    );
+
+    // Combine independent evidence: 1 - Π(1 - w)
+    const confidence = 1 - evidence.reduce((remaining, span) => remaining * (1 - span.weight), 1);
+
+    if (confidence < this.confidenceThreshold) {
+      return { ...empty, confidence, suppressed: [...suppressed, ...evidence] };
+    }
+
+    // Keywords are reported in severity priority order, like the legacy matcher
+    const keywords = [];
+    for (const level of this.severityOrder) {
+      evidence
+        .filter(span => span.category === level)
+        .forEach(span => {
+          if (!keywords.includes(span.keyword)) keywords.push(span.keyword);
+        });
+    }
+
+    return {
+      severity,
+      confidence: Math.round(confidence * 1000) / 1000,
+      keywords,
+      evidence,
+      suppressed
+    };
+  }
+
+  /**
+   * Evaluate the classifier against a labelled corpus
+   * @param {Array} corpus - Items of shape { text, label } where label is a severity or 'none'
+   * @param {Object} keywordSets - Crisis keywords organized by severity
+   * @returns {Object} Per-label and binary precision/recall report
+   */
+  evaluate(corpus, keywordSets) {
+    const labels = ['none', ...this.severityOrder];
+    const counts = {};
+    labels.forEach(label => {
+      counts[label] = { truePositive: 0, falsePositive: 0, falseNegative: 0 };
+    });
+
+    const binary = { truePositive: 0, falsePositive: 0, falseNegative: 0, trueNegative: 0 };
+    const errors = [];
+
+    for (const item of corpus) {
+      const predicted = this.classify(item.text, keywordSets).severity;
+      const expected = item.label;
+
+      if (predicted === expected) {
+        counts[expected].truePositive++;
+      } else {
+        counts[predicted].falsePositive++;
+        counts[expected].falseNegative++;
+        errors.push({ text: item.text, expected, predicted });
+      }
+
+      const isCrisis = predicted !== 'none';
+      const shouldBeCrisis = expected !== 'none';
+      if (isCrisis && shouldBeCrisis) binary.truePositive++;
+      else if (isCrisis) binary.falsePositive++;
+      else if (shouldBeCrisis) binary.falseNegative++;
+      else binary.trueNegative++;
+    }
+
+    const perLabel = {};
+    labels.forEach(label => {
+      perLabel[label] = {
+        ...this._precisionRecall(counts[label]),
+        support: counts[label].truePositive + counts[label].falseNegative
+      };
+    });
+
+    return {
+      total: corpus.length,
+      accuracy: corpus.length ? (corpus.length - errors.length) / corpus.length : 0,
+      crisis: this._precisionRecall(binary),
+      perLabel,
+      errors
+    };
+  }
+
+  /**
+   * Format an evaluation report for console output
+   * @param {Object} report - Result of evaluate()
+   * @returns {string} Human readable report
+   */
+  formatReport(report) {
+    const pct = value => `${(value * 100).toFixed(1)}%`;
+    const lines = [
+      `Crisis classifier evaluation (${report.total} messages)`,
+      `  accuracy: ${pct(report.accuracy)}`,
+      `  crisis vs none: precision ${pct(report.crisis.precision)}, recall ${pct(report.crisis.recall)}, f1 ${pct(report.crisis.f1)}`
+    ];
+
+    Object.entries(report.perLabel).forEach(([label, stats]) => {
+      lines.push(`  ${label.padEnd(9)} precision ${pct(stats.precision)}, recall ${pct(stats.recall)} (n=${stats.support})`);
+    });
+
+    if (report.errors.length > 0) {
+      lines.push('  misclassified:');
+      report.errors.forEach(error => {
+        lines.push(`    [${error.expected} -> ${error.predicted}] ${error.text}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Find every keyword occurrence with its character span
+   * @param {string} text - Normalized message
+   * @param {Object} keywordSets - Crisis keywords organized by severity
+   * @returns {Array} Candidate spans, overlapping shorter matches removed
+   * @private
+   */
+  _findCandidates(text, keywordSets) {
+    const candidates = [];
+
+    for (const category of this.severityOrder) {
+      for (const keyword of keywordSets[category] || []) {
+        // Each word may carry a simple inflection ("wants to die", "self harming")
+        const words = keyword.toLowerCase().split(/\s+/).map(word => `${this._escape(word)}(?:s|es|ed|d|ing)?`);
+        const pattern = new RegExp(`\\b${words.join('\\s+')}\\b`, 'g');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+          candidates.push({
+            keyword,
+            category,
+            start: match.index,
+            end: match.index + match[0].length
+          });
+        }
+      }
+    }
+
+    // Drop spans fully covered by a longer span ('cutting' inside 'cutting myself')
+    return candidates.filter(candidate => !candidates.some(other =>
+      other !== candidate &&
+      other.start <= candidate.start &&
+      other.end >= candidate.end &&
+      (other.end - other.start) > (candidate.end - candidate.start)
+    ));
+  }
+
+  /**
+   * Determine the context modifiers for a candidate span
+   * @param {string} text - Normalized message
+   * @param {Object} candidate - Candidate span
+   * @param {Object} clause - Clause boundaries around the span
+   * @returns {Object} Modifier flags
+   * @private
+   */
+  _getModifiers(text, candidate, clause) {
+    const before = text.substring(clause.start, candidate.start);
+    const clauseText = text.substring(clause.start, clause.end);
+    const tokensBefore = this._tokenize(before);
+
+    const keyword = candidate.keyword.toLowerCase();
+    const ambiguous = this.ambiguousTerms.includes(keyword);
+    const benign = ambiguous && (this.benignContexts[keyword] || []).some(pattern => pattern.test(clauseText));
+
+    return {
+      negated: this._isNegated(tokensBefore),
+      thirdPerson: !/\bmyself\b/.test(keyword) && this._isThirdPerson(tokensBefore),
+      pastTense: this._isPastTense(text, candidate, clause) &&
+        !this.recurrenceCues.some(pattern => pattern.test(clauseText)),
+      ambiguous,
+      benign
+    };
+  }
+
+  /**
+   * Check whether a past-tense cue belongs to the span's own verb phrase
+   * ("used to cut myself", "cut myself years ago") rather than to another
+   * verb sharing the clause
+   * @param {string} text - Normalized message
+   * @param {Object} candidate - Candidate span
+   * @param {Object} clause - Clause boundaries around the span
+   * @returns {boolean} True if the span describes something in the past
+   * @private
+   */
+  _isPastTense(text, candidate, clause) {
+    const before = text.substring(clause.start, candidate.start);
+    const after = text.substring(candidate.end, clause.end);
+
+    return this.pastTenseCues.some(pattern => {
+      // A cue before the span reaches it unless another verb phrase starts in between
+      const leading = [...before.matchAll(pattern)].some(match =>
+        !this._tokenize(before.substring(match.index + match[0].length))
+          .some(token => this.pastScopeBreakers.has(token))
+      );
+
+      // A cue after the span must come before any new subject
+      const trailing = [...after.matchAll(pattern)].some(match =>
+        !this._tokenize(after.substring(0, match.index))
+          .some(token => this.pastScopeBreakers.has(token) || this.firstPersonCues.includes(token))
+      );
+
+      return leading || trailing;
+    });
+  }
+
+  /**
+   * Check whether a negation cue governs the span: only bridge words such as
+   * "want to" may separate them, and a second negation before the cue
+   * ("no reason not to") cancels it
+   * @param {Array} tokensBefore - Tokens preceding the span in its clause
+   * @returns {boolean} True if the span is negated
+   * @private
+   */
+  _isNegated(tokensBefore) {
+    let end = tokensBefore.length;
+    while (end > 0 && tokensBefore.length - end < this.negationWindow && this.negationBridges.has(tokensBefore[end - 1])) {
+      end--;
+    }
+
+    const head = tokensBefore.slice(0, end);
+    const cueLength = this.negationCues
+      .map(cue => cue.split(' '))
+      .filter(words => words.join(' ') === head.slice(-words.length).join(' '))
+      .reduce((longest, words) => Math.max(longest, words.length), 0);
+    if (cueLength === 0) {
+      return false;
+    }
+
+    return !head.slice(0, -cueLength).slice(-2).some(token => this.negationFlips.has(token));
+  }
+
+  /**
+   * Check whether the nearest subject before the span is someone else
+   * @param {Array} tokensBefore - Tokens preceding the span in its clause
+   * @returns {boolean} True if the span refers to a third person
+   * @private
+   */
+  _isThirdPerson(tokensBefore) {
+    const window = tokensBefore.slice(-this.subjectWindow);
+
+    for (let i = window.length - 1; i >= 0; i--) {
+      if (this.firstPersonCues.includes(window[i])) {
+        // "my friend" points at the friend, not the speaker
+        if (window[i] === 'my' && i + 1 < window.length && this.thirdPersonCues.includes(window[i + 1])) {
+          return true;
+        }
+        return false;
+      }
+      if (this.thirdPersonCues.includes(window[i])) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Find the clause containing a span
+   * @param {string} text - Normalized message
+   * @param {number} start - Span start offset
+   * @param {number} end - Span end offset
+   * @returns {Object} Clause start and end offsets
+   * @private
+   */
+  _getClause(text, start, end) {
+    const boundary = /[.!?;,\n]/;
+    let clauseStart = start;
+    while (clauseStart > 0 && !boundary.test(text[clauseStart - 1])) clauseStart--;
+
+    let clauseEnd = end;
+    while (clauseEnd < text.length && !boundary.test(text[clauseEnd])) clauseEnd++;
+
+    // Conjunctions such as "but" also start a new clause
+    const breakerSource = `\\b(${[...this.clauseBreakers].join('|')})\\b`;
+    const breaksBefore = [...text.substring(clauseStart, start).matchAll(new RegExp(breakerSource, 'g'))];
+    if (breaksBefore.length > 0) {
+      const last = breaksBefore[breaksBefore.length - 1];
+      clauseStart += last.index + last[0].length;
+    }
+
+    const breakAfter = text.substring(end, clauseEnd).search(new RegExp(breakerSource));
+    if (breakAfter !== -1) clauseEnd = end + breakAfter;
+
+    return { start: clauseStart, end: clauseEnd };
+  }
+
+  /**
+   * Lower-case a message and unify apostrophes without changing its length
+   * @param {string} message - Raw message
+   * @returns {string} Normalized message
+   * @private
+   */
+  _normalize(message) {
+    return message.toLowerCase().replace(/[‘’`]/g, "'");
+  }
+
+  /**
+   * Split text into word tokens
+   * @param {string} text - Text to tokenize
+   * @returns {Array} Tokens
+   * @private
+   */
+  _tokenize(text) {
+    return text.split(/[^a-z']+/).filter(Boolean);
+  }
+
+  /**
+   * Compute precision, recall and F1 from confusion counts
+   * @param {Object} counts - truePositive, falsePositive and falseNegative counts
+   * @returns {Object} Precision, recall and F1
+   * @private
+   */
+  _precisionRecall(counts) {
+    const predicted = counts.truePositive + counts.falsePositive;
+    const actual = counts.truePositive + counts.falseNegative;
+    const precision = predicted ? counts.truePositive / predicted : 1;
+    const recall = actual ? counts.truePositive / actual : 1;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    return { precision, recall, f1 };
+  }
+
+  /**
+   * Escape a string for use in a regular expression
+   * @param {string} value - Raw string
+   * @returns {string} Escaped string
+   * @private
+   */
+  _escape(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = CrisisClassifierService;
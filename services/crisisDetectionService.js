@@ -1,7 +1,9 @@
 const EventEmitter = require('events');
+const CrisisClassifierService = require('./crisisClassifierService');
+const ResourceDirectoryService = require('./resourceDirectoryService');
 
 class CrisisDetectionService extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
     // Crisis keywords organized by severity levels
@@ -39,103 +41,45 @@ class CrisisDetectionService extends EventEmitter {
       ]
     };
     
-    // Crisis response templates by severity
+    // Crisis response templates by severity; {resources} is filled from the
+    // resource directory for the caller's region and language
     this.crisisResponses = {
       immediate: [
-        "I'm very concerned about what you're sharing. Your safety is the most important thing right now. Please reach out for immediate help:\n\n🚨 **Emergency Services: 911**\n📞 **National Suicide Prevention Lifeline: 988**\n💬 **Crisis Text Line: Text HOME to 741741**\n\nYou don't have to go through this alone. There are people who want to help you.",
+        "I'm very concerned about what you're sharing. Your safety is the most important thing right now. Please reach out for immediate help:\n\n{resources}\n\nYou don't have to go through this alone. There are people who want to help you.",
         
-        "What you're feeling right now is temporary, even though it doesn't feel that way. Please reach out for immediate support:\n\n🚨 **If you're in immediate danger: Call 911**\n📞 **Suicide & Crisis Lifeline: 988 (24/7)**\n💬 **Text HOME to 741741 for crisis support**\n\nYour life has value, and there are people trained to help you through this crisis.",
+        "What you're feeling right now is temporary, even though it doesn't feel that way. Please reach out for immediate support:\n\n{resources}\n\nYour life has value, and there are people trained to help you through this crisis.",
         
-        "I hear that you're in tremendous pain right now. Please don't face this alone - reach out for immediate help:\n\n🚨 **Emergency: 911**\n📞 **National Suicide Prevention Lifeline: 988**\n💬 **Crisis Text Line: Text HOME to 741741**\n\nThese feelings can change with proper support. Please reach out now."
+        "I hear that you're in tremendous pain right now. Please don't face this alone - reach out for immediate help:\n\n{resources}\n\nThese feelings can change with proper support. Please reach out now."
       ],
       
       high: [
-        "I'm concerned about how you're feeling. These thoughts and feelings are signs that you need support right now. Please consider reaching out:\n\n📞 **National Suicide Prevention Lifeline: 988**\n💬 **Crisis Text Line: Text HOME to 741741**\n🏥 **Campus Counseling Center: [Contact Info]**\n\nYou're not alone in this, and these feelings can improve with help.",
+        "I'm concerned about how you're feeling. These thoughts and feelings are signs that you need support right now. Please consider reaching out:\n\n{resources}\n\nYou're not alone in this, and these feelings can improve with help.",
         
-        "Thank you for sharing something so difficult with me. What you're experiencing sounds overwhelming, but there is help available:\n\n📞 **Suicide & Crisis Lifeline: 988 (24/7)**\n💬 **Text HOME to 741741**\n👥 **NAMI Helpline: 1-800-950-6264**\n\nPlease reach out to one of these resources. You deserve support.",
+        "Thank you for sharing something so difficult with me. What you're experiencing sounds overwhelming, but there is help available:\n\n{resources}\n\nPlease reach out to one of these resources. You deserve support.",
         
-        "I hear how much pain you're in right now. These feelings are a signal that you need additional support:\n\n📞 **Crisis Support: 988**\n💬 **Text Crisis Line: 741741**\n🏥 **Local Emergency Room**\n\nPlease don't wait - reach out for help today."
+        "I hear how much pain you're in right now. These feelings are a signal that you need additional support:\n\n{resources}\n🏥 **Local Emergency Room**\n\nPlease don't wait - reach out for help today."
       ],
       
       moderate: [
-        "It sounds like you're going through a really difficult time. I want you to know that what you're feeling is valid, and there are people who can help:\n\n📞 **SAMHSA Helpline: 1-800-662-4357**\n💬 **Crisis Text Line: Text HOME to 741741**\n🏥 **Campus Counseling Services**\n\nWould you like to talk about some coping strategies that might help right now?",
+        "It sounds like you're going through a really difficult time. I want you to know that what you're feeling is valid, and there are people who can help:\n\n{resources}\n\nWould you like to talk about some coping strategies that might help right now?",
         
-        "I can hear that you're struggling, and I'm glad you're reaching out. That takes courage. Here are some resources that might help:\n\n📞 **Mental Health Support: 1-800-662-4357**\n💬 **Crisis Text Line: 741741**\n🧘 **Crisis support and coping strategies available 24/7**\n\nRemember, seeking help is a sign of strength, not weakness."
+        "I can hear that you're struggling, and I'm glad you're reaching out. That takes courage. Here are some resources that might help:\n\n{resources}\n🧘 **Crisis support and coping strategies available 24/7**\n\nRemember, seeking help is a sign of strength, not weakness."
       ],
       
       selfHarm: [
-        "I'm concerned about the self-harm you've mentioned. Your safety and wellbeing matter. Please consider reaching out for support:\n\n📞 **National Suicide Prevention Lifeline: 988**\n💬 **Crisis Text Line: Text HOME to 741741**\n🏥 **Campus Health Services**\n\nSelf-harm might feel like it helps in the moment, but there are healthier ways to cope with difficult emotions. Would you like to explore some alternatives?",
+        "I'm concerned about the self-harm you've mentioned. Your safety and wellbeing matter. Please consider reaching out for support:\n\n{resources}\n\nSelf-harm might feel like it helps in the moment, but there are healthier ways to cope with difficult emotions. Would you like to explore some alternatives?",
         
-        "Thank you for trusting me with this. Self-harm is often a way of coping with overwhelming emotions, but there are safer alternatives that can help:\n\n📞 **Crisis Support: 988**\n💬 **Text HOME to 741741**\n🧘 **Alternative coping strategies available**\n\nYou deserve care and support. Please reach out to one of these resources."
+        "Thank you for trusting me with this. Self-harm is often a way of coping with overwhelming emotions, but there are safer alternatives that can help:\n\n{resources}\n🧘 **Alternative coping strategies available**\n\nYou deserve care and support. Please reach out to one of these resources."
       ]
     };
     
-    // Crisis resources database
-    this.crisisResources = [
-      {
-        name: 'National Suicide Prevention Lifeline',
-        phoneNumber: '988',
-        website: 'https://suicidepreventionlifeline.org',
-        availability: '24/7',
-        type: 'emergency',
-        description: 'Free and confidential emotional support for people in suicidal crisis or emotional distress',
-        languages: ['English', 'Spanish']
-      },
-      {
-        name: 'Crisis Text Line',
-        phoneNumber: 'Text HOME to 741741',
-        website: 'https://www.crisistextline.org',
-        availability: '24/7',
-        type: 'emergency',
-        description: 'Free, 24/7 support for those in crisis via text message',
-        languages: ['English', 'Spanish']
-      },
-      {
-        name: 'SAMHSA National Helpline',
-        phoneNumber: '1-800-662-4357',
-        website: 'https://www.samhsa.gov/find-help/national-helpline',
-        availability: '24/7',
-        type: 'counseling',
-        description: 'Treatment referral and information service for mental health and substance abuse',
-        languages: ['English', 'Spanish']
-      },
-      {
-        name: 'National Alliance on Mental Illness (NAMI)',
-        phoneNumber: '1-800-950-6264',
-        website: 'https://www.nami.org',
-        availability: 'Mon-Fri 10am-10pm ET',
-        type: 'peer-support',
-        description: 'Support, education and advocacy for individuals and families affected by mental illness',
-        languages: ['English', 'Spanish']
-      },
-      {
-        name: 'Trans Lifeline',
-        phoneNumber: '877-565-8860',
-        website: 'https://translifeline.org',
-        availability: '24/7',
-        type: 'emergency',
-        description: 'Crisis support specifically for transgender individuals',
-        languages: ['English', 'Spanish']
-      },
-      {
-        name: 'LGBT National Hotline',
-        phoneNumber: '1-888-843-4564',
-        website: 'https://www.lgbthotline.org',
-        availability: 'Mon-Fri 4pm-12am ET, Sat 12pm-5pm ET',
-        type: 'peer-support',
-        description: 'Confidential support for LGBTQ+ individuals',
-        languages: ['English']
-      },
-      {
-        name: 'Veterans Crisis Line',
-        phoneNumber: '1-800-273-8255 (Press 1)',
-        website: 'https://www.veteranscrisisline.net',
-        availability: '24/7',
-        type: 'emergency',
-        description: 'Crisis support specifically for veterans and their families',
-        languages: ['English', 'Spanish']
-      }
-    ];
+    // Region-aware crisis resource directory
+    this.resourceDirectory = options.resourceDirectory ||
+      new ResourceDirectoryService({ defaultRegion: options.defaultRegion });
+    this.maxResponseResources = 3;
+    
+    // Context-aware classifier (negation, subject, tense, benign usage)
+    this.classifier = new CrisisClassifierService();
     
     // Session tracking for escalation
     this.sessions = new Map();
@@ -147,40 +91,34 @@ class CrisisDetectionService extends EventEmitter {
     };
   }
 
+  /**
+   * Check a message for crisis indicators without tracking, escalating or emitting
+   * @param {string} message - User's message
+   * @returns {boolean} True when the message reads as a crisis
+   */
+  indicatesCrisis(message) {
+    if (!message || typeof message !== 'string') return false;
+    return this.classifier.classify(message, this.crisisKeywords).severity !== 'none';
+  }
+
   /**
    * Analyze message for crisis indicators
    * @param {string} message - User's message
    * @param {string} sessionId - Session identifier
+   * @param {Object} region - Caller's region { country, state, campus, language }
    * @returns {Object} Crisis analysis result
    */
-  analyzeMessage(message, sessionId) {
+  analyzeMessage(message, sessionId, region = {}) {
     if (!message || typeof message !== 'string') {
-      return { isCrisis: false, severity: 'none', keywords: [], response: null };
+      return { isCrisis: false, severity: 'none', keywords: [], response: null, confidence: 0, evidence: [] };
     }
 
-    const lowerMessage = message.toLowerCase();
-    const detectedKeywords = [];
-    let highestSeverity = 'none';
+    // Score keyword evidence in context rather than plain substring matching
+    const classification = this.classifier.classify(message, this.crisisKeywords);
+    const highestSeverity = classification.severity;
+    const detectedKeywords = classification.keywords;
     
-    // Check each severity level - order matters for priority
-    const severityLevels = ['immediate', 'selfHarm', 'high', 'moderate'];
-    
-    for (const severity of severityLevels) {
-      const keywords = this.crisisKeywords[severity];
-      const foundKeywords = keywords.filter(keyword => 
-        lowerMessage.includes(keyword.toLowerCase())
-      );
-      
-      if (foundKeywords.length > 0) {
-        detectedKeywords.push(...foundKeywords);
-        // Only update severity if this is higher priority (earlier in array)
-        if (highestSeverity === 'none') {
-          highestSeverity = severity;
-        }
-      }
-    }
-    
-    const isCrisis = detectedKeywords.length > 0;
+    const isCrisis = highestSeverity !== 'none';
     
     if (isCrisis) {
       // Update session tracking
@@ -190,13 +128,14 @@ class CrisisDetectionService extends EventEmitter {
       const escalationLevel = this._checkEscalation(sessionId, highestSeverity);
       
       // Generate appropriate response
-      const response = this._generateCrisisResponse(highestSeverity, escalationLevel);
+      const response = this._generateCrisisResponse(highestSeverity, escalationLevel, region);
       
       // Emit crisis event for logging/monitoring
       this.emit('crisisDetected', {
         sessionId,
         severity: highestSeverity,
         keywords: detectedKeywords,
+        confidence: classification.confidence,
         message: message.substring(0, 100), // First 100 chars for context
         timestamp: new Date(),
         escalationLevel
@@ -206,23 +145,42 @@ class CrisisDetectionService extends EventEmitter {
         isCrisis: true,
         severity: highestSeverity,
         keywords: detectedKeywords,
+        confidence: classification.confidence,
+        evidence: this._formatEvidence(classification.evidence),
         response,
         escalationLevel,
-        resources: this._getRelevantResources(highestSeverity)
+        resources: this._getRelevantResources(highestSeverity, region)
       };
     }
     
-    return { isCrisis: false, severity: 'none', keywords: [], response: null };
+    return {
+      isCrisis: false,
+      severity: 'none',
+      keywords: [],
+      response: null,
+      confidence: classification.confidence,
+      evidence: []
+    };
+  }
+
+  /**
+   * Evaluate the crisis classifier against a labelled corpus
+   * @param {Array} corpus - Items of shape { text, label }
+   * @returns {Object} Precision/recall report
+   */
+  evaluateClassifier(corpus) {
+    return this.classifier.evaluate(corpus, this.crisisKeywords);
   }
 
   /**
    * Get crisis resources filtered by type and severity
    * @param {string} severity - Crisis severity level
    * @param {string} resourceType - Type of resource needed
+   * @param {Object} region - Caller's region { country, state, campus, language }
    * @returns {Array} Relevant crisis resources
    */
-  getCrisisResources(severity = 'all', resourceType = 'all') {
-    let resources = [...this.crisisResources];
+  getCrisisResources(severity = 'all', resourceType = 'all', region = {}) {
+    let resources = this.resourceDirectory.getResources(region);
     
     // Filter by severity
     if (severity === 'immediate' || severity === 'high' || severity === 'selfHarm') {
@@ -436,12 +394,17 @@ class CrisisDetectionService extends EventEmitter {
    * Generate appropriate crisis response based on severity and escalation
    * @param {string} severity - Crisis severity
    * @param {number} escalationLevel - Escalation level
+   * @param {Object} region - Caller's region
    * @returns {string} Crisis response message
    * @private
    */
-  _generateCrisisResponse(severity, escalationLevel) {
+  _generateCrisisResponse(severity, escalationLevel, region = {}) {
     const responses = this.crisisResponses[severity] || this.crisisResponses.moderate;
-    let response = responses[Math.floor(Math.random() * responses.length)];
+    const resources = this.resourceDirectory
+      .getResourcesForSeverity(severity, region)
+      .slice(0, this.maxResponseResources);
+    let response = responses[Math.floor(Math.random() * responses.length)]
+      .replace('{resources}', this.resourceDirectory.formatResourceLines(resources));
     
     // Add escalation-specific messaging
     if (escalationLevel >= 3) {
@@ -456,22 +419,45 @@ class CrisisDetectionService extends EventEmitter {
   /**
    * Get relevant resources based on crisis severity
    * @param {string} severity - Crisis severity
+   * @param {Object} region - Caller's region
    * @returns {Array} Relevant resources
    * @private
    */
-  _getRelevantResources(severity) {
+  _getRelevantResources(severity, region = {}) {
+    const resources = this.resourceDirectory.getResources(region);
+    
     switch (severity) {
       case 'immediate':
-        return this.crisisResources.filter(r => r.type === 'emergency');
+        return resources.filter(r => r.type === 'emergency');
       case 'high':
-        return this.crisisResources.filter(r => r.type === 'emergency' || r.type === 'counseling');
+        return resources.filter(r => r.type === 'emergency' || r.type === 'counseling');
       case 'selfHarm':
-        return this.crisisResources.filter(r => r.type === 'emergency' || r.type === 'counseling');
+        return resources.filter(r => r.type === 'emergency' || r.type === 'counseling');
       default:
-        return this.crisisResources.filter(r => r.type !== 'emergency').slice(0, 3);
+        return resources.filter(r => r.type !== 'emergency').slice(0, 3);
     }
   }
 
+  /**
+   * Reduce classifier evidence to the fields exposed to callers
+   * @param {Array} evidence - Classifier evidence spans
+   * @returns {Array} Evidence spans with text, offsets and modifiers
+   * @private
+   */
+  _formatEvidence(evidence) {
+    return evidence.map(span => ({
+      keyword: span.keyword,
+      text: span.text,
+      start: span.start,
+      end: span.end,
+      category: span.category,
+      severity: span.severity,
+      weight: span.weight,
+      thirdPerson: span.modifiers.thirdPerson,
+      pastTense: span.modifiers.pastTense
+    }));
+  }
+
   /**
    * Get numeric severity level for comparison
    * @param {string} severity - Severity string
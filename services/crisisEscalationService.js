@@ -0,0 +1,615 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+class CrisisEscalationService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.monitoring = null; // RealTimeMonitoringService, attached once the server is listening
+    this.cases = new Map(); // caseId -> escalation case
+    this.sessionCases = new Map(); // chat sessionId -> open caseId
+    this.onDutyCounselors = new Map(); // counselorId -> { counselorId, socketIds, since, activeCases }
+    this.counselorSockets = new Map(); // counselorId -> sockets that joined a case room
+
+    this.config = {
+      // Reassign a case if the assigned counselor has not acknowledged it in time
+      acknowledgeTimeoutMs: options.acknowledgeTimeoutMs || parseInt(process.env.ESCALATION_ACK_TIMEOUT_MS) || 5 * 60 * 1000,
+      checkIntervalMs: options.checkIntervalMs || 60 * 1000,
+      minEscalationLevel: options.minEscalationLevel || 3,
+      maxCaseHistory: options.maxCaseHistory || 500
+    };
+
+    this.checkTimer = null;
+  }
+
+  /**
+   * Attach to the real-time monitoring service and register socket handlers
+   * @param {RealTimeMonitoringService} monitoring - Monitoring service owning the Socket.IO server
+   */
+  attachMonitoring(monitoring) {
+    this.monitoring = monitoring;
+
+    monitoring.io.on('connection', (socket) => {
+      this.setupSocketHandlers(socket);
+    });
+
+    if (!this.checkTimer) {
+      this.checkTimer = setInterval(() => {
+        this.checkUnacknowledgedCases();
+      }, this.config.checkIntervalMs);
+      this.checkTimer.unref();
+    }
+  }
+
+  /**
+   * Register escalation events for a connected socket
+   * @param {Object} socket - Socket.IO socket
+   */
+  setupSocketHandlers(socket) {
+    // Counselor goes on or off duty
+    socket.on('escalation-duty', (data = {}) => {
+      if (!this._isStaff(socket)) {
+        socket.emit('error', { message: 'Authentication required' });
+        return;
+      }
+      if (data.onDuty === false) {
+        this.setOffDuty(socket.userId, socket.id);
+      } else {
+        this.setOnDuty(socket.userId, socket.id);
+        socket.join(`counselor:${socket.userId}`);
+      }
+      socket.emit('escalation-duty-updated', { onDuty: data.onDuty !== false });
+    });
+
+    socket.on('escalation-acknowledge', (caseId) => {
+      this._handleStaffAction(socket, () => this.acknowledgeCase(caseId, socket.userId));
+    });
+
+    // Counselor joins the student's chat session live
+    socket.on('escalation-join', (caseId) => {
+      this._handleStaffAction(socket, () => {
+        const escalationCase = this.joinCase(caseId, socket.userId);
+        socket.join(this._caseRoom(caseId));
+        const sockets = this.counselorSockets.get(socket.userId) || new Set();
+        this.counselorSockets.set(socket.userId, sockets.add(socket));
+        socket.emit('escalation-history', {
+          caseId,
+          messages: escalationCase.messages
+        });
+        return escalationCase;
+      });
+    });
+
+    socket.on('escalation-message', (data = {}) => {
+      this._handleStaffAction(socket, () => this.recordCounselorMessage(data.caseId, socket.userId, data.message));
+    });
+
+    socket.on('escalation-resolve', (data = {}) => {
+      this._handleStaffAction(socket, () => this.resolveCase(data.caseId, socket.userId, data.notes));
+    });
+
+    // Student subscribes to live status of their own case
+    socket.on('escalation-subscribe', (data = {}) => {
+      const escalationCase = this.cases.get(data.caseId);
+      if (!escalationCase || !this._verifyStudentToken(escalationCase, data.token)) {
+        socket.emit('escalation-error', { message: 'Escalation case not found' });
+        return;
+      }
+      socket.join(this._caseRoom(escalationCase.id));
+      socket.emit('escalation-status', this.getStudentStatus(escalationCase.id));
+    });
+
+    socket.on('disconnect', () => {
+      if (socket.userId) {
+        this.setOffDuty(socket.userId, socket.id);
+        this.counselorSockets.get(socket.userId)?.delete(socket);
+      }
+    });
+  }
+
+  /**
+   * Open (or return the already open) escalation case for a chat session
+   * @param {Object} data - Crisis data { sessionId, severity, keywords, escalationLevel, confidence }
+   * @returns {Object} Student-facing hand-off info { caseId, token, status }
+   */
+  openCase(data) {
+    const existingId = this.sessionCases.get(data.sessionId);
+    if (existingId) {
+      const existing = this.cases.get(existingId);
+      if (existing && existing.status !== 'resolved') {
+        return this._toHandoff(existing);
+      }
+    }
+
+    const caseId = `case_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const escalationCase = {
+      id: caseId,
+      alertId: null,
+      sessionId: data.sessionId,
+      severity: data.severity,
+      keywords: data.keywords || [],
+      confidence: data.confidence || null,
+      escalationLevel: data.escalationLevel,
+      status: 'pending',
+      counselorId: null,
+      studentToken: crypto.randomBytes(24).toString('hex'),
+      createdAt: new Date(),
+      assignedAt: null,
+      acknowledgedAt: null,
+      joinedAt: null,
+      firstResponseAt: null,
+      resolvedAt: null,
+      resolvedBy: null,
+      resolutionNotes: null,
+      reassignments: 0,
+      previousCounselors: [],
+      messages: []
+    };
+
+    if (this.monitoring) {
+      escalationCase.alertId = this.monitoring.createCrisisAlert({
+        userId: `anonymous-${data.sessionId.substring(0, 8)}`,
+        sessionId: data.sessionId,
+        severity: 'critical',
+        message: `Escalation level ${data.escalationLevel} reached in chat (${data.severity})`,
+        keywords: escalationCase.keywords
+      });
+    }
+
+    this.cases.set(caseId, escalationCase);
+    this.sessionCases.set(data.sessionId, caseId);
+    this._trimHistory();
+
+    this.assignCase(caseId);
+    this.emit('caseOpened', escalationCase);
+
+    return this._toHandoff(escalationCase);
+  }
+
+  /**
+   * Assign a case to the least busy on-duty counselor
+   * @param {string} caseId - Case identifier
+   * @returns {Object|null} Updated case or null if not found
+   */
+  assignCase(caseId) {
+    const escalationCase = this.cases.get(caseId);
+    if (!escalationCase) return null;
+
+    const counselorId = this._pickCounselor(escalationCase.previousCounselors);
+    if (!counselorId) {
+      // Stays queued until a counselor comes on duty
+      this._broadcastStatus(escalationCase);
+      return escalationCase;
+    }
+
+    escalationCase.counselorId = counselorId;
+    escalationCase.status = 'assigned';
+    escalationCase.assignedAt = new Date();
+    this.onDutyCounselors.get(counselorId).activeCases++;
+
+    if (this.monitoring) {
+      this.monitoring.io.to(`counselor:${counselorId}`).emit('escalation-assigned', this._toStaffView(escalationCase));
+    }
+
+    this._broadcastStatus(escalationCase);
+    this.emit('caseAssigned', escalationCase);
+    return escalationCase;
+  }
+
+  /**
+   * Record that a counselor has seen the case
+   * @param {string} caseId - Case identifier
+   * @param {string} counselorId - Counselor acknowledging the case
+   * @returns {Object} Updated case
+   * @throws {Error} Conflict (isConflict) if the case is another counselor's
+   */
+  acknowledgeCase(caseId, counselorId) {
+    const escalationCase = this._getOpenCase(caseId);
+    this._claim(escalationCase, counselorId);
+
+    if (!escalationCase.acknowledgedAt) {
+      escalationCase.acknowledgedAt = new Date();
+    }
+    // A case requeued after its counselor left keeps its first acknowledgement time
+    if (escalationCase.status === 'pending' || escalationCase.status === 'assigned') {
+      escalationCase.status = 'acknowledged';
+    }
+
+    // Keep the monitoring alert in step with the case
+    if (this.monitoring && escalationCase.alertId) {
+      const alert = this.monitoring.activeAlerts.get(escalationCase.alertId);
+      if (alert && alert.status === 'active') {
+        alert.status = 'acknowledged';
+        alert.acknowledgedBy = counselorId;
+        alert.acknowledgedAt = escalationCase.acknowledgedAt;
+        this.monitoring.io.to('monitoring').emit('alert-updated', {
+          alertId: alert.id,
+          alert,
+          acknowledgedBy: counselorId
+        });
+      }
+    }
+
+    this._broadcastStatus(escalationCase);
+    return escalationCase;
+  }
+
+  /**
+   * Counselor joins the student's chat session
+   * @param {string} caseId - Case identifier
+   * @param {string} counselorId - Counselor joining
+   * @returns {Object} Updated case
+   */
+  joinCase(caseId, counselorId) {
+    const escalationCase = this.acknowledgeCase(caseId, counselorId);
+
+    if (!escalationCase.joinedAt) {
+      escalationCase.joinedAt = new Date();
+    }
+    escalationCase.status = 'joined';
+
+    this._broadcastStatus(escalationCase);
+    return escalationCase;
+  }
+
+  /**
+   * Relay a counselor message into the student's chat
+   * @param {string} caseId - Case identifier
+   * @param {string} counselorId - Sending counselor
+   * @param {string} message - Message text
+   * @returns {Object} Stored message
+   */
+  recordCounselorMessage(caseId, counselorId, message) {
+    if (!message || typeof message !== 'string' || !message.trim()) {
+      throw new Error('Message is required');
+    }
+
+    const escalationCase = this._getOpenCase(caseId);
+    if (escalationCase.counselorId !== counselorId) {
+      throw new Error('Case is assigned to another counselor');
+    }
+
+    const entry = { role: 'counselor', content: message.trim(), timestamp: new Date() };
+    escalationCase.messages.push(entry);
+
+    if (!escalationCase.firstResponseAt) {
+      escalationCase.firstResponseAt = entry.timestamp;
+    }
+
+    if (this.monitoring) {
+      this.monitoring.io.to(this._caseRoom(caseId)).emit('escalation-message', { caseId, ...entry });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Relay a student chat message to the joined counselor
+   * @param {string} sessionId - Chat session identifier
+   * @param {string} message - Student message (already anonymized)
+   * @returns {boolean} True if a counselor is live in the session
+   */
+  recordStudentMessage(sessionId, message) {
+    const escalationCase = this.getCaseForSession(sessionId);
+    if (!escalationCase) return false;
+
+    const entry = { role: 'student', content: message, timestamp: new Date() };
+    escalationCase.messages.push(entry);
+
+    if (this.monitoring) {
+      this.monitoring.io.to(this._caseRoom(escalationCase.id)).emit('escalation-message', { caseId: escalationCase.id, ...entry });
+    }
+
+    return escalationCase.status === 'joined';
+  }
+
+  /**
+   * Close a case
+   * @param {string} caseId - Case identifier
+   * @param {string} resolvedBy - Counselor or admin resolving the case
+   * @param {string} notes - Optional resolution notes
+   * @returns {Object} Resolved case
+   */
+  resolveCase(caseId, resolvedBy, notes = null) {
+    const escalationCase = this._getOpenCase(caseId);
+
+    escalationCase.status = 'resolved';
+    escalationCase.resolvedAt = new Date();
+    escalationCase.resolvedBy = resolvedBy;
+    escalationCase.resolutionNotes = notes;
+
+    this._releaseCounselor(escalationCase.counselorId);
+    this.sessionCases.delete(escalationCase.sessionId);
+
+    if (this.monitoring && escalationCase.alertId) {
+      this.monitoring.resolveAlert(escalationCase.alertId, resolvedBy);
+    }
+
+    this._broadcastStatus(escalationCase);
+    this.emit('caseResolved', escalationCase);
+    return escalationCase;
+  }
+
+  /**
+   * Mark a counselor as available for hand-offs
+   * @param {string} counselorId - Counselor identifier
+   * @param {string} socketId - Socket carrying the duty status
+   */
+  setOnDuty(counselorId, socketId = null) {
+    const entry = this.onDutyCounselors.get(counselorId) || {
+      counselorId,
+      socketIds: new Set(),
+      since: new Date(),
+      activeCases: this._countActiveCases(counselorId)
+    };
+    if (socketId) entry.socketIds.add(socketId);
+    this.onDutyCounselors.set(counselorId, entry);
+
+    // Hand queued cases to the newly available counselor
+    for (const escalationCase of this.cases.values()) {
+      if (escalationCase.status === 'pending') {
+        this.assignCase(escalationCase.id);
+      }
+    }
+  }
+
+  /**
+   * Remove a counselor from the duty roster
+   * @param {string} counselorId - Counselor identifier
+   * @param {string} socketId - Socket that went away (other sockets keep the counselor on duty)
+   */
+  setOffDuty(counselorId, socketId = null) {
+    const entry = this.onDutyCounselors.get(counselorId);
+    if (!entry) return;
+
+    if (socketId) {
+      entry.socketIds.delete(socketId);
+      if (entry.socketIds.size > 0) return;
+    }
+
+    this.onDutyCounselors.delete(counselorId);
+
+    // Every open case of the counselor goes back into the queue, including ones
+    // they had joined, so the student is not left waiting on someone who is gone
+    for (const escalationCase of this.cases.values()) {
+      if (escalationCase.counselorId === counselorId &&
+          ['assigned', 'acknowledged', 'joined'].includes(escalationCase.status)) {
+        this._requeue(escalationCase);
+      }
+    }
+  }
+
+  /**
+   * Reassign cases whose counselor has not acknowledged them in time
+   */
+  checkUnacknowledgedCases() {
+    const cutoff = Date.now() - this.config.acknowledgeTimeoutMs;
+
+    for (const escalationCase of this.cases.values()) {
+      if (escalationCase.status === 'assigned' && escalationCase.assignedAt.getTime() < cutoff) {
+        this._requeue(escalationCase);
+      }
+    }
+  }
+
+  /**
+   * Get the open case for a chat session
+   * @param {string} sessionId - Chat session identifier
+   * @returns {Object|null} Open case or null
+   */
+  getCaseForSession(sessionId) {
+    const caseId = this.sessionCases.get(sessionId);
+    const escalationCase = caseId ? this.cases.get(caseId) : null;
+    return escalationCase && escalationCase.status !== 'resolved' ? escalationCase : null;
+  }
+
+  /**
+   * Student-safe view of a case
+   * @param {string} caseId - Case identifier
+   * @returns {Object|null} Status without counselor or crisis details
+   */
+  getStudentStatus(caseId) {
+    const escalationCase = this.cases.get(caseId);
+    if (!escalationCase) return null;
+
+    return {
+      caseId: escalationCase.id,
+      status: escalationCase.status,
+      counselorAssigned: !!escalationCase.counselorId,
+      counselorJoined: escalationCase.status === 'joined',
+      createdAt: escalationCase.createdAt,
+      updatedAt: new Date()
+    };
+  }
+
+  /**
+   * List cases visible to a staff member
+   * @param {Object} user - Authenticated user { username, role }
+   * @param {Object} filters - Optional { status }
+   * @returns {Array} Staff views of cases
+   */
+  listCases(user, filters = {}) {
+    return Array.from(this.cases.values())
+      .filter(escalationCase => user.role === 'admin' ||
+        escalationCase.counselorId === user.username ||
+        escalationCase.status === 'pending')
+      .filter(escalationCase => !filters.status || escalationCase.status === filters.status)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(escalationCase => this._toStaffView(escalationCase));
+  }
+
+  /**
+   * Acknowledgement and response time metrics
+   * @returns {Object} Escalation metrics
+   */
+  getMetrics() {
+    const cases = Array.from(this.cases.values());
+    const average = (values) => values.length > 0
+      ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+
+    const acknowledgeTimes = cases
+      .filter(c => c.acknowledgedAt)
+      .map(c => c.acknowledgedAt - c.createdAt);
+    const responseTimes = cases
+      .filter(c => c.firstResponseAt)
+      .map(c => c.firstResponseAt - c.createdAt);
+
+    return {
+      totalCases: cases.length,
+      openCases: cases.filter(c => c.status !== 'resolved').length,
+      pendingCases: cases.filter(c => c.status === 'pending').length,
+      resolvedCases: cases.filter(c => c.status === 'resolved').length,
+      onDutyCounselors: this.onDutyCounselors.size,
+      avgAcknowledgeTimeMs: average(acknowledgeTimes),
+      avgFirstResponseTimeMs: average(responseTimes),
+      maxAcknowledgeTimeMs: acknowledgeTimes.length > 0 ? Math.max(...acknowledgeTimes) : null,
+      reassignments: cases.reduce((sum, c) => sum + c.reassignments, 0)
+    };
+  }
+
+  /**
+   * Stop background timers
+   */
+  destroy() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+  }
+
+  // Private helpers
+
+  _pickCounselor(exclude = []) {
+    const available = Array.from(this.onDutyCounselors.values())
+      .filter(entry => !exclude.includes(entry.counselorId));
+
+    // Fall back to previous counselors rather than leaving the case unassigned
+    const candidates = available.length > 0 ? available : Array.from(this.onDutyCounselors.values());
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) => a.activeCases - b.activeCases || a.since - b.since);
+    return candidates[0].counselorId;
+  }
+
+  _requeue(escalationCase) {
+    // The counselor who is leaving the case no longer hears the student
+    for (const socket of this.counselorSockets.get(escalationCase.counselorId) || []) {
+      socket.leave(this._caseRoom(escalationCase.id));
+    }
+
+    this._releaseCounselor(escalationCase.counselorId);
+    escalationCase.previousCounselors.push(escalationCase.counselorId);
+    escalationCase.counselorId = null;
+    escalationCase.assignedAt = null;
+    escalationCase.status = 'pending';
+    escalationCase.reassignments++;
+    this.assignCase(escalationCase.id);
+  }
+
+  _claim(escalationCase, counselorId) {
+    if (escalationCase.counselorId === counselorId) return;
+
+    // Any on-duty counselor may pick up a case that is still queued; one assigned to,
+    // acknowledged or joined by another counselor stays with them
+    if (escalationCase.status !== 'pending') {
+      const error = new Error('Case is assigned to another counselor');
+      error.isConflict = true;
+      throw error;
+    }
+
+    escalationCase.counselorId = counselorId;
+    escalationCase.assignedAt = escalationCase.assignedAt || new Date();
+    const entry = this.onDutyCounselors.get(counselorId);
+    if (entry) entry.activeCases++;
+  }
+
+  _releaseCounselor(counselorId) {
+    const entry = counselorId ? this.onDutyCounselors.get(counselorId) : null;
+    if (entry && entry.activeCases > 0) entry.activeCases--;
+  }
+
+  _countActiveCases(counselorId) {
+    return Array.from(this.cases.values())
+      .filter(c => c.counselorId === counselorId && c.status !== 'resolved').length;
+  }
+
+  _getOpenCase(caseId) {
+    const escalationCase = this.cases.get(caseId);
+    if (!escalationCase) {
+      throw new Error('Escalation case not found');
+    }
+    if (escalationCase.status === 'resolved') {
+      throw new Error('Escalation case already resolved');
+    }
+    return escalationCase;
+  }
+
+  _handleStaffAction(socket, action) {
+    if (!this._isStaff(socket)) {
+      socket.emit('error', { message: 'Authentication required' });
+      return;
+    }
+    try {
+      const escalationCase = action();
+      if (escalationCase && escalationCase.id) {
+        socket.emit('escalation-updated', this._toStaffView(escalationCase));
+      }
+    } catch (error) {
+      socket.emit('escalation-error', { message: error.message });
+    }
+  }
+
+  _isStaff(socket) {
+    return Boolean(this.monitoring && this.monitoring.isStaff(socket));
+  }
+
+  _verifyStudentToken(escalationCase, token) {
+    if (!token || typeof token !== 'string' || token.length !== escalationCase.studentToken.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(escalationCase.studentToken));
+  }
+
+  _broadcastStatus(escalationCase) {
+    if (!this.monitoring) return;
+
+    this.monitoring.io.to(this._caseRoom(escalationCase.id)).emit('escalation-status', this.getStudentStatus(escalationCase.id));
+    this.monitoring.io.to('monitoring').emit('escalation-updated', this._toStaffView(escalationCase));
+  }
+
+  _caseRoom(caseId) {
+    return `escalation:${caseId}`;
+  }
+
+  _toHandoff(escalationCase) {
+    return {
+      caseId: escalationCase.id,
+      token: escalationCase.studentToken,
+      status: escalationCase.status,
+      counselorAssigned: !!escalationCase.counselorId
+    };
+  }
+
+  _toStaffView(escalationCase) {
+    const { studentToken, messages, previousCounselors, ...view } = escalationCase;
+    return {
+      ...view,
+      sessionId: escalationCase.sessionId.substring(0, 8) + '...', // Partial ID for privacy
+      messageCount: messages.length
+    };
+  }
+
+  _trimHistory() {
+    if (this.cases.size <= this.config.maxCaseHistory) return;
+
+    for (const [caseId, escalationCase] of this.cases.entries()) {
+      if (escalationCase.status === 'resolved') {
+        this.cases.delete(caseId);
+        if (this.cases.size <= this.config.maxCaseHistory) break;
+      }
+    }
+  }
+}
+
+module.exports = CrisisEscalationService;
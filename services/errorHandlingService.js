@@ -1,4 +1,5 @@
 const EventEmitter = require('events');
+const ResourceDirectoryService = require('./resourceDirectoryService');
 
 /**
  * Centralized Error Handling Service
@@ -8,6 +9,9 @@ class ErrorHandlingService extends EventEmitter {
   constructor() {
     super();
     
+    // Region-aware crisis resources for fallback responses
+    this.resourceDirectory = new ResourceDirectoryService();
+    
     // Error tracking and statistics
     this.errorStats = {
       total: 0,
@@ -574,7 +578,7 @@ class ErrorHandlingService extends EventEmitter {
       message: selectedResponse,
       isFallback: true,
       fallbackType: 'template-response',
-      crisisResources: this.getCrisisResources()
+      crisisResources: this.getCrisisResources(context.region)
     };
   }
 
@@ -780,29 +784,16 @@ class ErrorHandlingService extends EventEmitter {
 
   /**
    * Get crisis resources for fallback responses
+   * @param {Object} region - Caller's region { country, state, campus, language }
    * @returns {Array} Crisis resources
    */
-  getCrisisResources() {
-    return [
-      {
-        name: 'National Suicide Prevention Lifeline',
-        phone: '988',
-        description: '24/7 crisis support',
-        type: 'emergency'
-      },
-      {
-        name: 'Crisis Text Line',
-        phone: 'Text HOME to 741741',
-        description: '24/7 text-based crisis support',
-        type: 'emergency'
-      },
-      {
-        name: 'Emergency Services',
-        phone: '911',
-        description: 'For immediate emergencies',
-        type: 'emergency'
-      }
-    ];
+  getCrisisResources(region = {}) {
+    return this.resourceDirectory.getResourcesForSeverity('immediate', region).map(resource => ({
+      name: resource.shortName || resource.name,
+      phone: resource.phoneNumber || resource.website,
+      description: resource.description,
+      type: resource.type
+    }));
   }
 
   /**
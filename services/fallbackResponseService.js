@@ -1,3 +1,5 @@
+const ResourceDirectoryService = require('./resourceDirectoryService');
+
 /**
  * Fallback Response Service
  * Provides offline and fallback capabilities when main AI services are unavailable
@@ -16,8 +18,11 @@ class FallbackResponseService {
     // Crisis detection patterns (simplified)
     this.crisisPatterns = this.initializeCrisisPatterns();
     
-    // Mental health resources
-    this.mentalHealthResources = this.initializeMentalHealthResources();
+    // Region-aware crisis and support resources
+    this.resourceDirectory = new ResourceDirectoryService();
+    
+    // Region-independent online resources
+    this.onlineResources = this.initializeOnlineResources();
     
     // Response quality metrics
     this.responseMetrics = {
@@ -201,60 +206,53 @@ class FallbackResponseService {
   }
 
   /**
-   * Initialize mental health resources
+   * Initialize region-independent online resources
    */
-  initializeMentalHealthResources() {
+  initializeOnlineResources() {
+    return [
+      {
+        name: 'BetterHelp',
+        contact: 'betterhelp.com',
+        description: 'Online therapy and counseling services',
+        type: 'website'
+      },
+      {
+        name: 'Psychology Today',
+        contact: 'psychologytoday.com',
+        description: 'Find therapists and mental health professionals',
+        type: 'website'
+      }
+    ];
+  }
+
+  /**
+   * Get mental health resources for a region
+   * @param {Object} region - Caller's region { country, state, campus, language }
+   * @returns {Object} Resources grouped as crisis, support and online
+   */
+  getMentalHealthResources(region = {}) {
+    const toContact = resource => {
+      let type = 'phone';
+      if (resource.emergencyNumber) {
+        type = 'emergency';
+      } else if (!resource.phoneNumber) {
+        type = 'website';
+      } else if (/^text\b/i.test(resource.phoneNumber)) {
+        type = 'text';
+      }
+
+      return {
+        name: resource.name,
+        contact: resource.phoneNumber || resource.website,
+        description: resource.description,
+        type
+      };
+    };
+
     return {
-      crisis: [
-        {
-          name: 'National Suicide Prevention Lifeline',
-          contact: '988',
-          description: '24/7 free and confidential support for people in distress',
-          type: 'phone'
-        },
-        {
-          name: 'Crisis Text Line',
-          contact: 'Text HOME to 741741',
-          description: '24/7 crisis support via text message',
-          type: 'text'
-        },
-        {
-          name: 'Emergency Services',
-          contact: '911',
-          description: 'For immediate life-threatening emergencies',
-          type: 'emergency'
-        }
-      ],
-      
-      support: [
-        {
-          name: 'NAMI (National Alliance on Mental Illness)',
-          contact: '1-800-950-NAMI (6264)',
-          description: 'Information, referrals, and support for mental health',
-          type: 'phone'
-        },
-        {
-          name: 'SAMHSA National Helpline',
-          contact: '1-800-662-4357',
-          description: 'Treatment referral and information service',
-          type: 'phone'
-        }
-      ],
-      
-      online: [
-        {
-          name: 'BetterHelp',
-          contact: 'betterhelp.com',
-          description: 'Online therapy and counseling services',
-          type: 'website'
-        },
-        {
-          name: 'Psychology Today',
-          contact: 'psychologytoday.com',
-          description: 'Find therapists and mental health professionals',
-          type: 'website'
-        }
-      ]
+      crisis: this.resourceDirectory.getResourcesForSeverity('immediate', region).map(toContact),
+      support: this.resourceDirectory.getResourcesForSeverity('moderate', region).map(toContact),
+      online: this.onlineResources
     };
   }
 
@@ -271,7 +269,7 @@ class FallbackResponseService {
     // Check for crisis indicators first
     const crisisLevel = this.detectCrisisLevel(userMessage);
     if (crisisLevel === 'high') {
-      return this.generateCrisisResponse(userMessage, 'high');
+      return this.generateCrisisResponse(userMessage, 'high', context.region);
     }
 
     // Analyze message for emotional content and topics
@@ -284,7 +282,7 @@ class FallbackResponseService {
     const copingStrategies = this.selectCopingStrategies(analysis);
     
     // Add resources if needed
-    const resources = this.selectResources(analysis, crisisLevel);
+    const resources = this.selectResources(analysis, crisisLevel, context.region);
 
     return {
       message: response,
@@ -341,30 +339,37 @@ class FallbackResponseService {
    * Generate crisis response
    * @param {string} message - User message
    * @param {string} level - Crisis level
+   * @param {Object} region - Caller's region
    * @returns {Object} Crisis response
    */
-  generateCrisisResponse(message, level) {
+  generateCrisisResponse(message, level, region = {}) {
     const crisisResponses = {
       high: [
-        "I'm very concerned about what you're sharing. Your life has value, and there are people who want to help. Please contact the National Suicide Prevention Lifeline at 988 or emergency services at 911 immediately.",
-        "I hear that you're in a lot of pain right now. Please reach out for immediate help - call 988 for the Suicide & Crisis Lifeline or go to your nearest emergency room. You don't have to go through this alone.",
-        "What you're feeling right now is temporary, even though it might not feel that way. Please contact emergency services (911) or the crisis lifeline (988) right away. Your life matters."
+        "I'm very concerned about what you're sharing. Your life has value, and there are people who want to help. Please contact {helpline} or emergency services at {emergency} immediately.",
+        "I hear that you're in a lot of pain right now. Please reach out for immediate help - call {helpline} or go to your nearest emergency room. You don't have to go through this alone.",
+        "What you're feeling right now is temporary, even though it might not feel that way. Please contact emergency services ({emergency}) or {helpline} right away. Your life matters."
       ],
       medium: [
         "I'm concerned about what you're sharing. While I want to help, please consider reaching out to a mental health professional or crisis support line for additional help.",
-        "It sounds like you're going through an incredibly difficult time. Have you considered contacting a crisis support line like 988 or speaking with a mental health professional?",
-        "I hear how much pain you're in. Please know that professional help is available - consider calling 988 for the Suicide & Crisis Lifeline or reaching out to a therapist."
+        "It sounds like you're going through an incredibly difficult time. Have you considered contacting a crisis support line like {helpline} or speaking with a mental health professional?",
+        "I hear how much pain you're in. Please know that professional help is available - consider calling {helpline} or reaching out to a therapist."
       ]
     };
 
+    const helplines = this.resourceDirectory.getResourcesForSeverity('high', region);
+    const emergency = this.resourceDirectory.getEmergencyNumber(region);
     const responses = crisisResponses[level] || crisisResponses.medium;
-    const selectedResponse = this.getRandomItem(responses);
+    const selectedResponse = this.getRandomItem(responses)
+      .replace('{helpline}', helplines.length > 0
+        ? this.resourceDirectory.formatResourceList(helplines.slice(0, 1))
+        : 'a crisis helpline')
+      .replace('{emergency}', emergency ? emergency.phoneNumber : 'your local emergency number');
 
     return {
       message: selectedResponse,
       isCrisis: true,
       crisisLevel: level,
-      resources: this.mentalHealthResources.crisis,
+      resources: this.getMentalHealthResources(region).crisis,
       urgentAction: level === 'high',
       isFallback: true,
       fallbackType: 'crisis-response'
@@ -518,15 +523,17 @@ class FallbackResponseService {
    * Select appropriate resources
    * @param {Object} analysis - Message analysis
    * @param {string} crisisLevel - Crisis level
+   * @param {Object} region - Caller's region
    * @returns {Array} Selected resources
    */
-  selectResources(analysis, crisisLevel) {
+  selectResources(analysis, crisisLevel, region = {}) {
     if (crisisLevel === 'high' || crisisLevel === 'medium') {
-      return this.mentalHealthResources.crisis;
+      return this.getMentalHealthResources(region).crisis;
     }
 
     if (crisisLevel === 'low' || analysis.emotions.length > 0) {
-      return [...this.mentalHealthResources.support, ...this.mentalHealthResources.online];
+      const resources = this.getMentalHealthResources(region);
+      return [...resources.support, ...resources.online];
     }
 
     return [];
@@ -615,7 +622,7 @@ class FallbackResponseService {
       cacheSize: this.responseCache.size,
       templateCategories: Object.keys(this.templateResponses).length,
       copingStrategiesCount: Object.values(this.copingStrategies).flat().length,
-      resourcesCount: Object.values(this.mentalHealthResources).flat().length
+      resourcesCount: Object.values(this.getMentalHealthResources()).flat().length
     };
   }
 
@@ -0,0 +1,183 @@
+/**
+ * File Booking Store
+ * Keeps bookings in a JSON file. Every write runs as a read-modify-write
+ * transaction under a lock file and replaces the file by atomic rename,
+ * so concurrent requests (or processes) cannot lose writes or double-book.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const BookingStore = require('./bookingStore');
+
+class FileBookingStore extends BookingStore {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(__dirname, '..', 'data', 'bookings.json');
+    this.lockPath = `${this.filePath}.lock`;
+    this.lockTimeoutMs = options.lockTimeoutMs || 5000;
+    this.staleLockMs = options.staleLockMs || 30000;
+    this.lockRetryMs = 20;
+
+    // Serializes transactions from this instance so they don't spin on the lock file
+    this.queue = Promise.resolve();
+  }
+
+  async initialize() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      await fs.access(this.filePath);
+    } catch (error) {
+      await this._transaction(bookings => bookings);
+    }
+  }
+
+  async list() {
+    return this._read();
+  }
+
+  async findById(id) {
+    const bookings = await this._read();
+    return bookings.find(booking => booking.id === id) || null;
+  }
+
+  async findActiveByDate(date) {
+    const bookings = await this._read();
+    return bookings.filter(booking => booking.preferredDate === date && booking.status !== 'cancelled');
+  }
+
+  async insert(booking, options = {}) {
+    await this._transaction(bookings => {
+      this._assertSlotFree(bookings, booking, options.findConflict);
+      bookings.push(booking);
+      return bookings;
+    });
+
+    return booking;
+  }
+
+  async update(id, changes, options = {}) {
+    let updated = null;
+
+    await this._transaction(bookings => {
+      const index = bookings.findIndex(booking => booking.id === id);
+      if (index === -1) {
+        return null;
+      }
+
+      updated = this._applyChanges(bookings[index], changes, options.audit);
+      this._assertSlotFree(bookings, updated, options.findConflict);
+      bookings[index] = updated;
+      return bookings;
+    });
+
+    return updated;
+  }
+
+  /**
+   * Read the bookings file
+   * @private
+   */
+  async _read() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run a read-modify-write under the store lock.
+   * The mutator returns the new bookings array, or null to leave the file untouched.
+   * @private
+   */
+  _transaction(mutate) {
+    const run = async () => {
+      await this._acquireLock();
+      try {
+        const bookings = await this._read();
+        const next = mutate(bookings);
+        if (next) {
+          await this._write(next);
+        }
+      } finally {
+        await this._releaseLock();
+      }
+    };
+
+    const result = this.queue.then(run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Write the bookings to a temp file and rename it over the store
+   * @private
+   */
+  async _write(bookings) {
+    const tmpPath = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(bookings, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Create the lock file, waiting for other holders and breaking stale locks
+   * @private
+   */
+  async _acquireLock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+
+    while (true) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this._isLockStale()) {
+        await fs.unlink(this.lockPath).catch(() => {});
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        const error = new Error('Timed out waiting for the booking store lock');
+        error.code = 'BOOKING_STORE_LOCKED';
+        throw error;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.lockRetryMs));
+    }
+  }
+
+  /**
+   * Check whether the lock file was left behind by a crashed writer
+   * @private
+   */
+  async _isLockStale() {
+    try {
+      const stats = await fs.stat(this.lockPath);
+      return Date.now() - stats.mtimeMs > this.staleLockMs;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove the lock file
+   * @private
+   */
+  async _releaseLock() {
+    await fs.unlink(this.lockPath).catch(() => {});
+  }
+}
+
+module.exports = FileBookingStore;
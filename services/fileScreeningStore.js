@@ -0,0 +1,195 @@
+/**
+ * File Screening Store
+ * Keeps screening records in a JSON file, so saved screenings, histories and
+ * statistics survive a restart without MongoDB. Every operation loads the
+ * file into the in-memory store's maps and runs there. Writes run as
+ * read-modify-write transactions under a lock file and replace the file by
+ * atomic rename, like the booking file store, and leave out records past
+ * their retention so the file does not keep them.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const MemoryScreeningStore = require('./memoryScreeningStore');
+
+// Dates are written by JSON.stringify as ISO timestamps and read back as Dates
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+class FileScreeningStore extends MemoryScreeningStore {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(__dirname, '..', 'data', 'screenings.json');
+    this.lockPath = `${this.filePath}.lock`;
+    this.lockTimeoutMs = options.lockTimeoutMs || 5000;
+    this.staleLockMs = options.staleLockMs || 30000;
+    this.lockRetryMs = 20;
+
+    // Serializes operations from this instance, since each one reloads the maps
+    this.queue = Promise.resolve();
+  }
+
+  async initialize() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+  }
+
+  async saveAssessment(assessment) {
+    return this._transaction(() => super.saveAssessment(assessment));
+  }
+
+  async appendHistory(owner, entry, options = {}) {
+    return this._transaction(() => super.appendHistory(owner, entry, options));
+  }
+
+  async findHistory(owner) {
+    return this._read(() => super.findHistory(owner));
+  }
+
+  async findHistoryByAssessment(assessmentId) {
+    return this._read(() => super.findHistoryByAssessment(assessmentId));
+  }
+
+  async deleteHistory(owner) {
+    return this._transaction(() => super.deleteHistory(owner));
+  }
+
+  async addToStatistics(date, toolName, counts) {
+    return this._transaction(() => super.addToStatistics(date, toolName, counts));
+  }
+
+  async findStatistics(filters = {}) {
+    return this._read(() => super.findStatistics(filters));
+  }
+
+  /**
+   * Run an operation on the records as stored
+   * @private
+   */
+  _read(operation) {
+    return this._enqueue(async () => {
+      await this._load();
+      return operation();
+    });
+  }
+
+  /**
+   * Run a read-modify-write under the store lock
+   * @private
+   */
+  _transaction(operation) {
+    return this._enqueue(async () => {
+      await this._acquireLock();
+      try {
+        await this._load();
+        const result = await operation();
+        await this._write();
+        return result;
+      } finally {
+        await this._releaseLock();
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _enqueue(run) {
+    const result = this.queue.then(run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Replace the maps with the contents of the file
+   * @private
+   */
+  async _load() {
+    let stored = {};
+    try {
+      stored = JSON.parse(await fs.readFile(this.filePath, 'utf8'), (key, value) =>
+        typeof value === 'string' && ISO_TIMESTAMP.test(value) ? new Date(value) : value);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    this.assessments = new Map(Object.entries(stored.assessments || {}));
+    this.histories = new Map(Object.entries(stored.histories || {}));
+    this.statistics = new Map(Object.entries(stored.statistics || {}));
+  }
+
+  /**
+   * Write the maps, without expired records, to a temp file and rename it over the store
+   * @private
+   */
+  async _write() {
+    const live = map => Object.fromEntries(Array.from(map).filter(([, record]) => this._live(record)));
+    const content = JSON.stringify({
+      assessments: live(this.assessments),
+      histories: live(this.histories),
+      statistics: Object.fromEntries(this.statistics)
+    }, null, 2);
+
+    const tmpPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.writeFile(tmpPath, content);
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Create the lock file, waiting for other holders and breaking stale locks
+   * @private
+   */
+  async _acquireLock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+
+    while (true) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this._isLockStale()) {
+        await fs.unlink(this.lockPath).catch(() => {});
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        const error = new Error('Timed out waiting for the screening store lock');
+        error.code = 'SCREENING_STORE_LOCKED';
+        throw error;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.lockRetryMs));
+    }
+  }
+
+  /**
+   * Check whether the lock file was left behind by a crashed writer
+   * @private
+   */
+  async _isLockStale() {
+    try {
+      const stats = await fs.stat(this.lockPath);
+      return Date.now() - stats.mtimeMs > this.staleLockMs;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove the lock file
+   * @private
+   */
+  async _releaseLock() {
+    await fs.unlink(this.lockPath).catch(() => {});
+  }
+}
+
+module.exports = FileScreeningStore;
@@ -1,248 +1,312 @@
-const Groq = require('groq-sdk');
-
+const ResourceDirectoryService = require('./resourceDirectoryService');
+const PromptTemplateService = require('./promptTemplateService');
+const { createProviders } = require('./llmProviders');
+
+/**
+ * Mental health prompting and response checks on top of the configured LLM
+ * providers. Named for the original Groq backend; the providers come from
+ * LLM_PROVIDERS (groq, openai-compatible, mock) and are tried in order.
+ */
 class GroqService {
-  constructor() {
-    this.apiKey = process.env.GROQ_API_KEY;
-    
-    // Available Groq models (confirmed working as of 2024)
-    this.preferredModels = [
-      'llama-3.1-8b-instant',     // Llama 3.1 8B (fast, reliable, confirmed working)
-      'gemma2-9b-it'              // Gemma2 9B (alternative, confirmed working)
-    ];
+  /**
+   * @param {Object} options - options.providers overrides LLM_PROVIDERS, options.prompts the template store
+   */
+  constructor(options = {}) {
+    this.providers = options.providers || createProviders();
     
-    this.model = 'llama-3.1-8b-instant'; // Start with working model
     this.maxTokens = 300; // Reduced to keep responses concise
     this.temperature = 0.7;
-    this.maxRetries = 3;
-    this.retryDelay = 1000;
+    this.maxRetries = options.maxRetries || 3;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000;
+    // Prompt budget; the oldest history is dropped to stay under it
+    this.maxContextTokens = parseInt(process.env.LLM_MAX_CONTEXT_TOKENS) || 6000;
+    this.summaryMaxTokens = 250;
     
-    if (this.apiKey) {
-      this.groq = new Groq({
-        apiKey: this.apiKey,
-      });
-    }
+    // Crisis helplines are injected into prompts per request region
+    this.resourceDirectory = new ResourceDirectoryService();
     
-    // Mental health system prompt optimized for concise, helpful responses
-    this.systemPrompt = `You are MindCare, a compassionate AI mental health assistant for students. Provide empathetic, concise support.
-
-RESPONSE RULES:
-• Keep responses SHORT (2-3 sentences max, under 150 words)
-• Be warm and supportive but concise
-• Use "I understand" or "I hear you" to show empathy
-• Give 1-2 practical tips they can use right now
-• Always acknowledge their feelings are valid
-
-FOR CRISIS (suicide/self-harm mentions):
-• Express immediate concern: "I'm very concerned about you"
-• Give crisis resources: "Please call 988 or text HOME to 741741"
-• Emphasize: "You're not alone, help is available"
+    // System and crisis prompts are versioned templates staff can edit
+    this.prompts = options.prompts || new PromptTemplateService({ resourceDirectory: this.resourceDirectory });
+  }
 
-EXAMPLE GOOD RESPONSE:
-"I understand you're feeling stressed about exams - that's completely normal. Try taking 5 deep breaths right now, and break your study into 25-minute chunks with breaks. You've got this, and it's okay to ask for help if you need it."
+  /**
+   * Check if at least one LLM provider is configured
+   * @returns {boolean} True if a provider can take requests
+   */
+  isServiceAvailable() {
+    return this.getAvailableProviders().length > 0;
+  }
 
-Remember: Be helpful, caring, and BRIEF. Quality over quantity.`;
+  /**
+   * Configured providers in failover order
+   * @returns {Array<LLMProvider>} Providers
+   */
+  getAvailableProviders() {
+    return this.providers.filter(provider => provider.isConfigured());
   }
 
   /**
-   * Check if the Groq service is properly configured
-   * @returns {boolean} True if API key is available
+   * Model of the first configured provider
+   * @returns {string|null} Model name
    */
-  isServiceAvailable() {
-    return !!this.apiKey && !!this.groq;
+  get model() {
+    const [provider] = this.getAvailableProviders();
+    return provider ? provider.model : null;
   }
 
   /**
-   * Find the best available model from the preferred list
-   * @returns {Promise<string>} The best available model name
+   * Generate AI response, retrying each provider and then failing over to the next
+   * @param {string} message - User's message
+   * @param {Array} conversationHistory - Previous messages in the conversation
+   * @param {Object} options - Additional options
+   * @returns {Promise<string>} AI response
    */
-  async findBestAvailableModel() {
+  async generateResponse(message, conversationHistory = [], options = {}) {
     if (!this.isServiceAvailable()) {
-      throw new Error('Groq service not configured');
+      throw new Error('No LLM provider configured');
     }
 
-    console.log('Finding best available Groq model...');
-    
-    for (const model of this.preferredModels) {
-      try {
-        console.log(`Testing model: ${model}`);
-        
-        const completion = await this.groq.chat.completions.create({
-          messages: [
-            {
-              role: 'user',
-              content: 'Test'
-            }
-          ],
-          model: model,
-          max_tokens: 10,
-          temperature: 0.1
-        });
-
-        if (completion.choices && completion.choices[0]) {
-          console.log(`✅ Using model: ${model}`);
-          this.model = model;
-          return model;
-        }
-      } catch (error) {
-        if (error.status === 404) {
-          console.log(`❌ Model ${model} not available`);
-          continue;
-        } else if (error.status === 401) {
-          throw new Error('Invalid Groq API key');
-        } else {
-          console.log(`⚠️ Model ${model} error: ${error.message}`);
-          continue;
-        }
-      }
+    if (!message || typeof message !== 'string') {
+      throw new Error('Invalid message provided');
     }
-    
-    throw new Error('No available models found on Groq');
+
+    const messages = this._buildMessages(message, conversationHistory, options);
+    const result = await this._chat(messages, {
+      maxTokens: options.maxTokens || this.maxTokens,
+      temperature: options.temperature || this.temperature,
+      topP: 0.9
+    });
+
+    return result.content;
   }
 
   /**
-   * Generate AI response using Groq API
+   * Stream an AI response as it is generated. Failures before the first
+   * token are retried and then fail over like generateResponse; once text
+   * has been yielded an error ends the stream.
    * @param {string} message - User's message
    * @param {Array} conversationHistory - Previous messages in the conversation
-   * @param {Object} options - Additional options
-   * @returns {Promise<string>} AI response
+   * @param {Object} options - Additional options; options.signal aborts the request
+   * @returns {AsyncGenerator<string>} Text deltas
    */
-  async generateResponse(message, conversationHistory = [], options = {}) {
+  async *streamResponse(message, conversationHistory = [], options = {}) {
     if (!this.isServiceAvailable()) {
-      throw new Error('Groq service not configured - API key missing');
+      throw new Error('No LLM provider configured');
     }
 
     if (!message || typeof message !== 'string') {
       throw new Error('Invalid message provided');
     }
 
-    // Prepare messages for the API
+    const messages = this._buildMessages(message, conversationHistory, options);
+    const requestOptions = {
+      maxTokens: options.maxTokens || this.maxTokens,
+      temperature: options.temperature || this.temperature,
+      topP: 0.9,
+      signal: options.signal
+    };
+
+    const { stream, first } = await this._withFailover(async (provider) => {
+      const deltas = provider.stream(messages, requestOptions)[Symbol.asyncIterator]();
+      // The request is made on the first read, so that is where failures show up
+      return { stream: deltas, first: await deltas.next() };
+    }, options);
+
+    try {
+      for (let next = first; !next.done; next = await stream.next()) {
+        yield next.value;
+      }
+    } finally {
+      // Closes the provider's stream if the caller stops early
+      await stream.return();
+    }
+  }
+
+  /**
+   * Generate a complete reply with retries and failover
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Request options, plus maxRetries
+   * @returns {Promise<Object>} { content, model, usage, provider }
+   * @private
+   */
+  async _chat(messages, options = {}) {
+    return this._withFailover(async (provider) => {
+      const result = await provider.chat(messages, options);
+      if (!result.content) {
+        throw new Error('Empty response from LLM provider');
+      }
+      return { ...result, provider: provider.name };
+    }, options);
+  }
+
+  /**
+   * Run a request against each configured provider in turn, retrying
+   * transient failures on each before moving on
+   * @param {Function} request - Called with the provider
+   * @param {Object} options - maxRetries, signal
+   * @returns {Promise<*>} First successful result
+   * @private
+   */
+  async _withFailover(request, options = {}) {
+    const maxRetries = options.maxRetries || this.maxRetries;
+    const failures = [];
+
+    for (const provider of this.getAvailableProviders()) {
+      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+          return await request(provider);
+        } catch (error) {
+          if (options.signal && options.signal.aborted) {
+            throw error;
+          }
+
+          // Bad credentials and bad requests will not improve on retry
+          const retryable = error.status !== 400 && error.status !== 401 && error.status !== 403;
+          if (!retryable || attempt >= maxRetries) {
+            const reason = error.status === 429 ? 'rate limit exceeded' : error.message;
+            failures.push(`${provider.name}: ${reason}`);
+            console.warn(`LLM provider ${provider.name} failed after ${attempt} attempt(s): ${reason}`);
+            break;
+          }
+
+          console.warn(`LLM provider ${provider.name} request failed, retrying in ${this.retryDelay * attempt}ms (attempt ${attempt}/${maxRetries}):`, error.message);
+          await this._sleep(this.retryDelay * attempt);
+        }
+      }
+    }
+
+    throw new Error(`All LLM providers failed (${failures.join('; ')})`);
+  }
+
+  /**
+   * Render the active version of a prompt template for a caller
+   * @param {string} templateId - 'system' or 'crisis'
+   * @param {Object} region - Caller's region { country, state, campus, language }
+   * @param {Object} extra - Other placeholder values { userMessage, severity }
+   * @returns {Object} { text, template, version }
+   */
+  getPrompt(templateId, region = {}, extra = {}) {
+    return this.prompts.render(templateId, { ...extra, region });
+  }
+
+  /**
+   * Build the chat messages sent to the API
+   * @param {string} message - User's message
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} options - options.prompt is the rendered system prompt (otherwise options.region
+   *   selects it), options.summary the summary of messages no longer in the history
+   * @returns {Array} Messages
+   * @private
+   */
+  _buildMessages(message, conversationHistory = [], options = {}) {
+    const { messages, userMessage } = this._frameMessages(message, options);
+
+    // Keep as much recent history as fits; older turns live on in the summary
+    const recentHistory = [...conversationHistory];
+    const budget = this.maxContextTokens - (options.maxTokens || this.maxTokens);
+    while (recentHistory.length > 0 && this.countTokens([...messages, ...recentHistory, userMessage]) > budget) {
+      recentHistory.shift();
+    }
+
+    messages.push(...recentHistory, userMessage);
+
+    return messages;
+  }
+
+  /**
+   * Tokens left for conversation history once the prompt, summary, message
+   * and reply are accounted for
+   * @param {string} message - User's message
+   * @param {Object} options - Same options as generateResponse
+   * @returns {number} Token budget for history
+   */
+  historyBudget(message, options = {}) {
+    const { messages, userMessage } = this._frameMessages(message, options);
+    const budget = this.maxContextTokens - (options.maxTokens || this.maxTokens);
+    return Math.max(0, budget - this.countTokens([...messages, userMessage]));
+  }
+
+  /**
+   * Condense older conversation messages into a rolling summary
+   * @param {Array} conversationHistory - Messages to fold in, oldest first
+   * @param {string|null} previousSummary - Summary of everything before them
+   * @param {Object} options - options.region selects the summary prompt
+   * @returns {Promise<string>} Updated summary
+   */
+  async summarizeConversation(conversationHistory, previousSummary = null, options = {}) {
+    if (!this.isServiceAvailable()) {
+      throw new Error('No LLM provider configured');
+    }
+
+    const transcript = conversationHistory
+      .map(msg => `${msg.role === 'user' ? 'Student' : 'Assistant'}: ${msg.content}`)
+      .join('\n');
+
     const messages = [
       {
         role: 'system',
-        content: this.systemPrompt
+        content: this.getPrompt('summary', options.region).text
+      },
+      {
+        role: 'user',
+        content: `Summary so far:\n${previousSummary || '(none)'}\n\nNew messages:\n${transcript}`
       }
     ];
 
-    // Add conversation history (limit to last 10 messages to stay within context)
-    const recentHistory = conversationHistory.slice(-10);
-    messages.push(...recentHistory);
-
-    // Add current user message
-    messages.push({
-      role: 'user',
-      content: message
+    const result = await this._chat(messages, {
+      maxTokens: this.summaryMaxTokens,
+      temperature: 0.3,
+      topP: 0.9,
+      maxRetries: 1 // A missed summary only means older history is dropped this turn
     });
 
-    let lastError;
-    let modelToUse = this.model;
-    let triedModelFallback = false;
-    
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-      try {
-        const completion = await this.groq.chat.completions.create({
-          messages: messages,
-          model: modelToUse,
-          max_tokens: options.maxTokens || this.maxTokens,
-          temperature: options.temperature || this.temperature,
-          top_p: 0.9,
-          stream: false,
-        });
-
-        if (completion.choices && completion.choices[0] && completion.choices[0].message) {
-          const response = completion.choices[0].message.content.trim();
-          
-          // Validate response length and content
-          if (response.length === 0) {
-            throw new Error('Empty response from Groq API');
-          }
-          
-          return response;
-        } else {
-          throw new Error('Unexpected response format from Groq API');
-        }
+    return result.content;
+  }
 
-      } catch (error) {
-        lastError = error;
-        
-        // Handle specific error cases
-        if (error.status === 404 && !triedModelFallback) {
-          // Model not found - try to find a better model
-          console.warn(`Model ${modelToUse} not found, trying to find alternative...`);
-          try {
-            modelToUse = await this.findBestAvailableModel();
-            triedModelFallback = true;
-            continue; // Retry with new model
-          } catch (modelError) {
-            console.warn('Failed to find alternative model:', modelError.message);
-          }
-        }
-        
-        if (error.status === 429) {
-          // Rate limit exceeded
-          console.warn(`Groq rate limit exceeded, retrying in ${this.retryDelay * attempt}ms (attempt ${attempt}/${this.maxRetries})`);
-          
-          if (attempt < this.maxRetries) {
-            await this._sleep(this.retryDelay * attempt);
-            continue;
-          }
-          throw new Error('Rate limit exceeded. Please try again later.');
-        }
-        
-        if (error.status === 401) {
-          // Unauthorized - don't retry
-          throw new Error('Invalid Groq API key');
-        }
-        
-        if (error.status === 400) {
-          // Bad request - don't retry
-          throw new Error('Invalid request format');
-        }
-        
-        if (error.status >= 500) {
-          // Server error - retry with exponential backoff
-          if (attempt < this.maxRetries) {
-            console.warn(`Groq server error, retrying in ${this.retryDelay * attempt}ms (attempt ${attempt}/${this.maxRetries}):`, error.message);
-            await this._sleep(this.retryDelay * attempt);
-            continue;
-          }
-        }
-        
-        // For other errors, retry with exponential backoff
-        if (attempt < this.maxRetries) {
-          console.warn(`Groq API request failed, retrying in ${this.retryDelay * attempt}ms (attempt ${attempt}/${this.maxRetries}):`, error.message);
-          await this._sleep(this.retryDelay * attempt);
-        }
+  /**
+   * System prompt, conversation summary and the user's message, without history
+   * @private
+   */
+  _frameMessages(message, options = {}) {
+    const prompt = options.prompt || this.getPrompt('system', options.region);
+    const messages = [
+      {
+        role: 'system',
+        content: prompt.text
       }
+    ];
+
+    if (options.summary) {
+      messages.push({
+        role: 'system',
+        content: `Summary of the earlier conversation (those messages are not shown):\n${options.summary}`
+      });
     }
-    
-    // All retries failed
-    throw new Error(`Groq service failed after ${this.maxRetries} attempts: ${lastError.message}`);
+
+    return {
+      messages,
+      userMessage: {
+        role: 'user',
+        content: message
+      }
+    };
   }
 
   /**
    * Generate a crisis-specific response
    * @param {string} message - User's message indicating crisis
    * @param {string} severity - Crisis severity level
+   * @param {Object} region - Caller's region { country, state, campus, language }
+   * @param {Object} options - options.prompt is the rendered crisis prompt
    * @returns {Promise<string>} Crisis response
    */
-  async generateCrisisResponse(message, severity = 'high') {
-    const crisisPrompt = `CRISIS RESPONSE - Keep under 100 words, be direct and supportive.
-
-User expressed: ${message}
-
-Respond with:
-1. "I'm very concerned about you"
-2. Crisis resources: 988, text HOME to 741741
-3. "You're not alone, help is available"
-4. Encourage immediate action
-
-Be compassionate but BRIEF and DIRECT. This is urgent.`;
-
+  async generateCrisisResponse(message, severity = 'high', region = {}, options = {}) {
     try {
+      const crisisPrompt = options.prompt || this.getPrompt('crisis', region, { userMessage: message, severity });
       const messages = [
         {
           role: 'system',
-          content: crisisPrompt
+          content: crisisPrompt.text
         },
         {
           role: 'user',
@@ -250,70 +314,77 @@ Be compassionate but BRIEF and DIRECT. This is urgent.`;
         }
       ];
 
-      const completion = await this.groq.chat.completions.create({
-        messages: messages,
-        model: this.model,
-        max_tokens: 150, // Even shorter for crisis responses
+      const result = await this._chat(messages, {
+        maxTokens: 150, // Even shorter for crisis responses
         temperature: 0.3, // Lower temperature for more consistent crisis responses
-        top_p: 0.8,
-        stream: false,
+        topP: 0.8,
+        maxRetries: 1 // Fall back to the template rather than keep the student waiting
       });
 
-      if (completion.choices && completion.choices[0] && completion.choices[0].message) {
-        return completion.choices[0].message.content.trim();
-      } else {
-        throw new Error('Failed to generate crisis response');
-      }
+      return result.content;
 
     } catch (error) {
       console.error('Crisis response generation failed:', error);
-      // Return a hardcoded crisis response as fallback
+      // Return a templated crisis response as fallback
+      const resources = this.resourceDirectory.getResourcesForSeverity('immediate', region).slice(0, 3);
       return `I'm very concerned about what you're sharing. Your safety is the most important thing right now. Please reach out for immediate help:
 
-🚨 National Suicide Prevention Lifeline: 988
-📱 Crisis Text Line: Text HOME to 741741
-🏥 Emergency Services: 911
+${this.resourceDirectory.formatResourceLines(resources)}
 
 You don't have to go through this alone. There are people who want to help you right now. Please reach out to one of these resources immediately.`;
     }
   }
 
   /**
-   * Test the Groq API connection
+   * Estimate the token count of messages with the first configured provider's tokenizer estimate
+   * @param {Array|string} input - Messages or text
+   * @returns {number} Estimated tokens
+   */
+  countTokens(input) {
+    const [provider] = this.getAvailableProviders();
+    return provider ? provider.countTokens(input) : Math.ceil(JSON.stringify(input).length / 4);
+  }
+
+  /**
+   * Check every configured provider
+   * @returns {Promise<Array>} [{ provider, ok, model, latencyMs, error? }]
+   */
+  async checkHealth() {
+    return Promise.all(this.getAvailableProviders().map(async (provider) => ({
+      provider: provider.name,
+      ...(await provider.health())
+    })));
+  }
+
+  /**
+   * Test the connection by generating a short reply
    * @returns {Promise<Object>} Test result
    */
   async testConnection() {
     if (!this.isServiceAvailable()) {
       return {
         success: false,
-        error: 'Groq service not configured - API key missing'
+        error: 'No LLM provider configured'
       };
     }
 
     try {
-      // First try to find the best available model
-      try {
-        await this.findBestAvailableModel();
-      } catch (modelError) {
-        console.warn('Could not find optimal model, using default:', modelError.message);
-      }
-      
       const testMessage = "Hello, this is a test message.";
       const response = await this.generateResponse(testMessage);
       
       return {
         success: true,
-        message: 'Groq API connection successful',
+        message: 'LLM connection successful',
         testResponse: response.substring(0, 100) + '...',
         model: this.model,
-        availableModels: this.preferredModels
+        providers: await this.checkHealth()
       };
     } catch (error) {
       return {
         success: false,
         error: error.message,
         model: this.model,
-        triedModels: this.preferredModels
+        providers: await this.checkHealth()
       };
     }
   }
@@ -323,12 +394,21 @@ You don't have to go through this alone. There are people who want to help you r
    * @returns {Object} Service status
    */
   getServiceStatus() {
+    const [provider] = this.getAvailableProviders();
+
     return {
       available: this.isServiceAvailable(),
       model: this.model,
       maxTokens: this.maxTokens,
       temperature: this.temperature,
-      provider: 'Groq',
+      provider: provider ? provider.name : null,
+      // Failover order; unconfigured providers are skipped
+      providers: this.providers.map(p => ({
+        name: p.name,
+        model: p.model,
+        models: p.models,
+        configured: p.isConfigured()
+      })),
       features: [
         'mental-health-support',
         'crisis-detection',
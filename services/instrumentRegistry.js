@@ -0,0 +1,531 @@
+const fs = require('fs');
+const path = require('path');
+const JsonFileStore = require('./jsonFileStore');
+
+/**
+ * Registry of screening instruments.
+ *
+ * Each questionnaire is a JSON file in the instruments directory describing
+ * its items, response sets, reverse-keyed items, subscales, scoring methods,
+ * interpretation ranges, crisis rules, translations and, for instruments
+ * that can be administered in chat, answer phrases. Files are validated
+ * when they are loaded; an invalid file is left out and reported rather than
+ * half-loaded. Which instruments a campus offers is kept in a separate
+ * settings file edited through the admin routes. Both are re-read when they
+ * change on disk, checked at most every `reloadIntervalMs`, so a new
+ * instrument only needs a new file.
+ */
+class InstrumentRegistry {
+  constructor(options = {}) {
+    this.directory = options.directory ||
+      process.env.SCREENING_INSTRUMENTS_DIR ||
+      path.join(__dirname, '..', 'data', 'instruments');
+
+    this.settingsPath = options.settingsPath ||
+      process.env.SCREENING_INSTRUMENT_SETTINGS_FILE ||
+      path.join(__dirname, '..', 'data', 'instrumentSettings.json');
+
+    // Campus key whose settings apply to every campus without its own
+    this.allCampuses = '*';
+
+    this.formulas = ['sum', 'subscales'];
+    this.crisisActions = ['immediate_intervention', 'urgent_referral'];
+
+    this.instruments = [];
+    this.loadErrors = [];
+    this.loadedSignature = null;
+
+    // How often lookups check the directory and settings file for changes
+    this.reloadIntervalMs = options.reloadIntervalMs !== undefined
+      ? options.reloadIntervalMs
+      : parseInt(process.env.SCREENING_INSTRUMENTS_RELOAD_MS) || 5000;
+    this.checkedAt = 0;
+
+    this.settings = {};
+    // Checked along with the directory, under the interval above
+    this.settingsFile = new JsonFileStore({
+      filePath: this.settingsPath,
+      label: 'screening instrument settings',
+      optional: true
+    });
+
+    this._reloadIfChanged(true);
+  }
+
+  /**
+   * List loaded instruments in presentation order
+   * @returns {Array} Compiled instruments
+   */
+  list() {
+    this._reloadIfChanged();
+    return [...this.instruments];
+  }
+
+  /**
+   * Get a loaded instrument
+   * @param {string} name - Instrument name, e.g. PHQ-9
+   * @returns {Object|null} Compiled instrument
+   */
+  get(name) {
+    this._reloadIfChanged();
+    return this.instruments.find(instrument => instrument.name === name) || null;
+  }
+
+  /**
+   * Whether a campus offers an instrument. A campus setting wins over the
+   * all-campus setting; instruments are enabled unless switched off.
+   * @param {string} name - Instrument name
+   * @param {string} campus - Campus, or null for the all-campus setting
+   * @returns {boolean}
+   */
+  isEnabled(name, campus = null) {
+    this._reloadIfChanged();
+
+    const campusSetting = campus ? (this.settings[campus] || {})[name] : undefined;
+    if (typeof campusSetting === 'boolean') {
+      return campusSetting;
+    }
+
+    const defaultSetting = (this.settings[this.allCampuses] || {})[name];
+    return typeof defaultSetting === 'boolean' ? defaultSetting : true;
+  }
+
+  /**
+   * List the instruments a campus offers
+   * @param {string} campus - Campus
+   * @returns {Array} Compiled instruments
+   */
+  listForCampus(campus) {
+    return this.list().filter(instrument => this.isEnabled(instrument.name, campus));
+  }
+
+  /**
+   * Summarize instruments for administration
+   * @param {string} campus - Campus to report the enabled state for
+   * @returns {Array} One summary per instrument
+   */
+  describe(campus = null) {
+    return this.list().map(instrument => ({
+      name: instrument.name,
+      fullName: instrument.fullName,
+      version: instrument.version,
+      type: instrument.type,
+      file: instrument.file,
+      questionCount: instrument.questions.length,
+      scoringMethods: Object.keys(instrument.scoring),
+      subscales: Object.keys(instrument.scoring.standard.subscales || {}),
+      languages: ['en', ...Object.keys(instrument.translations)],
+      // Languages the instrument can be answered in within chat or voice
+      conversationalLanguages: Object.keys((instrument.conversational || {}).phrases || {}),
+      enabled: this.isEnabled(instrument.name, campus),
+      campuses: this._campusSettings(instrument.name)
+    }));
+  }
+
+  /**
+   * Switch an instrument on or off for a campus
+   * @param {string} name - Instrument name
+   * @param {string} campus - Campus, or '*' for every campus without its own setting
+   * @param {boolean} enabled - Whether the campus offers the instrument
+   * @returns {Promise<Object|null>} Updated summary, or null if not found
+   */
+  async setEnabled(name, campus, enabled) {
+    if (!campus || typeof campus !== 'string') {
+      throw this._validationError(`campus is required; use '${this.allCampuses}' for every campus`);
+    }
+    if (typeof enabled !== 'boolean') {
+      throw this._validationError('enabled must be true or false');
+    }
+    if (!this.get(name)) {
+      return null;
+    }
+
+    this.settings[campus] = { ...this.settings[campus], [name]: enabled };
+    await this._persistSettings();
+
+    return this.describe(campus === this.allCampuses ? null : campus).find(summary => summary.name === name);
+  }
+
+  /**
+   * Check an instrument definition against the schema
+   * @param {Object} definition - Parsed instrument file
+   * @returns {Array<string>} Problems found; empty when valid
+   */
+  validate(definition) {
+    const problems = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(definition)) {
+      return ['definition must be a JSON object'];
+    }
+
+    ['name', 'fullName'].forEach(field => {
+      if (!definition[field] || typeof definition[field] !== 'string') {
+        problems.push(`${field} is required`);
+      }
+    });
+
+    // Response sets: numbered options, and a default set for items that name none
+    const responseSets = isObject(definition.responseSets) ? definition.responseSets : {};
+    if (!responseSets.default) {
+      problems.push('responseSets.default is required');
+    }
+    Object.entries(responseSets).forEach(([setName, options]) => {
+      if (!Array.isArray(options) || options.length < 2) {
+        problems.push(`responseSets.${setName} needs at least two options`);
+      } else if (options.some(option => !Number.isInteger(option.value) || option.value < 0 || typeof option.text !== 'string')) {
+        problems.push(`responseSets.${setName} options need a non-negative integer value and a text`);
+      } else if (new Set(options.map(option => option.value)).size !== options.length) {
+        problems.push(`responseSets.${setName} repeats a value`);
+      }
+    });
+
+    // Items
+    const items = Array.isArray(definition.items) ? definition.items : [];
+    if (!items.length) {
+      problems.push('items must be a non-empty array');
+    }
+    const itemIds = new Set();
+    items.forEach((item, index) => {
+      const label = item && item.id ? `item ${item.id}` : `item ${index + 1}`;
+      if (!isObject(item) || !item.id || typeof item.id !== 'string') {
+        problems.push(`${label} needs an id`);
+        return;
+      }
+      if (itemIds.has(item.id)) {
+        problems.push(`${label} is defined twice`);
+      }
+      itemIds.add(item.id);
+      if (!item.text || typeof item.text !== 'string') {
+        problems.push(`${label} needs a text`);
+      }
+      if (item.responseSet && !responseSets[item.responseSet]) {
+        problems.push(`${label} uses unknown response set ${item.responseSet}`);
+      }
+      if (item.gate && index !== 0) {
+        problems.push(`${label} is a gate but not the first item`);
+      }
+      if (item.gate && (item.reverse || item.subscale)) {
+        problems.push(`${label} is a gate and cannot be reverse scored or belong to a subscale`);
+      }
+    });
+
+    // Scoring methods
+    const scoring = isObject(definition.scoring) ? definition.scoring : {};
+    if (!scoring.standard) {
+      problems.push('scoring.standard is required');
+    }
+    const subscaleNames = new Set();
+    Object.entries(scoring).forEach(([methodName, method]) => {
+      problems.push(...this._validateMethod(`scoring.${methodName}`, method, items, responseSets));
+      if (isObject(method) && isObject(method.subscales)) {
+        Object.keys(method.subscales).forEach(name => subscaleNames.add(name));
+      }
+    });
+    items.filter(item => item && item.subscale && !subscaleNames.has(item.subscale)).forEach(item => {
+      problems.push(`item ${item.id} belongs to subscale ${item.subscale}, which no scoring method defines`);
+    });
+
+    // Crisis rules
+    const crisisRules = definition.crisisRules || [];
+    if (!Array.isArray(crisisRules)) {
+      problems.push('crisisRules must be an array');
+    } else {
+      crisisRules.forEach((rule, index) => {
+        const label = rule && rule.id ? `crisis rule ${rule.id}` : `crisis rule ${index + 1}`;
+        const targets = ['item', 'subscale', 'total'].filter(field => rule && rule[field]);
+        if (!rule || !rule.id) {
+          problems.push(`${label} needs an id`);
+        }
+        if (targets.length !== 1) {
+          problems.push(`${label} must check exactly one of item, subscale or total`);
+        } else if (rule.item && !itemIds.has(rule.item)) {
+          problems.push(`${label} checks unknown item ${rule.item}`);
+        } else if (rule.subscale && !subscaleNames.has(rule.subscale)) {
+          problems.push(`${label} checks unknown subscale ${rule.subscale}`);
+        }
+        if (!rule || typeof rule.atLeast !== 'number') {
+          problems.push(`${label} needs a numeric atLeast`);
+        }
+        if (!rule || !this.crisisActions.includes(rule.action)) {
+          problems.push(`${label} action must be one of: ${this.crisisActions.join(', ')}`);
+        }
+      });
+    }
+
+    // Phrases that map a free-text answer in chat or voice to each default option
+    if (definition.conversational !== undefined) {
+      const phrases = isObject(definition.conversational) && isObject(definition.conversational.phrases)
+        ? definition.conversational.phrases
+        : null;
+      if (!phrases) {
+        problems.push('conversational.phrases must map languages to phrase lists');
+      } else {
+        Object.entries(phrases).forEach(([language, lists]) => {
+          if (!Array.isArray(lists) || lists.length !== (responseSets.default || []).length ||
+              lists.some(list => !Array.isArray(list) || !list.length || list.some(phrase => !phrase || typeof phrase !== 'string'))) {
+            problems.push(`conversational.phrases.${language} needs a list of phrases for every default option`);
+          }
+        });
+      }
+      if (items.some(item => item && item.responseSet && item.responseSet !== 'default')) {
+        problems.push('conversational administration needs every item on the default response set');
+      }
+    }
+
+    // Translations may only refer to things the instrument has
+    Object.entries(isObject(definition.translations) ? definition.translations : {}).forEach(([language, translation]) => {
+      Object.keys((translation && translation.items) || {}).forEach(id => {
+        if (!itemIds.has(id)) {
+          problems.push(`translations.${language} translates unknown item ${id}`);
+        }
+      });
+      Object.entries((translation && translation.responseSets) || {}).forEach(([setName, texts]) => {
+        if (!responseSets[setName] || !Array.isArray(texts) || texts.length !== responseSets[setName].length) {
+          problems.push(`translations.${language}.responseSets.${setName} must translate every option of an existing set`);
+        }
+      });
+    });
+
+    return problems;
+  }
+
+  /**
+   * Check one scoring method, including that its ranges cover 0 to the
+   * highest score the items can add up to
+   * @private
+   */
+  _validateMethod(label, method, items, responseSets) {
+    const problems = [];
+
+    if (!method || typeof method !== 'object') {
+      return [`${label} must be an object`];
+    }
+    if (!this.formulas.includes(method.formula)) {
+      return [`${label}.formula must be one of: ${this.formulas.join(', ')}`];
+    }
+    if (method.multiplier !== undefined && !(typeof method.multiplier === 'number' && method.multiplier > 0)) {
+      problems.push(`${label}.multiplier must be a positive number`);
+    }
+    if (method.recode && (typeof method.recode !== 'object' ||
+        Object.values(method.recode).some(value => typeof value !== 'number'))) {
+      problems.push(`${label}.recode must map response values to numbers`);
+    }
+    if (problems.length) {
+      return problems;
+    }
+
+    // Normative figures for the reliable change index between two scores
+    if (method.reliableChange !== undefined && !(method.reliableChange &&
+        typeof method.reliableChange.sd === 'number' && method.reliableChange.sd > 0 &&
+        typeof method.reliableChange.reliability === 'number' &&
+        method.reliableChange.reliability > 0 && method.reliableChange.reliability < 1)) {
+      problems.push(`${label}.reliableChange needs a positive sd and a reliability between 0 and 1`);
+    }
+
+    const maxOf = scoredItems => scoredItems
+      .reduce((sum, item) => sum + this._maxItemScore(item, responseSets, method), 0) * (method.multiplier || 1);
+    const scoredItems = items.filter(item => item && !item.gate);
+
+    if (method.formula === 'subscales') {
+      if (!method.subscales || typeof method.subscales !== 'object' || !Object.keys(method.subscales).length) {
+        return [...problems, `${label}.subscales is required for the subscales formula`];
+      }
+
+      let total = 0;
+      Object.entries(method.subscales).forEach(([name, subscale]) => {
+        const subscaleMax = maxOf(scoredItems.filter(item => item.subscale === name));
+        total += subscaleMax;
+        problems.push(...this._validateRanges(`${label}.subscales.${name}`, subscale, subscaleMax));
+      });
+      if (method.maxScore !== total) {
+        problems.push(`${label}.maxScore is ${method.maxScore} but the subscales add up to ${total}`);
+      }
+      return problems;
+    }
+
+    return [...problems, ...this._validateRanges(label, method, maxOf(scoredItems))];
+  }
+
+  /**
+   * Ranges must run from 0 to maxScore without gaps or overlaps
+   * @private
+   */
+  _validateRanges(label, scoring, expectedMax) {
+    const problems = [];
+    const ranges = scoring && Array.isArray(scoring.ranges) ? scoring.ranges : [];
+
+    if (!ranges.length) {
+      return [`${label}.ranges must be a non-empty array`];
+    }
+    if (scoring.maxScore !== expectedMax) {
+      problems.push(`${label}.maxScore is ${scoring.maxScore} but the items score up to ${expectedMax}`);
+    }
+    if (typeof scoring.clinicalCutoff !== 'number' || scoring.clinicalCutoff < 0 || scoring.clinicalCutoff > expectedMax) {
+      problems.push(`${label}.clinicalCutoff must be a score between 0 and ${expectedMax}`);
+    }
+
+    let next = 0;
+    ranges.forEach(range => {
+      if (!range.level || range.min !== next || !(range.max >= range.min)) {
+        problems.push(`${label}.ranges must run from 0 without gaps or overlaps (check ${range.level || 'unnamed range'})`);
+      }
+      next = range.max + 1;
+    });
+    if (next - 1 !== expectedMax) {
+      problems.push(`${label}.ranges end at ${next - 1} instead of ${expectedMax}`);
+    }
+
+    return problems;
+  }
+
+  /**
+   * Highest score one item can contribute under a scoring method
+   * @private
+   */
+  _maxItemScore(item, responseSets, method) {
+    const options = responseSets[item.responseSet || 'default'] || [];
+    return Math.max(0, ...options.map(option =>
+      (method.recode ? method.recode[option.value] : option.value) || 0));
+  }
+
+  /**
+   * Turn a validated definition into the shape the screening service uses
+   * @private
+   */
+  _compile(definition, file) {
+    const responseSets = definition.responseSets;
+
+    return {
+      name: definition.name,
+      version: definition.version || 1,
+      order: definition.order,
+      file,
+      fullName: definition.fullName,
+      description: definition.description || '',
+      type: definition.type || 'general',
+      timeframe: definition.timeframe || '',
+      instructions: definition.instructions || null,
+      questions: definition.items.map(item => ({
+        ...item,
+        responseSet: item.responseSet || 'default'
+      })),
+      responseSets,
+      responseOptions: responseSets.default,
+      alternativeResponseOptions: responseSets.alternative,
+      scoring: definition.scoring,
+      crisisRules: definition.crisisRules || [],
+      conversational: definition.conversational || null,
+      translations: definition.translations || {}
+    };
+  }
+
+  /**
+   * Campus settings recorded for an instrument
+   * @private
+   */
+  _campusSettings(name) {
+    const campuses = {};
+    Object.entries(this.settings).forEach(([campus, instruments]) => {
+      if (typeof (instruments || {})[name] === 'boolean') {
+        campuses[campus] = instruments[name];
+      }
+    });
+    return campuses;
+  }
+
+  /**
+   * Create an error the routes report as a bad request
+   * @param {string} message - Error message
+   * @returns {Error} Error flagged as a validation failure
+   * @private
+   */
+  _validationError(message) {
+    const error = new Error(message);
+    error.isValidationError = true;
+    return error;
+  }
+
+  /**
+   * Reload instruments when a file in the directory was added, removed or
+   * changed, and the campus settings when their file changed. The disk is
+   * only looked at once per reload interval.
+   * @param {boolean} force - Check regardless of the interval
+   * @private
+   */
+  _reloadIfChanged(force = false) {
+    const now = Date.now();
+    if (!force && now - this.checkedAt < this.reloadIntervalMs) {
+      return;
+    }
+    this.checkedAt = now;
+
+    let files = [];
+    try {
+      files = fs.readdirSync(this.directory)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => ({ file, mtimeMs: fs.statSync(path.join(this.directory, file)).mtimeMs }));
+    } catch (error) {
+      if (this.loadedSignature === null) {
+        console.error('Error reading screening instruments:', error.message);
+      }
+    }
+
+    const signature = files.map(({ file, mtimeMs }) => `${file}:${mtimeMs}`).join('|');
+    if (signature !== this.loadedSignature) {
+      this._loadInstruments(files.map(({ file }) => file));
+      this.loadedSignature = signature;
+    }
+
+    const settings = this.settingsFile.readIfChanged(true);
+    if (settings !== undefined) {
+      this.settings = settings;
+    }
+  }
+
+  /**
+   * Read, validate and compile every instrument file
+   * @private
+   */
+  _loadInstruments(files) {
+    const instruments = [];
+    const loadErrors = [];
+
+    files.forEach(file => {
+      let problems;
+      let definition;
+      try {
+        definition = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        problems = this.validate(definition);
+      } catch (error) {
+        problems = [`not valid JSON: ${error.message}`];
+      }
+
+      if (!problems.length && instruments.some(instrument => instrument.name === definition.name)) {
+        problems = [`instrument ${definition.name} is already defined by another file`];
+      }
+
+      if (problems.length) {
+        loadErrors.push({ file, problems });
+        console.error(`Screening instrument ${file} was not loaded: ${problems.join('; ')}`);
+        return;
+      }
+
+      instruments.push(this._compile(definition, file));
+    });
+
+    const order = instrument => (typeof instrument.order === 'number' ? instrument.order : Infinity);
+    this.instruments = instruments.sort((a, b) => (order(a) - order(b)) || a.name.localeCompare(b.name));
+    this.loadErrors = loadErrors;
+  }
+
+  /**
+   * @private
+   */
+  async _persistSettings() {
+    await this.settingsFile.write(this.settings);
+  }
+}
+
+module.exports = InstrumentRegistry;
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes made in this process, per file, so other stores for the same file
+// see them on their next read instead of after the reload interval
+const localWrites = new Map();
+
+/**
+ * A JSON file shared by every service instance and process that uses it.
+ *
+ * Reads only look at the disk once per `reloadIntervalMs` and only parse the
+ * file when it changed since the last read, so lookups rarely touch the disk
+ * yet still see edits made by other processes. A write through another store
+ * for the same file in this process is seen on the next read. Writes go to a
+ * temp file of their own and are renamed over the store, so readers never
+ * see a partial file. A rename still replaces whatever another writer saved
+ * in the meantime, so read-modify-write updates run inside `transaction()`,
+ * which holds a lock file like the booking file store does.
+ */
+class JsonFileStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Store file
+   * @param {string} options.label - Name used in load errors, e.g. 'crisis resource directory'
+   * @param {number} options.reloadIntervalMs - How often reads check the file for changes
+   * @param {boolean} options.optional - A missing file just means nothing has been saved yet
+   * @param {number} options.mode - File mode for stores holding secrets
+   * @param {number} options.lockTimeoutMs - How long a transaction waits for the lock
+   * @param {number} options.staleLockMs - Age after which a lock left by a crashed writer is broken
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.key = path.resolve(this.filePath);
+    this.label = options.label || path.basename(this.filePath);
+    this.reloadIntervalMs = options.reloadIntervalMs || 0;
+    this.optional = Boolean(options.optional);
+    this.mode = options.mode;
+    this.lockPath = `${this.filePath}.lock`;
+    this.lockTimeoutMs = options.lockTimeoutMs || 5000;
+    this.staleLockMs = options.staleLockMs || 30000;
+    this.lockRetryMs = 20;
+
+    this.loadedVersion = null;
+    this.checkedAt = 0;
+    this.seenWrites = 0;
+    this.failing = false;
+  }
+
+  /**
+   * Read the file if it changed since the last read
+   * @param {boolean} force - Check regardless of the reload interval
+   * @returns {*} Parsed contents, or undefined if unchanged or unreadable
+   */
+  readIfChanged(force = false) {
+    const now = Date.now();
+    const writes = localWrites.get(this.key) || 0;
+    if (!force && writes === this.seenWrites && now - this.checkedAt < this.reloadIntervalMs) {
+      return undefined;
+    }
+    this.checkedAt = now;
+    this.seenWrites = writes;
+
+    try {
+      const version = this._version(fs.statSync(this.filePath));
+      if (version === this.loadedVersion) {
+        return undefined;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.loadedVersion = version;
+      this.failing = false;
+      return data;
+    } catch (error) {
+      // Report a broken file once rather than on every check
+      if (!(this.optional && error.code === 'ENOENT') && !this.failing) {
+        console.error(`Error loading ${this.label}:`, error.message);
+      }
+      this.failing = true;
+      return undefined;
+    }
+  }
+
+  /**
+   * Replace the file atomically
+   * @param {*} data - Contents to save as JSON
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    const tempPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), this.mode ? { mode: this.mode } : undefined);
+    await fs.promises.rename(tempPath, this.filePath);
+
+    // What was just written is already in memory
+    this.loadedVersion = this._version(await fs.promises.stat(this.filePath));
+    this.failing = false;
+    localWrites.set(this.key, (localWrites.get(this.key) || 0) + 1);
+    this.seenWrites = localWrites.get(this.key);
+  }
+
+  /**
+   * Run a read-modify-write under the lock file, so writers in other
+   * instances and processes cannot overwrite each other's changes. The
+   * operation should reload with `readIfChanged(true)` before changing
+   * anything and save with `write()`.
+   * @param {Function} operation - Async function doing the update
+   * @returns {Promise<*>} What the operation returned
+   */
+  async transaction(operation) {
+    await this._acquireLock();
+    try {
+      return await operation();
+    } finally {
+      await this._releaseLock();
+    }
+  }
+
+  /**
+   * Create the lock file, waiting for other holders and breaking stale locks
+   * @private
+   */
+  async _acquireLock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    while (true) {
+      try {
+        const handle = await fs.promises.open(this.lockPath, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this._isLockStale()) {
+        await fs.promises.unlink(this.lockPath).catch(() => {});
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        const error = new Error(`Timed out waiting for the ${this.label} lock`);
+        error.code = 'JSON_STORE_LOCKED';
+        throw error;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.lockRetryMs));
+    }
+  }
+
+  /**
+   * Check whether the lock file was left behind by a crashed writer
+   * @private
+   */
+  async _isLockStale() {
+    try {
+      const stats = await fs.promises.stat(this.lockPath);
+      return Date.now() - stats.mtimeMs > this.staleLockMs;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove the lock file
+   * @private
+   */
+  async _releaseLock() {
+    await fs.promises.unlink(this.lockPath).catch(() => {});
+  }
+
+  /**
+   * File identity for change detection. Size is included because a change
+   * written in the same millisecond as the last read must still be seen.
+   * @private
+   */
+  _version(stats) {
+    return `${stats.mtimeMs}:${stats.size}`;
+  }
+}
+
+module.exports = JsonFileStore;
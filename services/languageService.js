@@ -1,4 +1,5 @@
 const axios = require('axios');
+const ResourceDirectoryService = require('./resourceDirectoryService');
 
 class LanguageService {
   constructor() {
@@ -25,6 +26,7 @@ class LanguageService {
     };
     
     this.defaultLanguage = 'en';
+    this.resourceDirectory = new ResourceDirectoryService();
     this.maxRetries = 3;
     this.retryDelay = 1000;
   }
@@ -296,41 +298,20 @@ class LanguageService {
   /**
    * Get mental health resources for specific language
    * @param {string} languageCode - Language code
+   * @param {Object} region - Caller's region { country, state, campus }
    * @returns {Array} Language-specific mental health resources
    */
-  getMentalHealthResourcesForLanguage(languageCode) {
-    const resources = {
-      'en': [
-        {
-          name: 'National Suicide Prevention Lifeline',
-          phone: '988',
-          description: '24/7 crisis support',
-          availability: '24/7'
-        },
-        {
-          name: 'Crisis Text Line',
-          phone: '741741',
-          description: 'Text HOME for crisis support',
-          availability: '24/7'
-        }
-      ],
-      'mr': [
-        {
-          name: 'राष्ट्रीय आत्महत्या प्रतिबंध हेल्पलाइन',
-          phone: '988',
-          description: '२४/७ संकट सहाय्य',
-          availability: '२४/७'
-        },
-        {
-          name: 'संकट मजकूर लाइन',
-          phone: '741741',
-          description: 'संकट सहाय्यासाठी HOME मजकूर पाठवा',
-          availability: '२४/७'
-        }
-      ]
-    };
-
-    return resources[languageCode] || resources[this.defaultLanguage];
+  getMentalHealthResourcesForLanguage(languageCode, region = {}) {
+    const language = this.isLanguageSupported(languageCode) ? languageCode : this.defaultLanguage;
+
+    return this.resourceDirectory
+      .getResourcesForSeverity('high', { ...region, language })
+      .map(resource => ({
+        name: resource.name,
+        phone: resource.phoneNumber || resource.website,
+        description: resource.description,
+        availability: resource.availability
+      }));
   }
 
   /**
@@ -0,0 +1,417 @@
+/**
+ * LLM Providers
+ * Chat completion backends used by GroqService. Every provider takes
+ * OpenAI-style messages [{ role, content }] and implements chat(), stream(),
+ * countTokens() and health(). Failures are thrown with the HTTP `status`
+ * when there is one, so the caller can decide whether to retry or move on
+ * to the next provider.
+ */
+
+const Groq = require('groq-sdk');
+const axios = require('axios');
+
+class LLMProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    // Tried in order when the current model is not found (404)
+    this.models = options.models || [];
+    this.model = this.models[0] || null;
+    this.contextWindow = options.contextWindow || 8192;
+  }
+
+  /**
+   * Whether the provider has what it needs to take requests
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Generate a complete reply
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - { maxTokens, temperature, topP, signal }
+   * @returns {Promise<Object>} { content, model, usage }
+   */
+  async chat(messages, options = {}) {
+    throw new Error(`${this.constructor.name} must implement chat()`);
+  }
+
+  /**
+   * Generate a reply as text deltas
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - { maxTokens, temperature, topP, signal }
+   * @returns {AsyncGenerator<string>}
+   */
+  async *stream(messages, options = {}) {
+    throw new Error(`${this.constructor.name} must implement stream()`);
+  }
+
+  /**
+   * Estimate the prompt size of messages or a string. Roughly four
+   * characters per token plus a few tokens of framing per message, which is
+   * close enough for the Llama and Gemma tokenizers to budget context.
+   * @param {Array|string} input - Messages or text
+   * @returns {number} Estimated tokens
+   */
+  countTokens(input) {
+    if (typeof input === 'string') {
+      return Math.ceil(input.length / 4);
+    }
+    return (input || []).reduce((total, message) => total + 4 + Math.ceil(String(message.content || '').length / 4), 2);
+  }
+
+  /**
+   * Check that the backend answers
+   * @returns {Promise<Object>} { ok, model, latencyMs, error? }
+   */
+  async health() {
+    const started = Date.now();
+    try {
+      await this._ping();
+      return { ok: true, model: this.model, latencyMs: Date.now() - started };
+    } catch (error) {
+      return { ok: false, model: this.model, latencyMs: Date.now() - started, error: error.message };
+    }
+  }
+
+  /**
+   * Run a request, moving to the next configured model while the current one is not found
+   * @param {Function} request - Called with the model name
+   * @returns {Promise<*>} Request result
+   * @protected
+   */
+  async _withModelFallback(request) {
+    for (;;) {
+      try {
+        return await request(this.model);
+      } catch (error) {
+        const next = this.models[this.models.indexOf(this.model) + 1];
+        if (error.status !== 404 || !next) {
+          throw error;
+        }
+        console.warn(`${this.name}: model ${this.model} not available, switching to ${next}`);
+        this.model = next;
+      }
+    }
+  }
+
+  /**
+   * Lightweight request used by health()
+   * @protected
+   */
+  async _ping() {
+    throw new Error(`${this.constructor.name} must implement _ping()`);
+  }
+
+  /**
+   * Build a provider error
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status, if any
+   * @returns {Error}
+   */
+  static providerError(message, status) {
+    const error = new Error(message);
+    error.code = 'LLM_PROVIDER_ERROR';
+    error.status = status;
+    return error;
+  }
+}
+
+/**
+ * Groq cloud API (GROQ_API_KEY, models from GROQ_MODELS)
+ */
+class GroqProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('groq', {
+      models: options.models || parseList(process.env.GROQ_MODELS) || ['llama-3.1-8b-instant', 'gemma2-9b-it'],
+      contextWindow: options.contextWindow
+    });
+    this.apiKey = options.apiKey || process.env.GROQ_API_KEY;
+    this.client = options.client || (this.apiKey ? new Groq({ apiKey: this.apiKey }) : null);
+  }
+
+  isConfigured() {
+    return !!this.apiKey && !!this.client;
+  }
+
+  async chat(messages, options = {}) {
+    const completion = await this._withModelFallback(model => this.client.chat.completions.create({
+      messages,
+      model,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      top_p: options.topP,
+      stream: false
+    }, { signal: options.signal }));
+
+    return completionResult(completion, this.model);
+  }
+
+  async *stream(messages, options = {}) {
+    const stream = await this._withModelFallback(model => this.client.chat.completions.create({
+      messages,
+      model,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      top_p: options.topP,
+      stream: true
+    }, { signal: options.signal }));
+
+    for await (const chunk of stream) {
+      const text = deltaText(chunk);
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
+  async _ping() {
+    await this.client.models.list();
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API: OpenAI itself, or a
+ * local llama.cpp (`llama-server`) or Ollama instance for offline use
+ * (OPENAI_COMPATIBLE_BASE_URL, e.g. http://localhost:11434/v1)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options.name || 'openai-compatible', {
+      models: options.models || parseList(process.env.OPENAI_COMPATIBLE_MODELS) || ['llama3.1'],
+      contextWindow: options.contextWindow
+    });
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_COMPATIBLE_API_KEY;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.OPENAI_COMPATIBLE_TIMEOUT_MS) || 60000;
+    this.http = options.http || axios;
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this._withModelFallback(model => this._post({
+      messages,
+      model,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      top_p: options.topP,
+      stream: false
+    }, options));
+
+    return completionResult(response.data, this.model);
+  }
+
+  async *stream(messages, options = {}) {
+    const response = await this._withModelFallback(model => this._post({
+      messages,
+      model,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      top_p: options.topP,
+      stream: true
+    }, { ...options, responseType: 'stream' }));
+
+    // Server-Sent Events: "data: {json}" lines, ending with "data: [DONE]"
+    let buffer = '';
+    try {
+      for await (const chunk of response.data) {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.trim().replace(/^data:\s*/, '');
+          if (!line.trim().startsWith('data:') || !data) {
+            continue;
+          }
+          if (data === '[DONE]') {
+            return;
+          }
+          const text = deltaText(JSON.parse(data));
+          if (text) {
+            yield text;
+          }
+        }
+      }
+    } finally {
+      // Close the connection after [DONE], a parse error or a consumer that stopped
+      // reading, rather than leaving the socket open until the server hangs up
+      if (!response.data.destroyed) {
+        response.data.destroy();
+      }
+    }
+  }
+
+  async _ping() {
+    await this.http.get(`${this.baseUrl}/models`, {
+      headers: this._headers(),
+      timeout: 5000
+    });
+  }
+
+  /**
+   * POST to /chat/completions, mapping HTTP failures to provider errors
+   * @private
+   */
+  async _post(body, options = {}) {
+    try {
+      return await this.http.post(`${this.baseUrl}/chat/completions`, body, {
+        headers: this._headers(),
+        timeout: this.timeoutMs,
+        responseType: options.responseType,
+        signal: options.signal
+      });
+    } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        throw error;
+      }
+      const status = error.response && error.response.status;
+      throw LLMProvider.providerError(
+        `${this.name} ${status ? `answered ${status}` : `unreachable: ${error.message}`}`,
+        status
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  _headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+}
+
+/**
+ * Deterministic replies without a network, for tests and demos. The same
+ * last user message always gets the same reply; pass `responses` to script
+ * replies (a list used in turn, or a function of the messages).
+ */
+class MockLLMProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options.name || 'mock', { models: ['mock-1'], contextWindow: options.contextWindow });
+    this.responses = options.responses || null;
+    this.calls = [];
+    this.replies = [
+      "I understand this feels like a lot right now, and it makes sense to feel that way. Try taking a few slow breaths, then pick one small thing to focus on. If it keeps weighing on you, the campus counselors are here to help.",
+      "Thank you for sharing that with me. Your feelings are valid, and you don't have to handle this alone. Would it help to talk through what's been hardest this week?",
+      "That sounds really stressful. Breaking the work into short blocks with breaks in between can make it more manageable, and reaching out to a friend or counselor can help too."
+    ];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async chat(messages, options = {}) {
+    const content = this._reply(messages);
+    return {
+      content,
+      model: this.model,
+      usage: { promptTokens: this.countTokens(messages), completionTokens: this.countTokens(content) }
+    };
+  }
+
+  async *stream(messages, options = {}) {
+    const content = this._reply(messages);
+    for (const piece of content.match(/\S+\s*/g) || []) {
+      if (options.signal && options.signal.aborted) {
+        return;
+      }
+      yield piece;
+    }
+  }
+
+  async _ping() {}
+
+  /**
+   * @private
+   */
+  _reply(messages) {
+    this.calls.push(messages);
+
+    if (typeof this.responses === 'function') {
+      return this.responses(messages);
+    }
+    if (Array.isArray(this.responses)) {
+      return this.responses[(this.calls.length - 1) % this.responses.length];
+    }
+
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const text = lastUser ? lastUser.content : '';
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+    }
+    return this.replies[hash % this.replies.length];
+  }
+}
+
+const PROVIDERS = {
+  groq: GroqProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  mock: MockLLMProvider
+};
+
+/**
+ * Build the providers named in a comma-separated list, in failover order
+ * @param {string} list - e.g. "groq,openai-compatible"; defaults to LLM_PROVIDERS
+ * @returns {Array<LLMProvider>}
+ */
+function createProviders(list = process.env.LLM_PROVIDERS) {
+  const names = parseList(list) || ['groq', 'openai-compatible'];
+  return names.map(name => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown LLM provider "${name}" (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return new Provider();
+  });
+}
+
+/**
+ * @private
+ */
+function parseList(value) {
+  const items = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : null;
+}
+
+/**
+ * @private
+ */
+function completionResult(completion, model) {
+  const message = completion && completion.choices && completion.choices[0] && completion.choices[0].message;
+  if (!message || typeof message.content !== 'string') {
+    throw LLMProvider.providerError('Unexpected response format from LLM provider');
+  }
+
+  const usage = completion.usage || {};
+  return {
+    content: message.content.trim(),
+    model: completion.model || model,
+    usage: { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens }
+  };
+}
+
+/**
+ * @private
+ */
+function deltaText(chunk) {
+  return chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+}
+
+module.exports = {
+  LLMProvider,
+  GroqProvider,
+  OpenAICompatibleProvider,
+  MockLLMProvider,
+  createProviders
+};
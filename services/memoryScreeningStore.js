@@ -0,0 +1,161 @@
+/**
+ * Memory Screening Store
+ * Keeps screening records in process memory, with the same retention and
+ * rollup behaviour as the MongoDB store. Records are lost on restart; it is
+ * meant for tests and for deployments that choose not to keep screenings.
+ */
+
+const crypto = require('crypto');
+const ScreeningStore = require('./screeningStore');
+
+class MemoryScreeningStore extends ScreeningStore {
+  constructor() {
+    super();
+    this.assessments = new Map();
+    this.histories = new Map();
+    this.statistics = new Map();
+  }
+
+  async initialize() {}
+
+  async saveAssessment(assessment) {
+    const stored = {
+      ...assessment,
+      id: crypto.randomUUID(),
+      anonymousId: assessment.anonymousId || crypto.randomUUID(),
+      createdAt: assessment.createdAt || new Date()
+    };
+
+    this.assessments.set(stored.id, stored);
+    return { ...stored };
+  }
+
+  async appendHistory(owner, entry, options = {}) {
+    const history = this._live(this.histories.get(owner)) || {
+      userId: owner,
+      assessments: [],
+      consentToStore: true,
+      consentDate: entry.date,
+      summary: { totalAssessments: 0, toolsUsed: [], lastAssessment: null, averageScores: {} }
+    };
+
+    history.assessments.push({ ...entry });
+    history.dataRetentionExpiry = options.dataRetentionExpiry || history.dataRetentionExpiry;
+    history.summary = {
+      totalAssessments: history.assessments.length,
+      toolsUsed: [...new Set(history.assessments.map(item => item.toolName))],
+      lastAssessment: entry.date,
+      averageScores: ScreeningStore.averageScores(history.assessments)
+    };
+
+    this.histories.set(owner, history);
+    return this._copy(history);
+  }
+
+  async findHistory(owner) {
+    return this._liveHistory(this.histories.get(owner));
+  }
+
+  async findHistoryByAssessment(assessmentId) {
+    const history = Array.from(this.histories.values())
+      .find(item => item.assessments.some(entry => entry.assessmentId === assessmentId));
+    return this._liveHistory(history);
+  }
+
+  async deleteHistory(owner) {
+    const history = this.histories.get(owner);
+    if (!history) {
+      return 0;
+    }
+
+    let deleted = 0;
+    history.assessments.forEach(entry => {
+      if (this.assessments.delete(entry.assessmentId)) {
+        deleted++;
+      }
+    });
+    this.histories.delete(owner);
+    return deleted;
+  }
+
+  async addToStatistics(date, toolName, counts) {
+    const key = `${date.toISOString()}|${toolName}`;
+    const day = this.statistics.get(key) || {
+      date,
+      toolName,
+      totalAssessments: 0,
+      scoreDistribution: {},
+      crisisDetections: { total: 0, byType: {} },
+      averageScore: 0,
+      scoreTotal: 0,
+      validityStats: { valid: 0, questionable: 0, invalid: 0 }
+    };
+    // Rollups saved before students were counted start with none
+    day.students = day.students || { total: [], levels: {}, crises: [], crisisTypes: {} };
+    const addStudent = (ids = []) => (ids.includes(counts.student) ? ids : [...ids, counts.student]);
+
+    day.totalAssessments++;
+    day.scoreTotal += counts.score;
+    day.averageScore = day.scoreTotal / day.totalAssessments;
+    day.scoreDistribution[counts.level] = (day.scoreDistribution[counts.level] || 0) + 1;
+    day.validityStats[counts.validity] = (day.validityStats[counts.validity] || 0) + 1;
+    day.students.total = addStudent(day.students.total);
+    day.students.levels[counts.level] = addStudent(day.students.levels[counts.level]);
+    if (counts.crisisTypes.length) {
+      day.crisisDetections.total++;
+      day.students.crises = addStudent(day.students.crises);
+    }
+    counts.crisisTypes.forEach(type => {
+      day.crisisDetections.byType[type] = (day.crisisDetections.byType[type] || 0) + 1;
+      day.students.crisisTypes[type] = addStudent(day.students.crisisTypes[type]);
+    });
+
+    this.statistics.set(key, day);
+  }
+
+  async findStatistics(filters = {}) {
+    return Array.from(this.statistics.values())
+      .filter(day => !filters.from || day.date >= filters.from)
+      .filter(day => !filters.to || day.date <= filters.to)
+      .filter(day => !filters.toolName || day.toolName === filters.toolName)
+      .sort((a, b) => (a.date - b.date) || a.toolName.localeCompare(b.toolName))
+      .map(day => this._copy(day));
+  }
+
+  /**
+   * The record, unless it has passed its retention expiry
+   * @private
+   */
+  _live(record) {
+    if (!record || (record.dataRetentionExpiry && record.dataRetentionExpiry <= new Date())) {
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Copy of a history without the assessments past their retention
+   * @private
+   */
+  _liveHistory(record) {
+    const history = this._live(record);
+    if (!history) {
+      return null;
+    }
+
+    return this._copy({
+      ...history,
+      assessments: history.assessments.filter(entry => this._live(this.assessments.get(entry.assessmentId)))
+    });
+  }
+
+  /**
+   * Deep copy, so callers cannot change stored records
+   * @private
+   */
+  _copy(record) {
+    return structuredClone(record);
+  }
+}
+
+module.exports = MemoryScreeningStore;
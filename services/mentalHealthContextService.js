@@ -1,3 +1,5 @@
+const ResourceDirectoryService = require('./resourceDirectoryService');
+
 class MentalHealthContextService {
   constructor() {
     // Coping strategies database organized by situation type
@@ -87,17 +89,16 @@ class MentalHealthContextService {
       ]
     };
     
+    // Region-aware crisis helplines
+    this.resourceDirectory = new ResourceDirectoryService();
+    
     // Professional resource recommendations
     this.professionalResources = {
       immediate: [
         {
           type: "Crisis Counseling",
           description: "Immediate professional support for crisis situations",
-          resources: [
-            "National Suicide Prevention Lifeline: 988",
-            "Crisis Text Line: Text HOME to 741741",
-            "Local Emergency Services: 911"
-          ]
+          resources: [] // Filled per region from the resource directory
         }
       ],
       
@@ -254,7 +255,7 @@ class MentalHealthContextService {
     
     // Add professional resource recommendations
     if (needsAssessment.needsProfessionalHelp) {
-      const resources = this.getProfessionalResources(needsAssessment.resourceType);
+      const resources = this.getProfessionalResources(needsAssessment.resourceType, conversationContext.region);
       enhancements.professionalResources = resources;
       
       if (resources.length > 0 && !this.containsProfessionalRecommendation(originalResponse)) {
@@ -431,10 +432,22 @@ class MentalHealthContextService {
   /**
    * Get professional resource recommendations
    * @param {string} resourceType - Type of resource needed
+   * @param {Object} region - Caller's region { country, state, campus, language }
    * @returns {Array} Professional resources
    */
-  getProfessionalResources(resourceType) {
-    return this.professionalResources[resourceType] || [];
+  getProfessionalResources(resourceType, region = {}) {
+    const resources = this.professionalResources[resourceType] || [];
+    
+    if (resourceType !== 'immediate') {
+      return resources;
+    }
+    
+    const helplines = this.resourceDirectory
+      .getResourcesForSeverity('immediate', region)
+      .slice(0, 3)
+      .map(r => `${r.shortName || r.name}: ${r.phoneNumber || r.website}`);
+    
+    return resources.map(resource => ({ ...resource, resources: helplines }));
   }
 
   /**
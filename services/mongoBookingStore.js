@@ -0,0 +1,201 @@
+/**
+ * MongoDB Booking Store
+ * Keeps bookings in MongoDB through mongoose. Exact double-booking is blocked
+ * by the unique partial index on slotKey; overlapping sessions and group
+ * capacity are checked against a per-counselor-day revision, and a write is
+ * rolled back if another write claimed time on that day in the meantime.
+ */
+
+const mongoose = require('mongoose');
+const BookingStore = require('./bookingStore');
+const { Booking, BookingDay } = require('../models/bookingSchemas');
+
+const DUPLICATE_KEY = 11000;
+
+class MongoBookingStore extends BookingStore {
+  constructor(options = {}) {
+    super();
+    this.uri = options.uri || process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/aarogyatech';
+    this.model = options.model || Booking;
+    this.dayModel = options.dayModel || BookingDay;
+    this.maxWriteAttempts = 5;
+    this.ownsConnection = false;
+  }
+
+  async initialize() {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(this.uri);
+      this.ownsConnection = true;
+    }
+
+    // Builds the unique indexes before the first write relies on them
+    await this.model.init();
+    await this.dayModel.init();
+  }
+
+  async list() {
+    const docs = await this.model.find({}).lean();
+    return docs.map(doc => this._toBooking(doc));
+  }
+
+  async findById(id) {
+    const doc = await this.model.findOne({ id }).lean();
+    return this._toBooking(doc);
+  }
+
+  async findActiveByDate(date) {
+    const docs = await this.model.find({ preferredDate: date, status: { $ne: 'cancelled' } }).lean();
+    return docs.map(doc => this._toBooking(doc));
+  }
+
+  async insert(booking, options = {}) {
+    const write = async () => {
+      await this.model.create(this._toDocument(booking));
+      return true;
+    };
+    const rollback = () => this.model.deleteOne({ id: booking.id });
+
+    await this._guardedWrite(booking, options.findConflict, write, rollback);
+    return booking;
+  }
+
+  async update(id, changes, options = {}) {
+    for (let attempt = 0; attempt < this.maxWriteAttempts; attempt++) {
+      const current = await this.model.findOne({ id }).lean();
+      if (!current) {
+        return null;
+      }
+
+      const booking = this._applyChanges(this._toBooking(current), changes, options.audit);
+
+      // Matching on updatedAt turns the read-modify-write into a compare-and-swap
+      const write = async () => {
+        const result = await this.model.replaceOne({ id, updatedAt: current.updatedAt }, this._toDocument(booking));
+        return result.matchedCount === 1;
+      };
+      const rollback = () => this.model.replaceOne({ id }, current);
+
+      if (await this._guardedWrite(booking, options.findConflict, write, rollback)) {
+        return booking;
+      }
+    }
+
+    throw this._busyError(id);
+  }
+
+  async close() {
+    if (this.ownsConnection) {
+      await mongoose.disconnect();
+      this.ownsConnection = false;
+    }
+  }
+
+  /**
+   * Write a booking after checking it against the counselor's day, retrying
+   * when another write claimed time that day between the check and the write
+   * @param {Object} booking - Booking being written
+   * @param {Function} findConflict - Conflict check
+   * @param {Function} write - Performs the write, resolves false if the document changed underneath
+   * @param {Function} rollback - Undoes the write
+   * @returns {Promise<boolean>} False if write() reported a stale document
+   * @private
+   */
+  async _guardedWrite(booking, findConflict, write, rollback) {
+    if (!BookingStore.holdsTime(booking)) {
+      return this._write(booking, write);
+    }
+
+    const dayKey = `${booking.preferredDate}|${BookingStore.counselorKey(booking)}`;
+
+    for (let attempt = 0; attempt < this.maxWriteAttempts; attempt++) {
+      const day = await this.dayModel.findOne({ key: dayKey }).lean();
+      const revision = day ? day.revision : 0;
+
+      const docs = await this.model.find({
+        preferredDate: booking.preferredDate,
+        assignedCounselor: booking.assignedCounselor || null,
+        status: { $ne: 'cancelled' }
+      }).lean();
+      this._assertSlotFree(docs.map(doc => this._toBooking(doc)), booking, findConflict);
+
+      if (!await this._write(booking, write)) {
+        return false;
+      }
+      if (await this._bumpRevision(dayKey, revision)) {
+        return true;
+      }
+      await rollback();
+    }
+
+    throw this._busyError(booking.id);
+  }
+
+  /**
+   * Run a write, translating duplicate slot keys into slot conflicts
+   * @private
+   */
+  async _write(booking, write) {
+    try {
+      return await write();
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY && error.keyPattern?.slotKey) {
+        throw BookingStore.slotConflictError(booking);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Advance a day's revision if nobody else has since it was read
+   * @private
+   */
+  async _bumpRevision(key, revision) {
+    try {
+      const result = await this.dayModel.updateOne(
+        { key, revision },
+        { $inc: { revision: 1 } },
+        { upsert: revision === 0 }
+      );
+      return result.matchedCount === 1 || result.upsertedCount === 1;
+    } catch (error) {
+      // Two first writes of the day raced to create the counter
+      if (error.code === DUPLICATE_KEY) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the error thrown when a write keeps losing races
+   * @private
+   */
+  _busyError(id) {
+    const error = new Error(`Booking ${id} is being updated by another request`);
+    error.code = 'BOOKING_UPDATE_CONFLICT';
+    return error;
+  }
+
+  /**
+   * Add storage-only fields to a booking
+   * @private
+   */
+  _toDocument(booking) {
+    return { ...booking, slotKey: BookingStore.slotKey(booking) };
+  }
+
+  /**
+   * Strip storage-only fields from a document
+   * @private
+   */
+  _toBooking(doc) {
+    if (!doc) {
+      return null;
+    }
+
+    const { _id, slotKey, ...booking } = doc;
+    return booking;
+  }
+}
+
+module.exports = MongoBookingStore;
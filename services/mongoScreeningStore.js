@@ -0,0 +1,178 @@
+/**
+ * MongoDB Screening Store
+ * Keeps screening records in MongoDB through the mongoose models in
+ * models/screeningSchemas.js. Expired assessments and histories are removed
+ * by their TTL indexes; daily rollups are kept. Rollups are counted with
+ * atomic increments so concurrent assessments cannot lose each other.
+ */
+
+const mongoose = require('mongoose');
+const ScreeningStore = require('./screeningStore');
+const { ScreeningAssessment, ScreeningStatistics, UserScreeningHistory } = require('../models/screeningSchemas');
+
+class MongoScreeningStore extends ScreeningStore {
+  constructor(options = {}) {
+    super();
+    this.uri = options.uri || process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/aarogyatech';
+    this.assessmentModel = options.assessmentModel || ScreeningAssessment;
+    this.statisticsModel = options.statisticsModel || ScreeningStatistics;
+    this.historyModel = options.historyModel || UserScreeningHistory;
+    this.ownsConnection = false;
+  }
+
+  async initialize() {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(this.uri);
+      this.ownsConnection = true;
+    }
+
+    // Builds the TTL and unique (date, toolName) indexes before the first write
+    await this.assessmentModel.init();
+    await this.statisticsModel.init();
+    await this.historyModel.init();
+  }
+
+  async saveAssessment(assessment) {
+    const doc = await this.assessmentModel.create(assessment);
+    const { _id, __v, ...stored } = doc.toObject();
+    return { ...stored, id: _id.toString() };
+  }
+
+  async appendHistory(owner, entry, options = {}) {
+    const history = await this.historyModel.findOneAndUpdate(
+      { userId: owner },
+      {
+        $push: { assessments: entry },
+        $setOnInsert: { consentToStore: true, consentDate: entry.date },
+        $set: { dataRetentionExpiry: options.dataRetentionExpiry, 'summary.lastAssessment': entry.date },
+        $inc: { 'summary.totalAssessments': 1 },
+        $addToSet: { 'summary.toolsUsed': entry.toolName }
+      },
+      { upsert: true, new: true, lean: true }
+    );
+
+    // Averages are recomputed from the entries the update returned
+    const averageScores = ScreeningStore.averageScores(history.assessments);
+    await this.historyModel.updateOne({ _id: history._id }, { $set: { 'summary.averageScores': averageScores } });
+
+    return this._toHistory({ ...history, summary: { ...history.summary, averageScores } });
+  }
+
+  async findHistory(owner) {
+    return this._liveHistory(await this.historyModel.findOne({ userId: owner }).lean());
+  }
+
+  async findHistoryByAssessment(assessmentId) {
+    if (!mongoose.isValidObjectId(assessmentId)) {
+      return null;
+    }
+    return this._liveHistory(await this.historyModel.findOne({ 'assessments.assessmentId': assessmentId }).lean());
+  }
+
+  async deleteHistory(owner) {
+    const history = await this.historyModel.findOne({ userId: owner }).lean();
+    if (!history) {
+      return 0;
+    }
+
+    const result = await this.assessmentModel.deleteMany({
+      _id: { $in: history.assessments.map(entry => entry.assessmentId) }
+    });
+    await this.historyModel.deleteOne({ _id: history._id });
+    return result.deletedCount;
+  }
+
+  async addToStatistics(date, toolName, counts) {
+    const increments = {
+      totalAssessments: 1,
+      scoreTotal: counts.score,
+      [`scoreDistribution.${counts.level}`]: 1,
+      [`validityStats.${counts.validity}`]: 1,
+      'crisisDetections.total': counts.crisisTypes.length ? 1 : 0
+    };
+    counts.crisisTypes.forEach(type => {
+      increments[`crisisDetections.byType.${type}`] = 1;
+    });
+
+    const students = {
+      'students.total': counts.student,
+      [`students.levels.${counts.level}`]: counts.student
+    };
+    if (counts.crisisTypes.length) {
+      students['students.crises'] = counts.student;
+    }
+    counts.crisisTypes.forEach(type => {
+      students[`students.crisisTypes.${type}`] = counts.student;
+    });
+
+    await this.statisticsModel.updateOne({ date, toolName }, { $inc: increments, $addToSet: students }, { upsert: true });
+
+    // Derived from the stored counters, so it is right whichever update lands last
+    await this.statisticsModel.updateOne({ date, toolName }, [
+      { $set: { averageScore: { $divide: ['$scoreTotal', '$totalAssessments'] } } }
+    ]);
+  }
+
+  async findStatistics(filters = {}) {
+    const query = {};
+    if (filters.from || filters.to) {
+      query.date = {
+        ...(filters.from && { $gte: filters.from }),
+        ...(filters.to && { $lte: filters.to })
+      };
+    }
+    if (filters.toolName) {
+      query.toolName = filters.toolName;
+    }
+
+    const docs = await this.statisticsModel.find(query).sort({ date: 1, toolName: 1 }).lean();
+    return docs.map(({ _id, __v, createdAt, updatedAt, ...day }) => day);
+  }
+
+  async close() {
+    if (this.ownsConnection) {
+      await mongoose.disconnect();
+      this.ownsConnection = false;
+    }
+  }
+
+  /**
+   * A history without the assessments past their retention
+   * @private
+   */
+  async _liveHistory(history) {
+    if (!history) {
+      return null;
+    }
+
+    // The TTL monitor runs about once a minute; hide what it has yet to remove
+    const ids = history.assessments.map(entry => entry.assessmentId);
+    const live = await this.assessmentModel
+      .find({ _id: { $in: ids }, dataRetentionExpiry: { $gt: new Date() } })
+      .select('_id')
+      .lean();
+    const liveIds = new Set(live.map(doc => doc._id.toString()));
+
+    return this._toHistory({
+      ...history,
+      assessments: history.assessments.filter(entry => liveIds.has(entry.assessmentId.toString()))
+    });
+  }
+
+  /**
+   * Strip storage-only fields from a history and use string assessment ids
+   * @private
+   */
+  _toHistory(doc) {
+    const { _id, __v, ...history } = doc;
+    return {
+      ...history,
+      assessments: history.assessments.map(({ _id: entryId, ...entry }) => ({
+        ...entry,
+        assessmentId: entry.assessmentId.toString()
+      }))
+    };
+  }
+}
+
+module.exports = MongoScreeningStore;
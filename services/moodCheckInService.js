@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const path = require('path');
+const JsonFileStore = require('./jsonFileStore');
+
+// Emotion tags a student can pick alongside their 1-10 mood
+const EMOTION_TAGS = [
+  'calm', 'happy', 'hopeful', 'grateful', 'motivated',
+  'tired', 'stressed', 'anxious', 'sad', 'lonely', 'angry', 'overwhelmed', 'numb'
+];
+
+const PHASES = ['pre', 'post'];
+const CHANNELS = ['chat', 'voice'];
+
+/**
+ * Mood Check-In Service
+ * Stores the 1-10 mood and emotion tags students give at the start ('pre')
+ * and end ('post') of a chat or voice session. Check-ins are kept against a
+ * hash of the student, never the account id or chat session itself: signed-in
+ * students are keyed by their user id, anonymous students by a random history
+ * token handed out with their first check-in.
+ */
+class MoodCheckInService {
+  /**
+   * @param {Object} options
+   * @param {string} options.storePath - Check-in file
+   */
+  constructor(options = {}) {
+    this.storePath = options.storePath || process.env.MOOD_CHECKINS_FILE ||
+      path.join(__dirname, '..', 'data', 'moodCheckIns.json');
+
+    this.config = {
+      maxEmotions: 5,
+      maxHistoryDays: 365
+    };
+
+    this.checkIns = [];
+    this.storeFile = new JsonFileStore({ filePath: this.storePath, label: 'mood check-ins', optional: true });
+
+    // Serializes writes from this instance
+    this.queue = Promise.resolve();
+    this._reloadIfChanged(true);
+  }
+
+  /**
+   * Emotion tags students can choose from
+   * @returns {Array<string>} Tags
+   */
+  getEmotionTags() {
+    return EMOTION_TAGS.slice();
+  }
+
+  /**
+   * Key check-ins are stored under for a student
+   * @param {Object} identity - { userId } for signed-in students or { token } for anonymous ones
+   * @returns {string|null} Owner hash, or null when neither is given
+   */
+  ownerFor(identity = {}) {
+    if (identity.userId !== undefined && identity.userId !== null) {
+      return this._hash(`user:${identity.userId}`);
+    }
+    if (identity.token && typeof identity.token === 'string') {
+      return this._hash(`token:${identity.token}`);
+    }
+    return null;
+  }
+
+  /**
+   * New history token for an anonymous student; only its hash is stored
+   * @returns {string} Token
+   */
+  issueToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Save a check-in
+   * @param {string} owner - Owner hash from ownerFor()
+   * @param {Object} data - { phase, mood, emotions, channel, sessionId }
+   * @returns {Promise<Object>} Saved check-in, with sessionId (generated for a new session)
+   * @throws {Error} Validation error for bad input
+   */
+  async recordCheckIn(owner, data = {}) {
+    const checkIn = this._validate(data);
+    const sessionId = (typeof data.sessionId === 'string' && data.sessionId.trim()) ||
+      `mood_${crypto.randomUUID()}`;
+
+    const entry = {
+      id: crypto.randomUUID(),
+      owner,
+      session: this._hash(`session:${sessionId}`).substring(0, 16),
+      ...checkIn,
+      createdAt: new Date().toISOString()
+    };
+
+    await this._update(entries => {
+      if (checkIn.phase === 'post' && !entries.some(e => e.owner === owner && e.session === entry.session && e.phase === 'pre')) {
+        throw this._validationError('A post-session check-in needs the sessionId of a pre-session check-in');
+      }
+      return entries.concat(entry);
+    });
+
+    return { ...this._view(entry), sessionId };
+  }
+
+  /**
+   * A student's check-ins with daily averages and per-session change
+   * @param {string} owner - Owner hash from ownerFor()
+   * @param {Object} options - { days } of history, default 30
+   * @returns {Promise<Object>} { checkIns, daily, sessions, summary }
+   */
+  async getHistory(owner, options = {}) {
+    const days = Math.min(parseInt(options.days) || 30, this.config.maxHistoryDays);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    this._reloadIfChanged();
+    const checkIns = this.checkIns
+      .filter(entry => entry.owner === owner && entry.createdAt >= since)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    const byDay = new Map();
+    checkIns.forEach(entry => {
+      const day = entry.createdAt.substring(0, 10);
+      byDay.set(day, (byDay.get(day) || []).concat(entry.mood));
+    });
+    const daily = Array.from(byDay, ([date, moods]) => ({
+      date,
+      averageMood: this._average(moods),
+      checkIns: moods.length
+    }));
+
+    const bySession = new Map();
+    checkIns.forEach(entry => {
+      const session = bySession.get(entry.session) || { pre: null, post: null };
+      session[entry.phase] = entry;
+      bySession.set(entry.session, session);
+    });
+    const sessions = Array.from(bySession.values())
+      .filter(session => session.pre)
+      .map(({ pre, post }) => ({
+        date: pre.createdAt,
+        channel: pre.channel,
+        pre: pre.mood,
+        post: post ? post.mood : null,
+        change: post ? post.mood - pre.mood : null
+      }));
+
+    const changes = sessions.filter(session => session.change !== null).map(session => session.change);
+    const emotionCounts = {};
+    checkIns.forEach(entry => entry.emotions.forEach(tag => {
+      emotionCounts[tag] = (emotionCounts[tag] || 0) + 1;
+    }));
+
+    return {
+      checkIns: checkIns.map(entry => this._view(entry)),
+      daily,
+      sessions,
+      summary: {
+        averageMood: checkIns.length > 0 ? this._average(checkIns.map(entry => entry.mood)) : null,
+        averageChange: changes.length > 0 ? this._average(changes) : null,
+        latestMood: checkIns.length > 0 ? checkIns[checkIns.length - 1].mood : null,
+        topEmotions: Object.entries(emotionCounts)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 3)
+          .map(([tag]) => tag),
+        days
+      }
+    };
+  }
+
+  /**
+   * Map a 1-10 mood onto the -1..1 sentiment scale used by analytics
+   * @param {number} mood - Mood rating
+   * @returns {number} Sentiment score
+   */
+  toSentiment(mood) {
+    return Math.round(((mood - 5.5) / 4.5) * 100) / 100;
+  }
+
+  /**
+   * Check and normalize check-in input
+   * @private
+   */
+  _validate(data) {
+    if (!PHASES.includes(data.phase)) {
+      throw this._validationError(`phase must be one of: ${PHASES.join(', ')}`);
+    }
+
+    const mood = Number(data.mood);
+    if (!Number.isInteger(mood) || mood < 1 || mood > 10) {
+      throw this._validationError('mood must be a whole number from 1 to 10');
+    }
+
+    const emotions = Array.isArray(data.emotions) ? [...new Set(data.emotions)] : [];
+    const unknown = emotions.filter(tag => !EMOTION_TAGS.includes(tag));
+    if (unknown.length > 0) {
+      throw this._validationError(`Unknown emotion tag(s): ${unknown.join(', ')}`);
+    }
+    if (emotions.length > this.config.maxEmotions) {
+      throw this._validationError(`Choose at most ${this.config.maxEmotions} emotions`);
+    }
+
+    const channel = data.channel || 'chat';
+    if (!CHANNELS.includes(channel)) {
+      throw this._validationError(`channel must be one of: ${CHANNELS.join(', ')}`);
+    }
+
+    return { phase: data.phase, mood, emotions, channel };
+  }
+
+  /**
+   * Check-in as returned to the student (without the owner hash)
+   * @private
+   */
+  _view(entry) {
+    const { owner, session, ...view } = entry;
+    return view;
+  }
+
+  /**
+   * @private
+   */
+  _average(values) {
+    return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+  }
+
+  /**
+   * @private
+   */
+  _hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  /**
+   * Create an error the routes report as a bad request
+   * @private
+   */
+  _validationError(message) {
+    const error = new Error(message);
+    error.isValidationError = true;
+    return error;
+  }
+
+  /**
+   * Re-read the check-ins if the file changed on disk
+   * @param {boolean} force - Check regardless of the reload interval
+   * @private
+   */
+  _reloadIfChanged(force = false) {
+    const checkIns = this.storeFile.readIfChanged(force);
+    if (checkIns !== undefined) {
+      this.checkIns = checkIns;
+    }
+  }
+
+  /**
+   * Read-modify-write the check-in file under its lock, so the write builds
+   * on what other instances saved
+   * @private
+   */
+  _update(mutate) {
+    const run = this.queue.then(() => this.storeFile.transaction(async () => {
+      this._reloadIfChanged(true);
+      const next = mutate(this.checkIns);
+
+      await this.storeFile.write(next);
+      this.checkIns = next;
+    }));
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = MoodCheckInService;
@@ -0,0 +1,366 @@
+/**
+ * Notification Channels
+ * Delivery adapters used by NotificationService. Each channel sends one
+ * rendered message { to, subject, text } and resolves with a provider
+ * reference, or throws. Channels with `supportsAttachments` also receive
+ * attachments [{ filename, contentType, content }]. Channels with `delivers`
+ * reach the recipient; the file and console channels only keep a local copy.
+ * Errors marked `permanent` (bad address, rejected credentials) are not retried.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+const axios = require('axios');
+
+class NotificationChannel {
+  constructor(name) {
+    this.name = name;
+    this.supportsAttachments = false;
+    this.delivers = false;
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} message - { to, subject, text, language, type, bookingId, attachments? }
+   * @returns {Promise<Object>} { reference }
+   */
+  async send(message) {
+    throw new Error(`${this.constructor.name} must implement send()`);
+  }
+
+  /**
+   * Build a delivery error
+   * @param {string} message - Error message
+   * @param {boolean} permanent - True if retrying cannot help
+   * @returns {Error}
+   */
+  static deliveryError(message, permanent = false) {
+    const error = new Error(message);
+    error.code = 'NOTIFICATION_DELIVERY_FAILED';
+    error.permanent = permanent;
+    return error;
+  }
+
+  /**
+   * Classify an HTTP gateway failure: 4xx (except 408/429) will not succeed on retry
+   * @private
+   */
+  static _httpError(channel, error) {
+    const status = error.response && error.response.status;
+    const permanent = Boolean(status) && status >= 400 && status < 500 && status !== 408 && status !== 429;
+    return NotificationChannel.deliveryError(
+      `${channel} gateway ${status ? `answered ${status}` : `unreachable: ${error.message}`}`,
+      permanent
+    );
+  }
+}
+
+/**
+ * Email over SMTP (implicit TLS when `secure`, AUTH LOGIN when a user is set)
+ */
+class SmtpChannel extends NotificationChannel {
+  constructor(options = {}) {
+    super('email');
+    this.supportsAttachments = true;
+    this.delivers = true;
+    this.host = options.host || process.env.SMTP_HOST;
+    this.port = parseInt(options.port || process.env.SMTP_PORT) || 587;
+    this.secure = options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true';
+    this.user = options.user || process.env.SMTP_USER;
+    this.pass = options.pass || process.env.SMTP_PASS;
+    this.from = options.from || process.env.NOTIFICATION_FROM || 'counseling@aarogyatech.local';
+    this.timeoutMs = options.timeoutMs || 15000;
+  }
+
+  async send(message) {
+    if (!this.host) {
+      throw NotificationChannel.deliveryError('SMTP_HOST is not configured', true);
+    }
+
+    const session = await this._connect();
+    try {
+      await session.expect(220);
+      await session.command(`EHLO ${os.hostname()}`, 250);
+
+      if (this.user) {
+        await session.command('AUTH LOGIN', 334);
+        await session.command(Buffer.from(this.user).toString('base64'), 334);
+        await session.command(Buffer.from(this.pass || '').toString('base64'), 235);
+      }
+
+      await session.command(`MAIL FROM:<${this.from}>`, 250);
+      await session.command(`RCPT TO:<${message.to}>`, [250, 251]);
+      await session.command('DATA', 354);
+      const reply = await session.command(`${this._formatMessage(message)}\r\n.`, 250);
+      await session.command('QUIT', 221).catch(() => {});
+
+      return { reference: reply.text };
+    } finally {
+      session.close();
+    }
+  }
+
+  /**
+   * Open the connection and wrap it in a line-based reply reader
+   * @private
+   */
+  _connect() {
+    return new Promise((resolve, reject) => {
+      const socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+        : net.connect({ host: this.host, port: this.port });
+
+      socket.setEncoding('utf8');
+      socket.setTimeout(this.timeoutMs);
+
+      let buffer = '';
+      let lines = [];
+      let waiting = null;
+      const replies = [];
+
+      const settle = () => {
+        if (waiting && replies.length) {
+          const { resolve: done } = waiting;
+          waiting = null;
+          done(replies.shift());
+        }
+      };
+      const fail = error => {
+        if (waiting) {
+          const { reject: done } = waiting;
+          waiting = null;
+          done(error);
+        }
+      };
+
+      socket.on('data', chunk => {
+        buffer += chunk;
+        let lineEnd;
+        while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, lineEnd);
+          buffer = buffer.slice(lineEnd + 2);
+          lines.push(line);
+          // "250-..." continues a multi-line reply, "250 ..." ends it
+          if (line.charAt(3) !== '-') {
+            replies.push({ code: parseInt(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join('\n') });
+            lines = [];
+          }
+        }
+        settle();
+      });
+      socket.on('timeout', () => {
+        fail(NotificationChannel.deliveryError('SMTP server timed out'));
+        socket.destroy();
+      });
+      socket.on('close', () => {
+        fail(NotificationChannel.deliveryError('SMTP server closed the connection'));
+      });
+      socket.on('error', error => {
+        fail(NotificationChannel.deliveryError(`SMTP connection failed: ${error.message}`));
+        reject(NotificationChannel.deliveryError(`SMTP connection failed: ${error.message}`));
+      });
+
+      const read = () => new Promise((res, rej) => {
+        waiting = { resolve: res, reject: rej };
+        settle();
+      });
+
+      const expect = async (codes) => {
+        const reply = await read();
+        const accepted = [].concat(codes);
+        if (!accepted.includes(reply.code)) {
+          // 5xx is a permanent rejection, 4xx is worth retrying
+          throw NotificationChannel.deliveryError(`SMTP ${reply.code} ${reply.text}`, reply.code >= 500);
+        }
+        return reply;
+      };
+
+      socket.once(this.secure ? 'secureConnect' : 'connect', () => {
+        resolve({
+          expect,
+          command: (line, codes) => {
+            socket.write(`${line}\r\n`);
+            return expect(codes);
+          },
+          close: () => socket.end()
+        });
+      });
+    });
+  }
+
+  /**
+   * Build a UTF-8 message (Marathi needs encoded headers), as multipart/mixed
+   * when it carries attachments such as the appointment's .ics invite
+   * @private
+   */
+  _formatMessage(message) {
+    const encode = content => Buffer.from(content, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    const attachments = message.attachments || [];
+
+    const headers = [
+      `From: AarogyaTech Counseling <${this.from}>`,
+      `To: <${message.to}>`,
+      `Subject: =?UTF-8?B?${Buffer.from(message.subject || '', 'utf8').toString('base64')}?=`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${this.from.split('@')[1] || 'aarogyatech.local'}>`,
+      'MIME-Version: 1.0'
+    ];
+
+    if (!attachments.length) {
+      return [
+        ...headers,
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encode(message.text)
+      ].join('\r\n');
+    }
+
+    const boundary = `part-${crypto.randomBytes(12).toString('hex')}`;
+    const parts = [
+      [
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encode(message.text)
+      ],
+      ...attachments.map(attachment => [
+        `Content-Type: ${attachment.contentType}`,
+        `Content-Disposition: attachment; filename="${attachment.filename}"`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        encode(attachment.content)
+      ])
+    ];
+
+    return [
+      ...headers,
+      `Content-Type: multipart/mixed; boundary="${boundary}"`,
+      '',
+      ...parts.map(part => [`--${boundary}`, ...part].join('\r\n')),
+      `--${boundary}--`
+    ].join('\r\n');
+  }
+}
+
+/**
+ * SMS through an HTTP gateway taking { to, from, message } as JSON
+ */
+class SmsChannel extends NotificationChannel {
+  constructor(options = {}) {
+    super('sms');
+    this.delivers = true;
+    this.url = options.url || process.env.SMS_GATEWAY_URL;
+    this.apiKey = options.apiKey || process.env.SMS_API_KEY;
+    this.sender = options.sender || process.env.SMS_SENDER || 'AROGYA';
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.http = options.http || axios;
+  }
+
+  async send(message) {
+    if (!this.url) {
+      throw NotificationChannel.deliveryError('SMS_GATEWAY_URL is not configured', true);
+    }
+
+    try {
+      const response = await this.http.post(this.url, {
+        to: message.to,
+        from: this.sender,
+        message: message.text,
+        unicode: message.language !== 'en'
+      }, {
+        headers: { Authorization: `Bearer ${this.apiKey}` },
+        timeout: this.timeoutMs
+      });
+
+      return { reference: response.data && (response.data.id || response.data.messageId) || null };
+    } catch (error) {
+      throw NotificationChannel._httpError('SMS', error);
+    }
+  }
+}
+
+/**
+ * Campus message system (student portal inbox) over its HTTP API
+ */
+class CampusMessageChannel extends NotificationChannel {
+  constructor(options = {}) {
+    super('campus-message');
+    this.delivers = true;
+    this.url = options.url || process.env.CAMPUS_MESSAGE_URL;
+    this.apiKey = options.apiKey || process.env.CAMPUS_MESSAGE_API_KEY;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.http = options.http || axios;
+  }
+
+  async send(message) {
+    if (!this.url) {
+      throw NotificationChannel.deliveryError('CAMPUS_MESSAGE_URL is not configured', true);
+    }
+
+    try {
+      const response = await this.http.post(this.url, {
+        recipient: message.to,
+        subject: message.subject,
+        body: message.text,
+        category: 'counseling'
+      }, {
+        headers: { 'X-API-Key': this.apiKey },
+        timeout: this.timeoutMs
+      });
+
+      return { reference: response.data && response.data.id || null };
+    } catch (error) {
+      throw NotificationChannel._httpError('Campus message', error);
+    }
+  }
+}
+
+/**
+ * Appends each message as a JSON line to an outbox file, for development and tests
+ */
+class FileChannel extends NotificationChannel {
+  constructor(name, options = {}) {
+    super(name);
+    this.supportsAttachments = true;
+    this.filePath = options.filePath || process.env.NOTIFICATION_OUTBOX_FILE ||
+      path.join(__dirname, '../data/notification-outbox.jsonl');
+  }
+
+  async send(message) {
+    const reference = crypto.randomUUID();
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, JSON.stringify({
+      reference,
+      channel: this.name,
+      at: new Date().toISOString(),
+      ...message
+    }) + '\n');
+
+    return { reference };
+  }
+}
+
+/**
+ * Prints each message to the console, for development
+ */
+class ConsoleChannel extends NotificationChannel {
+  async send(message) {
+    console.log(`[notification:${this.name}] to ${message.to}: ${message.subject}\n${message.text}`);
+    return { reference: null };
+  }
+}
+
+module.exports = {
+  NotificationChannel,
+  SmtpChannel,
+  SmsChannel,
+  CampusMessageChannel,
+  FileChannel,
+  ConsoleChannel
+};
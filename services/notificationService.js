@@ -0,0 +1,475 @@
+/**
+ * Notification Service
+ * Sends booking confirmations, reschedule and cancellation notices and
+ * 24h/1h reminders over the student's chosen contact method. Every message
+ * goes through a persisted delivery log: failed sends are retried with
+ * exponential backoff by the scheduler, and each message is sent at most once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const CounselorCalendarService = require('./counselorCalendarService');
+const ResourceDirectoryService = require('./resourceDirectoryService');
+const CalendarExportService = require('./calendarExportService');
+const JsonFileStore = require('./jsonFileStore');
+const {
+  SmtpChannel,
+  SmsChannel,
+  CampusMessageChannel,
+  FileChannel,
+  ConsoleChannel
+} = require('./notificationChannels');
+
+class NotificationService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.channels - Channel per contact method; defaults to NOTIFICATION_TRANSPORT
+   * @param {string} options.logFile - Delivery log file
+   * @param {CounselorCalendarService} options.calendar - Used for counselor names
+   * @param {ResourceDirectoryService} options.resourceDirectory - Used for the crisis helpline
+   */
+  constructor(options = {}) {
+    this.channels = options.channels || this.createChannels(options.transport || process.env.NOTIFICATION_TRANSPORT);
+    this.logFile = options.logFile || process.env.NOTIFICATION_LOG_FILE ||
+      path.join(__dirname, '..', 'data', 'notification-log.json');
+    this.templatesFile = options.templatesFile || path.join(__dirname, '..', 'data', 'notificationTemplates.json');
+    this.calendar = options.calendar || new CounselorCalendarService();
+    this.resourceDirectory = options.resourceDirectory || new ResourceDirectoryService();
+    this.calendarExport = options.calendarExport || new CalendarExportService({ calendar: this.calendar });
+
+    this.config = {
+      maxAttempts: options.maxAttempts || 5,
+      retryBaseMs: options.retryBaseMs || 60 * 1000,
+      retryMaxMs: options.retryMaxMs || 60 * 60 * 1000,
+      checkIntervalMs: options.checkIntervalMs || 60 * 1000,
+      maxLogEntries: options.maxLogEntries || 5000,
+      // Notices that carry the appointment as an .ics invite where the channel allows it
+      inviteTypes: options.inviteTypes || ['confirmation', 'rescheduled', 'cancelled'],
+      // Checked from the shortest offset up; only the closest due reminder is sent
+      reminders: options.reminders || [
+        { type: 'reminder-1h', minutesBefore: 60 },
+        { type: 'reminder-24h', minutesBefore: 24 * 60 }
+      ]
+    };
+
+    this.templates = JSON.parse(fs.readFileSync(this.templatesFile, 'utf8'));
+    this.supportedLanguages = ['en', 'mr'];
+
+    // Read on first use; deliveries logged by other processes show up on the next read
+    this.log = [];
+    this.logStore = new JsonFileStore({ filePath: this.logFile, label: 'notification delivery log', optional: true });
+
+    // Serializes delivery log writes from this instance
+    this.queue = Promise.resolve();
+    this.pending = new Set();
+    this.inFlight = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Create the channel for each contact method
+   * @param {string} transport - 'file' (default, writes an outbox file), 'console' or 'live'
+   * @returns {Object} Channels keyed by contact method
+   */
+  createChannels(transport = 'file') {
+    if (transport === 'live') {
+      return {
+        email: new SmtpChannel(),
+        phone: new SmsChannel(),
+        'campus-message': new CampusMessageChannel()
+      };
+    }
+
+    const Channel = transport === 'console' ? ConsoleChannel : FileChannel;
+    return {
+      email: new Channel('email'),
+      phone: new Channel('sms'),
+      'campus-message': new Channel('campus-message')
+    };
+  }
+
+  /**
+   * Send the notice for a booking event (confirmation, rescheduled or cancelled)
+   * @param {string} type - Template name
+   * @param {Object} booking - Booking after the change
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Delivery record, null if this notice was already sent
+   */
+  async notifyBooking(type, booking, now = new Date()) {
+    return this._enqueue(type, booking, `${booking.id}:${type}:${booking.updatedAt || booking.createdAt}`, now);
+  }
+
+  /**
+   * Render a template in the booking's language
+   * @param {string} type - Template name
+   * @param {Object} booking - Booking
+   * @returns {Object} { subject, text, language }
+   */
+  render(type, booking) {
+    const template = this.templates.templates[type];
+    if (!template) {
+      throw new Error(`Unknown notification template: ${type}`);
+    }
+
+    const language = this.supportedLanguages.includes(booking.language) ? booking.language : 'en';
+    const counselor = booking.assignedCounselor ? this.calendar.getCounselor(booking.assignedCounselor) : null;
+    const [helpline] = this.resourceDirectory.getResourcesForSeverity('high', { language });
+
+    const values = {
+      bookingId: booking.id,
+      date: booking.preferredDate,
+      time: booking.preferredTime,
+      duration: booking.durationMinutes || '',
+      sessionType: this.templates.sessionTypes[language][booking.sessionType] || booking.sessionType,
+      helpline: helpline ? this.resourceDirectory.formatResourceList([helpline]) : '112',
+      counselor: counselor ? counselor.name : ''
+    };
+    values.counselorLine = counselor ? this._fill(this.templates.counselorLine[language], values) : '';
+
+    return {
+      subject: this._fill(template[language].subject, values),
+      text: this._fill(template[language].text, values),
+      language
+    };
+  }
+
+  /**
+   * Queue the reminder that is due for each upcoming booking
+   * @param {Array} bookings - Bookings to check
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Delivery records created
+   */
+  async sendDueReminders(bookings, now = new Date()) {
+    const sent = [];
+
+    for (const booking of bookings) {
+      const reminder = this._dueReminder(booking, now);
+      if (!reminder) {
+        continue;
+      }
+
+      const key = `${booking.id}:${reminder.type}:${booking.preferredDate}T${booking.preferredTime}`;
+      const record = await this._enqueue(reminder.type, booking, key, now);
+      if (record) {
+        sent.push(record);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Retry deliveries whose backoff has elapsed
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Deliveries attempted
+   */
+  async retryDue(now = new Date()) {
+    const log = this._readLog();
+    const due = log.filter(record =>
+      record.status === 'retrying' &&
+      new Date(record.nextAttemptAt) <= now &&
+      !this.inFlight.has(record.id)
+    );
+
+    for (const record of due) {
+      await this._deliver(record, now);
+    }
+
+    return due.length;
+  }
+
+  /**
+   * Check reminders and retries every checkIntervalMs
+   * @param {Object} bookingSource - Anything with loadBookings(), e.g. BookingService
+   */
+  startReminders(bookingSource) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runScheduledTasks(bookingSource).catch(error => {
+        console.error('Error running notification scheduler:', error);
+      });
+    }, this.config.checkIntervalMs);
+
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * One scheduler pass: due reminders, then due retries
+   * @param {Object} bookingSource - Anything with loadBookings()
+   * @param {Date} now - Current time
+   */
+  async runScheduledTasks(bookingSource, now = new Date()) {
+    const bookings = await bookingSource.loadBookings();
+    await this.sendDueReminders(bookings, now);
+    await this.retryDue(now);
+  }
+
+  /**
+   * Get delivery log entries, newest first
+   * @param {Object} filters - Optional { bookingId, status, type }
+   * @returns {Promise<Array>} Delivery records
+   */
+  async getDeliveryLog(filters = {}) {
+    const log = this._readLog();
+
+    return log
+      .filter(record =>
+        (!filters.bookingId || record.bookingId === filters.bookingId) &&
+        (!filters.status || record.status === filters.status) &&
+        (!filters.type || record.type === filters.type)
+      )
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(({ text, attachments, ...record }) => ({ ...record, to: this._maskRecipient(record.to) }));
+  }
+
+  /**
+   * Wait for deliveries that are still in progress
+   */
+  async drain() {
+    while (this.pending.size) {
+      await Promise.allSettled([...this.pending]);
+    }
+  }
+
+  destroy() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Record a message in the delivery log (once per key) and attempt it
+   * @returns {Promise<Object|null>} Delivery record, null if the key was already logged
+   * @private
+   */
+  _enqueue(type, booking, key, now) {
+    const delivery = this._logAndDeliver(type, booking, key, now);
+
+    this.pending.add(delivery);
+    delivery.catch(() => {}).then(() => this.pending.delete(delivery));
+    return delivery;
+  }
+
+  /**
+   * @private
+   */
+  async _logAndDeliver(type, booking, key, now) {
+    const channel = this.channels[booking.contactMethod];
+    const rendered = this.render(type, booking);
+
+    const record = {
+      id: crypto.randomUUID(),
+      key,
+      bookingId: booking.id,
+      type,
+      contactMethod: booking.contactMethod,
+      channel: channel ? channel.name : null,
+      language: rendered.language,
+      to: booking.contactInfo,
+      subject: rendered.subject,
+      text: rendered.text,
+      attachments: channel && channel.supportsAttachments && this.config.inviteTypes.includes(type)
+        ? [this._inviteAttachment(booking)]
+        : [],
+      status: 'pending',
+      attempts: 0,
+      createdAt: now.toISOString(),
+      nextAttemptAt: now.toISOString()
+    };
+
+    let created = false;
+    await this._updateLog(log => {
+      if (log.some(existing => existing.key === key)) {
+        return null;
+      }
+      created = true;
+      log.push(record);
+      return log;
+    });
+
+    if (!created) {
+      return null;
+    }
+
+    return this._deliver(record, now);
+  }
+
+  /**
+   * Attempt one delivery and record the outcome
+   * @private
+   */
+  async _deliver(record, now = new Date()) {
+    this.inFlight.add(record.id);
+
+    const attempt = { attempts: record.attempts + 1, lastAttemptAt: now.toISOString() };
+    let outcome;
+
+    try {
+      const channel = this.channels[record.contactMethod];
+      if (!channel) {
+        const error = new Error(`No notification channel for contact method ${record.contactMethod}`);
+        error.permanent = true;
+        throw error;
+      }
+
+      const result = await channel.send({
+        to: record.to,
+        subject: record.subject,
+        text: record.text,
+        attachments: record.attachments || [],
+        language: record.language,
+        type: record.type,
+        bookingId: record.bookingId
+      });
+
+      outcome = { ...attempt, status: 'sent', sentAt: new Date().toISOString(), reference: result.reference || null };
+    } catch (error) {
+      const exhausted = error.permanent || attempt.attempts >= this.config.maxAttempts;
+      outcome = {
+        ...attempt,
+        status: exhausted ? 'failed' : 'retrying',
+        lastError: error.message,
+        nextAttemptAt: exhausted ? null : new Date(now.getTime() + this._backoffMs(attempt.attempts)).toISOString()
+      };
+      console.error(`Notification ${record.type} for booking ${record.bookingId} ${outcome.status}: ${error.message}`);
+    }
+
+    let updated = { ...record, ...outcome };
+    await this._updateLog(log => {
+      const index = log.findIndex(existing => existing.id === record.id);
+      if (index === -1) {
+        return null;
+      }
+      updated = { ...log[index], ...outcome };
+      // Contact details and message text are only kept while a retry needs them
+      if (updated.status !== 'retrying') {
+        updated.to = this._maskRecipient(updated.to);
+        delete updated.text;
+        delete updated.attachments;
+      }
+      log[index] = updated;
+      return log;
+    });
+
+    this.inFlight.delete(record.id);
+    return updated;
+  }
+
+  /**
+   * The booking as an .ics invite (METHOD:CANCEL once it is cancelled)
+   * @private
+   */
+  _inviteAttachment(booking) {
+    const method = booking.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+    return {
+      filename: method === 'CANCEL' ? 'appointment-cancelled.ics' : 'appointment.ics',
+      contentType: `text/calendar; method=${method}; charset=utf-8`,
+      content: this.calendarExport.createBookingInvite(booking)
+    };
+  }
+
+  /**
+   * Pick the reminder due for a booking, if any
+   * @private
+   */
+  _dueReminder(booking, now) {
+    if (!['pending', 'confirmed'].includes(booking.status) || !booking.preferredDate || !booking.preferredTime) {
+      return null;
+    }
+
+    const start = new Date(`${booking.preferredDate}T${booking.preferredTime}`);
+    if (isNaN(start.getTime()) || now >= start) {
+      return null;
+    }
+
+    // A booking made or moved after the reminder time already got its notice
+    const lastScheduled = new Date(booking.rescheduledAt || booking.createdAt || 0);
+
+    for (const reminder of this.config.reminders) {
+      const sendAt = new Date(start.getTime() - reminder.minutesBefore * 60 * 1000);
+      if (now >= sendAt) {
+        return lastScheduled < sendAt ? reminder : null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Delay before the next attempt: base * 2^(attempts - 1), capped
+   * @private
+   */
+  _backoffMs(attempts) {
+    return Math.min(this.config.retryBaseMs * Math.pow(2, attempts - 1), this.config.retryMaxMs);
+  }
+
+  /**
+   * Replace {placeholders} with values
+   * @private
+   */
+  _fill(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+  }
+
+  /**
+   * Hide most of an address or number for the log
+   * @private
+   */
+  _maskRecipient(recipient) {
+    if (!recipient || recipient.includes('***')) {
+      return recipient;
+    }
+
+    const [local, domain] = recipient.split('@');
+    if (domain) {
+      return `${local.charAt(0)}***@${domain}`;
+    }
+    return recipient.length > 4 ? `***${recipient.slice(-4)}` : '***';
+  }
+
+  /**
+   * Read the delivery log
+   * @param {boolean} force - Check the file regardless of the reload interval
+   * @private
+   */
+  _readLog(force = false) {
+    const log = this.logStore.readIfChanged(force);
+    if (log !== undefined) {
+      this.log = log;
+    }
+    return this.log;
+  }
+
+  /**
+   * Read-modify-write the delivery log under its lock, so the write builds on
+   * what other instances saved; mutate returns the new log, or null to leave it unchanged
+   * @private
+   */
+  _updateLog(mutate) {
+    const run = this.queue.then(() => this.logStore.transaction(async () => {
+      const next = mutate(this._readLog(true).slice());
+      if (!next) {
+        return;
+      }
+
+      const trimmed = next.length > this.config.maxLogEntries
+        ? next.slice(next.length - this.config.maxLogEntries)
+        : next;
+
+      await this.logStore.write(trimmed);
+      this.log = trimmed;
+    }));
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,418 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+// Replies sent instead of a generated one when a message is refused
+const REFUSAL_RESPONSES = {
+  instructions: "I can't set aside the way I've been asked to work, but I'm still here for you. What's been on your mind lately?",
+  prompt: "I'm not able to share how I've been set up, but I'm happy to keep talking about whatever you're going through.",
+  roleplay: "I can't take on a different role or drop my guidelines, but I'm here to listen and support you. How are you feeling right now?"
+};
+
+/**
+ * Checks run on every chat message before it reaches the model. Each rule
+ * adds its weight to the message's score when one of its patterns matches;
+ * a message scoring at or above the threshold is refused with the refusal
+ * of its heaviest rule. Low-weight rules only refuse in combination.
+ */
+const INJECTION_RULES = [
+  {
+    id: 'instruction-override',
+    description: 'Asks the assistant to ignore or replace its instructions',
+    weight: 1,
+    refusal: 'instructions',
+    patterns: [
+      /\b(ignore|disregard|forget|bypass)\s+(all\s+|any\s+)?(of\s+)?(the\s+|your\s+|these\s+)?(previous|prior|above|earlier|original|initial|preceding)\s+(instructions?|prompts?|rules|directions|guidelines)\b/i,
+      /\b(ignore|disregard|forget|bypass)\s+(all\s+)?(of\s+)?your\s+(instructions|rules|guidelines|programming|training|system prompt|restrictions)\b/i,
+      /\bforget (everything|all) (you were|you've been|you have been) (told|taught|instructed)\b/i,
+      /\boverride (all )?(of )?your (instructions|rules|safety|guidelines|restrictions)\b/i,
+      /\b(new|updated) (system (prompt|instructions)|instructions for you)\s*:/i
+    ]
+  },
+  {
+    id: 'prompt-extraction',
+    description: 'Tries to get the assistant to reveal its system prompt or instructions',
+    weight: 1,
+    refusal: 'prompt',
+    patterns: [
+      /\b(show|reveal|print|repeat|output|display|share|tell me|give me|what (is|are|was|were))\b.{0,30}\b(system prompt|system message|initial prompt|hidden prompt|your prompt)\b/i,
+      /\b(repeat|print|output) (everything|all|the text|the words) (above|before this|so far)\b/i,
+      // "Your instructions for the breathing exercise" are the exercise's, not the assistant's
+      /\b(reveal|show me|print|repeat|tell me) (all )?(of )?(your|the system) (system )?(instructions|rules|programming)\b(?!\s+(for|on|about)\b)/i
+    ]
+  },
+  {
+    id: 'role-play-jailbreak',
+    description: 'Role-play or "DAN"-style prompts meant to remove the assistant\'s limits',
+    weight: 0.8,
+    refusal: 'roleplay',
+    patterns: [
+      /\b(you are|you're|act as|be|as) DAN\b|\bdo anything now\b/i,
+      /\bjailbr(ea|o)k(en|ing)? (mode|prompt|you|yourself|this (chat|ai|bot))\b/i,
+      /\b(pretend|imagine|act like|act as if)\b.{0,30}\b(no|without|free of|free from) (rules|restrictions|filters|limits|guidelines|ethics)\b/i,
+      /\b(act|respond|answer|reply) as (an? )?(unfiltered|uncensored|unrestricted|evil|amoral)\b/i,
+      /\bstay in character no matter what\b/i
+    ]
+  },
+  {
+    id: 'developer-mode',
+    description: 'Claims to switch on a developer, admin or unrestricted mode',
+    weight: 1,
+    refusal: 'instructions',
+    patterns: [
+      // A mode the student's own phone or laptop is in is not a request
+      /(?<!\b(how (do|can|should|could) (i|we)|how to|i|we|it|phone|laptop)\s)\b(enable|enter|activate|unlock|engage|turn on|switch (on|to|into)|put yourself in(to)?)\s+(the\s+)?(developer|debug|god|admin|sudo|maintenance) mode\b/i,
+      /(^|[.!?]\s+)(you are|you're|you are now|you're now) in (developer|debug|god|admin|sudo|maintenance) mode\b/im,
+      /(^|[.!?]\s+)(developer|debug|god|admin|sudo|maintenance) mode[:\s]+(on|enabled|activated|unlocked)\b/im,
+      /\b(i am|i'm) your (developer|creator|administrator|admin)\b/i
+    ]
+  },
+  {
+    id: 'system-spoofing',
+    description: 'Pretends to be a system or assistant message inside the chat',
+    weight: 0.8,
+    refusal: 'instructions',
+    patterns: [
+      // Chat-template role tags; a line that merely starts with "system:" is not one
+      /<\|?\s*\/?\s*(system|assistant|im_start|im_end)\s*\|?>/i,
+      /\[\/?(system|INST)\]/i,
+      /#{2,}\s*(system|instruction)s?\b/i
+    ]
+  },
+  {
+    id: 'persona-override',
+    description: 'Asks the assistant to become someone else',
+    weight: 0.3,
+    refusal: 'roleplay',
+    patterns: [
+      /\byou are (now|no longer)\b/i,
+      /\bfrom now on,? you (are|will|must)\b/i,
+      /\bpretend (to be|you are|you're)\b/i
+    ]
+  }
+];
+
+/**
+ * Prompt Injection Service
+ * Classifies chat messages before they reach the model, so attempts to
+ * override the assistant's instructions, jailbreak it through role-play or
+ * extract its system prompt are refused instead of answered. The rule set can
+ * be extended or trimmed with a JSON file (PROMPT_INJECTION_RULES_FILE):
+ *   { "threshold": 0.5, "disabled": ["persona-override"],
+ *     "rules": [{ "id", "description", "weight", "refusal", "patterns": ["regex", ...] }] }
+ * Each refused message is logged and emitted as 'injectionDetected' so staff
+ * can follow abuse trends from the monitoring dashboard.
+ */
+class PromptInjectionService extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.logFile - Detection log file
+   * @param {string} options.rulesFile - JSON file that adds or disables rules
+   * @param {Array} options.rules - Rules to use instead of the built-in ones
+   * @param {number} options.threshold - Score at which a message is refused
+   */
+  constructor(options = {}) {
+    super();
+
+    this.logFile = options.logFile || process.env.PROMPT_INJECTION_LOG_FILE ||
+      path.join(__dirname, '..', 'data', 'injection-log.jsonl');
+    this.rulesFile = options.rulesFile || process.env.PROMPT_INJECTION_RULES_FILE || null;
+    this.baseRules = options.rules || INJECTION_RULES;
+
+    this.config = {
+      threshold: options.threshold || parseFloat(process.env.PROMPT_INJECTION_THRESHOLD) || 0.5,
+      maxLogEntries: options.maxLogEntries || 5000,
+      excerptLength: 120
+    };
+
+    this.rules = this.baseRules;
+    this.threshold = this.config.threshold;
+    this.rulesMtime = null;
+
+    // Serializes log writes from this instance
+    this.queue = Promise.resolve();
+    this.appendedSinceCheck = 0;
+  }
+
+  /**
+   * Classify a chat message
+   * @param {string} message - Message from the student (after anonymization)
+   * @returns {Object} { flagged, score, rules, response, matches }
+   */
+  classify(message) {
+    this._loadRules();
+
+    const text = message || '';
+    const matched = [];
+    let score = 0;
+
+    for (const rule of this.rules) {
+      const match = this._match(rule, text);
+      if (match) {
+        matched.push({ rule, match });
+        score += rule.weight;
+      }
+    }
+
+    score = Math.min(1, Math.round(score * 100) / 100);
+    const flagged = matched.length > 0 && score >= this.threshold;
+    const heaviest = matched.reduce((top, entry) => (!top || entry.rule.weight > top.rule.weight ? entry : top), null);
+
+    return {
+      flagged,
+      score,
+      rules: matched.map(entry => entry.rule.id),
+      response: flagged ? (REFUSAL_RESPONSES[heaviest.rule.refusal] || REFUSAL_RESPONSES.instructions) : null,
+      matches: matched.map(entry => entry.match)
+    };
+  }
+
+  /**
+   * Log a refused message and notify listeners
+   * @param {Object} classification - Result of classify()
+   * @param {Object} context - { sessionId, source, strikes, blocked }
+   * @returns {Object} The event that was logged
+   */
+  record(classification, context = {}) {
+    const event = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      rules: classification.rules,
+      score: classification.score,
+      source: context.source || 'chat',
+      // Enough to match up attempts from one conversation, not to find it
+      session: context.sessionId
+        ? crypto.createHash('sha256').update(context.sessionId).digest('hex').substring(0, 12)
+        : null,
+      strikes: context.strikes || 0,
+      blocked: !!context.blocked,
+      // Only the matched phrases, never the rest of the message
+      excerpt: (classification.matches || []).join(' … ').substring(0, this.config.excerptLength) || null
+    };
+
+    console.warn(`Prompt injection (${event.rules.join(', ')}) on ${event.source} message, strike ${event.strikes}`);
+    this.emit('injectionDetected', event);
+
+    this._appendLog([event]).catch(error => {
+      console.error('Failed to write prompt injection log:', error.message);
+    });
+
+    return event;
+  }
+
+  /**
+   * Send detections to staff watching the monitoring Socket.IO server
+   * @param {RealTimeMonitoringService} monitoring - Monitoring service owning the Socket.IO server
+   */
+  attachMonitoring(monitoring) {
+    this.on('injectionDetected', (event) => {
+      monitoring.io.to('monitoring').emit('injection-attempt', event);
+    });
+  }
+
+  /**
+   * Logged detections, newest first
+   * @param {Object} filters - { rule, source, since, limit }
+   * @returns {Promise<Array>} Log entries
+   */
+  async getEvents(filters = {}) {
+    const limit = Math.min(parseInt(filters.limit) || 100, 1000);
+    const since = filters.since ? new Date(filters.since) : null;
+
+    const log = await this._readLog();
+    return log
+      .filter(entry => !filters.rule || entry.rules.includes(filters.rule))
+      .filter(entry => !filters.source || entry.source === filters.source)
+      .filter(entry => !since || new Date(entry.timestamp) >= since)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Detection counts per rule and per day
+   * @param {Object} options - { days } to count, default 7
+   * @returns {Promise<Object>} { total, byRule, byDay, sessions, blockedSessions, since }
+   */
+  async getStats(options = {}) {
+    const days = parseInt(options.days) || 7;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const log = await this._readLog();
+    const byRule = {};
+    const byDay = {};
+    const sessions = new Set();
+    const blockedSessions = new Set();
+    let total = 0;
+
+    log.filter(entry => new Date(entry.timestamp) >= since).forEach(entry => {
+      entry.rules.forEach(rule => {
+        byRule[rule] = (byRule[rule] || 0) + 1;
+      });
+      const day = entry.timestamp.substring(0, 10);
+      byDay[day] = (byDay[day] || 0) + 1;
+      if (entry.session) {
+        sessions.add(entry.session);
+        if (entry.blocked) {
+          blockedSessions.add(entry.session);
+        }
+      }
+      total++;
+    });
+
+    return {
+      total,
+      byRule,
+      byDay,
+      sessions: sessions.size,
+      blockedSessions: blockedSessions.size,
+      since: since.toISOString()
+    };
+  }
+
+  /**
+   * Descriptions of the active rules
+   * @returns {Object} { threshold, rules: [{ id, description, weight }] }
+   */
+  listRules() {
+    this._loadRules();
+
+    return {
+      threshold: this.threshold,
+      rules: this.rules.map(({ id, description, weight }) => ({ id, description, weight }))
+    };
+  }
+
+  /**
+   * First text a rule matches, or null
+   * @private
+   */
+  _match(rule, text) {
+    for (const pattern of rule.patterns) {
+      const match = text.match(pattern);
+      if (match) {
+        return match[0];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Apply the rules file, re-reading it when it changes on disk. A file that
+   * cannot be read or parsed leaves the current rules in place.
+   * @private
+   */
+  _loadRules() {
+    if (!this.rulesFile) {
+      return;
+    }
+
+    let mtime;
+    try {
+      mtime = fs.statSync(this.rulesFile).mtimeMs;
+    } catch (error) {
+      if (this.rulesMtime !== null) {
+        this.rules = this.baseRules;
+        this.threshold = this.config.threshold;
+        this.rulesMtime = null;
+      }
+      return;
+    }
+
+    if (mtime === this.rulesMtime) {
+      return;
+    }
+
+    try {
+      const config = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+      const disabled = new Set(config.disabled || []);
+      const custom = (config.rules || []).map(rule => ({
+        id: rule.id,
+        description: rule.description || rule.id,
+        weight: typeof rule.weight === 'number' ? rule.weight : 1,
+        refusal: rule.refusal || 'instructions',
+        patterns: rule.patterns.map(pattern => new RegExp(pattern, 'i'))
+      }));
+      const customIds = new Set(custom.map(rule => rule.id));
+
+      this.rules = this.baseRules
+        .filter(rule => !disabled.has(rule.id) && !customIds.has(rule.id))
+        .concat(custom.filter(rule => !disabled.has(rule.id)));
+      this.threshold = typeof config.threshold === 'number' ? config.threshold : this.config.threshold;
+    } catch (error) {
+      console.error('Failed to load prompt injection rules:', error.message);
+    }
+    this.rulesMtime = mtime;
+  }
+
+  /**
+   * Read the detection log, the rotated file first, oldest event first
+   * @private
+   */
+  async _readLog() {
+    const events = [];
+
+    for (const file of [`${this.logFile}.1`, this.logFile]) {
+      let data;
+      try {
+        data = await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+
+      // Logs written before the switch to JSON Lines hold a single array
+      if (data.trimStart().startsWith('[')) {
+        events.push(...JSON.parse(data));
+        continue;
+      }
+
+      data.split('\n').filter(Boolean).forEach(line => {
+        try {
+          events.push(JSON.parse(line));
+        } catch (error) {
+          // A line cut short by a crash; the rest of the log is still good
+        }
+      });
+    }
+
+    return events.slice(-this.config.maxLogEntries);
+  }
+
+  /**
+   * Append events to the detection log, one JSON line each, so the chat and
+   * voice services sharing the file never overwrite each other's events
+   * @private
+   */
+  _appendLog(events) {
+    const run = this.queue.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.logFile), { recursive: true });
+      await fs.promises.appendFile(this.logFile, events.map(event => JSON.stringify(event) + '\n').join(''));
+
+      this.appendedSinceCheck += events.length;
+      if (this.appendedSinceCheck >= Math.ceil(this.config.maxLogEntries / 10)) {
+        this.appendedSinceCheck = 0;
+        this._rotateLog();
+      }
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Move a full log aside to `<logFile>.1`. Counting and renaming happen
+   * synchronously, so no other instance in this process can append in between.
+   * @private
+   */
+  _rotateLog() {
+    const lines = fs.readFileSync(this.logFile, 'utf8').split('\n').filter(Boolean).length;
+    if (lines >= this.config.maxLogEntries) {
+      fs.renameSync(this.logFile, `${this.logFile}.1`);
+    }
+  }
+}
+
+module.exports = PromptInjectionService;
@@ -0,0 +1,439 @@
+const path = require('path');
+const JsonFileStore = require('./jsonFileStore');
+const ResourceDirectoryService = require('./resourceDirectoryService');
+
+// Version 1 of each template, used until staff save their own versions
+const DEFAULT_TEMPLATES = {
+  system: {
+    description: 'System prompt for every chat reply',
+    content: `You are MindCare, a compassionate AI mental health assistant for students. Provide empathetic, concise support.
+
+RESPONSE RULES:
+• Keep responses SHORT (2-3 sentences max, under 150 words)
+• Be warm and supportive but concise
+• Use "I understand" or "I hear you" to show empathy
+• Give 1-2 practical tips they can use right now
+• Always acknowledge their feelings are valid
+
+FOR CRISIS (suicide/self-harm mentions):
+• Express immediate concern: "I'm very concerned about you"
+• Give crisis resources: "Please call {crisisResources}"
+• Emphasize: "You're not alone, help is available"
+
+EXAMPLE GOOD RESPONSE:
+"I understand you're feeling stressed about exams - that's completely normal. Try taking 5 deep breaths right now, and break your study into 25-minute chunks with breaks. You've got this, and it's okay to ask for help if you need it."
+
+Remember: Be helpful, caring, and BRIEF. Quality over quantity.`
+  },
+  crisis: {
+    description: 'System prompt for replies to messages flagged as a crisis',
+    content: `CRISIS RESPONSE - Keep under 100 words, be direct and supportive.
+
+User expressed: {userMessage}
+
+Respond with:
+1. "I'm very concerned about you"
+2. Crisis resources: {crisisResources}
+3. "You're not alone, help is available"
+4. Encourage immediate action
+
+Be compassionate but BRIEF and DIRECT. This is urgent.`
+  },
+  summary: {
+    description: 'Instructions for condensing older chat messages into the conversation memory',
+    content: `You keep notes for MindCare, a mental health assistant for students. Update the summary of the conversation so far using the new messages.
+
+KEEP:
+• What the student shared about their situation, feelings and worries
+• Any mention of self-harm, suicidal thoughts or crisis, and what support was offered
+• Coping strategies suggested and how the student responded
+• Anything the student asked to come back to
+
+RULES:
+• Write in English, in the third person ("The student...")
+• No names, contact details or other identifying information
+• Under 150 words, plain sentences, no headings`
+  }
+};
+
+// Placeholders each template may use, and the ones it must keep
+const TEMPLATE_VARIABLES = {
+  system: {
+    allowed: ['campusName', 'counselorHours', 'crisisResources', 'language', 'languageName'],
+    required: ['crisisResources']
+  },
+  crisis: {
+    allowed: ['campusName', 'counselorHours', 'crisisResources', 'language', 'languageName', 'userMessage', 'severity'],
+    required: ['crisisResources']
+  },
+  summary: {
+    allowed: ['campusName', 'language', 'languageName'],
+    required: []
+  }
+};
+
+/**
+ * Versioned prompt templates for the chat model.
+ *
+ * Staff save new versions of a template, preview them against a region and
+ * activate one; the previous active version stays available for rollback.
+ * Templates fill in {placeholders} from campus variables (name, counselor
+ * hours), the caller's helplines and language. The store is a JSON file
+ * that is re-read when it changes on disk, checked at most every
+ * `reloadIntervalMs`, so every instance picks up an activation without a
+ * restart. Edits always check first, so they build on the latest versions.
+ */
+class PromptTemplateService {
+  constructor(options = {}) {
+    this.storePath = options.storePath ||
+      process.env.PROMPT_TEMPLATES_FILE ||
+      path.join(__dirname, '..', 'data', 'promptTemplates.json');
+    this.resourceDirectory = options.resourceDirectory || new ResourceDirectoryService();
+
+    // How often renders check the store file for edits made by other instances
+    this.reloadIntervalMs = options.reloadIntervalMs !== undefined
+      ? options.reloadIntervalMs
+      : parseInt(process.env.PROMPT_TEMPLATES_RELOAD_MS) || 5000;
+
+    this.store = this._defaultStore();
+    this.storeFile = new JsonFileStore({
+      filePath: this.storePath,
+      label: 'prompt templates',
+      reloadIntervalMs: this.reloadIntervalMs,
+      optional: true
+    });
+    this._reloadIfChanged(true);
+  }
+
+  /**
+   * Summaries of every template
+   * @returns {Array} [{ id, description, activeVersion, latestVersion, variables }]
+   */
+  listTemplates() {
+    this._reloadIfChanged();
+
+    return this.store.templates.map(template => ({
+      id: template.id,
+      description: template.description,
+      activeVersion: template.activeVersion,
+      latestVersion: template.versions[template.versions.length - 1].version,
+      variables: TEMPLATE_VARIABLES[template.id]
+    }));
+  }
+
+  /**
+   * A template with all of its versions and activation history
+   * @param {string} id - Template id
+   * @returns {Object|null} Template
+   */
+  getTemplate(id) {
+    this._reloadIfChanged();
+    const template = this._find(id);
+    return template ? { ...template, variables: TEMPLATE_VARIABLES[id] } : null;
+  }
+
+  /**
+   * Render a template for a caller
+   * @param {string} id - Template id
+   * @param {Object} context - { region, userMessage, severity, version, content }
+   * @returns {Object} { text, template, version } (version is null for unsaved content)
+   */
+  render(id, context = {}) {
+    this._reloadIfChanged();
+
+    const template = this._find(id);
+    if (!template) {
+      throw this._validationError(`Unknown prompt template "${id}"`);
+    }
+
+    let content = context.content;
+    let version = null;
+    if (content === undefined) {
+      version = context.version || template.activeVersion;
+      const saved = template.versions.find(v => v.version === Number(version));
+      if (!saved) {
+        throw this._validationError(`Prompt template "${id}" has no version ${version}`);
+      }
+      content = saved.content;
+      version = saved.version;
+    }
+
+    const values = this._variables(context);
+    const text = content.replace(/\{(\w+)\}/g, (match, name) => (
+      Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+    ));
+
+    return { text, template: id, version };
+  }
+
+  /**
+   * Render unsaved content or a saved version without activating it
+   * @param {string} id - Template id
+   * @param {Object} options - { content } or { version }, plus region, userMessage, severity
+   * @returns {Object} Rendered prompt
+   */
+  preview(id, options = {}) {
+    if (options.content !== undefined) {
+      this._validateContent(id, options.content);
+    }
+    return this.render(id, options);
+  }
+
+  /**
+   * Save a new version of a template; it is not used until activated
+   * @param {string} id - Template id
+   * @param {Object} data - { content, note }
+   * @param {string} createdBy - Staff username
+   * @returns {Promise<Object>} Saved version
+   */
+  async createVersion(id, data = {}, createdBy) {
+    this._reloadIfChanged(true);
+
+    const template = this._find(id);
+    if (!template) {
+      return null;
+    }
+    this._validateContent(id, data.content);
+
+    const entry = {
+      version: template.versions[template.versions.length - 1].version + 1,
+      content: data.content,
+      note: data.note ? String(data.note).trim() : '',
+      createdBy: createdBy || null,
+      createdAt: new Date().toISOString()
+    };
+
+    template.versions.push(entry);
+    await this._persist();
+    return entry;
+  }
+
+  /**
+   * Make a version the one used for new replies
+   * @param {string} id - Template id
+   * @param {number} version - Version number
+   * @param {string} activatedBy - Staff username
+   * @returns {Promise<Object|null>} Template, null if not found
+   */
+  async activateVersion(id, version, activatedBy) {
+    return this._activate(id, Number(version), activatedBy, false);
+  }
+
+  /**
+   * Go back to the version that was active before the current one
+   * @param {string} id - Template id
+   * @param {string} activatedBy - Staff username
+   * @returns {Promise<Object|null>} Template, null if not found
+   */
+  async rollback(id, activatedBy) {
+    this._reloadIfChanged(true);
+
+    const template = this._find(id);
+    if (!template) {
+      return null;
+    }
+
+    const previous = [...template.activations].reverse()
+      .find(activation => activation.version !== template.activeVersion);
+    if (!previous) {
+      throw this._validationError(`Prompt template "${id}" has no earlier version to roll back to`);
+    }
+
+    return this._activate(id, previous.version, activatedBy, true);
+  }
+
+  /**
+   * Campus variables: defaults plus per-campus overrides
+   * @returns {Object} { defaults, campuses }
+   */
+  getVariables() {
+    this._reloadIfChanged();
+    return this.store.variables;
+  }
+
+  /**
+   * Replace campus variables
+   * @param {Object} variables - { defaults, campuses }
+   * @returns {Promise<Object>} Saved variables
+   */
+  async updateVariables(variables = {}) {
+    this._reloadIfChanged(true);
+
+    const clean = values => {
+      const result = {};
+      Object.entries(values || {}).forEach(([name, value]) => {
+        if (!['campusName', 'counselorHours'].includes(name)) {
+          throw this._validationError(`Unknown prompt variable "${name}" (expected campusName or counselorHours)`);
+        }
+        result[name] = String(value).trim();
+      });
+      return result;
+    };
+
+    const campuses = {};
+    Object.entries(variables.campuses || {}).forEach(([campus, values]) => {
+      campuses[campus] = clean(values);
+    });
+
+    this.store.variables = {
+      defaults: { ...this.store.variables.defaults, ...clean(variables.defaults) },
+      campuses
+    };
+    await this._persist();
+    return this.store.variables;
+  }
+
+  /**
+   * @private
+   */
+  async _activate(id, version, activatedBy, rollback) {
+    this._reloadIfChanged(true);
+
+    const template = this._find(id);
+    if (!template) {
+      return null;
+    }
+    if (!template.versions.some(v => v.version === version)) {
+      throw this._validationError(`Prompt template "${id}" has no version ${version}`);
+    }
+
+    template.activeVersion = version;
+    template.activations.push({
+      version,
+      activatedBy: activatedBy || null,
+      activatedAt: new Date().toISOString(),
+      rollback
+    });
+    await this._persist();
+    return { ...template, variables: TEMPLATE_VARIABLES[id] };
+  }
+
+  /**
+   * Values for the placeholders
+   * @private
+   */
+  _variables(context) {
+    const region = this.resourceDirectory.resolveRegion(context.region || {});
+    const variables = this.store.variables;
+    const campus = (region.campus && variables.campuses[region.campus]) || {};
+    const helplines = this.resourceDirectory.getResourcesForSeverity('high', region).slice(0, 2);
+
+    return {
+      ...variables.defaults,
+      ...campus,
+      crisisResources: this.resourceDirectory.formatResourceList(helplines),
+      language: region.language,
+      languageName: this._languageName(region.language),
+      userMessage: context.userMessage || '',
+      severity: context.severity || ''
+    };
+  }
+
+  /**
+   * @private
+   */
+  _languageName(code) {
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  }
+
+  /**
+   * Reject content with unknown or missing placeholders
+   * @private
+   */
+  _validateContent(id, content) {
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      throw this._validationError('Prompt content is required');
+    }
+    if (content.length > 8000) {
+      throw this._validationError('Prompt content must be under 8000 characters');
+    }
+
+    const rules = TEMPLATE_VARIABLES[id];
+    const used = [...content.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    const unknown = used.filter(name => !rules.allowed.includes(name));
+    if (unknown.length > 0) {
+      throw this._validationError(`Unknown placeholder(s) ${[...new Set(unknown)].map(n => `{${n}}`).join(', ')}; allowed: ${rules.allowed.map(n => `{${n}}`).join(', ')}`);
+    }
+
+    const missing = rules.required.filter(name => !used.includes(name));
+    if (missing.length > 0) {
+      throw this._validationError(`Prompt must include ${missing.map(n => `{${n}}`).join(', ')}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _find(id) {
+    return this.store.templates.find(template => template.id === id) || null;
+  }
+
+  /**
+   * Store contents before anything has been saved
+   * @private
+   */
+  _defaultStore() {
+    const createdAt = new Date(0).toISOString();
+
+    return {
+      variables: {
+        defaults: {
+          campusName: process.env.CAMPUS_NAME || 'your campus',
+          counselorHours: process.env.COUNSELOR_HOURS || 'Monday to Friday, 9am to 5pm'
+        },
+        campuses: {}
+      },
+      templates: Object.entries(DEFAULT_TEMPLATES).map(([id, template]) => ({
+        id,
+        description: template.description,
+        activeVersion: 1,
+        versions: [{ version: 1, content: template.content, note: 'Built-in default', createdBy: null, createdAt }],
+        activations: [{ version: 1, activatedBy: null, activatedAt: createdAt, rollback: false }]
+      }))
+    };
+  }
+
+  /**
+   * Create an error the routes report as a bad request
+   * @private
+   */
+  _validationError(message) {
+    const error = new Error(message);
+    error.isValidationError = true;
+    return error;
+  }
+
+  /**
+   * Load the store if the file changed since the last read. A missing file
+   * means nothing has been saved yet, so the built-in defaults apply.
+   * @param {boolean} force - Check regardless of the reload interval
+   * @private
+   */
+  _reloadIfChanged(force = false) {
+    const saved = this.storeFile.readIfChanged(force);
+    if (saved === undefined) {
+      return;
+    }
+
+    const defaults = this._defaultStore();
+    // Templates added in later releases start from their defaults
+    this.store = {
+      variables: saved.variables || defaults.variables,
+      templates: defaults.templates.map(template =>
+        (saved.templates || []).find(t => t.id === template.id) || template)
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _persist() {
+    await this.storeFile.write(this.store);
+  }
+}
+
+module.exports = PromptTemplateService;
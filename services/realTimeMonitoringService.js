@@ -1,8 +1,11 @@
 const { Server } = require('socket.io');
+const AuthMiddleware = require('../middleware/authMiddleware');
 
 class RealTimeMonitoringService {
-  constructor(server, analyticsService) {
+  // options.auth verifies the staff tokens sockets authenticate with
+  constructor(server, analyticsService, options = {}) {
     this.analyticsService = analyticsService;
+    this.auth = options.auth || new AuthMiddleware();
     this.connectedClients = new Map(); // Store connected admin/counselor clients
     this.activeAlerts = new Map(); // Store active crisis alerts
     this.systemMetrics = {
@@ -59,13 +62,15 @@ class RealTimeMonitoringService {
 
   handleAuthentication(socket, data) {
     try {
-      const { token, userRole } = data;
-      
-      // Verify token and role (simplified - in production, use proper JWT verification)
-      if (token && ['admin', 'counselor'].includes(userRole)) {
+      const user = this.verifyStaff((data || {}).token);
+
+      // Role and identity come from the verified token, never from what the client claims
+      if (user) {
+        const userRole = user.role;
         socket.authenticated = true;
         socket.userRole = userRole;
-        socket.userId = data.userId || socket.id;
+        socket.userId = user.username;
+        socket.authSessionId = user.sessionId;
         
         this.connectedClients.set(socket.id, {
           socket,
@@ -90,8 +95,32 @@ class RealTimeMonitoringService {
     }
   }
 
+  // The staff user a token belongs to, or null unless it is a valid admin or
+  // counselor token of a live login session
+  verifyStaff(token) {
+    let user;
+    try {
+      user = this.auth.verifyToken(token);
+    } catch (error) {
+      return null;
+    }
+
+    if (!['admin', 'counselor'].includes(user.role) || user.mustChangePassword ||
+        !this.auth.getActiveSession(user.sessionId)) {
+      return null;
+    }
+    return user;
+  }
+
+  // Whether an authenticated socket's login session is still live, so a
+  // logout or revoked session also ends its access over the socket
+  isStaff(socket) {
+    return Boolean(socket.authenticated && ['admin', 'counselor'].includes(socket.userRole) &&
+      this.auth.getActiveSession(socket.authSessionId));
+  }
+
   handleMonitoringSubscription(socket) {
-    if (!socket.authenticated) {
+    if (!this.isStaff(socket)) {
       socket.emit('error', { message: 'Authentication required' });
       return;
     }
@@ -104,7 +133,7 @@ class RealTimeMonitoringService {
   }
 
   handleAlertAcknowledgment(socket, alertId) {
-    if (!socket.authenticated) {
+    if (!this.isStaff(socket)) {
       socket.emit('error', { message: 'Authentication required' });
       return;
     }
@@ -127,7 +156,7 @@ class RealTimeMonitoringService {
   }
 
   handleAlertEscalation(socket, alertId) {
-    if (!socket.authenticated) {
+    if (!this.isStaff(socket)) {
       socket.emit('error', { message: 'Authentication required' });
       return;
     }
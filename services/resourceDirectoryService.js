@@ -0,0 +1,419 @@
+const path = require('path');
+const crypto = require('crypto');
+const JsonFileStore = require('./jsonFileStore');
+
+/**
+ * Region-aware directory of crisis and support resources.
+ *
+ * Entries are scoped by country, state and campus and carry per-language
+ * translations. The backing JSON file is re-read when it changes on disk,
+ * checked at most every `reloadIntervalMs`, so every service instance sees
+ * edits made through the admin routes.
+ */
+class ResourceDirectoryService {
+  constructor(options = {}) {
+    this.storePath = options.storePath ||
+      process.env.CRISIS_RESOURCES_FILE ||
+      path.join(__dirname, '..', 'data', 'crisisResources.json');
+
+    this.defaultRegion = {
+      country: process.env.CRISIS_RESOURCE_COUNTRY || 'IN',
+      state: process.env.CRISIS_RESOURCE_STATE || 'MH',
+      campus: process.env.CRISIS_RESOURCE_CAMPUS || 'main',
+      language: 'en',
+      ...options.defaultRegion
+    };
+
+    this.validTypes = ['emergency', 'counseling', 'peer-support'];
+
+    // Resource types surfaced for each crisis severity
+    this.severityTypes = {
+      immediate: ['emergency'],
+      high: ['emergency', 'counseling'],
+      selfHarm: ['emergency', 'counseling'],
+      moderate: ['counseling', 'peer-support']
+    };
+
+    // How often lookups check the store file for edits made by other instances
+    this.reloadIntervalMs = options.reloadIntervalMs !== undefined
+      ? options.reloadIntervalMs
+      : parseInt(process.env.CRISIS_RESOURCES_RELOAD_MS) || 5000;
+
+    this.resources = [];
+    this.storeFile = new JsonFileStore({
+      filePath: this.storePath,
+      label: 'crisis resource directory',
+      reloadIntervalMs: this.reloadIntervalMs
+    });
+    this._reloadIfChanged(true);
+  }
+
+  /**
+   * Resolve the region for a lookup, filling gaps from the defaults
+   * @param {Object} region - Partial region { country, state, campus, language }
+   * @returns {Object} Complete region
+   */
+  resolveRegion(region = {}) {
+    const resolved = { ...this.defaultRegion };
+
+    ['country', 'state', 'campus', 'language'].forEach(field => {
+      if (region[field]) {
+        resolved[field] = String(region[field]).trim();
+      }
+    });
+
+    resolved.country = resolved.country.toUpperCase();
+    resolved.state = resolved.state ? resolved.state.toUpperCase() : null;
+    resolved.language = resolved.language.toLowerCase().split(/[-_]/)[0];
+
+    // A state or campus only makes sense inside the default country
+    if (region.country && resolved.country !== String(this.defaultRegion.country).toUpperCase()) {
+      resolved.state = region.state ? resolved.state : null;
+      resolved.campus = region.campus || null;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Extract the caller's region from an express request
+   * @param {Object} req - Express request
+   * @returns {Object} Region { country, state, campus, language }
+   */
+  getRegionFromRequest(req) {
+    const body = req.body || {};
+    const query = req.query || {};
+    const headers = req.headers || {};
+    const acceptLanguage = headers['accept-language'] ? headers['accept-language'].split(',')[0] : null;
+
+    return this.resolveRegion({
+      country: body.country || query.country || headers['x-country'],
+      state: body.state || query.state || headers['x-state'],
+      campus: body.campus || query.campus || headers['x-campus'],
+      language: body.language || query.language || acceptLanguage
+    });
+  }
+
+  /**
+   * Get resources that apply to a region, most relevant first
+   * @param {Object} criteria - Region fields plus optional type/types filter
+   * @returns {Array} Localized resources
+   */
+  getResources(criteria = {}) {
+    this._reloadIfChanged();
+
+    const region = this._coveredRegion(this.resolveRegion(criteria));
+    const types = criteria.types || (criteria.type && criteria.type !== 'all' ? [criteria.type] : null);
+
+    return this.resources
+      .filter(entry => entry.active !== false)
+      .filter(entry => this._inScope(entry.scope || {}, region))
+      .filter(entry => !types || types.includes(entry.type))
+      .sort((a, b) => this._compare(a, b, region))
+      .map(entry => this._localize(entry, region.language));
+  }
+
+  /**
+   * Get the resources to show for a crisis severity
+   * @param {string} severity - immediate, high, selfHarm or moderate
+   * @param {Object} region - Caller's region
+   * @returns {Array} Localized resources
+   */
+  getResourcesForSeverity(severity, region = {}) {
+    const types = this.severityTypes[severity] || this.severityTypes.moderate;
+    let resources = this.getResources({ ...region, types });
+
+    // The general emergency number is reserved for immediate danger
+    if (severity !== 'immediate') {
+      resources = resources.filter(r => !r.emergencyNumber);
+    }
+
+    return resources;
+  }
+
+  /**
+   * Get the general emergency number for a region
+   * @param {Object} region - Caller's region
+   * @returns {Object|null} Emergency number resource
+   */
+  getEmergencyNumber(region = {}) {
+    return this.getResources({ ...region, type: 'emergency' }).find(r => r.emergencyNumber) || null;
+  }
+
+  /**
+   * Format resources as markdown lines for chat responses
+   * @param {Array} resources - Localized resources
+   * @returns {string} One line per resource
+   */
+  formatResourceLines(resources) {
+    return resources.map(resource => {
+      const label = resource.shortName || resource.name;
+      const contact = resource.phoneNumber || resource.website;
+      let icon = '📞';
+
+      if (resource.emergencyNumber) {
+        icon = '🚨';
+      } else if (resource.scope && resource.scope.campus) {
+        icon = '🏥';
+      } else if (!resource.phoneNumber || /^text\b/i.test(resource.phoneNumber)) {
+        icon = '💬';
+      }
+
+      return contact ? `${icon} **${label}: ${contact}**` : `${icon} **${label}**`;
+    }).join('\n');
+  }
+
+  /**
+   * Format resources as a single sentence-friendly list
+   * @param {Array} resources - Localized resources
+   * @returns {string} e.g. "Tele-MANAS (14416), KIRAN Helpline (1800-599-0019)"
+   */
+  formatResourceList(resources) {
+    return resources
+      .map(resource => {
+        const contact = resource.phoneNumber || resource.website;
+        const label = resource.shortName || resource.name;
+        return contact ? `${label} (${contact})` : label;
+      })
+      .join(', ');
+  }
+
+  /**
+   * List raw directory entries for administration
+   * @param {Object} filters - Optional { country, state, campus, type }
+   * @returns {Array} Directory entries
+   */
+  listEntries(filters = {}) {
+    this._reloadIfChanged();
+
+    return this.resources.filter(entry => {
+      const scope = entry.scope || {};
+      if (filters.country && scope.country !== String(filters.country).toUpperCase()) return false;
+      if (filters.state && scope.state !== String(filters.state).toUpperCase()) return false;
+      if (filters.campus && scope.campus !== filters.campus) return false;
+      if (filters.type && entry.type !== filters.type) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Get a raw directory entry
+   * @param {string} id - Entry ID
+   * @returns {Object|null} Entry
+   */
+  getEntry(id) {
+    this._reloadIfChanged();
+    return this.resources.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Add a resource to the directory
+   * @param {Object} data - Resource fields
+   * @returns {Promise<Object>} Created entry
+   */
+  async createEntry(data) {
+    this._reloadIfChanged();
+
+    const entry = this._normalizeEntry({ ...data, id: data.id || crypto.randomUUID() });
+
+    if (this.resources.some(existing => existing.id === entry.id)) {
+      throw this._validationError(`Resource ${entry.id} already exists`);
+    }
+
+    this.resources.push(entry);
+    await this._persist();
+    return entry;
+  }
+
+  /**
+   * Update a resource in the directory
+   * @param {string} id - Entry ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object|null>} Updated entry, or null if not found
+   */
+  async updateEntry(id, changes) {
+    this._reloadIfChanged();
+
+    const index = this.resources.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const entry = this._normalizeEntry({ ...this.resources[index], ...changes, id });
+    this.resources[index] = entry;
+    await this._persist();
+    return entry;
+  }
+
+  /**
+   * Remove a resource from the directory
+   * @param {string} id - Entry ID
+   * @returns {Promise<boolean>} True if removed
+   */
+  async deleteEntry(id) {
+    this._reloadIfChanged();
+
+    const index = this.resources.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.resources.splice(index, 1);
+    await this._persist();
+    return true;
+  }
+
+  /**
+   * Validate and normalize an entry before storing it
+   * @param {Object} data - Raw entry
+   * @returns {Object} Normalized entry
+   * @private
+   */
+  _normalizeEntry(data) {
+    if (!data.name || typeof data.name !== 'string') {
+      throw this._validationError('Resource name is required');
+    }
+    if (!this.validTypes.includes(data.type)) {
+      throw this._validationError(`Resource type must be one of: ${this.validTypes.join(', ')}`);
+    }
+    if (!data.phoneNumber && !data.website) {
+      throw this._validationError('Resource needs a phone number or website');
+    }
+
+    const scope = data.scope || {};
+    if (!scope.country && (scope.state || scope.campus)) {
+      throw this._validationError('State or campus scoped resources also need a country');
+    }
+
+    return {
+      id: String(data.id),
+      name: data.name.trim(),
+      shortName: data.shortName || undefined,
+      phoneNumber: data.phoneNumber || null,
+      alternatePhone: data.alternatePhone || undefined,
+      website: data.website || null,
+      availability: data.availability || '24/7',
+      type: data.type,
+      emergencyNumber: data.emergencyNumber === true || undefined,
+      description: data.description || '',
+      languages: Array.isArray(data.languages) ? data.languages.map(l => String(l).toLowerCase()) : [],
+      scope: {
+        country: scope.country ? String(scope.country).toUpperCase() : undefined,
+        state: scope.state ? String(scope.state).toUpperCase() : undefined,
+        campus: scope.campus || undefined
+      },
+      priority: Number.isFinite(Number(data.priority)) ? Number(data.priority) : 100,
+      active: data.active !== false,
+      translations: data.translations || {}
+    };
+  }
+
+  /**
+   * Create an error the routes report as a bad request
+   * @param {string} message - Error message
+   * @returns {Error} Error flagged as a validation failure
+   * @private
+   */
+  _validationError(message) {
+    const error = new Error(message);
+    error.isValidationError = true;
+    return error;
+  }
+
+  /**
+   * Fall back to the default region, in the caller's language, when the
+   * directory has nothing for the caller's country, so a student abroad
+   * still gets the campus's own helplines rather than an empty list
+   * @param {Object} region - Resolved region
+   * @returns {Object} Region to look resources up for
+   * @private
+   */
+  _coveredRegion(region) {
+    const covered = this.resources.some(entry =>
+      entry.active !== false && entry.scope && entry.scope.country === region.country);
+
+    if (covered) {
+      return region;
+    }
+
+    return { ...this.resolveRegion({}), language: region.language };
+  }
+
+  /**
+   * Check whether an entry's scope covers a region
+   * @param {Object} scope - Entry scope
+   * @param {Object} region - Resolved region
+   * @returns {boolean} True if the entry applies
+   * @private
+   */
+  _inScope(scope, region) {
+    if (scope.country && scope.country !== region.country) return false;
+    if (scope.state && scope.state !== region.state) return false;
+    if (scope.campus && scope.campus !== region.campus) return false;
+    return true;
+  }
+
+  /**
+   * Order entries: language match, then priority, then most specific scope
+   * @private
+   */
+  _compare(a, b, region) {
+    const speaks = entry => !entry.languages || entry.languages.length === 0 ||
+      entry.languages.includes(region.language) ? 0 : 1;
+    const specificity = entry => ['country', 'state', 'campus']
+      .filter(field => entry.scope && entry.scope[field]).length;
+
+    return (speaks(a) - speaks(b)) ||
+      ((a.priority ?? 100) - (b.priority ?? 100)) ||
+      (specificity(b) - specificity(a));
+  }
+
+  /**
+   * Apply translations and drop admin-only fields
+   * @param {Object} entry - Directory entry
+   * @param {string} language - Language code
+   * @returns {Object} Localized resource
+   * @private
+   */
+  _localize(entry, language) {
+    const translation = (entry.translations && entry.translations[language]) || {};
+    const resource = {
+      id: entry.id,
+      name: translation.name || entry.name,
+      phoneNumber: entry.phoneNumber,
+      website: entry.website,
+      availability: translation.availability || entry.availability,
+      type: entry.type,
+      description: translation.description || entry.description,
+      languages: entry.languages,
+      scope: entry.scope
+    };
+
+    if (translation.shortName || entry.shortName) resource.shortName = translation.shortName || entry.shortName;
+    if (entry.alternatePhone) resource.alternatePhone = entry.alternatePhone;
+    if (entry.emergencyNumber) resource.emergencyNumber = true;
+
+    return resource;
+  }
+
+  /**
+   * Load the store if the file changed since the last read
+   * @param {boolean} force - Check regardless of the reload interval
+   * @private
+   */
+  _reloadIfChanged(force = false) {
+    const resources = this.storeFile.readIfChanged(force);
+    if (resources !== undefined) {
+      this.resources = resources;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _persist() {
+    await this.storeFile.write(this.resources);
+  }
+}
+
+module.exports = ResourceDirectoryService;
@@ -0,0 +1,460 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ResourceDirectoryService = require('./resourceDirectoryService');
+
+// Replies used when a generated response has to be withheld entirely.
+// {helplines} is replaced with crisis resources for the caller's region.
+const SAFE_RESPONSES = {
+  medication: "I'm not able to give advice about medication or doses. A doctor, pharmacist or the campus health centre can help with that safely. In the meantime, I'm here to listen if you'd like to talk about how you're feeling.",
+  harm: "I'm really glad you're talking to me, and I want to make sure you stay safe. You don't have to go through this alone. Please reach out to someone who can help right now:\n\n{helplines}",
+  general: "I want to support you the best way I can. Could you tell me a bit more about what you're going through? If you'd like to talk to someone in person, the campus counselors are here to help."
+};
+
+/**
+ * Checks run on every generated reply, in order.
+ *   block  - the reply is withheld and replaced with its safe response
+ *   redact - sentences that match are removed from the reply
+ * Rules marked negatable ignore a match the reply advises against, as in
+ * "don't stop taking your medication" or "try to avoid skipping meals".
+ */
+const GUARDRAIL_RULES = [
+  {
+    id: 'method-mention',
+    description: 'Mentions a means or method of self-harm or suicide',
+    action: 'block',
+    safeResponse: 'harm',
+    patterns: [
+      /\b(overdos(e|ing) on|lethal (dose|amount)|fatal (dose|amount)|how many (pills|tablets) (it takes|would))\b/i,
+      /\b(hang(ing)? yourself|noose|slit(ting)? (your )?wrists?|cut(ting)? (deeper|your wrists?))\b/i,
+      /\bjump(ing)? (off|from) (a |the )?(bridge|building|roof|balcony|cliff)\b/i,
+      /\b(painless|quick|easy) way to (die|end (it|your life))\b/i,
+      /\bways to (kill yourself|end your life)\b/i
+    ]
+  },
+  {
+    id: 'harmful-encouragement',
+    description: 'Encourages self-harm, disordered eating or other harmful behaviour',
+    action: 'block',
+    safeResponse: 'harm',
+    negatable: true,
+    patterns: [
+      /\b(you should|go ahead and|why not|just) (kill|hurt|harm|cut|starve) yourself\b/i,
+      /\byou (should|deserve to) (die|suffer|be punished)\b/i,
+      /\b(nobody|no one) would (miss|care about) you\b/i,
+      /\b(the world|everyone) would be better off without you\b/i,
+      // Only when the reply recommends it; "don't give up on yourself" is encouragement
+      /\b(you should|just|go ahead and|might as well|it'?s (ok|okay|fine) to|time to) give up on (yourself|life|living)\b/i,
+      /\b(you should|just|go ahead and|try to|why not|you (can|could)|it'?s (ok|okay|fine) to) (stop|quit) (eating(?=\s*(altogether|completely|entirely|for a while|[.!?,]|$))|taking (your|the) (medication|meds)\b)/i,
+      /\b(you should|just|go ahead and|try( to)?|why not|you (can|could)|it'?s (ok|okay|fine) to) skip(ping)? (meals|eating)\b/i
+    ]
+  },
+  {
+    id: 'medication-dosage',
+    description: 'Recommends specific medications, doses or dose changes',
+    action: 'block',
+    safeResponse: 'medication',
+    negatable: true,
+    patterns: [
+      /\b\d+(\.\d+)?\s?(mg|mcg|milligrams?|micrograms?)\b/i,
+      // Millilitres are a dose unless it is a drink
+      /\b\d+(\.\d+)?\s?(ml|millilitres?|milliliters?)\b(?!\s+(of\s+)?(water|juice|milk|tea|coffee))/i,
+      /\b(take|taking|try) (\d+|one|two|three|a few|several) (pills?|tablets?|capsules?|doses?)\b/i,
+      /\b(increase|double|reduce|lower|raise) (your|the) (dose|dosage|medication|meds)\b/i,
+      /\b(sertraline|fluoxetine|escitalopram|citalopram|paroxetine|alprazolam|diazepam|lorazepam|clonazepam|zoloft|prozac|lexapro|xanax|valium|ativan)\b/i
+    ]
+  },
+  {
+    id: 'prompt-leak',
+    description: 'Reveals the system prompt or its instructions',
+    action: 'block',
+    safeResponse: 'general',
+    patterns: [
+      /\b(my|the) system prompt\b/i,
+      /\b(my|these) (instructions|guidelines) (say|tell me|are to)\b/i,
+      /\bRESPONSE RULES\b/
+    ]
+  },
+  {
+    id: 'diagnosis',
+    description: 'Diagnoses the student with a condition',
+    action: 'redact',
+    patterns: [
+      /\byou (clearly |probably |definitely |likely |might |may |seem to |appear to )?(have|are suffering from|suffer from|are showing (signs|symptoms) of) (an? |clinical |severe |major |generalized )*(depression|depressive disorder|anxiety disorder|bipolar|adhd|ptsd|ocd|schizophrenia|borderline personality|eating disorder|anorexia|bulimia|panic disorder)\b/i,
+      /\b(i('d| would)? diagnose you|my diagnosis)\b/i
+    ]
+  },
+  {
+    id: 'persona-break',
+    description: 'Steps out of the MindCare persona to talk about being a language model',
+    action: 'redact',
+    patterns: [
+      /\bas an ai( language model)?\b/i,
+      /\bi('m| am) (just |only )?an? (ai |large )?language model\b/i,
+      /\bi('m| am) (chatgpt|llama|gemma|mixtral|gpt-?\d)\b/i,
+      /\b(developed|created|trained) by (openai|meta|google|mistral|groq)\b/i
+    ]
+  }
+];
+
+// A redacted reply shorter than this is replaced rather than sent
+const MIN_REDACTED_LENGTH = 40;
+
+// Words that advise against what follows, looked for in the last few words before a match.
+// "why not" is a suggestion, not a negation.
+const NEGATION_CUES = /\b(don'?t|do not|doesn'?t|never|(?<!why )not|no need to|avoid|shouldn'?t|should not|without|instead of|rather than|before|unless)\b/i;
+const NEGATION_WINDOW = 6;
+
+/**
+ * Response Guardrail Service
+ * Post-generation safety checks on AI replies. Replies are blocked or
+ * rewritten when they give doses, diagnose, encourage harm, mention methods,
+ * break persona or leak the system prompt, and replies to crisis-level
+ * messages always carry crisis resources. Every intervention is logged with
+ * the rule that fired so staff can review it from the admin dashboard.
+ */
+class ResponseGuardrailService {
+  /**
+   * @param {Object} options
+   * @param {string} options.logFile - Intervention log file
+   * @param {ResourceDirectoryService} options.resourceDirectory - Crisis resources for the caller's region
+   * @param {Array} options.rules - Rules to use instead of the built-in ones
+   */
+  constructor(options = {}) {
+    this.logFile = options.logFile || process.env.GUARDRAIL_LOG_FILE ||
+      path.join(__dirname, '..', 'data', 'guardrail-log.jsonl');
+    this.resourceDirectory = options.resourceDirectory || new ResourceDirectoryService();
+    this.rules = options.rules || GUARDRAIL_RULES;
+
+    this.config = {
+      maxLogEntries: options.maxLogEntries || 5000,
+      excerptLength: 160
+    };
+
+    // Serializes log writes from this instance
+    this.queue = Promise.resolve();
+    this.appendedSinceCheck = 0;
+  }
+
+  /**
+   * Check a generated reply and return the version that is safe to send
+   * @param {string} response - Generated reply (English, before translation)
+   * @param {Object} context - { crisis, severity, region, systemPrompt, sessionId, source }
+   * @returns {Object} { response, interventions: [{ rule, action }], blocked }
+   */
+  check(response, context = {}) {
+    let text = response || '';
+    let blocked = false;
+    const interventions = [];
+
+    for (const rule of this.rules) {
+      const match = this._match(rule, text);
+      if (!match) {
+        continue;
+      }
+
+      if (rule.action === 'redact') {
+        const redacted = this._redact(rule, text);
+        if (redacted.length >= MIN_REDACTED_LENGTH) {
+          interventions.push({ rule: rule.id, action: 'redact', excerpt: match });
+          text = redacted;
+          continue;
+        }
+      }
+
+      interventions.push({ rule: rule.id, action: 'block', excerpt: match });
+      text = this._safeResponse(rule.safeResponse, context);
+      blocked = true;
+      break;
+    }
+
+    const leaked = !blocked && this._leakedPromptLine(text, context.systemPrompt);
+    if (leaked) {
+      interventions.push({ rule: 'prompt-leak', action: 'block', excerpt: leaked });
+      text = this._safeResponse('general', context);
+      blocked = true;
+    }
+
+    if (context.crisis && !this._hasCrisisResources(text, context)) {
+      interventions.push({ rule: 'crisis-resources', action: 'append', excerpt: null });
+      text = `${text.trim()}\n\nPlease reach out for support right now:\n\n${this._helplines(context)}`;
+    }
+
+    if (interventions.length > 0) {
+      this._record(interventions, context);
+    }
+
+    return {
+      response: text,
+      interventions: interventions.map(({ rule, action }) => ({ rule, action })),
+      blocked
+    };
+  }
+
+  /**
+   * Block rules that fire on a partial reply; used to stop a stream early
+   * @param {string} partialResponse - Reply generated so far
+   * @returns {Array<string>} Ids of the rules that fired
+   */
+  scan(partialResponse) {
+    return this.rules
+      .filter(rule => rule.action === 'block' && this._match(rule, partialResponse || ''))
+      .map(rule => rule.id);
+  }
+
+  /**
+   * Logged interventions, newest first
+   * @param {Object} filters - { rule, source, since, limit }
+   * @returns {Promise<Array>} Log entries
+   */
+  async getInterventions(filters = {}) {
+    const limit = Math.min(parseInt(filters.limit) || 100, 1000);
+    const since = filters.since ? new Date(filters.since) : null;
+
+    const log = await this._readLog();
+    return log
+      .filter(entry => !filters.rule || entry.rule === filters.rule)
+      .filter(entry => !filters.source || entry.source === filters.source)
+      .filter(entry => !since || new Date(entry.timestamp) >= since)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Intervention counts per rule and action
+   * @param {Object} options - { days } to count, default 7
+   * @returns {Promise<Object>} { total, byRule: { rule: { block, redact, append } }, since }
+   */
+  async getStats(options = {}) {
+    const days = parseInt(options.days) || 7;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const log = await this._readLog();
+    const byRule = {};
+    let total = 0;
+
+    log.filter(entry => new Date(entry.timestamp) >= since).forEach(entry => {
+      byRule[entry.rule] = byRule[entry.rule] || { block: 0, redact: 0, append: 0 };
+      byRule[entry.rule][entry.action] = (byRule[entry.rule][entry.action] || 0) + 1;
+      total++;
+    });
+
+    return { total, byRule, since: since.toISOString() };
+  }
+
+  /**
+   * Descriptions of the active rules
+   * @returns {Array} [{ id, description, action }]
+   */
+  listRules() {
+    return [
+      ...this.rules.map(({ id, description, action }) => ({ id, description, action })),
+      { id: 'crisis-resources', description: 'Adds crisis resources to replies to crisis-level messages', action: 'append' }
+    ];
+  }
+
+  /**
+   * First text a rule matches, or null. Matches of a negatable rule that the
+   * reply advises against are skipped.
+   * @private
+   */
+  _match(rule, text) {
+    for (const pattern of rule.patterns) {
+      const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+      for (const match of text.matchAll(new RegExp(pattern.source, flags))) {
+        if (!rule.negatable || !this._isNegated(text, match.index)) {
+          return match[0];
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether the words just before a match, in the same clause, advise
+   * against it ("don't", "never", "try to avoid", "without talking to ...")
+   * @private
+   */
+  _isNegated(text, index) {
+    const clause = text.substring(0, index).split(/[.!?;:,\n]/).pop();
+    const lead = clause.trim().split(/\s+/).slice(-NEGATION_WINDOW).join(' ');
+    return NEGATION_CUES.test(lead);
+  }
+
+  /**
+   * Remove the sentences a rule matches
+   * @private
+   */
+  _redact(rule, text) {
+    const sentences = text.match(/[^.!?\n]+[.!?]*\s*|\n+/g) || [];
+    return sentences
+      .filter(sentence => !this._match(rule, sentence))
+      .join('')
+      .trim();
+  }
+
+  /**
+   * A line of the system prompt repeated in the reply
+   * @private
+   */
+  _leakedPromptLine(text, systemPrompt) {
+    if (!systemPrompt) {
+      return null;
+    }
+
+    const reply = text.toLowerCase();
+    return systemPrompt
+      .split('\n')
+      .map(line => line.replace(/^[•\-\d.\s]+/, '').trim())
+      .find(line => line.length >= 30 && reply.includes(line.toLowerCase())) || null;
+  }
+
+  /**
+   * @private
+   */
+  _safeResponse(key, context) {
+    return (SAFE_RESPONSES[key] || SAFE_RESPONSES.general).replace('{helplines}', () => this._helplines(context));
+  }
+
+  /**
+   * Crisis resources for the caller, one per line
+   * @private
+   */
+  _helplines(context) {
+    return this.resourceDirectory.formatResourceLines(this._resources(context).slice(0, 3));
+  }
+
+  /**
+   * Resources for the caller's severity and region. When the region has none
+   * for that severity, falls back to its emergency resources and then to the
+   * default region's, so a crisis reply never goes out without a helpline.
+   * @private
+   */
+  _resources(context) {
+    const severity = context.severity || 'high';
+    const region = context.region || {};
+    const defaultRegion = { language: region.language };
+    const lookups = [[severity, region], ['immediate', region], [severity, defaultRegion], ['immediate', defaultRegion]];
+
+    for (const [level, where] of lookups) {
+      const resources = this.resourceDirectory.getResourcesForSeverity(level, where);
+      if (resources.length > 0) {
+        return resources;
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Whether the reply already gives a phone number or website of a crisis resource
+   * @private
+   */
+  _hasCrisisResources(text, context) {
+    const compact = text.replace(/[\s-]/g, '').toLowerCase();
+    return this._resources(context).some(resource => {
+      const contacts = [resource.phoneNumber, resource.website].filter(Boolean);
+      return contacts.some(contact => compact.includes(String(contact).replace(/[\s-]/g, '').toLowerCase()));
+    });
+  }
+
+  /**
+   * Append interventions to the log without holding up the reply
+   * @private
+   */
+  _record(interventions, context) {
+    const timestamp = new Date().toISOString();
+    const entries = interventions.map(intervention => ({
+      id: crypto.randomUUID(),
+      timestamp,
+      rule: intervention.rule,
+      action: intervention.action,
+      source: context.source || 'chat',
+      crisis: !!context.crisis,
+      // Enough to match up entries from one conversation, not to find it
+      session: context.sessionId
+        ? crypto.createHash('sha256').update(context.sessionId).digest('hex').substring(0, 12)
+        : null,
+      excerpt: intervention.excerpt ? intervention.excerpt.substring(0, this.config.excerptLength) : null
+    }));
+
+    entries.forEach(entry => {
+      console.warn(`Guardrail ${entry.rule} (${entry.action}) on ${entry.source} reply`);
+    });
+
+    return this._appendLog(entries).catch(error => {
+      console.error('Failed to write guardrail log:', error.message);
+    });
+  }
+
+  /**
+   * Read the intervention log, the rotated file first, oldest entry first
+   * @private
+   */
+  async _readLog() {
+    const entries = [];
+
+    for (const file of [`${this.logFile}.1`, this.logFile]) {
+      let data;
+      try {
+        data = await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+
+      // Logs written before the switch to JSON Lines hold a single array
+      if (data.trimStart().startsWith('[')) {
+        entries.push(...JSON.parse(data));
+        continue;
+      }
+
+      data.split('\n').filter(Boolean).forEach(line => {
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // A line cut short by a crash; the rest of the log is still good
+        }
+      });
+    }
+
+    return entries.slice(-this.config.maxLogEntries);
+  }
+
+  /**
+   * Append entries to the log, one JSON line each. Every service instance
+   * appends to the same file, so none can overwrite another's entries.
+   * @private
+   */
+  _appendLog(entries) {
+    const run = this.queue.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.logFile), { recursive: true });
+      await fs.promises.appendFile(this.logFile, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+
+      this.appendedSinceCheck += entries.length;
+      if (this.appendedSinceCheck >= Math.ceil(this.config.maxLogEntries / 10)) {
+        this.appendedSinceCheck = 0;
+        this._rotateLog();
+      }
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Move a full log aside to `<logFile>.1`, replacing the one moved aside
+   * before. Counting and renaming happen synchronously, so no other instance
+   * in this process can append or rotate in between.
+   * @private
+   */
+  _rotateLog() {
+    const lines = fs.readFileSync(this.logFile, 'utf8').split('\n').filter(Boolean).length;
+    if (lines >= this.config.maxLogEntries) {
+      fs.renameSync(this.logFile, `${this.logFile}.1`);
+    }
+  }
+}
+
+module.exports = ResponseGuardrailService;
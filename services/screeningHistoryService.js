@@ -0,0 +1,507 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const ScreeningService = require('./screeningService');
+const MemoryScreeningStore = require('./memoryScreeningStore');
+const FileScreeningStore = require('./fileScreeningStore');
+const AnalyticsPrivacyService = require('./analyticsPrivacyService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Screening History Service
+ * Saves completed screenings and counts them into daily statistics. Every
+ * assessment is saved with its scores under an anonymous id; only when the
+ * student consents are the item responses kept and the assessment added to a
+ * history they can look back on. Students are known by a keyed hash: signed-in
+ * students by their user id, anonymous students by a random history token
+ * handed out with their first consenting assessment.
+ *
+ * A consenting assessment is compared with the student's previous one on the
+ * same tool; a sharp deterioration is emitted as 'deterioration' so staff see
+ * it on the monitoring dashboard.
+ */
+class ScreeningHistoryService extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Screening store; defaults to SCREENING_STORAGE (file, memory or mongo)
+   * @param {ScreeningService} options.screening - Scores comparisons against the instrument definitions
+   * @param {string} options.idSecret - Key for the anonymous owner ids
+   * @param {AnalyticsPrivacyService} options.privacy - Disclosure control for published statistics
+   */
+  constructor(options = {}) {
+    super();
+
+    this.store = options.store || this.createStore(options.storage || process.env.SCREENING_STORAGE);
+    this.privacy = options.privacy || new AnalyticsPrivacyService();
+    this.screening = options.screening || new ScreeningService();
+    this.idSecret = options.idSecret || process.env.SCREENING_ID_SECRET || process.env.JWT_SECRET ||
+      'aarogyatech-screening-ids';
+
+    this.config = {
+      // Assessments of students who did not consent are only kept for statistics
+      retentionDays: options.retentionDays || parseInt(process.env.SCREENING_RETENTION_DAYS) || 30,
+      historyRetentionDays: options.historyRetentionDays || parseInt(process.env.SCREENING_HISTORY_RETENTION_DAYS) || 365,
+      maxStatisticsDays: 90
+    };
+
+    this.ready = this.initializeStore();
+    // Callers see the failure when they await this.ready
+    this.ready.catch(() => {});
+  }
+
+  /**
+   * Create the configured screening store
+   * @param {string} storage - 'file' (default), 'memory' or 'mongo'
+   * @returns {ScreeningStore}
+   */
+  createStore(storage = 'file') {
+    if (storage === 'mongo') {
+      // Required lazily so deployments without MongoDB never load the mongoose models
+      const MongoScreeningStore = require('./mongoScreeningStore');
+      return new MongoScreeningStore({ uri: process.env.MONGODB_URI });
+    }
+    if (storage === 'memory') {
+      return new MemoryScreeningStore();
+    }
+    return new FileScreeningStore({ filePath: process.env.SCREENING_FILE });
+  }
+
+  /**
+   * Raise a monitoring alert for every sharp deterioration
+   * @param {RealTimeMonitoringService} monitoring - Monitoring service owning the Socket.IO server
+   */
+  attachMonitoring(monitoring) {
+    this.on('deterioration', (event) => {
+      const { change } = event;
+      const cutoff = change.cutoffCrossing === 'above' ? `, now above the clinical cutoff of ${change.clinicalCutoff}` : '';
+
+      monitoring.createCrisisAlert({
+        userId: `anonymous-${event.owner.substring(0, 8)}`,
+        sessionId: event.sessionId,
+        severity: change.clinicallySignificant || event.hadCrisis ? 'high' : 'medium',
+        message: `${event.toolName} score rose from ${change.previousScore} to ${change.currentScore}${cutoff}. ` +
+          `Trend: /api/screening/trends/${event.assessmentId}`,
+        keywords: ['screening', event.toolName]
+      });
+    });
+  }
+
+  async initializeStore() {
+    try {
+      await this.store.initialize();
+    } catch (error) {
+      console.error('Error initializing screening store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Anonymous id a student's screenings are kept under
+   * @param {Object} identity - { userId } for signed-in students or { token } for anonymous ones
+   * @returns {string|null} Owner id, or null when neither is given
+   */
+  ownerFor(identity = {}) {
+    if (identity.userId !== undefined && identity.userId !== null) {
+      return this._hash(`user:${identity.userId}`);
+    }
+    if (identity.token && typeof identity.token === 'string') {
+      return this._hash(`token:${identity.token}`);
+    }
+    return null;
+  }
+
+  /**
+   * New history token for an anonymous student; only its hash is stored
+   * @returns {string} Token
+   */
+  issueToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Save a processed screening and count it into the day's statistics
+   * @param {Object} result - Result of ScreeningService.processScreening()
+   * @param {Object} options
+   * @param {string} options.owner - Owner id from ownerFor(); required with consent
+   * @param {boolean} options.consent - The student agreed to keep it in their history
+   * @param {string} options.sessionId - Chat session, kept only with consent
+   * @returns {Promise<Object>} { assessmentId, consent, change } - change since the previous
+   *   assessment on the tool, or null without consent or a previous assessment
+   */
+  async record(result, options = {}) {
+    const consent = options.consent === true;
+    if (consent && !options.owner) {
+      throw this._validationError('A consenting assessment needs a signed-in student or a history token');
+    }
+
+    await this.ready;
+
+    const now = new Date();
+    const { score } = result;
+    const retentionDays = consent ? this.config.historyRetentionDays : this.config.retentionDays;
+    const dataRetentionExpiry = new Date(now.getTime() + retentionDays * DAY_MS);
+
+    // Read before the new entry is added, so the latest entry is the previous assessment
+    const previous = consent ? await this._previousEntry(options.owner, result.toolName, score.scoringMethod) : null;
+
+    const assessment = await this.store.saveAssessment({
+      toolName: result.toolName,
+      fullName: result.fullName,
+      ...(consent && options.sessionId && { sessionId: options.sessionId }),
+      ...(consent && { anonymousId: options.owner }),
+      consentToStore: consent,
+      responses: consent
+        ? score.detailedScoring.map(item => ({
+          questionId: item.questionId,
+          questionNumber: item.questionNumber,
+          responseValue: item.responseValue,
+          adjustedValue: item.adjustedValue,
+          category: item.category || 'general'
+        }))
+        : [],
+      score: {
+        totalScore: score.totalScore,
+        maxScore: score.maxScore,
+        scoringMethod: score.scoringMethod,
+        interpretation: this._interpretation(score.interpretation),
+        ...(score.subscales && { subscales: this._subscales(score.subscales) })
+      },
+      crisisAlerts: result.crisisAlerts.map(({ type, severity, action, message }) => ({ type, severity, action, message })),
+      requiresImmediateAttention: result.requiresImmediateAttention,
+      followUpRecommendations: result.followUpRecommendations,
+      nextSteps: result.nextSteps,
+      validity: result.validity,
+      metadata: { processing: { version: '1.0.0', processingTime: now } },
+      dataRetentionExpiry,
+      createdAt: now
+    });
+
+    await this.store.addToStatistics(this._day(now), result.toolName, {
+      score: score.totalScore,
+      level: score.interpretation.level,
+      crisisTypes: result.crisisAlerts.map(alert => alert.type),
+      validity: result.validity.status,
+      student: this._rollupStudent(this._day(now), result.toolName, options.owner)
+    });
+
+    if (consent) {
+      await this.store.appendHistory(options.owner, {
+        assessmentId: assessment.id,
+        toolName: result.toolName,
+        date: now,
+        score: score.totalScore,
+        maxScore: score.maxScore,
+        scoringMethod: score.scoringMethod,
+        level: score.interpretation.level,
+        hadCrisis: result.crisisAlerts.length > 0
+      }, { dataRetentionExpiry });
+    }
+
+    const change = previous
+      ? this.screening.compareScores(result.toolName, previous.score, score.totalScore, score.scoringMethod)
+      : null;
+
+    if (change && change.sharpDeterioration) {
+      this.emit('deterioration', {
+        owner: options.owner,
+        assessmentId: assessment.id,
+        sessionId: options.sessionId,
+        toolName: result.toolName,
+        hadCrisis: result.crisisAlerts.length > 0,
+        change
+      });
+    }
+
+    return { assessmentId: assessment.id, consent, change };
+  }
+
+  /**
+   * A consenting student's past scores, newest first
+   * @param {string} owner - Owner id from ownerFor()
+   * @returns {Promise<Object>} { assessments, summary, consentDate }
+   */
+  async getHistory(owner) {
+    await this.ready;
+
+    const history = await this.store.findHistory(owner);
+    if (!history) {
+      return {
+        assessments: [],
+        summary: { totalAssessments: 0, toolsUsed: [], lastAssessment: null, averageScores: {} },
+        consentDate: null
+      };
+    }
+
+    // Reversed first so entries saved in the same millisecond stay newest first
+    const assessments = history.assessments
+      .map(entry => ({ ...entry, date: new Date(entry.date).toISOString() }))
+      .reverse()
+      .sort((a, b) => b.date.localeCompare(a.date));
+
+    return { assessments, summary: history.summary, consentDate: history.consentDate };
+  }
+
+  /**
+   * A consenting student's scores per tool over time
+   * @param {string} owner - Owner id from ownerFor()
+   * @param {string} toolName - Only this tool; all tools when omitted
+   * @returns {Promise<Object>} { tools: [...] }
+   */
+  async getTrend(owner, toolName = null) {
+    await this.ready;
+    return this._trend(await this.store.findHistory(owner), toolName);
+  }
+
+  /**
+   * The trend of the history an assessment belongs to, for the counselor
+   * following up an alert. Only consenting students have a history.
+   * @param {string} assessmentId - Assessment from the alert
+   * @param {string} toolName - Only this tool; all tools when omitted
+   * @returns {Promise<Object|null>} { tools: [...] }, or null when no history lists the assessment
+   */
+  async getTrendForAssessment(assessmentId, toolName = null) {
+    await this.ready;
+
+    const history = await this.store.findHistoryByAssessment(assessmentId);
+    if (!history || !history.assessments.some(entry => entry.assessmentId === assessmentId)) {
+      return null;
+    }
+    return this._trend(history, toolName);
+  }
+
+  /**
+   * Forget a student's history and the assessments in it
+   * @param {string} owner - Owner id from ownerFor()
+   * @returns {Promise<number>} Assessments deleted
+   */
+  async deleteHistory(owner) {
+    await this.ready;
+    return this.store.deleteHistory(owner);
+  }
+
+  /**
+   * Daily rollups for staff. Every count describes students, so each one goes
+   * through the disclosure guard and small cells are suppressed.
+   * @param {Object} options - { days, toolName }
+   * @param {Object} privacyOptions - { noise, epsilon } for the disclosure guard
+   * @returns {Promise<Object>} { days: [...], privacy }
+   */
+  async getStatistics(options = {}, privacyOptions = {}) {
+    const days = options.days === undefined ? 30 : parseInt(options.days);
+    if (!(days >= 1 && days <= this.config.maxStatisticsDays)) {
+      throw this._validationError(`days must be between 1 and ${this.config.maxStatisticsDays}`);
+    }
+
+    await this.ready;
+
+    const to = this._day(new Date());
+    const from = new Date(to.getTime() - (days - 1) * DAY_MS);
+    const rollups = await this.store.findStatistics({ from, to, toolName: options.toolName });
+
+    // One assessment moves one cell of each measure, except that it can
+    // trip more than one crisis rule (PHQ-9 and DASS-21 have two)
+    const guard = this.privacy.createGuard({ assessments: 1, levels: 1, crises: 1, crisisTypes: 2 }, privacyOptions);
+    const published = rollups.map(day => {
+      const key = `${day.date.toISOString().split('T')[0]}:${day.toolName}`;
+      const crisisTypes = day.crisisDetections.byType || {};
+
+      // Cells are judged by the students behind them; rollups saved before
+      // students were counted fall back to their assessment counts
+      const students = day.students || {};
+      const totalStudents = students.total ? students.total.length : day.totalAssessments;
+      const crisisStudents = students.crises ? students.crises.length : day.crisisDetections.total;
+
+      return {
+        date: day.date.toISOString().split('T')[0],
+        toolName: day.toolName,
+        totalAssessments: guard.count('assessments', day.totalAssessments, totalStudents, key),
+        averageScore: guard.average(Math.round(day.averageScore * 10) / 10, totalStudents),
+        scoreDistribution: guard.group('levels', { ...day.scoreDistribution }, {
+          total: true,
+          key,
+          contributors: this._cellSizes(students.levels)
+        }),
+        crisisDetections: {
+          total: guard.count('crises', day.crisisDetections.total, crisisStudents, key),
+          byType: guard.group('crisisTypes', { ...crisisTypes }, { key, contributors: this._cellSizes(students.crisisTypes) })
+        }
+      };
+    });
+
+    return { days: published, privacy: guard.footer() };
+  }
+
+  /**
+   * Latest history entry on a tool and scoring method
+   * @private
+   */
+  async _previousEntry(owner, toolName, scoringMethod) {
+    const history = await this.store.findHistory(owner);
+    const entries = history ? this._entriesFor(history, toolName, scoringMethod) : [];
+    return entries[entries.length - 1] || null;
+  }
+
+  /**
+   * A history's entries on one tool and scoring method, oldest first.
+   * Entries saved before scoring methods were recorded used the standard one.
+   * @private
+   */
+  _entriesFor(history, toolName, scoringMethod) {
+    return history.assessments
+      .filter(entry => entry.toolName === toolName && (entry.scoringMethod || 'standard') === scoringMethod)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  /**
+   * Per-tool trends of a history: every score with its change since the one
+   * before, and the change since the first
+   * @private
+   */
+  _trend(history, toolName) {
+    if (!history) {
+      return { tools: [] };
+    }
+
+    const series = [];
+    history.assessments.forEach(entry => {
+      const method = entry.scoringMethod || 'standard';
+      if ((!toolName || entry.toolName === toolName) &&
+          !series.some(item => item.toolName === entry.toolName && item.scoringMethod === method)) {
+        series.push({ toolName: entry.toolName, scoringMethod: method });
+      }
+    });
+
+    const tools = series
+      // A tool whose definition has been removed can no longer be compared
+      .filter(item => this.screening.registry.get(item.toolName))
+      .map(({ toolName: name, scoringMethod }) => {
+        const entries = this._entriesFor(history, name, scoringMethod);
+        const points = entries.map((entry, index) => ({
+          assessmentId: entry.assessmentId,
+          date: new Date(entry.date).toISOString(),
+          score: entry.score,
+          maxScore: entry.maxScore,
+          level: entry.level,
+          change: index > 0
+            ? this.screening.compareScores(name, entries[index - 1].score, entry.score, scoringMethod)
+            : null
+        }));
+        const first = points[0];
+        const last = points[points.length - 1];
+        const overall = points.length > 1
+          ? this.screening.compareScores(name, first.score, last.score, scoringMethod)
+          : null;
+
+        return {
+          toolName: name,
+          scoringMethod,
+          assessments: points.length,
+          points,
+          latestChange: last.change,
+          overallChange: overall,
+          description: this._describeTrend(name, points, last.change)
+        };
+      });
+
+    return { tools };
+  }
+
+  /**
+   * One line a student or counselor can read at a glance
+   * @private
+   */
+  _describeTrend(toolName, points, latestChange) {
+    const scores = points.map(point => point.score).join(' → ');
+    if (!latestChange) {
+      return `${toolName}: ${scores} (one assessment so far)`;
+    }
+
+    const reliable = {
+      deterioration: 'reliably worse than last time',
+      improvement: 'reliably better than last time',
+      none: 'no reliable change since last time'
+    }[latestChange.reliableChange] || `${latestChange.change >= 0 ? '+' : ''}${latestChange.change} since last time`;
+    const cutoff = {
+      above: `, now above the clinical cutoff of ${latestChange.clinicalCutoff}`,
+      below: `, now below the clinical cutoff of ${latestChange.clinicalCutoff}`
+    }[latestChange.cutoffCrossing] || '';
+
+    return `${toolName}: ${scores} (${reliable}${cutoff})`;
+  }
+
+  /**
+   * The fields of an interpretation the assessment schema keeps
+   * @private
+   */
+  _interpretation(interpretation) {
+    const { score, level, description, isAboveThreshold, clinicalCutoff, severity, recommendations, clinicalNotes, subscale } =
+      interpretation;
+    return {
+      score, level, description, isAboveThreshold, clinicalCutoff, severity, recommendations, clinicalNotes,
+      ...(subscale && { subscale })
+    };
+  }
+
+  /**
+   * @private
+   */
+  _subscales(subscales) {
+    const stored = {};
+    Object.entries(subscales).forEach(([name, subscale]) => {
+      stored[name] = {
+        score: subscale.score,
+        maxScore: subscale.maxScore,
+        interpretation: this._interpretation(subscale.interpretation)
+      };
+    });
+    return stored;
+  }
+
+  /**
+   * Midnight UTC of the day a time falls on
+   * @private
+   */
+  _day(time) {
+    return new Date(`${time.toISOString().split('T')[0]}T00:00:00.000Z`);
+  }
+
+  /**
+   * Id a student is counted under in one rollup. It is keyed by day and
+   * tool, so rollups cannot be linked to each other or to a history; an
+   * assessment without an owner counts as a student of its own.
+   * @private
+   */
+  _rollupStudent(date, toolName, owner) {
+    return this._hash(`${date.toISOString()}:${toolName}:${owner || crypto.randomUUID()}`).substring(0, 16);
+  }
+
+  /**
+   * Number of students behind each cell of a rollup
+   * @private
+   */
+  _cellSizes(studentsByCell) {
+    if (!studentsByCell) {
+      return undefined;
+    }
+    return Object.fromEntries(Object.entries(studentsByCell).map(([name, ids]) => [name, ids.length]));
+  }
+
+  /**
+   * @private
+   */
+  _hash(value) {
+    return crypto.createHmac('sha256', this.idSecret).update(value).digest('hex');
+  }
+
+  /**
+   * Create an error the routes report as a bad request
+   * @private
+   */
+  _validationError(message) {
+    const error = new Error(message);
+    error.isValidationError = true;
+    return error;
+  }
+}
+
+module.exports = ScreeningHistoryService;
@@ -36,6 +36,11 @@ class ScreeningIntegrationService {
         'juggling', 'multitasking', 'deadlines', 'expectations',
         'struggling', 'difficult', 'hard', 'challenging', 'tough'
       ],
+      trauma: [
+        'trauma', 'traumatic', 'flashback', 'nightmares about', 'assaulted',
+        'abused', 'abuse', 'witnessed', 'easily startled', 'on guard',
+        'can\'t stop thinking about what happened'
+      ],
       general: [
         'mental health', 'psychological', 'emotional', 'mood', 'feeling',
         'counseling', 'therapy', 'help', 'support', 'treatment',
@@ -53,7 +58,10 @@ class ScreeningIntegrationService {
       specific: {
         'PHQ-9': "It sounds like you might benefit from the PHQ-9 depression screening. It's a brief, 9-question assessment that can help evaluate depression symptoms and their severity.",
         'GAD-7': "Based on what you're describing, the GAD-7 anxiety screening might be helpful. It's a short questionnaire that assesses anxiety symptoms over the past two weeks.",
-        'GHQ-12': "The GHQ-12 general health questionnaire might provide some insights into your overall psychological wellbeing. It's a comprehensive but brief screening tool."
+        'GHQ-12': "The GHQ-12 general health questionnaire might provide some insights into your overall psychological wellbeing. It's a comprehensive but brief screening tool.",
+        'PSS-10': "The PSS-10 perceived stress scale might be useful here. It's 10 short questions about how stressful your life has felt over the last month.",
+        'DASS-21': "The DASS-21 might give a fuller picture. It's 21 short statements that look at depression, anxiety and stress separately.",
+        'PC-PTSD-5': "If something frightening or traumatic has happened to you, the PC-PTSD-5 is a brief yes/no screen that can show whether it is still affecting you."
       },
       followUp: [
         "After completing a screening, we can discuss the results and explore appropriate next steps together.",
@@ -98,6 +106,15 @@ class ScreeningIntegrationService {
       confidence.stress = Math.min(stressCount * 0.2, 1.0);
     }
     
+    // Check for trauma indicators
+    const traumaCount = this.screeningTriggers.trauma.filter(trigger => 
+      lowercaseMessage.includes(trigger.toLowerCase())
+    ).length;
+    if (traumaCount > 0) {
+      symptoms.push('trauma');
+      confidence.trauma = Math.min(traumaCount * 0.3, 1.0);
+    }
+    
     // Check for general mental health mentions
     const generalCount = this.screeningTriggers.general.filter(trigger => 
       lowercaseMessage.includes(trigger.toLowerCase())
@@ -189,8 +206,23 @@ class ScreeningIntegrationService {
       });
     }
     
-    if (symptoms.includes('stress') || symptoms.includes('general') || 
-        historyAnalysis.patterns.includes('multiple_domains')) {
+    if (symptoms.includes('trauma')) {
+      recommendations.push({
+        toolName: 'PC-PTSD-5',
+        priority: 'high',
+        reason: 'Trauma-related symptoms detected'
+      });
+    }
+    
+    if (symptoms.includes('stress')) {
+      recommendations.push({
+        toolName: 'PSS-10',
+        priority: 'medium',
+        reason: 'Stress indicators detected'
+      });
+    }
+    
+    if (symptoms.includes('general') || historyAnalysis.patterns.includes('multiple_domains')) {
       recommendations.push({
         toolName: 'GHQ-12',
         priority: 'medium',
@@ -262,7 +294,7 @@ class ScreeningIntegrationService {
   /**
    * Generate interpretation message for screening results
    */
-  generateResultInterpretationMessage(assessmentResult) {
+  generateResultInterpretationMessage(assessmentResult, region = {}) {
     const { score, crisisAlerts, followUpRecommendations, nextSteps } = assessmentResult;
     const { interpretation } = score;
     
@@ -284,8 +316,9 @@ class ScreeningIntegrationService {
     if (crisisAlerts && crisisAlerts.length > 0) {
       message += '\n\n⚠️ Important: Your responses indicate some concerning symptoms. ';
       message += crisisAlerts[0].message + ' ';
-      message += 'Please reach out for immediate support: National Suicide Prevention Lifeline at 988, ';
-      message += 'Crisis Text Line (text HOME to 741741), or call emergency services (911).';
+      const { emergencyServices, helplines } = this.screeningService.getCrisisResources(region);
+      message += `Please reach out for immediate support: ${this.screeningService.resourceDirectory.formatResourceList(helplines.slice(0, 2))}, `;
+      message += `or call emergency services (${emergencyServices || 'your local emergency number'}).`;
       return message; // Return early for crisis situations
     }
     
@@ -319,7 +352,7 @@ class ScreeningIntegrationService {
     const lowercaseMessage = message.toLowerCase();
     const screeningInterestPhrases = [
       'screening', 'assessment', 'questionnaire', 'test', 'evaluation',
-      'phq', 'gad', 'ghq', 'depression test', 'anxiety test',
+      'phq', 'gad', 'ghq', 'pss', 'dass', 'ptsd', 'depression test', 'anxiety test', 'stress test',
       'mental health test', 'check my', 'assess my', 'measure my',
       'how bad is my', 'severity', 'score'
     ];
@@ -350,6 +383,15 @@ class ScreeningIntegrationService {
     if (lowercaseMessage.includes('ghq') || lowercaseMessage.includes('general')) {
       preferences.preferredTools.push('GHQ-12');
     }
+    if (lowercaseMessage.includes('pss') || lowercaseMessage.includes('stress')) {
+      preferences.preferredTools.push('PSS-10');
+    }
+    if (lowercaseMessage.includes('dass')) {
+      preferences.preferredTools.push('DASS-21');
+    }
+    if (lowercaseMessage.includes('ptsd') || lowercaseMessage.includes('trauma')) {
+      preferences.preferredTools.push('PC-PTSD-5');
+    }
     
     // Check urgency indicators
     const urgentPhrases = ['urgent', 'immediately', 'right now', 'asap', 'emergency'];
@@ -362,7 +404,7 @@ class ScreeningIntegrationService {
 
   // Helper methods
   countSymptomMentions(text) {
-    const domains = ['depression', 'anxiety', 'stress', 'general'];
+    const domains = ['depression', 'anxiety', 'stress', 'trauma', 'general'];
     const mentions = { total: 0, domains: [] };
     
     domains.forEach(domain => {
@@ -416,7 +458,10 @@ class ScreeningIntegrationService {
     const descriptions = {
       'PHQ-9': 'Assesses depression symptoms over the past 2 weeks',
       'GAD-7': 'Evaluates anxiety symptoms over the past 2 weeks', 
-      'GHQ-12': 'General psychological wellbeing and distress screening'
+      'GHQ-12': 'General psychological wellbeing and distress screening',
+      'PSS-10': 'Measures how stressful life has felt over the last month',
+      'DASS-21': 'Looks at depression, anxiety and stress separately over the past week',
+      'PC-PTSD-5': 'Brief yes/no screen for the after-effects of a traumatic event'
     };
     return descriptions[toolName] || 'Mental health screening tool';
   }
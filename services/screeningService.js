@@ -3,62 +3,79 @@
  * Handles screening logic, scoring, and result interpretation
  */
 
-const { PHQ9, GAD7, GHQ12, CRISIS_INDICATORS, SCREENING_RECOMMENDATIONS } = require('../models/screeningTools');
+const { SCREENING_RECOMMENDATIONS } = require('../models/screeningTools');
+const ResourceDirectoryService = require('./resourceDirectoryService');
+const InstrumentRegistry = require('./instrumentRegistry');
 
 class ScreeningService {
-  constructor() {
-    this.tools = {
-      'PHQ-9': PHQ9,
-      'GAD-7': GAD7,
-      'GHQ-12': GHQ12
-    };
+  constructor(options = {}) {
+    this.resourceDirectory = options.resourceDirectory || new ResourceDirectoryService();
+    this.registry = options.registry || new InstrumentRegistry();
   }
 
   /**
-   * Get available screening tools
+   * Get the screening tools offered on the caller's campus
+   * @param {Object} region - Caller's region; all enabled tools when no campus is given
    */
-  getAvailableTools() {
-    return Object.keys(this.tools).map(key => ({
-      name: key,
-      fullName: this.tools[key].fullName,
-      description: this.tools[key].description,
-      type: this.tools[key].type,
-      questionCount: this.tools[key].questions.length,
-      estimatedTime: this.calculateEstimatedTime(this.tools[key].questions.length)
+  getAvailableTools(region = {}) {
+    return this.registry.listForCampus(region.campus || null).map(tool => ({
+      name: tool.name,
+      fullName: tool.fullName,
+      description: tool.description,
+      type: tool.type,
+      questionCount: tool.questions.length,
+      estimatedTime: this.calculateEstimatedTime(tool.questions.length)
     }));
   }
 
   /**
    * Get a specific screening tool
+   * @param {string} toolName - Tool name
+   * @param {Object} region - Caller's region; a tool switched off for its campus is not found
    */
-  getTool(toolName) {
-    const tool = this.tools[toolName];
+  getTool(toolName, region = null) {
+    const tool = this.registry.get(toolName);
     if (!tool) {
       throw new Error(`Screening tool '${toolName}' not found`);
     }
+    if (region && !this.registry.isEnabled(toolName, region.campus || null)) {
+      throw new Error(`Screening tool '${toolName}' not found on campus ${region.campus}`);
+    }
     return tool;
   }
 
   /**
-   * Get screening tool questions for presentation
+   * Get screening tool questions for presentation, translated when the
+   * instrument has the caller's language
    */
-  getToolQuestions(toolName) {
-    const tool = this.getTool(toolName);
+  getToolQuestions(toolName, region = null) {
+    const tool = this.getTool(toolName, region);
+    const translation = (region && tool.translations[region.language]) || {};
+    const itemTexts = translation.items || {};
+    const optionTexts = translation.responseSets || {};
+    const localizeOptions = (options, setName) => options && options.map((option, index) => ({
+      ...option,
+      text: (optionTexts[setName] && optionTexts[setName][index]) || option.text
+    }));
+
     return {
       name: tool.name,
-      fullName: tool.fullName,
+      fullName: translation.fullName || tool.fullName,
       description: tool.description,
       timeframe: tool.timeframe,
       questions: tool.questions.map((q, index) => ({
         id: q.id,
         number: index + 1,
-        text: q.text,
+        text: itemTexts[q.id] || q.text,
         category: q.category,
-        requiresFollowUp: q.requiresFollowUp || false
+        requiresFollowUp: q.requiresFollowUp || false,
+        // Symptom questions are skipped when the gate question is answered 0
+        gate: q.gate || false,
+        responseSet: q.responseSet
       })),
-      responseOptions: tool.responseOptions,
-      alternativeResponseOptions: tool.alternativeResponseOptions,
-      instructions: this.getInstructions(toolName)
+      responseOptions: localizeOptions(tool.responseOptions, 'default'),
+      alternativeResponseOptions: localizeOptions(tool.alternativeResponseOptions, 'alternative'),
+      instructions: translation.instructions || this.getInstructions(toolName)
     };
   }
 
@@ -73,42 +90,49 @@ class ScreeningService {
     // Validate responses
     this.validateResponses(tool, responses);
 
+    const gatedOut = this.isGatedOut(tool, responses);
+    const method = this.getScoringMethod(tool, scoringMethod);
+
     tool.questions.forEach((question, index) => {
-      const responseValue = responses[question.id];
-      let adjustedValue = responseValue;
-
-      // Handle reversed scoring for GHQ-12
-      if (question.reversed && toolName === 'GHQ-12') {
-        if (scoringMethod === 'binary') {
-          // Binary GHQ scoring: 0-0-1-1
-          adjustedValue = responseValue >= 2 ? 1 : 0;
-        } else {
-          // Standard GHQ scoring with reversed items
-          adjustedValue = responseValue;
-        }
-      } else if (toolName === 'GHQ-12' && scoringMethod === 'binary') {
-        // Binary scoring for non-reversed items
-        adjustedValue = responseValue >= 2 ? 1 : 0;
+      // The gate question decides whether the rest is asked; it is not scored
+      if (question.gate) {
+        return;
       }
 
+      const responseValue = gatedOut ? null : responses[question.id];
+      const adjustedValue = gatedOut ? 0 : this.adjustValue(tool, question, responseValue, method);
+
       totalScore += adjustedValue;
       detailedScoring.push({
         questionId: question.id,
         questionNumber: index + 1,
         responseValue: responseValue,
         adjustedValue: adjustedValue,
-        category: question.category
+        category: question.category,
+        ...(question.subscale && { subscale: question.subscale })
       });
     });
 
-    // Get scoring configuration
-    const scoring = scoringMethod === 'binary' && tool.scoring.binaryScoring 
-      ? tool.scoring.binaryScoring 
-      : tool.scoring;
+    // Tools scored per subscale (DASS-21) are interpreted on their most severe subscale
+    if (method.formula === 'subscales') {
+      const subscales = this.calculateSubscaleScores(tool, detailedScoring, scoringMethod);
+      const totalSubscaleScore = Object.values(subscales).reduce((sum, subscale) => sum + subscale.score, 0);
+
+      return {
+        totalScore: totalSubscaleScore,
+        maxScore: method.maxScore,
+        scoringMethod,
+        detailedScoring,
+        subscales,
+        interpretation: this.mostSevereInterpretation(subscales)
+      };
+    }
+
+    totalScore *= method.multiplier || 1;
 
     return {
       totalScore,
-      maxScore: scoring.maxScore,
+      maxScore: method.maxScore,
       scoringMethod,
       detailedScoring,
       interpretation: this.interpretScore(toolName, totalScore, scoringMethod)
@@ -116,13 +140,91 @@ class ScreeningService {
   }
 
   /**
-   * Interpret the score and provide severity level and recommendations
+   * The instrument's scoring method by name; unknown methods fall back to standard
+   */
+  getScoringMethod(tool, scoringMethod = 'standard') {
+    return tool.scoring[scoringMethod] || tool.scoring.standard;
+  }
+
+  /**
+   * Score one answer: reverse-keyed items are flipped within their response
+   * set (PSS-10 "felt that things were going your way"), then the method's
+   * recode applies (GHQ-12 binary scoring counts 0-0-1-1)
+   */
+  adjustValue(tool, question, responseValue, method) {
+    let value = responseValue;
+
+    if (question.reverse) {
+      const values = tool.responseSets[question.responseSet].map(option => option.value);
+      value = Math.max(...values) + Math.min(...values) - value;
+    }
+    if (method.recode) {
+      value = method.recode[value];
+    }
+
+    return value;
+  }
+
+  /**
+   * Sum each subscale's items and apply the method's multiplier
+   */
+  calculateSubscaleScores(tool, detailedScoring, scoringMethod = 'standard') {
+    const method = this.getScoringMethod(tool, scoringMethod);
+    const subscales = {};
+
+    Object.entries(method.subscales).forEach(([name, subscale]) => {
+      const score = detailedScoring
+        .filter(item => item.subscale === name)
+        .reduce((sum, item) => sum + item.adjustedValue, 0) * (method.multiplier || 1);
+
+      subscales[name] = {
+        score,
+        maxScore: subscale.maxScore,
+        interpretation: this.interpretScore(tool.name, score, scoringMethod, name)
+      };
+    });
+
+    return subscales;
+  }
+
+  /**
+   * The interpretation of the subscale furthest up its own ranges
+   */
+  mostSevereInterpretation(subscales) {
+    const [name, worst] = Object.entries(subscales).reduce((most, current) =>
+      (this.rangeIndex(current[1].interpretation) > this.rangeIndex(most[1].interpretation) ? current : most));
+
+    return { ...worst.interpretation, subscale: name };
+  }
+
+  rangeIndex(interpretation) {
+    return ['normal', 'mild', 'moderate', 'severe', 'extremely_severe'].indexOf(interpretation.level);
+  }
+
+  /**
+   * Whether the gate question (e.g. PC-PTSD-5 trauma exposure) was answered 0,
+   * in which case the remaining questions are not asked and score 0
+   */
+  isGatedOut(tool, responses) {
+    const gate = tool.questions.find(question => question.gate);
+    return Boolean(gate) && responses[gate.id] === 0;
+  }
+
+  /**
+   * Interpret the score and provide severity level and recommendations.
+   * Tools scored per subscale are interpreted one subscale at a time.
    */
-  interpretScore(toolName, score, scoringMethod = 'standard') {
+  interpretScore(toolName, score, scoringMethod = 'standard', subscale = null) {
     const tool = this.getTool(toolName);
-    const scoring = scoringMethod === 'binary' && tool.scoring.binaryScoring 
-      ? tool.scoring.binaryScoring 
-      : tool.scoring;
+    const method = this.getScoringMethod(tool, scoringMethod);
+    let scoring = method;
+
+    if (method.formula === 'subscales') {
+      scoring = method.subscales[subscale];
+      if (!scoring) {
+        throw new Error(`${toolName} is interpreted per subscale; subscale must be one of: ${Object.keys(method.subscales).join(', ')}`);
+      }
+    }
 
     // Find the appropriate range
     const range = scoring.ranges.find(r => score >= r.min && score <= r.max);
@@ -146,56 +248,115 @@ class ScreeningService {
   }
 
   /**
-   * Check for crisis indicators in responses
+   * Compare two total scores on the same tool and scoring method. Change is
+   * reliable when the Jacobson-Truax reliable change index is beyond ±1.96,
+   * using the method's normative sd and test-retest reliability; tools
+   * without those figures only report crossings of the clinical cutoff.
+   * Higher scores are worse on every instrument.
+   */
+  compareScores(toolName, previousScore, currentScore, scoringMethod = 'standard') {
+    const tool = this.getTool(toolName);
+    const method = this.getScoringMethod(tool, scoringMethod);
+    const change = currentScore - previousScore;
+    const cutoff = typeof method.clinicalCutoff === 'number' ? method.clinicalCutoff : null;
+
+    let reliableChangeIndex = null;
+    let reliableChangeThreshold = null;
+    let reliableChange = null;
+    if (method.reliableChange) {
+      const { sd, reliability } = method.reliableChange;
+      const standardErrorOfDifference = sd * Math.sqrt(2) * Math.sqrt(1 - reliability);
+      reliableChangeIndex = Math.round((change / standardErrorOfDifference) * 100) / 100;
+      reliableChangeThreshold = Math.round(1.96 * standardErrorOfDifference * 10) / 10;
+      reliableChange = reliableChangeIndex >= 1.96 ? 'deterioration'
+        : reliableChangeIndex <= -1.96 ? 'improvement'
+          : 'none';
+    }
+
+    let cutoffCrossing = null;
+    if (cutoff !== null && previousScore < cutoff && currentScore >= cutoff) {
+      cutoffCrossing = 'above';
+    } else if (cutoff !== null && previousScore >= cutoff && currentScore < cutoff) {
+      cutoffCrossing = 'below';
+    }
+
+    // Reliable change across the cutoff is what Jacobson and Truax call clinically significant
+    const clinicallySignificant = (reliableChange === 'deterioration' && cutoffCrossing === 'above') ||
+      (reliableChange === 'improvement' && cutoffCrossing === 'below');
+
+    return {
+      previousScore,
+      currentScore,
+      change,
+      reliableChangeIndex,
+      reliableChangeThreshold,
+      reliableChange,
+      clinicalCutoff: cutoff,
+      cutoffCrossing,
+      clinicallySignificant,
+      sharpDeterioration: reliableChange === 'deterioration' ||
+        (reliableChange === null && cutoffCrossing === 'above')
+    };
+  }
+
+  /**
+   * Check the instrument's crisis rules against the responses
    */
-  checkCrisisIndicators(toolName, responses, totalScore) {
+  checkCrisisIndicators(toolName, responses, totalScore, region = {}) {
+    const tool = this.getTool(toolName);
     const crisisAlerts = [];
 
-    // Check for specific crisis indicators
-    Object.entries(CRISIS_INDICATORS).forEach(([indicatorType, indicator]) => {
-      if (indicator.tools.includes(toolName)) {
-        let isCrisis = false;
-
-        if (indicator.questions) {
-          // Check specific questions (e.g., suicidal ideation)
-          indicator.questions.forEach(questionId => {
-            if (responses[questionId] >= indicator.threshold) {
-              isCrisis = true;
-            }
-          });
-        } else if (indicator.threshold && totalScore >= indicator.threshold) {
-          // Check total score threshold
-          isCrisis = true;
-        }
-
-        if (isCrisis) {
-          crisisAlerts.push({
-            type: indicatorType,
-            severity: 'high',
-            action: indicator.action,
-            message: this.getCrisisMessage(indicatorType),
-            resources: this.getCrisisResources()
-          });
-        }
+    tool.crisisRules.forEach(rule => {
+      let value = totalScore;
+
+      if (rule.item) {
+        // A single item, e.g. PHQ-9 suicidal ideation
+        value = responses[rule.item];
+      } else if (rule.subscale) {
+        // A subscale score, e.g. DASS-21 depression
+        value = this.subscaleScore(toolName, rule.subscale, responses);
+      }
+
+      if (value >= rule.atLeast) {
+        crisisAlerts.push({
+          type: rule.id,
+          severity: 'high',
+          action: rule.action,
+          message: this.getCrisisMessage(rule),
+          resources: this.getCrisisResources(region)
+        });
       }
     });
 
     return crisisAlerts;
   }
 
+  /**
+   * Score one subscale straight from the responses
+   */
+  subscaleScore(toolName, subscale, responses) {
+    const tool = this.getTool(toolName);
+    const method = this.getScoringMethod(tool);
+
+    return tool.questions
+      .filter(question => question.subscale === subscale && Number.isInteger(responses[question.id]))
+      .reduce((sum, question) => sum + this.adjustValue(tool, question, responses[question.id], method), 0) *
+      (method.multiplier || 1);
+  }
+
   /**
    * Process a complete screening assessment
    */
   processScreening(toolName, responses, options = {}) {
     try {
-      const tool = this.getTool(toolName);
+      const tool = this.getTool(toolName, options.region);
       const scoringMethod = options.scoringMethod || 'standard';
       
       // Calculate score
       const scoreResult = this.calculateScore(toolName, responses, scoringMethod);
       
       // Check for crisis indicators
-      const crisisAlerts = this.checkCrisisIndicators(toolName, responses, scoreResult.totalScore);
+      const crisisAlerts = this.checkCrisisIndicators(toolName, responses, scoreResult.totalScore, options.region);
       
       // Generate comprehensive result
       const result = {
@@ -244,7 +405,13 @@ class ScreeningService {
       if (symptoms.includes('anxiety') || symptoms.includes('worry') || symptoms.includes('nervousness')) {
         recommendations.push('GAD-7');
       }
-      if (symptoms.includes('stress') || symptoms.includes('general') || !symptoms.length) {
+      if (symptoms.includes('stress') || symptoms.includes('pressure') || symptoms.includes('overwhelmed')) {
+        recommendations.push('PSS-10');
+      }
+      if (symptoms.includes('trauma') || symptoms.includes('nightmares') || symptoms.includes('flashbacks')) {
+        recommendations.push('PC-PTSD-5');
+      }
+      if (symptoms.includes('general') || !symptoms.length) {
         recommendations.push('GHQ-12');
       }
     }
@@ -262,9 +429,15 @@ class ScreeningService {
    */
   validateResponses(tool, responses) {
     const errors = [];
+    const gatedOut = this.isGatedOut(tool, responses);
 
     tool.questions.forEach(question => {
       const response = responses[question.id];
+
+      // Questions after a gate answered 0 are not asked
+      if (gatedOut && !question.gate) {
+        return;
+      }
       
       if (response === undefined || response === null) {
         errors.push(`Missing response for question: ${question.id}`);
@@ -276,7 +449,7 @@ class ScreeningService {
         return;
       }
 
-      const maxValue = Math.max(...tool.responseOptions.map(opt => opt.value));
+      const maxValue = Math.max(...tool.responseSets[question.responseSet].map(opt => opt.value));
       if (response > maxValue) {
         errors.push(`Response for question ${question.id} exceeds maximum value of ${maxValue}`);
       }
@@ -292,9 +465,12 @@ class ScreeningService {
    */
   assessValidity(responses, tool) {
     const values = Object.values(responses);
+    const maxValue = Math.max(...tool.responseOptions.map(opt => opt.value));
     const allSame = values.every(val => val === values[0]);
-    const allMaximum = values.every(val => val === Math.max(...tool.responseOptions.map(opt => opt.value)));
+    const allMaximum = values.every(val => val === maxValue);
     const allMinimum = values.every(val => val === 0);
+    // All "No" (or all "Yes") is an ordinary answer to a short yes/no screen
+    const isYesNo = maxValue === 1;
 
     let validity = 'valid';
     let warnings = [];
@@ -304,7 +480,7 @@ class ScreeningService {
       warnings.push('All responses are identical, which may indicate invalid responding');
     }
 
-    if (allMaximum || allMinimum) {
+    if ((allMaximum || allMinimum) && !isYesNo) {
       validity = 'questionable';
       warnings.push('All responses are at one extreme, results should be interpreted with caution');
     }
@@ -321,12 +497,8 @@ class ScreeningService {
   }
 
   getInstructions(toolName) {
-    const instructions = {
-      'PHQ-9': 'Over the last 2 weeks, how often have you been bothered by any of the following problems? Please select the most appropriate response for each item.',
-      'GAD-7': 'Over the last 2 weeks, how often have you been bothered by the following problems? Please select the most appropriate response.',
-      'GHQ-12': 'We would like to know if you have had any medical complaints and how your health has been in general, over the past few weeks. Please answer ALL the questions by selecting the response that you think most nearly applies to you.'
-    };
-    return instructions[toolName] || 'Please answer all questions honestly based on your recent experiences.';
+    const tool = this.registry.get(toolName);
+    return (tool && tool.instructions) || 'Please answer all questions honestly based on your recent experiences.';
   }
 
   getSeverityLevel(level) {
@@ -337,7 +509,12 @@ class ScreeningService {
       moderate: 'medium',
       moderately_severe: 'high',
       severe: 'high',
-      distressed: 'medium'
+      distressed: 'medium',
+      low: 'low',
+      high: 'high',
+      extremely_severe: 'high',
+      negative: 'low',
+      positive: 'high'
     };
     return severityMap[level] || 'unknown';
   }
@@ -345,7 +522,7 @@ class ScreeningService {
   generateRecommendations(toolName, level, score) {
     const recommendations = [];
 
-    if (level === 'minimal' || level === 'normal') {
+    if (level === 'minimal' || level === 'normal' || level === 'low' || level === 'negative') {
       recommendations.push('Continue with self-care and healthy lifestyle practices');
       recommendations.push('Consider periodic re-assessment if concerns arise');
     } else if (level === 'mild') {
@@ -355,18 +532,24 @@ class ScreeningService {
       recommendations.push('Consider consulting with a mental health professional');
       recommendations.push('Implement coping strategies and self-care practices');
       recommendations.push('Consider additional screening tools for comprehensive assessment');
-    } else if (level === 'moderately_severe' || level === 'severe') {
+    } else if (level === 'moderately_severe' || level === 'severe' || level === 'extremely_severe' || level === 'high') {
       recommendations.push('Strongly recommend consulting with a mental health professional');
       recommendations.push('Consider immediate professional support');
       recommendations.push('Implement safety planning if applicable');
+    } else if (level === 'positive') {
+      recommendations.push('Discuss these results with a mental health professional for a full trauma assessment');
+      recommendations.push('Trauma-focused therapies are effective; a positive screen is not a diagnosis');
+      recommendations.push('Reach out for support if memories of the event feel overwhelming');
     }
 
     return recommendations;
   }
 
   generateClinicalNotes(toolName, level, score) {
-    if (level === 'minimal' || level === 'normal' || level === 'mild') {
+    if (level === 'minimal' || level === 'normal' || level === 'mild' || level === 'low' || level === 'negative') {
       return 'Scores suggest low clinical concern. Monitor for changes.';
+    } else if (level === 'positive') {
+      return 'Positive screen for probable PTSD. A structured clinical assessment is indicated.';
     } else if (level === 'moderate') {
       return 'Scores suggest moderate symptoms warranting clinical attention and possible intervention.';
     } else {
@@ -384,7 +567,7 @@ class ScreeningService {
     }
 
     const followUp = [];
-    if (level === 'moderate' || level === 'moderately_severe' || level === 'severe') {
+    if (['moderate', 'moderately_severe', 'severe', 'extremely_severe', 'high', 'positive'].includes(level)) {
       followUp.push('Schedule follow-up screening in 2-4 weeks');
       followUp.push('Consider complementary screening tools');
       followUp.push('Monitor symptoms regularly');
@@ -396,7 +579,7 @@ class ScreeningService {
   }
 
   generateNextSteps(toolName, level) {
-    if (level === 'severe' || level === 'moderately_severe') {
+    if (level === 'severe' || level === 'moderately_severe' || level === 'extremely_severe' || level === 'high' || level === 'positive') {
       return [
         'Seek professional mental health evaluation',
         'Contact healthcare provider',
@@ -417,23 +600,23 @@ class ScreeningService {
     }
   }
 
-  getCrisisMessage(indicatorType) {
-    const messages = {
-      suicidalIdeation: 'Suicidal thoughts detected. Immediate professional intervention recommended.',
-      severeDepression: 'Severe depression symptoms detected. Urgent professional evaluation recommended.',
-      severeAnxiety: 'Severe anxiety symptoms detected. Urgent professional evaluation recommended.',
-      severeDistress: 'Severe psychological distress detected. Urgent professional evaluation recommended.'
-    };
-    return messages[indicatorType] || 'Crisis level symptoms detected. Immediate professional attention recommended.';
+  getCrisisMessage(rule) {
+    return rule.message || 'Crisis level symptoms detected. Immediate professional attention recommended.';
   }
 
-  getCrisisResources() {
+  /**
+   * Get crisis resources for the caller's region
+   * @param {Object} region - Region { country, state, campus, language }
+   */
+  getCrisisResources(region = {}) {
+    const emergency = this.resourceDirectory.getEmergencyNumber(region);
+    const emergencyNumber = emergency ? emergency.phoneNumber : 'your local emergency number';
+
     return {
-      emergencyServices: '911',
-      nationalSuicidePrevention: '988',
-      crisisTextLine: 'Text HOME to 741741',
+      emergencyServices: emergency ? emergency.phoneNumber : null,
+      helplines: this.resourceDirectory.getResourcesForSeverity('high', region),
       emergencyRoom: 'Visit nearest emergency room',
-      note: 'If you are in immediate danger, call 911 or go to your nearest emergency room'
+      note: `If you are in immediate danger, call ${emergencyNumber} or go to your nearest emergency room`
     };
   }
 
@@ -0,0 +1,113 @@
+/**
+ * Screening Store
+ * Storage contract shared by the file, in-memory and MongoDB screening adapters.
+ * Records follow the shapes of models/screeningSchemas.js: an assessment per
+ * completed screening, a history per consenting student (keyed by an
+ * anonymous owner id) and one statistics rollup per tool per day. Records
+ * past their dataRetentionExpiry must not be returned.
+ */
+
+class ScreeningStore {
+  /**
+   * Prepare the underlying storage
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    throw new Error(`${this.constructor.name} does not implement initialize()`);
+  }
+
+  /**
+   * Store a completed assessment
+   * @param {Object} assessment - ScreeningAssessment fields
+   * @returns {Promise<Object>} Stored assessment, with its id
+   */
+  async saveAssessment(assessment) {
+    throw new Error(`${this.constructor.name} does not implement saveAssessment()`);
+  }
+
+  /**
+   * Add an assessment to a consenting student's history, creating it if needed
+   * @param {string} owner - Anonymous owner id
+   * @param {Object} entry - { assessmentId, toolName, date, score, maxScore, scoringMethod, level, hadCrisis }
+   * @param {Object} options
+   * @param {Date} options.dataRetentionExpiry - When the history may be deleted
+   * @returns {Promise<Object>} Updated history
+   */
+  async appendHistory(owner, entry, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement appendHistory()`);
+  }
+
+  /**
+   * Get a student's history
+   * @param {string} owner - Anonymous owner id
+   * @returns {Promise<Object|null>}
+   */
+  async findHistory(owner) {
+    throw new Error(`${this.constructor.name} does not implement findHistory()`);
+  }
+
+  /**
+   * Get the history that lists an assessment
+   * @param {string} assessmentId - Assessment id
+   * @returns {Promise<Object|null>}
+   */
+  async findHistoryByAssessment(assessmentId) {
+    throw new Error(`${this.constructor.name} does not implement findHistoryByAssessment()`);
+  }
+
+  /**
+   * Delete a student's history and the assessments it lists
+   * @param {string} owner - Anonymous owner id
+   * @returns {Promise<number>} Assessments deleted
+   */
+  async deleteHistory(owner) {
+    throw new Error(`${this.constructor.name} does not implement deleteHistory()`);
+  }
+
+  /**
+   * Count one assessment into the rollup of its tool and day
+   * @param {Date} date - Day (midnight UTC)
+   * @param {string} toolName - Tool
+   * @param {Object} counts - { score, level, crisisTypes, validity, student }; student is
+   *   added to the rollup's students behind each cell it counts in
+   * @returns {Promise<void>}
+   */
+  async addToStatistics(date, toolName, counts) {
+    throw new Error(`${this.constructor.name} does not implement addToStatistics()`);
+  }
+
+  /**
+   * Get daily rollups, oldest first
+   * @param {Object} filters - { from, to, toolName }
+   * @returns {Promise<Array>}
+   */
+  async findStatistics(filters = {}) {
+    throw new Error(`${this.constructor.name} does not implement findStatistics()`);
+  }
+
+  /**
+   * Release any resources held by the store
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Averages per tool over a history's entries
+   * @param {Array} entries - History entries
+   * @returns {Object} Average score by tool, to one decimal
+   */
+  static averageScores(entries) {
+    const byTool = {};
+    entries.forEach(entry => {
+      (byTool[entry.toolName] = byTool[entry.toolName] || []).push(entry.score);
+    });
+
+    const averages = {};
+    Object.entries(byTool).forEach(([toolName, scores]) => {
+      averages[toolName] = Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10;
+    });
+    return averages;
+  }
+}
+
+module.exports = ScreeningStore;
@@ -0,0 +1,271 @@
+// Words scored from -3 (very negative) to 3 (very positive). English words
+// match whole tokens; Marathi entries are split into whole words and stems,
+// since Marathi adds case endings to the word itself (परीक्षेत, तणावात).
+const SENTIMENT_LEXICON = {
+  en: {
+    words: {
+      happy: 2, glad: 2, good: 1.5, great: 2, better: 1.5, calm: 1.5, relaxed: 2, relieved: 2,
+      hopeful: 2, grateful: 2, thankful: 2, thanks: 1.5, thank: 1.5, excited: 2, proud: 2,
+      confident: 1.5, fine: 0.5, okay: 0.5, ok: 0.5, love: 2, enjoy: 2, enjoyed: 2, helpful: 1.5,
+      helped: 1.5, motivated: 2, peaceful: 2, awesome: 2.5, nice: 1.5, passed: 1.5, improving: 1.5,
+      sad: -2, unhappy: -2, depressed: -2.5, depression: -2.5, anxious: -2, anxiety: -2,
+      worried: -2, worry: -1.5, worrying: -2, stressed: -2, stress: -1.5, stressful: -2,
+      overwhelmed: -2.5, scared: -2, afraid: -2, fear: -2, nervous: -1.5, panic: -2.5,
+      lonely: -2, alone: -1.5, tired: -1, exhausted: -2, hopeless: -3, worthless: -3,
+      useless: -2.5, angry: -2, upset: -2, frustrated: -2, hate: -2.5, cry: -2, crying: -2,
+      cried: -2, terrible: -2.5, awful: -2.5, bad: -1.5, worse: -2, worst: -2.5, fail: -2,
+      failed: -2, failing: -2, pressure: -1.5, struggling: -2, struggle: -1.5, hurt: -2,
+      pain: -2, miss: -1.5, miserable: -3, homesick: -1.5, guilty: -2, ashamed: -2, numb: -1.5, burnout: -2.5
+    },
+    stems: {},
+    negators: ["not", "no", "never", "don't", "dont", "can't", "cant", "cannot", "isn't", "wasn't",
+      "won't", "didn't", "doesn't", "aren't", "nothing", "hardly", "without"],
+    intensifiers: ['very', 'really', 'so', 'extremely', 'too', 'super', 'totally', 'completely'],
+    // "not happy": the negator comes before the word it negates
+    negationScope: 'before'
+  },
+  mr: {
+    words: {
+      'बरं': 1, 'बरे': 1, 'छान': 2, 'मस्त': 2, 'शांत': 1.5, 'धन्यवाद': 1.5, 'खुश': 2,
+      'वाईट': -2, 'राग': -2, 'रडू': -2, 'ताण': -1.5
+    },
+    stems: {
+      'आनंद': 2, 'उत्साह': 2, 'समाधान': 2, 'चांगल': 1.5, 'यशस्वी': 2,
+      'दुःख': -2, 'दुख': -2, 'उदास': -2, 'तणाव': -2, 'चिंत': -2, 'काळजी': -1.5, 'घाबर': -2,
+      'थकल': -1, 'थकवा': -1, 'एकट': -1.5, 'रडत': -2, 'रडल': -2, 'निराश': -2.5, 'हताश': -2.5,
+      'कंटाळ': -1, 'त्रास': -1.5, 'नापास': -2, 'अपयश': -2, 'भीत': -2, 'रागाव': -2,
+      'दडपण': -2, 'असह्य': -2.5
+    },
+    negators: ['नाही', 'नाहीये', 'नाहीत', 'नको', 'नव्हता', 'नव्हती', 'नव्हते'],
+    intensifiers: ['खूप', 'फार', 'अतिशय', 'जास्त', 'खूपच'],
+    // "बरं वाटत नाही": the negator follows the word it negates
+    negationScope: 'after'
+  }
+};
+
+// Topics tagged on each message, with English and Marathi patterns
+const TOPICS = [
+  {
+    id: 'academic',
+    description: 'Coursework, deadlines, grades and academic pressure',
+    patterns: [
+      /\b(assignments?|homework|coursework|deadlines?|grades?|gpa|cgpa|professors?|lectures?|syllabus|studies|studying|thesis|backlogs?|attendance|semester|academics?)\b/,
+      /अभ्यास|असाइनमेंट|प्राध्यापक|कॉलेज|लेक्चर|हजेरी|सबमिशन|सेमिस्टर/
+    ]
+  },
+  {
+    id: 'exams',
+    description: 'Exams, tests and results',
+    patterns: [
+      /\b(exams?|examinations?|midterms?|finals|quiz(zes)?|entrance|jee|neet|mht-?cet|viva|marks|test results?|revision)\b/,
+      /परीक्ष|पेपर|निकाल|गुण|मार्क/
+    ]
+  },
+  {
+    id: 'relationships',
+    description: 'Friends, partners, breakups and roommates',
+    patterns: [
+      /\b(boyfriend|girlfriend|partner|break ?up|broke up|relationships?|crush|friends?|friendship|dating|roommates?)\b/,
+      /मित्र|मैत्रीण|प्रेम|ब्रेकअप|नाते|नातं|जोडीदार/
+    ]
+  },
+  {
+    id: 'family',
+    description: 'Parents, siblings and expectations at home',
+    patterns: [
+      /\b(parents?|mom|mum|mother|dad|father|family|brother|sister|siblings?|relatives)\b/,
+      /आई|वडील|बाबा|कुटुंब|घरचे|घरच्यां|भाऊ|बहीण|पालक/
+    ]
+  },
+  {
+    id: 'sleep',
+    description: 'Sleep problems and tiredness',
+    patterns: [
+      /\b(sleep|sleeping|sleepless|slept|insomnia|nightmares?|awake all night|oversleep(ing)?)\b/,
+      /झोप|निद्रानाश|रात्रभर जाग/
+    ]
+  },
+  {
+    id: 'finances',
+    description: 'Money, fees, loans and rent',
+    patterns: [
+      /\b(money|fees?|tuition|loans?|debt|rent|scholarships?|afford|expenses?|bills|part-time job)\b/,
+      /पैस|फी|शुल्क|कर्ज|शिष्यवृत्ती|खर्च|भाड/
+    ]
+  },
+  {
+    id: 'homesickness',
+    description: 'Missing home and adjusting to living away',
+    patterns: [
+      /\b(homesick(ness)?|miss(ing)? (my )?(home|family|parents|mom|mum|dad|hometown)|far from home|away from home|back home)\b/,
+      // Words may come between: "घरची खूप आठवण येते"
+      /घर(ची|ाची)(\s+\S+){0,2}\s+(आठवण|ओढ)|घरापासून दूर/
+    ]
+  }
+];
+
+const DEVANAGARI = /[\u0900-\u097F]/; // Devanagari script range
+const NEGATION_WINDOW = 3;
+// Negation does not reach past punctuation or these conjunctions
+// ("can't sleep, worried about fees"); "so" is left out as it also intensifies
+const CLAUSE_BREAK = /[.,;:!?\n।]+/;
+const CLAUSE_CONJUNCTIONS = [
+  'and', 'but', 'or', 'because', 'though', 'although', 'while',
+  'आणि', 'किंवा', 'म्हणून', 'कारण', 'परंतु'
+];
+const NEGATION_FACTOR = -0.75;
+const INTENSIFIER_BOOST = 1.3;
+// Squashes the summed word scores into -1..1 (as VADER does)
+const NORMALIZATION_ALPHA = 15;
+const NEUTRAL_BAND = 0.05;
+
+/**
+ * Sentiment and Topic Service
+ * Lexicon and rule based tagging of chat messages for analytics. Scores the
+ * sentiment of a message from -1 to 1 and tags the student-life topics it
+ * touches on. English and Marathi words are scored with their own lexicon,
+ * so messages that mix the two are handled too. Only the scores and topic
+ * ids leave this service, never the message.
+ */
+class SentimentTopicService {
+  /**
+   * Sentiment and topics of a message
+   * @param {string} text - Message text
+   * @returns {Object} { sentiment, label, topics }
+   */
+  analyze(text) {
+    if (!text || typeof text !== 'string') {
+      return { sentiment: 0, label: 'neutral', topics: [] };
+    }
+
+    return {
+      ...this.scoreSentiment(text),
+      topics: this.extractTopics(text)
+    };
+  }
+
+  /**
+   * Score the sentiment of a message
+   * @param {string} text - Message text
+   * @returns {Object} { sentiment: -1..1, label: 'positive'|'neutral'|'negative' }
+   */
+  scoreSentiment(text) {
+    let total = 0;
+
+    this._clauses(text).forEach(tokens => {
+      tokens.forEach((token, index) => {
+        const lexicon = this._lexiconFor(token);
+        let value = this._weight(token, lexicon);
+        if (value === 0) {
+          return;
+        }
+
+        if (index > 0 && lexicon.intensifiers.includes(tokens[index - 1])) {
+          value *= INTENSIFIER_BOOST;
+        }
+        if (this._isNegated(tokens, index, lexicon)) {
+          value *= NEGATION_FACTOR;
+        }
+        total += value;
+      });
+    });
+
+    const sentiment = Math.round((total / Math.sqrt(total * total + NORMALIZATION_ALPHA)) * 100) / 100;
+    let label = 'neutral';
+    if (sentiment >= NEUTRAL_BAND) {
+      label = 'positive';
+    } else if (sentiment <= -NEUTRAL_BAND) {
+      label = 'negative';
+    }
+
+    return { sentiment, label };
+  }
+
+  /**
+   * Topics a message touches on
+   * @param {string} text - Message text
+   * @returns {Array<string>} Topic ids, in the order of getTopics()
+   */
+  extractTopics(text) {
+    const normalized = text.toLowerCase();
+    return TOPICS
+      .filter(topic => topic.patterns.some(pattern => pattern.test(normalized)))
+      .map(topic => topic.id);
+  }
+
+  /**
+   * Topics the service can tag
+   * @returns {Array<Object>} { id, description }
+   */
+  getTopics() {
+    return TOPICS.map(({ id, description }) => ({ id, description }));
+  }
+
+  /**
+   * Split a message into lower-case words, keeping Devanagari vowel signs
+   * and apostrophes (for "can't")
+   * @private
+   */
+  _tokenize(text) {
+    return text
+      .toLowerCase()
+      .replace(/[‘’]/g, "'")
+      .split(/[^\p{L}\p{M}\p{N}']+/u)
+      .filter(Boolean);
+  }
+
+  /**
+   * Split a message into clauses of words, at punctuation and conjunctions
+   * @private
+   */
+  _clauses(text) {
+    const clauses = [];
+    text.split(CLAUSE_BREAK).forEach(part => {
+      let clause = [];
+      this._tokenize(part).forEach(token => {
+        if (CLAUSE_CONJUNCTIONS.includes(token)) {
+          clauses.push(clause);
+          clause = [];
+        } else {
+          clause.push(token);
+        }
+      });
+      clauses.push(clause);
+    });
+    return clauses.filter(clause => clause.length > 0);
+  }
+
+  /**
+   * @private
+   */
+  _lexiconFor(token) {
+    return DEVANAGARI.test(token) ? SENTIMENT_LEXICON.mr : SENTIMENT_LEXICON.en;
+  }
+
+  /**
+   * Lexicon score of a word, 0 when it carries no sentiment
+   * @private
+   */
+  _weight(token, lexicon) {
+    if (lexicon.words[token] !== undefined) {
+      return lexicon.words[token];
+    }
+
+    const stem = Object.keys(lexicon.stems).find(candidate => token.startsWith(candidate));
+    return stem ? lexicon.stems[stem] : 0;
+  }
+
+  /**
+   * Whether a negator within a few words of the same clause flips the word at index
+   * @private
+   */
+  _isNegated(tokens, index, lexicon) {
+    const window = lexicon.negationScope === 'before'
+      ? tokens.slice(Math.max(0, index - NEGATION_WINDOW), index)
+      : tokens.slice(index + 1, index + 1 + NEGATION_WINDOW);
+
+    return window.some(token => lexicon.negators.includes(token));
+  }
+}
+
+module.exports = SentimentTopicService;
@@ -17,6 +17,8 @@ class SessionManagementService {
       cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL_MS) || 5 * 60 * 1000, // 5 minutes cleanup
       sessionIdLength: 32, // Length of session ID
       maxContextSize: 50, // Maximum conversation messages to keep
+      maxStrikes: parseInt(process.env.MAX_INJECTION_STRIKES) || 3, // Refused messages before the session is locked
+      strikeWindow: parseInt(process.env.INJECTION_STRIKE_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
       encryptionKey: process.env.SESSION_ENCRYPTION_KEY || this._generateEncryptionKey()
     };
     
@@ -43,7 +45,9 @@ class SessionManagementService {
       lastActivity: new Date(),
       context: {
         messages: [],
-        metadata: {}
+        metadata: {},
+        messageCount: 0, // Sequence number of the last message added
+        summary: null // Encrypted summary of older messages
       },
       privacy: {
         dataRetention: options.dataRetention || 'session-only',
@@ -54,7 +58,8 @@ class SessionManagementService {
         ipHash: options.ipAddress ? this._hashIP(options.ipAddress) : null,
         userAgent: options.userAgent ? this._sanitizeUserAgent(options.userAgent) : null,
         requestCount: 0,
-        lastRequestTime: new Date()
+        lastRequestTime: new Date(),
+        strikes: [] // Messages refused as prompt injection, see recordStrike
       }
     };
 
@@ -121,8 +126,10 @@ class SessionManagementService {
 
     // Add message to context
     if (contextUpdate.message) {
+      session.context.messageCount = (session.context.messageCount || 0) + 1;
       session.context.messages.push({
         ...contextUpdate.message,
+        seq: session.context.messageCount,
         timestamp: new Date(),
         encrypted: session.privacy.encryptionEnabled
       });
@@ -142,6 +149,78 @@ class SessionManagementService {
     return true;
   }
 
+  /**
+   * Store the rolling summary of older conversation messages, encrypted
+   * with the session encryption key
+   * @param {string} sessionId - Session identifier
+   * @param {string} text - Summary text
+   * @param {number} throughSeq - Sequence number of the last message it covers
+   * @returns {boolean} Success status
+   */
+  setConversationSummary(sessionId, text, throughSeq) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    session.context.summary = {
+      ...this._encrypt(text),
+      throughSeq,
+      updatedAt: new Date()
+    };
+
+    return true;
+  }
+
+  /**
+   * Get the decrypted conversation summary
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} { text, throughSeq, updatedAt } or null if there is none
+   */
+  getConversationSummary(sessionId) {
+    const session = this.getSession(sessionId);
+    const summary = session && session.context.summary;
+    if (!summary) {
+      return null;
+    }
+
+    try {
+      return {
+        text: this._decrypt(summary),
+        throughSeq: summary.throughSeq,
+        updatedAt: summary.updatedAt
+      };
+    } catch (error) {
+      // Key changed or data corrupted; the conversation carries on without it
+      console.warn('Failed to decrypt conversation summary:', error.message);
+      session.context.summary = null;
+      return null;
+    }
+  }
+
+  /**
+   * Count a message refused as prompt injection against the session. Once
+   * maxStrikes land within strikeWindow, _checkRateLimit locks the session.
+   * @param {string} sessionId - Session identifier
+   * @param {Array<string>} rules - Ids of the rules that fired
+   * @returns {Object|null} { strikes, blocked } or null if the session is gone
+   */
+  recordStrike(sessionId, rules = []) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const strikes = this._recentStrikes(session);
+    strikes.push({ rules, at: new Date() });
+    session.security.strikes = strikes;
+
+    return {
+      strikes: strikes.length,
+      blocked: strikes.length >= this.config.maxStrikes
+    };
+  }
+
   /**
    * Clear session context while keeping session active
    * @param {string} sessionId - Session identifier
@@ -156,6 +235,7 @@ class SessionManagementService {
     // Clear conversation history
     session.context.messages = [];
     session.context.metadata = {};
+    session.context.summary = null;
     
     // Update activity timestamp
     session.lastActivity = new Date();
@@ -188,6 +268,13 @@ class SessionManagementService {
     return true;
   }
 
+  /**
+   * Stop the cleanup timer and wipe every session
+   */
+  destroy() {
+    this._cleanup();
+  }
+
   /**
    * Get session statistics (anonymized)
    * @returns {Object} Session statistics
@@ -231,7 +318,7 @@ class SessionManagementService {
     // Check rate limiting
     const rateLimitResult = this._checkRateLimit(session);
     if (!rateLimitResult.allowed) {
-      return { valid: false, reason: 'rate_limit_exceeded', retryAfter: rateLimitResult.retryAfter };
+      return { valid: false, reason: rateLimitResult.reason || 'rate_limit_exceeded', retryAfter: rateLimitResult.retryAfter };
     }
 
     // Check IP consistency (if enabled)
@@ -316,15 +403,22 @@ class SessionManagementService {
   }
 
   /**
-   * Trim session context to prevent memory bloat
+   * Trim session context to prevent memory bloat. Messages the rolling
+   * summary does not cover yet are kept, up to twice maxContextSize, so the
+   * next turn can fold them into the summary instead of losing them.
    * @param {Object} session - Session object
    * @private
    */
   _trimSessionContext(session) {
-    if (session.context.messages.length > this.config.maxContextSize) {
-      // Keep only the most recent messages
-      const messagesToKeep = this.config.maxContextSize;
-      session.context.messages = session.context.messages.slice(-messagesToKeep);
+    const { messages, summary } = session.context;
+    if (messages.length > this.config.maxContextSize) {
+      const summarizedThrough = summary ? summary.throughSeq : 0;
+      const unsummarized = messages.filter(msg => msg.seq > summarizedThrough).length;
+      const messagesToKeep = Math.min(
+        Math.max(this.config.maxContextSize, unsummarized),
+        this.config.maxContextSize * 2
+      );
+      session.context.messages = messages.slice(-messagesToKeep);
     }
   }
 
@@ -393,9 +487,31 @@ class SessionManagementService {
       };
     }
 
+    // Sessions that keep trying to subvert the assistant are locked for a while
+    const strikes = this._recentStrikes(session);
+    if (strikes.length >= this.config.maxStrikes) {
+      const unlocksAt = new Date(strikes[strikes.length - this.config.maxStrikes].at).getTime() + this.config.strikeWindow;
+      return {
+        allowed: false,
+        reason: 'too_many_strikes',
+        retryAfter: Math.max(1, Math.ceil((unlocksAt - now) / 1000))
+      };
+    }
+
     return { allowed: true };
   }
 
+  /**
+   * Strikes still inside the strike window, oldest first
+   * @param {Object} session - Session object
+   * @returns {Array} Strikes
+   * @private
+   */
+  _recentStrikes(session) {
+    const cutoff = Date.now() - this.config.strikeWindow;
+    return (session.security.strikes || []).filter(strike => new Date(strike.at).getTime() > cutoff);
+  }
+
   /**
    * Securely wipe session data from memory
    * @param {Object} session - Session object to wipe
@@ -450,6 +566,49 @@ class SessionManagementService {
     }
   }
 
+  /**
+   * Encrypt text with AES-256-GCM
+   * @param {string} text - Plain text
+   * @returns {Object} { iv, tag, data } as base64
+   * @private
+   */
+  _encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._cipherKey(), iv);
+    const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt text produced by _encrypt
+   * @param {Object} payload - { iv, tag, data } as base64
+   * @returns {string} Plain text
+   * @private
+   */
+  _decrypt(payload) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this._cipherKey(), Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(payload.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  /**
+   * 32-byte key derived from the configured encryption key
+   * @returns {Buffer} Key
+   * @private
+   */
+  _cipherKey() {
+    return crypto.createHash('sha256').update(this.config.encryptionKey).digest();
+  }
+
   /**
    * Generate encryption key if not provided
    * @returns {string} Encryption key
@@ -0,0 +1,176 @@
+const path = require('path');
+const JsonFileStore = require('./jsonFileStore');
+
+/**
+ * Persistent store for staff login sessions.
+ *
+ * Every access token names its session, so this file doubles as the
+ * revocation list: a token whose session is revoked, expired or missing is
+ * refused. The file is re-read when it changes on disk, checked at most
+ * every `reloadIntervalMs`, so a logout handled by one router or process
+ * applies to all of them within that interval.
+ */
+class SessionStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      process.env.SESSIONS_FILE ||
+      path.join(__dirname, '..', 'data', 'sessions.json');
+
+    // How often lookups check the file for sessions revoked elsewhere
+    this.reloadIntervalMs = options.reloadIntervalMs !== undefined
+      ? options.reloadIntervalMs
+      : parseInt(process.env.SESSIONS_RELOAD_MS) || 1000;
+
+    this.sessions = {};
+    this.storeFile = new JsonFileStore({
+      filePath: this.filePath,
+      label: 'session store',
+      reloadIntervalMs: this.reloadIntervalMs,
+      optional: true,
+      // Refresh token hashes live here, so keep the file private
+      mode: 0o600
+    });
+
+    // Serializes writes from this instance
+    this.queue = Promise.resolve();
+    this._reloadIfChanged(true);
+  }
+
+  /**
+   * List every session, including revoked ones not yet pruned
+   * @returns {Array} Sessions
+   */
+  list() {
+    this._reloadIfChanged();
+    return Object.values(this.sessions).map(session => ({ ...session }));
+  }
+
+  /**
+   * Get a session by id
+   * @param {string} id - Session id
+   * @returns {Object|null} Session
+   */
+  get(id) {
+    // A session missing here may have just been created by another instance
+    this._reloadIfChanged(!this._has(id));
+    return this._has(id) ? { ...this.sessions[id] } : null;
+  }
+
+  /**
+   * Insert or replace a session
+   * @param {Object} session - Session with an id
+   * @returns {Promise<Object>} Saved session
+   */
+  save(session) {
+    return this._write(sessions => {
+      sessions[session.id] = { ...session };
+    }).then(() => ({ ...session }));
+  }
+
+  /**
+   * Apply changes to a session under the write queue
+   * @param {string} id - Session id
+   * @param {Function} mutate - Receives a copy of the session, returns the changes to apply
+   * @returns {Promise<Object|null>} Updated session, null if not found
+   */
+  async update(id, mutate) {
+    let updated = null;
+
+    await this._write(sessions => {
+      const current = sessions[id];
+      if (!current) {
+        return;
+      }
+      updated = { ...current, ...mutate({ ...current }) };
+      sessions[id] = updated;
+    });
+
+    return updated ? { ...updated } : null;
+  }
+
+  /**
+   * Apply the same changes to every matching session
+   * @param {Function} predicate - Called with each session
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<number>} Number of sessions changed
+   */
+  async updateWhere(predicate, changes) {
+    let count = 0;
+
+    await this._write(sessions => {
+      Object.values(sessions).filter(predicate).forEach(session => {
+        sessions[session.id] = { ...session, ...changes };
+        count++;
+      });
+    });
+
+    return count;
+  }
+
+  /**
+   * Delete every matching session; skips the write when nothing matches
+   * @param {Function} predicate - Called with each session
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async removeWhere(predicate) {
+    if (!this.list().some(predicate)) {
+      return 0;
+    }
+
+    let count = 0;
+    await this._write(sessions => {
+      Object.values(sessions).filter(predicate).forEach(session => {
+        delete sessions[session.id];
+        count++;
+      });
+    });
+
+    return count;
+  }
+
+  /**
+   * Read-modify-write the file under its lock, so the write builds on what
+   * other instances saved
+   * @private
+   */
+  _write(mutate) {
+    const run = this.queue.then(() => this.storeFile.transaction(async () => {
+      this._reloadIfChanged(true);
+      const sessions = { ...this.sessions };
+      mutate(sessions);
+
+      await this.storeFile.write({ sessions: Object.values(sessions) });
+      this.sessions = sessions;
+    }));
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Whether the session is loaded in memory
+   * @private
+   */
+  _has(id) {
+    return Object.prototype.hasOwnProperty.call(this.sessions, id);
+  }
+
+  /**
+   * Re-read the store if the file changed on disk
+   * @param {boolean} force - Check regardless of the reload interval
+   * @private
+   */
+  _reloadIfChanged(force = false) {
+    const data = this.storeFile.readIfChanged(force);
+    if (data === undefined) {
+      return;
+    }
+
+    this.sessions = {};
+    (data.sessions || []).forEach(session => {
+      this.sessions[session.id] = session;
+    });
+  }
+}
+
+module.exports = SessionStore;
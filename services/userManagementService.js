@@ -1,168 +1,222 @@
+const crypto = require('crypto');
 const AuthMiddleware = require('../middleware/authMiddleware');
+const UserStore = require('./userStore');
+const SessionStore = require('./sessionStore');
 
 class UserManagementService {
-  constructor() {
-    this.authMiddleware = new AuthMiddleware();
-    this.users = new Map(); // In-memory storage for demo - replace with database in production
-    this.sessions = new Map(); // Active sessions
+  constructor(options = {}) {
+    this.store = options.store || new UserStore({ filePath: options.usersFile });
+    // Shared with the middleware so revoked sessions are refused at once
+    this.sessionStore = options.sessionStore || new SessionStore({ filePath: options.sessionsFile });
+    this.authMiddleware = new AuthMiddleware({ sessionStore: this.sessionStore });
     this.initialized = false;
-    this.initializeDefaultAdmin();
+    this.setupToken = null; // One-time token for creating the first admin
+
+    this.config = {
+      maxFailedLogins: options.maxFailedLogins || parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+      lockoutMs: options.lockoutMs || parseInt(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000,
+      resetTokenTtlMs: options.resetTokenTtlMs || parseInt(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000,
+      // Absolute lifetime of a login; ADMIN_SESSION_TIMEOUT ends it sooner when idle
+      refreshTokenTtlMs: options.refreshTokenTtlMs || parseInt(process.env.REFRESH_TOKEN_TTL_MS) || 7 * 24 * 60 * 60 * 1000,
+      idleTimeoutMs: options.idleTimeoutMs || parseInt(process.env.ADMIN_SESSION_TIMEOUT) || 60 * 60 * 1000,
+      minPasswordLength: 12
+    };
+
+    this.initializeBootstrap();
   }
 
-  // Initialize default admin user
-  async initializeDefaultAdmin() {
+  // First run: create the admin from ADMIN_BOOTSTRAP_PASSWORD, or wait for
+  // POST /api/auth/setup with the one-time setup token printed at startup.
+  // No default credentials are ever created.
+  async initializeBootstrap() {
     try {
-      const defaultAdmin = {
-        id: 'admin-001',
-        username: 'admin',
-        email: 'admin@mindcare.edu',
-        fullName: 'System Administrator',
-        role: 'admin',
-        password: await this.authMiddleware.hashPassword('admin123!'),
-        createdAt: new Date(),
-        isActive: true,
-        lastLogin: null
-      };
+      if (!this.needsSetup()) {
+        this.initialized = true;
+        return;
+      }
 
-      this.users.set('admin', defaultAdmin);
-
-      // Create a default counselor for testing
-      const defaultCounselor = {
-        id: 'counselor-001',
-        username: 'counselor',
-        email: 'counselor@mindcare.edu',
-        fullName: 'Mental Health Counselor',
-        role: 'counselor',
-        password: await this.authMiddleware.hashPassword('counselor123!'),
-        createdAt: new Date(),
-        isActive: true,
-        lastLogin: null
-      };
+      const bootstrapPassword = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+      if (bootstrapPassword) {
+        const username = process.env.ADMIN_BOOTSTRAP_USERNAME || 'admin';
+        const errors = this.validatePasswordStrength(bootstrapPassword, username);
+        if (errors.length > 0) {
+          throw new Error(`ADMIN_BOOTSTRAP_PASSWORD is too weak: ${errors.join(', ')}`);
+        }
+
+        await this._insertUser({
+          username,
+          email: process.env.ADMIN_BOOTSTRAP_EMAIL || `${username}@mindcare.edu`,
+          fullName: 'System Administrator',
+          role: 'admin',
+          password: bootstrapPassword
+        }, { mustChangePassword: true, createdBy: 'bootstrap' });
+
+        console.log(`Created admin account "${username}" from ADMIN_BOOTSTRAP_PASSWORD; the password must be changed at first login`);
+      } else {
+        this.setupToken = crypto.randomBytes(24).toString('hex');
+        console.warn(`No admin account exists. Create one with POST /api/auth/setup using setup token: ${this.setupToken}`);
+      }
 
-      this.users.set('counselor', defaultCounselor);
       this.initialized = true;
     } catch (error) {
-      console.error('Failed to initialize default users:', error);
+      console.error('Failed to bootstrap user accounts:', error.message);
       this.initialized = false;
+      this.initializationError = error;
     }
   }
 
   // Wait for initialization to complete
   async waitForInitialization() {
     if (this.initialized) return;
-    
+
     // Wait for initialization with timeout
     const timeout = 5000; // 5 seconds
     const start = Date.now();
-    
-    while (!this.initialized && (Date.now() - start) < timeout) {
+
+    while (!this.initialized && !this.initializationError && (Date.now() - start) < timeout) {
       await new Promise(resolve => setTimeout(resolve, 100));
     }
-    
+
+    if (this.initializationError) {
+      throw this.initializationError;
+    }
+
     if (!this.initialized) {
       throw new Error('UserManagementService initialization timeout');
     }
   }
 
+  // True until an active admin account exists
+  needsSetup() {
+    return !this.store.list().some(user => user.role === 'admin' && user.isActive);
+  }
+
+  // Create the first admin with the setup token printed at startup
+  async completeSetup(setupToken, userData) {
+    if (!this.needsSetup()) {
+      throw this._error('Setup has already been completed', 'SETUP_COMPLETE');
+    }
+    if (!this.setupToken || !this._safeEqual(setupToken, this.setupToken)) {
+      throw this._error('Invalid setup token', 'INVALID_SETUP_TOKEN');
+    }
+
+    const user = await this.createUser({ ...userData, role: 'admin' }, { mustChangePassword: false, createdBy: 'setup' });
+    this.setupToken = null;
+    return user;
+  }
+
+  // Check a password against the policy; returns a list of problems
+  validatePasswordStrength(password, username = '') {
+    const errors = [];
+
+    if (!password || password.length < this.config.minPasswordLength) {
+      errors.push(`Password must be at least ${this.config.minPasswordLength} characters long`);
+      return errors;
+    }
+
+    const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(pattern => pattern.test(password)).length;
+    if (classes < 3) {
+      errors.push('Password must mix at least three of: lowercase, uppercase, digits, symbols');
+    }
+
+    if (username && password.toLowerCase().includes(username.toLowerCase())) {
+      errors.push('Password must not contain the username');
+    }
+
+    return errors;
+  }
+
   // Authenticate user
-  async authenticateUser(username, password) {
+  async authenticateUser(username, password, client = {}) {
     try {
-      const user = this.users.get(username);
-      
-      if (!user || !user.isActive) {
-        throw new Error('Invalid credentials or account disabled');
+      if (this.needsSetup()) {
+        throw this._error('Initial setup required: create an admin account first', 'SETUP_REQUIRED');
       }
 
-      const isValidPassword = await this.authMiddleware.comparePassword(password, user.password);
-      
-      if (!isValidPassword) {
-        throw new Error('Invalid credentials');
+      const user = this.store.get(username);
+      if (!user) {
+        // Same work and answer as a wrong password, so usernames can't be probed
+        this.dummyHash = this.dummyHash || await this.authMiddleware.hashPassword(crypto.randomBytes(16).toString('hex'));
+        await this.authMiddleware.comparePassword(password, this.dummyHash);
+        throw this._error('Invalid credentials', 'INVALID_CREDENTIALS');
       }
 
-      // Generate session
-      const sessionId = this.authMiddleware.generateSessionId();
-      const sessionData = {
-        userId: user.id,
-        username: user.username,
-        role: user.role,
-        loginTime: new Date(),
-        lastActivity: new Date(),
-        isActive: true
-      };
+      if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+        throw this._error(
+          `Account locked after too many failed logins. Try again after ${new Date(user.lockedUntil).toISOString()}`,
+          'ACCOUNT_LOCKED'
+        );
+      }
 
-      this.sessions.set(sessionId, sessionData);
+      const isValidPassword = await this.authMiddleware.comparePassword(password, user.password);
 
-      // Update last login
-      user.lastLogin = new Date();
+      if (!isValidPassword) {
+        await this._recordFailedLogin(username);
+        throw this._error('Invalid credentials', 'INVALID_CREDENTIALS');
+      }
 
-      // Generate JWT token
-      const tokenUser = {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        sessionId: sessionId
-      };
+      if (!user.isActive) {
+        throw this._error('Account disabled', 'ACCOUNT_DISABLED');
+      }
+
+      // Update last login and clear the failed-login count
+      const updated = await this.store.update(username, () => ({
+        lastLogin: new Date().toISOString(),
+        failedLoginAttempts: 0,
+        lockedUntil: null
+      }));
 
-      const token = this.authMiddleware.generateToken(tokenUser);
+      const { sessionId, ...tokens } = await this._startSession(updated, client);
 
       return {
-        token,
+        ...tokens,
         user: {
           id: user.id,
           username: user.username,
           email: user.email,
           fullName: user.fullName,
           role: user.role,
-          lastLogin: user.lastLogin
+          lastLogin: updated.lastLogin
         },
+        mustChangePassword: Boolean(user.mustChangePassword),
         sessionId
       };
     } catch (error) {
-      throw new Error(`Authentication failed: ${error.message}`);
+      throw this._error(`Authentication failed: ${error.message}`, error.code);
     }
   }
 
-  // Create new user (admin only)
-  async createUser(userData) {
+  // Create new user (admin only). Accounts created with an admin-chosen
+  // password must change it at first login.
+  async createUser(userData, options = {}) {
     try {
       // Validate input
-      const validationErrors = this.authMiddleware.validateUserInput(userData, true);
-      if (validationErrors.length > 0) {
-        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      // Both checks report a short password; keep the message once
+      const errors = [...new Set([
+        ...this.authMiddleware.validateUserInput(userData, true),
+        ...this.validatePasswordStrength(userData.password, userData.username)
+      ])];
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
       }
 
-      // Check if username already exists
-      if (this.users.has(userData.username)) {
+      // Check if username already exists (disabled accounts keep their username)
+      if (this.store.get(userData.username)) {
         throw new Error('Username already exists');
       }
 
       // Check if email already exists
-      const existingUser = Array.from(this.users.values()).find(user => user.email === userData.email);
+      const existingUser = this.store.find(user => user.email === userData.email);
       if (existingUser) {
         throw new Error('Email already exists');
       }
 
-      // Hash password
-      const hashedPassword = await this.authMiddleware.hashPassword(userData.password);
-
-      // Create user
-      const newUser = {
-        id: `${userData.role}-${Date.now()}`,
-        username: userData.username,
-        email: userData.email,
-        fullName: userData.fullName,
-        role: userData.role,
-        password: hashedPassword,
-        createdAt: new Date(),
-        isActive: true,
-        lastLogin: null
-      };
+      const newUser = await this._insertUser(userData, {
+        mustChangePassword: options.mustChangePassword !== false,
+        createdBy: options.createdBy || null
+      });
 
-      this.users.set(userData.username, newUser);
-
-      // Return user without password
-      const { password, ...userWithoutPassword } = newUser;
-      return userWithoutPassword;
+      return this._publicUser(newUser);
     } catch (error) {
       throw new Error(`User creation failed: ${error.message}`);
     }
@@ -170,26 +224,22 @@ class UserManagementService {
 
   // Get all users (admin only)
   getAllUsers() {
-    return Array.from(this.users.values()).map(user => {
-      const { password, ...userWithoutPassword } = user;
-      return userWithoutPassword;
-    });
+    return this.store.list().map(user => this._publicUser(user));
   }
 
   // Get user by username
   getUserByUsername(username) {
-    const user = this.users.get(username);
+    const user = this.store.get(username);
     if (!user) {
       return null;
     }
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return this._publicUser(user);
   }
 
   // Update user (admin only)
   async updateUser(username, updateData) {
     try {
-      const user = this.users.get(username);
+      const user = this.store.get(username);
       if (!user) {
         throw new Error('User not found');
       }
@@ -204,42 +254,124 @@ class UserManagementService {
         }
       }
 
-      // Update user
-      Object.assign(user, updates);
-      this.users.set(username, user);
+      if (updates.role !== undefined && !['admin', 'counselor'].includes(updates.role)) {
+        throw new Error('Role must be either "admin" or "counselor"');
+      }
+
+      const losesAdmin = user.role === 'admin' && user.isActive &&
+        ((updates.role !== undefined && updates.role !== 'admin') || updates.isActive === false);
+      if (losesAdmin) {
+        this._assertOtherActiveAdmin(username);
+      }
+
+      if (updates.isActive === false) {
+        updates.disabledAt = new Date().toISOString();
+      } else if (updates.isActive === true) {
+        updates.disabledAt = null;
+        updates.disabledBy = null;
+      }
+
+      const updated = await this.store.update(username, () => updates);
 
-      const { password, ...userWithoutPassword } = user;
-      return userWithoutPassword;
+      // Tokens carry the role, so a role change needs a fresh login too
+      if (updates.isActive === false || (updates.role !== undefined && updates.role !== user.role)) {
+        await this.logoutAll(username, null, updates.isActive === false ? 'account-disabled' : 'role-changed');
+      }
+
+      return this._publicUser(updated);
     } catch (error) {
       throw new Error(`User update failed: ${error.message}`);
     }
   }
 
-  // Delete user (admin only)
-  deleteUser(username) {
-    if (username === 'admin') {
-      throw new Error('Cannot delete default admin user');
+  // Exchange a refresh token for a new access token and refresh token.
+  // Each refresh token works once; presenting a spent one means it was
+  // copied, so the whole session is revoked.
+  async refreshSession(refreshToken) {
+    try {
+      const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+      if (!sessionId || !secret) {
+        throw new Error('Invalid refresh token');
+      }
+
+      const now = new Date();
+      const nextSecret = crypto.randomBytes(32).toString('hex');
+      let failure = null;
+
+      const session = await this.sessionStore.update(sessionId, current => {
+        if (current.revokedAt) {
+          failure = 'Session has ended, please log in again';
+          return {};
+        }
+        if (!this._safeEqual(current.refreshTokenHash, this._hashToken(secret))) {
+          failure = 'Refresh token has already been used; the session was ended';
+          console.warn(`Refresh token reuse for session of "${current.username}", revoking session`);
+          return { revokedAt: now.toISOString(), revokedBy: null, revokedReason: 'refresh-token-reuse' };
+        }
+        if (new Date(current.expiresAt) <= now || now - new Date(current.lastActivity) > this.config.idleTimeoutMs) {
+          failure = 'Session expired, please log in again';
+          return {};
+        }
+        return {
+          refreshTokenHash: this._hashToken(nextSecret),
+          lastActivity: now.toISOString()
+        };
+      });
+
+      if (!session) {
+        throw new Error('Invalid refresh token');
+      }
+      if (failure) {
+        throw new Error(failure);
+      }
+
+      // Tokens carry the account's current role and password state
+      const user = this.store.get(session.username);
+      if (!user || !user.isActive) {
+        await this._revokeSessions(s => s.id === sessionId, null, 'account-disabled');
+        throw new Error('Account disabled');
+      }
+
+      return {
+        token: this._accessToken(user, sessionId),
+        refreshToken: `${sessionId}.${nextSecret}`,
+        refreshTokenExpiresAt: session.expiresAt,
+        mustChangePassword: Boolean(user.mustChangePassword)
+      };
+    } catch (error) {
+      throw new Error(`Token refresh failed: ${error.message}`);
     }
+  }
 
-    const deleted = this.users.delete(username);
-    if (!deleted) {
+  // Disable a user (admin only). Accounts are never deleted so their
+  // history stays attributable; a disabled account cannot log in.
+  async disableUser(username, disabledBy = null) {
+    const user = this.store.get(username);
+    if (!user) {
       throw new Error('User not found');
     }
-
-    // Clean up any active sessions for this user
-    for (const [sessionId, session] of this.sessions.entries()) {
-      if (session.username === username) {
-        this.sessions.delete(sessionId);
-      }
+    if (disabledBy && disabledBy === username) {
+      throw new Error('You cannot disable your own account');
+    }
+    if (user.role === 'admin' && user.isActive) {
+      this._assertOtherActiveAdmin(username);
     }
 
-    return true;
+    const updated = await this.store.update(username, () => ({
+      isActive: false,
+      disabledAt: new Date().toISOString(),
+      disabledBy
+    }));
+    await this.logoutAll(username, disabledBy, 'account-disabled');
+
+    return this._publicUser(updated);
   }
 
-  // Change password
-  async changePassword(username, currentPassword, newPassword) {
+  // Change password. Other sessions are logged out; the one making the
+  // change (keepSessionId) stays signed in.
+  async changePassword(username, currentPassword, newPassword, keepSessionId = null) {
     try {
-      const user = this.users.get(username);
+      const user = this.store.get(username);
       if (!user) {
         throw new Error('User not found');
       }
@@ -250,94 +382,275 @@ class UserManagementService {
         throw new Error('Current password is incorrect');
       }
 
-      // Validate new password
-      if (newPassword.length < 8) {
-        throw new Error('New password must be at least 8 characters long');
-      }
-
-      // Hash and update password
-      user.password = await this.authMiddleware.hashPassword(newPassword);
-      this.users.set(username, user);
-
+      await this._setPassword(user, newPassword);
+      await this.logoutAll(username, username, 'password-changed', keepSessionId);
       return true;
     } catch (error) {
       throw new Error(`Password change failed: ${error.message}`);
     }
   }
 
-  // Logout user
-  logout(sessionId) {
-    const session = this.sessions.get(sessionId);
-    if (session) {
-      session.isActive = false;
-      this.sessions.delete(sessionId);
-      return true;
+  // Issue a one-time password reset token. Only a hash is stored; the
+  // token itself goes to the user (by email, or handed over by an admin).
+  async createPasswordReset(username) {
+    const user = this.store.get(username);
+    if (!user || !user.isActive) {
+      return null;
     }
-    return false;
-  }
 
-  // Get active sessions
-  getActiveSessions() {
-    return Array.from(this.sessions.entries()).map(([sessionId, session]) => ({
-      sessionId,
-      username: session.username,
-      role: session.role,
-      loginTime: session.loginTime,
-      lastActivity: session.lastActivity,
-      isActive: session.isActive
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.config.resetTokenTtlMs).toISOString();
+
+    await this.store.update(username, () => ({
+      passwordReset: { tokenHash: this._hashToken(token), expiresAt }
     }));
+
+    return { token, expiresAt, user: this._publicUser(user) };
   }
 
-  // Validate session
-  validateSession(sessionId) {
-    const session = this.sessions.get(sessionId);
-    if (!session || !session.isActive) {
-      return false;
+  // Set a new password with a reset token
+  async resetPassword(token, newPassword) {
+    try {
+      const tokenHash = typeof token === 'string' ? this._hashToken(token) : null;
+      const user = tokenHash && this.store.find(candidate =>
+        candidate.passwordReset && this._safeEqual(candidate.passwordReset.tokenHash, tokenHash)
+      );
+
+      if (!user || new Date(user.passwordReset.expiresAt) <= new Date()) {
+        throw new Error('Reset token is invalid or has expired');
+      }
+      if (!user.isActive) {
+        throw new Error('Account disabled');
+      }
+
+      await this._setPassword(user, newPassword);
+      await this.logoutAll(user.username, null, 'password-reset');
+      return true;
+    } catch (error) {
+      throw new Error(`Password reset failed: ${error.message}`);
     }
+  }
 
-    // Check session timeout (1 hour)
-    const now = new Date();
-    const sessionAge = now - session.lastActivity;
-    const timeout = parseInt(process.env.ADMIN_SESSION_TIMEOUT) || 3600000; // 1 hour
+  // Logout user: revokes the session, so its access and refresh tokens stop working
+  async logout(sessionId, revokedBy = null) {
+    const count = await this._revokeSessions(session => session.id === sessionId, revokedBy, 'logout');
+    return count > 0;
+  }
 
-    if (sessionAge > timeout) {
-      session.isActive = false;
-      this.sessions.delete(sessionId);
+  // Log out every session of a user, optionally keeping the caller's own
+  async logoutAll(username, revokedBy = null, reason = 'logout-all', exceptSessionId = null) {
+    return this._revokeSessions(
+      session => session.username === username && session.id !== exceptSessionId,
+      revokedBy,
+      reason
+    );
+  }
+
+  // Get active sessions, optionally for one user
+  getActiveSessions(filters = {}) {
+    return this.sessionStore.list()
+      .filter(session => this.validateSession(session.id))
+      .filter(session => !filters.username || session.username === filters.username)
+      .map(session => ({
+        sessionId: session.id,
+        username: session.username,
+        role: session.role,
+        loginTime: session.loginTime,
+        lastActivity: session.lastActivity,
+        expiresAt: session.expiresAt,
+        ipAddress: session.ipAddress || null,
+        userAgent: session.userAgent || null,
+        isActive: true
+      }))
+      .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+  }
+
+  // Get one session (including ended ones), without its refresh token hash
+  getSession(sessionId) {
+    const session = this.sessionStore.get(sessionId);
+    if (!session) {
+      return null;
+    }
+    const { refreshTokenHash, ...publicSession } = session;
+    return { ...publicSession, sessionId: session.id, isActive: this.validateSession(session.id) };
+  }
+
+  // Validate session: not revoked, not past its lifetime and not idle
+  validateSession(sessionId) {
+    const session = this.authMiddleware.getActiveSession(sessionId);
+    if (!session) {
       return false;
     }
 
-    // Update last activity
-    session.lastActivity = now;
-    return true;
+    // Check session timeout (1 hour)
+    return (new Date() - new Date(session.lastActivity)) <= this.config.idleTimeoutMs;
   }
 
-  // Clean up expired sessions
-  cleanupExpiredSessions() {
+  // Drop sessions whose refresh token has expired; their access tokens are
+  // long expired too, so they no longer need to stay on the revocation list
+  async cleanupExpiredSessions() {
     const now = new Date();
-    const timeout = parseInt(process.env.ADMIN_SESSION_TIMEOUT) || 3600000; // 1 hour
-
-    for (const [sessionId, session] of this.sessions.entries()) {
-      const sessionAge = now - session.lastActivity;
-      if (sessionAge > timeout) {
-        this.sessions.delete(sessionId);
-      }
-    }
+    return this.sessionStore.removeWhere(session => new Date(session.expiresAt) <= now);
   }
 
   // Get user statistics
   getUserStatistics() {
-    const users = Array.from(this.users.values());
-    const activeSessions = Array.from(this.sessions.values()).filter(s => s.isActive);
+    const users = this.store.list();
+    const activeSessions = this.getActiveSessions();
 
     return {
       totalUsers: users.length,
       activeUsers: users.filter(u => u.isActive).length,
+      disabledUsers: users.filter(u => !u.isActive).length,
+      lockedUsers: users.filter(u => u.lockedUntil && new Date(u.lockedUntil) > new Date()).length,
       adminUsers: users.filter(u => u.role === 'admin').length,
       counselorUsers: users.filter(u => u.role === 'counselor').length,
       activeSessions: activeSessions.length,
-      recentLogins: users.filter(u => u.lastLogin && (new Date() - u.lastLogin) < 86400000).length // Last 24 hours
+      recentLogins: users.filter(u => u.lastLogin && (new Date() - new Date(u.lastLogin)) < 86400000).length // Last 24 hours
+    };
+  }
+
+  // Hash the password and store a new account
+  async _insertUser(userData, options = {}) {
+    const newUser = {
+      id: `${userData.role}-${crypto.randomUUID()}`,
+      username: userData.username,
+      email: userData.email,
+      fullName: userData.fullName,
+      role: userData.role,
+      password: await this.authMiddleware.hashPassword(userData.password),
+      createdAt: new Date().toISOString(),
+      createdBy: options.createdBy || null,
+      isActive: true,
+      mustChangePassword: Boolean(options.mustChangePassword),
+      passwordChangedAt: null,
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      lastLogin: null
+    };
+
+    return this.store.save(newUser);
+  }
+
+  // Validate and store a new password, clearing lockout and reset state
+  async _setPassword(user, newPassword) {
+    const errors = this.validatePasswordStrength(newPassword, user.username);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    if (await this.authMiddleware.comparePassword(newPassword, user.password)) {
+      throw new Error('New password must be different from the current password');
+    }
+
+    const password = await this.authMiddleware.hashPassword(newPassword);
+    await this.store.update(user.username, () => ({
+      password,
+      passwordChangedAt: new Date().toISOString(),
+      mustChangePassword: false,
+      passwordReset: null,
+      failedLoginAttempts: 0,
+      lockedUntil: null
+    }));
+  }
+
+  // Count a failed login and lock the account once the limit is reached
+  async _recordFailedLogin(username) {
+    await this.store.update(username, user => {
+      const attempts = (user.failedLoginAttempts || 0) + 1;
+      if (attempts >= this.config.maxFailedLogins) {
+        console.warn(`Account "${username}" locked after ${attempts} failed logins`);
+        return {
+          failedLoginAttempts: 0,
+          lockedUntil: new Date(Date.now() + this.config.lockoutMs).toISOString()
+        };
+      }
+      return { failedLoginAttempts: attempts };
+    });
+  }
+
+  // Refuse changes that would leave no active admin
+  _assertOtherActiveAdmin(username) {
+    const otherAdmins = this.store.list().filter(user =>
+      user.username !== username && user.role === 'admin' && user.isActive
+    );
+    if (otherAdmins.length === 0) {
+      throw new Error('Cannot remove the last active admin');
+    }
+  }
+
+  // Create a session and its first token pair
+  async _startSession(user, client = {}) {
+    const sessionId = this.authMiddleware.generateSessionId();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const session = await this.sessionStore.save({
+      id: sessionId,
+      userId: user.id,
+      username: user.username,
+      role: user.role,
+      loginTime: now.toISOString(),
+      lastActivity: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.config.refreshTokenTtlMs).toISOString(),
+      ipAddress: client.ipAddress || null,
+      userAgent: client.userAgent || null,
+      refreshTokenHash: this._hashToken(secret),
+      revokedAt: null
+    });
+
+    return {
+      token: this._accessToken(user, sessionId),
+      refreshToken: `${sessionId}.${secret}`,
+      refreshTokenExpiresAt: session.expiresAt,
+      sessionId
     };
   }
+
+  _accessToken(user, sessionId) {
+    return this.authMiddleware.generateToken({
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      sessionId,
+      mustChangePassword: Boolean(user.mustChangePassword)
+    });
+  }
+
+  // Mark matching live sessions revoked; the middleware refuses their tokens from now on
+  async _revokeSessions(predicate, revokedBy, reason) {
+    return this.sessionStore.updateWhere(
+      session => !session.revokedAt && predicate(session),
+      { revokedAt: new Date().toISOString(), revokedBy: revokedBy || null, revokedReason: reason }
+    );
+  }
+
+  // User without password hash or reset token
+  _publicUser(user) {
+    const { password, passwordReset, ...userWithoutPassword } = user;
+    return userWithoutPassword;
+  }
+
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  _safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') {
+      return false;
+    }
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
+  _error(message, code) {
+    const error = new Error(message);
+    if (code) {
+      error.code = code;
+    }
+    return error;
+  }
 }
 
-module.exports = UserManagementService;
\ No newline at end of file
+module.exports = UserManagementService;
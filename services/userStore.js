@@ -0,0 +1,145 @@
+const path = require('path');
+const JsonFileStore = require('./jsonFileStore');
+
+/**
+ * Persistent store for staff accounts.
+ *
+ * Accounts are kept in a JSON file keyed by username. Reads are synchronous
+ * and re-read the file when it changes on disk, checked at most every
+ * `reloadIntervalMs`; writes are serialized and replace the file by atomic
+ * rename so a crash never leaves it partial.
+ */
+class UserStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      process.env.USERS_FILE ||
+      path.join(__dirname, '..', 'data', 'users.json');
+
+    // How often lookups check the file for accounts changed elsewhere
+    this.reloadIntervalMs = options.reloadIntervalMs !== undefined
+      ? options.reloadIntervalMs
+      : parseInt(process.env.USERS_RELOAD_MS) || 1000;
+
+    this.users = {};
+    this.storeFile = new JsonFileStore({
+      filePath: this.filePath,
+      label: 'user store',
+      reloadIntervalMs: this.reloadIntervalMs,
+      optional: true,
+      // Password hashes and reset tokens live here, so keep the file private
+      mode: 0o600
+    });
+
+    // Serializes writes from this instance
+    this.queue = Promise.resolve();
+    this._reloadIfChanged(true);
+  }
+
+  /**
+   * List every account, including disabled ones
+   * @returns {Array} Users
+   */
+  list() {
+    this._reloadIfChanged();
+    return Object.values(this.users).map(user => ({ ...user }));
+  }
+
+  /**
+   * Get an account by username
+   * @param {string} username - Username
+   * @returns {Object|null} User
+   */
+  get(username) {
+    // An account missing here may have just been created by another instance
+    this._reloadIfChanged(!this._has(username));
+    return this._has(username) ? { ...this.users[username] } : null;
+  }
+
+  /**
+   * Find the first account matching a predicate
+   * @param {Function} predicate - Called with each user
+   * @returns {Object|null} User
+   */
+  find(predicate) {
+    return this.list().find(predicate) || null;
+  }
+
+  /**
+   * Insert or replace an account
+   * @param {Object} user - User with a username
+   * @returns {Promise<Object>} Saved user
+   */
+  save(user) {
+    return this._write(users => {
+      users[user.username] = { ...user };
+    }).then(() => ({ ...user }));
+  }
+
+  /**
+   * Apply changes to an account under the write queue, so concurrent
+   * updates (e.g. two failed logins) are not lost
+   * @param {string} username - Username
+   * @param {Function} mutate - Receives a copy of the user, returns the changes to apply
+   * @returns {Promise<Object|null>} Updated user, null if not found
+   */
+  async update(username, mutate) {
+    let updated = null;
+
+    await this._write(users => {
+      const current = users[username];
+      if (!current) {
+        return;
+      }
+      updated = { ...current, ...mutate({ ...current }) };
+      users[username] = updated;
+    });
+
+    return updated ? { ...updated } : null;
+  }
+
+  /**
+   * Read-modify-write the file under its lock, so the write builds on what
+   * other instances saved
+   * @private
+   */
+  _write(mutate) {
+    const run = this.queue.then(() => this.storeFile.transaction(async () => {
+      this._reloadIfChanged(true);
+      const users = { ...this.users };
+      mutate(users);
+
+      await this.storeFile.write({ users: Object.values(users) });
+      this.users = users;
+    }));
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Whether the account is loaded in memory
+   * @private
+   */
+  _has(username) {
+    return Object.prototype.hasOwnProperty.call(this.users, username);
+  }
+
+  /**
+   * Re-read the store if the file changed on disk
+   * @param {boolean} force - Check regardless of the reload interval
+   * @private
+   */
+  _reloadIfChanged(force = false) {
+    const data = this.storeFile.readIfChanged(force);
+    if (data === undefined) {
+      return;
+    }
+
+    this.users = {};
+    (data.users || []).forEach(user => {
+      this.users[user.username] = user;
+    });
+  }
+}
+
+module.exports = UserStore;
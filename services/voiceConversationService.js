@@ -7,6 +7,7 @@ const SpeechToTextService = require('./speechToTextService');
 const TextToSpeechService = require('./textToSpeechService');
 const ConversationalAIService = require('./conversationalAIService');
 const ScreeningIntegrationService = require('./screeningIntegrationService');
+const ConversationalScreeningService = require('./conversationalScreeningService');
 const EventEmitter = require('events');
 
 class VoiceConversationService extends EventEmitter {
@@ -18,6 +19,9 @@ class VoiceConversationService extends EventEmitter {
     this.textToSpeechService = new TextToSpeechService();
     this.conversationalAIService = new ConversationalAIService();
     this.screeningIntegrationService = new ScreeningIntegrationService();
+    this.conversationalScreening = new ConversationalScreeningService({
+      integration: this.screeningIntegrationService
+    });
     
     // Configuration
     this.config = {
@@ -134,7 +138,8 @@ class VoiceConversationService extends EventEmitter {
    * @param {string} sessionId - Conversation session ID
    * @param {Buffer} audioBuffer - Audio input buffer
    * @param {string} contentType - Audio content type
-   * @param {Object} options - Processing options
+   * @param {Object} options - Processing options; screeningHistory and
+   *   screeningIdentity save screenings answered by voice
    * @returns {Promise<Object>} Complete voice interaction result
    */
   async processVoiceInput(sessionId, audioBuffer, contentType, options = {}) {
@@ -172,23 +177,52 @@ class VoiceConversationService extends EventEmitter {
         transcription: transcriptionResult.text
       });
 
-      // Step 2: Conversational AI Processing
+      // Step 2: Conversational AI Processing, unless the input answers a screening in progress
       const aiStart = Date.now();
-      const aiResponse = await this.conversationalAIService.processMessage(
-        transcriptionResult.text,
-        sessionId,
-        {
-          ipAddress: options.ipAddress,
-          userAgent: options.userAgent,
-          timestamp: new Date().toISOString()
-        },
-        conversation.language
-      );
+      const screeningTurn = await this.conversationalScreening.handleMessage(sessionId, transcriptionResult.text, {
+        language: conversation.language,
+        region: options.region,
+        history: options.screeningHistory,
+        identity: options.screeningIdentity
+      });
+      let aiResponse;
+      let screening = screeningTurn.screening;
+      if (screeningTurn.handled) {
+        const crisisData = screeningTurn.isCrisis
+          ? this.conversationalAIService.getScreeningCrisisData(sessionId, screening.toolName, options.region)
+          : null;
+        aiResponse = { message: screeningTurn.message, isCrisis: screeningTurn.isCrisis, crisisData };
+      } else {
+        aiResponse = await this.conversationalAIService.processMessage(
+          transcriptionResult.text,
+          sessionId,
+          {
+            ipAddress: options.ipAddress,
+            userAgent: options.userAgent,
+            region: options.region,
+            timestamp: new Date().toISOString()
+          },
+          conversation.language
+        );
+
+        // Offer a screening the student asked about, or say how to resume a paused one
+        const offer = screening ? null : this.conversationalScreening.offer(sessionId, transcriptionResult.text, {
+          language: conversation.language,
+          region: options.region
+        });
+        const note = offer ? offer.message : screeningTurn.notice;
+        if (offer) {
+          screening = offer.screening;
+        }
+        if (note) {
+          aiResponse = { ...aiResponse, message: `${aiResponse.message}\n\n${note}` };
+        }
+      }
       const aiTime = Date.now() - aiStart;
 
-      // Step 3: Check for screening recommendations
+      // Step 3: Check for screening recommendations, unless a screening is already offered or under way
       let screeningRecommendation = null;
-      if (this.config.enableScreeningRecommendations) {
+      if (this.config.enableScreeningRecommendations && !screening) {
         const analysis = this.screeningIntegrationService.analyzeMessageForScreeningRecommendation(
           transcriptionResult.text,
           conversation.messages.slice(-5) // Recent conversation history
@@ -264,7 +298,8 @@ class VoiceConversationService extends EventEmitter {
         processingTime: aiTime + ttsTime,
         crisis: aiResponse.isCrisis,
         crisisData: aiResponse.crisisData,
-        screeningRecommendation
+        screeningRecommendation,
+        screening
       };
 
       conversation.messages.push(userMessage, assistantMessage);
@@ -312,7 +347,8 @@ class VoiceConversationService extends EventEmitter {
             crisis: aiResponse.isCrisis,
             crisisData: aiResponse.crisisData
           },
-          screeningRecommendation
+          screeningRecommendation,
+          screening
         },
         performance: {
           totalTime,
@@ -384,6 +420,7 @@ class VoiceConversationService extends EventEmitter {
     };
 
     this.activeConversations.delete(sessionId);
+    this.conversationalScreening.cancel(sessionId);
     this.emit('conversationEnded', { sessionId, summary });
 
     return summary;
@@ -34,16 +34,26 @@ async function testBookingAPI() {
     console.log('Status:', createResponse.data.booking.status);
     
     const bookingId = createResponse.data.booking.id;
+    const bookingToken = createResponse.data.accessToken;
     
-    // Test 3: Get booking by ID
+    // Test 3: Get booking by ID with the student's booking token
     console.log('\n3. Retrieving booking by ID...');
-    const getResponse = await axios.get(`${baseURL}/api/booking/appointments/${bookingId}`);
+    const getResponse = await axios.get(`${baseURL}/api/booking/appointments/${bookingId}`, {
+      headers: { 'X-Booking-Token': bookingToken }
+    });
     console.log('✅ Booking retrieved successfully!');
-    console.log('Retrieved booking for:', getResponse.data.booking.contactInfo);
+    console.log('Retrieved booking for:', getResponse.data.booking.preferredDate, getResponse.data.booking.preferredTime);
+    
+    // Listing and stats are staff-only
+    const loginResponse = await axios.post(`${baseURL}/api/auth/login`, {
+      username: process.env.TEST_ADMIN_USER || 'admin',
+      password: process.env.TEST_ADMIN_PASSWORD
+    });
+    const staffHeaders = { headers: { Authorization: `Bearer ${loginResponse.data.token}` } };
     
     // Test 4: Get all bookings
     console.log('\n4. Getting all bookings...');
-    const listResponse = await axios.get(`${baseURL}/api/booking/appointments`);
+    const listResponse = await axios.get(`${baseURL}/api/booking/appointments`, staffHeaders);
     console.log('✅ Bookings list retrieved successfully!');
     console.log('Total bookings:', listResponse.data.bookings.length);
     
@@ -56,7 +66,7 @@ async function testBookingAPI() {
     
     // Test 6: Get booking stats
     console.log('\n6. Getting booking statistics...');
-    const statsResponse = await axios.get(`${baseURL}/api/booking/stats`);
+    const statsResponse = await axios.get(`${baseURL}/api/booking/stats`, staffHeaders);
     console.log('✅ Stats retrieved successfully!');
     console.log('Total bookings:', statsResponse.data.stats.total);
     console.log('By session type:', statsResponse.data.stats.bySessionType);
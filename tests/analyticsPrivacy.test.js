@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const AnalyticsPrivacyService = require('../services/analyticsPrivacyService');
+const AnalyticsService = require('../services/analyticsService');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const SessionStore = require('../services/sessionStore');
+
+// Six students on exams, two of whom also raised family
+function recordSmallCampus(analytics) {
+  for (let i = 1; i <= 6; i++) {
+    analytics.recordUserInteraction(`student-${i}`, {
+      sessionId: `session-${i}`,
+      type: 'text',
+      sentiment: -0.5,
+      topics: i <= 2 ? ['exams', 'family'] : ['exams']
+    });
+  }
+}
+
+describe('AnalyticsPrivacyService', () => {
+  const privacy = new AnalyticsPrivacyService({ minCellSize: 5, epsilon: 1 });
+
+  test('should suppress cells and averages describing fewer than k students', () => {
+    const guard = privacy.createGuard({ messages: 1 });
+
+    expect(guard.count('messages', 3)).toBeNull();
+    expect(guard.count('messages', 0)).toBe(0);
+    expect(guard.count('messages', 7)).toBe(7);
+    // 40 messages from 2 students
+    expect(guard.count('messages', 40, 2)).toBeNull();
+    expect(guard.average('-0.40', 4)).toBeNull();
+    expect(guard.average('-0.40', 5)).toBe('-0.40');
+    expect(guard.footer()).toMatchObject({ minCellSize: 5, suppressedCells: 3, noise: { applied: false } });
+
+    expect(() => guard.count('hours', 9)).toThrow(/not part of this export's privacy budget/);
+  });
+
+  test('should suppress a second cell when a published total would reveal the first', () => {
+    const guard = privacy.createGuard({ severity: 1 });
+
+    expect(guard.group('severity', { critical: 1, high: 6, medium: 9, low: 0 }, { total: true }))
+      .toEqual({ critical: null, high: null, medium: 9, low: 0 });
+    expect(guard.group('severity', { critical: 1, high: 6, medium: 9, low: 0 }))
+      .toEqual({ critical: null, high: 6, medium: 9, low: 0 });
+  });
+
+  test('should judge group cells by the students behind them', () => {
+    const guard = privacy.createGuard({ severity: 1 });
+
+    // Six critical events, all from one student
+    expect(guard.group('severity', { critical: 6, high: 7 }, { contributors: { critical: 1, high: 7 } }))
+      .toEqual({ critical: null, high: 7 });
+  });
+
+  test('should add Laplace noise within the budget of one export', () => {
+    // u = 0.25, so the noise is scale * ln 2
+    const noisy = new AnalyticsPrivacyService({ minCellSize: 5, epsilon: 1, random: () => 0.75 });
+    const guard = noisy.createGuard({ users: 1, topics: 5 }, { noise: 'true' });
+
+    // epsilon 0.5 per measure: scale 2 for users, 10 for topics
+    expect(guard.count('users', 10, 10, '2026-10-01')).toBe(11);
+    expect(guard.count('users', 10, 10, '2026-10-01')).toBe(11);
+    expect(guard.count('topics', 10)).toBe(17);
+    expect(guard.footer().noise).toEqual({
+      applied: true,
+      mechanism: 'laplace',
+      epsilon: 1,
+      epsilonPerMeasure: 0.5,
+      sensitivity: { users: 1, topics: 5 }
+    });
+
+    expect(noisy.createGuard({ users: 1 }, { noise: true, epsilon: '0.2' }).epsilonPerMeasure).toBe(0.2);
+    expect(() => noisy.createGuard({ users: 1 }, { epsilon: 2 })).toThrow(expect.objectContaining({ isValidationError: true }));
+    expect(() => noisy.createGuard({ users: 1 }, { epsilon: 0 })).toThrow(/above 0 and at most 1/);
+  });
+});
+
+describe('Guarded analytics exports', () => {
+  let dir;
+  let analytics;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-privacy-'));
+    analytics = new AnalyticsService({
+      storePath: path.join(dir, 'analytics.json'),
+      privacy: new AnalyticsPrivacyService({ minCellSize: 5 })
+    });
+  });
+
+  afterEach(async () => {
+    await analytics.store.queue;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should hash user ids with a key', () => {
+    const other = new AnalyticsService({ storePath: path.join(dir, 'other.json'), idSecret: 'another-secret' });
+
+    expect(analytics.anonymizeUserId('student-1')).toMatch(/^user_[0-9a-f]{16}$/);
+    expect(analytics.anonymizeUserId('student-1')).not.toBe(analytics.anonymizeUserId('student-2'));
+    expect(other.anonymizeUserId('student-1')).not.toBe(analytics.anonymizeUserId('student-1'));
+  });
+
+  test('should leave small topics out of a JSON export', async () => {
+    recordSmallCampus(analytics);
+    analytics.recordUserInteraction('student-7', { sessionId: 'session-7', type: 'text', sentiment: 0, topics: [] });
+    await analytics.runHourlyRollup();
+
+    const { data: [day], privacy } = JSON.parse(analytics.exportAnalyticsData('json'));
+
+    expect(day).toMatchObject({ totalUsers: 7, totalMessages: 7, crisisAlerts: 0, avgSentimentScore: '-0.43' });
+    expect(day.topTopics).toEqual([{ topic: 'exams', count: 6, sentiment: '-0.50' }]);
+    expect(day.hourlyData.find(hour => hour.hour === day.peakHour)).toMatchObject({ activeUsers: 7, messages: 7 });
+    expect(privacy.suppressedCells).toBe(1);
+    expect(privacy.statement[0]).toMatch(/1 to 4 students/);
+  });
+
+  test('should count crisis cells in students, not events', () => {
+    for (let i = 0; i < 6; i++) {
+      analytics.recordUserInteraction('student-1', { sessionId: 'session-1', type: 'text', sentiment: -0.9, topics: ['crisis'], crisisDetected: true });
+    }
+
+    const stats = analytics.getCrisisStatistics(1);
+    expect(stats.bySeverity.critical).toBe(6);
+    expect(stats.students).toMatchObject({ total: 1, pending: 1, bySeverity: { critical: 1 } });
+
+    const report = analytics.protectReport('crisis', { crisisStatistics: stats });
+    expect(report.crisisStatistics).toMatchObject({ total: null, pending: null, bySeverity: { critical: null } });
+  });
+
+  test('should rank the protected peak hours like the unguarded ones', () => {
+    const today = new Date().toISOString().split('T')[0];
+    const hour = (number, activeUsers) => ({ hour: number, activeUsers, conversations: activeUsers, messages: activeUsers * 2, avgSentiment: '0.10' });
+    analytics.analytics.set(today, {
+      ...analytics.emptyDay(today),
+      hourlyData: [hour(8, 6), hour(9, 2), hour(10, 12), hour(11, 0), hour(14, 9), hour(15, 7)]
+    });
+
+    const report = analytics.protectReport('crisis', { peakHours: analytics.getPeakHours() });
+
+    // The two-student hour is suppressed rather than ranked
+    expect(report.peakHours).toEqual([
+      { hour: 10, users: 12, conversations: 12 },
+      { hour: 14, users: 9, conversations: 9 },
+      { hour: 15, users: 7, conversations: 7 }
+    ]);
+  });
+
+  test('should blank a quiet day in a CSV export and state the protections', () => {
+    analytics.recordUserInteraction('student-1', { sessionId: 'session-1', type: 'voice', sentiment: 0.4, topics: [] });
+
+    const lines = analytics.exportAnalyticsData('csv').split('\n');
+    const headers = lines[0].split(',');
+    const row = lines[1].split(',');
+
+    expect(row[headers.indexOf('totalUsers')]).toBe('');
+    expect(row[headers.indexOf('avgSentimentScore')]).toBe('');
+    expect(lines.filter(line => line.startsWith('# '))).toHaveLength(4);
+    expect(lines).toContain('# No noise was added; published counts are exact.');
+  });
+});
+
+describe('Guarded analytics routes', () => {
+  let app;
+  let dir;
+  let analytics;
+  let counselorToken;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-privacy-'));
+    process.env.SESSIONS_FILE = path.join(dir, 'sessions.json');
+
+    analytics = new AnalyticsService({
+      storePath: path.join(dir, 'analytics.json'),
+      privacy: new AnalyticsPrivacyService({ minCellSize: 5, epsilon: 1 })
+    });
+    recordSmallCampus(analytics);
+
+    jest.isolateModules(() => {
+      app = express();
+      app.use(express.json());
+      app.locals.analyticsService = analytics;
+      app.use('/api/analytics', require('../routes/analytics'));
+    });
+
+    const sessions = new SessionStore();
+    const auth = new AuthMiddleware({ sessionStore: sessions });
+    await sessions.save({
+      id: 'session-counselor',
+      username: 'counselor',
+      role: 'counselor',
+      lastActivity: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      revokedAt: null
+    });
+    counselorToken = auth.generateToken({ id: 2, username: 'counselor', role: 'counselor', sessionId: 'session-counselor' });
+  });
+
+  afterAll(async () => {
+    await analytics.store.queue;
+    delete process.env.SESSIONS_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should guard reports and end them with a privacy footer', async () => {
+    const response = await request(app)
+      .post('/api/analytics/report')
+      .set('Authorization', `Bearer ${counselorToken}`)
+      .send({ reportType: 'mental-health' });
+
+    expect(response.status).toBe(200);
+    const { report } = response.body;
+    expect(report.topicTrends).toEqual([{ topic: 'exams', totalCount: 6, avgSentiment: '-0.50' }]);
+    expect(report.sentimentTrends[0]).toMatchObject({ sentiment: -0.5, totalInteractions: 6 });
+    expect(report.crisisStats).toEqual({
+      total: 0, resolved: 0, escalated: 0, pending: 0,
+      bySeverity: { critical: 0, high: 0, medium: 0, low: 0 }
+    });
+    expect(report.privacy).toMatchObject({ minCellSize: 5, suppressedCells: 1, noise: { applied: false } });
+  });
+
+  test('should add noise on request and refuse to overspend the budget', async () => {
+    const noisy = await request(app)
+      .get('/api/analytics/export?format=json&noise=true&epsilon=0.5')
+      .set('Authorization', `Bearer ${counselorToken}`);
+    expect(noisy.status).toBe(200);
+    expect(JSON.parse(noisy.text).privacy.noise).toMatchObject({ applied: true, epsilon: 0.5 });
+
+    const overspent = await request(app)
+      .get('/api/analytics/export?format=csv&noise=true&epsilon=5')
+      .set('Authorization', `Bearer ${counselorToken}`);
+    expect(overspent.status).toBe(400);
+    expect(overspent.body.message).toMatch(/budget of one export/);
+  });
+});
@@ -1,36 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const AnalyticsService = require('../services/analyticsService');
 
 describe('AnalyticsService', () => {
   let analyticsService;
+  let storePath;
 
   beforeEach(() => {
-    analyticsService = new AnalyticsService();
+    storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-')), 'analytics.json');
+    analyticsService = new AnalyticsService({ storePath });
   });
 
-  afterEach(() => {
+  afterEach(async () => {
+    await analyticsService.store.queue;
     // Clean up any test data
     analyticsService.analytics.clear();
     analyticsService.conversations.clear();
     analyticsService.sessions.clear();
     analyticsService.crisisEvents.clear();
+    fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
   });
 
+  // A recorded day of real interactions for the retrieval and export tests
+  function recordSampleDay() {
+    analyticsService.recordUserInteraction('amara', { sessionId: 'session-a', type: 'text', sentiment: -0.4, topics: ['exams'] });
+    analyticsService.recordUserInteraction('amara', { sessionId: 'session-a', type: 'text', sentiment: 0.2, topics: ['exams', 'sleep'] });
+    analyticsService.recordUserInteraction('bilal', { sessionId: 'session-b', type: 'voice', sentiment: -0.6, topics: ['family'] });
+  }
+
   describe('Initialization', () => {
-    test('should initialize with sample data', () => {
-      expect(analyticsService.analytics.size).toBeGreaterThan(0);
-      // Conversations are created when interactions are recorded, not during initialization
-      expect(analyticsService.analytics.size).toBeGreaterThanOrEqual(30); // Should have ~30 days of data
+    test('should start without made-up data', () => {
+      expect(analyticsService.analytics.size).toBe(0);
+      expect(analyticsService.getWeeklyAnalytics()).toEqual([]);
+      expect(analyticsService.getUsageStatistics().today.totalMessages).toBe(0);
     });
 
-    test('should generate valid sample data structure', () => {
+    test('should build daily aggregates from recorded interactions', () => {
+      recordSampleDay();
+
       const today = new Date().toISOString().split('T')[0];
       const todayData = analyticsService.analytics.get(today);
       
-      expect(todayData).toBeDefined();
-      expect(todayData).toHaveProperty('totalUsers');
-      expect(todayData).toHaveProperty('totalConversations');
-      expect(todayData).toHaveProperty('avgSentimentScore');
-      expect(todayData).toHaveProperty('topTopics');
+      expect(todayData).toMatchObject({
+        totalUsers: 2,
+        totalConversations: 2,
+        totalMessages: 3,
+        voiceInteractions: 1,
+        textInteractions: 2,
+        avgSentimentScore: '-0.27'
+      });
+      expect(todayData.topTopics[0]).toEqual({ topic: 'exams', count: 2, users: 1, sentiment: '-0.10' });
     });
   });
 
@@ -129,9 +149,30 @@ describe('AnalyticsService', () => {
       expect(session.topics.has('anxiety')).toBe(true);
       expect(session.topics.has('stress')).toBe(true);
     });
+
+    test('should track mood check-ins apart from messages', () => {
+      const userId = 'test-user-123';
+      const sessionId = 'mood-session-1';
+
+      analyticsService.recordUserInteraction(userId, {
+        sessionId, type: 'mood-check-in', mood: 4, checkInPhase: 'pre', sentiment: -0.33, topics: ['stressed']
+      });
+      analyticsService.recordUserInteraction(userId, {
+        sessionId, type: 'mood-check-in', mood: 7, checkInPhase: 'post', sentiment: 0.33, topics: ['calm']
+      });
+
+      expect(analyticsService.sessions.get(sessionId).totalMessages).toBe(0);
+
+      const today = new Date().toISOString().split('T')[0];
+      expect(analyticsService.getMoodTrends(1)).toEqual([
+        { date: today, avgMood: 5.5, avgMoodChange: 3, checkIns: 2 }
+      ]);
+    });
   });
 
   describe('Analytics Retrieval', () => {
+    beforeEach(recordSampleDay);
+
     test('should get usage statistics', () => {
       const stats = analyticsService.getUsageStatistics();
       
@@ -234,13 +275,16 @@ describe('AnalyticsService', () => {
   });
 
   describe('Data Export', () => {
+    beforeEach(recordSampleDay);
+
     test('should export data as JSON', () => {
       const jsonData = analyticsService.exportAnalyticsData('json');
       
       expect(typeof jsonData).toBe('string');
       
       const parsed = JSON.parse(jsonData);
-      expect(Array.isArray(parsed)).toBe(true);
+      expect(Array.isArray(parsed.data)).toBe(true);
+      expect(parsed.privacy).toHaveProperty('minCellSize');
     });
 
     test('should export data as CSV', () => {
@@ -266,8 +310,8 @@ describe('AnalyticsService', () => {
       const jsonData = analyticsService.exportAnalyticsData('json', dateRange);
       const parsed = JSON.parse(jsonData);
       
-      expect(Array.isArray(parsed)).toBe(true);
-      expect(parsed.length).toBeLessThanOrEqual(4); // Max 4 days
+      expect(Array.isArray(parsed.data)).toBe(true);
+      expect(parsed.data.length).toBeLessThanOrEqual(4); // Max 4 days
     });
 
     test('should throw error for unsupported format', () => {
@@ -326,7 +370,7 @@ describe('AnalyticsService', () => {
   });
 
   describe('Data Cleanup', () => {
-    test('should cleanup old data', () => {
+    test('should cleanup old data', async () => {
       // Add some old data
       const oldDate = new Date();
       oldDate.setDate(oldDate.getDate() - 100);
@@ -339,14 +383,14 @@ describe('AnalyticsService', () => {
       const initialConversationsSize = analyticsService.conversations.size;
       
       // Cleanup with 90 day retention
-      analyticsService.cleanupOldData(90);
+      await analyticsService.cleanupOldData(90);
       
       expect(analyticsService.analytics.size).toBeLessThan(initialAnalyticsSize);
       expect(analyticsService.conversations.size).toBeLessThan(initialConversationsSize);
       expect(analyticsService.analytics.has(oldDateKey)).toBe(false);
     });
 
-    test('should cleanup old sessions', () => {
+    test('should cleanup old sessions', async () => {
       // Add an old session
       const oldSession = {
         id: 'old-session',
@@ -361,13 +405,114 @@ describe('AnalyticsService', () => {
       
       const initialSessionsSize = analyticsService.sessions.size;
       
-      analyticsService.cleanupOldData(90);
+      await analyticsService.cleanupOldData(90);
       
       expect(analyticsService.sessions.size).toBeLessThan(initialSessionsSize);
       expect(analyticsService.sessions.has('old-session')).toBe(false);
     });
   });
 
+  describe('Persistence and Rollups', () => {
+    const dateKey = daysAgo => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const readStore = () => JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    const readInteractions = () => fs.readFileSync(storePath.replace(/\.json$/, '-interactions.jsonl'), 'utf8')
+      .split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+    test('should keep recorded data across restarts', async () => {
+      recordSampleDay();
+      analyticsService.recordUserInteraction('chen', { type: 'text', sentiment: -0.9, topics: [], crisisDetected: true });
+      await analyticsService.store.queue;
+
+      const restarted = new AnalyticsService({ storePath });
+
+      expect(restarted.getDailyAnalytics()).toMatchObject({ totalUsers: 3, totalMessages: 4, crisisAlerts: 1 });
+      expect(restarted.getCrisisStatistics(1).total).toBe(1);
+    });
+
+    test('should append interactions without rewriting the store', async () => {
+      recordSampleDay();
+      await analyticsService.store.queue;
+      expect(fs.existsSync(storePath)).toBe(false);
+
+      analyticsService.recordUserInteraction('chen', { type: 'text', sentiment: 0.2, topics: [] });
+      await analyticsService.store.queue;
+
+      expect(fs.existsSync(storePath)).toBe(false);
+      expect(readInteractions().map(entry => entry.date)).toEqual(Array(4).fill(dateKey(0)));
+    });
+
+    test('should move interactions kept in the store by older versions to the journal', async () => {
+      const interaction = { id: 'old', userId: 'user_1', sessionId: 's1', timestamp: new Date().toISOString(), type: 'text', topics: [] };
+      fs.writeFileSync(storePath, JSON.stringify({ days: {}, interactions: { [dateKey(0)]: [interaction] }, crisisEvents: {} }));
+      analyticsService = new AnalyticsService({ storePath });
+
+      await analyticsService.runHourlyRollup();
+
+      expect(readStore().interactions).toBeUndefined();
+      expect(readInteractions()).toEqual([{ date: dateKey(0), interaction }]);
+      expect(new AnalyticsService({ storePath }).getDailyAnalytics().totalMessages).toBe(1);
+    });
+
+    test('should roll up today by the hour', async () => {
+      recordSampleDay();
+
+      await analyticsService.runHourlyRollup();
+
+      const hour = new Date().getUTCHours();
+      expect(readStore().days[dateKey(0)].hourlyData[hour]).toMatchObject({ activeUsers: 2, conversations: 2, messages: 3 });
+      expect(analyticsService.getPeakHours()).toEqual([{ hour, users: 2, conversations: 2 }]);
+    });
+
+    test('should replace the raw interactions of finished days with their rollup', async () => {
+      jest.useFakeTimers({ now: Date.now() - 24 * 60 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+      recordSampleDay();
+      jest.useRealTimers();
+      await analyticsService.store.queue;
+      expect(readInteractions().filter(entry => entry.date === dateKey(1))).toHaveLength(3);
+
+      expect(await analyticsService.runDailyRollup()).toEqual([dateKey(1)]);
+
+      const stored = readStore();
+      expect(readInteractions()).toEqual([]);
+      expect(stored.days[dateKey(1)]).toMatchObject({ totalUsers: 2, totalMessages: 3, peakHour: expect.any(Number) });
+      expect(analyticsService.conversations.has(dateKey(1))).toBe(false);
+      expect(new AnalyticsService({ storePath }).getDailyAnalytics(dateKey(1)).totalMessages).toBe(3);
+    });
+
+    test('should save a finished day\'s rollup before dropping its interactions', async () => {
+      jest.useFakeTimers({ now: Date.now() - 24 * 60 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+      recordSampleDay();
+      jest.useRealTimers();
+      await analyticsService.store.queue;
+
+      // Crash between the two renames
+      const rename = fs.promises.rename;
+      jest.spyOn(fs.promises, 'rename').mockImplementation((from, to) =>
+        (to.endsWith('.jsonl') ? Promise.reject(new Error('crashed')) : rename(from, to)));
+      await expect(analyticsService.runDailyRollup()).rejects.toThrow('crashed');
+      jest.restoreAllMocks();
+
+      expect(readStore().days[dateKey(1)]).toMatchObject({ totalMessages: 3 });
+      expect(readInteractions().filter(entry => entry.date === dateKey(1))).toHaveLength(3);
+      expect(new AnalyticsService({ storePath }).getDailyAnalytics(dateKey(1)).totalMessages).toBe(3);
+    });
+
+    test('should enforce retention against the store', async () => {
+      fs.writeFileSync(storePath, JSON.stringify({
+        days: { [dateKey(120)]: { date: dateKey(120), totalMessages: 5 }, [dateKey(2)]: { date: dateKey(2), totalMessages: 7 } },
+        interactions: {},
+        crisisEvents: { [dateKey(120)]: [{ id: 'old', timestamp: new Date().toISOString() }] }
+      }));
+      analyticsService = new AnalyticsService({ storePath });
+
+      const removed = await analyticsService.cleanupOldData(90);
+
+      expect(removed).toEqual({ days: 1, interactionDays: 0, crisisEventDays: 1 });
+      expect(Object.keys(readStore().days)).toEqual([dateKey(2)]);
+      expect(analyticsService.analytics.has(dateKey(120))).toBe(false);
+    });
+  });
+
   describe('System Health', () => {
     test('should return system health metrics', () => {
       const health = analyticsService.getSystemHealth();
@@ -1,4 +1,37 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
 const request = require('supertest');
+
+// Accounts are no longer seeded by the service, so give the app a store
+// with an admin and a counselor before it loads
+const usersFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'users-')), 'users.json');
+const seedUser = (username, role, password) => ({
+  id: `${role}-${username}`,
+  username,
+  email: `${username}@mindcare.edu`,
+  fullName: `Test ${role}`,
+  role,
+  password: bcrypt.hashSync(password, 4),
+  isActive: true,
+  mustChangePassword: false,
+  failedLoginAttempts: 0,
+  lockedUntil: null
+});
+fs.writeFileSync(usersFile, JSON.stringify({
+  users: [
+    seedUser('admin', 'admin', 'admin123!'),
+    seedUser('counselor', 'counselor', 'counselor123!'),
+    seedUser('lockme', 'counselor', 'lockme-Pass123!'),
+    seedUser('resetme', 'counselor', 'resetme-Pass123!')
+  ]
+}));
+process.env.USERS_FILE = usersFile;
+process.env.SESSIONS_FILE = path.join(path.dirname(usersFile), 'sessions.json');
+// Notices go to the file outbox, which must never receive a reset code
+process.env.NOTIFICATION_OUTBOX_FILE = path.join(path.dirname(usersFile), 'notification-outbox.jsonl');
+
 const { app } = require('../server');
 const UserManagementService = require('../services/userManagementService');
 const AuthMiddleware = require('../middleware/authMiddleware');
@@ -8,7 +41,7 @@ describe('Authentication System', () => {
   let authMiddleware;
 
   beforeEach(async () => {
-    userManagementService = new UserManagementService();
+    userManagementService = new UserManagementService({ usersFile });
     authMiddleware = new AuthMiddleware();
     // Wait for initialization to complete
     await userManagementService.waitForInitialization();
@@ -217,5 +250,233 @@ describe('Authentication System', () => {
     });
   });
 
+  describe('Sessions and Token Revocation', () => {
+    const login = (username, password) => request(app).post('/api/auth/login').send({ username, password });
+
+    test('should stop accepting a token after logout', async () => {
+      const { body } = await login('admin', 'admin123!');
+      const auth = { Authorization: `Bearer ${body.token}` };
+
+      await request(app).get('/api/auth/profile').set(auth).expect(200);
+      await request(app).post('/api/auth/logout').set(auth).expect(200);
+
+      const after = await request(app).get('/api/auth/profile').set(auth);
+      expect(after.status).toBe(401);
+      await request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken }).expect(401);
+    });
+
+    test('should issue a new token pair from a refresh token only once', async () => {
+      const { body } = await login('admin', 'admin123!');
+
+      const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken });
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.body.token).toBeDefined();
+      await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${refreshed.body.token}`).expect(200);
+
+      // Replaying the spent refresh token ends the whole session
+      await request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken }).expect(401);
+      await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${refreshed.body.token}`).expect(401);
+    });
+
+    test('should let an admin list and end a user\'s sessions', async () => {
+      const admin = (await login('admin', 'admin123!')).body;
+      const counselor = (await login('counselor', 'newpassword123!')).body;
+      const counselorAuth = { Authorization: `Bearer ${counselor.token}` };
+
+      const listed = await request(app)
+        .get('/api/auth/sessions?username=counselor')
+        .set('Authorization', `Bearer ${admin.token}`);
+      expect(listed.status).toBe(200);
+      expect(listed.body.sessions.map(s => s.sessionId)).toContain(counselor.sessionId);
+      expect(listed.body.sessions.every(s => s.username === 'counselor')).toBe(true);
+
+      // Counselors only see their own sessions
+      const own = await request(app).get('/api/auth/sessions').set(counselorAuth);
+      expect(own.body.sessions.every(s => s.username === 'counselor')).toBe(true);
+      expect(own.body.sessions.find(s => s.sessionId === counselor.sessionId).current).toBe(true);
+      await request(app).delete(`/api/auth/sessions/${admin.sessionId}`).set(counselorAuth).expect(404);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${counselor.sessionId}`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .expect(200);
+      await request(app).get('/api/auth/profile').set(counselorAuth).expect(401);
+    });
+
+    test('should log out all sessions of a user', async () => {
+      const first = (await login('counselor', 'newpassword123!')).body;
+      const second = (await login('counselor', 'newpassword123!')).body;
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${second.token}`);
+      expect(response.status).toBe(200);
+      expect(response.body.sessionsEnded).toBeGreaterThanOrEqual(2);
+
+      await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${first.token}`).expect(401);
+      await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${second.token}`).expect(401);
+    });
+  });
+
+  describe('Account Lifecycle', () => {
+    const login = (username, password) => request(app).post('/api/auth/login').send({ username, password });
+
+    let adminToken;
+
+    beforeEach(async () => {
+      adminToken = (await login('admin', 'admin123!')).body.token;
+    });
+
+    test('should make new accounts change their password before anything else', async () => {
+      await request(app)
+        .post('/api/auth/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          username: 'newstaff',
+          password: 'Welcome-2024-Campus',
+          email: 'newstaff@mindcare.edu',
+          fullName: 'New Staff',
+          role: 'counselor'
+        })
+        .expect(201);
+
+      const loginResponse = await login('newstaff', 'Welcome-2024-Campus');
+      expect(loginResponse.status).toBe(200);
+      expect(loginResponse.body.mustChangePassword).toBe(true);
+
+      const blocked = await request(app)
+        .get('/api/auth/validate')
+        .set('Authorization', `Bearer ${loginResponse.body.token}`);
+      expect(blocked.status).toBe(403);
+      expect(blocked.body.code).toBe('PASSWORD_CHANGE_REQUIRED');
+
+      const changed = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${loginResponse.body.token}`)
+        .send({ currentPassword: 'Welcome-2024-Campus', newPassword: 'My-Own-Secret-42' });
+      expect(changed.status).toBe(200);
+
+      const allowed = await request(app)
+        .get('/api/auth/validate')
+        .set('Authorization', `Bearer ${changed.body.token}`);
+      expect(allowed.status).toBe(200);
+    });
+
+    test('should reject weak passwords for new accounts', async () => {
+      const response = await request(app)
+        .post('/api/auth/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          username: 'weakstaff',
+          password: 'password',
+          email: 'weakstaff@mindcare.edu',
+          fullName: 'Weak Staff',
+          role: 'counselor'
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('at least 12 characters');
+    });
+
+    test('should lock an account after repeated failed logins', async () => {
+      for (let i = 0; i < 5; i++) {
+        expect((await login('lockme', 'wrong-password')).status).toBe(401);
+      }
+
+      const locked = await login('lockme', 'lockme-Pass123!');
+      expect(locked.status).toBe(423);
+      expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+    });
+
+    test('should reset a password with an admin-issued code', async () => {
+      const issued = await request(app)
+        .post('/api/auth/users/resetme/password-reset')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(201);
+
+      await request(app)
+        .post('/api/auth/password-reset')
+        .send({ token: 'not-the-code', newPassword: 'Fresh-Start-2030' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/password-reset')
+        .send({ token: issued.body.token, newPassword: 'Fresh-Start-2030' })
+        .expect(200);
+
+      expect((await login('resetme', 'resetme-Pass123!')).status).toBe(401);
+      expect((await login('resetme', 'Fresh-Start-2030')).status).toBe(200);
+
+      // Codes are single use
+      await request(app)
+        .post('/api/auth/password-reset')
+        .send({ token: issued.body.token, newPassword: 'Another-Start-2031' })
+        .expect(400);
+    });
+
+    test('should refuse self-service resets without real email delivery', async () => {
+      const response = await request(app).post('/api/auth/password-reset/request').send({ username: 'resetme' });
+
+      expect(response.status).toBe(503);
+      const outbox = process.env.NOTIFICATION_OUTBOX_FILE;
+      const written = fs.existsSync(outbox) ? fs.readFileSync(outbox, 'utf8') : '';
+      expect(written).not.toMatch(/password-reset/);
+    });
+
+    test('should answer reset requests the same way for unknown users', async () => {
+      const channels = app.locals.notifications.channels;
+      const fileEmail = channels.email;
+      const sent = [];
+      channels.email = { delivers: true, send: async message => { sent.push(message); return { reference: null }; } };
+
+      try {
+        const known = await request(app).post('/api/auth/password-reset/request').send({ username: 'counselor' });
+        const unknown = await request(app).post('/api/auth/password-reset/request').send({ username: 'nobody' });
+
+        expect(known.status).toBe(202);
+        expect(unknown.status).toBe(202);
+        expect(unknown.body).toEqual(known.body);
+        expect(sent).toHaveLength(1);
+        expect(sent[0]).toMatchObject({ to: 'counselor@mindcare.edu', type: 'password-reset' });
+      } finally {
+        channels.email = fileEmail;
+      }
+    });
+
+    test('should disable rather than delete accounts', async () => {
+      await request(app)
+        .post('/api/auth/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          username: 'leaving',
+          password: 'Moving-On-2024',
+          email: 'leaving@mindcare.edu',
+          fullName: 'Leaving Counselor',
+          role: 'counselor'
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .delete('/api/auth/users/leaving')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(response.status).toBe(200);
+      expect(response.body.user.isActive).toBe(false);
+
+      const user = await request(app)
+        .get('/api/auth/users/leaving')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(user.status).toBe(200);
+      expect(user.body.user.disabledBy).toBe('admin');
+
+      expect((await login('leaving', 'Moving-On-2024')).status).toBe(401);
+
+      // The only admin cannot disable themselves
+      await request(app)
+        .delete('/api/auth/users/admin')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
 
 });
\ No newline at end of file
@@ -1,5 +1,10 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
 const AuthMiddleware = require('../middleware/authMiddleware');
 const UserManagementService = require('../services/userManagementService');
+const UserStore = require('../services/userStore');
 
 // Mock the server imports to avoid starting all services
 jest.mock('../server', () => ({
@@ -7,12 +12,39 @@ jest.mock('../server', () => ({
   server: {}
 }));
 
+// Sessions (and so token revocation) persist to a file; keep it out of data/
+process.env.SESSIONS_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-')), 'sessions.json');
+
+const seedUser = (username, role, password) => ({
+  id: `${role}-${username}`,
+  username,
+  email: `${username}@mindcare.edu`,
+  fullName: `Test ${role}`,
+  role,
+  password: bcrypt.hashSync(password, 4),
+  isActive: true,
+  mustChangePassword: false
+});
+
+const tempUsersFile = (users = []) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'users-')), 'users.json');
+  if (users.length > 0) {
+    fs.writeFileSync(file, JSON.stringify({ users }));
+  }
+  return file;
+};
+
 describe('Authentication Unit Tests', () => {
   let userManagementService;
   let authMiddleware;
+  let usersFile;
 
   beforeEach(async () => {
-    userManagementService = new UserManagementService();
+    usersFile = tempUsersFile([
+      seedUser('admin', 'admin', 'admin123!'),
+      seedUser('counselor', 'counselor', 'counselor123!')
+    ]);
+    userManagementService = new UserManagementService({ usersFile });
     authMiddleware = new AuthMiddleware();
     // Wait for initialization to complete
     await userManagementService.waitForInitialization();
@@ -82,13 +114,14 @@ describe('Authentication Unit Tests', () => {
   });
 
   describe('UserManagementService', () => {
-    test('should initialize with default users', () => {
+    test('should load users from the store', () => {
       const users = userManagementService.getAllUsers();
-      expect(users.length).toBeGreaterThanOrEqual(2);
+      expect(users.length).toBe(2);
       
       const adminUser = users.find(u => u.username === 'admin');
       expect(adminUser).toBeDefined();
       expect(adminUser.role).toBe('admin');
+      expect(adminUser.password).toBeUndefined();
       
       const counselorUser = users.find(u => u.username === 'counselor');
       expect(counselorUser).toBeDefined();
@@ -105,13 +138,83 @@ describe('Authentication Unit Tests', () => {
       const sessions = userManagementService.getActiveSessions();
       expect(sessions.length).toBeGreaterThan(0);
 
-      const logoutSuccess = userManagementService.logout(authResult.sessionId);
+      const logoutSuccess = await userManagementService.logout(authResult.sessionId);
       expect(logoutSuccess).toBe(true);
 
       const isValidAfterLogout = userManagementService.validateSession(authResult.sessionId);
       expect(isValidAfterLogout).toBe(false);
     });
 
+    test('should rotate refresh tokens and end the session when one is reused', async () => {
+      const login = await userManagementService.authenticateUser('admin', 'admin123!');
+      expect(login.refreshToken).toBeDefined();
+
+      const refreshed = await userManagementService.refreshSession(login.refreshToken);
+      expect(refreshed.refreshToken).not.toBe(login.refreshToken);
+      expect(authMiddleware.verifyToken(refreshed.token).sessionId).toBe(login.sessionId);
+
+      // The first refresh token is spent; replaying it ends the session
+      await expect(userManagementService.refreshSession(login.refreshToken)).rejects.toThrow('already been used');
+      await expect(userManagementService.refreshSession(refreshed.refreshToken)).rejects.toThrow('Session has ended');
+      expect(userManagementService.validateSession(login.sessionId)).toBe(false);
+      expect(userManagementService.getSession(login.sessionId).revokedReason).toBe('refresh-token-reuse');
+    });
+
+    test('should refuse tokens of ended sessions in authenticate', async () => {
+      const login = await userManagementService.authenticateUser('counselor', 'counselor123!');
+      const other = await userManagementService.authenticateUser('counselor', 'counselor123!');
+      const call = token => {
+        const req = { headers: { authorization: `Bearer ${token}` } };
+        const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+        const next = jest.fn();
+        authMiddleware.authenticate(req, res, next);
+        return { res, next };
+      };
+
+      expect(call(login.token).next).toHaveBeenCalled();
+
+      await userManagementService.logoutAll('counselor');
+
+      const { res, next } = call(login.token);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(call(other.token).next).not.toHaveBeenCalled();
+      await expect(userManagementService.refreshSession(other.refreshToken)).rejects.toThrow('Session has ended');
+    });
+
+    test('should only authenticate requests with a token in optionalAuthenticate', async () => {
+      const login = await userManagementService.authenticateUser('counselor', 'counselor123!');
+      const call = headers => {
+        const req = { headers };
+        const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+        const next = jest.fn();
+        authMiddleware.optionalAuthenticate(req, res, next);
+        return { req, res, next };
+      };
+
+      const anonymous = call({});
+      expect(anonymous.next).toHaveBeenCalled();
+      expect(anonymous.req.user).toBeUndefined();
+
+      const signedIn = call({ authorization: `Bearer ${login.token}` });
+      expect(signedIn.next).toHaveBeenCalled();
+      expect(signedIn.req.user.username).toBe('counselor');
+
+      const forged = call({ authorization: 'Bearer not-a-token' });
+      expect(forged.next).not.toHaveBeenCalled();
+      expect(forged.res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should log out other sessions when the password changes', async () => {
+      const current = await userManagementService.authenticateUser('counselor', 'counselor123!');
+      const other = await userManagementService.authenticateUser('counselor', 'counselor123!');
+
+      await userManagementService.changePassword('counselor', 'counselor123!', 'Changed-Password-8', current.sessionId);
+
+      expect(userManagementService.validateSession(current.sessionId)).toBe(true);
+      expect(userManagementService.validateSession(other.sessionId)).toBe(false);
+    });
+
     test('should provide user statistics', () => {
       const stats = userManagementService.getUserStatistics();
       expect(stats).toHaveProperty('totalUsers');
@@ -169,12 +272,148 @@ describe('Authentication Unit Tests', () => {
       expect(updatedUser.fullName).toBe('Updated Test Counselor');
       expect(updatedUser.isActive).toBe(false);
 
-      // Test user deletion
-      const deleteResult = userManagementService.deleteUser('testcounselor');
-      expect(deleteResult).toBe(true);
+      // Test disabling: the account is kept but cannot log in
+      const disabledUser = await userManagementService.disableUser('testcounselor', 'admin');
+      expect(disabledUser.isActive).toBe(false);
+      expect(disabledUser.disabledBy).toBe('admin');
+      expect(userManagementService.getUserByUsername('testcounselor')).not.toBeNull();
+
+      await expect(
+        userManagementService.authenticateUser('testcounselor', 'testpass123!')
+      ).rejects.toThrow('Account disabled');
+    });
+
+    test('should persist users across instances', async () => {
+      await userManagementService.createUser({
+        username: 'persisted',
+        password: 'Stored-Safely-21',
+        email: 'persisted@mindcare.edu',
+        fullName: 'Persisted User',
+        role: 'counselor'
+      });
+
+      const reloaded = new UserManagementService({ usersFile });
+      const user = reloaded.getUserByUsername('persisted');
+      expect(user).not.toBeNull();
+      expect(user.mustChangePassword).toBe(true);
+      expect(JSON.parse(fs.readFileSync(usersFile, 'utf8')).users).toHaveLength(3);
+    });
+
+    test('should keep overlapping account writes apart and check the file once per interval', async () => {
+      const store = new UserStore({ filePath: usersFile, reloadIntervalMs: 5000 });
+      await Promise.all([
+        store.update('admin', () => ({ failedLoginAttempts: 1 })),
+        store.update('counselor', () => ({ failedLoginAttempts: 2 }))
+      ]);
+      expect(fs.readdirSync(path.dirname(usersFile))).toEqual(['users.json']);
+
+      // An edit by another process shows up once the interval has passed
+      const stored = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+      stored.users.find(user => user.username === 'counselor').isActive = false;
+      fs.writeFileSync(usersFile, JSON.stringify(stored));
+      const future = new Date(Date.now() + 5000);
+      fs.utimesSync(usersFile, future, future);
+
+      expect(store.get('counselor')).toMatchObject({ isActive: true, failedLoginAttempts: 2 });
+      jest.spyOn(Date, 'now').mockReturnValue(store.storeFile.checkedAt + store.reloadIntervalMs);
+      expect(store.get('counselor').isActive).toBe(false);
+      jest.restoreAllMocks();
+    });
+
+    test('should enforce the password policy', () => {
+      expect(userManagementService.validatePasswordStrength('Short1!')).not.toHaveLength(0);
+      expect(userManagementService.validatePasswordStrength('alllowercaseletters')).not.toHaveLength(0);
+      expect(userManagementService.validatePasswordStrength('meera-Kulkarni-2024', 'meera')).not.toHaveLength(0);
+      expect(userManagementService.validatePasswordStrength('Correct-Horse-42', 'meera')).toHaveLength(0);
+    });
+
+    test('should lock accounts after too many failed logins', async () => {
+      const service = new UserManagementService({ usersFile, maxFailedLogins: 3, lockoutMs: 60000 });
+
+      for (let i = 0; i < 3; i++) {
+        await expect(service.authenticateUser('counselor', 'wrong')).rejects.toThrow('Invalid credentials');
+      }
+
+      await expect(service.authenticateUser('counselor', 'counselor123!')).rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+      expect(service.getUserStatistics().lockedUsers).toBe(1);
+
+      // A password reset clears the lock
+      const reset = await service.createPasswordReset('counselor');
+      await service.resetPassword(reset.token, 'Unlocked-Again-7');
+      const result = await service.authenticateUser('counselor', 'Unlocked-Again-7');
+      expect(result.token).toBeDefined();
+    });
+
+    test('should expire password reset tokens', async () => {
+      const service = new UserManagementService({ usersFile, resetTokenTtlMs: 1 });
+      const reset = await service.createPasswordReset('counselor');
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      await expect(service.resetPassword(reset.token, 'Too-Late-Now-99')).rejects.toThrow('invalid or has expired');
+      expect(JSON.stringify(new UserStore({ filePath: usersFile }).get('counselor'))).not.toContain(reset.token);
+    });
+
+    test('should not remove the last active admin', async () => {
+      await expect(userManagementService.updateUser('admin', { role: 'counselor' })).rejects.toThrow('last active admin');
+      await expect(userManagementService.disableUser('admin', 'someone')).rejects.toThrow('last active admin');
+    });
+  });
+
+  describe('First-run Setup', () => {
+    const originalPassword = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+
+    afterEach(() => {
+      if (originalPassword === undefined) {
+        delete process.env.ADMIN_BOOTSTRAP_PASSWORD;
+      } else {
+        process.env.ADMIN_BOOTSTRAP_PASSWORD = originalPassword;
+      }
+    });
+
+    test('should not create default accounts', async () => {
+      delete process.env.ADMIN_BOOTSTRAP_PASSWORD;
+      const service = new UserManagementService({ usersFile: tempUsersFile() });
+      await service.waitForInitialization();
+
+      expect(service.getAllUsers()).toHaveLength(0);
+      expect(service.needsSetup()).toBe(true);
+      await expect(service.authenticateUser('admin', 'admin123!')).rejects.toMatchObject({ code: 'SETUP_REQUIRED' });
+    });
+
+    test('should create the first admin with the setup token', async () => {
+      delete process.env.ADMIN_BOOTSTRAP_PASSWORD;
+      const service = new UserManagementService({ usersFile: tempUsersFile() });
+      await service.waitForInitialization();
+      const admin = { username: 'chief', email: 'chief@mindcare.edu', fullName: 'Chief Admin', password: 'Campus-Leader-2024' };
+
+      await expect(service.completeSetup('wrong-token', admin)).rejects.toMatchObject({ code: 'INVALID_SETUP_TOKEN' });
+      await expect(service.completeSetup(service.setupToken, { ...admin, password: 'weak' })).rejects.toThrow('at least 12 characters');
+
+      const created = await service.completeSetup(service.setupToken, admin);
+      expect(created.role).toBe('admin');
+      expect(service.needsSetup()).toBe(false);
+      await expect(service.completeSetup('anything', admin)).rejects.toMatchObject({ code: 'SETUP_COMPLETE' });
+
+      const result = await service.authenticateUser('chief', 'Campus-Leader-2024');
+      expect(result.mustChangePassword).toBe(false);
+    });
+
+    test('should bootstrap an admin from the environment that must change its password', async () => {
+      process.env.ADMIN_BOOTSTRAP_PASSWORD = 'Bootstrap-Secret-9';
+      const service = new UserManagementService({ usersFile: tempUsersFile() });
+      await service.waitForInitialization();
+
+      const result = await service.authenticateUser('admin', 'Bootstrap-Secret-9');
+      expect(result.mustChangePassword).toBe(true);
+      expect(authMiddleware.verifyToken(result.token).mustChangePassword).toBe(true);
+    });
+
+    test('should refuse a weak bootstrap password', async () => {
+      process.env.ADMIN_BOOTSTRAP_PASSWORD = 'admin123';
+      const service = new UserManagementService({ usersFile: tempUsersFile() });
 
-      const deletedUser = userManagementService.getUserByUsername('testcounselor');
-      expect(deletedUser).toBeNull();
+      await expect(service.waitForInitialization()).rejects.toThrow('ADMIN_BOOTSTRAP_PASSWORD is too weak');
+      expect(service.getAllUsers()).toHaveLength(0);
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,742 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const BookingService = require('../services/bookingService');
+const FileBookingStore = require('../services/fileBookingStore');
+const MongoBookingStore = require('../services/mongoBookingStore');
+const CounselorCalendarService = require('../services/counselorCalendarService');
+const NotificationService = require('../services/notificationService');
+const { FileChannel } = require('../services/notificationChannels');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const SessionStore = require('../services/sessionStore');
+
+const bookingRequest = (overrides = {}) => ({
+  studentId: 'STU001',
+  preferredDate: '2030-01-15',
+  preferredTime: '10:00',
+  sessionType: 'individual',
+  concerns: null,
+  contactMethod: 'email',
+  contactInfo: 'student@campus.edu',
+  status: 'pending',
+  ...overrides
+});
+
+// 2030-01-15, 2030-01-22 and 2030-01-29 are Tuesdays
+const calendarFixture = {
+  settings: {
+    slotIntervalMinutes: 30,
+    sessionTypes: {
+      individual: { durationMinutes: 50, bufferMinutes: 10, capacity: 1 },
+      group: { durationMinutes: 90, bufferMinutes: 15, capacity: 2 }
+    }
+  },
+  holidays: [
+    { date: '01-26', name: 'Republic Day' },
+    { date: '2030-01-29', name: 'Campus Foundation Day' }
+  ],
+  counselors: [
+    {
+      id: 'counselor-a',
+      username: 'counselor',
+      name: 'Counselor A',
+      sessionTypes: ['individual', 'group'],
+      weeklyHours: { tue: [{ start: '09:00', end: '12:00' }] },
+      timeOff: [{ from: '2030-01-22', to: '2030-01-22', reason: 'Training' }]
+    },
+    {
+      id: 'counselor-b',
+      name: 'Counselor B',
+      sessionTypes: ['individual'],
+      weeklyHours: { tue: [{ start: '10:00', end: '12:00' }] },
+      timeOff: []
+    }
+  ]
+};
+
+const writeCalendar = dir => {
+  const calendarFile = path.join(dir, 'counselors.json');
+  fs.writeFileSync(calendarFile, JSON.stringify(calendarFixture));
+  return calendarFile;
+};
+
+describe('BookingService with the file store', () => {
+  let bookingsFile;
+  let calendar;
+  let bookingService;
+
+  beforeEach(async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookings-'));
+    bookingsFile = path.join(dir, 'bookings.json');
+    calendar = new CounselorCalendarService({ storePath: writeCalendar(dir) });
+    bookingService = new BookingService({ bookingsFile, calendar });
+    await bookingService.ready;
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(bookingsFile), { recursive: true, force: true });
+  });
+
+  describe('Slot Uniqueness', () => {
+    test('should accept only one of two concurrent bookings for the same slot', async () => {
+      const results = await Promise.allSettled([
+        bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-a' })),
+        bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-a', studentId: 'STU002' }))
+      ]);
+
+      expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+      const [rejected] = results.filter(r => r.status === 'rejected');
+      expect(rejected.reason.isSlotConflict).toBe(true);
+      expect(rejected.reason.code).toBe('SLOT_UNAVAILABLE');
+    });
+
+    test('should not lose writes from concurrent services sharing the file', async () => {
+      const other = new BookingService({ bookingsFile, calendar });
+      await other.ready;
+
+      const slots = [
+        ['counselor-a', '09:00'], ['counselor-a', '10:00'], ['counselor-a', '11:00'],
+        ['counselor-b', '10:00'], ['counselor-b', '11:00']
+      ];
+      await Promise.all(slots.map(([assignedCounselor, preferredTime], i) =>
+        (i % 2 ? other : bookingService).createBooking(bookingRequest({ assignedCounselor, preferredTime }))
+      ));
+
+      const stored = JSON.parse(fs.readFileSync(bookingsFile, 'utf8'));
+      expect(stored).toHaveLength(slots.length);
+      expect(fs.existsSync(`${bookingsFile}.lock`)).toBe(false);
+    });
+
+    test('should free the slot when a booking is cancelled', async () => {
+      const booking = await bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-a' }));
+      await bookingService.cancelBooking(booking.id, { reason: 'Exam clash' });
+
+      await expect(bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-a' })))
+        .resolves.toHaveProperty('id');
+    });
+
+    test('should reject sessions that overlap including the buffer', async () => {
+      await bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-a', preferredTime: '09:00' }));
+
+      await expect(bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-a', preferredTime: '09:30' })))
+        .rejects.toThrow('no longer available');
+      await expect(bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-a', preferredTime: '10:00' })))
+        .resolves.toHaveProperty('durationMinutes', 50);
+    });
+
+    test('should seat group sessions up to capacity', async () => {
+      const group = bookingRequest({ assignedCounselor: 'counselor-a', sessionType: 'group', preferredTime: '09:00' });
+
+      await bookingService.createBooking(group);
+      await bookingService.createBooking({ ...group, studentId: 'STU002' });
+      await expect(bookingService.createBooking({ ...group, studentId: 'STU003' })).rejects.toMatchObject({ isSlotConflict: true });
+    });
+  });
+
+  describe('Counselor Assignment', () => {
+    test('should spread bookings across counselors working the slot', async () => {
+      const first = await bookingService.createBooking(bookingRequest());
+      const second = await bookingService.createBooking(bookingRequest({ studentId: 'STU002' }));
+
+      expect([first.assignedCounselor, second.assignedCounselor].sort()).toEqual(['counselor-a', 'counselor-b']);
+      await expect(bookingService.createBooking(bookingRequest({ studentId: 'STU003' })))
+        .rejects.toThrow('The 10:00 slot on 2030-01-15 is no longer available');
+    });
+
+    test('should refuse slots outside the counselor\'s hours', async () => {
+      await expect(bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-b', preferredTime: '09:00' })))
+        .rejects.toMatchObject({ isValidationError: true });
+    });
+
+    test('should refuse bookings on holidays and during time off', async () => {
+      await expect(bookingService.createBooking(bookingRequest({ preferredDate: '2030-01-29' })))
+        .rejects.toThrow('Counseling is closed on 2030-01-29 (Campus Foundation Day)');
+      await expect(bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-a', preferredDate: '2030-01-22' })))
+        .rejects.toMatchObject({ isValidationError: true });
+    });
+
+    test('should treat MM-DD holidays as recurring', () => {
+      expect(calendar.getHoliday('2031-01-26').name).toBe('Republic Day');
+    });
+  });
+
+  describe('Availability', () => {
+    test('should compute open slots per counselor', async () => {
+      await bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-a', preferredTime: '09:00' }));
+
+      const availability = await bookingService.getAvailability('2030-01-15', 'individual');
+      const byId = Object.fromEntries(availability.counselors.map(c => [c.id, c.slots.map(slot => slot.time)]));
+
+      expect(byId['counselor-a']).toEqual(['10:00', '10:30', '11:00']);
+      expect(byId['counselor-b']).toEqual(['10:00', '10:30', '11:00']);
+      expect(availability.unavailableSlots).toEqual(['09:00', '09:30']);
+      expect(availability.totalSlots).toBe(5);
+    });
+
+    test('should report group seats left', async () => {
+      await bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-a', sessionType: 'group', preferredTime: '09:00' }));
+
+      const availability = await bookingService.getAvailability('2030-01-15', 'group', 'counselor-a');
+      expect(availability.counselors[0].slots[0]).toEqual({ time: '09:00', seatsLeft: 1 });
+    });
+
+    test('should mark holidays as closed', async () => {
+      const availability = await bookingService.getAvailability('2030-01-29');
+      expect(availability.closed).toBe('Campus Foundation Day');
+      expect(availability.slots).toEqual([]);
+    });
+  });
+
+  describe('Rescheduling', () => {
+    test('should move a booking to a free slot and remember the old one', async () => {
+      const booking = await bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-a', preferredTime: '09:00' }));
+
+      const moved = await bookingService.updateBookingStatus(booking.id, { preferredTime: '11:00', status: 'confirmed' });
+
+      expect(moved.preferredTime).toBe('11:00');
+      expect(moved.rescheduledFrom).toEqual(expect.objectContaining({ preferredTime: '09:00', assignedCounselor: 'counselor-a' }));
+    });
+
+    test('should refuse to move a booking onto a taken slot', async () => {
+      await bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-b', preferredTime: '10:00' }));
+      const booking = await bookingService.createBooking(bookingRequest({ assignedCounselor: 'counselor-a', preferredTime: '10:00' }));
+
+      await expect(bookingService.updateBookingStatus(booking.id, { assignedCounselor: 'counselor-b' }))
+        .rejects.toMatchObject({ isSlotConflict: true });
+      await expect(bookingService.updateBookingStatus(booking.id, { preferredTime: '08:00' }))
+        .rejects.toMatchObject({ isValidationError: true });
+    });
+  });
+
+  describe('Counselor Calendar Store', () => {
+    test('should pick up profile edits from other processes once the reload interval passes', () => {
+      const stored = JSON.parse(fs.readFileSync(calendar.storePath, 'utf8'));
+      stored.counselors.find(counselor => counselor.id === 'counselor-b').name = 'Counselor Bee';
+      fs.writeFileSync(calendar.storePath, JSON.stringify(stored));
+
+      // Force a different mtime in case both writes land in the same tick
+      const future = new Date(Date.now() + 5000);
+      fs.utimesSync(calendar.storePath, future, future);
+
+      expect(calendar.getCounselor('counselor-b').name).toBe('Counselor B');
+      jest.spyOn(Date, 'now').mockReturnValue(calendar.storeFile.checkedAt + calendar.reloadIntervalMs);
+      expect(calendar.getCounselor('counselor-b').name).toBe('Counselor Bee');
+      jest.restoreAllMocks();
+    });
+
+    test('should build each edit on the latest profiles', async () => {
+      const other = new CounselorCalendarService({ storePath: calendar.storePath });
+
+      await Promise.all([
+        calendar.saveCounselor('counselor-a', { name: 'Counselor Ay' }),
+        calendar.saveCounselor('counselor-b', { name: 'Counselor B2' })
+      ]);
+      await other.saveCounselor('counselor-b', { name: 'Counselor Bee' });
+      await calendar.saveCounselor('counselor-a', { name: 'Counselor A2' });
+
+      const stored = JSON.parse(fs.readFileSync(calendar.storePath, 'utf8'));
+      expect(stored.counselors.map(c => c.name)).toEqual(['Counselor A2', 'Counselor Bee']);
+      expect(fs.readdirSync(path.dirname(calendar.storePath)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+    });
+  });
+
+  describe('File Store', () => {
+    test('should break a lock left behind by a crashed writer', async () => {
+      const store = new FileBookingStore({ filePath: bookingsFile, staleLockMs: 1000 });
+      fs.writeFileSync(store.lockPath, '99999');
+      const past = new Date(Date.now() - 5000);
+      fs.utimesSync(store.lockPath, past, past);
+
+      await store.insert({ id: 'b1', ...bookingRequest() });
+      expect(await store.findById('b1')).toBeTruthy();
+    });
+
+    test('should time out while another writer holds the lock', async () => {
+      const store = new FileBookingStore({ filePath: bookingsFile, lockTimeoutMs: 50 });
+      fs.writeFileSync(store.lockPath, '99999');
+
+      await expect(store.insert({ id: 'b1', ...bookingRequest() }))
+        .rejects.toThrow('Timed out waiting for the booking store lock');
+      fs.unlinkSync(store.lockPath);
+    });
+
+    test('should import bookings once and flag double-booked slots', async () => {
+      const store = bookingService.store;
+      const legacy = [
+        { id: 'legacy-1', ...bookingRequest() },
+        { id: 'legacy-2', ...bookingRequest({ studentId: 'STU002' }) }
+      ];
+
+      const report = await store.importBookings(legacy);
+      expect(report).toEqual({ imported: 2, skipped: [], conflicts: ['legacy-2'] });
+      expect((await store.findById('legacy-2')).slotConflict).toBe(true);
+
+      const rerun = await store.importBookings(legacy);
+      expect(rerun.imported).toBe(0);
+      expect(rerun.skipped).toEqual(['legacy-1', 'legacy-2']);
+    });
+  });
+});
+
+describe('MongoBookingStore', () => {
+  const query = value => ({ lean: () => Promise.resolve(value) });
+
+  const mockModels = ({ revision = 0, bump = { matchedCount: 1 } } = {}) => ({
+    model: {
+      find: jest.fn().mockReturnValue(query([])),
+      create: jest.fn().mockResolvedValue({}),
+      deleteOne: jest.fn().mockResolvedValue({}),
+      replaceOne: jest.fn().mockResolvedValue({ matchedCount: 1 })
+    },
+    dayModel: {
+      findOne: jest.fn().mockReturnValue(query(revision ? { key: 'day', revision } : null)),
+      updateOne: typeof bump === 'function' ? bump : jest.fn().mockResolvedValue(bump)
+    }
+  });
+
+  test('should turn a duplicate slot key into a slot conflict', async () => {
+    const { model, dayModel } = mockModels();
+    const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { slotKey: 1 } });
+    model.create.mockRejectedValue(duplicate);
+    const store = new MongoBookingStore({ model, dayModel });
+
+    await expect(store.insert({ id: 'b1', ...bookingRequest() })).rejects.toMatchObject({
+      isSlotConflict: true,
+      code: 'SLOT_UNAVAILABLE'
+    });
+    expect(model.create).toHaveBeenCalledWith(expect.objectContaining({ slotKey: '2030-01-15|10:00|unassigned' }));
+  });
+
+  test('should roll back and retry when another write claimed the day first', async () => {
+    const bump = jest.fn()
+      .mockResolvedValueOnce({ matchedCount: 0, upsertedCount: 0 })
+      .mockResolvedValueOnce({ matchedCount: 1 });
+    const { model, dayModel } = mockModels({ revision: 3, bump });
+    const store = new MongoBookingStore({ model, dayModel });
+
+    await store.insert({ id: 'b1', ...bookingRequest() });
+
+    expect(model.deleteOne).toHaveBeenCalledWith({ id: 'b1' });
+    expect(model.create).toHaveBeenCalledTimes(2);
+    expect(bump).toHaveBeenCalledWith({ key: '2030-01-15|unassigned', revision: 3 }, { $inc: { revision: 1 } }, { upsert: false });
+  });
+
+  test('should check overlaps against the counselor\'s day', async () => {
+    const { model, dayModel } = mockModels();
+    model.find.mockReturnValue(query([{ _id: 'x', id: 'b0', ...bookingRequest({ assignedCounselor: 'counselor-a', preferredTime: '09:30' }) }]));
+    const store = new MongoBookingStore({ model, dayModel });
+    const findConflict = (booking, others) => others[0] || null;
+
+    await expect(store.insert({ id: 'b1', ...bookingRequest({ assignedCounselor: 'counselor-a' }) }, { findConflict }))
+      .rejects.toMatchObject({ isSlotConflict: true });
+    expect(model.create).not.toHaveBeenCalled();
+  });
+
+  test('should release the slot key when a booking is cancelled', async () => {
+    const { model, dayModel } = mockModels();
+    const current = { _id: 'x', id: 'b1', ...bookingRequest(), slotKey: '2030-01-15|10:00|unassigned', updatedAt: new Date() };
+    model.findOne = jest.fn().mockReturnValue(query(current));
+    const store = new MongoBookingStore({ model, dayModel });
+
+    const updated = await store.update('b1', { status: 'cancelled' });
+
+    expect(updated).not.toHaveProperty('_id');
+    expect(model.replaceOne).toHaveBeenCalledWith(
+      { id: 'b1', updatedAt: current.updatedAt },
+      expect.objectContaining({ status: 'cancelled', slotKey: null })
+    );
+    expect(dayModel.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('Booking Routes', () => {
+  let app;
+  let dir;
+  let adminToken;
+  let counselorToken;
+  let unlinkedCounselorToken;
+  let notifications;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookings-'));
+    process.env.BOOKINGS_FILE = path.join(dir, 'bookings.json');
+    process.env.COUNSELOR_CALENDAR_FILE = writeCalendar(dir);
+    process.env.SESSIONS_FILE = path.join(dir, 'sessions.json');
+
+    jest.isolateModules(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/booking', require('../routes/booking'));
+    });
+
+    notifications = new NotificationService({
+      logFile: path.join(dir, 'notification-log.json'),
+      channels: { email: new FileChannel('email', { filePath: path.join(dir, 'outbox.jsonl') }) }
+    });
+    app.locals.notifications = notifications;
+
+    // Tokens are only honoured while their session is live
+    const sessions = new SessionStore();
+    const authMiddleware = new AuthMiddleware({ sessionStore: sessions });
+    const staffToken = async user => {
+      const session = await sessions.save({
+        id: `session-${user.username}`,
+        username: user.username,
+        role: user.role,
+        lastActivity: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        revokedAt: null
+      });
+      return authMiddleware.generateToken({ ...user, sessionId: session.id });
+    };
+    adminToken = await staffToken({ id: 1, username: 'admin', role: 'admin' });
+    counselorToken = await staffToken({ id: 2, username: 'counselor', role: 'counselor' });
+    unlinkedCounselorToken = await staffToken({ id: 3, username: 'visiting', role: 'counselor' });
+  });
+
+  afterAll(() => {
+    delete process.env.BOOKINGS_FILE;
+    delete process.env.COUNSELOR_CALENDAR_FILE;
+    delete process.env.SESSIONS_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should answer 409 with the open slots when the slot is taken', async () => {
+    const body = bookingRequest({ counselorId: 'counselor-a' });
+
+    const first = await request(app).post('/api/booking/appointments').send(body);
+    expect(first.status).toBe(201);
+    expect(first.body.booking.counselor).toEqual(expect.objectContaining({ id: 'counselor-a', name: 'Counselor A' }));
+
+    const second = await request(app).post('/api/booking/appointments').send(body);
+    expect(second.status).toBe(409);
+    expect(second.body.availableSlots).not.toContain('10:00');
+    expect(second.body.availableSlots).toContain('11:00');
+  });
+
+  test('should answer 400 for a slot nobody works', async () => {
+    const response = await request(app).post('/api/booking/appointments').send(bookingRequest({ preferredTime: '17:00' }));
+    expect(response.status).toBe(400);
+  });
+
+  test('should answer 400 for malformed dates and times', async () => {
+    const badDate = await request(app).post('/api/booking/appointments').send(bookingRequest({ preferredDate: 'abc' }));
+    expect(badDate.status).toBe(400);
+    expect(badDate.body.message).toBe('Dates must be in YYYY-MM-DD format');
+
+    const badTime = await request(app).post('/api/booking/appointments').send(bookingRequest({ preferredTime: '10am' }));
+    expect(badTime.status).toBe(400);
+    expect(badTime.body.message).toBe('Times must be in HH:MM format');
+
+    for (const preferredDate of ['2027-02-30', '2026-13-45']) {
+      const missing = await request(app).post('/api/booking/appointments').send(bookingRequest({ preferredDate }));
+      expect(missing.status).toBe(400);
+      expect(missing.body.message).toBe(`${preferredDate} is not a valid date`);
+    }
+
+    const created = await request(app)
+      .post('/api/booking/appointments')
+      .send(bookingRequest({ counselorId: 'counselor-b', preferredTime: '11:00', preferredDate: '2030-01-22' }));
+    const moved = await request(app)
+      .put(`/api/booking/appointments/${created.body.booking.id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ preferredTime: '10am' });
+    expect(moved.status).toBe(400);
+    expect(moved.body.message).toBe('Times must be in HH:MM format');
+  });
+
+  test('should reschedule through the status endpoint', async () => {
+    await request(app)
+      .post('/api/booking/appointments')
+      .send(bookingRequest({ counselorId: 'counselor-b', preferredTime: '10:00' }));
+    const created = await request(app)
+      .post('/api/booking/appointments')
+      .send(bookingRequest({ counselorId: 'counselor-b', preferredTime: '11:00' }));
+
+    const moved = await request(app)
+      .put(`/api/booking/appointments/${created.body.booking.id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ preferredTime: '10:30' });
+    expect(moved.status).toBe(409);
+
+    const later = await request(app)
+      .put(`/api/booking/appointments/${created.body.booking.id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ preferredDate: '2030-01-15', preferredTime: '11:00', assignedCounselor: 'counselor-a' });
+    expect(later.status).toBe(200);
+    expect(later.body.message).toBe('Booking rescheduled successfully');
+
+    const confirmed = await request(app)
+      .put(`/api/booking/appointments/${created.body.booking.id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'confirmed' });
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.booking.assignedCounselor).toBe('counselor-a');
+    expect(confirmed.body.booking.rescheduledFrom.assignedCounselor).toBe('counselor-b');
+  });
+
+  test('should read reschedule times in the campus time zone', async () => {
+    const created = await request(app)
+      .post('/api/booking/appointments')
+      .send(bookingRequest({ preferredDate: '2030-01-08', preferredTime: '09:00' }));
+    expect(created.status).toBe(201);
+
+    // Two hours ahead in UTC is three and a half hours ago on an Asia/Kolkata campus
+    const [date, time] = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString().split('T');
+    const moved = await request(app)
+      .put(`/api/booking/appointments/${created.body.booking.id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ preferredDate: date, preferredTime: time.substring(0, 5) });
+
+    expect(moved.status).toBe(400);
+    expect(moved.body.message).toBe('Rescheduled date and time must be in the future');
+  });
+
+  test('should list counselors and let only admins edit them', async () => {
+    const list = await request(app).get('/api/booking/counselors?sessionType=group');
+    expect(list.body.counselors.map(c => c.id)).toEqual(['counselor-a']);
+
+    const profile = { name: 'Counselor C', sessionTypes: ['crisis'], weeklyHours: { tue: [{ start: '13:00', end: '15:00' }] } };
+    const anonymous = await request(app).put('/api/booking/counselors/counselor-c').send(profile);
+    expect(anonymous.status).toBe(401);
+
+    const admin = await request(app)
+      .put('/api/booking/counselors/counselor-c')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(profile);
+    expect(admin.status).toBe(200);
+
+    const availability = await request(app).get('/api/booking/availability?date=2030-01-15&sessionType=crisis');
+    expect(availability.body.availableSlots).toContain('13:00');
+  });
+
+  describe('Access Control', () => {
+    test('should require a staff token to list bookings and stats', async () => {
+      const list = await request(app).get('/api/booking/appointments');
+      expect(list.status).toBe(401);
+
+      const stats = await request(app).get('/api/booking/stats');
+      expect(stats.status).toBe(401);
+
+      const admin = await request(app)
+        .get('/api/booking/appointments')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(admin.status).toBe(200);
+      expect(admin.body.bookings.length).toBeGreaterThan(0);
+      admin.body.bookings.forEach(booking => expect(booking.accessTokenHash).toBeUndefined());
+    });
+
+    test('should scope counselors to their assigned bookings', async () => {
+      const own = await request(app)
+        .post('/api/booking/appointments')
+        .send(bookingRequest({ preferredDate: '2030-02-05', counselorId: 'counselor-a' }));
+      const other = await request(app)
+        .post('/api/booking/appointments')
+        .send(bookingRequest({ preferredDate: '2030-02-05', counselorId: 'counselor-b' }));
+
+      const list = await request(app)
+        .get('/api/booking/appointments')
+        .set('Authorization', `Bearer ${counselorToken}`);
+      expect(list.status).toBe(200);
+      expect(list.body.bookings.every(booking => booking.assignedCounselor === 'counselor-a')).toBe(true);
+
+      const stats = await request(app)
+        .get('/api/booking/stats')
+        .set('Authorization', `Bearer ${counselorToken}`);
+      expect(stats.body.stats.total).toBe(list.body.pagination.total);
+
+      const denied = await request(app)
+        .put(`/api/booking/appointments/${other.body.booking.id}/status`)
+        .set('Authorization', `Bearer ${counselorToken}`)
+        .send({ status: 'confirmed' });
+      expect(denied.status).toBe(403);
+
+      const reassign = await request(app)
+        .put(`/api/booking/appointments/${own.body.booking.id}/status`)
+        .set('Authorization', `Bearer ${counselorToken}`)
+        .send({ assignedCounselor: 'counselor-b' });
+      expect(reassign.status).toBe(403);
+
+      const confirmed = await request(app)
+        .put(`/api/booking/appointments/${own.body.booking.id}/status`)
+        .set('Authorization', `Bearer ${counselorToken}`)
+        .send({ status: 'confirmed' });
+      expect(confirmed.status).toBe(200);
+
+      const unlinked = await request(app)
+        .get('/api/booking/appointments')
+        .set('Authorization', `Bearer ${unlinkedCounselorToken}`);
+      expect(unlinked.status).toBe(403);
+    });
+
+    test('should let the student view and cancel a booking with its token only', async () => {
+      const created = await request(app)
+        .post('/api/booking/appointments')
+        .send(bookingRequest({ preferredDate: '2030-02-12' }));
+      const { id } = created.body.booking;
+      const token = created.body.accessToken;
+      expect(token).toEqual(expect.any(String));
+
+      const anonymous = await request(app).get(`/api/booking/appointments/${id}`);
+      expect(anonymous.status).toBe(403);
+
+      const wrongToken = await request(app)
+        .delete(`/api/booking/appointments/${id}`)
+        .set('X-Booking-Token', 'not-the-token');
+      expect(wrongToken.status).toBe(403);
+
+      // Query strings end up in logs, so the token is only read from the header
+      const queried = await request(app).get(`/api/booking/appointments/${id}?token=${token}`);
+      expect(queried.status).toBe(403);
+
+      const view = await request(app)
+        .get(`/api/booking/appointments/${id}`)
+        .set('X-Booking-Token', token);
+      expect(view.status).toBe(200);
+      expect(view.body.booking.preferredDate).toBe('2030-02-12');
+      expect(view.body.booking.contactInfo).toBeUndefined();
+      expect(view.body.booking.auditTrail).toBeUndefined();
+
+      const cancelled = await request(app)
+        .delete(`/api/booking/appointments/${id}`)
+        .set('X-Booking-Token', token);
+      expect(cancelled.status).toBe(200);
+      expect(cancelled.body.booking.status).toBe('cancelled');
+    });
+
+    test('should record who changed each booking in the audit trail', async () => {
+      const created = await request(app)
+        .post('/api/booking/appointments')
+        .send(bookingRequest({ preferredDate: '2030-02-19' }));
+      const { id } = created.body.booking;
+
+      await request(app)
+        .put(`/api/booking/appointments/${id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'confirmed' });
+      await request(app)
+        .delete(`/api/booking/appointments/${id}`)
+        .set('X-Booking-Token', created.body.accessToken);
+
+      const details = await request(app)
+        .get(`/api/booking/appointments/${id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(details.status).toBe(200);
+      expect(details.body.booking.accessTokenHash).toBeUndefined();
+      expect(details.body.booking.auditTrail).toEqual([
+        expect.objectContaining({ action: 'created', actor: { type: 'student' }, fromStatus: null, toStatus: 'pending' }),
+        expect.objectContaining({
+          action: 'status-changed',
+          actor: { type: 'staff', username: 'admin', role: 'admin' },
+          fromStatus: 'pending',
+          toStatus: 'confirmed'
+        }),
+        expect.objectContaining({ action: 'cancelled', actor: { type: 'student' }, fromStatus: 'confirmed', toStatus: 'cancelled' })
+      ]);
+    });
+  });
+
+  describe('Notifications', () => {
+    test('should notify the student when a booking is made, moved and cancelled', async () => {
+      const created = await request(app)
+        .post('/api/booking/appointments')
+        .send(bookingRequest({ preferredDate: '2030-02-26', counselorId: 'counselor-a', language: 'mr' }));
+      const { id } = created.body.booking;
+      expect(created.body.nextSteps).toContain('Confirmation will be sent via email');
+
+      await request(app)
+        .put(`/api/booking/appointments/${id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ preferredTime: '11:00' });
+      await request(app)
+        .put(`/api/booking/appointments/${id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'confirmed' });
+      await request(app)
+        .delete(`/api/booking/appointments/${id}`)
+        .set('X-Booking-Token', created.body.accessToken);
+      await notifications.drain();
+
+      const outbox = fs.readFileSync(path.join(dir, 'outbox.jsonl'), 'utf8')
+        .trim().split('\n').map(line => JSON.parse(line))
+        .filter(message => message.bookingId === id);
+      expect(outbox.map(message => message.type)).toEqual(['confirmation', 'rescheduled', 'cancelled']);
+      expect(outbox[0]).toEqual(expect.objectContaining({ to: 'student@campus.edu', language: 'mr' }));
+      expect(outbox[1].text).toContain('11:00');
+
+      // Each notice carries the same calendar event, cancelled in the last one
+      const invites = outbox.map(message => message.attachments[0].content);
+      expect(invites[0]).toContain('METHOD:REQUEST');
+      expect(invites[2]).toContain('METHOD:CANCEL');
+      expect(new Set(invites.map(invite => invite.match(/UID:(.*)\r\n/)[1])).size).toBe(1);
+
+      const log = await request(app)
+        .get(`/api/booking/notifications?bookingId=${id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(log.status).toBe(200);
+      expect(log.body.deliveries.every(delivery => delivery.status === 'sent')).toBe(true);
+
+      const counselorLog = await request(app)
+        .get('/api/booking/notifications')
+        .set('Authorization', `Bearer ${counselorToken}`);
+      expect(counselorLog.status).toBe(403);
+    });
+  });
+
+  describe('Calendar Export', () => {
+    test('should let the student download the booking as an invite', async () => {
+      const created = await request(app)
+        .post('/api/booking/appointments')
+        .send(bookingRequest({ preferredDate: '2030-03-05' }));
+      const { id } = created.body.booking;
+
+      const denied = await request(app).get(`/api/booking/appointments/${id}/calendar.ics`);
+      expect(denied.status).toBe(403);
+
+      const invite = await request(app)
+        .get(`/api/booking/appointments/${id}/calendar.ics`)
+        .set('X-Booking-Token', created.body.accessToken);
+      expect(invite.status).toBe(200);
+      expect(invite.headers['content-type']).toContain('text/calendar');
+      expect(invite.text).toContain(`UID:booking-${id}@aarogyatech`);
+    });
+
+    test('should serve a counselor feed only with its token', async () => {
+      await request(app)
+        .post('/api/booking/appointments')
+        .send(bookingRequest({ preferredDate: '2030-03-12', counselorId: 'counselor-a' }));
+      await request(app)
+        .post('/api/booking/appointments')
+        .send(bookingRequest({ preferredDate: '2030-03-12', counselorId: 'counselor-b' }));
+
+      const otherFeed = await request(app)
+        .get('/api/booking/counselors/counselor-b/calendar-feed')
+        .set('Authorization', `Bearer ${counselorToken}`);
+      expect(otherFeed.status).toBe(403);
+
+      const feedUrl = await request(app)
+        .get('/api/booking/counselors/counselor-a/calendar-feed')
+        .set('Authorization', `Bearer ${counselorToken}`);
+      expect(feedUrl.status).toBe(200);
+      const { pathname, search } = new URL(feedUrl.body.url);
+
+      const feed = await request(app).get(pathname + search);
+      expect(feed.status).toBe(200);
+      expect(feed.text).toContain('METHOD:PUBLISH');
+      expect(feed.text).toContain('DTSTART:');
+      expect(feed.text).not.toContain('student@campus.edu');
+
+      const counselorBBookings = await request(app)
+        .get('/api/booking/appointments?sessionType=individual')
+        .set('Authorization', `Bearer ${adminToken}`);
+      counselorBBookings.body.bookings
+        .filter(booking => booking.assignedCounselor === 'counselor-b')
+        .forEach(booking => expect(feed.text).not.toContain(booking.id));
+
+      const wrongToken = await request(app).get(`/api/booking/counselors/counselor-b/calendar.ics${search}`);
+      expect(wrongToken.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const CalendarExportService = require('../services/calendarExportService');
+const CounselorCalendarService = require('../services/counselorCalendarService');
+
+const booking = (overrides = {}) => ({
+  id: 'booking-1',
+  preferredDate: '2030-01-15',
+  preferredTime: '10:00',
+  durationMinutes: 50,
+  sessionType: 'individual',
+  contactMethod: 'email',
+  contactInfo: 'student@campus.edu',
+  concerns: 'Exam stress',
+  assignedCounselor: 'counselor-meera',
+  status: 'pending',
+  auditTrail: [{ action: 'created' }],
+  createdAt: '2030-01-01T09:00:00.000Z',
+  updatedAt: '2030-01-01T09:00:00.000Z',
+  ...overrides
+});
+
+// Unfold continuation lines and split into "NAME:value" lines
+const contentLines = ics => ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+const property = (ics, name) => {
+  const line = contentLines(ics).find(l => l.startsWith(`${name}:`) || l.startsWith(`${name};`));
+  return line ? line.slice(line.indexOf(':') + 1) : undefined;
+};
+
+describe('CalendarExportService', () => {
+  let exporter;
+
+  beforeEach(() => {
+    exporter = new CalendarExportService({
+      calendar: new CounselorCalendarService(),
+      feedSecret: 'test-secret',
+      organizerEmail: 'care@campus.edu',
+      timeZone: 'Asia/Kolkata'
+    });
+  });
+
+  describe('Booking Invites', () => {
+    test('should build a REQUEST invite with the campus booking times in UTC', () => {
+      const ics = exporter.createBookingInvite(booking());
+      const start = new Date('2030-01-15T10:00+05:30');
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(property(ics, 'METHOD')).toBe('REQUEST');
+      expect(property(ics, 'UID')).toBe('booking-booking-1@aarogyatech');
+      expect(property(ics, 'DTSTART')).toBe(start.toISOString().replace(/[-:]/g, '').replace('.000', ''));
+      expect(new Date(start.getTime() + 50 * 60000).toISOString().replace(/[-:]/g, '').replace('.000', ''))
+        .toBe(property(ics, 'DTEND'));
+      expect(property(ics, 'SUMMARY')).toBe('Counseling appointment with Dr. Meera Kulkarni');
+      expect(property(ics, 'STATUS')).toBe('TENTATIVE');
+      expect(property(ics, 'ATTENDEE')).toBe('mailto:student@campus.edu');
+    });
+
+    test('should convert from the campus time zone across daylight saving changes', () => {
+      const campus = new CalendarExportService({ calendar: new CounselorCalendarService(), timeZone: 'America/New_York' });
+
+      expect(property(campus.createBookingInvite(booking()), 'DTSTART')).toBe('20300115T150000Z');
+      expect(property(campus.createBookingInvite(booking({ preferredDate: '2030-07-15' })), 'DTSTART')).toBe('20300715T140000Z');
+      // 10 March 2030 is the day clocks go forward in New York
+      expect(property(campus.createBookingInvite(booking({ preferredDate: '2030-03-10' })), 'DTSTART')).toBe('20300310T140000Z');
+      expect(() => new CalendarExportService({ calendar: new CounselorCalendarService(), timeZone: 'Mars/Olympus' })).toThrow(RangeError);
+    });
+
+    test('should keep the UID and raise the sequence when a booking changes', () => {
+      const original = exporter.createBookingInvite(booking());
+      const moved = exporter.createBookingInvite(booking({
+        preferredTime: '11:00',
+        status: 'confirmed',
+        auditTrail: [{ action: 'created' }, { action: 'rescheduled' }, { action: 'status-changed' }],
+        updatedAt: '2030-01-02T09:00:00.000Z'
+      }));
+
+      expect(property(moved, 'UID')).toBe(property(original, 'UID'));
+      expect(property(original, 'SEQUENCE')).toBe('0');
+      expect(property(moved, 'SEQUENCE')).toBe('2');
+      expect(property(moved, 'STATUS')).toBe('CONFIRMED');
+      expect(property(moved, 'DTSTAMP')).toBe('20300102T090000Z');
+    });
+
+    test('should send METHOD:CANCEL once the booking is cancelled', () => {
+      const ics = exporter.createBookingInvite(booking({
+        status: 'cancelled',
+        auditTrail: [{ action: 'created' }, { action: 'cancelled' }]
+      }));
+
+      expect(property(ics, 'METHOD')).toBe('CANCEL');
+      expect(property(ics, 'STATUS')).toBe('CANCELLED');
+      expect(property(ics, 'SEQUENCE')).toBe('1');
+    });
+
+    test('should escape text and fold long lines at 75 octets', () => {
+      exporter.calendar = { getCounselor: () => ({ name: 'डॉ. मीरा कुलकर्णी, समुपदेशक; विद्यार्थी कल्याण विभाग' }) };
+      const ics = exporter.createBookingInvite(booking());
+
+      ics.split('\r\n').forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(property(ics, 'SUMMARY')).toBe('Counseling appointment with डॉ. मीरा कुलकर्णी\\, समुपदेशक\\; विद्यार्थी कल्याण विभाग');
+    });
+  });
+
+  describe('Counselor Feed', () => {
+    test('should publish one event per booking without student details', () => {
+      const ics = exporter.createCounselorFeed({ id: 'counselor-meera', name: 'Dr. Meera Kulkarni' }, [
+        booking(),
+        booking({ id: 'booking-2', preferredTime: '11:00', status: 'cancelled' })
+      ]);
+
+      expect(property(ics, 'METHOD')).toBe('PUBLISH');
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+      expect(ics).toContain('UID:booking-booking-2@aarogyatech');
+      expect(ics).toContain('STATUS:CANCELLED');
+      expect(ics).not.toContain('student@campus.edu');
+      expect(ics).not.toContain('Exam stress');
+      expect(ics).not.toContain('ATTENDEE');
+    });
+
+    test('should issue feed tokens per counselor', () => {
+      const token = exporter.getFeedToken('counselor-meera');
+
+      expect(exporter.verifyFeedToken('counselor-meera', token)).toBe(true);
+      expect(exporter.verifyFeedToken('counselor-arjun', token)).toBe(false);
+      expect(exporter.verifyFeedToken('counselor-meera', 'abc')).toBe(false);
+      expect(exporter.verifyFeedToken('counselor-meera', undefined)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,245 @@
+const express = require('express');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.LLM_PROVIDERS = 'mock';
+// Crisis replies may be logged by the response guardrails
+process.env.GUARDRAIL_LOG_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'chat-stream-')), 'guardrail-log.json');
+
+const conversationalAIRoutes = require('../routes/conversationalAI');
+const CrisisEscalationService = require('../services/crisisEscalationService');
+
+const REPLY = ['I hear you, ', 'and it makes sense to feel ', 'stressed before exams. ', 'Would talking it through help?'];
+
+/**
+ * Stream stub yielding the given pieces; waits for abort after `hangAfter` pieces
+ */
+function streamOf(pieces, hangAfter = null) {
+  return async function* (message, history, options = {}) {
+    for (let i = 0; i < pieces.length; i++) {
+      if (hangAfter !== null && i === hangAfter) {
+        await new Promise((resolve, reject) => {
+          const abort = () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+          if (options.signal.aborted) {
+            abort();
+          }
+          options.signal.addEventListener('abort', abort);
+        });
+      }
+      yield pieces[i];
+    }
+  };
+}
+
+/**
+ * Parse a Server-Sent Events body into [{ event, data }]
+ */
+function parseEvents(body) {
+  return body.split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+}
+
+function readText(res, callback) {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => { text += chunk; });
+  res.on('end', () => callback(null, text));
+}
+
+describe('Chat streaming', () => {
+  let app;
+  let crisisEscalation;
+  const chatStreaming = conversationalAIRoutes.chatStreaming;
+  const conversationalAI = chatStreaming.conversationalAI;
+  const groqService = conversationalAI.groqService;
+
+  beforeEach(() => {
+    crisisEscalation = new CrisisEscalationService();
+    app = express();
+    app.use(express.json());
+    app.locals.crisisEscalation = crisisEscalation;
+    app.use('/api/conversational-ai', conversationalAIRoutes);
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // Pattern-matched cache hits would skip generation
+    jest.spyOn(conversationalAI.cachingService, 'getCachedResponse').mockReturnValue(null);
+    groqService.streamResponse = streamOf(REPLY);
+    groqService.generateCrisisResponse = jest.fn().mockResolvedValue(
+      'I am really glad you told me. You are not alone, please call 14416 (Tele-MANAS) right now.'
+    );
+  });
+
+  afterEach(() => {
+    crisisEscalation.destroy();
+    jest.restoreAllMocks();
+  });
+
+  const postStream = (body) => request(app)
+    .post('/api/conversational-ai/chat/stream')
+    .send(body)
+    .buffer(true)
+    .parse(readText);
+
+  test('should stream tokens then finish with the full reply', async () => {
+    const res = await postStream({ message: 'I feel stressed about my exams this week' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+
+    const events = parseEvents(res.body);
+    const tokens = events.filter(e => e.event === 'token').map(e => e.data.text);
+    const done = events[events.length - 1];
+
+    expect(tokens.slice(0, REPLY.length)).toEqual(REPLY);
+    expect(done.event).toBe('done');
+    expect(done.data.success).toBe(true);
+    expect(done.data.message).toBe(tokens.join(''));
+    expect(done.data.metadata.streamed).toBe(true);
+    expect(done.data.metadata.sessionId).toBeDefined();
+  });
+
+  test('should record the turn in the session like the non-streaming path', async () => {
+    const res = await postStream({ message: 'I cannot sleep before my presentation' });
+    const done = parseEvents(res.body).pop();
+
+    const session = conversationalAI.sessionManager.getSession(done.data.metadata.sessionId);
+    const messages = session.context.messages;
+    expect(messages).toHaveLength(2);
+    expect(messages[0]).toMatchObject({ role: 'user', content: 'I cannot sleep before my presentation' });
+    expect(messages[1]).toMatchObject({ role: 'assistant', content: done.data.message });
+  });
+
+  test('should send crisis resources before the crisis reply', async () => {
+    const res = await postStream({ message: 'I want to kill myself tonight' });
+    const events = parseEvents(res.body);
+
+    expect(events[0].event).toBe('crisis');
+    expect(events[0].data.severity).toBeDefined();
+
+    const done = events[events.length - 1];
+    expect(done.data.isCrisis).toBe(true);
+    expect(done.data.crisisData.handoff).toBeDefined();
+  });
+
+  test('should replace the reply when the stream turns unsafe', async () => {
+    groqService.streamResponse = streamOf(['I understand. ', 'You should ask for medication ', 'to fix this.']);
+
+    const res = await postStream({ message: 'What should I do about feeling low all week' });
+    const events = parseEvents(res.body);
+    const replace = events.find(e => e.event === 'replace');
+    const done = events[events.length - 1];
+
+    expect(replace).toBeDefined();
+    expect(done.data.message).not.toMatch(/medication/);
+    expect(events.filter(e => e.event === 'token').map(e => e.data.text)).not.toContain('to fix this.');
+  });
+
+  test('should reject invalid messages before streaming', async () => {
+    const res = await request(app)
+      .post('/api/conversational-ai/chat/stream')
+      .send({ message: '   ' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Message cannot be empty');
+  });
+
+  test('should cancel generation and keep the partial reply when the client disconnects', async () => {
+    let signal;
+    const hang = streamOf(REPLY, 1);
+    groqService.streamResponse = (message, history, options) => {
+      signal = options.signal;
+      return hang(message, history, options);
+    };
+    const streamSpy = jest.spyOn(chatStreaming, 'stream');
+
+    const server = app.listen(0);
+    try {
+      await new Promise((resolve, reject) => {
+        const req = http.request({
+          port: server.address().port,
+          method: 'POST',
+          path: '/api/conversational-ai/chat/stream',
+          headers: { 'Content-Type': 'application/json' }
+        }, (res) => {
+          res.once('data', () => {
+            req.destroy();
+            resolve();
+          });
+        });
+        req.on('error', () => {});
+        req.setTimeout(5000, () => reject(new Error('no streamed data')));
+        req.end(JSON.stringify({ message: 'Everything feels like too much lately' }));
+      });
+
+      const result = await streamSpy.mock.results[0].value;
+      expect(signal.aborted).toBe(true);
+      expect(result.cancelled).toBe(true);
+      expect(result.message).toBe(REPLY[0]);
+
+      const messages = conversationalAI.sessionManager.getSession(result.metadata.sessionId).context.messages;
+      expect(messages[1]).toMatchObject({ role: 'assistant', content: REPLY[0], cancelled: true });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('should stream over Socket.IO with the client request id', async () => {
+    const handlers = {};
+    const emitted = [];
+    const socket = {
+      handshake: { headers: {}, address: '127.0.0.1' },
+      on: (event, handler) => { handlers[event] = handler; },
+      emit: (event, data) => emitted.push({ event, data })
+    };
+    chatStreaming.setupSocketHandlers(socket);
+
+    await handlers['chat-stream']({ requestId: 'r1', message: 'Group projects are stressing me out' });
+
+    const tokens = emitted.filter(e => e.event === 'chat-token');
+    const done = emitted.find(e => e.event === 'chat-done');
+    expect(tokens.length).toBeGreaterThan(0);
+    expect(tokens.every(e => e.data.requestId === 'r1')).toBe(true);
+    expect(done.data.message).toBe(tokens.map(e => e.data.text).join(''));
+  });
+
+  test('should cancel a Socket.IO stream on chat-cancel', async () => {
+    groqService.streamResponse = streamOf(REPLY, 1);
+    const handlers = {};
+    const emitted = [];
+    const socket = {
+      handshake: { headers: {}, address: '127.0.0.1' },
+      on: (event, handler) => { handlers[event] = handler; },
+      emit: (event, data) => {
+        emitted.push({ event, data });
+        if (event === 'chat-token') {
+          handlers['chat-cancel']({ requestId: 'r2' });
+        }
+      }
+    };
+    chatStreaming.setupSocketHandlers(socket);
+
+    await handlers['chat-stream']({ requestId: 'r2', message: 'I keep procrastinating on everything' });
+
+    expect(emitted.filter(e => e.event === 'chat-token')).toHaveLength(1);
+    expect(emitted.find(e => e.event === 'chat-done')).toBeUndefined();
+  });
+
+  test('should relay to a joined counselor instead of streaming', async () => {
+    const first = parseEvents((await postStream({ message: 'I want to kill myself tonight' })).body).pop();
+    const sessionId = first.data.metadata.sessionId;
+    crisisEscalation.joinCase(first.data.crisisData.handoff.caseId, 'counselor-a');
+
+    const res = await postStream({ message: 'Are you still there?', sessionId });
+    const events = parseEvents(res.body);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].event).toBe('done');
+    expect(events[0].data.relayedToCounselor).toBe(true);
+  });
+});
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConversationalAIService = require('../services/conversationalAIService');
+const ResponseGuardrailService = require('../services/responseGuardrailService');
+const SessionManagementService = require('../services/sessionManagementService');
+const GroqService = require('../services/groqService');
+const { MockLLMProvider } = require('../services/llmProviders');
+
+const REPLY = 'I hear you, and it makes sense that this feels heavy. Try one small step today, and remember the campus counselors are here if you want to talk it through.';
+const SUMMARY = 'The student has panic attacks before chemistry exams and is afraid of failing the semester.';
+
+/**
+ * Mock provider that answers summary requests with SUMMARY and everything else with REPLY
+ */
+function memoryProvider(options = {}) {
+  return new MockLLMProvider({
+    responses: (messages) => {
+      if (messages[0].content.includes('Update the summary')) {
+        if (options.failSummary) {
+          throw new Error('summary model unavailable');
+        }
+        return SUMMARY;
+      }
+      return REPLY;
+    }
+  });
+}
+
+const TURNS = [
+  'Every time a chemistry exam comes up I get panic attacks and my hands shake for hours',
+  'My roommate is loud at night so I have been sleeping badly for most of this month',
+  'I also have a lab report due on Friday that I have barely started writing yet',
+  'My parents keep calling to ask about grades and I do not know what to tell them',
+  'Today my friends asked me to go out but I stayed in my room the whole evening',
+  'I keep thinking that everyone else in my year is coping better than I am'
+];
+
+describe('Conversation memory', () => {
+  let service;
+  let provider;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function createService(options) {
+    provider = memoryProvider(options);
+    service = new ConversationalAIService({
+      providers: [provider],
+      guardrails: new ResponseGuardrailService({
+        logFile: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'memory-')), 'guardrail-log.json')
+      })
+    });
+    jest.spyOn(service.cachingService, 'getCachedResponse').mockReturnValue(null);
+    // Room for the prompt, the reply and about three turns of history
+    service.groqService.maxContextTokens = service.groqService.maxTokens +
+      service.groqService.countTokens(service.groqService._buildMessages('x', [])) + 300;
+    return service;
+  }
+
+  const isSummaryRequest = messages => messages[0].content.includes('Update the summary');
+
+  async function chat(messages, onTurn = () => {}) {
+    let sessionId = null;
+    for (const message of messages) {
+      const result = await service.processMessage(message, sessionId, {});
+      sessionId = result.sessionId;
+      onTurn();
+    }
+    return sessionId;
+  }
+
+  test('should fold older turns into a summary once the window overflows', async () => {
+    createService();
+
+    const sessionId = await chat(TURNS);
+
+    const summaryRequests = provider.calls.filter(isSummaryRequest);
+    expect(summaryRequests.length).toBeGreaterThan(0);
+    expect(summaryRequests[0][1].content).toContain('Student: Every time a chemistry exam');
+
+    const summary = service.sessionManager.getConversationSummary(sessionId);
+    expect(summary.text).toBe(SUMMARY);
+
+    // The latest reply sees the summary instead of the first disclosure
+    const lastRequest = provider.calls[provider.calls.length - 1];
+    expect(lastRequest[1]).toEqual({ role: 'system', content: expect.stringContaining(SUMMARY) });
+    expect(lastRequest.some(m => m.role === 'user' && m.content.includes('chemistry exam'))).toBe(false);
+    expect(lastRequest[lastRequest.length - 1].content).toBe(TURNS[TURNS.length - 1]);
+  });
+
+  test('should leave room after summarizing so the next turn does not summarize again', async () => {
+    createService();
+    const summarized = [];
+
+    await chat(TURNS, () => {
+      summarized.push(provider.calls.filter(isSummaryRequest).length);
+    });
+
+    const perTurn = summarized.map((count, i) => count - (summarized[i - 1] || 0));
+    expect(perTurn.some(count => count > 0)).toBe(true);
+    perTurn.forEach((count, i) => {
+      expect(count + (perTurn[i + 1] || 0)).toBeLessThanOrEqual(1);
+    });
+  });
+
+  test('should summarize messages before they fall out of the session window', async () => {
+    createService();
+    // Plenty of tokens, so only the message window forces a summary
+    service.groqService.maxContextTokens = 1000000;
+    // Thirty turns within a second would otherwise trip the rate limit
+    jest.spyOn(service.sessionManager, '_checkRateLimit').mockReturnValue({ allowed: true });
+    const turns = Array.from({ length: 30 }, (_, i) => `${TURNS[i % TURNS.length]} (${i + 1})`);
+
+    const sessionId = await chat(turns);
+
+    const { messages } = service.sessionManager.getSession(sessionId).context;
+    const summary = service.sessionManager.getConversationSummary(sessionId);
+    expect(messages[messages.length - 1].seq).toBe(60);
+    expect(messages.length).toBeLessThanOrEqual(service.sessionManager.config.maxContextSize);
+    // Everything trimmed away is covered by the summary
+    expect(summary.throughSeq).toBeGreaterThanOrEqual(messages[0].seq - 1);
+
+    const summaryRequests = provider.calls.filter(isSummaryRequest);
+    expect(summaryRequests).toHaveLength(1);
+    expect(summaryRequests[0][1].content).toContain('Student: Every time a chemistry exam comes up I get panic attacks and my hands shake for hours (1)');
+  });
+
+  test('should keep replying with trimmed history when summarizing fails', async () => {
+    createService({ failSummary: true });
+
+    const sessionId = await chat(TURNS);
+
+    expect(service.sessionManager.getConversationSummary(sessionId)).toBeNull();
+    const lastRequest = provider.calls[provider.calls.length - 1];
+    expect(lastRequest.filter(m => m.role === 'system')).toHaveLength(1);
+    expect(service.groqService.countTokens(lastRequest))
+      .toBeLessThanOrEqual(service.groqService.maxContextTokens - service.groqService.maxTokens);
+  });
+});
+
+describe('SessionManagementService summaries', () => {
+  let sessions;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    sessions = new SessionManagementService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearInterval(sessions.cleanupTimer);
+    sessions.sessionTimeouts.forEach(timeout => clearTimeout(timeout));
+  });
+
+  test('should store the summary encrypted', () => {
+    const { sessionId } = sessions.createSession();
+
+    sessions.setConversationSummary(sessionId, SUMMARY, 6);
+
+    const stored = sessions.getSession(sessionId).context.summary;
+    expect(JSON.stringify(stored)).not.toContain('panic');
+    expect(sessions.getConversationSummary(sessionId)).toMatchObject({ text: SUMMARY, throughSeq: 6 });
+  });
+
+  test('should number messages and drop the summary with the context', () => {
+    const { sessionId } = sessions.createSession();
+    sessions.updateSessionContext(sessionId, { message: { role: 'user', content: 'hello' } });
+    sessions.updateSessionContext(sessionId, { message: { role: 'assistant', content: 'hi' } });
+    sessions.setConversationSummary(sessionId, SUMMARY, 2);
+
+    expect(sessions.getSession(sessionId).context.messages.map(m => m.seq)).toEqual([1, 2]);
+
+    sessions.clearSessionContext(sessionId);
+    expect(sessions.getConversationSummary(sessionId)).toBeNull();
+  });
+
+  test('should trim only messages the summary covers, up to twice the window', () => {
+    const { sessionId } = sessions.createSession();
+    const add = count => {
+      for (let i = 0; i < count; i++) {
+        sessions.updateSessionContext(sessionId, { message: { role: i % 2 ? 'assistant' : 'user', content: 'hello' } });
+      }
+    };
+    const seqs = () => sessions.getSession(sessionId).context.messages.map(m => m.seq);
+
+    add(60);
+    expect(seqs()).toHaveLength(60);
+
+    sessions.setConversationSummary(sessionId, SUMMARY, 40);
+    add(1);
+    expect(seqs()[0]).toBe(12);
+    expect(seqs()).toHaveLength(50);
+
+    // Summarizing keeps failing: the window still has a limit
+    add(100);
+    expect(seqs()).toHaveLength(100);
+    expect(seqs()[0]).toBe(62);
+  });
+
+  test('should discard a summary that no longer decrypts', () => {
+    const { sessionId } = sessions.createSession();
+    sessions.setConversationSummary(sessionId, SUMMARY, 2);
+    sessions.config.encryptionKey = 'rotated-key';
+
+    expect(sessions.getConversationSummary(sessionId)).toBeNull();
+  });
+});
+
+describe('GroqService context builder', () => {
+  test('should keep all history that fits instead of a fixed number of messages', () => {
+    const service = new GroqService({ providers: [new MockLLMProvider()] });
+    const history = Array.from({ length: 16 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `message ${i}` }));
+
+    const messages = service._buildMessages('latest', history, { summary: SUMMARY });
+
+    expect(messages[1]).toEqual({ role: 'system', content: expect.stringContaining(SUMMARY) });
+    expect(messages).toHaveLength(1 + 1 + 16 + 1);
+  });
+});
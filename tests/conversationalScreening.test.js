@@ -0,0 +1,444 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+process.env.LLM_PROVIDERS = 'mock';
+// Crisis messages reach the real chat pipeline; keep its logs out of data/
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'screening-'));
+process.env.GUARDRAIL_LOG_FILE = path.join(logDir, 'guardrail-log.json');
+process.env.PROMPT_INJECTION_LOG_FILE = path.join(logDir, 'injection-log.json');
+process.env.SESSIONS_FILE = path.join(logDir, 'sessions.json');
+
+const ConversationalScreeningService = require('../services/conversationalScreeningService');
+const ScreeningHistoryService = require('../services/screeningHistoryService');
+const MemoryScreeningStore = require('../services/memoryScreeningStore');
+const InstrumentRegistry = require('../services/instrumentRegistry');
+const CrisisEscalationService = require('../services/crisisEscalationService');
+const SessionStore = require('../services/sessionStore');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const ErrorHandlingMiddleware = require('../middleware/errorHandlingMiddleware');
+const conversationalAIRoutes = require('../routes/conversationalAI');
+const voiceConversationRoutes = require('../routes/voiceConversation');
+
+afterAll(() => {
+  fs.rmSync(logDir, { recursive: true, force: true });
+});
+
+describe('ConversationalScreeningService', () => {
+  let conversation;
+
+  beforeEach(() => {
+    conversation = new ConversationalScreeningService();
+  });
+
+  // Answer the current question of a screening in progress
+  const say = (message, options = {}) => conversation.handleMessage('chat-1', message, options);
+
+  test('should map free-text and Marathi answers to response values', () => {
+    const value = (answer, language = 'en') => {
+      const mapped = conversation.mapAnswer('PHQ-9', answer, language);
+      return mapped && mapped.value;
+    };
+
+    expect(value('Most days, honestly')).toBe(2);
+    expect(value('not every day')).toBe(1);
+    expect(value('pretty much every day')).toBe(3);
+    expect(value('Never.')).toBe(0);
+    expect(value('कधीकधी', 'mr')).toBe(1);
+    expect(value('दररोज', 'mr')).toBe(3);
+    expect(value('बहुतेक दिवस असं होतं', 'mr')).toBe(2);
+    // English answers still count in a Marathi conversation
+    expect(value('most days', 'mr')).toBe(2);
+
+    expect(conversation.mapAnswer('PHQ-9', 'Nearly every day')).toEqual({ value: 3, option: 'Nearly every day', exact: true });
+    expect(conversation.mapAnswer('PHQ-9', 'अनेक दिवस', 'mr')).toEqual({ value: 1, option: 'अनेक दिवस', exact: true });
+    expect(conversation.mapAnswer('GAD-7', 'occasionally')).toEqual({ value: 1, option: 'Several days', exact: false });
+
+    // Phrases of two options, or none at all
+    expect(value('every day or most days')).toBeNull();
+    expect(value('I am not sure')).toBeNull();
+  });
+
+  test('should offer only tools that can be answered in conversation', () => {
+    expect(conversation.isAvailable('PHQ-9')).toBe(true);
+    expect(conversation.isAvailable('GAD-7')).toBe(true);
+    expect(conversation.isAvailable('PC-PTSD-5')).toBe(false);
+    expect(conversation.isAvailable('DASS-21')).toBe(false);
+
+    expect(conversation.offer('chat-1', 'How was your day?')).toBeNull();
+    expect(conversation.offer('chat-2', 'Can I take a stress test?')).toBeNull();
+
+    const offer = conversation.offer('chat-1', 'Could I take an anxiety test?');
+    expect(offer.message).toMatch(/Generalized Anxiety Disorder 7-item scale \(GAD-7\) here/);
+    expect(offer.screening).toMatchObject({ toolName: 'GAD-7', status: 'offered', answered: 0, total: 7, question: null });
+
+    // Once per conversation
+    expect(conversation.offer('chat-1', 'Could I take an anxiety test?')).toBeNull();
+  });
+
+  test('should administer PHQ-9 one item at a time with confirmation and pause', async () => {
+    conversation.offer('chat-1', 'Is there a depression test I could do?');
+
+    let turn = await say('yes');
+    expect(turn).toMatchObject({ handled: true, isCrisis: false, screening: { status: 'asking', question: { id: 'phq9_1', number: 1 } } });
+    expect(turn.message).toMatch(/^Let's begin the PHQ-9\. .* over the last 2 weeks\.\n\nQuestion 1 of 9: /);
+
+    turn = await say('Not at all');
+    expect(turn.message).toMatch(/^Got it\. Question 2 of 9/);
+
+    turn = await say('most days I guess');
+    expect(turn.message).toBe('Just to check: "More than half the days". Is that right? (yes / no)');
+    expect(turn.screening).toMatchObject({ status: 'confirming', answered: 1 });
+    turn = await say('yes');
+    expect(turn.screening).toMatchObject({ status: 'asking', answered: 2, question: { number: 3 } });
+
+    await say('sometimes');
+    turn = await say('no');
+    expect(turn.message).toMatch(/^Question 3 of 9/);
+    turn = await say('Several days');
+    expect(turn.screening.question.number).toBe(4);
+
+    turn = await say('pause');
+    expect(turn).toMatchObject({ handled: true, message: 'Paused at question 4 of 9. Say "resume" whenever you want to carry on.' });
+
+    // Other messages belong to the conversation while paused
+    turn = await say('Actually, what can I do about exam stress?');
+    expect(turn).toEqual({ handled: false, screening: expect.objectContaining({ status: 'paused', answered: 3 }) });
+
+    turn = await say('resume');
+    expect(turn.message).toMatch(/^Question 4 of 9/);
+
+    for (let i = 4; i <= 9; i++) {
+      turn = await say('Not at all');
+    }
+    expect(turn.screening).toMatchObject({
+      status: 'completed',
+      answered: 9,
+      question: null,
+      result: { totalScore: 3, maxScore: 9 * 3, level: 'minimal', requiresImmediateAttention: false }
+    });
+    expect(turn.message).toMatch(/PHQ-9/);
+
+    // The screening is over; the next message goes to the AI again
+    expect(await say('thanks')).toEqual({ handled: false, screening: null });
+  });
+
+  test('should hand crisis messages and repeated unclear answers back to the conversation', async () => {
+    await say('', { action: 'start', toolName: 'PHQ-9' });
+
+    let turn = await say('hmm, hard to say');
+    expect(turn.handled).toBe(true);
+    expect(turn.message).toMatch(/^I'm not sure which answer that is\. Which is closest: Not at all, Several days/);
+
+    turn = await say('I want to kill myself');
+    expect(turn).toEqual({
+      handled: false,
+      screening: expect.objectContaining({ status: 'paused', answered: 0 }),
+      notice: 'Paused at question 1 of 9. Say "resume" whenever you want to carry on.'
+    });
+
+    await say('resume');
+    await say('banana');
+    turn = await say('what does this even mean');
+    expect(turn).toMatchObject({ handled: false, screening: { status: 'paused' } });
+
+    turn = await say('cancel');
+    expect(turn).toMatchObject({ handled: true, screening: { status: 'cancelled' } });
+    expect(conversation.flows.has('chat-1')).toBe(false);
+
+    await expect(say('', { action: 'start', toolName: 'PC-PTSD-5' })).rejects.toMatchObject({ isValidationError: true });
+  });
+
+  test('should save the result to the student\'s history only with consent', async () => {
+    const history = new ScreeningHistoryService({ store: new MemoryScreeningStore() });
+
+    await say('', { action: 'start', toolName: 'GAD-7', language: 'mr', history });
+
+    let turn = await say('कधीकधी');
+    expect(turn.message).toBe('खात्री करण्यासाठी: "अनेक दिवस". हे बरोबर आहे का? (हो / नाही)');
+    turn = await say('हो');
+    expect(turn.message).toMatch(/^ठीक आहे\. प्रश्न 2\/7: /);
+
+    for (let i = 2; i <= 7; i++) {
+      turn = await say('दररोज');
+      turn = await say('हो');
+    }
+    expect(turn.screening).toMatchObject({ status: 'consent', result: { totalScore: 19, level: 'severe' } });
+    expect(turn.message).toMatch(/तुमचा GAD-7 गुण 19\/21 आहे/);
+    expect(turn.message).toMatch(/जतन करायचा का\?/);
+
+    turn = await say('हो');
+    expect(turn.message).toBe('जतन केले. तुमचा तपासणी इतिहास तुम्ही कधीही पाहू शकता.');
+    expect(turn.screening.record).toMatchObject({ consent: true, stored: true });
+
+    const owner = history.ownerFor({ token: turn.screening.historyToken });
+    const saved = await history.getHistory(owner);
+    expect(saved.assessments.map(entry => [entry.toolName, entry.score])).toEqual([['GAD-7', 19]]);
+
+    // Without consent it only counts toward statistics
+    await say('', { action: 'start', toolName: 'GAD-7', history, identity: { userId: 7 } });
+    for (let i = 1; i <= 7; i++) {
+      await say('Not at all');
+    }
+    turn = await say('no');
+    expect(turn).toMatchObject({ message: 'Okay, it has not been added to your history.', screening: { record: { consent: false } } });
+    expect(turn.screening.historyToken).toBeUndefined();
+    expect((await history.getHistory(history.ownerFor({ userId: 7 }))).assessments).toEqual([]);
+  });
+
+  test('should reject conversational phrases that do not cover every option', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'instruments-'));
+    fs.mkdirSync(path.join(dir, 'instruments'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const definition = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'instruments', 'gad-7.json'), 'utf8'));
+    definition.conversational.phrases.mr.pop();
+    fs.writeFileSync(path.join(dir, 'instruments', 'gad-7.json'), JSON.stringify(definition));
+
+    const registry = new InstrumentRegistry({
+      directory: path.join(dir, 'instruments'),
+      settingsPath: path.join(dir, 'instrumentSettings.json')
+    });
+
+    expect(registry.list()).toEqual([]);
+    expect(registry.loadErrors[0].problems).toEqual([
+      'conversational.phrases.mr needs a list of phrases for every default option'
+    ]);
+
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('Conversational screening in chat', () => {
+  let app;
+  const conversationalAI = conversationalAIRoutes.conversationalAIService;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.locals.screeningHistory = new ScreeningHistoryService({ store: new MemoryScreeningStore() });
+    app.use('/api/conversational-ai', conversationalAIRoutes);
+    app.use(new ErrorHandlingMiddleware().getMiddleware().handleApiError);
+
+    jest.spyOn(conversationalAI, 'processMessage').mockImplementation(async (message, sessionId) => ({
+      message: 'Screening questionnaires can help you understand how you have been feeling.',
+      sessionId: sessionId || 'chat-route',
+      isCrisis: false,
+      analysis: null
+    }));
+  });
+
+  afterEach(() => {
+    conversationalAIRoutes.conversationalScreening.cancel('chat-route');
+    jest.restoreAllMocks();
+  });
+
+  test('should offer a screening and take the answers without calling the AI', async () => {
+    const offered = await request(app)
+      .post('/api/conversational-ai/chat')
+      .send({ message: 'Can I do a depression test?' });
+
+    expect(offered.status).toBe(200);
+    expect(offered.body.message).toMatch(/\n\nWould you like to answer the Patient Health Questionnaire-9 \(PHQ-9\) here/);
+    expect(offered.body.screening).toMatchObject({ toolName: 'PHQ-9', status: 'offered' });
+
+    const started = await request(app)
+      .post('/api/conversational-ai/chat')
+      .send({ message: 'yes', sessionId: 'chat-route' });
+
+    expect(started.body).toMatchObject({
+      success: true,
+      isCrisis: false,
+      screening: { status: 'asking', question: { number: 1 } },
+      metadata: { sessionId: 'chat-route', screening: true }
+    });
+    expect(conversationalAI.processMessage).toHaveBeenCalledTimes(1);
+
+    const cancelled = await request(app)
+      .post('/api/conversational-ai/chat')
+      .send({ message: 'stop', sessionId: 'chat-route', screening: { action: 'cancel' } });
+    expect(cancelled.body.screening.status).toBe('cancelled');
+  });
+
+  test('should pass a crisis message sent mid-screening to the conversation', async () => {
+    conversationalAI.processMessage.mockRestore();
+    jest.spyOn(conversationalAI.cachingService, 'getCachedResponse').mockReturnValue(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const analyze = jest.spyOn(conversationalAI.crisisDetection, 'analyzeMessage');
+
+    const started = await request(app)
+      .post('/api/conversational-ai/chat')
+      .send({ message: 'start', sessionId: 'chat-route', screening: { action: 'start', toolName: 'PHQ-9' } });
+    expect(started.body.screening).toMatchObject({ status: 'asking', question: { number: 1 } });
+
+    await request(app).post('/api/conversational-ai/chat').send({ message: 'Not at all', sessionId: 'chat-route' });
+    const crisis = await request(app)
+      .post('/api/conversational-ai/chat')
+      .send({ message: 'Honestly I keep thinking about taking an overdose', sessionId: 'chat-route' });
+
+    expect(crisis.status).toBe(200);
+    expect(analyze).toHaveBeenCalledWith('Honestly I keep thinking about taking an overdose', expect.any(String), expect.any(Object));
+    expect(crisis.body).toMatchObject({
+      isCrisis: true,
+      crisisData: { severity: 'immediate', escalationLevel: 3 },
+      screening: { status: 'paused', answered: 1 }
+    });
+    expect(crisis.body.message).toMatch(/\n\nPaused at question 2 of 9\. Say "resume"/);
+  });
+
+  test('should give crisis resources and a hand-off when a screening shows a need for immediate help', async () => {
+    const crisisEscalation = new CrisisEscalationService();
+    app.locals.crisisEscalation = crisisEscalation;
+
+    await request(app)
+      .post('/api/conversational-ai/chat')
+      .send({ message: 'start', sessionId: 'chat-route', screening: { action: 'start', toolName: 'PHQ-9' } });
+    for (let i = 0; i < 8; i++) {
+      await request(app).post('/api/conversational-ai/chat').send({ message: 'Not at all', sessionId: 'chat-route' });
+    }
+    const completed = await request(app)
+      .post('/api/conversational-ai/chat')
+      .send({ message: 'Nearly every day', sessionId: 'chat-route' });
+
+    expect(completed.status).toBe(200);
+    expect(completed.body).toMatchObject({
+      isCrisis: true,
+      crisisData: { severity: 'immediate', escalationLevel: 3, screening: 'PHQ-9' },
+      screening: { result: { requiresImmediateAttention: true } }
+    });
+    expect(completed.body.crisisData.resources.length).toBeGreaterThan(0);
+    expect(completed.body.crisisData.handoff.caseId).toMatch(/^case_/);
+    expect(crisisEscalation.getCaseForSession('chat-route')).toMatchObject({ severity: 'immediate', status: 'pending' });
+    expect(conversationalAI.processMessage).not.toHaveBeenCalled();
+
+    crisisEscalation.destroy();
+  });
+
+  test('should refuse screening turns from a session locked for injection attempts', async () => {
+    const { sessionId } = conversationalAI.sessionManager.createSession({});
+    for (let i = 0; i < 3; i++) {
+      conversationalAI.sessionManager.recordStrike(sessionId, ['override']);
+    }
+
+    for (const route of ['/api/conversational-ai/chat', '/api/conversational-ai/chat/stream']) {
+      const response = await request(app)
+        .post(route)
+        .send({ message: 'start', sessionId, screening: { action: 'start', toolName: 'PHQ-9' } });
+
+      expect(response.status).toBe(429);
+      expect(conversationalAIRoutes.conversationalScreening.flows.has(sessionId)).toBe(false);
+    }
+    expect(conversationalAI.processMessage).not.toHaveBeenCalled();
+
+    conversationalAI.sessionManager.destroySession(sessionId);
+  });
+
+  test('should keep a signed-in student\'s chat screening with their account', async () => {
+    const sessions = new SessionStore();
+    await sessions.save({
+      id: 'session-student',
+      username: 'student',
+      role: 'student',
+      lastActivity: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      revokedAt: null
+    });
+    const token = new AuthMiddleware({ sessionStore: sessions }).generateToken({ id: 7, username: 'student', role: 'student', sessionId: 'session-student' });
+    const say = body => request(app)
+      .post('/api/conversational-ai/chat')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ sessionId: 'chat-route', ...body });
+
+    await say({ message: 'start', screening: { action: 'start', toolName: 'GAD-7' } });
+    for (let i = 0; i < 7; i++) {
+      await say({ message: 'Not at all' });
+    }
+    const saved = await say({ message: 'yes' });
+
+    expect(saved.body.screening).toMatchObject({ status: 'completed', record: { consent: true, stored: true } });
+    expect(saved.body.screening.historyToken).toBeUndefined();
+
+    const history = app.locals.screeningHistory;
+    const { assessments } = await history.getHistory(history.ownerFor({ userId: 7 }));
+    expect(assessments).toHaveLength(1);
+    expect(assessments[0].toolName).toBe('GAD-7');
+  });
+
+  test('should reject screenings that cannot be started in chat', async () => {
+    const response = await request(app)
+      .post('/api/conversational-ai/chat')
+      .send({ message: 'start', sessionId: 'chat-route', screening: { action: 'start', toolName: 'DASS-21' } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('DASS-21 cannot be answered in conversation here');
+  });
+});
+
+describe('Conversational screening in voice', () => {
+  let app;
+  const voice = voiceConversationRoutes.voiceConversationService;
+  const conversationalAI = voice.conversationalAIService;
+  let sessionId;
+  let spoken;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.locals.screeningHistory = new ScreeningHistoryService({ store: new MemoryScreeningStore() });
+    app.use('/api/voice-conversation', voiceConversationRoutes);
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(voice, 'isServiceAvailable').mockReturnValue(true);
+    jest.spyOn(voice.speechToTextService, 'transcribeAudio').mockImplementation(async () => ({
+      text: spoken,
+      duration: 2,
+      confidence: 0.95,
+      detectedLanguage: 'en'
+    }));
+    jest.spyOn(voice.textToSpeechService, 'synthesizeSpeech').mockResolvedValue({
+      audioBuffer: Buffer.from('audio'),
+      contentType: 'audio/mpeg',
+      duration: 3
+    });
+    jest.spyOn(conversationalAI.cachingService, 'getCachedResponse').mockReturnValue(null);
+    voice.config.voiceResponseDelay = 0;
+
+    ({ sessionId } = voice.startConversation());
+  });
+
+  afterEach(() => {
+    voice.endConversation(sessionId);
+    jest.restoreAllMocks();
+  });
+
+  const say = text => {
+    spoken = text;
+    return request(app)
+      .post('/api/voice-conversation/process')
+      .field('sessionId', sessionId)
+      .attach('audio', Buffer.from('RIFF'), { filename: 'answer.wav', contentType: 'audio/wav' });
+  };
+
+  test('should pass a crisis message spoken mid-screening to the conversation', async () => {
+    await voice.conversationalScreening.handleMessage(sessionId, '', { action: 'start', toolName: 'GAD-7' });
+    const processMessage = jest.spyOn(conversationalAI, 'processMessage');
+
+    const answered = await say('several days');
+    expect(answered.body.interaction.screening).toMatchObject({ status: 'asking', answered: 1 });
+    expect(processMessage).not.toHaveBeenCalled();
+
+    const crisis = await say('I just want to end my life');
+
+    expect(crisis.status).toBe(200);
+    expect(processMessage).toHaveBeenCalledWith('I just want to end my life', sessionId, expect.any(Object), 'en');
+    expect(crisis.body.interaction.aiResponse).toMatchObject({
+      crisis: true,
+      crisisData: { severity: 'immediate', escalationLevel: 3 }
+    });
+    expect(crisis.body.interaction.aiResponse.text).toMatch(/\n\nPaused at question 2 of 7\./);
+    expect(crisis.body.interaction.screening).toMatchObject({ status: 'paused', answered: 1 });
+  });
+});
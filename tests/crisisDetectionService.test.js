@@ -4,7 +4,8 @@ describe('CrisisDetectionService', () => {
   let crisisService;
 
   beforeEach(() => {
-    crisisService = new CrisisDetectionService();
+    // Response assertions below use the US directory entries
+    crisisService = new CrisisDetectionService({ defaultRegion: { country: 'US' } });
   });
 
   afterEach(() => {
@@ -1,10 +1,12 @@
 const CrisisDetectionService = require('../services/crisisDetectionService');
+const crisisCorpus = require('./fixtures/crisisCorpus.json');
 
 describe('CrisisDetectionService Unit Tests', () => {
   let crisisDetectionService;
 
   beforeEach(() => {
-    crisisDetectionService = new CrisisDetectionService();
+    // Response assertions below use the US directory entries
+    crisisDetectionService = new CrisisDetectionService({ defaultRegion: { country: 'US' } });
   });
 
   afterEach(() => {
@@ -148,6 +150,121 @@ describe('CrisisDetectionService Unit Tests', () => {
     });
   });
 
+  describe('Context-Aware Classification', () => {
+    test('should ignore negated crisis phrases', () => {
+      const negatedMessages = [
+        "I'm not suicidal, just tired of exams",
+        'I would never kill myself',
+        "I don't want to die, I just want the stress to stop"
+      ];
+
+      negatedMessages.forEach(message => {
+        const result = crisisDetectionService.analyzeMessage(message, 'negation-test');
+        expect(result.isCrisis).toBe(false);
+      });
+    });
+
+    test('should only negate phrases the negation governs', () => {
+      const affirmed = [
+        'why not just kill myself',
+        "I'm not scared of suicide anymore",
+        "there's no reason not to kill myself",
+        'nothing like suicide to end this pain'
+      ];
+
+      affirmed.forEach(message => {
+        const result = crisisDetectionService.analyzeMessage(message, 'negation-scope-test');
+        expect(result.severity).toBe('immediate');
+      });
+    });
+
+    test('should keep negated phrases as weak evidence', () => {
+      const result = crisisDetectionService.classifier.classify('I would never kill myself', crisisDetectionService.crisisKeywords);
+
+      expect(result.severity).toBe('none');
+      expect(result.suppressed).toHaveLength(1);
+      expect(result.suppressed[0].modifiers.negated).toBe(true);
+      expect(result.suppressed[0].weight).toBeGreaterThan(0);
+    });
+
+    test('should ignore ambiguous terms in benign contexts', () => {
+      const benignMessages = [
+        'I bought a new rope for climbing this weekend',
+        'The bridge course starts next Monday',
+        'I have been cutting class to catch up on sleep'
+      ];
+
+      benignMessages.forEach(message => {
+        const result = crisisDetectionService.analyzeMessage(message, 'benign-test');
+        expect(result.isCrisis).toBe(false);
+        expect(result.severity).toBe('none');
+      });
+    });
+
+    test('should treat third-person references as support-level concern', () => {
+      const result = crisisDetectionService.analyzeMessage('My friend wants to die', 'third-person-test');
+
+      expect(result.isCrisis).toBe(true);
+      expect(result.severity).toBe('moderate');
+      expect(result.evidence[0].thirdPerson).toBe(true);
+      expect(result.escalationLevel).toBeLessThan(3);
+    });
+
+    test('should downgrade past-tense disclosures unless they recur', () => {
+      const past = crisisDetectionService.analyzeMessage('I used to self-harm in high school', 'past-test');
+      expect(past.severity).toBe('moderate');
+      expect(past.evidence[0].pastTense).toBe(true);
+
+      const recurring = crisisDetectionService.analyzeMessage('I used to self-harm and now I am doing it again', 'recur-test');
+      expect(recurring.severity).toBe('selfHarm');
+    });
+
+    test('should return confidence and evidence spans', () => {
+      const message = 'I feel worthless and want to kill myself';
+      const result = crisisDetectionService.analyzeMessage(message, 'evidence-test');
+
+      expect(result.confidence).toBeGreaterThan(0.9);
+      expect(result.confidence).toBeLessThanOrEqual(1);
+      result.evidence.forEach(span => {
+        expect(message.substring(span.start, span.end)).toBe(span.text);
+      });
+      expect(result.evidence.map(span => span.keyword)).toEqual(
+        expect.arrayContaining(['worthless', 'kill myself'])
+      );
+    });
+  });
+
+  describe('Labelled Corpus Evaluation', () => {
+    test('should meet precision and recall targets on the labelled corpus', () => {
+      const report = crisisDetectionService.evaluateClassifier(crisisCorpus);
+
+      expect(report.total).toBe(crisisCorpus.length);
+      expect(report.accuracy).toBeGreaterThanOrEqual(0.9);
+      expect(report.crisis.precision).toBeGreaterThanOrEqual(0.95);
+      expect(report.crisis.recall).toBeGreaterThanOrEqual(0.95);
+      expect(report.crisis.f1).toBeGreaterThanOrEqual(0.95);
+      expect(report.perLabel.immediate.recall).toBeGreaterThanOrEqual(0.95);
+      expect(report.perLabel.selfHarm.recall).toBeGreaterThanOrEqual(0.9);
+
+      // Every labelled message is counted once, and every miss is listed
+      const support = Object.values(report.perLabel).reduce((sum, stats) => sum + stats.support, 0);
+      expect(support).toBe(crisisCorpus.length);
+      expect(report.errors).toHaveLength(Math.round((1 - report.accuracy) * report.total));
+    });
+
+    test('should report misclassifications', () => {
+      const report = crisisDetectionService.evaluateClassifier([
+        { text: 'I want to kill myself', label: 'none' }
+      ]);
+
+      expect(report.accuracy).toBe(0);
+      expect(report.errors).toEqual([
+        { text: 'I want to kill myself', expected: 'none', predicted: 'immediate' }
+      ]);
+      expect(report.perLabel.none.recall).toBe(0);
+    });
+  });
+
   describe('Session Tracking and Escalation', () => {
     test('should track crisis events in session', () => {
       const sessionId = 'test-session-123';
@@ -0,0 +1,407 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CrisisEscalationService = require('../services/crisisEscalationService');
+const RealTimeMonitoringService = require('../services/realTimeMonitoringService');
+const AnalyticsService = require('../services/analyticsService');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const SessionStore = require('../services/sessionStore');
+const http = require('http');
+
+// Mock Socket.IO
+jest.mock('socket.io', () => {
+  return {
+    Server: jest.fn().mockImplementation(() => {
+      const emit = jest.fn();
+      return {
+        on: jest.fn(),
+        to: jest.fn().mockReturnValue({ emit }),
+        emit,
+        close: jest.fn()
+      };
+    })
+  };
+});
+
+describe('CrisisEscalationService', () => {
+  let server;
+  let monitoringService;
+  let escalationService;
+
+  const crisisData = {
+    sessionId: 'session-abcdef123456',
+    severity: 'immediate',
+    keywords: ['kill myself'],
+    confidence: 1,
+    escalationLevel: 3
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    server = http.createServer();
+    monitoringService = new RealTimeMonitoringService(server, new AnalyticsService());
+    escalationService = new CrisisEscalationService({ acknowledgeTimeoutMs: 60000 });
+    escalationService.attachMonitoring(monitoringService);
+  });
+
+  afterEach(() => {
+    escalationService.destroy();
+    monitoringService.destroy();
+    server.close();
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  describe('Opening Cases', () => {
+    test('should open a case and create a monitoring alert', () => {
+      const handoff = escalationService.openCase(crisisData);
+
+      expect(handoff.caseId).toMatch(/^case_/);
+      expect(handoff.token).toHaveLength(48);
+      expect(handoff.status).toBe('pending');
+
+      const escalationCase = escalationService.cases.get(handoff.caseId);
+      const alert = monitoringService.activeAlerts.get(escalationCase.alertId);
+      expect(alert).toBeDefined();
+      expect(alert.severity).toBe('critical');
+      expect(alert.sessionId).toBe(crisisData.sessionId);
+    });
+
+    test('should reuse the open case for the same session', () => {
+      const first = escalationService.openCase(crisisData);
+      const second = escalationService.openCase(crisisData);
+
+      expect(second.caseId).toBe(first.caseId);
+      expect(escalationService.cases.size).toBe(1);
+    });
+  });
+
+  describe('Counselor Assignment', () => {
+    test('should assign to an on-duty counselor immediately', () => {
+      escalationService.setOnDuty('counselor-a');
+      const handoff = escalationService.openCase(crisisData);
+
+      expect(handoff.status).toBe('assigned');
+      expect(escalationService.cases.get(handoff.caseId).counselorId).toBe('counselor-a');
+      expect(monitoringService.io.to).toHaveBeenCalledWith('counselor:counselor-a');
+    });
+
+    test('should queue cases until a counselor comes on duty', () => {
+      const handoff = escalationService.openCase(crisisData);
+      expect(escalationService.cases.get(handoff.caseId).status).toBe('pending');
+
+      escalationService.setOnDuty('counselor-a');
+      expect(escalationService.cases.get(handoff.caseId).status).toBe('assigned');
+    });
+
+    test('should balance cases across on-duty counselors', () => {
+      escalationService.setOnDuty('counselor-a');
+      escalationService.setOnDuty('counselor-b');
+
+      const first = escalationService.openCase(crisisData);
+      const second = escalationService.openCase({ ...crisisData, sessionId: 'session-other-000000' });
+
+      const assigned = [first, second].map(h => escalationService.cases.get(h.caseId).counselorId);
+      expect(assigned.sort()).toEqual(['counselor-a', 'counselor-b']);
+    });
+
+    test('should reassign cases that are not acknowledged in time', () => {
+      escalationService.setOnDuty('counselor-a');
+      const handoff = escalationService.openCase(crisisData);
+      escalationService.setOnDuty('counselor-b');
+
+      jest.advanceTimersByTime(61000);
+      escalationService.checkUnacknowledgedCases();
+
+      const escalationCase = escalationService.cases.get(handoff.caseId);
+      expect(escalationCase.counselorId).toBe('counselor-b');
+      expect(escalationCase.reassignments).toBe(1);
+    });
+
+    test('should requeue unacknowledged cases when the counselor goes off duty', () => {
+      escalationService.setOnDuty('counselor-a');
+      const handoff = escalationService.openCase(crisisData);
+
+      escalationService.setOffDuty('counselor-a');
+
+      expect(escalationService.cases.get(handoff.caseId).status).toBe('pending');
+    });
+
+    test('should requeue a joined case when the counselor disconnects mid-session', () => {
+      escalationService.setOnDuty('counselor-a', 'socket-a');
+      const handoff = escalationService.openCase(crisisData);
+      escalationService.joinCase(handoff.caseId, 'counselor-a');
+      escalationService.setOnDuty('counselor-b', 'socket-b');
+
+      escalationService.setOffDuty('counselor-a', 'socket-a');
+
+      const escalationCase = escalationService.cases.get(handoff.caseId);
+      expect(escalationCase).toMatchObject({ status: 'assigned', counselorId: 'counselor-b', reassignments: 1 });
+      expect(escalationService.getStudentStatus(handoff.caseId)).toMatchObject({ status: 'assigned', counselorJoined: false });
+      expect(monitoringService.io.to).toHaveBeenCalledWith(`escalation:${handoff.caseId}`);
+      expect(escalationService.recordStudentMessage(crisisData.sessionId, 'Are you still there?')).toBe(false);
+
+      escalationService.joinCase(handoff.caseId, 'counselor-b');
+      expect(escalationService.cases.get(handoff.caseId).status).toBe('joined');
+    });
+
+    test('should queue an acknowledged case when its counselor leaves and nobody else is on duty', () => {
+      escalationService.setOnDuty('counselor-a');
+      const handoff = escalationService.openCase(crisisData);
+      escalationService.acknowledgeCase(handoff.caseId, 'counselor-a');
+
+      escalationService.setOffDuty('counselor-a');
+
+      expect(escalationService.getStudentStatus(handoff.caseId)).toMatchObject({ status: 'pending', counselorAssigned: false });
+    });
+  });
+
+  describe('Case Lifecycle', () => {
+    test('should record acknowledgement, join and response times', () => {
+      escalationService.setOnDuty('counselor-a');
+      const handoff = escalationService.openCase(crisisData);
+
+      jest.advanceTimersByTime(30000);
+      escalationService.acknowledgeCase(handoff.caseId, 'counselor-a');
+      jest.advanceTimersByTime(15000);
+      escalationService.joinCase(handoff.caseId, 'counselor-a');
+      escalationService.recordCounselorMessage(handoff.caseId, 'counselor-a', 'Hi, I am here with you.');
+
+      const metrics = escalationService.getMetrics();
+      expect(metrics.avgAcknowledgeTimeMs).toBe(30000);
+      expect(metrics.avgFirstResponseTimeMs).toBe(45000);
+
+      const escalationCase = escalationService.cases.get(handoff.caseId);
+      expect(escalationCase.status).toBe('joined');
+      expect(monitoringService.activeAlerts.get(escalationCase.alertId).status).toBe('acknowledged');
+    });
+
+    test('should relay student messages once a counselor has joined', () => {
+      escalationService.setOnDuty('counselor-a');
+      const handoff = escalationService.openCase(crisisData);
+
+      expect(escalationService.recordStudentMessage(crisisData.sessionId, 'Still here')).toBe(false);
+
+      escalationService.joinCase(handoff.caseId, 'counselor-a');
+      expect(escalationService.recordStudentMessage(crisisData.sessionId, 'Thank you')).toBe(true);
+      expect(escalationService.cases.get(handoff.caseId).messages).toHaveLength(2);
+    });
+
+    test('should not let a second counselor take over a case', () => {
+      escalationService.setOnDuty('counselor-a');
+      escalationService.setOnDuty('counselor-b');
+      const handoff = escalationService.openCase(crisisData);
+      const escalationCase = escalationService.cases.get(handoff.caseId);
+      const owner = escalationCase.counselorId;
+      const other = owner === 'counselor-a' ? 'counselor-b' : 'counselor-a';
+
+      // Neither before nor after the assigned counselor has acknowledged it
+      expect(() => escalationService.acknowledgeCase(handoff.caseId, other)).toThrow('Case is assigned to another counselor');
+      escalationService.joinCase(handoff.caseId, owner);
+      expect(() => escalationService.joinCase(handoff.caseId, other)).toThrow(expect.objectContaining({ isConflict: true }));
+
+      expect(escalationCase).toMatchObject({ counselorId: owner, status: 'joined' });
+      expect(escalationService.onDutyCounselors.get(owner).activeCases).toBe(1);
+      expect(escalationService.onDutyCounselors.get(other).activeCases).toBe(0);
+    });
+
+    test('should let any counselor pick up a queued case', () => {
+      // Nobody is on duty, so the case stays queued
+      const handoff = escalationService.openCase(crisisData);
+
+      escalationService.acknowledgeCase(handoff.caseId, 'counselor-b');
+
+      expect(escalationService.cases.get(handoff.caseId)).toMatchObject({ counselorId: 'counselor-b', status: 'acknowledged' });
+      expect(() => escalationService.joinCase(handoff.caseId, 'counselor-a')).toThrow('Case is assigned to another counselor');
+    });
+
+    test('should reject messages from a counselor not assigned to the case', () => {
+      escalationService.setOnDuty('counselor-a');
+      const handoff = escalationService.openCase(crisisData);
+
+      expect(() => {
+        escalationService.recordCounselorMessage(handoff.caseId, 'counselor-b', 'Hello');
+      }).toThrow('Case is assigned to another counselor');
+    });
+
+    test('should resolve case and the linked alert', () => {
+      escalationService.setOnDuty('counselor-a');
+      const handoff = escalationService.openCase(crisisData);
+      const alertId = escalationService.cases.get(handoff.caseId).alertId;
+
+      escalationService.resolveCase(handoff.caseId, 'counselor-a', 'Student connected with campus counseling');
+
+      expect(escalationService.getCaseForSession(crisisData.sessionId)).toBeNull();
+      expect(monitoringService.activeAlerts.get(alertId).status).toBe('resolved');
+      expect(escalationService.onDutyCounselors.get('counselor-a').activeCases).toBe(0);
+    });
+  });
+
+  describe('Socket Authentication', () => {
+    let dir;
+    let sessions;
+    let auth;
+    let staffMonitoring;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'escalation-'));
+      sessions = new SessionStore({ filePath: path.join(dir, 'sessions.json') });
+      auth = new AuthMiddleware({ sessionStore: sessions });
+      staffMonitoring = new RealTimeMonitoringService(server, new AnalyticsService(), { auth });
+      escalationService.attachMonitoring(staffMonitoring);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      staffMonitoring.destroy();
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const connect = () => {
+      const handlers = {};
+      const socket = { id: `socket-${Math.random()}`, on: (event, handler) => { handlers[event] = handler; }, emit: jest.fn(), join: jest.fn(), leave: jest.fn() };
+      escalationService.setupSocketHandlers(socket);
+      return { socket, handlers };
+    };
+
+    const tokenFor = async user => {
+      await sessions.save({
+        id: `session-${user.username}`,
+        username: user.username,
+        role: user.role,
+        lastActivity: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        revokedAt: null
+      });
+      return auth.generateToken({ ...user, sessionId: `session-${user.username}` });
+    };
+
+    test('should refuse a role claimed without a valid staff token', async () => {
+      escalationService.setOnDuty('counselor-a');
+      const handoff = escalationService.openCase(crisisData);
+      const studentToken = await tokenFor({ id: 3, username: 'student', role: 'student' });
+
+      for (const claim of [{ token: 'x', userRole: 'counselor', userId: 'counselor-a' }, { token: studentToken, userRole: 'admin' }]) {
+        const { socket, handlers } = connect();
+        staffMonitoring.handleAuthentication(socket, claim);
+        handlers['escalation-join'](handoff.caseId);
+        handlers['escalation-resolve']({ caseId: handoff.caseId });
+
+        expect(socket.emit).toHaveBeenCalledWith('authentication-failed', expect.any(Object));
+        expect(socket.emit).toHaveBeenCalledWith('error', { message: 'Authentication required' });
+        expect(socket.emit).not.toHaveBeenCalledWith('escalation-history', expect.anything());
+      }
+      expect(escalationService.cases.get(handoff.caseId).status).toBe('assigned');
+    });
+
+    test('should act as the counselor named in the token until the session ends', async () => {
+      escalationService.setOnDuty('counselor-a');
+      const handoff = escalationService.openCase(crisisData);
+      const token = await tokenFor({ id: 2, username: 'counselor-a', role: 'counselor' });
+
+      const { socket, handlers } = connect();
+      staffMonitoring.handleAuthentication(socket, { token, userRole: 'admin', userId: 'counselor-b' });
+      expect(socket).toMatchObject({ authenticated: true, userRole: 'counselor', userId: 'counselor-a' });
+
+      handlers['escalation-join'](handoff.caseId);
+      expect(escalationService.cases.get(handoff.caseId)).toMatchObject({ status: 'joined', counselorId: 'counselor-a' });
+
+      await sessions.update('session-counselor-a', () => ({ revokedAt: new Date().toISOString() }));
+      handlers['escalation-resolve']({ caseId: handoff.caseId });
+      expect(socket.emit).toHaveBeenLastCalledWith('error', { message: 'Authentication required' });
+      expect(escalationService.cases.get(handoff.caseId).status).toBe('joined');
+    });
+  });
+
+  describe('Case Rooms', () => {
+    let dir;
+    let sessions;
+    let staffMonitoring;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'escalation-rooms-'));
+      sessions = new SessionStore({ filePath: path.join(dir, 'sessions.json') });
+      staffMonitoring = new RealTimeMonitoringService(server, new AnalyticsService(), { auth: new AuthMiddleware({ sessionStore: sessions }) });
+      escalationService.attachMonitoring(staffMonitoring);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      staffMonitoring.destroy();
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const joinAs = async username => {
+      await sessions.save({
+        id: `session-${username}`,
+        username,
+        role: 'counselor',
+        lastActivity: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        revokedAt: null
+      });
+      const token = staffMonitoring.auth.generateToken({ id: 2, username, role: 'counselor', sessionId: `session-${username}` });
+
+      const handlers = {};
+      const socket = { id: `socket-${username}`, on: (event, handler) => { handlers[event] = handler; }, emit: jest.fn(), join: jest.fn(), leave: jest.fn() };
+      escalationService.setupSocketHandlers(socket);
+      staffMonitoring.handleAuthentication(socket, { token });
+      return { socket, handlers };
+    };
+
+    test('should take the departing counselor out of every requeued case room', async () => {
+      const duty = await joinAs('counselor-a');
+      duty.handlers['escalation-duty']({ onDuty: true });
+      const first = escalationService.openCase(crisisData);
+      const second = escalationService.openCase({ ...crisisData, sessionId: 'session-fedcba654321' });
+
+      // A second tab, not on duty, joins both cases
+      const tab = await joinAs('counselor-a');
+      tab.handlers['escalation-join'](first.caseId);
+      tab.handlers['escalation-join'](second.caseId);
+      expect(tab.socket.join).toHaveBeenCalledWith(`escalation:${first.caseId}`);
+
+      duty.handlers['escalation-duty']({ onDuty: false });
+
+      expect(tab.socket.leave).toHaveBeenCalledWith(`escalation:${first.caseId}`);
+      expect(tab.socket.leave).toHaveBeenCalledWith(`escalation:${second.caseId}`);
+      expect(escalationService.cases.get(first.caseId).status).toBe('pending');
+    });
+
+    test('should not keep the process alive for the acknowledgement check', () => {
+      expect(escalationService.checkTimer.hasRef()).toBe(false);
+    });
+  });
+
+  describe('Visibility', () => {
+    test('should not expose counselor or crisis details to the student', () => {
+      escalationService.setOnDuty('counselor-a');
+      const handoff = escalationService.openCase(crisisData);
+
+      const status = escalationService.getStudentStatus(handoff.caseId);
+      expect(status).toEqual(expect.objectContaining({ status: 'assigned', counselorAssigned: true }));
+      expect(status).not.toHaveProperty('counselorId');
+      expect(status).not.toHaveProperty('keywords');
+    });
+
+    test('should limit counselors to their own and queued cases', () => {
+      escalationService.setOnDuty('counselor-a');
+      escalationService.openCase(crisisData);
+
+      expect(escalationService.listCases({ username: 'counselor-a', role: 'counselor' })).toHaveLength(1);
+      expect(escalationService.listCases({ username: 'counselor-b', role: 'counselor' })).toHaveLength(0);
+      expect(escalationService.listCases({ username: 'admin', role: 'admin' })).toHaveLength(1);
+    });
+
+    test('should never include the student token in staff views', () => {
+      escalationService.setOnDuty('counselor-a');
+      escalationService.openCase(crisisData);
+
+      const [view] = escalationService.listCases({ username: 'admin', role: 'admin' });
+      expect(view).not.toHaveProperty('studentToken');
+      expect(view.sessionId).toBe('session-...');
+    });
+  });
+});
@@ -1,4 +1,11 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
+
+// Tracked API calls are recorded by the analytics service; keep them out of data/
+process.env.ANALYTICS_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-')), 'analytics.json');
+
 const { app } = require('../server');
 const ErrorHandlingService = require('../services/errorHandlingService');
 const FallbackResponseService = require('../services/fallbackResponseService');
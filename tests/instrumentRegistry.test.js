@@ -0,0 +1,251 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const InstrumentRegistry = require('../services/instrumentRegistry');
+const ScreeningService = require('../services/screeningService');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const SessionStore = require('../services/sessionStore');
+
+const bundledDir = path.join(__dirname, '..', 'data', 'instruments');
+
+function readBundled(file) {
+  return JSON.parse(fs.readFileSync(path.join(bundledDir, file), 'utf8'));
+}
+
+// A short yes/no instrument written the way a new questionnaire would be added
+function sleepScreen() {
+  return {
+    name: 'SLEEP-3',
+    fullName: 'Three-item sleep screen',
+    responseSets: { default: [{ value: 0, text: 'No' }, { value: 1, text: 'Yes' }] },
+    items: [
+      { id: 'sleep_1', text: 'Trouble falling asleep' },
+      { id: 'sleep_2', text: 'Waking during the night' },
+      { id: 'sleep_3', text: 'Felt rested in the morning', reverse: true }
+    ],
+    scoring: {
+      standard: {
+        formula: 'sum',
+        ranges: [{ min: 0, max: 1, level: 'normal', description: 'No sleep problems' }, { min: 2, max: 3, level: 'moderate', description: 'Sleep problems' }],
+        maxScore: 3,
+        clinicalCutoff: 2
+      }
+    },
+    translations: { mr: { items: { sleep_1: 'झोप लागण्यात अडचण' } } }
+  };
+}
+
+describe('InstrumentRegistry', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'instruments-'));
+    fs.mkdirSync(path.join(dir, 'instruments'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createRegistry = () => new InstrumentRegistry({
+    directory: path.join(dir, 'instruments'),
+    settingsPath: path.join(dir, 'instrumentSettings.json')
+  });
+
+  const writeInstrument = (file, definition) => {
+    fs.writeFileSync(path.join(dir, 'instruments', file), JSON.stringify(definition));
+  };
+
+  test('should load the bundled instruments without errors', () => {
+    const registry = new InstrumentRegistry({ settingsPath: path.join(dir, 'instrumentSettings.json') });
+
+    expect(registry.loadErrors).toEqual([]);
+    expect(registry.get('GHQ-12').scoring.binary.recode).toEqual({ 0: 0, 1: 0, 2: 1, 3: 1 });
+    expect(registry.get('PSS-10').questions.filter(item => item.reverse).map(item => item.id))
+      .toEqual(['pss10_4', 'pss10_5', 'pss10_7', 'pss10_8']);
+  });
+
+  test('should leave out and report definitions that fail validation', () => {
+    const broken = readBundled('phq-9.json');
+    broken.name = 'PHQ-9-BROKEN';
+    broken.scoring.standard.ranges[1].min = 6;
+    broken.scoring.standard.maxScore = 30;
+    broken.scoring.standard.reliableChange.reliability = 1.2;
+    broken.crisisRules[0].item = 'phq9_10';
+    broken.translations.mr.items.phq9_99 = 'नाही';
+
+    writeInstrument('sleep-3.json', sleepScreen());
+    writeInstrument('broken.json', broken);
+    fs.writeFileSync(path.join(dir, 'instruments', 'truncated.json'), '{"name": "GAD');
+
+    const registry = createRegistry();
+
+    expect(registry.list().map(instrument => instrument.name)).toEqual(['SLEEP-3']);
+    expect(registry.loadErrors.map(error => error.file)).toEqual(['broken.json', 'truncated.json']);
+    expect(registry.loadErrors[0].problems).toEqual([
+      'scoring.standard.reliableChange needs a positive sd and a reliability between 0 and 1',
+      'scoring.standard.maxScore is 30 but the items score up to 27',
+      'scoring.standard.ranges must run from 0 without gaps or overlaps (check mild)',
+      'crisis rule suicidalIdeation checks unknown item phq9_10',
+      'translations.mr translates unknown item phq9_99'
+    ]);
+    expect(registry.loadErrors[1].problems[0]).toMatch(/not valid JSON/);
+  });
+
+  test('should pick up a new instrument file without a restart', () => {
+    const registry = createRegistry();
+    expect(registry.list()).toEqual([]);
+
+    writeInstrument('sleep-3.json', sleepScreen());
+
+    // Lookups within the reload interval do not touch the disk
+    const stat = jest.spyOn(fs, 'statSync');
+    expect(registry.get('SLEEP-3')).toBeNull();
+    expect(stat).not.toHaveBeenCalled();
+
+    const later = Date.now() + registry.reloadIntervalMs;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    expect(registry.get('SLEEP-3')).toMatchObject({ file: 'sleep-3.json', version: 1, responseOptions: expect.any(Array) });
+  });
+
+  test('should switch instruments per campus and share the settings', async () => {
+    writeInstrument('sleep-3.json', sleepScreen());
+    const registry = createRegistry();
+
+    await registry.setEnabled('SLEEP-3', '*', false);
+    await registry.setEnabled('SLEEP-3', 'north', true);
+
+    expect(registry.isEnabled('SLEEP-3', 'north')).toBe(true);
+    expect(registry.isEnabled('SLEEP-3', 'main')).toBe(false);
+    expect(createRegistry().listForCampus('north').map(instrument => instrument.name)).toEqual(['SLEEP-3']);
+    expect(registry.describe('main')[0]).toMatchObject({ enabled: false, campuses: { '*': false, north: true }, languages: ['en', 'mr'] });
+
+    expect(await registry.setEnabled('UNKNOWN', 'north', false)).toBeNull();
+    await expect(registry.setEnabled('SLEEP-3', 'north', 'no')).rejects.toMatchObject({ isValidationError: true });
+    await expect(registry.setEnabled('SLEEP-3', '', false)).rejects.toThrow(/campus is required/);
+  });
+
+  test('should score and translate a new instrument without code changes', async () => {
+    writeInstrument('sleep-3.json', sleepScreen());
+    const registry = createRegistry();
+    const screening = new ScreeningService({ registry });
+
+    const result = screening.processScreening('SLEEP-3', { sleep_1: 1, sleep_2: 0, sleep_3: 0 });
+    expect(result.score).toMatchObject({ totalScore: 2, maxScore: 3, interpretation: { level: 'moderate', isAboveThreshold: true } });
+
+    const questions = screening.getToolQuestions('SLEEP-3', { campus: 'main', language: 'mr' });
+    expect(questions.questions.map(question => question.text)).toEqual(['झोप लागण्यात अडचण', 'Waking during the night', 'Felt rested in the morning']);
+
+    await registry.setEnabled('SLEEP-3', 'north', false);
+    expect(() => screening.processScreening('SLEEP-3', { sleep_1: 1, sleep_2: 0, sleep_3: 0 }, { region: { campus: 'north' } }))
+      .toThrow(/not found on campus north/);
+  });
+});
+
+describe('Instrument Routes', () => {
+  let app;
+  let dir;
+  let adminToken;
+  let studentToken;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'instruments-'));
+    process.env.SCREENING_INSTRUMENT_SETTINGS_FILE = path.join(dir, 'instrumentSettings.json');
+    process.env.SESSIONS_FILE = path.join(dir, 'sessions.json');
+    process.env.SCREENING_FILE = path.join(dir, 'screenings.json');
+
+    jest.isolateModules(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/screening', require('../routes/screening'));
+    });
+
+    const sessions = new SessionStore();
+    const auth = new AuthMiddleware({ sessionStore: sessions });
+    const tokenFor = async user => {
+      await sessions.save({
+        id: `session-${user.username}`,
+        username: user.username,
+        role: user.role,
+        lastActivity: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        revokedAt: null
+      });
+      return auth.generateToken({ ...user, sessionId: `session-${user.username}` });
+    };
+    adminToken = await tokenFor({ id: 1, username: 'admin', role: 'admin' });
+    studentToken = await tokenFor({ id: 2, username: 'student', role: 'student' });
+  });
+
+  afterAll(() => {
+    delete process.env.SCREENING_INSTRUMENT_SETTINGS_FILE;
+    delete process.env.SESSIONS_FILE;
+    delete process.env.SCREENING_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should let only admins list and switch instruments', async () => {
+    const student = await request(app)
+      .get('/api/screening/instruments')
+      .set('Authorization', `Bearer ${studentToken}`);
+    expect(student.status).toBe(403);
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const disabled = await request(app)
+      .put('/api/screening/instruments/PC-PTSD-5')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ campus: 'north', enabled: false });
+    jest.restoreAllMocks();
+    expect(disabled.status).toBe(200);
+    expect(disabled.body.instrument).toMatchObject({ name: 'PC-PTSD-5', enabled: false });
+
+    const listed = await request(app)
+      .get('/api/screening/instruments?campus=north')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(listed.status).toBe(200);
+    expect(listed.body.loadErrors).toEqual([]);
+    expect(listed.body.instruments.find(instrument => instrument.name === 'PC-PTSD-5')).toMatchObject({ enabled: false, campuses: { north: false } });
+
+    const invalid = await request(app)
+      .put('/api/screening/instruments/PC-PTSD-5')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ enabled: false });
+    expect(invalid.status).toBe(400);
+
+    const unknown = await request(app)
+      .put('/api/screening/instruments/UNKNOWN')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ campus: 'north', enabled: false });
+    expect(unknown.status).toBe(404);
+  });
+
+  test('should hide a disabled instrument from that campus only', async () => {
+    const north = await request(app).get('/api/screening/tools').set('X-Campus', 'north');
+    expect(north.body.tools.map(tool => tool.name)).not.toContain('PC-PTSD-5');
+
+    const main = await request(app).get('/api/screening/tools').set('X-Campus', 'main');
+    expect(main.body.tools.map(tool => tool.name)).toContain('PC-PTSD-5');
+
+    expect((await request(app).get('/api/screening/tools/PC-PTSD-5').set('X-Campus', 'north')).status).toBe(404);
+
+    const assessed = await request(app)
+      .post('/api/screening/assess')
+      .set('X-Campus', 'north')
+      .send({ toolName: 'PC-PTSD-5', responses: { pcptsd5_trauma: 0 } });
+    expect(assessed.status).toBe(400);
+  });
+
+  test('should present questions in Marathi', async () => {
+    const response = await request(app)
+      .get('/api/screening/tools/PHQ-9')
+      .set('Accept-Language', 'mr-IN');
+
+    expect(response.status).toBe(200);
+    expect(response.body.tool.questions[1].text).toBe('उदास, नैराश्यग्रस्त किंवा निराश वाटणे');
+    expect(response.body.tool.responseOptions[0]).toEqual({ value: 0, text: 'अजिबात नाही' });
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileStore = require('../services/jsonFileStore');
+
+describe('JsonFileStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+    filePath = path.join(dir, 'store.json');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should only return the contents when the file changed', async () => {
+    const store = new JsonFileStore({ filePath, reloadIntervalMs: 0 });
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1 }));
+
+    expect(store.readIfChanged()).toEqual({ version: 1 });
+    expect(store.readIfChanged()).toBeUndefined();
+
+    // Same mtime, different size
+    const { mtime } = fs.statSync(filePath);
+    fs.writeFileSync(filePath, JSON.stringify({ version: 22 }));
+    fs.utimesSync(filePath, mtime, mtime);
+    expect(store.readIfChanged()).toEqual({ version: 22 });
+
+    await store.write({ version: 3 });
+    expect(store.readIfChanged()).toBeUndefined();
+  });
+
+  test('should check the file at most once per reload interval', () => {
+    fs.writeFileSync(filePath, '[]');
+    const store = new JsonFileStore({ filePath, reloadIntervalMs: 5000 });
+    expect(store.readIfChanged()).toEqual([]);
+
+    fs.writeFileSync(filePath, '[1]');
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(filePath, future, future);
+
+    expect(store.readIfChanged()).toBeUndefined();
+    expect(store.readIfChanged(true)).toEqual([1]);
+  });
+
+  test('should see writes made through another store in this process at once', async () => {
+    fs.writeFileSync(filePath, '[]');
+    const store = new JsonFileStore({ filePath, reloadIntervalMs: 5000 });
+    const other = new JsonFileStore({ filePath, reloadIntervalMs: 5000 });
+    expect(store.readIfChanged()).toEqual([]);
+
+    await other.write([1]);
+    expect(store.readIfChanged()).toEqual([1]);
+    expect(other.readIfChanged()).toBeUndefined();
+  });
+
+  test('should give each write its own temp file', async () => {
+    const store = new JsonFileStore({ filePath });
+    const other = new JsonFileStore({ filePath });
+
+    await Promise.all([store.write({ from: 'store' }), other.write({ from: 'other' }), store.write({ from: 'again' })]);
+
+    expect(['store', 'other', 'again']).toContain(JSON.parse(fs.readFileSync(filePath, 'utf8')).from);
+    expect(fs.readdirSync(dir)).toEqual(['store.json']);
+  });
+
+  test('should not lose updates made by transactions that overlap', async () => {
+    const stores = [1, 2, 3].map(() => new JsonFileStore({ filePath, optional: true }));
+    const lists = new Map(stores.map(store => [store, []]));
+
+    const append = (store, value) => store.transaction(async () => {
+      const data = store.readIfChanged(true);
+      if (data !== undefined) {
+        lists.set(store, data);
+      }
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const next = [...lists.get(store), value];
+      await store.write(next);
+      lists.set(store, next);
+    });
+
+    await Promise.all(stores.map((store, index) => append(store, index)));
+
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).sort()).toEqual([0, 1, 2]);
+    expect(fs.readdirSync(dir)).toEqual(['store.json']);
+  });
+
+  test('should release the lock when a transaction fails and break stale locks', async () => {
+    const store = new JsonFileStore({ filePath, lockTimeoutMs: 50, staleLockMs: 1000 });
+
+    await expect(store.transaction(async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    expect(fs.existsSync(store.lockPath)).toBe(false);
+
+    fs.writeFileSync(store.lockPath, '12345');
+    await expect(store.transaction(async () => 'done')).rejects.toMatchObject({ code: 'JSON_STORE_LOCKED' });
+
+    const past = new Date(Date.now() - 5000);
+    fs.utimesSync(store.lockPath, past, past);
+    await expect(store.transaction(async () => 'done')).resolves.toBe('done');
+    expect(fs.existsSync(store.lockPath)).toBe(false);
+  });
+
+  test('should report a broken file once and stay quiet about a missing optional one', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    new JsonFileStore({ filePath, optional: true }).readIfChanged();
+    expect(error).not.toHaveBeenCalled();
+
+    fs.writeFileSync(filePath, '{ not json');
+    const store = new JsonFileStore({ filePath, label: 'test store' });
+    expect(store.readIfChanged()).toBeUndefined();
+    expect(store.readIfChanged()).toBeUndefined();
+    expect(error).toHaveBeenCalledTimes(1);
+    expect(error.mock.calls[0][0]).toBe('Error loading test store:');
+  });
+});
@@ -74,12 +74,18 @@ describe('LanguageService', () => {
   describe('Mental Health Resources', () => {
     test('should return language-specific crisis resources', () => {
       const enResources = languageService.getMentalHealthResourcesForLanguage('en');
-      expect(enResources).toHaveLength(2);
-      expect(enResources[0].name).toBe('National Suicide Prevention Lifeline');
+      expect(enResources[0].name).toBe('Tele-MANAS');
+      expect(enResources[0].phone).toBe('14416');
 
       const mrResources = languageService.getMentalHealthResourcesForLanguage('mr');
-      expect(mrResources).toHaveLength(2);
-      expect(mrResources[0].name).toBe('राष्ट्रीय आत्महत्या प्रतिबंध हेल्पलाइन');
+      expect(mrResources[0].name).toBe('टेली-मानस');
+      expect(mrResources[0].availability).toBe('२४/७');
+    });
+
+    test('should select crisis resources for the requested region', () => {
+      const usResources = languageService.getMentalHealthResourcesForLanguage('en', { country: 'US' });
+      expect(usResources[0].name).toBe('National Suicide Prevention Lifeline');
+      expect(usResources.map(r => r.phone)).not.toContain('14416');
     });
   });
 
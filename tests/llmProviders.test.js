@@ -0,0 +1,272 @@
+const { PassThrough, Readable } = require('stream');
+const {
+  LLMProvider,
+  GroqProvider,
+  OpenAICompatibleProvider,
+  MockLLMProvider,
+  createProviders
+} = require('../services/llmProviders');
+const GroqService = require('../services/groqService');
+
+/**
+ * Provider that fails with the given status a number of times, then answers
+ */
+class FlakyProvider extends LLMProvider {
+  constructor(name, { status = 503, failures = Infinity, reply = 'I understand, and I am here for you.' } = {}) {
+    super(name, { models: [`${name}-model`] });
+    this.status = status;
+    this.failures = failures;
+    this.reply = reply;
+    this.calls = 0;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async chat() {
+    this.calls++;
+    if (this.calls <= this.failures) {
+      throw LLMProvider.providerError(`${this.name} unavailable`, this.status);
+    }
+    return { content: this.reply, model: this.model, usage: {} };
+  }
+
+  async *stream() {
+    this.calls++;
+    if (this.calls <= this.failures) {
+      throw LLMProvider.providerError(`${this.name} unavailable`, this.status);
+    }
+    yield* this.reply.match(/\S+\s*/g);
+  }
+}
+
+async function collect(iterable) {
+  const pieces = [];
+  for await (const piece of iterable) {
+    pieces.push(piece);
+  }
+  return pieces;
+}
+
+describe('LLM providers', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createProviders', () => {
+    test('should build providers in the listed order', () => {
+      const providers = createProviders('openai-compatible, mock');
+      expect(providers.map(p => p.name)).toEqual(['openai-compatible', 'mock']);
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => createProviders('groq,palm')).toThrow(/Unknown LLM provider "palm"/);
+    });
+  });
+
+  describe('MockLLMProvider', () => {
+    test('should answer the same message the same way', async () => {
+      const provider = new MockLLMProvider();
+      const messages = [{ role: 'user', content: 'I am nervous about my viva' }];
+
+      const first = await provider.chat(messages);
+      const second = await new MockLLMProvider().chat(messages);
+      expect(first.content).toBe(second.content);
+
+      const streamed = await collect(provider.stream(messages));
+      expect(streamed.length).toBeGreaterThan(1);
+      expect(streamed.join('')).toBe(first.content);
+    });
+
+    test('should play scripted responses in turn', async () => {
+      const provider = new MockLLMProvider({ responses: ['one', 'two'] });
+      const messages = [{ role: 'user', content: 'hi' }];
+
+      expect((await provider.chat(messages)).content).toBe('one');
+      expect((await provider.chat(messages)).content).toBe('two');
+      expect((await provider.chat(messages)).content).toBe('one');
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    const completion = {
+      model: 'llama3.1',
+      choices: [{ message: { content: '  Take a slow breath.  ' } }],
+      usage: { prompt_tokens: 12, completion_tokens: 5 }
+    };
+
+    test('should call the chat completions endpoint of the configured server', async () => {
+      const http = { post: jest.fn().mockResolvedValue({ data: completion }) };
+      const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1/', apiKey: 'secret', models: ['llama3.1'], http });
+
+      const result = await provider.chat([{ role: 'user', content: 'hello' }], { maxTokens: 50 });
+
+      expect(result).toEqual({ content: 'Take a slow breath.', model: 'llama3.1', usage: { promptTokens: 12, completionTokens: 5 } });
+      const [url, body, config] = http.post.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(body).toMatchObject({ model: 'llama3.1', max_tokens: 50, stream: false });
+      expect(config.headers.Authorization).toBe('Bearer secret');
+    });
+
+    test('should not be configured without a base URL', () => {
+      expect(new OpenAICompatibleProvider({ baseUrl: '' }).isConfigured()).toBe(false);
+    });
+
+    test('should parse streamed deltas', async () => {
+      const events = [
+        'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"You are "}}]}\n\ndata: {"choices":[{"del',
+        'ta":{"content":"not alone."}}]}\n\n',
+        'data: [DONE]\n\n'
+      ];
+      const http = { post: jest.fn().mockResolvedValue({ data: Readable.from(events.map(e => Buffer.from(e))) }) };
+      const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1', http });
+
+      const pieces = await collect(provider.stream([{ role: 'user', content: 'hello' }]));
+
+      expect(pieces).toEqual(['You are ', 'not alone.']);
+      expect(http.post.mock.calls[0][2].responseType).toBe('stream');
+    });
+
+    test('should close the response stream after [DONE] and when the reader stops early', async () => {
+      // The server keeps the connection open after [DONE]
+      const openStream = () => {
+        const body = new PassThrough();
+        body.write('data: {"choices":[{"delta":{"content":"Breathe in. "}}]}\n\n');
+        body.write('data: {"choices":[{"delta":{"content":"Breathe out."}}]}\n\n');
+        body.write('data: [DONE]\n\n');
+        return body;
+      };
+      const done = openStream();
+      const early = openStream();
+      const http = { post: jest.fn().mockResolvedValueOnce({ data: done }).mockResolvedValueOnce({ data: early }) };
+      const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1', http });
+
+      expect(await collect(provider.stream([{ role: 'user', content: 'hello' }]))).toEqual(['Breathe in. ', 'Breathe out.']);
+      expect(done.destroyed).toBe(true);
+
+      for await (const piece of provider.stream([{ role: 'user', content: 'hello' }])) {
+        expect(piece).toBe('Breathe in. ');
+        break;
+      }
+      expect(early.destroyed).toBe(true);
+    });
+
+    test('should move to the next model when one is not found', async () => {
+      const notFound = Object.assign(new Error('404'), { response: { status: 404 } });
+      const http = {
+        post: jest.fn()
+          .mockRejectedValueOnce(notFound)
+          .mockResolvedValueOnce({ data: completion })
+      };
+      const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1', models: ['missing', 'llama3.1'], http });
+
+      await provider.chat([{ role: 'user', content: 'hello' }]);
+
+      expect(http.post.mock.calls.map(call => call[1].model)).toEqual(['missing', 'llama3.1']);
+      expect(provider.model).toBe('llama3.1');
+    });
+
+    test('should report health from the models endpoint', async () => {
+      const http = { get: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED')) };
+      const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1', http });
+
+      const health = await provider.health();
+
+      expect(health.ok).toBe(false);
+      expect(health.error).toMatch(/ECONNREFUSED/);
+    });
+  });
+
+  describe('GroqProvider', () => {
+    test('should fall back through the configured models', async () => {
+      const create = jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('model not found'), { status: 404 }))
+        .mockResolvedValueOnce({ choices: [{ message: { content: 'Hi there' } }] });
+      const provider = new GroqProvider({ apiKey: 'key', models: ['retired-model', 'llama-3.1-8b-instant'], client: { chat: { completions: { create } } } });
+
+      const result = await provider.chat([{ role: 'user', content: 'hello' }]);
+
+      expect(result.content).toBe('Hi there');
+      expect(result.model).toBe('llama-3.1-8b-instant');
+    });
+  });
+
+  describe('GroqService failover', () => {
+    test('should retry a provider and then fail over to the next one', async () => {
+      const primary = new FlakyProvider('primary');
+      const backup = new FlakyProvider('backup', { failures: 0, reply: 'I hear you. Let us take this one step at a time.' });
+      const service = new GroqService({ providers: [primary, backup], retryDelay: 0 });
+
+      const response = await service.generateResponse('I feel overwhelmed');
+
+      expect(response).toBe('I hear you. Let us take this one step at a time.');
+      expect(primary.calls).toBe(3);
+      expect(backup.calls).toBe(1);
+    });
+
+    test('should not retry rejected credentials', async () => {
+      const primary = new FlakyProvider('primary', { status: 401 });
+      const backup = new FlakyProvider('backup', { failures: 0 });
+      const service = new GroqService({ providers: [primary, backup], retryDelay: 0 });
+
+      await service.generateResponse('hello');
+
+      expect(primary.calls).toBe(1);
+    });
+
+    test('should report every provider when all fail', async () => {
+      const service = new GroqService({
+        providers: [new FlakyProvider('primary'), new FlakyProvider('backup', { status: 429 })],
+        retryDelay: 0
+      });
+
+      await expect(service.generateResponse('hello'))
+        .rejects.toThrow('All LLM providers failed (primary: primary unavailable; backup: rate limit exceeded)');
+    });
+
+    test('should skip providers that are not configured', () => {
+      const service = new GroqService({ providers: [new OpenAICompatibleProvider({ baseUrl: '' })] });
+
+      expect(service.isServiceAvailable()).toBe(false);
+      expect(service.getServiceStatus().providers[0]).toMatchObject({ name: 'openai-compatible', configured: false });
+    });
+
+    test('should fail over a stream that fails before its first token', async () => {
+      const primary = new FlakyProvider('primary', { status: 500 });
+      const backup = new FlakyProvider('backup', { failures: 0, reply: 'You are not alone.' });
+      const service = new GroqService({ providers: [primary, backup], retryDelay: 0, maxRetries: 1 });
+
+      const pieces = await collect(service.streamResponse('hello'));
+
+      expect(pieces.join('')).toBe('You are not alone.');
+    });
+
+    test('should use the mock provider when selected', async () => {
+      const service = new GroqService({ providers: createProviders('mock') });
+
+      const response = await service.generateResponse('Exams are stressing me out');
+
+      expect(service.validateResponse(response).isValid).toBe(true);
+    });
+
+    test('should drop the oldest history to stay within the token budget', () => {
+      const service = new GroqService({ providers: [new MockLLMProvider()] });
+      service.maxContextTokens = 700;
+      const history = Array.from({ length: 10 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `${i} ${'x'.repeat(196)}` }));
+
+      const messages = service._buildMessages('latest', history);
+
+      expect(messages[0].role).toBe('system');
+      expect(messages[messages.length - 1]).toEqual({ role: 'user', content: 'latest' });
+      expect(messages.length).toBeLessThan(12);
+      expect(messages[1].content).not.toMatch(/^0 /);
+      expect(service.countTokens(messages)).toBeLessThanOrEqual(700 - service.maxTokens);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const MoodCheckInService = require('../services/moodCheckInService');
+const AnalyticsService = require('../services/analyticsService');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const SessionStore = require('../services/sessionStore');
+
+describe('MoodCheckInService', () => {
+  let dir;
+  let moodCheckIns;
+  let owner;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mood-'));
+    moodCheckIns = new MoodCheckInService({ storePath: path.join(dir, 'moodCheckIns.json') });
+    owner = moodCheckIns.ownerFor({ userId: 3 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should reject bad check-ins', async () => {
+    await expect(moodCheckIns.recordCheckIn(owner, { phase: 'during', mood: 5 }))
+      .rejects.toMatchObject({ isValidationError: true, message: expect.stringMatching(/phase/) });
+    await expect(moodCheckIns.recordCheckIn(owner, { phase: 'pre', mood: 11 }))
+      .rejects.toMatchObject({ message: expect.stringMatching(/1 to 10/) });
+    await expect(moodCheckIns.recordCheckIn(owner, { phase: 'pre', mood: 5, emotions: ['sad', 'bored'] }))
+      .rejects.toMatchObject({ message: 'Unknown emotion tag(s): bored' });
+    await expect(moodCheckIns.recordCheckIn(owner, { phase: 'post', mood: 5, sessionId: 'never-started' }))
+      .rejects.toMatchObject({ isValidationError: true });
+  });
+
+  test('should pair pre- and post-session check-ins into a mood history', async () => {
+    const pre = await moodCheckIns.recordCheckIn(owner, { phase: 'pre', mood: 3, emotions: ['anxious', 'tired'] });
+    expect(pre.sessionId).toMatch(/^mood_/);
+    expect(pre).not.toHaveProperty('owner');
+
+    await moodCheckIns.recordCheckIn(owner, { phase: 'post', mood: 6, emotions: ['calm', 'tired'], sessionId: pre.sessionId });
+    await moodCheckIns.recordCheckIn(owner, { phase: 'pre', mood: 5, channel: 'voice' });
+    // Someone else's check-ins stay out of this student's history
+    await moodCheckIns.recordCheckIn(moodCheckIns.ownerFor({ token: 'abc' }), { phase: 'pre', mood: 1 });
+
+    const history = await moodCheckIns.getHistory(owner);
+
+    expect(history.checkIns).toHaveLength(3);
+    expect(history.daily).toEqual([{ date: pre.createdAt.substring(0, 10), averageMood: 4.7, checkIns: 3 }]);
+    expect(history.sessions.map(({ channel, pre, post, change }) => ({ channel, pre, post, change }))).toEqual([
+      { channel: 'chat', pre: 3, post: 6, change: 3 },
+      { channel: 'voice', pre: 5, post: null, change: null }
+    ]);
+    expect(history.summary).toMatchObject({ averageMood: 4.7, averageChange: 3, latestMood: 5, days: 30 });
+    expect(history.summary.topEmotions[0]).toBe('tired');
+  });
+
+  test('should keep check-ins saved at the same time by two instances', async () => {
+    const other = new MoodCheckInService({ storePath: moodCheckIns.storePath });
+
+    await Promise.all([
+      moodCheckIns.recordCheckIn(owner, { phase: 'pre', mood: 4 }),
+      other.recordCheckIn(owner, { phase: 'pre', mood: 6 })
+    ]);
+
+    expect((await moodCheckIns.getHistory(owner)).checkIns).toHaveLength(2);
+    expect(fs.readdirSync(dir)).toEqual(['moodCheckIns.json']);
+  });
+
+  test('should map mood onto the analytics sentiment scale', () => {
+    expect(moodCheckIns.toSentiment(1)).toBe(-1);
+    expect(moodCheckIns.toSentiment(10)).toBe(1);
+    expect(moodCheckIns.toSentiment(7)).toBe(0.33);
+  });
+});
+
+describe('Mood Check-In Routes', () => {
+  let app;
+  let dir;
+  let analytics;
+  let studentToken;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mood-'));
+    process.env.MOOD_CHECKINS_FILE = path.join(dir, 'moodCheckIns.json');
+    process.env.SESSIONS_FILE = path.join(dir, 'sessions.json');
+
+    analytics = new AnalyticsService({ storePath: path.join(dir, 'analytics.json') });
+    jest.isolateModules(() => {
+      app = express();
+      app.use(express.json());
+      app.locals.analyticsService = analytics;
+      app.use('/api/mood', require('../routes/mood'));
+    });
+
+    const sessions = new SessionStore();
+    const auth = new AuthMiddleware({ sessionStore: sessions });
+    await sessions.save({
+      id: 'session-student',
+      username: 'student',
+      role: 'student',
+      lastActivity: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      revokedAt: null
+    });
+    studentToken = auth.generateToken({ id: 3, username: 'student', role: 'student', sessionId: 'session-student' });
+  });
+
+  afterAll(async () => {
+    await analytics.store.queue;
+    delete process.env.MOOD_CHECKINS_FILE;
+    delete process.env.SESSIONS_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should give anonymous students a history token', async () => {
+    const pre = await request(app)
+      .post('/api/mood/check-ins')
+      .send({ phase: 'pre', mood: 4, emotions: ['stressed'] });
+
+    expect(pre.status).toBe(201);
+    expect(pre.body.historyToken).toMatch(/^[0-9a-f]{48}$/);
+
+    const post = await request(app)
+      .post('/api/mood/check-ins')
+      .set('X-Mood-Token', pre.body.historyToken)
+      .send({ phase: 'post', mood: 8, sessionId: pre.body.checkIn.sessionId });
+    expect(post.status).toBe(201);
+    expect(post.body.historyToken).toBeUndefined();
+
+    const history = await request(app)
+      .get('/api/mood/history')
+      .set('X-Mood-Token', pre.body.historyToken);
+    expect(history.status).toBe(200);
+    expect(history.body.data.summary).toMatchObject({ averageChange: 4, latestMood: 8 });
+
+    expect((await request(app).get('/api/mood/history')).status).toBe(401);
+  });
+
+  test('should keep signed-in students to their own history', async () => {
+    const saved = await request(app)
+      .post('/api/mood/check-ins')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ phase: 'pre', mood: 6, channel: 'voice' });
+    expect(saved.status).toBe(201);
+    expect(saved.body.historyToken).toBeUndefined();
+
+    const history = await request(app)
+      .get('/api/mood/history')
+      .set('Authorization', `Bearer ${studentToken}`);
+    expect(history.body.data.checkIns).toEqual([expect.objectContaining({ mood: 6, channel: 'voice' })]);
+  });
+
+  test('should reject bad input and feed valid check-ins to analytics', async () => {
+    const bad = await request(app)
+      .post('/api/mood/check-ins')
+      .send({ phase: 'pre', mood: 0 });
+    expect(bad.status).toBe(400);
+
+    const trends = analytics.getMoodTrends(1);
+    expect(trends).toHaveLength(1);
+    expect(trends[0]).toMatchObject({ checkIns: 3, avgMoodChange: 4 });
+  });
+});
@@ -0,0 +1,384 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const NotificationService = require('../services/notificationService');
+const CounselorCalendarService = require('../services/counselorCalendarService');
+const {
+  NotificationChannel,
+  SmtpChannel,
+  SmsChannel,
+  FileChannel
+} = require('../services/notificationChannels');
+
+const booking = (overrides = {}) => ({
+  id: 'booking-1',
+  preferredDate: '2030-01-15',
+  preferredTime: '10:00',
+  durationMinutes: 50,
+  sessionType: 'individual',
+  contactMethod: 'email',
+  contactInfo: 'student@campus.edu',
+  language: 'en',
+  assignedCounselor: 'counselor-meera',
+  status: 'confirmed',
+  createdAt: '2030-01-01T09:00:00.000Z',
+  updatedAt: '2030-01-01T09:00:00.000Z',
+  ...overrides
+});
+
+// Records messages, failing the first `failures` sends
+class RecordingChannel extends NotificationChannel {
+  constructor(name, failures = 0, permanent = false) {
+    super(name);
+    this.supportsAttachments = true;
+    this.failures = failures;
+    this.permanent = permanent;
+    this.sent = [];
+  }
+
+  async send(message) {
+    if (this.failures > 0) {
+      this.failures--;
+      throw NotificationChannel.deliveryError('Gateway unavailable', this.permanent);
+    }
+    this.sent.push(message);
+    return { reference: `ref-${this.sent.length}` };
+  }
+}
+
+describe('NotificationService', () => {
+  let dir;
+  let email;
+  let service;
+
+  const createService = (options = {}) => new NotificationService({
+    logFile: path.join(dir, 'notification-log.json'),
+    calendar: new CounselorCalendarService(),
+    channels: { email },
+    retryBaseMs: 1000,
+    maxAttempts: 3,
+    ...options
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-'));
+    email = new RecordingChannel('email');
+    service = createService();
+  });
+
+  afterEach(() => {
+    service.destroy();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('Templates', () => {
+    test('should render booking details in English', () => {
+      const message = service.render('confirmation', booking());
+
+      expect(message.language).toBe('en');
+      expect(message.subject).toBe('Your counseling appointment on 2030-01-15');
+      expect(message.text).toContain('individual counseling appointment is booked for 2030-01-15 at 10:00 (50 minutes) with Dr. Meera Kulkarni');
+      expect(message.text).toContain('14416');
+      expect(message.text).not.toMatch(/\{\w+\}/);
+    });
+
+    test('should render every template in Marathi', () => {
+      ['confirmation', 'rescheduled', 'cancelled', 'reminder-24h', 'reminder-1h'].forEach(type => {
+        const message = service.render(type, booking({ language: 'mr' }));
+
+        expect(message.language).toBe('mr');
+        expect(message.text).toContain('भेट');
+        expect(message.text).not.toMatch(/\{\w+\}/);
+        expect(message.subject).not.toMatch(/\{\w+\}/);
+      });
+    });
+
+    test('should fall back to English for other languages', () => {
+      expect(service.render('cancelled', booking({ language: 'fr' })).language).toBe('en');
+    });
+  });
+
+  describe('Delivery', () => {
+    test('should send a booking notice once and log it without the message text', async () => {
+      const first = await service.notifyBooking('confirmation', booking());
+      const again = await service.notifyBooking('confirmation', booking());
+
+      expect(first.status).toBe('sent');
+      expect(again).toBeNull();
+      expect(email.sent[0].attachments[0].content).toContain('METHOD:REQUEST');
+      expect(email.sent).toHaveLength(1);
+      expect(email.sent[0].to).toBe('student@campus.edu');
+
+      const [entry] = await service.getDeliveryLog({ bookingId: 'booking-1' });
+      expect(entry).toEqual(expect.objectContaining({ type: 'confirmation', channel: 'email', status: 'sent', attempts: 1 }));
+      expect(entry.to).toBe('s***@campus.edu');
+      expect(entry.text).toBeUndefined();
+    });
+
+    test('should keep deliveries logged at the same time by two instances', async () => {
+      const other = createService();
+      try {
+        await Promise.all([
+          service.notifyBooking('confirmation', booking()),
+          other.notifyBooking('confirmation', booking({ id: 'booking-2' }))
+        ]);
+
+        const log = await service.getDeliveryLog();
+        expect(log.map(entry => entry.bookingId).sort()).toEqual(['booking-1', 'booking-2']);
+        expect(log.every(entry => entry.status === 'sent')).toBe(true);
+      } finally {
+        other.destroy();
+      }
+    });
+
+    test('should retry with exponential backoff until the send succeeds', async () => {
+      email.failures = 2;
+      const now = new Date('2030-01-01T10:00:00.000Z');
+
+      const record = await service.notifyBooking('confirmation', booking(), now);
+      expect(record.status).toBe('retrying');
+      expect(record.nextAttemptAt).toBe('2030-01-01T10:00:01.000Z');
+
+      // Not due yet
+      expect(await service.retryDue(new Date('2030-01-01T10:00:00.500Z'))).toBe(0);
+
+      expect(await service.retryDue(new Date('2030-01-01T10:00:01.000Z'))).toBe(1);
+      let [entry] = await service.getDeliveryLog();
+      expect(entry.status).toBe('retrying');
+      expect(entry.nextAttemptAt).toBe('2030-01-01T10:00:03.000Z');
+
+      await service.retryDue(new Date('2030-01-01T10:00:03.000Z'));
+      [entry] = await service.getDeliveryLog();
+      expect(entry.status).toBe('sent');
+      expect(entry.attempts).toBe(3);
+      expect(email.sent).toHaveLength(1);
+    });
+
+    test('should give up after the last attempt or a permanent error', async () => {
+      email.failures = 10;
+      const now = new Date('2030-01-01T10:00:00.000Z');
+
+      await service.notifyBooking('confirmation', booking(), now);
+      await service.retryDue(new Date('2030-01-01T10:00:01.000Z'));
+      await service.retryDue(new Date('2030-01-01T10:00:03.000Z'));
+
+      let [entry] = await service.getDeliveryLog();
+      expect(entry.status).toBe('failed');
+      expect(entry.attempts).toBe(3);
+      expect(entry.lastError).toBe('Gateway unavailable');
+
+      email = new RecordingChannel('email', 1, true);
+      service = createService({ logFile: path.join(dir, 'permanent-log.json') });
+      const record = await service.notifyBooking('confirmation', booking());
+      expect(record.status).toBe('failed');
+      expect(record.attempts).toBe(1);
+    });
+
+    test('should log a failure when the contact method has no channel', async () => {
+      const record = await service.notifyBooking('confirmation', booking({ contactMethod: 'phone', contactInfo: '9876543210' }));
+
+      expect(record.status).toBe('failed');
+      expect(record.to).toBe('***3210');
+    });
+  });
+
+  describe('Reminders', () => {
+    test('should send the 24h and 1h reminders once each', async () => {
+      const upcoming = booking();
+      const at = time => new Date(`2030-01-${time}`);
+
+      expect(await service.sendDueReminders([upcoming], at('14T09:00:00'))).toHaveLength(0);
+
+      const dayBefore = await service.sendDueReminders([upcoming], at('14T10:05:00'));
+      expect(dayBefore.map(r => r.type)).toEqual(['reminder-24h']);
+      expect(await service.sendDueReminders([upcoming], at('14T12:00:00'))).toHaveLength(0);
+
+      const hourBefore = await service.sendDueReminders([upcoming], at('15T09:01:00'));
+      expect(hourBefore.map(r => r.type)).toEqual(['reminder-1h']);
+      expect(await service.sendDueReminders([upcoming], at('15T09:30:00'))).toHaveLength(0);
+
+      expect(email.sent.map(message => message.type)).toEqual(['reminder-24h', 'reminder-1h']);
+    });
+
+    test('should skip reminders for cancelled, past or just-booked appointments', async () => {
+      const now = new Date('2030-01-15T09:30:00');
+
+      const sent = await service.sendDueReminders([
+        booking({ id: 'cancelled', status: 'cancelled' }),
+        booking({ id: 'past', preferredTime: '09:00' }),
+        booking({ id: 'just-booked', createdAt: new Date('2030-01-15T09:20:00').toISOString() })
+      ], now);
+
+      expect(sent).toHaveLength(0);
+    });
+
+    test('should remind again after a booking is rescheduled', async () => {
+      await service.sendDueReminders([booking()], new Date('2030-01-14T11:00:00'));
+
+      const moved = booking({
+        preferredDate: '2030-01-16',
+        rescheduledAt: new Date('2030-01-14T12:00:00').toISOString()
+      });
+      const sent = await service.sendDueReminders([moved], new Date('2030-01-15T11:00:00'));
+
+      expect(sent.map(r => r.type)).toEqual(['reminder-24h']);
+    });
+
+    test('should run reminders and retries from the booking source', async () => {
+      email.failures = 1;
+      const source = { loadBookings: jest.fn().mockResolvedValue([booking()]) };
+
+      await service.runScheduledTasks(source, new Date('2030-01-14T11:00:00'));
+      await service.runScheduledTasks(source, new Date('2030-01-14T11:01:00'));
+
+      expect(source.loadBookings).toHaveBeenCalledTimes(2);
+      expect(email.sent).toHaveLength(1);
+    });
+  });
+});
+
+describe('Notification Channels', () => {
+  test('should append messages to the file outbox', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    const filePath = path.join(dir, 'outbox.jsonl');
+    const channel = new FileChannel('sms', { filePath });
+
+    await channel.send({ to: '9876543210', subject: 'Hello', text: 'First' });
+    await channel.send({ to: '9876543210', subject: 'Hello', text: 'Second' });
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.text)).toEqual(['First', 'Second']);
+    expect(lines[0].channel).toBe('sms');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should treat SMS gateway 4xx answers as permanent and 5xx as retryable', async () => {
+    const gatewayError = status => Object.assign(new Error('Request failed'), { response: { status } });
+    const http = { post: jest.fn() };
+    const channel = new SmsChannel({ url: 'http://sms.test/send', apiKey: 'key', http });
+
+    http.post.mockResolvedValueOnce({ data: { id: 'sms-1' } });
+    await expect(channel.send({ to: '9876543210', text: 'Hi', language: 'mr' })).resolves.toEqual({ reference: 'sms-1' });
+    expect(http.post.mock.calls[0][1]).toEqual(expect.objectContaining({ to: '9876543210', message: 'Hi', unicode: true }));
+
+    http.post.mockRejectedValueOnce(gatewayError(400));
+    await expect(channel.send({ to: 'bad', text: 'Hi' })).rejects.toMatchObject({ permanent: true });
+
+    http.post.mockRejectedValueOnce(gatewayError(503));
+    await expect(channel.send({ to: '9876543210', text: 'Hi' })).rejects.toMatchObject({ permanent: false });
+  });
+
+  describe('SMTP', () => {
+    let server;
+    let port;
+    let received;
+    let rejectRecipient;
+
+    beforeAll(done => {
+      server = net.createServer(socket => {
+        let inData = false;
+        let buffer = '';
+        socket.write('220 test ESMTP\r\n');
+
+        socket.on('data', chunk => {
+          buffer += chunk.toString('utf8');
+          let lineEnd;
+          while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, lineEnd);
+            buffer = buffer.slice(lineEnd + 2);
+
+            if (inData) {
+              if (line === '.') {
+                inData = false;
+                socket.write('250 2.0.0 queued as ABC123\r\n');
+              } else {
+                received.data.push(line);
+              }
+              continue;
+            }
+
+            received.commands.push(line);
+            if (line.startsWith('EHLO')) {
+              socket.write('250-test\r\n250 AUTH LOGIN\r\n');
+            } else if (line === 'AUTH LOGIN' || received.commands[received.commands.length - 2] === 'AUTH LOGIN') {
+              socket.write('334 VXNlcm5hbWU6\r\n');
+            } else if (received.commands[received.commands.length - 3] === 'AUTH LOGIN') {
+              socket.write('235 Authenticated\r\n');
+            } else if (line.startsWith('RCPT TO')) {
+              socket.write(rejectRecipient ? '550 No such user\r\n' : '250 OK\r\n');
+            } else if (line === 'DATA') {
+              inData = true;
+              socket.write('354 Go ahead\r\n');
+            } else if (line === 'QUIT') {
+              socket.end('221 Bye\r\n');
+            } else {
+              socket.write('250 OK\r\n');
+            }
+          }
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    beforeEach(() => {
+      received = { commands: [], data: [] };
+      rejectRecipient = false;
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    test('should authenticate and send a UTF-8 message', async () => {
+      const channel = new SmtpChannel({ host: '127.0.0.1', port, secure: false, user: 'mailer', pass: 'secret', from: 'care@campus.edu' });
+
+      const result = await channel.send({ to: 'student@campus.edu', subject: 'समुपदेशन भेट', text: 'तुमची भेट बुक झाली आहे.' });
+
+      expect(result.reference).toContain('queued as ABC123');
+      expect(received.commands).toEqual(expect.arrayContaining([
+        Buffer.from('mailer').toString('base64'),
+        'MAIL FROM:<care@campus.edu>',
+        'RCPT TO:<student@campus.edu>'
+      ]));
+
+      const headerEnd = received.data.indexOf('');
+      const subject = received.data.find(line => line.startsWith('Subject:'));
+      expect(Buffer.from(subject.match(/B\?(.*)\?=/)[1], 'base64').toString('utf8')).toBe('समुपदेशन भेट');
+      expect(Buffer.from(received.data.slice(headerEnd + 1).join(''), 'base64').toString('utf8')).toBe('तुमची भेट बुक झाली आहे.');
+    });
+
+    test('should send attachments as multipart/mixed', async () => {
+      const channel = new SmtpChannel({ host: '127.0.0.1', port, secure: false });
+      const invite = 'BEGIN:VCALENDAR\r\nMETHOD:REQUEST\r\nEND:VCALENDAR\r\n';
+
+      await channel.send({
+        to: 'student@campus.edu',
+        subject: 'Appointment',
+        text: 'See the attached invite.',
+        attachments: [{ filename: 'appointment.ics', contentType: 'text/calendar; method=REQUEST; charset=utf-8', content: invite }]
+      });
+
+      const boundary = received.data.find(line => line.startsWith('Content-Type: multipart/mixed')).match(/boundary="(.*)"/)[1];
+      expect(received.data.filter(line => line === `--${boundary}`)).toHaveLength(2);
+      expect(received.data).toContain(`--${boundary}--`);
+      expect(received.data).toContain('Content-Disposition: attachment; filename="appointment.ics"');
+
+      const start = received.data.indexOf('Content-Disposition: attachment; filename="appointment.ics"') + 3;
+      const end = received.data.indexOf(`--${boundary}--`);
+      expect(Buffer.from(received.data.slice(start, end).join(''), 'base64').toString('utf8')).toBe(invite);
+    });
+
+    test('should report a rejected recipient as a permanent failure', async () => {
+      rejectRecipient = true;
+      const channel = new SmtpChannel({ host: '127.0.0.1', port, secure: false });
+
+      await expect(channel.send({ to: 'nobody@campus.edu', subject: 'Hi', text: 'Hi' }))
+        .rejects.toMatchObject({ permanent: true, message: 'SMTP 550 No such user' });
+    });
+  });
+});
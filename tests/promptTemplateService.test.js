@@ -0,0 +1,256 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const PromptTemplateService = require('../services/promptTemplateService');
+const ConversationalAIService = require('../services/conversationalAIService');
+const { MockLLMProvider } = require('../services/llmProviders');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const SessionStore = require('../services/sessionStore');
+
+const NEW_SYSTEM_PROMPT = 'You support students at {campusName}. Counselors are in {counselorHours}. Reply in {languageName}. In a crisis call {crisisResources}.';
+
+describe('PromptTemplateService', () => {
+  let storePath;
+  let prompts;
+
+  beforeEach(() => {
+    storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-')), 'promptTemplates.json');
+    prompts = new PromptTemplateService({ storePath });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
+  });
+
+  test('should start from the built-in templates', () => {
+    const templates = prompts.listTemplates();
+
+    expect(templates.map(t => t.id)).toEqual(['system', 'crisis', 'summary']);
+    expect(templates[0]).toMatchObject({ activeVersion: 1, latestVersion: 1 });
+    expect(fs.existsSync(storePath)).toBe(false);
+  });
+
+  test('should fill in regional helplines and the caller\'s message', () => {
+    const rendered = prompts.render('crisis', {
+      region: { country: 'US' },
+      userMessage: 'I can\'t go on'
+    });
+
+    expect(rendered).toMatchObject({ template: 'crisis', version: 1 });
+    expect(rendered.text).toContain('988');
+    expect(rendered.text).toContain('User expressed: I can\'t go on');
+    expect(rendered.text).not.toMatch(/\{\w+\}/);
+  });
+
+  test('should keep new versions inactive until activated', async () => {
+    const version = await prompts.createVersion('system', { content: NEW_SYSTEM_PROMPT, note: 'Campus details' }, 'counselor1');
+
+    expect(version).toMatchObject({ version: 2, note: 'Campus details', createdBy: 'counselor1' });
+    expect(prompts.render('system').version).toBe(1);
+
+    await prompts.activateVersion('system', 2, 'admin');
+    const rendered = prompts.render('system', { region: { language: 'hi' } });
+
+    expect(rendered.version).toBe(2);
+    expect(rendered.text).toContain('Reply in Hindi');
+    expect(rendered.text).toContain('Monday to Friday');
+  });
+
+  test('should reject unknown or missing placeholders', async () => {
+    await expect(prompts.createVersion('system', { content: 'Hello {studentName}. Call {crisisResources}.' }))
+      .rejects.toThrow(/Unknown placeholder\(s\) \{studentName\}/);
+    await expect(prompts.createVersion('system', { content: 'Be kind and brief.' }))
+      .rejects.toThrow(/must include \{crisisResources\}/);
+    expect(await prompts.createVersion('welcome', { content: 'Hi' })).toBeNull();
+  });
+
+  test('should preview unsaved content with campus variables', async () => {
+    await prompts.updateVariables({
+      defaults: { campusName: 'Aarogya University' },
+      campuses: { north: { campusName: 'North Campus', counselorHours: '10am to 6pm' } }
+    });
+
+    const preview = prompts.preview('system', { content: NEW_SYSTEM_PROMPT, region: { campus: 'north' } });
+
+    expect(preview.version).toBeNull();
+    expect(preview.text).toContain('students at North Campus');
+    expect(preview.text).toContain('Counselors are in 10am to 6pm');
+    await expect(prompts.updateVariables({ defaults: { secret: 'x' } })).rejects.toThrow(/Unknown prompt variable/);
+  });
+
+  test('should roll back to the previously active version', async () => {
+    await expect(prompts.rollback('system', 'admin')).rejects.toThrow(/no earlier version/);
+
+    await prompts.createVersion('system', { content: NEW_SYSTEM_PROMPT }, 'counselor1');
+    await prompts.activateVersion('system', 2, 'admin');
+    const rolledBack = await prompts.rollback('system', 'admin');
+
+    expect(rolledBack.activeVersion).toBe(1);
+    expect(rolledBack.activations[rolledBack.activations.length - 1]).toMatchObject({ version: 1, rollback: true, activatedBy: 'admin' });
+  });
+
+  test('should pick up activations made by another process', async () => {
+    await prompts.createVersion('system', { content: NEW_SYSTEM_PROMPT });
+    const stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    stored.templates.find(template => template.id === 'system').activeVersion = 2;
+    fs.writeFileSync(storePath, JSON.stringify(stored));
+
+    // Force a different mtime in case both writes land in the same tick
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(storePath, future, future);
+
+    // Renders only check the file again once the reload interval has passed
+    expect(prompts.render('system').version).toBe(1);
+    jest.spyOn(Date, 'now').mockReturnValue(prompts.storeFile.checkedAt + prompts.reloadIntervalMs);
+    expect(prompts.render('system').version).toBe(2);
+    jest.restoreAllMocks();
+  });
+
+  test('should not lose concurrent edits', async () => {
+    const other = new PromptTemplateService({ storePath });
+
+    await prompts.createVersion('system', { content: NEW_SYSTEM_PROMPT });
+    await other.createVersion('system', { content: `${NEW_SYSTEM_PROMPT} Be brief.` });
+
+    expect(new PromptTemplateService({ storePath }).getTemplate('system').versions).toHaveLength(3);
+    expect(fs.readdirSync(path.dirname(storePath)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('should record the prompt version with each chat reply', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const provider = new MockLLMProvider();
+    const ai = new ConversationalAIService({ providers: [provider], prompts });
+    jest.spyOn(ai.cachingService, 'getCachedResponse').mockReturnValue(null);
+
+    await prompts.createVersion('system', { content: NEW_SYSTEM_PROMPT });
+    await prompts.activateVersion('system', 2, 'admin');
+    const result = await ai.processMessage('My coursework deadlines keep piling up', null, {});
+
+    expect(result.prompt).toEqual({ template: 'system', version: 2 });
+    expect(provider.calls[0][0].content).toContain('You support students at your campus');
+
+    const messages = ai.sessionManager.getSession(result.sessionId).context.messages;
+    expect(messages[messages.length - 1].prompt).toEqual({ template: 'system', version: 2 });
+
+    jest.restoreAllMocks();
+  });
+});
+
+describe('Prompt Routes', () => {
+  let app;
+  let storePath;
+  let adminToken;
+  let counselorToken;
+  let studentToken;
+
+  beforeAll(async () => {
+    storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-')), 'promptTemplates.json');
+    process.env.PROMPT_TEMPLATES_FILE = storePath;
+    process.env.SESSIONS_FILE = path.join(path.dirname(storePath), 'sessions.json');
+
+    jest.isolateModules(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/prompts', require('../routes/prompts'));
+    });
+
+    // Tokens are only honoured while their session is live
+    const sessions = new SessionStore();
+    const auth = new AuthMiddleware({ sessionStore: sessions });
+    const tokenFor = async user => {
+      await sessions.save({
+        id: `session-${user.username}`,
+        username: user.username,
+        role: user.role,
+        lastActivity: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        revokedAt: null
+      });
+      return auth.generateToken({ ...user, sessionId: `session-${user.username}` });
+    };
+    adminToken = await tokenFor({ id: 1, username: 'admin', role: 'admin' });
+    counselorToken = await tokenFor({ id: 2, username: 'counselor1', role: 'counselor' });
+    studentToken = await tokenFor({ id: 3, username: 'student', role: 'student' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    delete process.env.PROMPT_TEMPLATES_FILE;
+    delete process.env.SESSIONS_FILE;
+    fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
+  });
+
+  test('should only show templates to staff', async () => {
+    const anonymous = await request(app).get('/api/prompts');
+    expect(anonymous.status).toBe(401);
+
+    const student = await request(app)
+      .get('/api/prompts')
+      .set('Authorization', `Bearer ${studentToken}`);
+    expect(student.status).toBe(403);
+
+    const counselor = await request(app)
+      .get('/api/prompts/system')
+      .set('Authorization', `Bearer ${counselorToken}`);
+    expect(counselor.status).toBe(200);
+    expect(counselor.body.template.versions).toHaveLength(1);
+
+    const missing = await request(app)
+      .get('/api/prompts/welcome')
+      .set('Authorization', `Bearer ${counselorToken}`);
+    expect(missing.status).toBe(404);
+  });
+
+  test('should let counselors draft and preview but only admins activate', async () => {
+    const invalid = await request(app)
+      .post('/api/prompts/system/versions')
+      .set('Authorization', `Bearer ${counselorToken}`)
+      .send({ content: 'No helplines here' });
+    expect(invalid.status).toBe(400);
+
+    const created = await request(app)
+      .post('/api/prompts/system/versions')
+      .set('Authorization', `Bearer ${counselorToken}`)
+      .send({ content: NEW_SYSTEM_PROMPT, note: 'Add campus details' });
+    expect(created.status).toBe(201);
+    expect(created.body.version.version).toBe(2);
+
+    const preview = await request(app)
+      .post('/api/prompts/system/preview')
+      .set('Authorization', `Bearer ${counselorToken}`)
+      .send({ version: 2, country: 'US' });
+    expect(preview.status).toBe(200);
+    expect(preview.body.preview.text).toContain('988');
+
+    const forbidden = await request(app)
+      .post('/api/prompts/system/activate')
+      .set('Authorization', `Bearer ${counselorToken}`)
+      .send({ version: 2 });
+    expect(forbidden.status).toBe(403);
+
+    const activated = await request(app)
+      .post('/api/prompts/system/activate')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ version: 2 });
+    expect(activated.status).toBe(200);
+    expect(activated.body.template.activeVersion).toBe(2);
+
+    const rolledBack = await request(app)
+      .post('/api/prompts/system/rollback')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(rolledBack.status).toBe(200);
+    expect(rolledBack.body.template.activeVersion).toBe(1);
+  });
+
+  test('should reject activating a version that does not exist', async () => {
+    const response = await request(app)
+      .post('/api/prompts/crisis/activate')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ version: 9 });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const ResourceDirectoryService = require('../services/resourceDirectoryService');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const SessionStore = require('../services/sessionStore');
+
+const seedPath = path.join(__dirname, '..', 'data', 'crisisResources.json');
+
+describe('ResourceDirectoryService', () => {
+  let storePath;
+  let directory;
+
+  beforeEach(() => {
+    storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'resources-')), 'crisisResources.json');
+    fs.copyFileSync(seedPath, storePath);
+    directory = new ResourceDirectoryService({ storePath });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
+  });
+
+  describe('Region Selection', () => {
+    test('should default to Indian national helplines', () => {
+      const resources = directory.getResources();
+      const phones = resources.map(r => r.phoneNumber);
+
+      expect(phones).toContain('14416');
+      expect(phones).toContain('1800-599-0019');
+      expect(phones).not.toContain('988');
+    });
+
+    test('should only include campus resources for the matching campus', () => {
+      const onCampus = directory.getResources({ campus: 'main' }).map(r => r.id);
+      const offCampus = directory.getResources({ campus: 'other' }).map(r => r.id);
+
+      expect(onCampus).toContain('campus-main-counseling');
+      expect(offCampus).not.toContain('campus-main-counseling');
+    });
+
+    test('should only include state resources for the matching state', () => {
+      expect(directory.getResources({ state: 'MH' }).map(r => r.id)).toContain('in-mh-mpower');
+      expect(directory.getResources({ state: 'KA' }).map(r => r.id)).not.toContain('in-mh-mpower');
+    });
+
+    test('should not carry the default state or campus into another country', () => {
+      const resources = directory.getResources({ country: 'us' });
+
+      expect(resources.every(r => r.scope.country === 'US')).toBe(true);
+      expect(resources[0].phoneNumber).toBe('911');
+    });
+
+    test('should fall back to the default region for a country without entries', () => {
+      const resources = directory.getResources({ country: 'GB', language: 'mr' });
+      const phones = resources.map(r => r.phoneNumber);
+
+      expect(phones).toContain('14416');
+      expect(phones).not.toContain('911');
+      expect(resources.find(r => r.id === 'in-tele-manas').name).toBe('टेली-मानस');
+      expect(directory.getResourcesForSeverity('high', { country: 'GB' }).length).toBeGreaterThan(0);
+      expect(directory.getEmergencyNumber({ country: 'GB' }).phoneNumber).toBe('112');
+    });
+
+    test('should localize names and availability', () => {
+      const [teleManas] = directory.getResources({ language: 'mr', type: 'emergency' })
+        .filter(r => r.id === 'in-tele-manas');
+
+      expect(teleManas.name).toBe('टेली-मानस');
+      expect(teleManas.availability).toBe('२४/७');
+      expect(teleManas.phoneNumber).toBe('14416');
+    });
+
+    test('should read the region from request headers and query', () => {
+      const region = directory.getRegionFromRequest({
+        headers: { 'x-country': 'in', 'x-campus': 'main', 'accept-language': 'mr-IN,en;q=0.8' },
+        query: { state: 'mh' },
+        body: {}
+      });
+
+      expect(region).toEqual({ country: 'IN', state: 'MH', campus: 'main', language: 'mr' });
+    });
+  });
+
+  describe('Severity Selection', () => {
+    test('should put the emergency number first for immediate danger', () => {
+      const [first] = directory.getResourcesForSeverity('immediate');
+      expect(first.phoneNumber).toBe('112');
+      expect(first.emergencyNumber).toBe(true);
+    });
+
+    test('should leave the emergency number out below immediate danger', () => {
+      const resources = directory.getResourcesForSeverity('high');
+      expect(resources.some(r => r.emergencyNumber)).toBe(false);
+      expect(resources[0].phoneNumber).toBe('14416');
+    });
+
+    test('should format resources as chat lines', () => {
+      const lines = directory.formatResourceLines(directory.getResourcesForSeverity('immediate').slice(0, 2));
+      expect(lines).toBe('🚨 **Emergency Services: 112**\n📞 **Tele-MANAS: 14416**');
+    });
+  });
+
+  describe('Directory Editing', () => {
+    test('should create, update and delete entries', async () => {
+      const created = await directory.createEntry({
+        name: 'Hostel Warden Helpline',
+        phoneNumber: '020-1234-5678',
+        type: 'peer-support',
+        scope: { country: 'in', campus: 'main' }
+      });
+
+      expect(created.scope).toEqual(expect.objectContaining({ country: 'IN', campus: 'main' }));
+      expect(directory.getEntry(created.id)).toBeTruthy();
+
+      const updated = await directory.updateEntry(created.id, { availability: '9pm-6am' });
+      expect(updated.availability).toBe('9pm-6am');
+
+      expect(await directory.deleteEntry(created.id)).toBe(true);
+      expect(directory.getEntry(created.id)).toBeNull();
+    });
+
+    test('should reject entries without a way to reach them', async () => {
+      await expect(directory.createEntry({ name: 'No contact', type: 'counseling' }))
+        .rejects.toThrow('Resource needs a phone number or website');
+    });
+
+    test('should reject unknown resource types', async () => {
+      await expect(directory.createEntry({ name: 'X', phoneNumber: '1', type: 'other' }))
+        .rejects.toThrow('Resource type must be one of');
+    });
+
+    test('should share edits with other instances through the store', async () => {
+      const other = new ResourceDirectoryService({ storePath });
+      await directory.updateEntry('in-tele-manas', { phoneNumber: '14416' });
+      expect(other.getEntry('in-tele-manas').phoneNumber).toBe('14416');
+    });
+
+    test('should pick up edits from other processes once the reload interval passes', () => {
+      const other = new ResourceDirectoryService({ storePath });
+      const stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      stored.find(entry => entry.id === 'in-tele-manas').priority = 0;
+      fs.writeFileSync(storePath, JSON.stringify(stored));
+
+      // Force a different mtime in case both writes land in the same tick
+      const future = new Date(Date.now() + 5000);
+      fs.utimesSync(storePath, future, future);
+
+      // The file is only checked again once the reload interval has passed
+      expect(other.getResourcesForSeverity('immediate')[0].id).not.toBe('in-tele-manas');
+      jest.spyOn(Date, 'now').mockReturnValue(other.storeFile.checkedAt + other.reloadIntervalMs);
+      expect(other.getResourcesForSeverity('immediate')[0].id).toBe('in-tele-manas');
+      jest.restoreAllMocks();
+    });
+
+    test('should not lose concurrent writes', async () => {
+      await Promise.all([
+        directory.updateEntry('in-tele-manas', { availability: 'Always' }),
+        directory.createEntry({ name: 'Night line', phoneNumber: '12345', type: 'counseling' }),
+        directory.createEntry({ name: 'Peer desk', website: 'https://peers.example', type: 'peer-support' })
+      ]);
+
+      const stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      expect(stored.map(entry => entry.name)).toEqual(expect.arrayContaining(['Night line', 'Peer desk']));
+      expect(fs.readdirSync(path.dirname(storePath)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+    });
+  });
+});
+
+describe('Resource Routes', () => {
+  let app;
+  let storePath;
+  let adminToken;
+  let studentToken;
+
+  beforeAll(async () => {
+    storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'resources-')), 'crisisResources.json');
+    fs.copyFileSync(seedPath, storePath);
+    process.env.CRISIS_RESOURCES_FILE = storePath;
+    process.env.SESSIONS_FILE = path.join(path.dirname(storePath), 'sessions.json');
+
+    jest.isolateModules(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/resources', require('../routes/resources'));
+    });
+
+    // Tokens are only honoured while their session is live
+    const sessions = new SessionStore();
+    const auth = new AuthMiddleware({ sessionStore: sessions });
+    const tokenFor = async user => {
+      await sessions.save({
+        id: `session-${user.username}`,
+        username: user.username,
+        role: user.role,
+        lastActivity: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        revokedAt: null
+      });
+      return auth.generateToken({ ...user, sessionId: `session-${user.username}` });
+    };
+    adminToken = await tokenFor({ id: 1, username: 'admin', role: 'admin' });
+    studentToken = await tokenFor({ id: 2, username: 'student', role: 'student' });
+  });
+
+  afterAll(() => {
+    delete process.env.CRISIS_RESOURCES_FILE;
+    delete process.env.SESSIONS_FILE;
+    fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
+  });
+
+  test('should return resources for the requested region', async () => {
+    const response = await request(app)
+      .get('/api/resources?severity=immediate')
+      .set('X-Country', 'US');
+
+    expect(response.status).toBe(200);
+    expect(response.body.region.country).toBe('US');
+    expect(response.body.resources[0].phoneNumber).toBe('911');
+  });
+
+  test('should require an admin to edit the directory', async () => {
+    const body = { name: 'Peer Line', phoneNumber: '123', type: 'peer-support', scope: { country: 'IN' } };
+
+    const anonymous = await request(app).post('/api/resources').send(body);
+    expect(anonymous.status).toBe(401);
+
+    const student = await request(app)
+      .post('/api/resources')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send(body);
+    expect(student.status).toBe(403);
+
+    const admin = await request(app)
+      .post('/api/resources')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body);
+    expect(admin.status).toBe(201);
+    expect(admin.body.entry.id).toBeDefined();
+  });
+
+  test('should reject invalid entries with 400', async () => {
+    const response = await request(app)
+      .post('/api/resources')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Broken', type: 'counseling' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should update and delete entries', async () => {
+    const updated = await request(app)
+      .put('/api/resources/in-kiran')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ availability: 'Mon-Sat' });
+
+    expect(updated.status).toBe(200);
+    expect(updated.body.entry.availability).toBe('Mon-Sat');
+
+    const removed = await request(app)
+      .delete('/api/resources/in-kiran')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(removed.status).toBe(200);
+
+    const missing = await request(app).get('/api/resources/in-kiran');
+    expect(missing.status).toBe(404);
+  });
+});
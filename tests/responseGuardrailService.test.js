@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const ResponseGuardrailService = require('../services/responseGuardrailService');
+const ResourceDirectoryService = require('../services/resourceDirectoryService');
+const ConversationalAIService = require('../services/conversationalAIService');
+const { MockLLMProvider } = require('../services/llmProviders');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const SessionStore = require('../services/sessionStore');
+
+describe('ResponseGuardrailService', () => {
+  let logFile;
+  let guardrails;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    logFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'guardrails-')), 'guardrail-log.json');
+    guardrails = new ResponseGuardrailService({ logFile });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(path.dirname(logFile), { recursive: true, force: true });
+  });
+
+  test('should pass safe replies through unchanged', () => {
+    const reply = 'I hear you. Exams can feel overwhelming, so try breaking revision into short blocks with breaks.';
+
+    const result = guardrails.check(reply);
+
+    expect(result).toEqual({ response: reply, interventions: [], blocked: false });
+  });
+
+  test('should block medication doses', () => {
+    const result = guardrails.check('That sounds hard. You could try 50mg of sertraline each morning to help.');
+
+    expect(result.blocked).toBe(true);
+    expect(result.interventions).toEqual([{ rule: 'medication-dosage', action: 'block' }]);
+    expect(result.response).toMatch(/not able to give advice about medication/);
+  });
+
+  test('should let supportive replies that advise against harm through', () => {
+    const replies = [
+      "Please don't give up on yourself. You have come through hard weeks before.",
+      'Try to avoid skipping meals during exam week, even a small snack helps.',
+      "Don't stop taking your medication without talking to your doctor first.",
+      'Drink 500 ml of water and take a short walk before you sit down to revise.',
+      'If the side effects bother you, talk to your doctor before you increase your dose.',
+      'It is not true that nobody would miss you.'
+    ];
+
+    replies.forEach(reply => {
+      expect(guardrails.check(reply)).toEqual({ response: reply, interventions: [], blocked: false });
+    });
+    expect(guardrails.scan("Please don't stop taking your medication")).toEqual([]);
+  });
+
+  test('should still block replies that recommend the harmful action', () => {
+    const rule = reply => guardrails.check(reply).interventions.map(i => i.rule);
+
+    expect(rule('Honestly, you might as well give up on yourself.')).toEqual(['harmful-encouragement']);
+    expect(rule('Why not just starve yourself before the weigh-in?')).toEqual(['harmful-encouragement']);
+    expect(rule('You could just skip meals until the exams are over.')).toEqual(['harmful-encouragement']);
+    expect(rule('You should stop taking your medication if it feels pointless.')).toEqual(['harmful-encouragement']);
+    expect(rule("Don't worry, just take 10 ml of the syrup at night.")).toEqual(['medication-dosage']);
+    // A negation in an earlier clause does not cover the advice that follows
+    expect(rule("Don't panic, but you should stop taking your meds.")).toEqual(['harmful-encouragement']);
+  });
+
+  test('should replace replies that mention methods with crisis resources', () => {
+    const result = guardrails.check('Some people think about jumping off a bridge when they feel this way.', {
+      region: { country: 'US' }
+    });
+
+    expect(result.interventions[0]).toEqual({ rule: 'method-mention', action: 'block' });
+    expect(result.response).toContain('988');
+    expect(result.response).not.toMatch(/bridge/);
+  });
+
+  test('should remove diagnoses and persona breaks but keep the rest of the reply', () => {
+    const result = guardrails.check(
+      'As an AI language model, I cannot feel what you feel. It sounds like you have clinical depression. ' +
+      'Talking to a campus counselor could really help you sort through this.'
+    );
+
+    expect(result.blocked).toBe(false);
+    expect(result.interventions.map(i => i.rule)).toEqual(['diagnosis', 'persona-break']);
+    expect(result.response).toBe('Talking to a campus counselor could really help you sort through this.');
+  });
+
+  test('should block replies that repeat the system prompt', () => {
+    const systemPrompt = 'You are MindCare.\n• Give 1-2 practical tips they can use right now and keep it short';
+
+    const result = guardrails.check('Sure! I was told to give 1-2 practical tips they can use right now and keep it short.', { systemPrompt });
+
+    expect(result.interventions).toEqual([{ rule: 'prompt-leak', action: 'block' }]);
+    expect(result.response).toMatch(/support you the best way I can/);
+  });
+
+  test('should make sure crisis replies carry crisis resources', () => {
+    const context = { crisis: true, severity: 'high', region: { country: 'IN' } };
+
+    const missing = guardrails.check("I'm very concerned about you. You're not alone.", context);
+    expect(missing.interventions).toEqual([{ rule: 'crisis-resources', action: 'append' }]);
+    expect(missing.response).toContain('14416');
+
+    const present = guardrails.check("I'm very concerned about you. Please call Tele-MANAS on 14416 now.", context);
+    expect(present.interventions).toEqual([]);
+  });
+
+  test('should fall back to other helplines when the region has none for the severity', () => {
+    const storePath = path.join(path.dirname(logFile), 'crisisResources.json');
+    const seed = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'crisisResources.json'), 'utf8'));
+    fs.writeFileSync(storePath, JSON.stringify(seed.concat({
+      id: 'gb-peer-line', name: 'Student Peer Line', phoneNumber: '0800 000 0000', type: 'peer-support', scope: { country: 'GB' }
+    })));
+    const regional = new ResponseGuardrailService({ logFile, resourceDirectory: new ResourceDirectoryService({ storePath }) });
+
+    const result = regional.check("I'm very concerned about you.", { crisis: true, severity: 'high', region: { country: 'GB' } });
+    const block = result.response.split('Please reach out for support right now:')[1];
+
+    expect(result.interventions).toEqual([{ rule: 'crisis-resources', action: 'append' }]);
+    expect(block.trim()).not.toBe('');
+    expect(block).toContain('14416');
+  });
+
+  test('should flag block rules on a partial stream', () => {
+    expect(guardrails.scan('You could take a short walk and')).toEqual([]);
+    expect(guardrails.scan('You could take a short walk and 20 mg')).toEqual(['medication-dosage']);
+  });
+
+  test('should log each intervention with the rule that fired', async () => {
+    guardrails.check('Honestly nobody would miss you.', { sessionId: 'abcdef1234567890', source: 'stream' });
+    guardrails.check('Increase your dose tonight.', { sessionId: 'abcdef1234567890' });
+    await guardrails.queue;
+
+    const entries = await guardrails.getInterventions();
+    expect(entries.map(e => e.rule)).toEqual(['medication-dosage', 'harmful-encouragement']);
+    expect(entries[1]).toMatchObject({ action: 'block', source: 'stream', excerpt: 'nobody would miss you' });
+    // Sessions are matched up by a short hash, never stored as is
+    expect(entries[0].session).toMatch(/^[0-9a-f]{12}$/);
+    expect(entries[0].session).toBe(entries[1].session);
+
+    expect(await guardrails.getInterventions({ source: 'stream' })).toHaveLength(1);
+    expect((await guardrails.getStats()).byRule['medication-dosage']).toEqual({ block: 1, redact: 0, append: 0 });
+  });
+
+  test('should keep the entries of every instance sharing the log', async () => {
+    const other = new ResponseGuardrailService({ logFile });
+
+    for (let i = 0; i < 5; i++) {
+      guardrails.check('Increase your dose tonight.', { source: 'chat' });
+      other.check('Increase your dose tonight.', { source: 'voice' });
+    }
+    await Promise.all([guardrails.queue, other.queue]);
+
+    expect(await guardrails.getInterventions({ source: 'chat' })).toHaveLength(5);
+    expect(await guardrails.getInterventions({ source: 'voice' })).toHaveLength(5);
+    expect(fs.readdirSync(path.dirname(logFile)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('should move a full log aside and keep reading the newest entries', async () => {
+    const small = new ResponseGuardrailService({ logFile, maxLogEntries: 4 });
+
+    for (let i = 0; i < 10; i++) {
+      small.check('Increase your dose tonight.', { sessionId: `session-${i}` });
+    }
+    await small.queue;
+
+    const entries = await small.getInterventions();
+    expect(entries).toHaveLength(4);
+    expect(entries[0].session).toBe(crypto.createHash('sha256').update('session-9').digest('hex').substring(0, 12));
+    expect(fs.existsSync(`${logFile}.1`)).toBe(true);
+  });
+});
+
+describe('Guardrails in the chat pipeline', () => {
+  let logFile;
+  let services;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    logFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'guardrails-')), 'guardrail-log.json');
+    services = [];
+  });
+
+  afterEach(async () => {
+    // Let the intervention log writes finish before their directory goes
+    for (const service of services) {
+      await service.guardrails.queue;
+      service.destroy();
+    }
+    jest.restoreAllMocks();
+    fs.rmSync(path.dirname(logFile), { recursive: true, force: true });
+  });
+
+  function createService(reply) {
+    const service = new ConversationalAIService({
+      providers: [new MockLLMProvider({ responses: [reply] })],
+      guardrails: new ResponseGuardrailService({ logFile })
+    });
+    jest.spyOn(service.cachingService, 'getCachedResponse').mockReturnValue(null);
+    services.push(service);
+    return service;
+  }
+
+  test('should replace an unsafe reply and report the rule', async () => {
+    const service = createService('I understand. Many students find that 10 mg of diazepam before exams helps them stay calm.');
+    const cacheTurn = jest.spyOn(service, '_cacheTurn');
+
+    const result = await service.processMessage('I get so nervous before my exams', null, {});
+
+    expect(result.message).toMatch(/not able to give advice about medication/);
+    expect(result.guardrails).toEqual([{ rule: 'medication-dosage', action: 'block' }]);
+    expect(cacheTurn).not.toHaveBeenCalled();
+  });
+
+  test('should add resources to a crisis reply that left them out', async () => {
+    const service = createService("I'm very concerned about you. You're not alone, and help is available.");
+
+    const result = await service.processMessage('I want to kill myself tonight', null, { region: { country: 'US' } });
+
+    expect(result.isCrisis).toBe(true);
+    expect(result.guardrails).toEqual([{ rule: 'crisis-resources', action: 'append' }]);
+    expect(result.message).toMatch(/988/);
+  });
+
+  test('should stop a stream as soon as a block rule fires', async () => {
+    const service = createService('I hear you. Some people take 20 mg of something to sleep, which could help you too.');
+    const shown = [];
+    const replaced = [];
+
+    const result = await service.streamMessage('I cannot sleep before exams', null, {}, 'en', {
+      onToken: text => shown.push(text),
+      onReplace: text => replaced.push(text)
+    });
+
+    expect(shown.join('')).not.toMatch(/20 mg/);
+    expect(replaced[replaced.length - 1]).toMatch(/not able to give advice about medication/);
+    expect(result.guardrails[0]).toEqual({ rule: 'medication-dosage', action: 'block' });
+  });
+});
+
+describe('Guardrail Monitoring Route', () => {
+  let app;
+  let logFile;
+  let counselorToken;
+  let studentToken;
+
+  beforeAll(async () => {
+    logFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'guardrails-')), 'guardrail-log.json');
+    process.env.GUARDRAIL_LOG_FILE = logFile;
+    process.env.SESSIONS_FILE = path.join(path.dirname(logFile), 'sessions.json');
+
+    jest.isolateModules(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/monitoring', require('../routes/monitoring'));
+    });
+
+    const sessions = new SessionStore();
+    const auth = new AuthMiddleware({ sessionStore: sessions });
+    const tokenFor = async user => {
+      await sessions.save({
+        id: `session-${user.username}`,
+        username: user.username,
+        role: user.role,
+        lastActivity: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        revokedAt: null
+      });
+      return auth.generateToken({ ...user, sessionId: `session-${user.username}` });
+    };
+    counselorToken = await tokenFor({ id: 2, username: 'counselor1', role: 'counselor' });
+    studentToken = await tokenFor({ id: 3, username: 'student', role: 'student' });
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const guardrails = new ResponseGuardrailService({ logFile });
+    guardrails.check('You should starve yourself before the weigh-in.', { source: 'chat' });
+    await guardrails.queue;
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    delete process.env.GUARDRAIL_LOG_FILE;
+    delete process.env.SESSIONS_FILE;
+    fs.rmSync(path.dirname(logFile), { recursive: true, force: true });
+  });
+
+  test('should list interventions for staff only', async () => {
+    const student = await request(app)
+      .get('/api/monitoring/guardrails')
+      .set('Authorization', `Bearer ${studentToken}`);
+    expect(student.status).toBe(403);
+
+    const counselor = await request(app)
+      .get('/api/monitoring/guardrails')
+      .set('Authorization', `Bearer ${counselorToken}`);
+
+    expect(counselor.status).toBe(200);
+    expect(counselor.body.data.interventions[0]).toMatchObject({ rule: 'harmful-encouragement', action: 'block' });
+    expect(counselor.body.data.stats.total).toBe(1);
+    expect(counselor.body.data.rules.map(r => r.id)).toContain('crisis-resources');
+  });
+});
@@ -0,0 +1,409 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const ScreeningService = require('../services/screeningService');
+const ScreeningHistoryService = require('../services/screeningHistoryService');
+const MemoryScreeningStore = require('../services/memoryScreeningStore');
+const FileScreeningStore = require('../services/fileScreeningStore');
+const MongoScreeningStore = require('../services/mongoScreeningStore');
+const AnalyticsPrivacyService = require('../services/analyticsPrivacyService');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const SessionStore = require('../services/sessionStore');
+
+const screening = new ScreeningService();
+
+// PHQ-9 with every item answered the same and item 9 set separately
+function phq9(value, item9 = 0) {
+  const responses = {};
+  for (let i = 1; i <= 8; i++) {
+    responses[`phq9_${i}`] = value;
+  }
+  return { ...responses, phq9_9: item9 };
+}
+
+describe('ScreeningHistoryService', () => {
+  let store;
+  let history;
+  let owner;
+
+  beforeEach(() => {
+    store = new MemoryScreeningStore();
+    history = new ScreeningHistoryService({ store, privacy: new AnalyticsPrivacyService({ minCellSize: 2 }) });
+    owner = history.ownerFor({ userId: 3 });
+  });
+
+  test('should save assessments without consent for statistics only', async () => {
+    const record = await history.record(screening.processScreening('PHQ-9', phq9(1)), { owner, consent: false, sessionId: 'chat-1' });
+
+    const [saved] = store.assessments.values();
+    expect(record).toEqual({ assessmentId: saved.id, consent: false, change: null });
+    expect(saved).toMatchObject({ toolName: 'PHQ-9', consentToStore: false, responses: [], score: { totalScore: 8 } });
+    expect(saved.anonymousId).not.toBe(owner);
+    expect(saved.sessionId).toBeUndefined();
+    expect(saved.dataRetentionExpiry.getTime() - saved.createdAt.getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+
+    expect((await history.getHistory(owner)).assessments).toEqual([]);
+  });
+
+  test('should keep consenting assessments in the student\'s own history', async () => {
+    await history.record(screening.processScreening('PHQ-9', phq9(2)), { owner, consent: true, sessionId: 'chat-1' });
+    await history.record(screening.processScreening('GAD-7', { gad7_1: 1, gad7_2: 1, gad7_3: 1, gad7_4: 1, gad7_5: 0, gad7_6: 0, gad7_7: 0 }), { owner, consent: true });
+    await history.record(screening.processScreening('PHQ-9', phq9(0)), { owner: history.ownerFor({ token: 'someone-else' }), consent: true });
+
+    const own = await history.getHistory(owner);
+
+    expect(owner).toMatch(/^[0-9a-f]{64}$/);
+    expect(own.assessments.map(entry => [entry.toolName, entry.score, entry.level])).toEqual([
+      ['GAD-7', 4, 'minimal'],
+      ['PHQ-9', 16, 'moderately_severe']
+    ]);
+    expect(own.summary).toMatchObject({ totalAssessments: 2, toolsUsed: ['PHQ-9', 'GAD-7'], averageScores: { 'PHQ-9': 16, 'GAD-7': 4 } });
+
+    const saved = store.assessments.get(own.assessments[1].assessmentId);
+    expect(saved).toMatchObject({ anonymousId: owner, consentToStore: true, sessionId: 'chat-1' });
+    expect(saved.responses).toHaveLength(9);
+
+    await expect(history.record(screening.processScreening('PHQ-9', phq9(0)), { consent: true }))
+      .rejects.toMatchObject({ isValidationError: true });
+  });
+
+  test('should delete a history and its assessments on request', async () => {
+    await history.record(screening.processScreening('PHQ-9', phq9(1)), { owner, consent: true });
+    await history.record(screening.processScreening('PHQ-9', phq9(1)), { owner, consent: false });
+
+    expect(await history.deleteHistory(owner)).toBe(1);
+    expect((await history.getHistory(owner)).summary.totalAssessments).toBe(0);
+    expect(store.assessments.size).toBe(1);
+  });
+
+  test('should hide records past their retention', async () => {
+    const shortLived = new ScreeningHistoryService({ store, historyRetentionDays: 1 });
+    await shortLived.record(screening.processScreening('PHQ-9', phq9(1)), { owner, consent: true });
+
+    jest.useFakeTimers({ now: Date.now() + 2 * 24 * 60 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      expect((await shortLived.getHistory(owner)).assessments).toEqual([]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should compare each consenting assessment with the previous one and alert on sharp deterioration', async () => {
+    const monitoring = { createCrisisAlert: jest.fn().mockReturnValue('alert-1') };
+    history.attachMonitoring(monitoring);
+
+    const first = await history.record(screening.processScreening('PHQ-9', phq9(1)), { owner, consent: true });
+    const anonymous = await history.record(screening.processScreening('PHQ-9', phq9(3)), { owner, consent: false });
+    const second = await history.record(screening.processScreening('PHQ-9', phq9(2)), { owner, consent: true, sessionId: 'chat-1' });
+    await history.record(screening.processScreening('GAD-7', { gad7_1: 1, gad7_2: 1, gad7_3: 0, gad7_4: 0, gad7_5: 0, gad7_6: 0, gad7_7: 0 }), { owner, consent: true });
+
+    expect(first.change).toBeNull();
+    expect(anonymous.change).toBeNull();
+    expect(second.change).toMatchObject({ previousScore: 8, currentScore: 16, reliableChange: 'deterioration', cutoffCrossing: 'above' });
+
+    expect(monitoring.createCrisisAlert).toHaveBeenCalledTimes(1);
+    expect(monitoring.createCrisisAlert).toHaveBeenCalledWith({
+      userId: `anonymous-${owner.substring(0, 8)}`,
+      sessionId: 'chat-1',
+      severity: 'high',
+      message: `PHQ-9 score rose from 8 to 16, now above the clinical cutoff of 10. Trend: /api/screening/trends/${second.assessmentId}`,
+      keywords: ['screening', 'PHQ-9']
+    });
+
+    const trend = await history.getTrend(owner);
+    expect(trend.tools.map(tool => tool.description)).toEqual([
+      'PHQ-9: 8 → 16 (reliably worse than last time, now above the clinical cutoff of 10)',
+      'GAD-7: 2 (one assessment so far)'
+    ]);
+    expect(trend.tools[0].points.map(point => point.score)).toEqual([8, 16]);
+    expect(trend.tools[0].overallChange).toMatchObject({ change: 8, clinicallySignificant: true });
+
+    expect(await history.getTrendForAssessment(first.assessmentId, 'PHQ-9')).toEqual({ tools: [trend.tools[0]] });
+    expect(await history.getTrendForAssessment(anonymous.assessmentId)).toBeNull();
+  });
+
+  test('should roll assessments up per day and suppress small cells', async () => {
+    await history.record(screening.processScreening('PHQ-9', phq9(3, 1)), { consent: false });
+    await history.record(screening.processScreening('PHQ-9', phq9(2, 1)), { consent: false });
+    await history.record(screening.processScreening('PHQ-9', phq9(0)), { consent: false });
+
+    const [rollup] = await store.findStatistics();
+    expect(rollup).toMatchObject({
+      toolName: 'PHQ-9',
+      totalAssessments: 3,
+      scoreTotal: 42,
+      scoreDistribution: { moderately_severe: 1, severe: 1, minimal: 1 },
+      crisisDetections: { total: 2, byType: { suicidalIdeation: 2, severeDepression: 1 } },
+      validityStats: { valid: 2, questionable: 1 }
+    });
+
+    const { days: [day], privacy } = await history.getStatistics({ days: 7 });
+    expect(day).toMatchObject({
+      totalAssessments: 3,
+      averageScore: 14,
+      crisisDetections: { total: 2, byType: { suicidalIdeation: 2, severeDepression: null } }
+    });
+    // Three single-student levels, and the total gives none of them away
+    expect(day.scoreDistribution).toEqual({ moderately_severe: null, severe: null, minimal: null });
+    expect(privacy).toMatchObject({ minCellSize: 2, suppressedCells: 4 });
+
+    await expect(history.getStatistics({ days: 365 })).rejects.toThrow(/between 1 and 90/);
+  });
+
+  test('should judge rollup cells by students rather than assessments', async () => {
+    // One student repeating the same screening is still one student
+    await history.record(screening.processScreening('PHQ-9', phq9(3, 1)), { owner, consent: false });
+    await history.record(screening.processScreening('PHQ-9', phq9(3, 1)), { owner, consent: false });
+
+    const { days: [day] } = await history.getStatistics({ days: 7 });
+    expect(day).toMatchObject({
+      totalAssessments: null,
+      averageScore: null,
+      scoreDistribution: { severe: null },
+      crisisDetections: { total: null, byType: { suicidalIdeation: null } }
+    });
+  });
+});
+
+describe('FileScreeningStore', () => {
+  let filePath;
+  let history;
+  let owner;
+
+  beforeEach(async () => {
+    filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'screenings-')), 'screenings.json');
+    history = new ScreeningHistoryService({ store: new FileScreeningStore({ filePath }) });
+    await history.ready;
+    owner = history.ownerFor({ userId: 3 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+
+  test('should be the default store', () => {
+    expect(new ScreeningHistoryService().store).toBeInstanceOf(FileScreeningStore);
+  });
+
+  test('should keep histories and statistics across restarts', async () => {
+    await history.record(screening.processScreening('PHQ-9', phq9(1)), { owner, consent: true });
+    await history.record(screening.processScreening('PHQ-9', phq9(2)), { owner, consent: true });
+
+    const restarted = new FileScreeningStore({ filePath });
+    const saved = await restarted.findHistory(owner);
+
+    expect(saved.assessments.map(entry => entry.score)).toEqual([8, 16]);
+    // Dates come back as Dates, not the strings they were written as
+    expect(saved.summary.lastAssessment.getTime()).toBeLessThanOrEqual(Date.now());
+    const [rollup] = await restarted.findStatistics({ from: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+    expect(rollup).toMatchObject({ toolName: 'PHQ-9', totalAssessments: 2 });
+    expect(rollup.date.getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  test('should not lose writes from two instances', async () => {
+    const other = new ScreeningHistoryService({ store: new FileScreeningStore({ filePath }) });
+
+    await Promise.all([1, 2, 3].flatMap(value => [
+      history.record(screening.processScreening('PHQ-9', phq9(value)), { owner, consent: true }),
+      other.record(screening.processScreening('PHQ-9', phq9(value)), { owner: other.ownerFor({ userId: 4 }), consent: true })
+    ]));
+
+    const restarted = new FileScreeningStore({ filePath });
+    expect((await restarted.findHistory(owner)).assessments).toHaveLength(3);
+    expect((await restarted.findHistory(other.ownerFor({ userId: 4 }))).assessments).toHaveLength(3);
+    // No temp or lock files left behind
+    expect(fs.readdirSync(path.dirname(filePath))).toEqual(['screenings.json']);
+  });
+
+  test('should leave records past their retention out of the file', async () => {
+    await history.record(screening.processScreening('PHQ-9', phq9(1)), { consent: false });
+
+    jest.useFakeTimers({ now: Date.now() + 31 * 24 * 60 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      await history.record(screening.processScreening('PHQ-9', phq9(2)), { consent: false });
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')).assessments)).toHaveLength(1);
+  });
+});
+
+describe('MongoScreeningStore', () => {
+  test('should count rollups with atomic increments and derive the average', async () => {
+    const statisticsModel = { updateOne: jest.fn().mockResolvedValue({ matchedCount: 1 }) };
+    const store = new MongoScreeningStore({ statisticsModel });
+    const date = new Date('2026-10-18T00:00:00.000Z');
+
+    await store.addToStatistics(date, 'PHQ-9', {
+      score: 21, level: 'severe', crisisTypes: ['severeDepression'], validity: 'valid', student: 'student-1'
+    });
+
+    expect(statisticsModel.updateOne).toHaveBeenNthCalledWith(1, { date, toolName: 'PHQ-9' }, {
+      $inc: {
+        totalAssessments: 1,
+        scoreTotal: 21,
+        'scoreDistribution.severe': 1,
+        'validityStats.valid': 1,
+        'crisisDetections.total': 1,
+        'crisisDetections.byType.severeDepression': 1
+      },
+      $addToSet: {
+        'students.total': 'student-1',
+        'students.levels.severe': 'student-1',
+        'students.crises': 'student-1',
+        'students.crisisTypes.severeDepression': 'student-1'
+      }
+    }, { upsert: true });
+    expect(statisticsModel.updateOne).toHaveBeenNthCalledWith(2, { date, toolName: 'PHQ-9' }, [
+      { $set: { averageScore: { $divide: ['$scoreTotal', '$totalAssessments'] } } }
+    ]);
+  });
+
+  test('should leave assessments the TTL monitor has yet to remove out of a history', async () => {
+    const query = value => ({ select: () => ({ lean: () => Promise.resolve(value) }), lean: () => Promise.resolve(value) });
+    const historyModel = {
+      findOne: jest.fn().mockReturnValue(query({
+        _id: 'h1',
+        userId: 'owner',
+        assessments: [{ _id: 'e1', assessmentId: 'a1', score: 5 }, { _id: 'e2', assessmentId: 'a2', score: 9 }],
+        summary: { totalAssessments: 2 }
+      }))
+    };
+    const assessmentModel = { find: jest.fn().mockReturnValue(query([{ _id: 'a2' }])) };
+    const store = new MongoScreeningStore({ historyModel, assessmentModel });
+
+    const history = await store.findHistory('owner');
+
+    expect(history.assessments).toEqual([{ assessmentId: 'a2', score: 9 }]);
+    expect(assessmentModel.find).toHaveBeenCalledWith({ _id: { $in: ['a1', 'a2'] }, dataRetentionExpiry: { $gt: expect.any(Date) } });
+  });
+
+  test('should not look up a history for an assessment id that cannot exist', async () => {
+    const historyModel = { findOne: jest.fn() };
+    const store = new MongoScreeningStore({ historyModel });
+
+    expect(await store.findHistoryByAssessment('not-an-id')).toBeNull();
+    expect(historyModel.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('Screening History Routes', () => {
+  let app;
+  let dir;
+  let studentToken;
+  let counselorToken;
+
+  const assess = (body, headers = {}) => {
+    let call = request(app).post('/api/screening/assess');
+    Object.entries(headers).forEach(([name, value]) => {
+      call = call.set(name, value);
+    });
+    return call.send({ toolName: 'PHQ-9', responses: phq9(1), ...body });
+  };
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'screening-history-'));
+    process.env.SESSIONS_FILE = path.join(dir, 'sessions.json');
+    process.env.SCREENING_FILE = path.join(dir, 'screenings.json');
+    process.env.ANALYTICS_MIN_CELL_SIZE = '2';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    jest.isolateModules(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/screening', require('../routes/screening'));
+    });
+
+    const sessions = new SessionStore();
+    const auth = new AuthMiddleware({ sessionStore: sessions });
+    const tokenFor = async user => {
+      await sessions.save({
+        id: `session-${user.username}`,
+        username: user.username,
+        role: user.role,
+        lastActivity: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        revokedAt: null
+      });
+      return auth.generateToken({ ...user, sessionId: `session-${user.username}` });
+    };
+    studentToken = await tokenFor({ id: 3, username: 'student', role: 'student' });
+    counselorToken = await tokenFor({ id: 2, username: 'counselor', role: 'counselor' });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    delete process.env.SESSIONS_FILE;
+    delete process.env.SCREENING_FILE;
+    delete process.env.ANALYTICS_MIN_CELL_SIZE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should give anonymous consenting students a history token', async () => {
+    const first = await assess({ consent: true });
+    expect(first.status).toBe(200);
+    expect(first.body.record).toMatchObject({ consent: true, stored: true });
+    expect(first.body.historyToken).toMatch(/^[0-9a-f]{48}$/);
+
+    const second = await assess({ consent: true, responses: phq9(2) }, { 'X-Screening-Token': first.body.historyToken });
+    expect(second.body.historyToken).toBeUndefined();
+
+    const own = await request(app).get('/api/screening/history').set('X-Screening-Token', first.body.historyToken);
+    expect(own.status).toBe(200);
+    expect(own.body.data.assessments.map(entry => entry.score)).toEqual([16, 8]);
+
+    expect((await request(app).get('/api/screening/history')).status).toBe(401);
+
+    const withdrawn = await request(app).delete('/api/screening/history').set('X-Screening-Token', first.body.historyToken);
+    expect(withdrawn.body.deleted).toBe(2);
+  });
+
+  test('should keep signed-in students to their own history', async () => {
+    const anonymous = await assess({});
+    expect(anonymous.body.record).toMatchObject({ consent: false, stored: true });
+    expect(anonymous.body.historyToken).toBeUndefined();
+
+    await assess({ consent: true }, { Authorization: `Bearer ${studentToken}` });
+
+    const own = await request(app).get('/api/screening/history').set('Authorization', `Bearer ${studentToken}`);
+    expect(own.body.data.summary).toMatchObject({ totalAssessments: 1, averageScores: { 'PHQ-9': 8 } });
+  });
+
+  test('should show trends to the student and to staff following up an assessment', async () => {
+    const first = await assess({ consent: true, responses: phq9(2) }, { Authorization: `Bearer ${studentToken}` });
+    expect(first.body.record.change).toMatchObject({ previousScore: 8, currentScore: 16, reliableChange: 'deterioration' });
+
+    const own = await request(app).get('/api/screening/history/trend?toolName=PHQ-9').set('Authorization', `Bearer ${studentToken}`);
+    expect(own.status).toBe(200);
+    expect(own.body.data.tools[0].points.map(point => point.score)).toEqual([8, 16]);
+    expect((await request(app).get('/api/screening/history/trend')).status).toBe(401);
+
+    const path = `/api/screening/trends/${first.body.record.assessmentId}`;
+    expect((await request(app).get(path).set('Authorization', `Bearer ${studentToken}`)).status).toBe(403);
+
+    const counselor = await request(app).get(path).set('Authorization', `Bearer ${counselorToken}`);
+    expect(counselor.status).toBe(200);
+    expect(counselor.body.data).toEqual(own.body.data);
+
+    const unknown = await request(app).get('/api/screening/trends/unknown').set('Authorization', `Bearer ${counselorToken}`);
+    expect(unknown.status).toBe(404);
+  });
+
+  test('should publish statistics to staff only', async () => {
+    const student = await request(app).get('/api/screening/statistics').set('Authorization', `Bearer ${studentToken}`);
+    expect(student.status).toBe(403);
+
+    const counselor = await request(app).get('/api/screening/statistics?toolName=PHQ-9').set('Authorization', `Bearer ${counselorToken}`);
+    expect(counselor.status).toBe(200);
+    expect(counselor.body.days).toHaveLength(1);
+    // Withdrawn histories leave the day's counts alone
+    expect(counselor.body.days[0]).toMatchObject({ toolName: 'PHQ-9', totalAssessments: 5, averageScore: 11.2 });
+    expect(counselor.body.privacy).toMatchObject({ minCellSize: 2 });
+
+    const invalid = await request(app).get('/api/screening/statistics?days=0').set('Authorization', `Bearer ${counselorToken}`);
+    expect(invalid.status).toBe(400);
+  });
+});
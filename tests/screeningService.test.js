@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const ScreeningService = require('../services/screeningService');
+const InstrumentRegistry = require('../services/instrumentRegistry');
+
+const registry = new InstrumentRegistry();
+
+// Every question of a tool answered the same, with overrides by question id
+function answers(toolName, value, overrides = {}) {
+  const responses = {};
+  registry.get(toolName).questions.forEach(question => {
+    responses[question.id] = value;
+  });
+  return { ...responses, ...overrides };
+}
+
+// DASS-21 with each subscale's items answered the same
+function dassAnswers(values) {
+  const responses = {};
+  registry.get('DASS-21').questions.forEach(question => {
+    responses[question.id] = values[question.subscale];
+  });
+  return responses;
+}
+
+describe('ScreeningService', () => {
+  const screening = new ScreeningService();
+
+  test('should offer all six tools', () => {
+    expect(registry.list().map(tool => tool.name)).toEqual(['PHQ-9', 'GAD-7', 'GHQ-12', 'PSS-10', 'DASS-21', 'PC-PTSD-5']);
+    expect(screening.getAvailableTools().map(tool => [tool.name, tool.questionCount])).toEqual([
+      ['PHQ-9', 9], ['GAD-7', 7], ['GHQ-12', 12], ['PSS-10', 10], ['DASS-21', 21], ['PC-PTSD-5', 6]
+    ]);
+  });
+
+  test('should reverse score the positively worded PSS-10 items', () => {
+    // "Fairly often" on the stress items, "almost never" on the coping ones
+    const responses = answers('PSS-10', 3, { pss10_4: 1, pss10_5: 1, pss10_7: 1, pss10_8: 1 });
+    const result = screening.calculateScore('PSS-10', responses);
+
+    expect(result.totalScore).toBe(30);
+    expect(result.maxScore).toBe(40);
+    expect(result.detailedScoring.find(item => item.questionId === 'pss10_4')).toMatchObject({ responseValue: 1, adjustedValue: 3 });
+    expect(result.interpretation).toMatchObject({ level: 'high', severity: 'high', isAboveThreshold: true });
+
+    expect(screening.calculateScore('PSS-10', answers('PSS-10', 0, { pss10_4: 4, pss10_5: 4, pss10_7: 4, pss10_8: 4 })).interpretation)
+      .toMatchObject({ score: 0, level: 'low', isAboveThreshold: false });
+  });
+
+  test('should score DASS-21 per subscale and interpret the most severe one', () => {
+    const result = screening.calculateScore('DASS-21', dassAnswers({ depression: 3, anxiety: 1, stress: 0 }));
+
+    expect(result.subscales.depression).toMatchObject({ score: 42, maxScore: 42, interpretation: { level: 'extremely_severe' } });
+    expect(result.subscales.anxiety).toMatchObject({ score: 14, interpretation: { level: 'moderate', isAboveThreshold: true } });
+    expect(result.subscales.stress).toMatchObject({ score: 0, interpretation: { level: 'normal' } });
+    expect(result.totalScore).toBe(56);
+    expect(result.interpretation).toMatchObject({ subscale: 'depression', level: 'extremely_severe', severity: 'high' });
+
+    expect(() => screening.interpretScore('DASS-21', 12)).toThrow(/interpreted per subscale/);
+    expect(screening.interpretScore('DASS-21', 12, 'standard', 'anxiety').level).toBe('moderate');
+    expect(screening.interpretScore('DASS-21', 12, 'standard', 'stress').level).toBe('normal');
+  });
+
+  test('should raise DASS-21 crisis indicators from subscale scores', () => {
+    const result = screening.processScreening('DASS-21', dassAnswers({ depression: 2, anxiety: 3, stress: 1 }));
+
+    // Depression 28 and anxiety 42 are both extremely severe
+    expect(result.crisisAlerts.map(alert => alert.type)).toEqual(['extremeDepression', 'extremeAnxiety']);
+    expect(result.crisisAlerts[0]).toMatchObject({ action: 'urgent_referral', severity: 'high' });
+    expect(result.requiresImmediateAttention).toBe(false);
+
+    expect(screening.processScreening('DASS-21', dassAnswers({ depression: 1, anxiety: 1, stress: 3 })).crisisAlerts)
+      .toEqual([]);
+  });
+
+  test('should skip PC-PTSD-5 symptom questions when there was no traumatic event', () => {
+    const noTrauma = screening.processScreening('PC-PTSD-5', { pcptsd5_trauma: 0 });
+
+    expect(noTrauma.score.totalScore).toBe(0);
+    expect(noTrauma.score.interpretation).toMatchObject({ level: 'negative', severity: 'low' });
+    expect(noTrauma.score.detailedScoring.every(item => item.responseValue === null)).toBe(true);
+    expect(noTrauma.validity.status).toBe('valid');
+    expect(noTrauma.crisisAlerts).toEqual([]);
+  });
+
+  test('should count yes answers on PC-PTSD-5 against a cutoff of 4', () => {
+    const responses = answers('PC-PTSD-5', 1, { pcptsd5_5: 0 });
+    const result = screening.processScreening('PC-PTSD-5', responses);
+
+    expect(result.score).toMatchObject({ totalScore: 4, maxScore: 5 });
+    expect(result.score.interpretation).toMatchObject({ level: 'positive', isAboveThreshold: true });
+    expect(result.score.interpretation.clinicalNotes).toMatch(/probable PTSD/);
+    expect(result.followUpRecommendations).toContain('Schedule follow-up screening in 2-4 weeks');
+
+    expect(() => screening.calculateScore('PC-PTSD-5', { pcptsd5_trauma: 1, pcptsd5_1: 1 }))
+      .toThrow(/Missing response for question: pcptsd5_2/);
+    expect(() => screening.calculateScore('PC-PTSD-5', answers('PC-PTSD-5', 2)))
+      .toThrow(/exceeds maximum value of 1/);
+  });
+
+  test('should route stress, trauma and comprehensive screening to the new tools', () => {
+    expect(screening.recommendTools({ purpose: 'stress' })).toEqual(['PSS-10']);
+    expect(screening.recommendTools({ purpose: 'trauma' })).toEqual(['PC-PTSD-5']);
+    expect(screening.recommendTools({ purpose: 'comprehensive' })).toEqual(['DASS-21', 'PHQ-9']);
+    expect(screening.recommendTools({ symptoms: ['stress', 'nightmares'] })).toEqual(['PSS-10', 'PC-PTSD-5']);
+    expect(screening.recommendTools({ symptoms: [] })).toEqual(['GHQ-12']);
+  });
+
+  test('should tell reliable change from noise and note crossings of the clinical cutoff', () => {
+    // PHQ-9 needs a change of about 6.3 points to be reliable
+    expect(screening.compareScores('PHQ-9', 8, 13)).toMatchObject({
+      change: 5,
+      reliableChangeIndex: 1.55,
+      reliableChangeThreshold: 6.3,
+      reliableChange: 'none',
+      cutoffCrossing: 'above',
+      clinicallySignificant: false,
+      sharpDeterioration: false
+    });
+    expect(screening.compareScores('PHQ-9', 6, 14)).toMatchObject({
+      reliableChange: 'deterioration',
+      cutoffCrossing: 'above',
+      clinicallySignificant: true,
+      sharpDeterioration: true
+    });
+    expect(screening.compareScores('GAD-7', 17, 7)).toMatchObject({
+      change: -10,
+      reliableChange: 'improvement',
+      cutoffCrossing: 'below',
+      clinicallySignificant: true,
+      sharpDeterioration: false
+    });
+
+    // Without normative figures only the cutoff can be judged
+    expect(screening.compareScores('PSS-10', 10, 16)).toMatchObject({
+      reliableChangeIndex: null,
+      reliableChange: null,
+      cutoffCrossing: 'above',
+      sharpDeterioration: true
+    });
+    expect(screening.compareScores('DASS-21', 10, 40)).toMatchObject({ clinicalCutoff: null, sharpDeterioration: false });
+  });
+});
+
+describe('Screening Routes', () => {
+  let app;
+  let dir;
+
+  beforeAll(() => {
+    // Assessments are saved by the screening history; keep them out of data/
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'screening-routes-'));
+    process.env.SCREENING_FILE = path.join(dir, 'screenings.json');
+
+    jest.isolateModules(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/screening', require('../routes/screening'));
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.SCREENING_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should assess DASS-21 and return its subscales', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const response = await request(app)
+      .post('/api/screening/assess')
+      .send({ toolName: 'DASS-21', responses: dassAnswers({ depression: 1, anxiety: 0, stress: 2 }) });
+
+    expect(response.status).toBe(200);
+    expect(response.body.assessment.score.subscales.stress.interpretation.level).toBe('severe');
+    expect(response.body.assessment.score.interpretation.subscale).toBe('stress');
+    jest.restoreAllMocks();
+  });
+
+  test('should interpret a single DASS-21 subscale score', async () => {
+    const interpreted = await request(app)
+      .post('/api/screening/interpret')
+      .send({ toolName: 'DASS-21', score: 22, subscale: 'depression' });
+    expect(interpreted.status).toBe(200);
+    expect(interpreted.body.interpretation.level).toBe('severe');
+
+    const missingSubscale = await request(app)
+      .post('/api/screening/interpret')
+      .send({ toolName: 'DASS-21', score: 22 });
+    expect(missingSubscale.status).toBe(400);
+  });
+
+  test('should present the PC-PTSD-5 gate question', async () => {
+    const response = await request(app).get('/api/screening/tools/PC-PTSD-5');
+
+    expect(response.status).toBe(200);
+    expect(response.body.tool.questions[0]).toMatchObject({ id: 'pcptsd5_trauma', gate: true });
+    expect(response.body.tool.responseOptions).toEqual([{ value: 0, text: 'No' }, { value: 1, text: 'Yes' }]);
+  });
+});
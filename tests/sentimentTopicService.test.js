@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const SentimentTopicService = require('../services/sentimentTopicService');
+const ResponseGuardrailService = require('../services/responseGuardrailService');
+const ConversationalAIService = require('../services/conversationalAIService');
+const AnalyticsMiddleware = require('../middleware/analyticsMiddleware');
+const { MockLLMProvider } = require('../services/llmProviders');
+
+describe('SentimentTopicService', () => {
+  const tagger = new SentimentTopicService();
+
+  test('should score English sentiment with negation and intensifiers', () => {
+    const stressed = tagger.scoreSentiment('I am stressed');
+    const veryStressed = tagger.scoreSentiment('I am so stressed');
+    expect(stressed.label).toBe('negative');
+    expect(veryStressed.sentiment).toBeLessThan(stressed.sentiment);
+
+    expect(tagger.scoreSentiment('I feel much better now, thanks!').label).toBe('positive');
+    expect(tagger.scoreSentiment('I am not happy with how things are going').label).toBe('negative');
+    expect(tagger.scoreSentiment('What time does the library open?')).toEqual({ sentiment: 0, label: 'neutral' });
+  });
+
+  test('should stop negation at punctuation and conjunctions', () => {
+    expect(tagger.scoreSentiment("can't sleep, worried about fees").label).toBe('negative');
+    expect(tagger.scoreSentiment("I can't sleep and I am worried about fees").label).toBe('negative');
+    expect(tagger.scoreSentiment("I'm not worried about fees").label).toBe('positive');
+  });
+
+  test('should score missing someone as negative', () => {
+    expect(tagger.scoreSentiment('I miss my mom').label).toBe('negative');
+  });
+
+  test('should score Marathi sentiment, with the negator after the word', () => {
+    expect(tagger.scoreSentiment('आज मला खूप छान वाटतंय').label).toBe('positive');
+    expect(tagger.scoreSentiment('मला परीक्षेचा खूप तणाव आहे').label).toBe('negative');
+    // "I don't feel well"
+    expect(tagger.scoreSentiment('मला बरं वाटत नाही').label).toBe('negative');
+  });
+
+  test('should tag student-life topics in English and Marathi', () => {
+    expect(tagger.extractTopics('My exams are next week and I cannot sleep')).toEqual(['exams', 'sleep']);
+    expect(tagger.extractTopics('I miss my family and I cannot afford the hostel fees'))
+      .toEqual(['family', 'finances', 'homesickness']);
+    expect(tagger.extractTopics('My girlfriend and I broke up before the assignment deadline'))
+      .toEqual(['academic', 'relationships']);
+    expect(tagger.extractTopics('घरची आठवण येते आणि पैसे पण कमी आहेत')).toEqual(['finances', 'homesickness']);
+    expect(tagger.extractTopics('मला घरची खूप आठवण येते')).toEqual(['homesickness']);
+    expect(tagger.extractTopics('आई वडिलांना परीक्षेच्या निकालाची काळजी आहे')).toEqual(['exams', 'family']);
+    expect(tagger.extractTopics('Hello there')).toEqual([]);
+  });
+
+  test('should list the topics it can tag', () => {
+    expect(tagger.getTopics().map(topic => topic.id)).toEqual(
+      ['academic', 'exams', 'relationships', 'family', 'sleep', 'finances', 'homesickness']
+    );
+  });
+});
+
+describe('Sentiment and topics in the chat pipeline', () => {
+  let dir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sentiment-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should attach the analysis to every reply', async () => {
+    const service = new ConversationalAIService({
+      providers: [new MockLLMProvider()],
+      guardrails: new ResponseGuardrailService({ logFile: path.join(dir, 'guardrail-log.json') })
+    });
+    jest.spyOn(service.cachingService, 'getCachedResponse').mockReturnValue(null);
+
+    const result = await service.processMessage('I am really worried about my exam results', null, {});
+
+    expect(result.analysis).toEqual({ sentiment: expect.any(Number), label: 'negative', topics: ['exams'] });
+  });
+});
+
+describe('Chat analytics', () => {
+  let app;
+  let dir;
+  let analytics;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sentiment-'));
+    process.env.LLM_PROVIDERS = 'mock';
+    process.env.GUARDRAIL_LOG_FILE = path.join(dir, 'guardrail-log.json');
+    process.env.PROMPT_INJECTION_LOG_FILE = path.join(dir, 'injection-log.json');
+    process.env.ANALYTICS_FILE = path.join(dir, 'analytics.json');
+
+    const analyticsMiddleware = new AnalyticsMiddleware();
+    analytics = analyticsMiddleware.getAnalyticsService();
+    jest.isolateModules(() => {
+      app = express();
+      app.use(express.json());
+      app.use(analyticsMiddleware.trackApiUsage);
+      app.use('/api/conversational-ai', require('../routes/conversationalAI'));
+    });
+  });
+
+  afterAll(async () => {
+    await analytics.store.queue;
+    delete process.env.LLM_PROVIDERS;
+    delete process.env.GUARDRAIL_LOG_FILE;
+    delete process.env.PROMPT_INJECTION_LOG_FILE;
+    delete process.env.ANALYTICS_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should record the sentiment and topics of each chat message', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const response = await request(app)
+      .post('/api/conversational-ai/chat')
+      .send({ message: 'I feel so homesick and my hostel rent is due', sessionId: null });
+    expect(response.status).toBe(200);
+    expect(response.body.metadata.analysis.topics).toEqual(['finances', 'homesickness']);
+
+    // The middleware records after the response has ended
+    await new Promise(resolve => setImmediate(resolve));
+
+    const today = new Date().toISOString().split('T')[0];
+    const [recorded] = analytics.conversations.get(today);
+    expect(recorded.sentiment).toBe(response.body.metadata.analysis.sentiment);
+    expect(recorded.topics).toEqual(['finances', 'homesickness']);
+
+    expect(analytics.getDailyAnalytics(today).topTopics.map(topic => topic.topic))
+      .toEqual(['finances', 'homesickness']);
+    jest.restoreAllMocks();
+  });
+});